@@ -7,12 +7,41 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const QRCode = require('qrcode');
 const fs = require('fs');
-const initSqlJs = require('sql.js');
+const Database = require('better-sqlite3');
 const nodemailer = require('nodemailer');
+const { openDatabase } = require('../../shared/sqlite-adapter');
+const migrations = require('../../shared/migrations');
+const portalSignals = require('../../shared/portal-signals');
+const { BackupManager, BackupError, TIERS: BACKUP_TIERS } = require('../../shared/backups');
+const { createConferenceContext } = require('../../shared/conference-context');
+const { createAuthSessions, SessionError } = require('../../shared/auth-sessions');
+const { createRateLimiter, RateLimitError } = require('../../shared/rate-limits');
+const { createScheduler, JobError } = require('../../shared/jobs');
+const { createOutbox, OutboxError, smtpTransport } = require('../../shared/email-outbox');
+const { createEmailTemplates, TemplateError, buildEmailTemplate, escapeHtml, VARIABLE_TYPES: EMAIL_VARIABLE_TYPES } = require('../../shared/email-templates');
+const { createEmailTracking, TrackingError } = require('../../shared/email-tracking');
+const { createSubscriptions, SubscriptionError } = require('../../shared/subscriptions');
+const { createConsents, ConsentError, PURPOSES: CONSENT_PURPOSES, fromRequest, describePurposes } = require('../../shared/consents');
+const { createDataSubjects, DataSubjectError } = require('../../shared/data-subjects');
+const { createLiveEvents } = require('../../shared/live-events');
+const { createWebPush, PushError } = require('../../shared/web-push');
+const { createOfflineCheckin, OfflineCheckinError } = require('../../shared/offline-checkin');
+const { createSearch } = require('../../shared/search');
+const { createApiSpec } = require('../../shared/api-spec');
+const { ROUTES: API_ROUTES, COMPONENTS: API_COMPONENTS } = require('../../shared/api-schemas');
+const { createScheduledEmails, ScheduledEmailError } = require('../../shared/scheduled-emails');
+const { createTwoFactor, TwoFactorError } = require('../../shared/two-factor');
+const conferenceRollover = require('../../shared/conference-rollover');
+const { createAuditTrail } = require('../../shared/audit-trail');
+const { ROLES, PROJECTS, TWO_FACTOR_PERMISSIONS, PermissionError, describe: describePermissions, allowedSections, maskPii, createPermissions } = require('../../shared/permissions');
 const XLSX = require('xlsx');
 
 const app = express();
 
+// Behind Render's proxy req.ip has to come from X-Forwarded-For — rate limits, sessions
+// and the audit log key on it. TRUST_PROXY is the number of proxy hops in front of us.
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? 1 : 0)));
+
 // C1: XLSX export helper
 function generateXlsxBuffer(headers, rows, sheetName = 'Sheet1') {
     const data = [headers, ...rows];
@@ -37,25 +66,43 @@ const emailTransporter = nodemailer.createTransport({
     }
 });
 
-// Helper function to send emails
-async function sendEmail(to, subject, htmlContent) {
-    // Skip if no SMTP configured
-    if (!process.env.SMTP_USER) {
-        console.log(`[Email Mock] To: ${to}, Subject: ${subject}`);
-        return { success: true, mock: true };
-    }
-    try {
-        await emailTransporter.sendMail({
-            from: process.env.SMTP_FROM || 'Med&X Accelerator <accelerator@medx.hr>',
-            to,
-            subject,
-            html: htmlContent
-        });
-        return { success: true };
-    } catch (err) {
-        console.error('Email error:', err);
-        return { success: false, error: err.message };
-    }
+// Every email goes through the outbox in email_log (shared/email-outbox.js): delivered
+// right away, retried with backoff if that fails. With EMAIL_TRANSPORT=dev, or in
+// development mode without SMTP_USER, mail is captured for the local inbox at /dev/inbox
+// instead. Anywhere else a missing SMTP_USER fails the send rather than faking it.
+const CAPTURE_EMAIL = process.env.EMAIL_TRANSPORT === 'dev' || process.env.NODE_ENV === 'development';
+let outbox;
+
+// Bilingual emails stored in email_templates, rendered by key (shared/email-templates.js)
+let emailTemplates;
+
+// Emails to an audience at a set time, from scheduled_emails (shared/scheduled-emails.js)
+let scheduledEmails;
+
+// Open pixels and signed click redirects for newsletters (shared/email-tracking.js)
+let emailTracking;
+
+// Unsubscribe links, List-Unsubscribe headers and the preference center (shared/subscriptions.js)
+let subscriptions;
+
+// Consent ledger written by registration, Accelerator and Forum flows (shared/consents.js)
+let consents;
+
+// Real-time stream of chat, notification and check-in events, fed by both portals (shared/live-events.js)
+let liveEvents;
+
+// Browser push to user-portal accounts, with per-category opt-outs (shared/web-push.js)
+let webPush;
+
+// Signed attendee rosters and sync of check-ins scanned without a connection (shared/offline-checkin.js)
+let offlineCheckin;
+
+// Ranked full-text search over the trigger-maintained FTS5 index (shared/search.js)
+let fullTextSearch;
+
+// Helper function to send emails — resolves to { success, id, status, mock?, queued?, error? }
+async function sendEmail(to, subject, htmlContent, options) {
+    return outbox.send(to, subject, htmlContent, options);
 }
 // Generate a speaker invite code: SPK-XXXX-2026
 function generateSpeakerInviteCode() {
@@ -67,12 +114,20 @@ function generateSpeakerInviteCode() {
 
 const PORT = process.env.PORT || 3001;
 const JWT_SECRET = process.env.JWT_SECRET || (process.env.NODE_ENV === 'development' ? 'medx-dev-secret' : (() => { console.error('FATAL: JWT_SECRET environment variable is required in production'); process.exit(1); })());
+// Public address of this portal for links in emails and payment redirects. Never built
+// from the request's Host or Origin header: a client sets those, and a reset link
+// pointing at its own domain would hand it the token.
+const PUBLIC_URL = (process.env.RENDER_EXTERNAL_URL || process.env.PORTAL_URL || 'http://localhost:' + PORT).replace(/\/+$/, '');
 
 app.use(cors({
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3001'],
   credentials: true
 }));
 app.use(express.json());
+// Declared request schemas (shared/api-schemas.js): a route mounts apiSpec.validate after its
+// auth, so malformed input gets a 400 before the handler runs. The same schemas feed the
+// OpenAPI document at /api/docs.
+const apiSpec = createApiSpec(app, { title: 'Med&X Admin Portal API', routes: API_ROUTES, components: API_COMPONENTS });
 app.use(express.static(path.join(__dirname, '../frontend')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
@@ -91,92 +146,225 @@ const storage = multer.diskStorage({
 const upload = multer({ storage, limits: { fileSize: 10 * 1024 * 1024 } });
 
 let db;
-let SQL; // Store SQL.js module reference for reloading
 // Flexible DB path: use shared DB locally, or local copy when deployed
 const SHARED_DB_PATH = path.join(__dirname, '../../shared/medx_portal.db');
 const LOCAL_DB_PATH = path.join(__dirname, 'medx_portal.db');
 const DB_PATH = process.env.DATABASE_PATH || (fs.existsSync(SHARED_DB_PATH) ? SHARED_DB_PATH : LOCAL_DB_PATH);
+// Snapshots of the DB plus both portals' uploads (the user portal's only when it lives alongside)
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '../../medx-portal-backups');
+const USER_UPLOADS_DIR = process.env.USER_UPLOADS_DIR || path.join(__dirname, '../../user-portal/backend/uploads');
+let backups;
+
+// GDPR export and erasure of one person across all modules (shared/data-subjects.js)
+let dataSubjects;
+
+// Audit trail: every admin mutation is logged; these paths also get a before/after diff
+// of the row they touch (path + '/:id', or the id returned when creating)
+const AUDITED_ENTITIES = [
+    { path: '/api/finance/transactions', table: 'finance_transactions' },
+    { path: '/api/finance/invoices', table: 'finance_invoices' },
+    { path: '/api/finance/payment-orders', table: 'finance_payment_orders' },
+    { path: '/api/finance/travel-orders', table: 'finance_travel_orders' },
+    { path: '/api/finance/work-units', table: 'finance_work_units' },
+    { path: '/api/finance/bank-balance', table: 'finance_bank_balance' },
+    { path: '/api/finance/years', table: 'finance_fiscal_years', key: 'year' },
+    { path: '/api/finance/conference-payments', table: 'registrations' },
+    { path: '/api/accelerator/applications', table: 'accelerator_applications' },
+    { path: '/api/admin/accelerator/applications', table: 'accelerator_applications' },
+    { path: '/api/accelerator/years', table: 'accelerator_programs', key: 'year' },
+    { path: '/api/accelerator/dates', table: 'accelerator_key_dates' },
+    { path: '/api/accelerator/institutions', table: 'accelerator_institutions' },
+    { path: '/api/accelerator/criteria', table: 'accelerator_evaluation_criteria' },
+    { path: '/api/accelerator/interviewers', table: 'accelerator_interviewers' },
+    { path: '/api/admin/plexus/refunds', table: 'refund_requests' },
+    { path: '/api/admin/plexus/refund', table: 'refund_requests' },
+    { path: '/api/admin/registrations', table: 'registrations' }
+];
+let audit;
+
+// Which permission each staff route group needs (shared/permissions.js). Checked in
+// auth() for every signed-in request; GET/HEAD need `read`, anything else `write`.
+// Unlisted routes under STAFF_PATHS are refused to everyone but administrators;
+// elsewhere they are open to any team member (adminOnly) or any user (auth).
+const PII_FIELDS = {
+    accelerator: ['oib', 'date_of_birth', 'address'],
+    visa: ['passport_number', 'passport_expiry', 'date_of_birth']
+};
+const PERMISSION_RULES = [
+    { path: '/api/finance', read: 'finance.read', write: 'finance.write' },
+    { path: '/api/admin/tech', read: 'tech.admin', write: 'tech.admin' },
+    { path: '/api/admin/roles', read: 'team.manage', write: 'team.manage' },
+    { path: '/api/admin/sessions', read: 'team.manage', write: 'team.manage' },
+    { path: '/api/admin/two-factor', read: 'team.manage', write: 'team.manage' },
+    { path: '/api/admin/data-subjects', read: 'privacy.manage', write: 'privacy.manage' },
+    { path: '/api/admin/consents', read: 'project.pii', write: 'privacy.manage' },
+    { path: '/api/pr', read: 'pr.read', write: 'pr.write' },
+    { path: '/api/admin/newsletters', read: 'pr.read', write: 'pr.write' },
+    { path: '/api/admin/email-templates', read: 'pr.read', write: 'pr.write' },
+    { path: '/api/admin/scheduled-emails', read: 'pr.read', write: 'pr.write' },
+    { path: '/api/admin/plexus', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/plexus/visa-requests', project: 'plexus', read: 'project.pii', write: 'project.pii' },
+    { path: '/api/admin/plexus/visa', project: 'plexus', read: 'project.pii', write: 'project.pii' },
+    { match: /^\/api\/admin\/(plexus\/)?abstracts\/[^/]+\/(decision|assign-reviewer)$/, project: 'plexus', write: 'project.review' },
+    { path: '/api/admin/abstracts', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/registrations', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/export/registrations', project: 'plexus', read: 'project.pii' },
+    { path: '/api/admin/checkin', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/analytics', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/announcements', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/gala', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/gala/registrations', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/accelerator', project: 'accelerator', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/accelerator', project: 'accelerator', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/accelerator\/applications\/[^/]+\/evaluate(-batch)?$/, project: 'accelerator', write: 'project.review' },
+    { match: /^\/api\/admin\/accelerator\/applications\/[^/]+\/review$/, project: 'accelerator', write: 'project.review' },
+    // Applicant self-service inside the accelerator group — handlers check ownership
+    { path: '/api/accelerator/applications/my', read: null },
+    { match: /^\/api\/accelerator\/applications$/, method: 'POST', write: null },
+    { match: /^\/api\/accelerator\/applications\/[^/]+\/(documents|submit|package)(\/|$)/, read: null, write: null },
+    { path: '/api/accelerator/documents', read: null, write: null },
+    { path: '/api/admin/forum', project: 'forum', read: 'project.read', write: 'project.write' },
+    { path: '/api/bridges', project: 'bridges', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/bridges', project: 'bridges', read: 'project.read', write: 'project.write' },
+    // Offline rosters carry attendee names; syncing checks people in
+    { match: /^\/api\/checkin\/offline\/(plexus|gala)\//, project: 'plexus', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/checkin\/offline\/forum\//, project: 'forum', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/checkin\/offline\/bridges\//, project: 'bridges', read: 'project.read', write: 'project.write' },
+    // Sidebar sections every team member sees (SECTIONS in shared/permissions.js)
+    { path: '/api/admin/messages', read: 'team', write: 'team' },
+    { path: '/api/admin/notifications', read: 'team', write: 'team' },
+    { path: '/api/admin/sections', read: 'team', write: 'team' }
+];
+const STAFF_PATHS = ['/api/admin', '/api/finance', '/api/pr'];
+let permissions;
+
+// Sign-in sessions: short-lived access JWTs plus rotating refresh tokens (shared/auth-sessions.js)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+let sessions;
+
+// Failed-attempt counters for public endpoints, shared with the other portal (shared/rate-limits.js)
+let rateLimits;
+
+// Background jobs with persistent schedules, run by whichever portal takes the lease (shared/jobs.js)
+let jobs;
+
+// TOTP second factor (shared/two-factor.js) — optional for everyone, mandatory for
+// accounts that can see finance or tech (TWO_FACTOR_PERMISSIONS)
+let twoFactor;
+
+function twoFactorRequired(user) {
+    return TWO_FACTOR_PERMISSIONS.some(p => user.can(p));
+}
 
-// Database helper
+// Database helper — db is the on-disk WAL database (see shared/sqlite-adapter.js)
 const query = {
     run: (sql, params = []) => { db.run(sql, params); saveDb(); },
-    get: (sql, params = []) => {
-        const stmt = db.prepare(sql);
-        if (params.length) stmt.bind(params);
-        if (stmt.step()) { const r = stmt.getAsObject(); stmt.free(); return r; }
-        stmt.free(); return null;
-    },
-    all: (sql, params = []) => {
-        const stmt = db.prepare(sql);
-        if (params.length) stmt.bind(params);
-        const rows = [];
-        while (stmt.step()) rows.push(stmt.getAsObject());
-        stmt.free(); return rows;
-    }
+    get: (sql, params = []) => db.get(sql, params),
+    all: (sql, params = []) => db.all(sql, params),
+    transaction: (fn) => transaction(fn)
 };
 
-let _lastSaveTime = 0;
-function saveDb() {
-    _lastSaveTime = Date.now();
-    fs.writeFileSync(DB_PATH, Buffer.from(db.export()));
+// Plexus editions: routes read req.conference (the selected edition, default the current one)
+const plexusEditions = createConferenceContext(query, { series: 'plexus', title: 'Plexus', code: 'PLX' });
+
+// Unit of work: every write inside fn is committed together, or rolled back if
+// fn throws. fn must be synchronous — an await would let other requests' writes
+// land inside the open transaction. Nested calls use savepoints.
+// BEGIN IMMEDIATE takes the write lock up front so the other portal can't slip
+// in between our reads and writes (it waits on busy_timeout instead).
+let _txDepth = 0;
+function transaction(fn) {
+    const savepoint = _txDepth > 0 ? `tx_${_txDepth}` : null;
+    db.run(savepoint ? `SAVEPOINT ${savepoint}` : 'BEGIN IMMEDIATE');
+    _txDepth++;
+    let result;
+    try {
+        result = fn();
+        if (result && typeof result.then === 'function') throw new Error('transaction() callback must be synchronous');
+    } catch (err) {
+        _txDepth--;
+        if (savepoint) { db.run(`ROLLBACK TO ${savepoint}`); db.run(`RELEASE ${savepoint}`); }
+        else db.run('ROLLBACK');
+        throw err;
+    }
+    _txDepth--;
+    db.run(savepoint ? `RELEASE ${savepoint}` : 'COMMIT');
+    return result;
 }
 
-// Watch shared DB for changes from the other portal
-function watchSharedDb() {
-    // Only watch when using shared DB (local dev), not when deployed
-    if (DB_PATH !== SHARED_DB_PATH) { console.log('[Sync] Running with local DB — cross-portal sync disabled'); return; }
-    let debounceTimer = null;
-    fs.watch(DB_PATH, (eventType) => {
-        if (eventType !== 'change') return;
-        // Ignore our own writes (within 2s)
-        if (Date.now() - _lastSaveTime < 2000) return;
-        if (debounceTimer) clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(() => {
-            try {
-                const data = fs.readFileSync(DB_PATH);
-                if (db) { try { db.close(); } catch(e) {} }
-                db = new SQL.Database(data);
-                console.log('[Sync] Reloaded shared DB (changed by other portal)');
-            } catch (err) {
-                console.error('[Sync] Error reloading DB:', err.message);
-            }
-        }, 500);
-    });
-    console.log('[Sync] Watching shared DB for cross-portal changes');
+// Writes are durable as soon as they commit, and the other portal sees them
+// immediately through the shared WAL file. Kept so existing handlers that call
+// saveDb() after db.run() don't need touching.
+function saveDb() {}
+
+// Claims carried by a user's access token; null once the account is gone
+function userClaims(userId) {
+    const user = query.get('SELECT id, email, is_admin FROM users WHERE id = ?', [userId]);
+    return user && { email: user.email, is_admin: user.is_admin };
+}
+
+function applicantClaims(applicantId) {
+    const applicant = query.get('SELECT id, email FROM accelerator_applicants WHERE id = ?', [applicantId]);
+    return applicant && { email: applicant.email, type: 'applicant' };
+}
+
+// Open a session for a user who just proved who they are: { token, refreshToken, sessionId }
+function signIn(user, req, options) {
+    return sessions.issue({ type: 'user', id: user.id }, userClaims(user.id), req, options);
+}
+
+// Signed-in user with roles attached (see shared/permissions.js)
+function withRoles(user) {
+    if (user) return permissions.attach(user);
+    // Dev fallback without a seeded user: full access
+    const devUser = { id: 'default', email: 'juginovic.alen@gmail.com', roles: [{ role: 'admin', project: null }], is_admin: 1 };
+    devUser.can = () => true;
+    return devUser;
 }
 
-// Auth middleware - verifies JWT token
+// Auth middleware - verifies JWT token and the route group's permission
 function auth(req, res, next) {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (token && token !== 'auto-login') {
-        try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            const user = query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
-            if (user) { req.user = user; return next(); }
-        } catch(e) { /* token invalid/expired */ }
+        const decoded = sessions.verify(token);
+        const user = decoded && query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
+        if (user) {
+            req.user = withRoles(user);
+            req.sessionId = decoded.sid;
+            // Sessions opened without the second factor (user portal, or before 2FA was set up) don't count here
+            if (!decoded.twoFactor && req.path !== '/api/auth/logout'
+                && (twoFactorRequired(req.user) || twoFactor.isEnabled(user.id))) {
+                return res.status(403).json({ error: 'Two-factor authentication required — please sign in again', twoFactorRequired: true });
+            }
+            return authorize(req, res, next);
+        }
     }
     // Dev fallback — only in explicit development mode
     if (process.env.NODE_ENV === 'development') {
         const user = query.get("SELECT id, email, is_admin FROM users WHERE email = 'juginovic.alen@gmail.com'");
-        req.user = user || { id: 'default', email: 'juginovic.alen@gmail.com', is_admin: true };
-        return next();
+        req.user = withRoles(user);
+        return authorize(req, res, next);
     }
     return res.status(401).json({ error: 'Authentication required' });
 }
 
+function authorize(req, res, next) {
+    const denied = permissions.check(req);
+    if (denied) return res.status(403).json({ error: denied });
+    next();
+}
+
 function optionalAuth(req, res, next) {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (token && token !== 'auto-login') {
-        try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            const user = query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
-            if (user) { req.user = user; return next(); }
-        } catch(e) { /* token invalid/expired */ }
+        const decoded = sessions.verify(token);
+        const user = decoded && query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
+        if (user) { req.user = withRoles(user); req.sessionId = decoded.sid; return next(); }
     }
     // Dev fallback — only in explicit development mode
     if (process.env.NODE_ENV === 'development') {
         const user = query.get("SELECT id, email, is_admin FROM users WHERE email = 'juginovic.alen@gmail.com'");
-        req.user = user || { id: 'default', email: 'juginovic.alen@gmail.com', is_admin: true };
+        req.user = withRoles(user);
         return next();
     }
     // Optional auth — no user is OK
@@ -184,895 +372,30 @@ function optionalAuth(req, res, next) {
     next();
 }
 
+// Any team member with a role; what they may do per route group is checked in auth()
 function adminOnly(req, res, next) {
-    if (!req.user?.is_admin) return res.status(403).json({ error: 'Admin only' });
+    if (!req.user?.roles?.length) return res.status(403).json({ error: 'Team members only' });
     next();
 }
 
 async function initializeApp() {
-    SQL = await initSqlJs();
 
     // Ensure shared directory exists
     const sharedDir = path.dirname(DB_PATH);
     if (!fs.existsSync(sharedDir)) fs.mkdirSync(sharedDir, { recursive: true });
 
-    if (fs.existsSync(DB_PATH)) {
-        db = new SQL.Database(fs.readFileSync(DB_PATH));
-    } else {
-        db = new SQL.Database();
+    db = openDatabase(Database, DB_PATH);
+
+    // Refuse to run against a schema migrated past what this code knows (see shared/migrations)
+    try {
+        migrations.assertNotBehind(db, 'admin');
+    } catch (err) {
+        console.error('FATAL: ' + err.message);
+        process.exit(1);
     }
 
-    // Create schema
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY, email TEXT UNIQUE NOT NULL, password_hash TEXT,
-        first_name TEXT, last_name TEXT, phone TEXT, institution TEXT, country TEXT,
-        bio TEXT, photo_url TEXT, is_admin INTEGER DEFAULT 0, is_public_profile INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS conferences (
-        id TEXT PRIMARY KEY, name TEXT NOT NULL, year INTEGER, slug TEXT UNIQUE,
-        description TEXT, start_date TEXT, end_date TEXT,
-        venue_name TEXT, venue_city TEXT, venue_country TEXT,
-        max_capacity INTEGER DEFAULT 200, is_active INTEGER DEFAULT 1,
-        registration_open INTEGER DEFAULT 1, abstract_submission_open INTEGER DEFAULT 1,
-        early_bird_deadline TEXT, regular_deadline TEXT, abstract_deadline TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS ticket_types (
-        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT, name_hr TEXT,
-        price_early_bird REAL, price_regular REAL, price_late REAL,
-        currency TEXT DEFAULT 'EUR', includes_gala INTEGER DEFAULT 0,
-        sold_count INTEGER DEFAULT 0, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS promo_codes (
-        id TEXT PRIMARY KEY, conference_id TEXT, code TEXT,
-        discount_type TEXT DEFAULT 'percentage', discount_value REAL,
-        max_uses INTEGER, used_count INTEGER DEFAULT 0,
-        valid_until TEXT, is_active INTEGER DEFAULT 1
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS registrations (
-        id TEXT PRIMARY KEY, conference_id TEXT, user_id TEXT, ticket_type_id TEXT,
-        first_name TEXT, last_name TEXT, email TEXT, institution TEXT, country TEXT,
-        registration_type TEXT DEFAULT 'general', status TEXT DEFAULT 'pending',
-        payment_status TEXT DEFAULT 'unpaid', amount_paid REAL,
-        promo_code_id TEXT, discount_amount REAL DEFAULT 0,
-        invoice_number TEXT, ticket_qr_code TEXT,
-        dietary_requirements TEXT, accessibility_needs TEXT,
-        includes_gala INTEGER DEFAULT 0,
-        checked_in INTEGER DEFAULT 0, checked_in_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS abstracts (
-        id TEXT PRIMARY KEY, conference_id TEXT, submitter_id TEXT,
-        submitter_name TEXT, submitter_email TEXT,
-        title TEXT, abstract_text TEXT, keywords TEXT,
-        topic_category TEXT, category TEXT, abstract_type TEXT DEFAULT 'poster',
-        presentation_type TEXT DEFAULT 'poster',
-        status TEXT DEFAULT 'submitted', decision TEXT,
-        is_withdrawn INTEGER DEFAULT 0, created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS abstract_authors (
-        id TEXT PRIMARY KEY, abstract_id TEXT, email TEXT,
-        first_name TEXT, last_name TEXT, institution TEXT,
-        is_presenting INTEGER DEFAULT 0, author_order INTEGER DEFAULT 1
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS speakers (
-        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT,
-        title TEXT, institution TEXT, bio TEXT, photo_url TEXT,
-        talk_title TEXT, talk_abstract TEXT, speaker_type TEXT DEFAULT 'invited',
-        is_keynote INTEGER DEFAULT 0, is_confirmed INTEGER DEFAULT 1,
-        linkedin_url TEXT, twitter_url TEXT, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS speaker_documents (
-        id TEXT PRIMARY KEY,
-        speaker_id TEXT NOT NULL,
-        type TEXT NOT NULL,
-        filename TEXT NOT NULL,
-        original_name TEXT NOT NULL,
-        file_size INTEGER,
-        mime_type TEXT,
-        uploaded_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (speaker_id) REFERENCES speakers(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS sessions (
-        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT,
-        description TEXT, session_type TEXT DEFAULT 'talk',
-        day INTEGER DEFAULT 1, start_time TEXT, end_time TEXT,
-        room TEXT, track TEXT, speaker_ids TEXT
-    )`);
-
-    // Phase 3C: Add is_published and capacity columns to sessions
-    try { db.run(`ALTER TABLE sessions ADD COLUMN is_published INTEGER DEFAULT 0`); } catch (e) { /* column may already exist */ }
-    try { db.run(`ALTER TABLE sessions ADD COLUMN capacity INTEGER`); } catch (e) { /* column may already exist */ }
-
-    db.run(`CREATE TABLE IF NOT EXISTS session_checkins (
-        id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        registration_id TEXT,
-        attendee_name TEXT,
-        attendee_email TEXT,
-        checked_in_at TEXT DEFAULT (datetime('now')),
-        UNIQUE(session_id, registration_id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS personal_schedules (
-        id TEXT PRIMARY KEY, user_id TEXT, session_id TEXT, UNIQUE(user_id, session_id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS session_questions (
-        id TEXT PRIMARY KEY, session_id TEXT, user_id TEXT, question_text TEXT,
-        upvotes INTEGER DEFAULT 0, is_answered INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS connections (
-        id TEXT PRIMARY KEY, requester_id TEXT, requestee_id TEXT,
-        status TEXT DEFAULT 'pending', message TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS messages (
-        id TEXT PRIMARY KEY, sender_id TEXT, recipient_id TEXT,
-        subject TEXT, body TEXT, is_read INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS announcements (
-        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT, content TEXT,
-        type TEXT DEFAULT 'general', is_urgent INTEGER DEFAULT 0,
-        published_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS volunteers (
-        id TEXT PRIMARY KEY, conference_id TEXT, user_id TEXT,
-        first_name TEXT, last_name TEXT, email TEXT,
-        availability TEXT, preferred_tasks TEXT, status TEXT DEFAULT 'pending',
-        notes TEXT
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS sponsors (
-        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT,
-        tier TEXT DEFAULT 'bronze', logo_url TEXT, website_url TEXT,
-        description TEXT, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS resources (
-        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT,
-        file_url TEXT, file_type TEXT, category TEXT DEFAULT 'general',
-        download_count INTEGER DEFAULT 0
-    )`);
-
-    // ========== ACCELERATOR TABLES ==========
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_programs (
-        id TEXT PRIMARY KEY, name TEXT NOT NULL, year INTEGER,
-        description TEXT, application_deadline TEXT,
-        program_start TEXT, program_end TEXT,
-        is_active INTEGER DEFAULT 1, is_accepting INTEGER DEFAULT 1,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_institutions (
-        id TEXT PRIMARY KEY, name TEXT NOT NULL, short_name TEXT,
-        city TEXT, country TEXT, description TEXT,
-        website_url TEXT, logo_url TEXT, available_spots INTEGER DEFAULT 5,
-        is_active INTEGER DEFAULT 1, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_applications (
-        id TEXT PRIMARY KEY, program_id TEXT, user_id TEXT, year INTEGER,
-        application_number TEXT UNIQUE,
-        work_number TEXT,
-        first_name TEXT, last_name TEXT, email TEXT, phone TEXT,
-        date_of_birth TEXT, oib TEXT, address TEXT, nationality TEXT, country_of_residence TEXT,
-        current_institution TEXT, current_position TEXT, degree_program TEXT,
-        year_of_study TEXT, ects_total INTEGER,
-        expected_graduation TEXT, gpa REAL,
-        program_type TEXT,
-        selected_institution TEXT, alternative_institution TEXT,
-        first_choice_institution TEXT, second_choice_institution TEXT, third_choice_institution TEXT,
-        research_interests TEXT, motivation_statement TEXT,
-        previous_experience TEXT,
-        special_arrangements TEXT,
-        previous_research_experience TEXT, publications TEXT,
-        awards_honors TEXT, languages TEXT,
-        how_heard_about TEXT, additional_info TEXT,
-        gdpr_consent INTEGER DEFAULT 0,
-        gdpr_consent_date TEXT,
-        status TEXT DEFAULT 'draft',
-        validity_status TEXT,
-        validity_notified_at TEXT,
-        submitted_at TEXT, reviewed_at TEXT, reviewed_by TEXT,
-        reviewer_notes TEXT, decision TEXT, decision_notes TEXT,
-        assigned_institution TEXT,
-        documents_complete INTEGER DEFAULT 0,
-        objective_score REAL,
-        interview_score REAL,
-        total_score REAL,
-        rank_position INTEGER,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Add new columns to existing accelerator_applications table (ignore errors if columns exist)
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN year INTEGER'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN oib TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN ects_total INTEGER'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN alternative_institution TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN candidate_id TEXT'); } catch (e) {}
-
-    // Add overview config columns to accelerator_programs (ignore if exists)
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN program_duration TEXT DEFAULT '8-12 Weeks'"); } catch (e) {}
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN labs_count TEXT DEFAULT '15+ Worldwide'"); } catch (e) {}
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN positions_range TEXT DEFAULT '5-10'"); } catch (e) {}
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN about_program TEXT"); } catch (e) {}
-
-    // Add category column to accelerator_key_dates (ignore if exists)
-    try { db.run("ALTER TABLE accelerator_key_dates ADD COLUMN category TEXT DEFAULT 'event'"); } catch (e) {}
-
-    // Add speaker tracking columns
-    try { db.run('ALTER TABLE speakers ADD COLUMN confirmation_status TEXT DEFAULT "pending"'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN flight_status TEXT DEFAULT "not_booked"'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN hotel_status TEXT DEFAULT "not_booked"'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN flight_assigned_to TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN hotel_assigned_to TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN flight_details TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN hotel_details TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN notes TEXT'); } catch (e) {}
-
-    // Speaker invite system columns
-    try { db.run('ALTER TABLE speakers ADD COLUMN email TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invite_code TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invite_sent_at TEXT'); } catch (e) {}
-
-    // Speaker management columns (Phase 3D/3G)
-    try { db.run('ALTER TABLE speakers ADD COLUMN is_published INTEGER DEFAULT 0'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN year INTEGER'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invitation_status TEXT DEFAULT \'unsent\''); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invitation_sent_at TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invitation_responded_at TEXT'); } catch (e) {}
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_documents (
-        id TEXT PRIMARY KEY, application_id TEXT NOT NULL,
-        document_type TEXT NOT NULL,
-        original_filename TEXT, stored_filename TEXT,
-        file_path TEXT, file_size INTEGER, mime_type TEXT,
-        upload_status TEXT DEFAULT 'pending',
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (application_id) REFERENCES accelerator_applications(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_recommendations (
-        id TEXT PRIMARY KEY, application_id TEXT NOT NULL,
-        recommender_name TEXT, recommender_email TEXT,
-        recommender_title TEXT, recommender_institution TEXT,
-        relationship TEXT, request_sent_at TEXT,
-        submitted INTEGER DEFAULT 0, submitted_at TEXT,
-        letter_file TEXT,
-        FOREIGN KEY (application_id) REFERENCES accelerator_applications(id)
-    )`);
-
-    // Key dates for each accelerator year
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_key_dates (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        date_start TEXT NOT NULL,
-        date_end TEXT,
-        description TEXT,
-        color TEXT DEFAULT '#22d3ee',
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Enhanced institution details
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_institution_details (
-        id TEXT PRIMARY KEY,
-        institution_id TEXT NOT NULL,
-        year INTEGER NOT NULL,
-        program_type TEXT DEFAULT 'scientific',
-        available_spots INTEGER DEFAULT 2,
-        internship_duration TEXT,
-        mentors TEXT,
-        visa_requirements TEXT,
-        accommodation_info TEXT,
-        stipend_info TEXT,
-        requirements TEXT,
-        contact_email TEXT,
-        contact_person TEXT,
-        is_active INTEGER DEFAULT 1,
-        UNIQUE(institution_id, year)
-    )`);
-    // B1: Add scientific fields, eligible applicants, eligible programs columns
-    try { db.run(`ALTER TABLE accelerator_institution_details ADD COLUMN scientific_fields TEXT`); } catch(e) { /* column already exists */ }
-    try { db.run(`ALTER TABLE accelerator_institution_details ADD COLUMN eligible_applicants TEXT`); } catch(e) { /* column already exists */ }
-    try { db.run(`ALTER TABLE accelerator_institution_details ADD COLUMN eligible_programs TEXT`); } catch(e) { /* column already exists */ }
-
-    // Evaluation criteria (customizable per year)
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_evaluation_criteria (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        name_hr TEXT,
-        max_points REAL DEFAULT 10,
-        weight REAL DEFAULT 1,
-        category TEXT DEFAULT 'objective',
-        sort_order INTEGER DEFAULT 0,
-        is_active INTEGER DEFAULT 1
-    )`);
-
-    // Application evaluations/scores
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_evaluations (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        criterion_id TEXT NOT NULL,
-        score REAL,
-        notes TEXT,
-        evaluated_by TEXT,
-        evaluated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(application_id, criterion_id)
-    )`);
-
-    // External interviewers
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_interviewers (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        institution TEXT,
-        specialty TEXT,
-        access_token TEXT,
-        is_active INTEGER DEFAULT 1,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // PDF header settings for ranking lists
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_pdf_settings (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL UNIQUE,
-        header_intro TEXT,
-        header_title TEXT,
-        article1_text TEXT,
-        article2_text TEXT,
-        article3_text TEXT,
-        signatory_name TEXT DEFAULT 'Alen Juginovic, M.D.',
-        signatory_title TEXT DEFAULT 'Committee for Organization of the Med&X Accelerator Program',
-        signatory_role TEXT DEFAULT 'President',
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Interview scores from external interviewers
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_interview_scores (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        interviewer_id TEXT NOT NULL,
-        score REAL,
-        notes TEXT,
-        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(application_id, interviewer_id)
-    )`);
-
-    // Per-criterion scores from external interviewers
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_application_scores (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        criterion_id TEXT NOT NULL,
-        evaluator_id TEXT NOT NULL,
-        score REAL,
-        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(application_id, criterion_id, evaluator_id)
-    )`);
-
-    // Applicant accounts (public registration for candidates)
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_applicants (
-        id TEXT PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        first_name TEXT,
-        last_name TEXT,
-        phone TEXT,
-        date_of_birth TEXT,
-        nationality TEXT,
-        address TEXT,
-        city TEXT,
-        country TEXT,
-        current_institution TEXT,
-        faculty TEXT,
-        study_year TEXT,
-        expected_graduation TEXT,
-        email_verified INTEGER DEFAULT 0,
-        verification_token TEXT,
-        reset_token TEXT,
-        reset_token_expires TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        last_login TEXT
-    )`);
-
-    // Messages to candidates
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_messages (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        message_type TEXT DEFAULT 'info',
-        subject TEXT,
-        content TEXT NOT NULL,
-        sent_by TEXT,
-        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        read_at TEXT
-    )`);
-
-    // GDPR consent tracking
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_consents (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        consent_type TEXT NOT NULL,
-        consented INTEGER DEFAULT 0,
-        consent_text TEXT,
-        consented_at TEXT,
-        ip_address TEXT
-    )`);
-
-    // Form configuration for accelerator application form (Phase 4C)
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_form_config (
-        id TEXT PRIMARY KEY,
-        program_id TEXT,
-        section_name TEXT NOT NULL,
-        field_name TEXT NOT NULL,
-        field_type TEXT DEFAULT 'text',
-        label TEXT,
-        placeholder TEXT,
-        is_required INTEGER DEFAULT 0,
-        options TEXT,
-        sort_order INTEGER DEFAULT 0,
-        is_visible INTEGER DEFAULT 1,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== BIOMEDICAL FORUM TABLES ==========
-
-    // Forum member profiles (extended user profiles for Forum)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_members (
-        id TEXT PRIMARY KEY,
-        user_id TEXT UNIQUE,
-        first_name TEXT,
-        last_name TEXT,
-        email TEXT,
-        country TEXT,
-        membership_status TEXT DEFAULT 'pending',
-        membership_level TEXT DEFAULT 'member',
-        specialty TEXT,
-        sub_specialties TEXT,
-        institution TEXT,
-        position TEXT,
-        department TEXT,
-        location_city TEXT,
-        location_country TEXT,
-        bio TEXT,
-        research_interests TEXT,
-        career_stage TEXT,
-        years_experience INTEGER,
-        orcid_id TEXT,
-        linkedin_url TEXT,
-        twitter_handle TEXT,
-        website_url TEXT,
-        photo_url TEXT,
-        profile_visibility TEXT DEFAULT 'members',
-        contact_preference TEXT DEFAULT 'platform',
-        is_mentor INTEGER DEFAULT 0,
-        seeking_mentor INTEGER DEFAULT 0,
-        mentor_topics TEXT,
-        languages TEXT,
-        achievements TEXT,
-        publications_count INTEGER DEFAULT 0,
-        points INTEGER DEFAULT 0,
-        badges TEXT,
-        onboarding_completed INTEGER DEFAULT 0,
-        gdpr_consent INTEGER DEFAULT 0,
-        gdpr_consent_date TEXT,
-        application_text TEXT,
-        application_submitted_at TEXT,
-        approved_by TEXT,
-        approved_at TEXT,
-        rejection_reason TEXT,
-        last_active TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Forum member connections
-    db.run(`CREATE TABLE IF NOT EXISTS forum_connections (
-        id TEXT PRIMARY KEY,
-        requester_id TEXT,
-        receiver_id TEXT,
-        status TEXT DEFAULT 'pending',
-        message TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        accepted_at TEXT,
-        FOREIGN KEY (requester_id) REFERENCES forum_members(id),
-        FOREIGN KEY (receiver_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum interest groups/channels
-    db.run(`CREATE TABLE IF NOT EXISTS forum_groups (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        slug TEXT UNIQUE,
-        description TEXT,
-        category TEXT,
-        group_type TEXT DEFAULT 'public',
-        cover_image TEXT,
-        icon TEXT,
-        member_count INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        is_active INTEGER DEFAULT 1
-    )`);
-
-    // Forum group memberships
-    db.run(`CREATE TABLE IF NOT EXISTS forum_group_members (
-        id TEXT PRIMARY KEY,
-        group_id TEXT,
-        member_id TEXT,
-        role TEXT DEFAULT 'member',
-        joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (group_id) REFERENCES forum_groups(id),
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum posts/newsfeed
-    db.run(`CREATE TABLE IF NOT EXISTS forum_posts (
-        id TEXT PRIMARY KEY,
-        author_id TEXT,
-        group_id TEXT,
-        post_type TEXT DEFAULT 'discussion',
-        title TEXT,
-        content TEXT NOT NULL,
-        content_html TEXT,
-        tags TEXT,
-        attachments TEXT,
-        image_url TEXT,
-        video_url TEXT,
-        link_url TEXT,
-        link_preview TEXT,
-        is_pinned INTEGER DEFAULT 0,
-        is_announcement INTEGER DEFAULT 0,
-        is_featured INTEGER DEFAULT 0,
-        visibility TEXT DEFAULT 'members',
-        likes_count INTEGER DEFAULT 0,
-        comments_count INTEGER DEFAULT 0,
-        shares_count INTEGER DEFAULT 0,
-        views_count INTEGER DEFAULT 0,
-        moderation_status TEXT DEFAULT 'approved',
-        moderated_by TEXT,
-        moderated_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (author_id) REFERENCES forum_members(id),
-        FOREIGN KEY (group_id) REFERENCES forum_groups(id)
-    )`);
-
-    // Forum post reactions (likes, etc.)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_post_reactions (
-        id TEXT PRIMARY KEY,
-        post_id TEXT,
-        member_id TEXT,
-        reaction_type TEXT DEFAULT 'like',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (post_id) REFERENCES forum_posts(id),
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum comments
-    db.run(`CREATE TABLE IF NOT EXISTS forum_comments (
-        id TEXT PRIMARY KEY,
-        post_id TEXT,
-        author_id TEXT,
-        parent_id TEXT,
-        content TEXT NOT NULL,
-        likes_count INTEGER DEFAULT 0,
-        is_edited INTEGER DEFAULT 0,
-        moderation_status TEXT DEFAULT 'approved',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (post_id) REFERENCES forum_posts(id),
-        FOREIGN KEY (author_id) REFERENCES forum_members(id),
-        FOREIGN KEY (parent_id) REFERENCES forum_comments(id)
-    )`);
-
-    // Forum direct messages
-    db.run(`CREATE TABLE IF NOT EXISTS forum_messages (
-        id TEXT PRIMARY KEY,
-        conversation_id TEXT,
-        sender_id TEXT,
-        recipient_id TEXT,
-        content TEXT NOT NULL,
-        attachments TEXT,
-        is_read INTEGER DEFAULT 0,
-        read_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sender_id) REFERENCES forum_members(id),
-        FOREIGN KEY (recipient_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum conversations (for grouping messages)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_conversations (
-        id TEXT PRIMARY KEY,
-        participant_ids TEXT,
-        last_message_id TEXT,
-        last_message_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Forum events
-    db.run(`CREATE TABLE IF NOT EXISTS forum_events (
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        description TEXT,
-        event_type TEXT DEFAULT 'networking',
-        start_date TEXT,
-        end_date TEXT,
-        timezone TEXT DEFAULT 'Europe/Zagreb',
-        location_type TEXT DEFAULT 'virtual',
-        location_name TEXT,
-        location_address TEXT,
-        virtual_link TEXT,
-        cover_image TEXT,
-        capacity INTEGER,
-        registration_deadline TEXT,
-        is_paid INTEGER DEFAULT 0,
-        price REAL DEFAULT 0,
-        early_bird_price REAL,
-        early_bird_deadline TEXT,
-        requires_approval INTEGER DEFAULT 0,
-        is_members_only INTEGER DEFAULT 1,
-        agenda TEXT,
-        speakers TEXT,
-        organizer_id TEXT,
-        status TEXT DEFAULT 'draft',
-        registrations_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (organizer_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum event registrations
-    db.run(`CREATE TABLE IF NOT EXISTS forum_event_registrations (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        member_id TEXT,
-        status TEXT DEFAULT 'registered',
-        ticket_type TEXT DEFAULT 'general',
-        payment_status TEXT,
-        payment_amount REAL,
-        checked_in INTEGER DEFAULT 0,
-        checked_in_at TEXT,
-        qr_code TEXT,
-        notes TEXT,
-        registered_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES forum_events(id),
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum media gallery
-    db.run(`CREATE TABLE IF NOT EXISTS forum_media (
-        id TEXT PRIMARY KEY,
-        uploader_id TEXT,
-        event_id TEXT,
-        gallery_name TEXT,
-        media_type TEXT DEFAULT 'image',
-        title TEXT,
-        description TEXT,
-        file_url TEXT,
-        thumbnail_url TEXT,
-        file_size INTEGER,
-        width INTEGER,
-        height INTEGER,
-        duration INTEGER,
-        tags TEXT,
-        is_approved INTEGER DEFAULT 0,
-        approved_by TEXT,
-        views_count INTEGER DEFAULT 0,
-        likes_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (uploader_id) REFERENCES forum_members(id),
-        FOREIGN KEY (event_id) REFERENCES forum_events(id)
-    )`);
-
-    // Forum resources/documents library
-    db.run(`CREATE TABLE IF NOT EXISTS forum_resources (
-        id TEXT PRIMARY KEY,
-        uploader_id TEXT,
-        title TEXT NOT NULL,
-        description TEXT,
-        resource_type TEXT DEFAULT 'document',
-        category TEXT,
-        file_url TEXT,
-        file_name TEXT,
-        file_size INTEGER,
-        mime_type TEXT,
-        external_url TEXT,
-        doi TEXT,
-        tags TEXT,
-        is_featured INTEGER DEFAULT 0,
-        downloads_count INTEGER DEFAULT 0,
-        views_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (uploader_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum mentorship matches
-    db.run(`CREATE TABLE IF NOT EXISTS forum_mentorships (
-        id TEXT PRIMARY KEY,
-        mentor_id TEXT,
-        mentee_id TEXT,
-        status TEXT DEFAULT 'pending',
-        match_score REAL,
-        focus_areas TEXT,
-        goals TEXT,
-        meeting_frequency TEXT,
-        notes TEXT,
-        started_at TEXT,
-        ended_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (mentor_id) REFERENCES forum_members(id),
-        FOREIGN KEY (mentee_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum badges/achievements
-    db.run(`CREATE TABLE IF NOT EXISTS forum_badges (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        slug TEXT UNIQUE,
-        description TEXT,
-        icon TEXT,
-        color TEXT,
-        points INTEGER DEFAULT 0,
-        criteria TEXT,
-        is_active INTEGER DEFAULT 1
-    )`);
-
-    // Forum member badges
-    db.run(`CREATE TABLE IF NOT EXISTS forum_member_badges (
-        id TEXT PRIMARY KEY,
-        member_id TEXT,
-        badge_id TEXT,
-        earned_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (member_id) REFERENCES forum_members(id),
-        FOREIGN KEY (badge_id) REFERENCES forum_badges(id)
-    )`);
-
-    // Forum notifications
-    db.run(`CREATE TABLE IF NOT EXISTS forum_notifications (
-        id TEXT PRIMARY KEY,
-        member_id TEXT,
-        type TEXT,
-        title TEXT,
-        message TEXT,
-        link TEXT,
-        related_id TEXT,
-        is_read INTEGER DEFAULT 0,
-        read_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum activity log (for analytics)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_activity (
-        id TEXT PRIMARY KEY,
-        member_id TEXT,
-        activity_type TEXT,
-        target_type TEXT,
-        target_id TEXT,
-        metadata TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // ========== TEAM CHAT & TASKS ==========
-    db.run(`CREATE TABLE IF NOT EXISTS team_members (
-        id TEXT PRIMARY KEY,
-        user_id TEXT UNIQUE,
-        name TEXT NOT NULL,
-        role TEXT,
-        avatar_color TEXT DEFAULT '#C9A962',
-        photo_url TEXT,
-        is_online INTEGER DEFAULT 0,
-        last_seen TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Add photo_url column if it doesn't exist (migration)
-    try { db.run('ALTER TABLE team_members ADD COLUMN photo_url TEXT'); } catch(e) {}
-
-    db.run(`CREATE TABLE IF NOT EXISTS chat_messages (
-        id TEXT PRIMARY KEY,
-        sender_id TEXT NOT NULL,
-        channel_id TEXT,
-        message TEXT NOT NULL,
-        message_type TEXT DEFAULT 'text',
-        file_url TEXT,
-        file_name TEXT,
-        file_type TEXT,
-        reply_to TEXT,
-        is_read INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sender_id) REFERENCES users(id),
-        FOREIGN KEY (channel_id) REFERENCES chat_channels(id),
-        FOREIGN KEY (reply_to) REFERENCES chat_messages(id)
-    )`);
-
-    // Add file columns if they don't exist (migration)
-    try { db.run('ALTER TABLE chat_messages ADD COLUMN file_url TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE chat_messages ADD COLUMN file_name TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE chat_messages ADD COLUMN file_type TEXT'); } catch(e) {}
-
-    // Chat channels for organized communication
-    db.run(`CREATE TABLE IF NOT EXISTS chat_channels (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        project TEXT,
-        description TEXT,
-        is_default INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Sub-channel support migrations
-    try { db.run('ALTER TABLE chat_channels ADD COLUMN parent_channel_id TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE chat_channels ADD COLUMN sort_order INTEGER DEFAULT 0'); } catch(e) {}
-
-    // Channel members for assignment
-    db.run(`CREATE TABLE IF NOT EXISTS channel_members (
-        id TEXT PRIMARY KEY,
-        channel_id TEXT NOT NULL,
-        member_id TEXT NOT NULL,
-        role TEXT DEFAULT 'member',
-        joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(channel_id, member_id)
-    )`);
-
-    // User-specific pinned items
-    db.run(`CREATE TABLE IF NOT EXISTS pinned_items (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        item_type TEXT NOT NULL,
-        item_id TEXT,
-        item_title TEXT NOT NULL,
-        item_subtitle TEXT,
-        project TEXT,
-        display_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Channel read status per user
-    db.run(`CREATE TABLE IF NOT EXISTS channel_read_status (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        channel_id TEXT NOT NULL,
-        last_read_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, channel_id)
-    )`)
-
-    // Project settings (editable dates, etc.)
-    db.run(`CREATE TABLE IF NOT EXISTS project_settings (
-        project TEXT PRIMARY KEY,
-        event_date TEXT,
-        description TEXT,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_by TEXT
-    )`);
-
-    // Add new columns if they don't exist (safe migration)
-    try { db.run('ALTER TABLE project_settings ADD COLUMN end_date TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE project_settings ADD COLUMN venue TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE project_settings ADD COLUMN location TEXT'); } catch(e) {}
-    saveDb();
+    // Schema — every table and column comes from the versioned migrations in shared/migrations
+    migrations.migrate(db, { portal: 'admin' });
 
     // Seed default project settings
     const projectDefaults = [
@@ -1089,996 +412,6 @@ async function initializeApp() {
         }
     });
 
-    // Admin notifications (for monthly project reminders)
-    db.run(`CREATE TABLE IF NOT EXISTS admin_notifications (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        type TEXT NOT NULL,
-        title TEXT NOT NULL,
-        message TEXT,
-        project TEXT,
-        is_read INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // User notifications (admin-to-user push notifications via shared DB)
-    db.run(`CREATE TABLE IF NOT EXISTS user_notifications (
-        id TEXT PRIMARY KEY,
-        user_id TEXT,
-        user_group TEXT DEFAULT 'all',
-        category TEXT NOT NULL DEFAULT 'system',
-        project TEXT,
-        title TEXT NOT NULL,
-        message TEXT,
-        link TEXT,
-        icon TEXT DEFAULT 'fa-bell',
-        icon_class TEXT DEFAULT 'system',
-        is_read INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Monthly reminder tracking
-    db.run(`CREATE TABLE IF NOT EXISTS monthly_reminders_sent (
-        id TEXT PRIMARY KEY,
-        month TEXT NOT NULL,
-        year INTEGER NOT NULL,
-        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(month, year)
-    )`);
-
-    // Project folders for file organization
-    db.run(`CREATE TABLE IF NOT EXISTS project_folders (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        name TEXT NOT NULL,
-        parent_id TEXT,
-        color TEXT DEFAULT '#64748b',
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (parent_id) REFERENCES project_folders(id),
-        FOREIGN KEY (created_by) REFERENCES users(id)
-    )`)
-
-    // Project file repository
-    db.run(`CREATE TABLE IF NOT EXISTS project_files (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        folder_id TEXT,
-        filename TEXT NOT NULL,
-        original_name TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        file_size INTEGER,
-        mime_type TEXT,
-        category TEXT DEFAULT 'general',
-        uploaded_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (folder_id) REFERENCES project_folders(id),
-        FOREIGN KEY (uploaded_by) REFERENCES users(id)
-    )`)
-
-    db.run(`CREATE TABLE IF NOT EXISTS chat_read_status (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        last_read_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS project_tasks (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        title TEXT NOT NULL,
-        description TEXT,
-        assigned_to TEXT,
-        priority TEXT DEFAULT 'medium',
-        status TEXT DEFAULT 'todo',
-        due_date TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        completed_at TEXT,
-        sort_order INTEGER DEFAULT 0,
-        parent_id TEXT,
-        FOREIGN KEY (parent_id) REFERENCES project_tasks(id) ON DELETE CASCADE
-    )`);
-
-    // Sequence tasks table
-    db.run(`CREATE TABLE IF NOT EXISTS task_sequences (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        project TEXT,
-        description TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        current_step INTEGER DEFAULT 1,
-        status TEXT DEFAULT 'active'
-    )`);
-
-    // Sequence steps table
-    db.run(`CREATE TABLE IF NOT EXISTS sequence_steps (
-        id TEXT PRIMARY KEY,
-        sequence_id TEXT NOT NULL,
-        step_order INTEGER NOT NULL,
-        title TEXT NOT NULL,
-        description TEXT,
-        assigned_to TEXT,
-        status TEXT DEFAULT 'pending',
-        completed_at TEXT,
-        FOREIGN KEY (sequence_id) REFERENCES task_sequences(id) ON DELETE CASCADE
-    )`);
-
-    // Migration: add notification_sent column to sequence_steps
-    try { db.run('ALTER TABLE sequence_steps ADD COLUMN notification_sent INTEGER DEFAULT 0'); } catch(e) {}
-
-    // Task files table
-    db.run(`CREATE TABLE IF NOT EXISTS task_files (
-        id TEXT PRIMARY KEY,
-        task_id TEXT NOT NULL,
-        filename TEXT NOT NULL,
-        original_name TEXT,
-        file_path TEXT,
-        file_size INTEGER,
-        mime_type TEXT,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE CASCADE
-    )`);
-
-    // Project timeline events table
-    db.run(`CREATE TABLE IF NOT EXISTS project_timeline_events (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        name TEXT NOT NULL,
-        description TEXT,
-        event_date TEXT NOT NULL,
-        end_date TEXT,
-        event_type TEXT DEFAULT 'point',
-        color TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== ENHANCED PLEXUS CONFERENCE TABLES ==========
-
-    // Extended user profiles for conference attendees
-    db.run(`CREATE TABLE IF NOT EXISTS user_profiles (
-        user_id TEXT PRIMARY KEY,
-        title TEXT,
-        department TEXT,
-        research_interests TEXT,
-        career_stage TEXT,
-        linkedin_url TEXT,
-        twitter_url TEXT,
-        orcid TEXT,
-        dietary_requirements TEXT,
-        accessibility_needs TEXT,
-        tshirt_size TEXT,
-        emergency_contact_name TEXT,
-        emergency_contact_phone TEXT,
-        is_profile_public INTEGER DEFAULT 0,
-        preferred_language TEXT DEFAULT 'en',
-        receive_newsletter INTEGER DEFAULT 1,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Enhanced registrations with multi-step info
-    db.run(`CREATE TABLE IF NOT EXISTS registration_details (
-        registration_id TEXT PRIMARY KEY,
-        affiliation_type TEXT,
-        student_id_uploaded INTEGER DEFAULT 0,
-        student_id_file TEXT,
-        institution_vat TEXT,
-        institution_address TEXT,
-        billing_name TEXT,
-        billing_address TEXT,
-        billing_country TEXT,
-        billing_vat TEXT,
-        wants_invoice INTEGER DEFAULT 0,
-        arrival_date TEXT,
-        departure_date TEXT,
-        accommodation_needed INTEGER DEFAULT 0,
-        hotel_preference TEXT,
-        airport_transfer_needed INTEGER DEFAULT 0,
-        flight_arrival TEXT,
-        flight_departure TEXT,
-        networking_interests TEXT,
-        how_heard_about TEXT,
-        special_requests TEXT,
-        gdpr_consent INTEGER DEFAULT 0,
-        photo_consent INTEGER DEFAULT 0,
-        terms_accepted INTEGER DEFAULT 0,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Group registrations
-    db.run(`CREATE TABLE IF NOT EXISTS group_registrations (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        institution_name TEXT NOT NULL,
-        contact_name TEXT,
-        contact_email TEXT,
-        contact_phone TEXT,
-        billing_address TEXT,
-        billing_vat TEXT,
-        total_attendees INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'pending',
-        total_amount REAL DEFAULT 0,
-        discount_percent REAL DEFAULT 0,
-        payment_status TEXT DEFAULT 'unpaid',
-        invoice_number TEXT,
-        notes TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Link individual registrations to group
-    db.run(`CREATE TABLE IF NOT EXISTS group_registration_members (
-        id TEXT PRIMARY KEY,
-        group_registration_id TEXT,
-        registration_id TEXT,
-        FOREIGN KEY (group_registration_id) REFERENCES group_registrations(id),
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Waiting list
-    db.run(`CREATE TABLE IF NOT EXISTS waitlist (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        user_id TEXT,
-        ticket_type_id TEXT,
-        email TEXT,
-        first_name TEXT,
-        last_name TEXT,
-        position INTEGER,
-        status TEXT DEFAULT 'waiting',
-        notified_at TEXT,
-        expires_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Registration transfers
-    db.run(`CREATE TABLE IF NOT EXISTS registration_transfers (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        original_user_id TEXT,
-        new_user_email TEXT,
-        new_user_name TEXT,
-        reason TEXT,
-        status TEXT DEFAULT 'pending',
-        approved_by TEXT,
-        approved_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Scholarship/Fee waiver applications
-    db.run(`CREATE TABLE IF NOT EXISTS scholarship_applications (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        user_id TEXT,
-        application_type TEXT DEFAULT 'scholarship',
-        institution TEXT,
-        country TEXT,
-        career_stage TEXT,
-        financial_need_statement TEXT,
-        research_statement TEXT,
-        support_letter_file TEXT,
-        cv_file TEXT,
-        amount_requested REAL,
-        amount_granted REAL,
-        status TEXT DEFAULT 'submitted',
-        reviewer_notes TEXT,
-        reviewed_by TEXT,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Refund requests
-    db.run(`CREATE TABLE IF NOT EXISTS refund_requests (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        reason TEXT,
-        amount_requested REAL,
-        amount_approved REAL,
-        refund_type TEXT DEFAULT 'full',
-        status TEXT DEFAULT 'pending',
-        admin_notes TEXT,
-        processed_by TEXT,
-        processed_at TEXT,
-        refund_reference TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Payment transactions
-    db.run(`CREATE TABLE IF NOT EXISTS payment_transactions (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        group_registration_id TEXT,
-        amount REAL,
-        currency TEXT DEFAULT 'EUR',
-        payment_method TEXT,
-        payment_provider TEXT,
-        provider_transaction_id TEXT,
-        status TEXT DEFAULT 'pending',
-        error_message TEXT,
-        metadata TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Invoices
-    db.run(`CREATE TABLE IF NOT EXISTS invoices (
-        id TEXT PRIMARY KEY,
-        invoice_number TEXT UNIQUE,
-        registration_id TEXT,
-        group_registration_id TEXT,
-        recipient_name TEXT,
-        recipient_address TEXT,
-        recipient_vat TEXT,
-        recipient_email TEXT,
-        items TEXT,
-        subtotal REAL,
-        vat_rate REAL DEFAULT 25,
-        vat_amount REAL,
-        total REAL,
-        currency TEXT DEFAULT 'EUR',
-        status TEXT DEFAULT 'draft',
-        issued_at TEXT,
-        due_date TEXT,
-        paid_at TEXT,
-        pdf_file TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Abstract submission files
-    db.run(`CREATE TABLE IF NOT EXISTS abstract_files (
-        id TEXT PRIMARY KEY,
-        abstract_id TEXT,
-        file_type TEXT,
-        original_name TEXT,
-        stored_name TEXT,
-        file_path TEXT,
-        file_size INTEGER,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (abstract_id) REFERENCES abstracts(id)
-    )`);
-
-    // Abstract reviews
-    db.run(`CREATE TABLE IF NOT EXISTS abstract_reviews (
-        id TEXT PRIMARY KEY,
-        abstract_id TEXT,
-        reviewer_id TEXT,
-        score_relevance INTEGER,
-        score_originality INTEGER,
-        score_methodology INTEGER,
-        score_clarity INTEGER,
-        score_overall INTEGER,
-        comments TEXT,
-        recommendation TEXT,
-        is_complete INTEGER DEFAULT 0,
-        assigned_at TEXT,
-        completed_at TEXT,
-        FOREIGN KEY (abstract_id) REFERENCES abstracts(id),
-        FOREIGN KEY (reviewer_id) REFERENCES users(id)
-    )`);
-
-    // Abstract review criteria (customizable per conference)
-    db.run(`CREATE TABLE IF NOT EXISTS review_criteria (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        max_score INTEGER DEFAULT 5,
-        weight REAL DEFAULT 1,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Speaker/Workshop applications
-    db.run(`CREATE TABLE IF NOT EXISTS speaker_applications (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        user_id TEXT,
-        application_type TEXT DEFAULT 'speaker',
-        name TEXT,
-        email TEXT,
-        institution TEXT,
-        title TEXT,
-        bio TEXT,
-        photo_file TEXT,
-        cv_file TEXT,
-        proposed_title TEXT,
-        proposed_abstract TEXT,
-        topic_area TEXT,
-        presentation_type TEXT,
-        duration_requested INTEGER,
-        target_audience TEXT,
-        av_requirements TEXT,
-        previous_experience TEXT,
-        co_presenter_info TEXT,
-        max_participants INTEGER,
-        required_materials TEXT,
-        status TEXT DEFAULT 'submitted',
-        admin_notes TEXT,
-        reviewed_by TEXT,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Session tracks
-    db.run(`CREATE TABLE IF NOT EXISTS session_tracks (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        name_hr TEXT,
-        description TEXT,
-        color TEXT,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Enhanced sessions with more fields (safely add columns if not exists)
-    const sessionColumns = query.all("PRAGMA table_info(sessions)").map(c => c.name);
-    if (!sessionColumns.includes('track_id')) db.run(`ALTER TABLE sessions ADD COLUMN track_id TEXT`);
-    if (!sessionColumns.includes('is_recorded')) db.run(`ALTER TABLE sessions ADD COLUMN is_recorded INTEGER DEFAULT 0`);
-    if (!sessionColumns.includes('recording_url')) db.run(`ALTER TABLE sessions ADD COLUMN recording_url TEXT`);
-    if (!sessionColumns.includes('slides_file')) db.run(`ALTER TABLE sessions ADD COLUMN slides_file TEXT`);
-    if (!sessionColumns.includes('materials_file')) db.run(`ALTER TABLE sessions ADD COLUMN materials_file TEXT`);
-    if (!sessionColumns.includes('capacity')) db.run(`ALTER TABLE sessions ADD COLUMN capacity INTEGER`);
-    if (!sessionColumns.includes('requires_registration')) db.run(`ALTER TABLE sessions ADD COLUMN requires_registration INTEGER DEFAULT 0`);
-    if (!sessionColumns.includes('language')) db.run(`ALTER TABLE sessions ADD COLUMN language TEXT DEFAULT 'en'`);
-
-    // Session attendance tracking
-    db.run(`CREATE TABLE IF NOT EXISTS session_attendance (
-        id TEXT PRIMARY KEY,
-        session_id TEXT,
-        user_id TEXT,
-        checked_in_at TEXT,
-        checked_out_at TEXT,
-        attended_duration INTEGER,
-        UNIQUE(session_id, user_id),
-        FOREIGN KEY (session_id) REFERENCES sessions(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Session ratings
-    db.run(`CREATE TABLE IF NOT EXISTS session_ratings (
-        id TEXT PRIMARY KEY,
-        session_id TEXT,
-        user_id TEXT,
-        rating INTEGER,
-        comment TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(session_id, user_id),
-        FOREIGN KEY (session_id) REFERENCES sessions(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Question upvotes
-    db.run(`CREATE TABLE IF NOT EXISTS question_upvotes (
-        id TEXT PRIMARY KEY,
-        question_id TEXT,
-        user_id TEXT,
-        UNIQUE(question_id, user_id),
-        FOREIGN KEY (question_id) REFERENCES session_questions(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Live polls
-    db.run(`CREATE TABLE IF NOT EXISTS session_polls (
-        id TEXT PRIMARY KEY,
-        session_id TEXT,
-        question TEXT,
-        poll_type TEXT DEFAULT 'single',
-        options TEXT,
-        is_active INTEGER DEFAULT 0,
-        show_results INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        closed_at TEXT,
-        FOREIGN KEY (session_id) REFERENCES sessions(id)
-    )`);
-
-    // Poll responses
-    db.run(`CREATE TABLE IF NOT EXISTS poll_responses (
-        id TEXT PRIMARY KEY,
-        poll_id TEXT,
-        user_id TEXT,
-        selected_options TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(poll_id, user_id),
-        FOREIGN KEY (poll_id) REFERENCES session_polls(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Meeting requests (1:1 networking)
-    db.run(`CREATE TABLE IF NOT EXISTS meeting_requests (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        requester_id TEXT,
-        requestee_id TEXT,
-        message TEXT,
-        proposed_times TEXT,
-        selected_time TEXT,
-        location TEXT,
-        status TEXT DEFAULT 'pending',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id),
-        FOREIGN KEY (requester_id) REFERENCES users(id),
-        FOREIGN KEY (requestee_id) REFERENCES users(id)
-    )`);
-
-    // Visa invitation letter requests
-    db.run(`CREATE TABLE IF NOT EXISTS visa_requests (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        passport_name TEXT,
-        passport_number TEXT,
-        passport_country TEXT,
-        passport_expiry TEXT,
-        date_of_birth TEXT,
-        nationality TEXT,
-        embassy_city TEXT,
-        embassy_country TEXT,
-        additional_info TEXT,
-        letter_file TEXT,
-        status TEXT DEFAULT 'pending',
-        processed_by TEXT,
-        processed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Enhanced volunteers with shifts
-    db.run(`CREATE TABLE IF NOT EXISTS volunteer_shifts (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        date TEXT,
-        start_time TEXT,
-        end_time TEXT,
-        location TEXT,
-        max_volunteers INTEGER DEFAULT 5,
-        required_skills TEXT,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Volunteer shift assignments
-    db.run(`CREATE TABLE IF NOT EXISTS volunteer_assignments (
-        id TEXT PRIMARY KEY,
-        volunteer_id TEXT,
-        shift_id TEXT,
-        status TEXT DEFAULT 'assigned',
-        checked_in_at TEXT,
-        checked_out_at TEXT,
-        notes TEXT,
-        UNIQUE(volunteer_id, shift_id),
-        FOREIGN KEY (volunteer_id) REFERENCES volunteers(id),
-        FOREIGN KEY (shift_id) REFERENCES volunteer_shifts(id)
-    )`);
-
-    // Enhanced sponsors (safely add columns)
-    const sponsorColumns = query.all("PRAGMA table_info(sponsors)").map(c => c.name);
-    if (!sponsorColumns.includes('contact_name')) db.run(`ALTER TABLE sponsors ADD COLUMN contact_name TEXT`);
-    if (!sponsorColumns.includes('contact_email')) db.run(`ALTER TABLE sponsors ADD COLUMN contact_email TEXT`);
-    if (!sponsorColumns.includes('contact_phone')) db.run(`ALTER TABLE sponsors ADD COLUMN contact_phone TEXT`);
-    if (!sponsorColumns.includes('booth_location')) db.run(`ALTER TABLE sponsors ADD COLUMN booth_location TEXT`);
-    if (!sponsorColumns.includes('included_passes')) db.run(`ALTER TABLE sponsors ADD COLUMN included_passes INTEGER DEFAULT 0`);
-    if (!sponsorColumns.includes('contract_file')) db.run(`ALTER TABLE sponsors ADD COLUMN contract_file TEXT`);
-    if (!sponsorColumns.includes('is_exhibitor')) db.run(`ALTER TABLE sponsors ADD COLUMN is_exhibitor INTEGER DEFAULT 0`);
-    // Phase 3E: Sponsor pipeline columns
-    if (!sponsorColumns.includes('status')) db.run(`ALTER TABLE sponsors ADD COLUMN status TEXT DEFAULT 'prospect'`);
-    if (!sponsorColumns.includes('amount_pledged')) db.run(`ALTER TABLE sponsors ADD COLUMN amount_pledged REAL DEFAULT 0`);
-    if (!sponsorColumns.includes('amount_received')) db.run(`ALTER TABLE sponsors ADD COLUMN amount_received REAL DEFAULT 0`);
-    if (!sponsorColumns.includes('notes')) db.run(`ALTER TABLE sponsors ADD COLUMN notes TEXT`);
-    if (!sponsorColumns.includes('is_published')) db.run(`ALTER TABLE sponsors ADD COLUMN is_published INTEGER DEFAULT 0`);
-
-    // Sponsor tasks table
-    db.run(`CREATE TABLE IF NOT EXISTS sponsor_tasks (
-        id TEXT PRIMARY KEY,
-        sponsor_id TEXT NOT NULL,
-        title TEXT NOT NULL,
-        is_completed INTEGER DEFAULT 0,
-        due_date TEXT,
-        assigned_to TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id)
-    )`);
-
-    // Sponsor leads (badge scans at booth)
-    db.run(`CREATE TABLE IF NOT EXISTS sponsor_leads (
-        id TEXT PRIMARY KEY,
-        sponsor_id TEXT,
-        attendee_registration_id TEXT,
-        scanned_by TEXT,
-        notes TEXT,
-        rating INTEGER,
-        follow_up_status TEXT DEFAULT 'new',
-        scanned_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id),
-        FOREIGN KEY (attendee_registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Sponsor materials/downloads
-    db.run(`CREATE TABLE IF NOT EXISTS sponsor_materials (
-        id TEXT PRIMARY KEY,
-        sponsor_id TEXT,
-        title TEXT,
-        description TEXT,
-        file_path TEXT,
-        download_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id)
-    )`);
-
-    // Photo gallery
-    db.run(`CREATE TABLE IF NOT EXISTS conference_photos (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        title TEXT,
-        description TEXT,
-        file_path TEXT,
-        thumbnail_path TEXT,
-        photographer TEXT,
-        uploaded_by TEXT,
-        is_public INTEGER DEFAULT 1,
-        sort_order INTEGER DEFAULT 0,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Certificates of attendance
-    db.run(`CREATE TABLE IF NOT EXISTS certificates (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        certificate_type TEXT DEFAULT 'attendance',
-        certificate_number TEXT UNIQUE,
-        recipient_name TEXT,
-        conference_name TEXT,
-        issue_date TEXT,
-        credits_value REAL,
-        credits_type TEXT,
-        pdf_file TEXT,
-        downloaded_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Feedback surveys
-    db.run(`CREATE TABLE IF NOT EXISTS surveys (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        title TEXT,
-        description TEXT,
-        questions TEXT,
-        is_active INTEGER DEFAULT 1,
-        anonymous INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Survey responses
-    db.run(`CREATE TABLE IF NOT EXISTS survey_responses (
-        id TEXT PRIMARY KEY,
-        survey_id TEXT,
-        user_id TEXT,
-        responses TEXT,
-        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (survey_id) REFERENCES surveys(id)
-    )`);
-
-    // Email templates
-    db.run(`CREATE TABLE IF NOT EXISTS email_templates (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        subject TEXT,
-        subject_hr TEXT,
-        body_html TEXT,
-        body_html_hr TEXT,
-        body_text TEXT,
-        body_text_hr TEXT,
-        variables TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Email log
-    db.run(`CREATE TABLE IF NOT EXISTS email_log (
-        id TEXT PRIMARY KEY,
-        template_id TEXT,
-        recipient_email TEXT,
-        recipient_name TEXT,
-        subject TEXT,
-        status TEXT DEFAULT 'pending',
-        error_message TEXT,
-        sent_at TEXT,
-        opened_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Scheduled emails
-    db.run(`CREATE TABLE IF NOT EXISTS scheduled_emails (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        template_id TEXT,
-        target_audience TEXT,
-        filters TEXT,
-        scheduled_for TEXT,
-        status TEXT DEFAULT 'scheduled',
-        sent_count INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Conference archive info
-    db.run(`CREATE TABLE IF NOT EXISTS conference_archives (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        archive_type TEXT,
-        title TEXT,
-        description TEXT,
-        file_path TEXT,
-        external_url TEXT,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Venue/room info
-    db.run(`CREATE TABLE IF NOT EXISTS venue_rooms (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        floor TEXT,
-        capacity INTEGER,
-        equipment TEXT,
-        map_coordinates TEXT,
-        photo_url TEXT,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Partner hotels
-    db.run(`CREATE TABLE IF NOT EXISTS partner_hotels (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        address TEXT,
-        distance_to_venue TEXT,
-        price_range TEXT,
-        booking_url TEXT,
-        promo_code TEXT,
-        discount_info TEXT,
-        photo_url TEXT,
-        contact_email TEXT,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Conference statistics (cached for dashboard)
-    db.run(`CREATE TABLE IF NOT EXISTS conference_stats (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        stat_date TEXT,
-        total_registrations INTEGER DEFAULT 0,
-        paid_registrations INTEGER DEFAULT 0,
-        total_abstracts INTEGER DEFAULT 0,
-        accepted_abstracts INTEGER DEFAULT 0,
-        total_revenue REAL DEFAULT 0,
-        attendee_countries TEXT,
-        registration_by_type TEXT,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(conference_id, stat_date),
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // ========== FINANCE MODULE TABLES ==========
-
-    // Bank balance entries (manual tracking)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_bank_balance (
-        id TEXT PRIMARY KEY,
-        balance REAL NOT NULL,
-        date TEXT NOT NULL,
-        notes TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Fiscal years management
-    db.run(`CREATE TABLE IF NOT EXISTS finance_fiscal_years (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL UNIQUE,
-        status TEXT DEFAULT 'open',
-        opened_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        closed_at TEXT,
-        closed_by TEXT,
-        archived_at TEXT,
-        notes TEXT
-    )`);
-
-    // Work units for grant tracking
-    db.run(`CREATE TABLE IF NOT EXISTS finance_work_units (
-        id TEXT PRIMARY KEY,
-        code TEXT NOT NULL,
-        name TEXT NOT NULL,
-        description TEXT,
-        grant_source TEXT,
-        fiscal_year INTEGER NOT NULL,
-        budget_total REAL DEFAULT 0,
-        budget_used REAL DEFAULT 0,
-        status TEXT DEFAULT 'active',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        closed_at TEXT
-    )`);
-
-    // Transactions (income/expenses)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_transactions (
-        id TEXT PRIMARY KEY,
-        transaction_number TEXT UNIQUE,
-        transaction_type TEXT NOT NULL,
-        amount REAL NOT NULL,
-        date TEXT NOT NULL,
-        description TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        category TEXT,
-        payment_method TEXT,
-        reference TEXT,
-        status TEXT DEFAULT 'completed',
-        fiscal_year INTEGER,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
-    )`);
-
-    // Sequence numbers for auto-numbering documents
-    db.run(`CREATE TABLE IF NOT EXISTS finance_sequences (
-        id TEXT PRIMARY KEY,
-        sequence_type TEXT NOT NULL,
-        fiscal_year INTEGER NOT NULL,
-        current_value INTEGER DEFAULT 0,
-        prefix TEXT,
-        UNIQUE(sequence_type, fiscal_year)
-    )`);
-
-    // Invoices (incoming and outgoing)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_invoices (
-        id TEXT PRIMARY KEY,
-        invoice_number TEXT UNIQUE,
-        invoice_type TEXT NOT NULL,
-        direction TEXT NOT NULL,
-        status TEXT DEFAULT 'draft',
-        issue_date TEXT,
-        due_date TEXT,
-        paid_date TEXT,
-        fiscalized INTEGER DEFAULT 0,
-        party_name TEXT NOT NULL,
-        party_address TEXT,
-        party_oib TEXT,
-        party_email TEXT,
-        subtotal REAL DEFAULT 0,
-        discount_total REAL DEFAULT 0,
-        vat_total REAL DEFAULT 0,
-        total REAL DEFAULT 0,
-        currency TEXT DEFAULT 'EUR',
-        payment_reference TEXT,
-        payment_iban TEXT,
-        notes TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        fiscal_year INTEGER,
-        transaction_id TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id),
-        FOREIGN KEY (transaction_id) REFERENCES finance_transactions(id)
-    )`);
-
-    // Invoice line items
-    db.run(`CREATE TABLE IF NOT EXISTS finance_invoice_items (
-        id TEXT PRIMARY KEY,
-        invoice_id TEXT NOT NULL,
-        description TEXT NOT NULL,
-        quantity REAL DEFAULT 1,
-        unit_price REAL NOT NULL,
-        discount_percent REAL DEFAULT 0,
-        discount_amount REAL DEFAULT 0,
-        vat_rate REAL DEFAULT 0,
-        vat_amount REAL DEFAULT 0,
-        line_total REAL NOT NULL,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (invoice_id) REFERENCES finance_invoices(id) ON DELETE CASCADE
-    )`);
-
-    // Payment orders
-    db.run(`CREATE TABLE IF NOT EXISTS finance_payment_orders (
-        id TEXT PRIMARY KEY,
-        order_number TEXT UNIQUE,
-        recipient_name TEXT NOT NULL,
-        recipient_iban TEXT,
-        payment_type TEXT DEFAULT 'outgoing',
-        amount REAL NOT NULL,
-        reference TEXT,
-        date TEXT NOT NULL,
-        execution_date TEXT,
-        status TEXT DEFAULT 'pending',
-        description TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        fiscal_year INTEGER,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
-    )`);
-
-    // Travel orders
-    db.run(`CREATE TABLE IF NOT EXISTS finance_travel_orders (
-        id TEXT PRIMARY KEY,
-        order_number TEXT UNIQUE,
-        traveler_id TEXT NOT NULL,
-        traveler_name TEXT NOT NULL,
-        destination TEXT NOT NULL,
-        purpose TEXT,
-        status TEXT DEFAULT 'assigned',
-        planned_departure TEXT,
-        planned_return TEXT,
-        actual_departure TEXT,
-        actual_return TEXT,
-        travel_method TEXT,
-        kilometers REAL DEFAULT 0,
-        cost_transport REAL DEFAULT 0,
-        cost_accommodation REAL DEFAULT 0,
-        cost_daily_allowance REAL DEFAULT 0,
-        cost_other REAL DEFAULT 0,
-        cost_total REAL DEFAULT 0,
-        advance_amount REAL DEFAULT 0,
-        reimbursement_amount REAL DEFAULT 0,
-        notes TEXT,
-        traveler_notes TEXT,
-        rejection_reason TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        fiscal_year INTEGER,
-        assigned_by TEXT,
-        assigned_at TEXT,
-        submitted_at TEXT,
-        approved_by TEXT,
-        approved_at TEXT,
-        paid_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
-    )`);
-
-    // C2: Add issue_date, car_model, registration_plate columns to travel orders
-    try { db.run(`ALTER TABLE finance_travel_orders ADD COLUMN issue_date TEXT`); } catch(e) { /* column already exists */ }
-    try { db.run(`ALTER TABLE finance_travel_orders ADD COLUMN car_model TEXT`); } catch(e) { /* column already exists */ }
-    try { db.run(`ALTER TABLE finance_travel_orders ADD COLUMN registration_plate TEXT`); } catch(e) { /* column already exists */ }
-
-    // Travel order evidence (uploaded files)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_travel_evidence (
-        id TEXT PRIMARY KEY,
-        travel_order_id TEXT NOT NULL,
-        file_type TEXT,
-        file_name TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        file_size INTEGER,
-        uploaded_by TEXT,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (travel_order_id) REFERENCES finance_travel_orders(id) ON DELETE CASCADE
-    )`);
-
-    // Finance settings (company info, templates)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_settings (
-        id TEXT PRIMARY KEY,
-        setting_key TEXT UNIQUE NOT NULL,
-        setting_value TEXT,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
     // Initialize default finance settings
     const defaultSettings = [
         ['company_name', 'Med&X'],
@@ -2103,610 +436,8 @@ async function initializeApp() {
             [uuidv4(), currentYear]);
     }
 
-    // ===== PR & MEDIA TABLES =====
-
-    // Content Calendar - planned/scheduled content across platforms
-    db.run(`CREATE TABLE IF NOT EXISTS pr_content_calendar (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        scheduled_date TEXT NOT NULL,
-        scheduled_time TEXT,
-        status TEXT DEFAULT 'draft',
-        title TEXT,
-        content_text TEXT,
-        image_url TEXT,
-        link_url TEXT,
-        hashtags TEXT,
-        campaign_id TEXT,
-        created_by TEXT,
-        approved_by TEXT,
-        approved_at TEXT,
-        published_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
-    )`);
-
-    // Social Media Posts - published posts with engagement tracking
-    db.run(`CREATE TABLE IF NOT EXISTS pr_posts (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        post_type TEXT DEFAULT 'post',
-        content_text TEXT,
-        image_url TEXT,
-        link_url TEXT,
-        external_post_id TEXT,
-        published_at TEXT,
-        status TEXT DEFAULT 'published',
-        likes INTEGER DEFAULT 0,
-        comments INTEGER DEFAULT 0,
-        shares INTEGER DEFAULT 0,
-        reach INTEGER DEFAULT 0,
-        impressions INTEGER DEFAULT 0,
-        engagement_rate REAL DEFAULT 0,
-        calendar_id TEXT,
-        campaign_id TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (calendar_id) REFERENCES pr_content_calendar(id),
-        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
-    )`);
-
-    // Newsletters - email campaigns
-    db.run(`CREATE TABLE IF NOT EXISTS pr_newsletters (
-        id TEXT PRIMARY KEY,
-        project TEXT,
-        name TEXT NOT NULL,
-        subject TEXT NOT NULL,
-        preview_text TEXT,
-        content_html TEXT,
-        content_json TEXT,
-        template TEXT DEFAULT 'default',
-        status TEXT DEFAULT 'draft',
-        scheduled_for TEXT,
-        sent_at TEXT,
-        recipient_count INTEGER DEFAULT 0,
-        open_count INTEGER DEFAULT 0,
-        click_count INTEGER DEFAULT 0,
-        open_rate REAL DEFAULT 0,
-        click_rate REAL DEFAULT 0,
-        campaign_id TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
-    )`);
-
-    // Newsletter Subscribers
-    db.run(`CREATE TABLE IF NOT EXISTS pr_subscribers (
-        id TEXT PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        first_name TEXT,
-        last_name TEXT,
-        subscribed_projects TEXT DEFAULT 'all',
-        language TEXT DEFAULT 'hr',
-        status TEXT DEFAULT 'active',
-        source TEXT,
-        subscribed_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        unsubscribed_at TEXT,
-        last_email_at TEXT,
-        email_count INTEGER DEFAULT 0,
-        open_count INTEGER DEFAULT 0,
-        click_count INTEGER DEFAULT 0
-    )`);
-
-    // Media Assets - image/file library
-    db.run(`CREATE TABLE IF NOT EXISTS pr_media_assets (
-        id TEXT PRIMARY KEY,
-        project TEXT,
-        name TEXT,
-        asset_type TEXT,
-        file_name TEXT NOT NULL,
-        original_name TEXT,
-        file_path TEXT,
-        file_type TEXT,
-        mime_type TEXT,
-        file_size INTEGER,
-        description TEXT,
-        width INTEGER,
-        height INTEGER,
-        category TEXT DEFAULT 'photo',
-        tags TEXT,
-        alt_text TEXT,
-        caption TEXT,
-        ai_generated INTEGER DEFAULT 0,
-        ai_prompt TEXT,
-        uploaded_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Marketing Campaigns
-    db.run(`CREATE TABLE IF NOT EXISTS pr_campaigns (
-        id TEXT PRIMARY KEY,
-        project TEXT,
-        name TEXT NOT NULL,
-        description TEXT,
-        goal TEXT,
-        start_date TEXT,
-        end_date TEXT,
-        status TEXT DEFAULT 'planning',
-        budget REAL DEFAULT 0,
-        spent REAL DEFAULT 0,
-        target_audience TEXT,
-        platforms TEXT,
-        kpis TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Platform Analytics Snapshots
-    db.run(`CREATE TABLE IF NOT EXISTS pr_analytics (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        date TEXT NOT NULL,
-        followers INTEGER DEFAULT 0,
-        following INTEGER DEFAULT 0,
-        posts_count INTEGER DEFAULT 0,
-        engagement_rate REAL DEFAULT 0,
-        reach INTEGER DEFAULT 0,
-        impressions INTEGER DEFAULT 0,
-        profile_views INTEGER DEFAULT 0,
-        website_clicks INTEGER DEFAULT 0,
-        new_followers INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(project, platform, date)
-    )`);
-
-    // Post Templates
-    db.run(`CREATE TABLE IF NOT EXISTS pr_templates (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        description TEXT,
-        category TEXT,
-        type TEXT DEFAULT 'social',
-        platform TEXT,
-        project TEXT,
-        content_template TEXT,
-        content_html TEXT,
-        image_template TEXT,
-        variables TEXT,
-        is_active INTEGER DEFAULT 1,
-        use_count INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // AI Generation History
-    db.run(`CREATE TABLE IF NOT EXISTS pr_ai_generations (
-        id TEXT PRIMARY KEY,
-        generation_type TEXT NOT NULL,
-        prompt TEXT NOT NULL,
-        output TEXT,
-        result_image_path TEXT,
-        project TEXT,
-        platform TEXT,
-        model TEXT,
-        used INTEGER DEFAULT 0,
-        rating INTEGER,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== BUILDING BRIDGES MINI-EVENTS ==========
-
-    // Simple events table for consulate symposiums
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_events (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        city TEXT NOT NULL,
-        venue_name TEXT,
-        venue_address TEXT,
-        event_date TEXT NOT NULL,
-        event_time TEXT,
-        end_time TEXT,
-        description TEXT,
-        capacity INTEGER DEFAULT 50,
-        registration_open INTEGER DEFAULT 1,
-        registration_deadline TEXT,
-        status TEXT DEFAULT 'upcoming',
-        contact_email TEXT,
-        contact_phone TEXT,
-        notes TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Simple registrations for mini-events
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_registrations (
-        id TEXT PRIMARY KEY,
-        event_id TEXT NOT NULL,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        phone TEXT,
-        institution TEXT,
-        position TEXT,
-        dietary_requirements TEXT,
-        special_requests TEXT,
-        status TEXT DEFAULT 'registered',
-        confirmation_sent INTEGER DEFAULT 0,
-        reminder_sent INTEGER DEFAULT 0,
-        checked_in INTEGER DEFAULT 0,
-        checked_in_at TEXT,
-        notes TEXT,
-        registered_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES bridges_events(id) ON DELETE CASCADE
-    )`);
-
-    // Building Bridges speakers
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_speakers (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        name TEXT NOT NULL,
-        title TEXT,
-        institution TEXT,
-        bio TEXT,
-        photo_url TEXT,
-        talk_title TEXT,
-        is_published INTEGER DEFAULT 0,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Building Bridges program items
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_program (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        title TEXT NOT NULL,
-        description TEXT,
-        speaker_id TEXT,
-        start_time TEXT,
-        end_time TEXT,
-        sort_order INTEGER DEFAULT 0,
-        is_published INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== CONTACT DIRECTORY ==========
-
-    db.run(`CREATE TABLE IF NOT EXISTS contacts (
-        id TEXT PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        email TEXT,
-        phone TEXT,
-        phone_secondary TEXT,
-        organization TEXT,
-        position TEXT,
-        contact_type TEXT DEFAULT 'general',
-        projects TEXT,
-        tags TEXT,
-        address TEXT,
-        city TEXT,
-        country TEXT,
-        website TEXT,
-        linkedin TEXT,
-        notes TEXT,
-        last_contacted TEXT,
-        is_favorite INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Contact interaction history
-    db.run(`CREATE TABLE IF NOT EXISTS contact_interactions (
-        id TEXT PRIMARY KEY,
-        contact_id TEXT NOT NULL,
-        interaction_type TEXT NOT NULL,
-        subject TEXT,
-        notes TEXT,
-        date TEXT DEFAULT CURRENT_TIMESTAMP,
-        created_by TEXT,
-        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
-    )`);
-
-    // ========== EMAIL TEMPLATES LIBRARY ==========
-    // Note: This is separate from conference-specific email_templates table
-
-    db.run(`CREATE TABLE IF NOT EXISTS template_library (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        subject TEXT NOT NULL,
-        body_html TEXT NOT NULL,
-        body_text TEXT,
-        category TEXT DEFAULT 'general',
-        project TEXT,
-        variables TEXT,
-        is_active INTEGER DEFAULT 1,
-        usage_count INTEGER DEFAULT 0,
-        last_used TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== TABLES FROM USER PORTAL (shared schema) ==========
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_prospects (
-        id TEXT PRIMARY KEY,
-        first_name TEXT,
-        last_name TEXT,
-        email TEXT UNIQUE,
-        institution TEXT,
-        specialty TEXT,
-        position TEXT,
-        country TEXT,
-        source TEXT DEFAULT 'manual',
-        import_batch_id TEXT,
-        status TEXT DEFAULT 'not_contacted',
-        notes TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_invitations (
-        id TEXT PRIMARY KEY,
-        prospect_id TEXT,
-        email TEXT,
-        first_name TEXT,
-        last_name TEXT,
-        invitation_code TEXT UNIQUE,
-        sent_at TEXT,
-        delivery_status TEXT DEFAULT 'pending',
-        opened_at TEXT,
-        clicked_at TEXT,
-        applied_at TEXT,
-        application_id TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (prospect_id) REFERENCES forum_prospects(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_email_templates (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        subject TEXT,
-        body_html TEXT,
-        variables TEXT,
-        is_default INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_import_batches (
-        id TEXT PRIMARY KEY,
-        filename TEXT,
-        total_rows INTEGER,
-        imported_count INTEGER,
-        skipped_count INTEGER,
-        errors TEXT,
-        status TEXT DEFAULT 'processing',
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_event_speakers (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        name TEXT NOT NULL,
-        title TEXT,
-        institution TEXT,
-        bio TEXT,
-        photo_url TEXT,
-        talk_title TEXT,
-        talk_abstract TEXT,
-        speaker_type TEXT DEFAULT 'presenter',
-        is_confirmed INTEGER DEFAULT 0,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES forum_events(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_event_schedule (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        title TEXT NOT NULL,
-        description TEXT,
-        session_type TEXT DEFAULT 'session',
-        date TEXT,
-        start_time TEXT,
-        end_time TEXT,
-        room TEXT,
-        speaker_ids TEXT,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES forum_events(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_group_messages (
-        id TEXT PRIMARY KEY,
-        group_id TEXT,
-        sender_id TEXT,
-        message TEXT,
-        attachments TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (group_id) REFERENCES forum_groups(id),
-        FOREIGN KEY (sender_id) REFERENCES forum_members(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_gallery_folders (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        parent_id TEXT,
-        event_year INTEGER,
-        event_name TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_media_folders (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        parent_id TEXT,
-        created_by TEXT,
-        created_at DATETIME DEFAULT (datetime('now'))
-    )`);
-
-    // ===== NETWORKING PORTAL TABLES =====
-    db.run(`CREATE TABLE IF NOT EXISTS networking_profiles (
-        id TEXT PRIMARY KEY,
-        user_id TEXT UNIQUE,
-        career_stage TEXT,
-        looking_for TEXT,
-        research_interests TEXT,
-        working_on TEXT,
-        timezone TEXT DEFAULT 'America/New_York',
-        meeting_format TEXT DEFAULT 'video',
-        open_to_coffee_chats INTEGER DEFAULT 1,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS networking_connections (
-        id TEXT PRIMARY KEY,
-        requester_id TEXT NOT NULL,
-        receiver_id TEXT NOT NULL,
-        status TEXT DEFAULT 'pending',
-        message TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        accepted_at TEXT,
-        FOREIGN KEY (requester_id) REFERENCES users(id),
-        FOREIGN KEY (receiver_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS networking_meetings (
-        id TEXT PRIMARY KEY,
-        organizer_id TEXT NOT NULL,
-        attendee_id TEXT NOT NULL,
-        date TEXT NOT NULL,
-        time TEXT NOT NULL,
-        duration INTEGER DEFAULT 30,
-        type TEXT DEFAULT 'video',
-        topic TEXT,
-        note TEXT,
-        status TEXT DEFAULT 'pending',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (organizer_id) REFERENCES users(id),
-        FOREIGN KEY (attendee_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS gala_registrations (
-        id TEXT PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        institution TEXT,
-        title TEXT,
-        dietary TEXT,
-        requests TEXT,
-        pricing TEXT,
-        status TEXT DEFAULT 'pending',
-        admin_notes TEXT,
-        reviewed_by TEXT,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS admin_section_preferences (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        section_id TEXT NOT NULL,
-        is_enabled INTEGER DEFAULT 1,
-        UNIQUE(user_id, section_id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS portal_content (
-        id TEXT PRIMARY KEY,
-        section TEXT NOT NULL,
-        project TEXT,
-        title TEXT,
-        content TEXT,
-        image_url TEXT,
-        link TEXT,
-        is_published INTEGER DEFAULT 0,
-        sort_order INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS dashboard_preferences (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        section TEXT NOT NULL,
-        card_id TEXT NOT NULL,
-        is_visible INTEGER DEFAULT 1,
-        sort_order INTEGER DEFAULT 0,
-        config TEXT,
-        UNIQUE(user_id, section, card_id)
-    )`);
-
-    // ========== CROSS-PORTAL ALTER TABLE MIGRATIONS ==========
-    // Ensure forum_members has role/banned/muted columns (may be missing if user portal created table first)
-    try { db.run("ALTER TABLE forum_members ADD COLUMN role TEXT DEFAULT 'member'"); } catch(e) {}
-    try { db.run("ALTER TABLE forum_members ADD COLUMN banned INTEGER DEFAULT 0"); } catch(e) {}
-    try { db.run("ALTER TABLE forum_members ADD COLUMN muted INTEGER DEFAULT 0"); } catch(e) {}
-    // Forum columns from user portal
-    try { db.run(`ALTER TABLE forum_members ADD COLUMN industry TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN event_scale TEXT DEFAULT 'small'`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN slug TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN rsvp_deadline TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN venue TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_invitations ADD COLUMN event_id TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_invitations ADD COLUMN event_type TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_invitations ADD COLUMN rsvp_status TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN rsvp_status TEXT DEFAULT 'pending'`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN dietary_requirements TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN accommodation_needed INTEGER DEFAULT 0`); } catch(e) {}
-    // Forum payment tracking columns
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN stripe_session_id TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN payment_date TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN invoice_number TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN name TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN email TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN institution TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN first_name TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN last_name TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_media ADD COLUMN folder_id TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_media ADD COLUMN caption TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE project_timeline_events ADD COLUMN completed INTEGER DEFAULT 0`); } catch(e) {}
-    // pr_ai_generations: add user-portal column aliases so either portal works
-    try { db.run(`ALTER TABLE pr_ai_generations ADD COLUMN type TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE pr_ai_generations ADD COLUMN result_text TEXT`); } catch(e) {}
-    // Gala + Forum check-in columns
-    try { db.run(`ALTER TABLE gala_registrations ADD COLUMN checked_in INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE gala_registrations ADD COLUMN checked_in_at TEXT`); } catch(e) {}
-    // Phase 8: Gala payment & tracking columns
-    try { db.run("ALTER TABLE gala_registrations ADD COLUMN payment_status TEXT DEFAULT 'unpaid'"); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN amount_paid REAL'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN user_id TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN stripe_session_id TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN invoice_number TEXT'); } catch(e) {}
-    // Phase 8: Gala settings table
-    db.run(`CREATE TABLE IF NOT EXISTS gala_settings (
-        id TEXT PRIMARY KEY DEFAULT 'default',
-        title TEXT DEFAULT 'Gala Evening 2026',
-        tagline TEXT DEFAULT 'The Pinnacle of Biomedical Excellence',
-        date TEXT DEFAULT '2026-12-05',
-        time TEXT DEFAULT '18:00',
-        venue TEXT DEFAULT 'Grand Ballroom, Zagreb',
-        dress_code TEXT DEFAULT 'Black Tie / Formal Evening Attire',
-        description TEXT DEFAULT 'The Gala Evening is the crown jewel of Plexus 2026.',
-        capacity INTEGER DEFAULT 150,
-        price_gala_only REAL DEFAULT 95,
-        price_bundle REAL DEFAULT 174,
-        price_bundle_original REAL DEFAULT 194,
-        is_registration_open INTEGER DEFAULT 1,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-    try { db.run("INSERT OR IGNORE INTO gala_settings (id) VALUES ('default')"); } catch(e) {}
-
-    // Add speakers_json and schedule_json columns to gala_settings
-    try { db.run(`ALTER TABLE gala_settings ADD COLUMN speakers_json TEXT`); } catch (e) {}
-    try { db.run(`ALTER TABLE gala_settings ADD COLUMN schedule_json TEXT`); } catch (e) {}
+    // Default gala settings row
+    db.run("INSERT OR IGNORE INTO gala_settings (id) VALUES ('default')");
 
     // Seed default gala speakers and schedule if columns are empty
     const galaCheck = query.get("SELECT speakers_json FROM gala_settings WHERE id = 'default'");
@@ -2727,23 +458,6 @@ async function initializeApp() {
             [defaultGalaSpeakers, defaultGalaSchedule]);
     }
 
-    // Plexus settings (admin-editable)
-    db.run(`CREATE TABLE IF NOT EXISTS plexus_settings (
-        id TEXT PRIMARY KEY DEFAULT 'default',
-        price_student_early REAL DEFAULT 39,
-        price_student_late REAL DEFAULT 59,
-        price_professional_early REAL DEFAULT 99,
-        price_professional_late REAL DEFAULT 149,
-        key_dates_json TEXT,
-        testimonials_json TEXT,
-        conference_start_date TEXT DEFAULT '2026-12-04',
-        conference_end_date TEXT DEFAULT '2026-12-05',
-        early_bird_deadline TEXT DEFAULT '2026-09-30',
-        abstract_deadline TEXT DEFAULT '2026-10-15',
-        is_registration_open INTEGER DEFAULT 1,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
     // Seed default plexus settings if none exist
     const existingPlexusSettings = query.get("SELECT id FROM plexus_settings WHERE id = 'default'");
     if (!existingPlexusSettings) {
@@ -2763,75 +477,136 @@ async function initializeApp() {
             [defaultKeyDates, defaultTestimonials]);
     }
 
-    try { db.run(`ALTER TABLE forum_members ADD COLUMN checked_in INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_members ADD COLUMN checked_in_at TEXT`); } catch(e) {}
-
-    // Per-event check-in toggle
-    try { db.run(`ALTER TABLE sessions ADD COLUMN checkin_enabled INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN checkin_enabled INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE bridges_events ADD COLUMN checkin_enabled INTEGER DEFAULT 0`); } catch(e) {}
-
-    // Phase 5B: Forum event management columns
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN is_published INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN updated_at TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN name TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN email TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN institution TEXT`); } catch(e) {}
-
-    // Phase 6A: Building Bridges publish + sync columns
-    try { db.run(`ALTER TABLE bridges_events ADD COLUMN is_published INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE bridges_events ADD COLUMN updated_at TEXT`); } catch(e) {}
-
-    // Phase 6B: QR code for bridges registrations
-    try { db.run(`ALTER TABLE bridges_registrations ADD COLUMN qr_code TEXT`); } catch(e) {}
-
-    // Phase 6: Admin-to-User Messaging
-    db.run(`CREATE TABLE IF NOT EXISTS direct_messages (
-        id TEXT PRIMARY KEY,
-        sender_id TEXT NOT NULL,
-        receiver_id TEXT NOT NULL,
-        sender_type TEXT DEFAULT 'admin',
-        receiver_type TEXT DEFAULT 'user',
-        title TEXT,
-        content TEXT NOT NULL,
-        attachment_url TEXT,
-        is_read INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT (datetime('now')),
-        updated_at DATETIME DEFAULT (datetime('now'))
-    )`);
-    // Migrations for direct_messages if it already exists from user portal
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN sender_type TEXT DEFAULT 'user'"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN receiver_type TEXT DEFAULT 'user'"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN title TEXT"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN attachment_url TEXT"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN is_read INTEGER DEFAULT 0"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN updated_at TEXT"); } catch(e) {}
-
-    // Migration: add notification_type, target_tier, expires_at, placement to user_notifications
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN notification_type TEXT DEFAULT 'info'"); } catch(e) {}
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN target_tier TEXT DEFAULT 'all'"); } catch(e) {}
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN expires_at TEXT"); } catch(e) {}
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN placement TEXT DEFAULT 'panel'"); } catch(e) {}
-
-    // Member Newsletters table (for email campaigns to user portal members)
-    db.run(`CREATE TABLE IF NOT EXISTS member_newsletters (
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        body TEXT,
-        target_audience TEXT DEFAULT 'all',
-        status TEXT DEFAULT 'draft',
-        sent_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
     saveDb();
 
+    // Requests from the user portal (see shared/portal-signals.js)
+    portalSignals.listen(db, 'admin', {
+        reload: (payload) => {
+            db.reopen();
+            console.log('Database connection reopened (' + (payload?.reason || 'signal') + ')');
+        }
+    });
+
+    // Hourly/daily/weekly snapshots, managed from the tech dashboard
+    backups = new BackupManager({
+        db, Database,
+        dir: BACKUP_DIR,
+        uploads: { admin: uploadsDir, user: USER_UPLOADS_DIR },
+        portal: 'admin',
+        peers: ['user']
+    });
+    backups.start();
+    dataSubjects = createDataSubjects(query, { uploads: { admin: uploadsDir, user: USER_UPLOADS_DIR } });
+
+    audit = createAuditTrail(db, {
+        portal: 'admin',
+        entities: AUDITED_ENTITIES,
+        skip: [/^\/api\/chat\/read$/, /^\/api\/notifications\/[^/]+\/read$/, /^\/api\/events\/ticket$/],
+        omitBody: [/^\/api\/admin\/data-subjects\//]
+    });
+    app.use(audit.middleware);
+
+    permissions = createPermissions(db, { rules: PERMISSION_RULES, staff: STAFF_PATHS });
+
+    sessions = createAuthSessions(db, { jwt, secret: JWT_SECRET, portal: 'admin', accessTtl: ACCESS_TOKEN_TTL });
+    rateLimits = createRateLimiter(db, { portal: 'admin' });
+
+    jobs = createScheduler(db, { portal: 'admin' });
+    jobs.register('housekeeping', {
+        schedule: '30 3 * * *',
+        description: 'Drop ended sign-in sessions, stale rate-limit counters and job runs older than 90 days',
+        handler: () => {
+            sessions.purge();
+            rateLimits.purge();
+            jobs.purgeRuns();
+            outbox.purgeBodies();
+        }
+    });
+
+    outbox = createOutbox(db, {
+        portal: 'admin',
+        from: process.env.SMTP_FROM || 'Med&X Accelerator <accelerator@medx.hr>',
+        transport: process.env.SMTP_USER && process.env.EMAIL_TRANSPORT !== 'dev' ? smtpTransport(emailTransporter) : null,
+        capture: CAPTURE_EMAIL
+    });
+    emailTemplates = createEmailTemplates(db, { outbox });
+    emailTemplates.ensureDefaults();
+    jobs.register('email-outbox-admin', {
+        schedule: '*/5 * * * *',
+        description: 'Retry email from the admin portal that could not be delivered',
+        retries: 0,
+        handler: () => outbox.processDue()
+    });
+    emailTracking = createEmailTracking(db, {
+        secret: process.env.EMAIL_TRACKING_KEY || JWT_SECRET,
+        baseUrl: PUBLIC_URL
+    });
+    subscriptions = createSubscriptions(db, {
+        secret: process.env.EMAIL_TRACKING_KEY || JWT_SECRET,
+        baseUrl: PUBLIC_URL
+    });
+    consents = createConsents(db);
+    liveEvents = createLiveEvents(db, {
+        secret: process.env.LIVE_EVENTS_KEY || JWT_SECRET,
+        portal: 'admin',
+        loadUser: (id) => {
+            const user = query.get('SELECT id, email, is_admin FROM users WHERE id = ?', [id]);
+            if (user) return withRoles(user);
+            return process.env.NODE_ENV === 'development' && id === 'default' ? withRoles(null) : null;
+        },
+        sessionOpen: (id) => sessions.isOpen(id)
+    });
+    webPush = createWebPush(db, {
+        subject: process.env.VAPID_SUBJECT || 'mailto:info@medx.hr',
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY
+    });
+    jobs.register('web-push', {
+        schedule: '* * * * *',
+        description: 'Push new notifications, announcements and session reminders to subscribed browsers; retry failed pushes',
+        retries: 0,
+        handler: () => webPush.processDue()
+    });
+    offlineCheckin = createOfflineCheckin(query, {
+        publicKey: process.env.OFFLINE_CHECKIN_PUBLIC_KEY,
+        privateKey: process.env.OFFLINE_CHECKIN_PRIVATE_KEY,
+        onCheckin: (kind, attendeeId) => { if (kind === 'plexus') publishCheckin(attendeeId); }
+    });
+    fullTextSearch = createSearch(query);
+    scheduledEmails = createScheduledEmails(db, {
+        emailTemplates,
+        conferences: plexusEditions,
+        subscriptions,
+        portalUrl: process.env.USER_PORTAL_URL || 'https://medx-user-portal.onrender.com'
+    });
+    jobs.register('scheduled-emails', {
+        schedule: '*/5 * * * *',
+        description: 'Send scheduled emails whose time has come to their audience',
+        retries: 0,
+        handler: () => scheduledEmails.processDue()
+    });
+    jobs.start();
+
+    // Guards for the public endpoints that can be brute-forced. A failure is a wrong
+    // password, an unknown promo code or an invalid interviewer link.
+    const limitLogin = rateLimits.guard(
+        { rule: 'login', key: req => req.ip, failed: res => res.statusCode === 401 },
+        { rule: 'login-account', key: req => req.body?.email, failed: res => res.statusCode === 401 });
+    const limitApplicantLogin = rateLimits.guard(
+        { rule: 'login', key: req => req.ip, failed: res => res.statusCode === 401 },
+        { rule: 'login-account', key: req => req.body?.email && `applicant:${req.body.email}`, failed: res => res.statusCode === 401 });
+    const limitPasswordReset = rateLimits.guard({ rule: 'password-reset', key: req => req.ip });
+    const limitPromo = rateLimits.guard({ rule: 'promo', key: req => req.ip, failed: (res, body) => res.statusCode === 400 || body?.valid === false });
+    const limitAccessToken = rateLimits.guard({ rule: 'access-token', key: req => req.ip, failed: res => res.statusCode === 403 });
+
+    twoFactor = createTwoFactor(db, { secret: process.env.TWO_FACTOR_KEY || JWT_SECRET, issuer: 'Med&X Admin' });
+
     // Seed data
-    let conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+    let conf = plexusEditions.current();
     if (!conf) {
         const confId = uuidv4();
-        db.run(`INSERT INTO conferences (id, name, year, slug, description, start_date, end_date, venue_name, venue_city, venue_country, early_bird_deadline, regular_deadline, abstract_deadline)
-            VALUES (?, 'Plexus Conference 2026', 2026, 'plexus-2026', 'Where young biomedical minds connect', '2026-12-04', '2026-12-05', 'Hotel Esplanade', 'Zagreb', 'Croatia', '2026-09-01', '2026-11-15', '2026-10-01')`,
+        db.run(`INSERT INTO conferences (id, name, year, slug, series, is_current, description, start_date, end_date, venue_name, venue_city, venue_country, early_bird_deadline, regular_deadline, abstract_deadline)
+            VALUES (?, 'Plexus Conference 2026', 2026, 'plexus-2026', 'plexus', 1, 'Where young biomedical minds connect', '2026-12-04', '2026-12-05', 'Hotel Esplanade', 'Zagreb', 'Croatia', '2026-09-01', '2026-11-15', '2026-10-01')`,
             [confId]);
 
         const tickets = [
@@ -3123,7 +898,7 @@ async function initializeApp() {
         'Petra Horvat': 'https://randomuser.me/api/portraits/women/63.jpg'
     };
     Object.entries(teamPhotoMap).forEach(([name, photoUrl]) => {
-        db.run('UPDATE team_members SET photo_url = ? WHERE name = ? AND (photo_url IS NULL OR photo_url = "")', [photoUrl, name]);
+        db.run("UPDATE team_members SET photo_url = ? WHERE name = ? AND (photo_url IS NULL OR photo_url = '')", [photoUrl, name]);
     });
     saveDb();
 
@@ -4565,7 +2340,7 @@ async function initializeApp() {
     // ========================================
     // SEED EMAIL TEMPLATES
     // ========================================
-    let templatesExist = query.get("SELECT id FROM email_templates LIMIT 1");
+    let templatesExist = query.get("SELECT id FROM template_library LIMIT 1");
     if (!templatesExist) {
         const emailTemplates = [
             // Registration confirmations
@@ -4784,7 +2559,7 @@ async function initializeApp() {
     // ========================================
     let pendingExists = query.get("SELECT id FROM refund_requests LIMIT 1");
     if (!pendingExists) {
-        const confRow = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const confRow = plexusEditions.current();
         const cid = confRow ? confRow.id : 'conf-placeholder';
 
         // Refund requests (schema: id, registration_id, reason, amount_requested, refund_type, status, created_at)
@@ -4923,8 +2698,12 @@ async function initializeApp() {
         }
     }
 
+    // Admins from before team roles (and the seeded ones) become Administrators
+    const legacyAdmins = permissions.grantLegacyAdmins();
+    if (legacyAdmins) console.log(`Granted the admin role to ${legacyAdmins} legacy admin user(s)`);
+
     // ========== AUTH ROUTES ==========
-    app.post('/api/auth/register', async (req, res) => {
+    app.post('/api/auth/register', apiSpec.validate, async (req, res) => {
         try {
             const { email, password, first_name, last_name, institution, country } = req.body;
             if (query.get('SELECT id FROM users WHERE email = ?', [email])) {
@@ -4935,29 +2714,56 @@ async function initializeApp() {
             db.run(`INSERT INTO users (id, email, password_hash, first_name, last_name, institution, country)
                 VALUES (?, ?, ?, ?, ?, ?, ?)`, [id, email, hash, first_name, last_name, institution, country]);
             saveDb();
-            const token = jwt.sign({ id, email, is_admin: 0 }, JWT_SECRET, { expiresIn: '7d' });
-            res.json({ success: true, token, user: { id, email, first_name, last_name, institution, country, is_admin: 0 }});
+            const { token, refreshToken } = signIn({ id }, req);
+            res.json({ success: true, token, refreshToken, user: { id, email, first_name, last_name, institution, country, is_admin: 0 }});
         } catch (e) { console.error(e); res.status(500).json({ error: 'Registration failed' }); }
     });
 
-    app.post('/api/auth/login', async (req, res) => {
+    // Session and profile for a team member who has passed every sign-in step
+    function loginResponse(user, req, options) {
+        const { token, refreshToken } = signIn(user, req, options);
+        return { success: true, token, refreshToken, user: {
+            id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name, institution: user.institution, is_admin: user.is_admin,
+            roles: user.roles, permissions: describePermissions(user.roles), sections: allowedSections(user.roles)
+        }};
+    }
+
+    // With 2FA on (or mandatory but not set up yet) the password alone returns
+    // { twoFactor: 'verify' | 'setup', challengeToken } — unless `code` came along
+    app.post('/api/auth/login', limitLogin, apiSpec.validate, async (req, res) => {
         try {
-            const { email, password } = req.body;
+            const { email, password, code } = req.body;
             const user = query.get('SELECT * FROM users WHERE email = ?', [email]);
             if (!user || !(await bcrypt.compare(password, user.password_hash))) {
                 return res.status(401).json({ error: 'Invalid credentials' });
             }
-            if (!user.is_admin) {
-                return res.status(403).json({ error: 'Admin access only. Please use the user portal.' });
+            if (!permissions.attach(user).roles.length) {
+                return res.status(403).json({ error: 'Team access only. Please use the user portal.' });
+            }
+            const enrolled = twoFactor.isEnabled(user.id);
+            if (enrolled && code) {
+                const method = checkSecondFactor(user, code);
+                return res.json({ ...loginResponse(user, req, { twoFactor: true }), backupCodeUsed: method === 'backup' });
+            }
+            if (enrolled || twoFactorRequired(user)) {
+                return res.json({ twoFactor: enrolled ? 'verify' : 'setup', challengeToken: twoFactorChallenge(user) });
             }
-            const token = jwt.sign({ id: user.id, email: user.email, is_admin: user.is_admin }, JWT_SECRET, { expiresIn: '7d' });
-            res.json({ success: true, token, user: { id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name, institution: user.institution, is_admin: user.is_admin }});
-        } catch (e) { console.error(e); res.status(500).json({ error: 'Login failed' }); }
+            res.json(loginResponse(user, req));
+        } catch (e) {
+            if (e instanceof TwoFactorError) return res.status(e.status).json({ error: e.message });
+            console.error(e);
+            res.status(500).json({ error: 'Login failed' });
+        }
     });
 
     app.get('/api/auth/me', auth, (req, res) => {
         const user = query.get('SELECT id, email, first_name, last_name, phone, institution, country, bio, photo_url, is_admin, is_public_profile FROM users WHERE id = ?', [req.user.id]);
-        res.json(user);
+        res.json(user && {
+            ...user,
+            roles: req.user.roles,
+            permissions: describePermissions(req.user.roles),
+            sections: allowedSections(req.user.roles)
+        });
     });
 
     app.put('/api/auth/profile', auth, (req, res) => {
@@ -4978,7 +2784,235 @@ async function initializeApp() {
         if (!valid) return res.status(401).json({ error: 'Current password is incorrect' });
         const hash = await bcrypt.hash(newPassword, 10);
         db.run('UPDATE users SET password_hash = ? WHERE id = ?', [hash, req.user.id]);
+        const revoked = sessions.revokeAll({ type: 'user', id: req.user.id }, { except: req.sessionId, reason: 'password changed' });
         saveDb();
+        res.json({ success: true, revoked });
+    });
+
+    // ========== SESSIONS & PASSWORD RESET ==========
+
+    // Swap a refresh token for a new access token; the refresh token is rotated every time
+    app.post('/api/auth/refresh', (req, res) => {
+        try {
+            res.json({ success: true, ...sessions.refresh(req.body.refreshToken, 'user', userClaims, req) });
+        } catch (err) {
+            if (err instanceof SessionError) return res.status(err.status).json({ error: err.message });
+            console.error('Refresh session error:', err);
+            res.status(500).json({ error: 'Failed to refresh session' });
+        }
+    });
+
+    app.post('/api/auth/logout', auth, (req, res) => {
+        if (req.sessionId) sessions.revoke(req.sessionId);
+        res.json({ success: true });
+    });
+
+    // Devices the user is signed in on
+    app.get('/api/auth/sessions', auth, (req, res) => {
+        res.json(sessions.list({ type: 'user', id: req.user.id }, req.sessionId));
+    });
+
+    // Sign out every other device
+    app.delete('/api/auth/sessions', auth, (req, res) => {
+        const revoked = sessions.revokeAll({ type: 'user', id: req.user.id }, { except: req.sessionId });
+        res.json({ success: true, revoked });
+    });
+
+    app.delete('/api/auth/sessions/:id', auth, (req, res) => {
+        if (!sessions.revoke(req.params.id, 'revoked by user', { type: 'user', id: req.user.id })) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ success: true });
+    });
+
+    // Email a single-use reset link; the answer doesn't reveal whether the account exists
+    app.post('/api/auth/forgot-password', limitPasswordReset, apiSpec.validate, async (req, res) => {
+        try {
+            const email = String(req.body.email || '').trim();
+            if (!email) return res.status(400).json({ error: 'Email is required' });
+            const user = query.get('SELECT id, email, first_name FROM users WHERE email = ?', [email]);
+            if (user) {
+                const resetToken = sessions.createResetToken({ type: 'user', id: user.id }, req);
+                const resetUrl = `${PUBLIC_URL}/?reset=${resetToken}`;
+                await sendEmail(user.email, 'Reset your Med&X password', `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background: #0f172a; color: #C9A962; padding: 20px; text-align: center;">
+                            <h2 style="margin: 0;">Med&X Admin</h2>
+                        </div>
+                        <div style="padding: 20px; background: #ffffff; border: 1px solid #ddd;">
+                            <p>Hi ${user.first_name || 'there'},</p>
+                            <p>We received a request to reset your password. The link below works once, within the next hour:</p>
+                            <p style="text-align: center; margin: 20px 0;">
+                                <a href="${resetUrl}" style="display: inline-block; background: #C9A962; color: #0f172a; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                                    Reset Password
+                                </a>
+                            </p>
+                            <p style="color: #666; font-size: 13px;">
+                                If you didn't ask for this, you can ignore this email — your password stays the same.
+                            </p>
+                        </div>
+                    </div>
+                `);
+                console.log(`[Auth] Password reset link sent to ${user.email}`);
+            }
+            res.json({ success: true, message: 'If an account with that email exists, a reset link has been sent.' });
+        } catch (e) {
+            console.error('Forgot password error:', e);
+            res.status(500).json({ error: 'Failed to send reset link' });
+        }
+    });
+
+    // Set a new password from a reset link; signs the account out everywhere
+    app.post('/api/auth/reset-password', apiSpec.validate, async (req, res) => {
+        try {
+            const { token, password } = req.body;
+            if (!password || password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+            const userId = sessions.consumeResetToken('user', token);
+            if (!userId) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+            const hash = await bcrypt.hash(password, 10);
+            db.run('UPDATE users SET password_hash = ? WHERE id = ?', [hash, userId]);
+            sessions.revokeAll({ type: 'user', id: userId }, { reason: 'password reset' });
+            saveDb();
+            res.json({ success: true, message: 'Password updated. You can now sign in.' });
+        } catch (e) {
+            console.error('Reset password error:', e);
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    });
+
+    // ========== TWO-FACTOR AUTHENTICATION ==========
+
+    // Proof that the password step of a sign-in passed; only the 2FA routes accept it
+    function twoFactorChallenge(user) {
+        return jwt.sign({ id: user.id, purpose: 'two-factor' }, JWT_SECRET, { expiresIn: '10m' });
+    }
+
+    // Wrong codes count per account under the 'two-factor' rate limit (shared/rate-limits.js)
+    function checkSecondFactor(user, code) {
+        try {
+            rateLimits.assert('two-factor', user.id);
+        } catch (err) {
+            if (err instanceof RateLimitError) throw new TwoFactorError(err.message, 429);
+            throw err;
+        }
+        const method = twoFactor.verify(user.id, code);
+        if (!method) {
+            rateLimits.hit('two-factor', user.id, { path: '/api/auth/2fa' });
+            throw new TwoFactorError('Invalid authentication code', 401);
+        }
+        rateLimits.reset('two-factor', user.id);
+        return method;
+    }
+
+    // The setup routes serve a signed-in user (Settings) and a sign-in that still has to
+    // set up 2FA, which sends the challengeToken from /api/auth/login instead
+    function twoFactorSubject(req, res, next) {
+        const challenge = req.body?.challengeToken;
+        if (!challenge) return auth(req, res, next);
+        let decoded = null;
+        try {
+            decoded = jwt.verify(challenge, JWT_SECRET);
+        } catch (err) { /* expired or forged */ }
+        const user = decoded?.purpose === 'two-factor' && query.get('SELECT * FROM users WHERE id = ?', [decoded.id]);
+        if (!user) return res.status(401).json({ error: 'Sign-in expired — please enter your password again' });
+        req.user = permissions.attach(user);
+        req.challenge = true;
+        next();
+    }
+
+    function twoFactorError(res, err, what) {
+        if (err instanceof TwoFactorError) return res.status(err.status).json({ error: err.message });
+        console.error(`${what} error:`, err);
+        res.status(500).json({ error: `Failed to ${what.toLowerCase()}` });
+    }
+
+    app.get('/api/auth/2fa', auth, (req, res) => {
+        res.json({ ...twoFactor.status(req.user.id), required: twoFactorRequired(req.user) });
+    });
+
+    // New secret + QR code for the authenticator app; nothing changes until /enable
+    app.post('/api/auth/2fa/setup', twoFactorSubject, async (req, res) => {
+        try {
+            const { secret, otpauthUrl } = twoFactor.begin(req.user);
+            const qrCode = await QRCode.toDataURL(otpauthUrl);
+            res.json({ secret, otpauthUrl, qrCode });
+        } catch (err) { twoFactorError(res, err, 'Start two-factor setup'); }
+    });
+
+    // Confirm setup with a first code; returns the backup codes (shown once) and, for a
+    // sign-in in progress, the session
+    app.post('/api/auth/2fa/enable', twoFactorSubject, (req, res) => {
+        try {
+            const backupCodes = twoFactor.enable(req.user.id, req.body.code);
+            if (req.challenge) return res.json({ ...loginResponse(req.user, req, { twoFactor: true }), backupCodes });
+            if (req.sessionId) sessions.markTwoFactor(req.sessionId);
+            res.json({ success: true, backupCodes });
+        } catch (err) { twoFactorError(res, err, 'Enable two-factor authentication'); }
+    });
+
+    // Second sign-in step: { challengeToken, code } where code is a TOTP or backup code
+    app.post('/api/auth/2fa/verify', twoFactorSubject, (req, res) => {
+        if (!req.challenge) return res.status(400).json({ error: 'challengeToken is required' });
+        try {
+            const method = checkSecondFactor(req.user, req.body.code);
+            res.json({
+                ...loginResponse(req.user, req, { twoFactor: true }),
+                backupCodeUsed: method === 'backup',
+                backupCodesLeft: twoFactor.status(req.user.id).backup_codes_left
+            });
+        } catch (err) { twoFactorError(res, err, 'Verify code'); }
+    });
+
+    app.post('/api/auth/2fa/backup-codes', auth, (req, res) => {
+        try {
+            checkSecondFactor(req.user, req.body.code);
+            res.json({ success: true, backupCodes: twoFactor.regenerateBackupCodes(req.user.id) });
+        } catch (err) { twoFactorError(res, err, 'Regenerate backup codes'); }
+    });
+
+    app.post('/api/auth/2fa/disable', auth, (req, res) => {
+        if (twoFactorRequired(req.user)) {
+            return res.status(403).json({ error: 'Two-factor authentication is mandatory for accounts with finance or tech access' });
+        }
+        try {
+            checkSecondFactor(req.user, req.body.code);
+            twoFactor.disable(req.user.id);
+            res.json({ success: true });
+        } catch (err) { twoFactorError(res, err, 'Disable two-factor authentication'); }
+    });
+
+    // Lost phone and backup codes: clear someone's 2FA so their next sign-in sets it up
+    // again, and sign them out everywhere
+    app.delete('/api/admin/two-factor/:userId', auth, adminOnly, (req, res) => {
+        if (!twoFactor.status(req.params.userId).enabled) return res.status(404).json({ error: 'Two-factor authentication is not enabled for this account' });
+        twoFactor.disable(req.params.userId);
+        const revoked = sessions.revokeAll({ type: 'user', id: req.params.userId }, { reason: `2FA reset by ${req.user.email}` });
+        res.json({ success: true, revoked });
+    });
+
+    // Any account's sessions, for signing someone out remotely: ?type=user|applicant&subject_id=
+    const sessionSubject = (req) => {
+        const type = req.query.type || 'user';
+        return ['user', 'applicant'].includes(type) && req.query.subject_id ? { type, id: req.query.subject_id } : null;
+    };
+
+    app.get('/api/admin/sessions', auth, adminOnly, (req, res) => {
+        const subject = sessionSubject(req);
+        if (!subject) return res.status(400).json({ error: 'type (user or applicant) and subject_id are required' });
+        res.json(sessions.list(subject, req.sessionId));
+    });
+
+    app.delete('/api/admin/sessions', auth, adminOnly, (req, res) => {
+        const subject = sessionSubject(req);
+        if (!subject) return res.status(400).json({ error: 'type (user or applicant) and subject_id are required' });
+        const revoked = sessions.revokeAll(subject, { reason: `revoked by ${req.user.email}` });
+        res.json({ success: true, revoked });
+    });
+
+    app.delete('/api/admin/sessions/:id', auth, adminOnly, (req, res) => {
+        if (!sessions.revoke(req.params.id, `revoked by ${req.user.email}`)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
         res.json({ success: true });
     });
 
@@ -5067,7 +3101,7 @@ async function initializeApp() {
         res.json(query.all('SELECT * FROM ticket_types WHERE conference_id = ? ORDER BY sort_order', [req.params.confId]));
     });
 
-    app.post('/api/promo-codes/validate', (req, res) => {
+    app.post('/api/promo-codes/validate', limitPromo, (req, res) => {
         const { code, conference_id } = req.body;
         const promo = query.get(`SELECT * FROM promo_codes WHERE code = ? AND conference_id = ? AND is_active = 1
             AND (valid_until IS NULL OR valid_until >= date('now'))
@@ -5102,12 +3136,12 @@ async function initializeApp() {
 
             const finalAmount = Math.max(0, amount - discount);
             const regId = uuidv4();
-            const invoiceNumber = `PLX26-${Date.now().toString().slice(-6)}`;
+            const invoiceNumber = `${plexusEditions.prefix(conf)}-${Date.now().toString().slice(-6)}`;
 
             const qrPath = path.join(uploadsDir, 'tickets', `${regId}.png`);
             const userInfo = query.get('SELECT first_name, last_name FROM users WHERE id = ?', [req.user.id]);
             const attendeeName = userInfo ? `${userInfo.first_name || ''} ${userInfo.last_name || ''}`.trim() : '';
-            await QRCode.toFile(qrPath, JSON.stringify({ id: regId, e: 'plexus-2026', t: ticket.name || 'Standard', n: attendeeName, v: 2 }));
+            await QRCode.toFile(qrPath, JSON.stringify({ id: regId, e: conf.slug, t: ticket.name || 'Standard', n: attendeeName, v: 2 }));
 
             db.run(`INSERT INTO registrations (id, conference_id, user_id, ticket_type_id, status, payment_status, amount_paid, promo_code_id, discount_amount, invoice_number, ticket_qr_code, dietary_requirements, accessibility_needs)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -5335,7 +3369,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Create or update application
-    app.post('/api/accelerator/applications', auth, (req, res) => {
+    app.post('/api/accelerator/applications', auth, apiSpec.validate, (req, res) => {
         try {
             const {
                 year, first_name, last_name, email, phone, date_of_birth, oib, address,
@@ -5365,6 +3399,9 @@ By applying to this program, I provide the following consents:
                 program_type, selected_institution, alternative_institution,
                 previous_experience, special_arrangements, gdpr_consent ? 1 : 0, status || 'draft'
             ]);
+            if (gdpr_consent) {
+                consents.grant('accelerator', { email: email || req.user.email, userId: req.user.id }, { contextId: id, ...fromRequest(req) });
+            }
             saveDb();
             res.json({ id, application_number: appNumber, work_number: workNum });
         } catch (e) {
@@ -5473,7 +3510,7 @@ By applying to this program, I provide the following consents:
         if (!doc) return res.status(404).json({ error: 'Document not found' });
 
         // Check access - user must own the application or be admin
-        if (doc.user_id !== req.user.id && !req.user.is_admin) {
+        if (doc.user_id !== req.user.id && !req.user.can('project.read', 'accelerator')) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
@@ -5522,6 +3559,7 @@ By applying to this program, I provide the following consents:
 
         db.run(`UPDATE accelerator_applications SET status = 'submitted', submitted_at = datetime('now') WHERE id = ?`, [req.params.id]);
         saveDb();
+        pushAcceleratorStatus(req.params.id);
         res.json({ success: true });
     });
 
@@ -5535,7 +3573,7 @@ By applying to this program, I provide the following consents:
             if (!app) return res.status(404).json({ error: 'Application not found' });
 
             // Check access
-            if (app.user_id !== req.user.id && !req.user.is_admin) {
+            if (app.user_id !== req.user.id && !req.user.can('project.read', 'accelerator')) {
                 return res.status(403).json({ error: 'Access denied' });
             }
 
@@ -5891,7 +3929,7 @@ By applying to this program, I provide the following consents:
             const s = `%${search}%`; params.push(s, s, s, s); }
 
         sql += ' ORDER BY a.submitted_at DESC, a.created_at DESC';
-        res.json(query.all(sql, params));
+        res.json(maskPii(req.user, 'accelerator', query.all(sql, params), PII_FIELDS.accelerator));
     });
 
     // Get single application with all details
@@ -5909,11 +3947,11 @@ By applying to this program, I provide the following consents:
         app.messages = query.all('SELECT * FROM accelerator_messages WHERE application_id = ? ORDER BY sent_at DESC', [req.params.id]);
         app.recommendations = query.all('SELECT * FROM accelerator_recommendations WHERE application_id = ?', [req.params.id]);
 
-        res.json(app);
+        res.json(maskPii(req.user, 'accelerator', app, PII_FIELDS.accelerator));
     });
 
     // Submit public application (no auth required for applicants)
-    app.post('/api/accelerator/apply', (req, res) => {
+    app.post('/api/accelerator/apply', apiSpec.validate, (req, res) => {
         try {
             const program = query.get('SELECT * FROM accelerator_programs WHERE is_active = 1 AND is_accepting = 1 ORDER BY year DESC LIMIT 1');
             if (!program) return res.status(400).json({ error: 'Applications are currently closed' });
@@ -5950,6 +3988,7 @@ By applying to this program, I provide the following consents:
                 [id, program.id, program.year, appNumber, workNumber, candidateId, first_name, last_name, email, phone,
                  date_of_birth, oib, address, current_institution, degree_program, year_of_study, gpa, ects_total,
                  previous_experience, special_arrangements, program_type, selected_institution, alternative_institution, 1]);
+            if (email) consents.grant('accelerator', { email }, { contextId: id, ...fromRequest(req) });
             saveDb();
 
             res.json({ success: true, id, application_number: appNumber, work_number: workNumber, candidate_id: candidateId });
@@ -6232,7 +4271,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Magic link access - validates token and returns interviewer session
-    app.get('/api/accelerator/interview-access/:token', (req, res) => {
+    app.get('/api/accelerator/interview-access/:token', limitAccessToken, (req, res) => {
         const interviewer = query.get(`
             SELECT i.*, p.year as program_year
             FROM accelerator_interviewers i
@@ -6274,7 +4313,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Get full application details for interviewer (via magic link)
-    app.get('/api/accelerator/interview-access/:token/application/:appId', (req, res) => {
+    app.get('/api/accelerator/interview-access/:token/application/:appId', limitAccessToken, (req, res) => {
         const interviewer = query.get(
             'SELECT * FROM accelerator_interviewers WHERE access_token = ? AND is_active = 1',
             [req.params.token]);
@@ -6327,7 +4366,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Submit criteria score via magic link
-    app.post('/api/accelerator/interview-access/:token/score', (req, res) => {
+    app.post('/api/accelerator/interview-access/:token/score', limitAccessToken, (req, res) => {
         const { application_id, criterion_id, score } = req.body;
 
         const interviewer = query.get(
@@ -6376,7 +4415,7 @@ By applying to this program, I provide the following consents:
                 return res.status(404).json({ error: 'Interviewer not found' });
             }
 
-            const baseUrl = req.headers.origin || `http://localhost:${PORT}`;
+            const baseUrl = PUBLIC_URL;
             const magicLink = `${baseUrl}/evaluate?token=${interviewer.access_token}`;
 
             const emailHtml = `
@@ -6988,8 +5027,8 @@ By applying to this program, I provide the following consents:
     });
 
     // Apply for Forum membership
-    app.post('/api/forum/apply', auth, (req, res) => {
-        const { specialty, institution, position, bio, research_interests, career_stage, application_text } = req.body;
+    app.post('/api/forum/apply', auth, apiSpec.validate, (req, res) => {
+        const { specialty, institution, position, bio, research_interests, career_stage, application_text, gdpr_consent } = req.body;
         const existing = query.get(`SELECT id FROM forum_members WHERE user_id = ?`, [req.user.id]);
 
         if (existing) {
@@ -7000,6 +5039,10 @@ By applying to this program, I provide the following consents:
         db.run(`INSERT INTO forum_members (id, user_id, specialty, institution, position, bio, research_interests, career_stage, application_text, membership_status, application_submitted_at)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', datetime('now'))`,
             [id, req.user.id, specialty, institution, position, bio, research_interests, career_stage, application_text]);
+        if (gdpr_consent) {
+            db.run(`UPDATE forum_members SET gdpr_consent_date = datetime('now') WHERE id = ?`, [id]);
+            consents.grant('forum', { email: req.user.email, userId: req.user.id }, { contextId: id, ...fromRequest(req) });
+        }
         saveDb();
         res.json({ success: true, id });
     });
@@ -7035,7 +5078,7 @@ By applying to this program, I provide the following consents:
     // Get Forum member directory
     app.get('/api/forum/members', auth, (req, res) => {
         const currentMember = query.get(`SELECT * FROM forum_members WHERE user_id = ? AND membership_status = 'approved'`, [req.user.id]);
-        if (!currentMember && !req.user.is_admin) {
+        if (!currentMember && !req.user.can('project.read', 'forum')) {
             return res.status(403).json({ error: 'Forum access required' });
         }
 
@@ -7224,7 +5267,7 @@ By applying to this program, I provide the following consents:
     // Create post
     app.post('/api/forum/posts', auth, (req, res) => {
         let authorId;
-        if (req.user.is_admin) {
+        if (req.user.can('project.write', 'forum')) {
             // Admins can post without forum membership
             const currentMember = query.get(`SELECT id FROM forum_members WHERE user_id = ?`, [req.user.id]);
             authorId = currentMember ? currentMember.id : req.user.id;
@@ -7380,7 +5423,7 @@ By applying to this program, I provide the following consents:
 
         const id = uuidv4();
         // For admin uploads, auto-approve
-        const isApproved = req.user.is_admin ? 1 : 0;
+        const isApproved = req.user.can('project.write', 'forum') ? 1 : 0;
 
         db.run(`INSERT INTO forum_media (id, uploader_id, title, caption, file_url, gallery_name, folder_id, media_type, is_approved, approved_by)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -7878,6 +5921,170 @@ By applying to this program, I provide the following consents:
         res.json(member);
     });
 
+    // ========== TEAM ROLES ==========
+
+    // Roles, projects and every team member's assignments
+    app.get('/api/admin/roles', auth, adminOnly, (req, res) => {
+        const members = {};
+        for (const row of permissions.listAssignments()) {
+            const m = members[row.team_member_id] ||= { id: row.team_member_id, name: row.name, title: row.title, user_id: row.user_id, email: row.email,
+                two_factor: !!row.user_id && twoFactor.isEnabled(row.user_id), roles: [] };
+            if (row.role_id) m.roles.push({ id: row.role_id, role: row.role, project: row.project, granted_by: row.granted_by, created_at: row.created_at });
+        }
+        res.json({
+            roles: Object.entries(ROLES).map(([key, r]) => ({ key, label: r.label, scoped: !!r.scoped, permissions: r.permissions })),
+            projects: PROJECTS,
+            members: Object.values(members)
+        });
+    });
+
+    // Grant a role; { team_member_id, role, project?, email? } — email links a member that has no login yet
+    app.post('/api/admin/roles', auth, adminOnly, (req, res) => {
+        const { team_member_id, role, project, email } = req.body;
+        const member = query.get('SELECT * FROM team_members WHERE id = ?', [team_member_id]);
+        if (!member) return res.status(404).json({ error: 'Team member not found' });
+        try {
+            if (!member.user_id) {
+                const user = email && query.get('SELECT id FROM users WHERE email = ?', [email.trim().toLowerCase()]);
+                if (!user) return res.status(400).json({ error: 'This team member has no login — give the email of an existing account' });
+                if (query.get('SELECT id FROM team_members WHERE user_id = ?', [user.id])) {
+                    return res.status(409).json({ error: 'That account already belongs to another team member' });
+                }
+                db.run('UPDATE team_members SET user_id = ? WHERE id = ?', [user.id, member.id]);
+            }
+            const id = permissions.grant(member.id, role, project || null, req.user.email);
+            saveDb();
+            res.json({ success: true, id });
+        } catch (err) {
+            if (err instanceof PermissionError) return res.status(err.status).json({ error: err.message });
+            console.error('Grant role error:', err);
+            res.status(500).json({ error: 'Failed to grant role' });
+        }
+    });
+
+    // Revoke a role assignment
+    app.delete('/api/admin/roles/:id', auth, adminOnly, (req, res) => {
+        try {
+            const removed = permissions.revoke(req.params.id);
+            if (!removed) return res.status(404).json({ error: 'Role assignment not found' });
+            saveDb();
+            res.json({ success: true });
+        } catch (err) {
+            if (err instanceof PermissionError) return res.status(err.status).json({ error: err.message });
+            console.error('Revoke role error:', err);
+            res.status(500).json({ error: 'Failed to revoke role' });
+        }
+    });
+
+    // ========== DATA SUBJECTS (GDPR) ==========
+
+    function dataSubjectError(res, err, label) {
+        if (err instanceof DataSubjectError) return res.status(err.status).json({ error: err.message });
+        console.error(`${label} error:`, err);
+        res.status(500).json({ error: `${label} failed` });
+    }
+
+    // Every record linked to an address and what erasure would do with it
+    app.get('/api/admin/data-subjects', auth, adminOnly, (req, res) => {
+        try {
+            res.json({ ...dataSubjects.find(req.query.email), requests: dataSubjects.requests({ email: req.query.email }) });
+        } catch (err) {
+            dataSubjectError(res, err, 'Data subject lookup');
+        }
+    });
+
+    app.get('/api/admin/data-subjects/requests', auth, adminOnly, (req, res) => {
+        res.json(dataSubjects.requests());
+    });
+
+    // Zip with a JSON file per table plus the person's uploaded files
+    app.get('/api/admin/data-subjects/export', auth, adminOnly, (req, res) => {
+        try {
+            const { filename, buffer } = dataSubjects.exportZip(req.query.email, { requestedBy: req.user.id });
+            res.set({ 'Content-Type': 'application/zip', 'Content-Disposition': `attachment; filename="${filename}"` }).send(buffer);
+        } catch (err) {
+            dataSubjectError(res, err, 'Data export');
+        }
+    });
+
+    // Irreversible — the address has to be typed again as `confirm`
+    app.post('/api/admin/data-subjects/erase', auth, adminOnly, (req, res) => {
+        const { email, confirm } = req.body;
+        if (!email || String(confirm || '').trim().toLowerCase() !== String(email).trim().toLowerCase()) {
+            return res.status(400).json({ error: 'Type the email address again to confirm the erasure' });
+        }
+        try {
+            res.json({ success: true, ...dataSubjects.erase(email, { requestedBy: req.user.id }) });
+        } catch (err) {
+            dataSubjectError(res, err, 'Erasure');
+        }
+    });
+
+    // ========== CONSENTS (shared/consents.js) ==========
+
+    function consentError(res, err, label) {
+        if (err instanceof ConsentError) return res.status(err.status).json({ error: err.message });
+        console.error(`${label} error:`, err);
+        res.status(500).json({ error: `${label} failed` });
+    }
+
+    // Counts per purpose plus what the filters offer
+    app.get('/api/admin/consents/summary', auth, adminOnly, (req, res) => {
+        res.json({
+            purposes: consents.summary().map(p => ({ ...p, context: CONSENT_PURPOSES[p.purpose].context })),
+            conferences: query.all('SELECT id, name FROM conferences ORDER BY year DESC, name')
+        });
+    });
+
+    // Who may be photographed, emailed, ... — ?purpose=photography&conference_id=&status=active&q=&format=csv|xlsx
+    app.get('/api/admin/consents', auth, adminOnly, (req, res) => {
+        const { purpose, status, conference_id, q, format } = req.query;
+        try {
+            const rows = consents.holders(purpose, { status: status || 'active', conferenceId: conference_id || null, q: q || null, limit: format ? 5000 : 500 });
+            if (!format) return res.json(rows);
+
+            const headers = ['Name', 'Email', 'Purpose', 'For', 'Policy version', 'Given', 'Source', 'Withdrawn', 'Withdrawn via'];
+            const dataRows = rows.map(r => [
+                `${r.first_name || ''} ${r.last_name || ''}`.trim(), r.email, CONSENT_PURPOSES[r.purpose].label.en,
+                r.conference_name || r.application_number || '', r.policy_version, r.granted_at, r.source,
+                r.withdrawn_at || (r.purpose === 'newsletter' && r.subscription_status === 'unsubscribed' ? 'unsubscribed from PR email' : ''),
+                r.withdrawn_source || ''
+            ]);
+            const filename = `consents_${purpose}_${new Date().toISOString().slice(0, 10)}`;
+            if (format === 'xlsx') {
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+                return res.send(generateXlsxBuffer(headers, dataRows, 'Consents'));
+            }
+            const csv = [headers.join(',')];
+            dataRows.forEach(r => csv.push(r.map(v => `"${sanitizeCsvCell(v).replace(/"/g, '""')}"`).join(',')));
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+            res.send(csv.join('\n'));
+        } catch (err) {
+            consentError(res, err, 'Consent query');
+        }
+    });
+
+    // A withdrawal received by email, phone or in person
+    app.post('/api/admin/consents/:id/withdraw', auth, adminOnly, (req, res) => {
+        try {
+            const consent = consents.withdraw({ id: req.params.id }, { ...fromRequest(req), by: req.user.id });
+            saveDb();
+            res.json(consent);
+        } catch (err) {
+            consentError(res, err, 'Consent withdrawal');
+        }
+    });
+
+    // ========== LIVE EVENTS (shared/live-events.js) ==========
+
+    // Short-lived ticket for opening the stream — EventSource can't send the Bearer token
+    app.post('/api/events/ticket', auth, liveEvents.ticketHandler);
+
+    // Server-sent events: ?ticket=...&channels=chat:<id>,notifications:<userId>,checkins:<conferenceId>
+    app.get('/api/events', liveEvents.streamHandler);
+
     // ========== CHANNEL ROUTES ==========
 
     // Get all channels (optionally filtered by project)
@@ -8065,6 +6272,7 @@ By applying to this program, I provide the following consents:
             LEFT JOIN team_members rt ON r.sender_id = rt.id
             WHERE m.id = ?
         `, [id]);
+        if (targetChannel) liveEvents.publish(`chat:${targetChannel}`, 'chat.message', msg);
         res.json(msg);
     });
 
@@ -8153,12 +6361,14 @@ By applying to this program, I provide the following consents:
             [member.id, channel_id]);
 
         if (existing) {
-            db.run('UPDATE channel_read_status SET last_read_at = datetime("now") WHERE id = ?', [existing.id]);
+            db.run("UPDATE channel_read_status SET last_read_at = datetime('now') WHERE id = ?", [existing.id]);
         } else {
             db.run('INSERT INTO channel_read_status (id, user_id, channel_id) VALUES (?, ?, ?)',
                 [uuidv4(), member.id, channel_id]);
         }
         saveDb();
+        const receipt = query.get('SELECT last_read_at FROM channel_read_status WHERE user_id = ? AND channel_id = ?', [member.id, channel_id]);
+        liveEvents.publish(`chat:${channel_id}`, 'chat.read', { channel_id, member_id: member.id, last_read_at: receipt?.last_read_at });
         res.json({ success: true });
     });
 
@@ -8272,7 +6482,7 @@ By applying to this program, I provide the following consents:
     // ========== DASHBOARD SUMMARY ==========
 
     app.get('/api/dashboard/summary', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = plexusEditions.resolve(req);
         const program = query.get('SELECT id FROM accelerator_programs WHERE is_active = 1');
 
         const summary = {
@@ -8304,7 +6514,7 @@ By applying to this program, I provide the following consents:
     });
 
     app.get('/api/dashboard/portal-stats', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = plexusEditions.resolve(req);
         const program = query.get('SELECT id FROM accelerator_programs WHERE is_active = 1');
 
         // Trend helpers: compare this week vs last week
@@ -8400,7 +6610,7 @@ By applying to this program, I provide the following consents:
     // Get tasks for a project
     app.get('/api/tasks/:project', auth, adminOnly, (req, res) => {
         // Get parent tasks (no parent_id)
-        const tasks = query.all('SELECT * FROM project_tasks WHERE project = ? AND (parent_id IS NULL OR parent_id = "") ORDER BY sort_order, created_at DESC',
+        const tasks = query.all("SELECT * FROM project_tasks WHERE project = ? AND (parent_id IS NULL OR parent_id = '') ORDER BY sort_order, created_at DESC",
             [req.params.project]);
         // Attach files and subtasks to each task
         tasks.forEach(task => {
@@ -8570,11 +6780,7 @@ By applying to this program, I provide the following consents:
             const notifMessage = `You've been assigned the first step of sequence "${name}" (${projectName}). It's active now!`;
 
             if (teamMember?.user_id) {
-                db.run(
-                    `INSERT INTO admin_notifications (id, user_id, type, title, message, project, created_at)
-                     VALUES (?, ?, 'sequence_step', ?, ?, ?, datetime('now'))`,
-                    [uuidv4(), teamMember.user_id, notifTitle, notifMessage, project || null]
-                );
+                createAdminNotification({ userId: teamMember.user_id, type: 'sequence_step', title: notifTitle, message: notifMessage, project });
             }
 
             createUserNotification({
@@ -8651,11 +6857,7 @@ By applying to this program, I provide the following consents:
 
                 // Admin in-app notification
                 if (teamMember?.user_id) {
-                    db.run(
-                        `INSERT INTO admin_notifications (id, user_id, type, title, message, project, created_at)
-                         VALUES (?, ?, 'sequence_step', ?, ?, ?, datetime('now'))`,
-                        [uuidv4(), teamMember.user_id, notifTitle, notifMessage, sequence.project || null]
-                    );
+                    createAdminNotification({ userId: teamMember.user_id, type: 'sequence_step', title: notifTitle, message: notifMessage, project: sequence.project });
                 }
 
                 // User-portal notification
@@ -8900,10 +7102,12 @@ By applying to this program, I provide the following consents:
         res.download(fullPath, file.original_name);
     });
 
-    // Search across projects, tasks, files
-    app.get('/api/search', auth, adminOnly, (req, res) => {
+    // Search: project tasks, files and folders by name, plus everything in the full-text
+    // index (registrations, speakers, applications, invoices, chat, ...) ranked and grouped
+    // by type. ?types=a,b narrows the index search, ?limit= sets hits per type.
+    app.get('/api/search', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { q } = req.query;
-        if (!q || q.length < 2) return res.json({ tasks: [], files: [], folders: [] });
+        if (!q || q.length < 2) return res.json({ tasks: [], files: [], folders: [], total: 0, groups: [] });
 
         const searchTerm = `%${q}%`;
         const tasks = query.all(`SELECT * FROM project_tasks WHERE title LIKE ? OR description LIKE ? LIMIT 10`,
@@ -8913,7 +7117,18 @@ By applying to this program, I provide the following consents:
         const folders = query.all(`SELECT * FROM project_folders WHERE name LIKE ? LIMIT 10`,
             [searchTerm]);
 
-        res.json({ tasks, files, folders });
+        try {
+            const found = fullTextSearch.search(q, {
+                can: (permission, project) => req.user.can(permission, project),
+                chatChannels: query.all('SELECT id FROM chat_channels').map(c => c.id).filter(id => liveEvents.allowed(req.user, `chat:${id}`)),
+                types: req.query.types ? String(req.query.types).split(',') : undefined,
+                limit: req.query.limit
+            });
+            res.json({ tasks, files, folders, total: found.total, groups: found.groups });
+        } catch (err) {
+            console.error('Search error:', err);
+            res.status(500).json({ error: 'Search failed' });
+        }
     });
 
     // ========== ACCELERATOR ADMIN ROUTES ==========
@@ -8932,7 +7147,7 @@ By applying to this program, I provide the following consents:
         sql += ' ORDER BY a.submitted_at DESC, a.created_at DESC';
 
         const applications = query.all(sql, params);
-        res.json(applications);
+        res.json(maskPii(req.user, 'accelerator', applications, PII_FIELDS.accelerator));
     });
 
     // Get single application (admin)
@@ -8951,9 +7166,25 @@ By applying to this program, I provide the following consents:
         app.second_choice_name = instMap[app.second_choice_institution];
         app.third_choice_name = instMap[app.third_choice_institution];
 
-        res.json(app);
+        res.json(maskPii(req.user, 'accelerator', app, PII_FIELDS.accelerator));
     });
 
+    // Tell the applicant's devices when their Accelerator application changes status
+    const ACCELERATOR_STATUS_PUSH = {
+        submitted: 'Your application has been submitted.',
+        paid: 'Your application fee has been received.',
+        under_review: 'Your application is being reviewed.',
+        accepted: 'Congratulations — your application has been accepted!',
+        rejected: 'A decision has been made on your application.'
+    };
+    function pushAcceleratorStatus(applicationId) {
+        const application = query.get('SELECT id, user_id, status FROM accelerator_applications WHERE id = ?', [applicationId]);
+        if (!application?.user_id || !ACCELERATOR_STATUS_PUSH[application.status]) return;
+        webPush.notify(application.user_id, 'accelerator',
+            { title: 'Med&X Accelerator', body: ACCELERATOR_STATUS_PUSH[application.status], url: '/#accelerator' },
+            { source: 'accelerator-status', sourceId: `${application.id}:${application.status}` });
+    }
+
     // Review application (admin)
     app.put('/api/admin/accelerator/applications/:id/review', auth, adminOnly, (req, res) => {
         const { decision, decision_notes, assigned_institution, reviewer_notes } = req.body;
@@ -8966,6 +7197,7 @@ By applying to this program, I provide the following consents:
             decision, decision_notes, assigned_institution, reviewer_notes, req.user.id, req.params.id
         ]);
         saveDb();
+        pushAcceleratorStatus(req.params.id);
         res.json({ success: true });
     });
 
@@ -9040,9 +7272,19 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
+    // Push a Plexus check-in (or its undo) to that conference's check-in dashboards
+    function publishCheckin(registrationId, type = 'checkin') {
+        const checkin = query.get(`
+            SELECT r.id, r.conference_id, COALESCE(r.first_name, u.first_name) || ' ' || COALESCE(r.last_name, u.last_name) as name,
+                   COALESCE(r.email, u.email) as email, r.checked_in, r.checked_in_at
+            FROM registrations r LEFT JOIN users u ON r.user_id = u.id WHERE r.id = ?`, [registrationId]);
+        if (checkin?.conference_id) liveEvents.publish(`checkins:${checkin.conference_id}`, type, checkin);
+    }
+
     app.post('/api/admin/registrations/:id/checkin', auth, adminOnly, (req, res) => {
-        db.run('UPDATE registrations SET checked_in = 1, checked_in_at = datetime("now") WHERE id = ?', [req.params.id]);
+        db.run("UPDATE registrations SET checked_in = 1, checked_in_at = datetime('now') WHERE id = ?", [req.params.id]);
         saveDb();
+        publishCheckin(req.params.id);
         res.json({ success: true });
     });
 
@@ -9053,8 +7295,9 @@ By applying to this program, I provide the following consents:
                 FROM registrations r JOIN users u ON r.user_id = u.id JOIN ticket_types t ON r.ticket_type_id = t.id WHERE r.id = ?`, [data.id]);
             if (!reg) return res.status(404).json({ error: 'Not found' });
             if (reg.checked_in) return res.json({ success: true, already_checked_in: true, registration: reg });
-            db.run('UPDATE registrations SET checked_in = 1, checked_in_at = datetime("now") WHERE id = ?', [data.id]);
+            db.run("UPDATE registrations SET checked_in = 1, checked_in_at = datetime('now') WHERE id = ?", [data.id]);
             saveDb();
+            publishCheckin(data.id);
             reg.checked_in = 1;
             res.json({ success: true, registration: reg });
         } catch { res.status(400).json({ error: 'Invalid QR' }); }
@@ -9147,11 +7390,68 @@ By applying to this program, I provide the following consents:
 
     // ========== PLEXUS CONFERENCE COMPREHENSIVE APIS ==========
 
+    // Every Plexus route works on req.conference: ?conference=<slug> / X-Conference header, else the current edition
+    app.use(['/api/plexus', '/api/admin/plexus'], plexusEditions.middleware);
+
+    // --- EDITIONS ---
+
+    // List editions (newest first) with registration counts
+    app.get('/api/admin/plexus/editions', auth, adminOnly, (req, res) => {
+        const editions = plexusEditions.editions().map(c => ({
+            ...c,
+            label: plexusEditions.label(c),
+            registrations: query.get("SELECT COUNT(*) as c FROM registrations WHERE conference_id = ? AND status != 'cancelled'", [c.id])?.c || 0
+        }));
+        res.json({ current: plexusEditions.current()?.slug || null, editions });
+    });
+
+    // Switch the edition attendees register for
+    app.put('/api/admin/plexus/editions/current', auth, adminOnly, (req, res) => {
+        const conf = plexusEditions.bySlug(req.body.slug);
+        if (!conf) return res.status(404).json({ error: 'Conference not found' });
+        const current = plexusEditions.setCurrent(conf.id);
+        res.json({ success: true, current });
+    });
+
+    // Rollover wizard: what the selected edition would copy, plus past rollovers
+    app.get('/api/admin/plexus/rollover', auth, adminOnly, (req, res) => {
+        const conf = req.conference;
+        if (!conf) return res.status(404).json({ error: 'Conference not found' });
+        const counts = conferenceRollover.countComponents(query, conf);
+        res.json({
+            source: { ...conf, label: plexusEditions.label(conf) },
+            components: Object.entries(conferenceRollover.COMPONENTS).map(([key, c]) => ({ key, label: c.label, count: counts[key] })),
+            suggested: { year: conf.year + 1, slug: `plexus-${conf.year + 1}`, name: conf.name.replace(String(conf.year), String(conf.year + 1)), offset_days: 364 },
+            history: conferenceRollover.listRollovers(query)
+        });
+    });
+
+    // Clone the selected edition into a new one (attendees, payments and check-ins stay behind)
+    app.post('/api/admin/plexus/rollover', auth, adminOnly, (req, res) => {
+        const source = req.conference;
+        if (!source) return res.status(404).json({ error: 'Conference not found' });
+        const { name, year, slug, offset_days, components, make_current } = req.body;
+        try {
+            const result = conferenceRollover.cloneEdition(query, source, {
+                name, year: parseInt(year), slug, offsetDays: parseInt(offset_days) || 0,
+                components: Array.isArray(components) ? components : [], createdBy: req.user.id
+            });
+            if (make_current) result.conference = plexusEditions.setCurrent(result.conference.id);
+            saveDb();
+            console.log(`[Rollover] ${source.slug} -> ${slug} by ${req.user.email}:`, result.copied);
+            res.json({ success: true, ...result });
+        } catch (err) {
+            if (err instanceof conferenceRollover.RolloverError) return res.status(err.status).json({ error: err.message });
+            console.error('Rollover error:', err);
+            res.status(500).json({ error: 'Failed to clone conference' });
+        }
+    });
+
     // --- REGISTRATION FLOW ---
 
     // Get conference info for registration
     app.get('/api/plexus/conference', (req, res) => {
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.status(404).json({ error: 'Conference not found' });
 
         const tickets = query.all('SELECT * FROM ticket_types WHERE conference_id = ? ORDER BY sort_order', [conf.id]);
@@ -9179,9 +7479,9 @@ By applying to this program, I provide the following consents:
     });
 
     // Validate promo code
-    app.post('/api/plexus/promo/validate', (req, res) => {
+    app.post('/api/plexus/promo/validate', limitPromo, (req, res) => {
         const { code } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const promo = query.get('SELECT * FROM promo_codes WHERE conference_id = ? AND code = ? AND is_active = 1', [conf.id, code?.toUpperCase()]);
 
         if (!promo) return res.json({ valid: false, message: 'Invalid promo code' });
@@ -9197,7 +7497,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Start registration (Step 1: Personal info + account creation)
-    app.post('/api/plexus/register/start', async (req, res) => {
+    app.post('/api/plexus/register/start', apiSpec.validate, async (req, res) => {
         const { email, password, first_name, last_name, phone, institution, country, title, department } = req.body;
 
         // Check if user exists
@@ -9222,21 +7522,21 @@ By applying to this program, I provide the following consents:
         }
 
         // Check if already registered for this conference
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const existingReg = query.get('SELECT * FROM registrations WHERE conference_id = ? AND user_id = ? AND status != ?', [conf.id, user.id, 'cancelled']);
         if (existingReg) return res.status(400).json({ error: 'Already registered for this conference', registration_id: existingReg.id });
 
         // Create token for continuing registration
-        const token = jwt.sign({ id: user.id, email: user.email, is_admin: user.is_admin }, JWT_SECRET, { expiresIn: '24h' });
+        const { token, refreshToken } = signIn(user, req);
 
-        res.json({ success: true, user_id: user.id, token, user: { id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name } });
+        res.json({ success: true, user_id: user.id, token, refreshToken, user: { id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name } });
     });
 
     // Complete registration (Step 2: Ticket selection + payment)
-    app.post('/api/plexus/register/complete', auth, async (req, res) => {
+    app.post('/api/plexus/register/complete', auth, apiSpec.validate, async (req, res) => {
         const { ticket_type_id, registration_type, promo_code, billing_info, registration_details: details } = req.body;
 
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const ticket = query.get('SELECT * FROM ticket_types WHERE id = ?', [ticket_type_id]);
 
         if (!ticket) return res.status(400).json({ error: 'Invalid ticket type' });
@@ -9263,12 +7563,12 @@ By applying to this program, I provide the following consents:
 
         const finalAmount = Math.max(0, price - discount);
         const regId = uuidv4();
-        const invoiceNumber = `PLX26-${String(Date.now()).slice(-6)}`;
+        const invoiceNumber = `${plexusEditions.prefix(conf)}-${String(Date.now()).slice(-6)}`;
 
         // Generate rich QR code for ticket (v2 format with name + ticket type)
         const userForQr = query.get('SELECT first_name, last_name FROM users WHERE id = ?', [req.user.id]);
         const qrName = userForQr ? `${userForQr.first_name || ''} ${userForQr.last_name || ''}`.trim() : '';
-        const qrData = JSON.stringify({ id: regId, e: 'plexus-2026', t: ticket.name || 'Standard', n: qrName, v: 2 });
+        const qrData = JSON.stringify({ id: regId, e: conf.slug, t: ticket.name || 'Standard', n: qrName, v: 2 });
         const qrCode = await QRCode.toDataURL(qrData);
 
         // Create registration
@@ -9283,6 +7583,10 @@ By applying to this program, I provide the following consents:
                 [regId, details.affiliation_type, billing_info?.name, billing_info?.address, billing_info?.country, billing_info?.vat, billing_info ? 1 : 0,
                  details.arrival_date, details.departure_date, details.accommodation_needed ? 1 : 0, details.hotel_preference,
                  details.networking_interests, details.how_heard_about, details.special_requests, details.gdpr_consent ? 1 : 0, details.photo_consent ? 1 : 0, 1]);
+            const subject = { email: req.user.email, userId: req.user.id };
+            const evidence = { contextId: regId, ...fromRequest(req) };
+            consents.record('registration', subject, !!details.gdpr_consent, evidence);
+            consents.record('photography', subject, !!details.photo_consent, evidence);
         }
 
         // Update ticket sold count
@@ -9302,7 +7606,7 @@ By applying to this program, I provide the following consents:
 
     // Get my registration
     app.get('/api/plexus/my-registration', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const reg = query.get(`SELECT r.*, t.name as ticket_name, t.includes_gala, u.first_name, u.last_name, u.email
             FROM registrations r
             JOIN ticket_types t ON r.ticket_type_id = t.id
@@ -9318,7 +7622,7 @@ By applying to this program, I provide the following consents:
     // Join waiting list
     app.post('/api/plexus/waitlist', auth, (req, res) => {
         const { ticket_type_id } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         // Get next position
         const lastPos = query.get('SELECT MAX(position) as p FROM waitlist WHERE conference_id = ?', [conf.id])?.p || 0;
@@ -9366,7 +7670,7 @@ By applying to this program, I provide the following consents:
     // Apply for scholarship
     app.post('/api/plexus/scholarship', auth, (req, res) => {
         const { institution, country, career_stage, financial_need_statement, research_statement, amount_requested } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const id = uuidv4();
         db.run(`INSERT INTO scholarship_applications (id, conference_id, user_id, institution, country, career_stage, financial_need_statement, research_statement, amount_requested)
@@ -9381,7 +7685,7 @@ By applying to this program, I provide the following consents:
     // Submit abstract
     app.post('/api/plexus/abstracts', auth, (req, res) => {
         const { title, abstract_text, keywords, topic_category, presentation_type, authors } = req.body;
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         // Check deadline
         if (new Date() > new Date(conf.abstract_deadline)) {
@@ -9406,7 +7710,7 @@ By applying to this program, I provide the following consents:
 
     // Get my abstracts
     app.get('/api/plexus/my-abstracts', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const abstracts = query.all('SELECT * FROM abstracts WHERE conference_id = ? AND submitter_id = ? ORDER BY created_at DESC', [conf.id, req.user.id]);
 
         abstracts.forEach(a => {
@@ -9443,7 +7747,7 @@ By applying to this program, I provide the following consents:
 
     // Get full schedule
     app.get('/api/plexus/schedule', (req, res) => {
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.json([]);
         const sessions = query.all(`SELECT s.*, GROUP_CONCAT(sp.name) as speaker_names
             FROM sessions s
@@ -9567,7 +7871,7 @@ By applying to this program, I provide the following consents:
     // Get attendee directory
     app.get('/api/plexus/attendees', auth, (req, res) => {
         const { search, country, institution, interests } = req.query;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         let sql = `SELECT DISTINCT u.id, u.first_name, u.last_name, u.institution, u.country, up.title, up.research_interests, up.is_profile_public
             FROM users u
@@ -9644,7 +7948,7 @@ By applying to this program, I provide the following consents:
     // Request meeting
     app.post('/api/plexus/meetings', auth, (req, res) => {
         const { requestee_id, message, proposed_times } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const id = uuidv4();
         db.run('INSERT INTO meeting_requests (id, conference_id, requester_id, requestee_id, message, proposed_times) VALUES (?, ?, ?, ?, ?, ?)',
@@ -9668,7 +7972,7 @@ By applying to this program, I provide the following consents:
     app.post('/api/plexus/visa-request', auth, (req, res) => {
         const reg = query.get(`SELECT r.id FROM registrations r
             JOIN conferences c ON r.conference_id = c.id
-            WHERE c.slug = 'plexus-2026' AND r.user_id = ?`, [req.user.id]);
+            WHERE c.id = ? AND r.user_id = ?`, [req.conference?.id, req.user.id]);
 
         if (!reg) return res.status(400).json({ error: 'Must be registered to request visa letter' });
 
@@ -9684,7 +7988,7 @@ By applying to this program, I provide the following consents:
 
     // Get partner hotels
     app.get('/api/plexus/hotels', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const hotels = query.all('SELECT * FROM partner_hotels WHERE conference_id = ? ORDER BY sort_order', [conf.id]);
         res.json(hotels);
     });
@@ -9694,7 +7998,7 @@ By applying to this program, I provide the following consents:
     // Apply as volunteer
     app.post('/api/plexus/volunteers', auth, (req, res) => {
         const { availability, preferred_tasks } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const existing = query.get('SELECT * FROM volunteers WHERE conference_id = ? AND user_id = ?', [conf.id, req.user.id]);
         if (existing) return res.status(400).json({ error: 'Already applied' });
@@ -9708,7 +8012,7 @@ By applying to this program, I provide the following consents:
 
     // Get my volunteer status
     app.get('/api/plexus/my-volunteer', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const volunteer = query.get('SELECT * FROM volunteers WHERE conference_id = ? AND user_id = ?', [conf.id, req.user.id]);
 
         if (!volunteer) return res.json(null);
@@ -9726,7 +8030,7 @@ By applying to this program, I provide the following consents:
 
     // Apply as speaker
     app.post('/api/plexus/speaker-application', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { application_type, name, email, institution, title, bio, proposed_title, proposed_abstract, topic_area, presentation_type, duration_requested, av_requirements, previous_experience, target_audience, co_presenter_info, max_participants, required_materials } = req.body;
 
         const id = uuidv4();
@@ -9741,28 +8045,28 @@ By applying to this program, I provide the following consents:
 
     // Get speakers (public - only published ones)
     app.get('/api/plexus/speakers', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const speakers = query.all('SELECT * FROM speakers WHERE conference_id = ? AND is_confirmed = 1 AND is_published = 1 ORDER BY is_keynote DESC, sort_order', [conf.id]);
         res.json(speakers);
     });
 
     // Get sponsors (public - only published ones)
     app.get('/api/plexus/sponsors', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const sponsors = query.all('SELECT * FROM sponsors WHERE conference_id = ? AND is_published = 1 ORDER BY tier DESC, sort_order', [conf.id]);
         res.json(sponsors);
     });
 
     // Get announcements
     app.get('/api/plexus/announcements', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const announcements = query.all('SELECT * FROM announcements WHERE conference_id = ? ORDER BY published_at DESC LIMIT 20', [conf.id]);
         res.json(announcements);
     });
 
     // Get digital poster gallery
     app.get('/api/plexus/posters', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const posters = query.all(`SELECT a.*, af.file_path as poster_file,
             GROUP_CONCAT(aa.first_name || ' ' || aa.last_name, ', ') as author_names
             FROM abstracts a
@@ -9775,14 +8079,14 @@ By applying to this program, I provide the following consents:
 
     // Get photo gallery
     app.get('/api/plexus/photos', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const photos = query.all('SELECT * FROM conference_photos WHERE conference_id = ? AND is_public = 1 ORDER BY sort_order', [conf.id]);
         res.json(photos);
     });
 
     // Get resources/downloads
     app.get('/api/plexus/resources', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const resources = query.all('SELECT * FROM resources WHERE conference_id = ? ORDER BY category, title', [conf.id]);
         res.json(resources);
     });
@@ -9792,7 +8096,7 @@ By applying to this program, I provide the following consents:
         const reg = query.get(`SELECT r.*, u.first_name, u.last_name FROM registrations r
             JOIN users u ON r.user_id = u.id
             JOIN conferences c ON r.conference_id = c.id
-            WHERE c.slug = 'plexus-2026' AND r.user_id = ? AND r.checked_in = 1`, [req.user.id]);
+            WHERE c.id = ? AND r.user_id = ? AND r.checked_in = 1`, [req.conference?.id, req.user.id]);
 
         if (!reg) return res.status(400).json({ error: 'Must attend conference to get certificate' });
 
@@ -9800,10 +8104,10 @@ By applying to this program, I provide the following consents:
 
         if (!cert) {
             const id = uuidv4();
-            const certNumber = `PLX26-CERT-${String(Date.now()).slice(-8)}`;
+            const certNumber = `${plexusEditions.prefix(req.conference)}-CERT-${String(Date.now()).slice(-8)}`;
             db.run(`INSERT INTO certificates (id, registration_id, certificate_type, certificate_number, recipient_name, conference_name, issue_date)
-                VALUES (?, ?, 'attendance', ?, ?, 'Plexus Conference 2026', datetime('now'))`,
-                [id, reg.id, certNumber, `${reg.first_name} ${reg.last_name}`]);
+                VALUES (?, ?, 'attendance', ?, ?, ?, datetime('now'))`,
+                [id, reg.id, certNumber, `${reg.first_name} ${reg.last_name}`, req.conference.name]);
             saveDb();
             cert = query.get('SELECT * FROM certificates WHERE id = ?', [id]);
         }
@@ -9813,7 +8117,7 @@ By applying to this program, I provide the following consents:
 
     // Get survey
     app.get('/api/plexus/survey', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const survey = query.get('SELECT * FROM surveys WHERE conference_id = ? AND is_active = 1', [conf.id]);
         if (!survey) return res.json(null);
 
@@ -9883,6 +8187,7 @@ By applying to this program, I provide the following consents:
 
         db.run("UPDATE registrations SET checked_in = 1, checked_in_at = datetime('now') WHERE id = ?", [regId]);
         saveDb();
+        publishCheckin(regId);
 
         res.json({ success: true, attendee: { ...reg, checked_in: 1 }, qr_info: qrInfo });
     });
@@ -9891,7 +8196,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get all registrations
     app.get('/api/admin/plexus/registrations', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const registrations = query.all(`SELECT r.*,
             COALESCE(r.first_name, u.first_name) as first_name,
             COALESCE(r.last_name, u.last_name) as last_name,
@@ -9909,7 +8214,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get all abstracts
     app.get('/api/admin/plexus/abstracts', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const abstracts = query.all(`SELECT a.*,
             COALESCE(a.submitter_name, u.first_name || ' ' || u.last_name) as submitter_name,
             COALESCE(a.submitter_email, u.email) as submitter_email
@@ -9945,7 +8250,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get dashboard stats
     app.get('/api/admin/plexus/stats', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const stats = {
             total_registrations: query.get('SELECT COUNT(*) as c FROM registrations WHERE conference_id = ?', [conf.id])?.c || 0,
@@ -9968,7 +8273,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Manage promo codes
     app.post('/api/admin/plexus/promo-codes', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { code, discount_type, discount_value, max_uses, valid_until } = req.body;
 
         const id = uuidv4();
@@ -9979,7 +8284,7 @@ By applying to this program, I provide the following consents:
     });
 
     app.get('/api/admin/plexus/promo-codes', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const codes = query.all('SELECT * FROM promo_codes WHERE conference_id = ?', [conf.id]);
         res.json(codes);
     });
@@ -9987,8 +8292,8 @@ By applying to this program, I provide the following consents:
     // Admin: Manage sessions — Phase 3C Schedule Builder
     app.post('/api/admin/plexus/sessions', auth, adminOnly, (req, res) => {
         try {
-            const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
-            if (!conf) return res.status(400).json({ error: 'Conference plexus-2026 not found. Please create the conference first.' });
+            const conf = req.conference;
+            if (!conf) return res.status(400).json({ error: 'No Plexus edition found. Please create the conference first.' });
 
             const { title, description, session_type, day, start_time, end_time, room, track, speaker_ids, capacity, is_published } = req.body;
             if (!title) return res.status(400).json({ error: 'Session title is required' });
@@ -10008,7 +8313,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get all sessions (including unpublished)
     app.get('/api/admin/plexus/sessions', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.json([]);
         const sessions = query.all(`SELECT s.*, GROUP_CONCAT(sp.name) as speaker_names
             FROM sessions s
@@ -10067,7 +8372,7 @@ By applying to this program, I provide the following consents:
     // Admin: Bulk publish sessions
     app.post('/api/admin/plexus/sessions/bulk-publish', auth, adminOnly, (req, res) => {
         const { session_ids } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         let ids = session_ids;
         if (!ids || ids.length === 0) {
             const unpublished = query.all('SELECT id, title FROM sessions WHERE conference_id = ? AND (is_published = 0 OR is_published IS NULL)', [conf.id]);
@@ -10089,7 +8394,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Manage speakers
     app.post('/api/admin/plexus/speakers', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const b = req.body;
 
         const id = uuidv4();
@@ -10107,7 +8412,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Manage volunteer shifts
     app.post('/api/admin/plexus/volunteer-shifts', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { name, description, date, start_time, end_time, location, max_volunteers, required_skills } = req.body;
 
         const id = uuidv4();
@@ -10119,7 +8424,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get volunteers
     app.get('/api/admin/plexus/volunteers', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const volunteers = query.all(`SELECT v.*,
             COALESCE(v.first_name, u.first_name) as first_name,
             COALESCE(v.last_name, u.last_name) as last_name,
@@ -10191,15 +8496,15 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get pending items
     app.get('/api/admin/plexus/pending', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const pending = {
             refunds: query.all(`SELECT rr.*, u.first_name, u.last_name, u.email
                 FROM refund_requests rr JOIN registrations r ON rr.registration_id = r.id JOIN users u ON r.user_id = u.id
                 WHERE r.conference_id = ? AND rr.status = 'pending'`, [conf.id]),
-            visas: query.all(`SELECT vr.*, u.first_name, u.last_name, u.email
+            visas: maskPii(req.user, 'plexus', query.all(`SELECT vr.*, u.first_name, u.last_name, u.email
                 FROM visa_requests vr JOIN registrations r ON vr.registration_id = r.id JOIN users u ON r.user_id = u.id
-                WHERE r.conference_id = ? AND vr.status = 'pending'`, [conf.id]),
+                WHERE r.conference_id = ? AND vr.status = 'pending'`, [conf.id]), PII_FIELDS.visa),
             scholarships: query.all(`SELECT sa.*, u.first_name, u.last_name, u.email
                 FROM scholarship_applications sa JOIN users u ON sa.user_id = u.id
                 WHERE sa.conference_id = ? AND sa.status = 'submitted'`, [conf.id]),
@@ -10214,7 +8519,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get speakers (supports ?year= filter)
     app.get('/api/admin/plexus/speakers', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { year } = req.query;
         let sql = `SELECT * FROM speakers WHERE conference_id = ?`;
         const params = [conf?.id || ''];
@@ -10229,7 +8534,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get distinct speaker years (for year filter dropdown)
     app.get('/api/admin/plexus/speakers/years', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const years = query.all(`SELECT DISTINCT year FROM speakers WHERE conference_id = ? AND year IS NOT NULL ORDER BY year DESC`, [conf?.id || '']);
         res.json(years.map(y => y.year));
     });
@@ -10336,7 +8641,7 @@ By applying to this program, I provide the following consents:
     // Admin: Import speakers from CSV
     app.post('/api/admin/plexus/speakers/import', auth, adminOnly, upload.single('file'), (req, res) => {
         try {
-            const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+            const conf = req.conference;
             const fileContent = fs.readFileSync(req.file.path, 'utf-8');
             const lines = fileContent.split('\n').filter(l => l.trim());
             if (lines.length < 2) return res.status(400).json({ error: 'CSV file must have a header row and at least one data row' });
@@ -10386,8 +8691,8 @@ By applying to this program, I provide the following consents:
         const { speaker_ids, subject, body } = req.body;
         if (!speaker_ids || !speaker_ids.length) return res.status(400).json({ error: 'No speakers selected' });
 
-        const conf = query.get("SELECT name FROM conferences WHERE slug = 'plexus-2026'");
-        const confName = conf?.name || 'Plexus Conference 2026';
+        const conf = req.conference;
+        const confName = conf?.name || plexusEditions.label(conf);
         const results = [];
 
         for (const sid of speaker_ids) {
@@ -10435,7 +8740,7 @@ By applying to this program, I provide the following consents:
         const speaker = query.get('SELECT * FROM speakers WHERE id = ?', [req.params.id]);
         if (!speaker) return res.status(404).json({ error: 'Speaker not found' });
 
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const newYear = req.body.year || new Date().getFullYear();
         const id = uuidv4();
         const invite_code = generateSpeakerInviteCode();
@@ -10464,8 +8769,8 @@ By applying to this program, I provide the following consents:
         }
 
         const portalUrl = `http://localhost:3000/?section=speaker&code=${encodeURIComponent(inviteCode)}`;
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
-        const confName = conf?.name || 'Plexus 2026';
+        const conf = req.conference;
+        const confName = conf?.name || plexusEditions.label(conf);
 
         const emailHtml = `
 <!DOCTYPE html>
@@ -10536,7 +8841,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get sponsors
     app.get('/api/admin/plexus/sponsors', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const sponsors = query.all(`SELECT * FROM sponsors WHERE conference_id = ? ORDER BY tier, name`, [conf?.id || '']);
         res.json(sponsors || []);
     });
@@ -10544,7 +8849,7 @@ By applying to this program, I provide the following consents:
     // Admin: Add sponsor
     app.post('/api/admin/plexus/sponsors', auth, adminOnly, (req, res) => {
         const { name, tier, website, logo_url, description, status, amount_pledged, amount_received, contact_name, contact_email, notes, is_published } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const id = uuidv4();
         db.run(`INSERT INTO sponsors (id, conference_id, name, tier, website, logo_url, description, status, amount_pledged, amount_received, contact_name, contact_email, notes, is_published, created_at)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
@@ -10617,7 +8922,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Export volunteers CSV
     app.get('/api/admin/plexus/volunteers/export', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const volunteers = query.all(`SELECT v.*,
             COALESCE(v.first_name, u.first_name) as first_name,
             COALESCE(v.last_name, u.last_name) as last_name,
@@ -10663,7 +8968,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Recent check-ins
     app.get('/api/admin/plexus/recent-checkins', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const checkins = query.all(`
             SELECT r.id, u.first_name || ' ' || u.last_name as name, u.email, r.checked_in_at
             FROM registrations r
@@ -10771,6 +9076,18 @@ By applying to this program, I provide the following consents:
 
     // ========== MONTHLY PROJECT REMINDERS ==========
 
+    // Helper: in-app notification for one staff member, pushed to their live stream as well
+    function createAdminNotification({ userId, type, title, message, project }) {
+        const id = uuidv4();
+        db.run(
+            `INSERT INTO admin_notifications (id, user_id, type, title, message, project, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+            [id, userId, type, title, message, project || null]
+        );
+        liveEvents.publish(`notifications:${userId}`, 'notification', query.get('SELECT * FROM admin_notifications WHERE id = ?', [id]));
+        return id;
+    }
+
     // Get notifications for current user
     app.get('/api/notifications', auth, (req, res) => {
         const notifications = query.all(
@@ -10781,9 +9098,10 @@ By applying to this program, I provide the following consents:
     });
 
     // Mark notification as read
-    app.put('/api/notifications/:id/read', auth, (req, res) => {
+    app.put('/api/notifications/:id/read', auth, apiSpec.validate, (req, res) => {
         db.run('UPDATE admin_notifications SET is_read = 1 WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
         saveDb();
+        liveEvents.publish(`notifications:${req.user.id}`, 'notification.read', { id: req.params.id });
         res.json({ success: true });
     });
 
@@ -10792,17 +9110,14 @@ By applying to this program, I provide the following consents:
         const now = new Date();
         const month = now.toLocaleString('default', { month: 'long' });
         const year = now.getFullYear();
-        const day = now.getDate();
-
-        // Only send on the 1st of the month
-        if (day !== 1) return;
 
         // Check if already sent this month
         const alreadySent = query.get(
             'SELECT id FROM monthly_reminders_sent WHERE month = ? AND year = ?',
             [month, year]
         );
-        if (alreadySent) return;
+        if (alreadySent) return { skipped: `already sent for ${month} ${year}` };
+        let sent = 0;
 
         console.log(`Sending monthly project reminders for ${month} ${year}...`);
 
@@ -10817,15 +9132,11 @@ By applying to this program, I provide the following consents:
             if (diffDays > 0) {
                 // Send notification to all admins about this project
                 admins.forEach(admin => {
-                    const notifId = uuidv4();
                     const title = `${proj.project.charAt(0).toUpperCase() + proj.project.slice(1)} Reminder`;
                     const message = `${diffDays} days remaining until ${proj.project}! Event date: ${eventDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
 
-                    db.run(
-                        `INSERT INTO admin_notifications (id, user_id, type, title, message, project, created_at)
-                         VALUES (?, ?, 'monthly_reminder', ?, ?, ?, datetime('now'))`,
-                        [notifId, admin.id, title, message, proj.project]
-                    );
+                    createAdminNotification({ userId: admin.id, type: 'monthly_reminder', title, message, project: proj.project });
+                    sent++;
                 });
             }
         });
@@ -10835,11 +9146,15 @@ By applying to this program, I provide the following consents:
         saveDb();
 
         console.log('Monthly reminders sent successfully!');
+        return { sent };
     }
 
-    // Check for monthly reminders on startup and then daily
-    checkAndSendMonthlyReminders();
-    setInterval(checkAndSendMonthlyReminders, 24 * 60 * 60 * 1000); // Check daily
+    // Both portals register it; the 1st-of-month run happens once (monthly_reminders_sent guards reruns)
+    jobs.register('monthly-reminders', {
+        schedule: '0 8 1 * *',
+        description: 'Days-until-event notifications for every upcoming project, to all admins',
+        handler: checkAndSendMonthlyReminders
+    });
 
     // ========== USER NOTIFICATIONS (Admin → User Portal) ==========
 
@@ -10852,6 +9167,9 @@ By applying to this program, I provide the following consents:
             [id, userId || null, userGroup || 'all', category || 'system', project || null, title, message || '', link || null, icon || 'fa-bell', iconClass || 'system', createdBy || null, notificationType || 'info', targetTier || 'all', expiresAt || null, placement || 'panel']
         );
         saveDb();
+        // Group- and tier-targeted ones aren't pushed; those clients pick them up on their next fetch
+        const audience = userId || ((userGroup || 'all') === 'all' && (targetTier || 'all') === 'all' ? 'all' : null);
+        if (audience) liveEvents.publish(`notifications:${audience}`, 'user_notification', query.get('SELECT * FROM user_notifications WHERE id = ?', [id]));
         return id;
     }
 
@@ -10898,6 +9216,128 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
+    // ========== EMAIL TEMPLATES ==========
+    // Wording of the transactional emails the portals send by key (shared/email-templates.js).
+    // Keys and variable types are fixed by the code that sends them; the text is editable.
+
+    function templateError(res, err, label) {
+        if (err instanceof TemplateError) return res.status(err.status).json({ error: err.message, errors: err.errors, missing: err.missing });
+        console.error(label, err);
+        res.status(500).json({ error: 'Email template request failed' });
+    }
+
+    app.get('/api/admin/email-templates', auth, adminOnly, (req, res) => {
+        try {
+            const variableTypes = Object.fromEntries(Object.entries(EMAIL_VARIABLE_TYPES).map(([type, t]) => [type, t.fields]));
+            res.json({ success: true, templates: emailTemplates.list(), variableTypes });
+        } catch (err) {
+            templateError(res, err, 'Email templates list error:');
+        }
+    });
+
+    app.get('/api/admin/email-templates/:key', auth, adminOnly, (req, res) => {
+        const template = emailTemplates.get(req.params.key);
+        if (!template) return res.status(404).json({ error: 'Email template not found' });
+        res.json({ success: true, template });
+    });
+
+    app.put('/api/admin/email-templates/:key', auth, adminOnly, (req, res) => {
+        try {
+            const template = emailTemplates.update(req.params.key, req.body || {}, req.user.email);
+            res.json({ success: true, template });
+        } catch (err) {
+            templateError(res, err, 'Email template update error:');
+        }
+    });
+
+    app.post('/api/admin/email-templates/:key/restore', auth, adminOnly, (req, res) => {
+        try {
+            res.json({ success: true, template: emailTemplates.restoreDefault(req.params.key, req.user.email) });
+        } catch (err) {
+            templateError(res, err, 'Email template restore error:');
+        }
+    });
+
+    // Render with sample data. Body: { lang, data?, changes? } — changes previews unsaved edits,
+    // data overrides sample values ({ registration: { ticket_type: 'VIP' } })
+    app.post('/api/admin/email-templates/:key/preview', auth, adminOnly, (req, res) => {
+        try {
+            const { lang, data, changes } = req.body || {};
+            res.json({ success: true, ...emailTemplates.preview(req.params.key, { lang, data, changes }) });
+        } catch (err) {
+            templateError(res, err, 'Email template preview error:');
+        }
+    });
+
+    // ========== SCHEDULED EMAILS ==========
+    // Emails to an audience (paid Plexus registrants, Accelerator applicants missing
+    // documents, Forum members by specialty) sent by the scheduled-emails job at
+    // scheduled_for. Times are ISO strings and stored in UTC.
+
+    function scheduledEmailError(res, err, label) {
+        if (err instanceof ScheduledEmailError || err instanceof TemplateError) return res.status(err.status).json({ error: err.message });
+        console.error(label, err);
+        res.status(500).json({ error: 'Scheduled email request failed' });
+    }
+
+    app.get('/api/admin/scheduled-emails', auth, adminOnly, (req, res) => {
+        try {
+            res.json({
+                success: true,
+                emails: scheduledEmails.list({ status: req.query.status || null }),
+                audiences: scheduledEmails.audiences(),
+                templates: emailTemplates.list().map(t => ({ key: t.key, name: t.name, variables: t.variables }))
+            });
+        } catch (err) {
+            scheduledEmailError(res, err, 'Scheduled emails list error:');
+        }
+    });
+
+    app.post('/api/admin/scheduled-emails', auth, adminOnly, (req, res) => {
+        try {
+            res.json({ success: true, email: scheduledEmails.create(req.body || {}, req.user.email) });
+        } catch (err) {
+            scheduledEmailError(res, err, 'Scheduled email create error:');
+        }
+    });
+
+    // Who an audience reaches right now. Body: { target_audience, filters }
+    app.post('/api/admin/scheduled-emails/audience-preview', auth, adminOnly, (req, res) => {
+        try {
+            const { target_audience, filters } = req.body || {};
+            res.json({ success: true, ...scheduledEmails.previewAudience(target_audience, filters) });
+        } catch (err) {
+            scheduledEmailError(res, err, 'Audience preview error:');
+        }
+    });
+
+    app.get('/api/admin/scheduled-emails/:id', auth, adminOnly, (req, res) => {
+        const email = scheduledEmails.get(req.params.id);
+        if (!email) return res.status(404).json({ error: 'Scheduled email not found' });
+        res.json({ success: true, email });
+    });
+
+    app.get('/api/admin/scheduled-emails/:id/recipients', auth, adminOnly, (req, res) => {
+        if (!scheduledEmails.get(req.params.id)) return res.status(404).json({ error: 'Scheduled email not found' });
+        res.json({ success: true, recipients: scheduledEmails.recipients(req.params.id, { status: req.query.status || null }) });
+    });
+
+    app.put('/api/admin/scheduled-emails/:id/reschedule', auth, adminOnly, (req, res) => {
+        try {
+            res.json({ success: true, email: scheduledEmails.reschedule(req.params.id, req.body?.scheduled_for) });
+        } catch (err) {
+            scheduledEmailError(res, err, 'Scheduled email reschedule error:');
+        }
+    });
+
+    app.post('/api/admin/scheduled-emails/:id/cancel', auth, adminOnly, (req, res) => {
+        try {
+            res.json({ success: true, email: scheduledEmails.cancel(req.params.id, req.user.email) });
+        } catch (err) {
+            scheduledEmailError(res, err, 'Scheduled email cancel error:');
+        }
+    });
+
     // ========== MEMBER NEWSLETTERS ==========
 
     // List all newsletters
@@ -11067,7 +9507,7 @@ By applying to this program, I provide the following consents:
     // ========== PUBLIC APPLICANT PORTAL API ==========
 
     // Applicant registration
-    app.post('/api/applicant/register', async (req, res) => {
+    app.post('/api/applicant/register', apiSpec.validate, async (req, res) => {
         try {
             const { email, password, first_name, last_name } = req.body;
 
@@ -11091,7 +9531,7 @@ By applying to this program, I provide the following consents:
             saveDb();
 
             // Send verification email
-            const baseUrl = req.headers.origin || `http://localhost:${PORT}`;
+            const baseUrl = PUBLIC_URL;
             const verifyLink = `${baseUrl}/apply?verify=${verificationToken}`;
             await sendEmail(email, 'Med&X Accelerator - Verify Your Email', `
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -11135,7 +9575,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Applicant login
-    app.post('/api/applicant/login', async (req, res) => {
+    app.post('/api/applicant/login', limitApplicantLogin, apiSpec.validate, async (req, res) => {
         try {
             const { email, password } = req.body;
 
@@ -11154,19 +9594,15 @@ By applying to this program, I provide the following consents:
             }
 
             // Update last login
-            db.run('UPDATE accelerator_applicants SET last_login = datetime("now") WHERE id = ?', [applicant.id]);
+            db.run("UPDATE accelerator_applicants SET last_login = datetime('now') WHERE id = ?", [applicant.id]);
             saveDb();
 
-            // Generate JWT token
-            const token = jwt.sign(
-                { id: applicant.id, email: applicant.email, type: 'applicant' },
-                JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            const { token, refreshToken } = sessions.issue({ type: 'applicant', id: applicant.id }, applicantClaims(applicant.id), req);
 
             res.json({
                 success: true,
                 token,
+                refreshToken,
                 applicant: {
                     id: applicant.id,
                     email: applicant.email,
@@ -11187,18 +9623,125 @@ By applying to this program, I provide the following consents:
             return res.status(401).json({ error: 'Unauthorized' });
         }
 
+        const decoded = sessions.verify(authHeader.substring(7), 'applicant');
+        if (!decoded) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        req.applicant = decoded;
+        next();
+    };
+
+    // Applicant sessions — refresh, sign out, list and revoke (see shared/auth-sessions.js)
+    app.post('/api/applicant/refresh', (req, res) => {
+        try {
+            res.json({ success: true, ...sessions.refresh(req.body.refreshToken, 'applicant', applicantClaims, req) });
+        } catch (err) {
+            if (err instanceof SessionError) return res.status(err.status).json({ error: err.message });
+            console.error('Applicant refresh error:', err);
+            res.status(500).json({ error: 'Failed to refresh session' });
+        }
+    });
+
+    app.post('/api/applicant/logout', applicantAuth, (req, res) => {
+        sessions.revoke(req.applicant.sid);
+        res.json({ success: true });
+    });
+
+    app.get('/api/applicant/sessions', applicantAuth, (req, res) => {
+        res.json(sessions.list({ type: 'applicant', id: req.applicant.id }, req.applicant.sid));
+    });
+
+    // Sign out every other device
+    app.delete('/api/applicant/sessions', applicantAuth, (req, res) => {
+        const revoked = sessions.revokeAll({ type: 'applicant', id: req.applicant.id }, { except: req.applicant.sid });
+        res.json({ success: true, revoked });
+    });
+
+    app.delete('/api/applicant/sessions/:id', applicantAuth, (req, res) => {
+        if (!sessions.revoke(req.params.id, 'revoked by user', { type: 'applicant', id: req.applicant.id })) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ success: true });
+    });
+
+    // Consents the applicant gave, and withdrawing them (shared/consents.js)
+    app.get('/api/applicant/consents', applicantAuth, (req, res) => {
+        res.json({
+            purposes: describePurposes(req.query.lang),
+            consents: consents.forSubject({ email: req.applicant.email, applicantId: req.applicant.id })
+        });
+    });
+
+    app.post('/api/applicant/consents/:id/withdraw', applicantAuth, (req, res) => {
+        if (!consents.belongsTo(req.params.id, { email: req.applicant.email, applicantId: req.applicant.id })) {
+            return res.status(404).json({ error: 'Consent not found' });
+        }
+        try {
+            const consent = consents.withdraw({ id: req.params.id }, { ...fromRequest(req), by: req.applicant.id });
+            saveDb();
+            res.json(consent);
+        } catch (err) {
+            consentError(res, err, 'Consent withdrawal');
+        }
+    });
+
+    // Email a single-use reset link; the answer doesn't reveal whether the account exists
+    app.post('/api/applicant/forgot-password', limitPasswordReset, apiSpec.validate, async (req, res) => {
+        try {
+            const email = String(req.body.email || '').trim().toLowerCase();
+            if (!email) return res.status(400).json({ error: 'Email is required' });
+            const applicant = query.get('SELECT id, email, first_name FROM accelerator_applicants WHERE email = ?', [email]);
+            if (applicant) {
+                const resetToken = sessions.createResetToken({ type: 'applicant', id: applicant.id }, req);
+                const baseUrl = PUBLIC_URL;
+                const resetLink = `${baseUrl}/apply?reset=${resetToken}`;
+                await sendEmail(applicant.email, 'Med&X Accelerator - Reset Your Password', `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background: #22d3ee; color: white; padding: 20px; text-align: center;">
+                            <h2 style="margin: 0;">Med&X Accelerator</h2>
+                        </div>
+                        <div style="padding: 20px; background: #ffffff; border: 1px solid #ddd;">
+                            <p>Hi ${applicant.first_name || 'there'},</p>
+                            <p>We received a request to reset your password. The link below works once, within the next hour:</p>
+                            <p style="text-align: center; margin: 20px 0;">
+                                <a href="${resetLink}" style="display: inline-block; background: #22d3ee; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                                    Reset Password
+                                </a>
+                            </p>
+                            <p style="color: #666; font-size: 13px;">
+                                If you didn't ask for this, you can ignore this email — your password stays the same.
+                            </p>
+                        </div>
+                    </div>
+                `);
+            }
+            res.json({ success: true, message: 'If an account with that email exists, a reset link has been sent.' });
+        } catch (e) {
+            console.error('Applicant forgot password error:', e);
+            res.status(500).json({ error: 'Failed to send reset link' });
+        }
+    });
+
+    // Set a new password from a reset link; signs the applicant out everywhere
+    app.post('/api/applicant/reset-password', apiSpec.validate, async (req, res) => {
         try {
-            const token = authHeader.substring(7);
-            const decoded = jwt.verify(token, JWT_SECRET);
-            if (decoded.type !== 'applicant') {
-                return res.status(401).json({ error: 'Invalid token type' });
+            const { token, password } = req.body;
+            if (!password || password.length < 8) {
+                return res.status(400).json({ error: 'Password must be at least 8 characters' });
             }
-            req.applicant = decoded;
-            next();
+            const applicantId = sessions.consumeResetToken('applicant', token);
+            if (!applicantId) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+            const passwordHash = await bcrypt.hash(password, 10);
+            db.run('UPDATE accelerator_applicants SET password_hash = ?, email_verified = 1, verification_token = NULL WHERE id = ?',
+                [passwordHash, applicantId]);
+            sessions.revokeAll({ type: 'applicant', id: applicantId }, { reason: 'password reset' });
+            saveDb();
+            res.json({ success: true, message: 'Password updated. You can now log in.' });
         } catch (e) {
-            return res.status(401).json({ error: 'Invalid token' });
+            console.error('Applicant reset password error:', e);
+            res.status(500).json({ error: 'Failed to reset password' });
         }
-    };
+    });
 
     // Get applicant profile
     app.get('/api/applicant/profile', applicantAuth, (req, res) => {
@@ -11216,7 +9759,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Update applicant profile
-    app.put('/api/applicant/profile', applicantAuth, (req, res) => {
+    app.put('/api/applicant/profile', applicantAuth, apiSpec.validate, (req, res) => {
         const { first_name, last_name, phone, date_of_birth, nationality, address, city, country,
                 current_institution, faculty, study_year, expected_graduation } = req.body;
 
@@ -11251,7 +9794,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Start a new application
-    app.post('/api/applicant/applications', applicantAuth, (req, res) => {
+    app.post('/api/applicant/applications', applicantAuth, apiSpec.validate, (req, res) => {
         const { year } = req.body;
         const program = query.get('SELECT * FROM accelerator_programs WHERE year = ?', [year || new Date().getFullYear()]);
         if (!program) {
@@ -11296,7 +9839,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Update application
-    app.put('/api/applicant/applications/:id', applicantAuth, (req, res) => {
+    app.put('/api/applicant/applications/:id', applicantAuth, apiSpec.validate, (req, res) => {
         const app = query.get('SELECT * FROM accelerator_applications WHERE id = ? AND user_id = ?',
             [req.params.id, req.applicant.id]);
         if (!app) {
@@ -11348,6 +9891,8 @@ By applying to this program, I provide the following consents:
 
         db.run(`UPDATE accelerator_applications SET status = 'submitted', submitted_at = datetime('now'), gdpr_consent_date = datetime('now') WHERE id = ?`,
             [req.params.id]);
+        consents.grant('accelerator', { email: app.email || req.applicant.email, applicantId: req.applicant.id },
+            { contextId: app.id, ...fromRequest(req) });
         saveDb();
 
         // Send confirmation email
@@ -11805,6 +10350,9 @@ By applying to this program, I provide the following consents:
                     <button class="btn btn-primary" style="width: 100%;" onclick="login()">
                         <i class="fas fa-sign-in-alt"></i> Login
                     </button>
+                    <p style="text-align: center; margin-top: 14px; font-size: 13px;">
+                        <a href="#" onclick="showAuthTab('forgot'); return false;" style="color: var(--accent);">Forgot password?</a>
+                    </p>
                 </div>
             </div>
 
@@ -11836,6 +10384,41 @@ By applying to this program, I provide the following consents:
                     </button>
                 </div>
             </div>
+
+            <div id="forgotForm" class="card hidden">
+                <div class="card-body">
+                    <h3 style="text-align: center; margin-bottom: 20px;">Reset Password</h3>
+                    <div id="forgotMessage" class="alert hidden"></div>
+                    <div class="form-group">
+                        <label>Email</label>
+                        <input type="email" id="forgotEmail" placeholder="your@email.com">
+                    </div>
+                    <button class="btn btn-primary" style="width: 100%;" onclick="forgotPassword()">
+                        <i class="fas fa-envelope"></i> Send Reset Link
+                    </button>
+                    <p style="text-align: center; margin-top: 14px; font-size: 13px;">
+                        <a href="#" onclick="showAuthTab('login'); return false;" style="color: var(--accent);">Back to login</a>
+                    </p>
+                </div>
+            </div>
+
+            <div id="resetForm" class="card hidden">
+                <div class="card-body">
+                    <h3 style="text-align: center; margin-bottom: 20px;">Choose a New Password</h3>
+                    <div id="resetMessage" class="alert hidden"></div>
+                    <div class="form-group">
+                        <label>New Password</label>
+                        <input type="password" id="resetPassword" placeholder="At least 8 characters">
+                    </div>
+                    <div class="form-group">
+                        <label>Repeat New Password</label>
+                        <input type="password" id="resetConfirm" placeholder="Repeat new password">
+                    </div>
+                    <button class="btn btn-primary" style="width: 100%;" onclick="resetPassword()">
+                        <i class="fas fa-key"></i> Set Password
+                    </button>
+                </div>
+            </div>
         </div>
 
         <!-- Dashboard -->
@@ -11893,12 +10476,28 @@ By applying to this program, I provide the following consents:
                     </div>
                     <div class="card-body" id="profileContent"></div>
                 </div>
+                <div class="card">
+                    <div class="card-header">
+                        <span style="font-weight: 600;">Signed-in Devices</span>
+                        <button class="btn btn-secondary" onclick="revokeOtherSessions()"><i class="fas fa-sign-out-alt"></i> Sign Out Other Devices</button>
+                    </div>
+                    <div class="card-body" id="sessionsContent"></div>
+                </div>
+                <div class="card">
+                    <div class="card-header">
+                        <span style="font-weight: 600;">Privacy &amp; Consents</span>
+                    </div>
+                    <div class="card-body" id="consentsContent"></div>
+                </div>
             </div>
         </div>
     </div>
 
     <script>
         let token = localStorage.getItem('applicantToken');
+        let refreshToken = localStorage.getItem('applicantRefreshToken');
+        let refreshTimer = null;
+        let pendingResetToken = null;
         let applicant = null;
         let application = null;
         let programs = { programs: [], institutions: [] };
@@ -11931,22 +10530,107 @@ By applying to this program, I provide the following consents:
                 window.history.replaceState({}, '', '/apply');
             }
 
+            // Password reset link from email
+            pendingResetToken = params.get('reset');
+            if (pendingResetToken) {
+                showAuthTab('reset');
+                window.history.replaceState({}, '', '/apply');
+            }
+
             // Load programs
             try {
                 const res = await fetch('/api/applicant/programs');
                 programs = await res.json();
             } catch (e) {}
 
-            if (token) {
+            if (token && !pendingResetToken) {
+                await refreshSession();
                 await loadDashboard();
             }
         }
 
+        function storeSession(result) {
+            token = result.token;
+            refreshToken = result.refreshToken;
+            localStorage.setItem('applicantToken', token);
+            localStorage.setItem('applicantRefreshToken', refreshToken);
+            scheduleRefresh();
+        }
+
+        // Access tokens are short-lived; renew a minute before this one expires
+        function scheduleRefresh() {
+            clearTimeout(refreshTimer);
+            try {
+                const exp = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))).exp;
+                refreshTimer = setTimeout(refreshSession, Math.max(exp * 1000 - Date.now() - 60000, 5000));
+            } catch (e) {}
+        }
+
+        async function refreshSession() {
+            if (!refreshToken) return false;
+            try {
+                const res = await fetch('/api/applicant/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                if (!res.ok) return false;
+                storeSession(await res.json());
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
         function showAuthTab(tab) {
             document.querySelectorAll('#authSection .tab').forEach(t => t.classList.remove('active'));
-            document.querySelector('#authSection .tab:' + (tab === 'login' ? 'first-child' : 'last-child')).classList.add('active');
-            document.getElementById('loginForm').classList.toggle('hidden', tab !== 'login');
-            document.getElementById('registerForm').classList.toggle('hidden', tab !== 'register');
+            document.querySelector('#authSection .tab:' + (tab === 'register' ? 'last-child' : 'first-child')).classList.add('active');
+            ['login', 'register', 'forgot', 'reset'].forEach(t => {
+                document.getElementById(t + 'Form').classList.toggle('hidden', t !== tab);
+            });
+        }
+
+        function showAuthMessage(id, kind, text) {
+            const el = document.getElementById(id);
+            el.className = 'alert alert-' + kind;
+            el.textContent = text;
+        }
+
+        async function forgotPassword() {
+            const email = document.getElementById('forgotEmail').value.trim();
+            if (!email) return showAuthMessage('forgotMessage', 'error', 'Please enter your email.');
+            try {
+                const res = await fetch('/api/applicant/forgot-password', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email })
+                });
+                const result = await res.json();
+                showAuthMessage('forgotMessage', res.ok ? 'success' : 'error', result.message || result.error);
+            } catch (e) {
+                showAuthMessage('forgotMessage', 'error', 'Could not send the reset link. Please try again.');
+            }
+        }
+
+        async function resetPassword() {
+            const password = document.getElementById('resetPassword').value;
+            if (password.length < 8) return showAuthMessage('resetMessage', 'error', 'Password must be at least 8 characters.');
+            if (password !== document.getElementById('resetConfirm').value) return showAuthMessage('resetMessage', 'error', 'Passwords do not match.');
+            try {
+                const res = await fetch('/api/applicant/reset-password', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token: pendingResetToken, password })
+                });
+                const result = await res.json();
+                if (!res.ok) return showAuthMessage('resetMessage', 'error', result.error);
+                pendingResetToken = null;
+                logout();
+                showAuthTab('login');
+                alert(result.message);
+            } catch (e) {
+                showAuthMessage('resetMessage', 'error', 'Could not reset your password. Please try again.');
+            }
         }
 
         async function register() {
@@ -11992,8 +10676,7 @@ By applying to this program, I provide the following consents:
                 const result = await res.json();
 
                 if (result.success) {
-                    token = result.token;
-                    localStorage.setItem('applicantToken', token);
+                    storeSession(result);
                     applicant = result.applicant;
                     await loadDashboard();
                 } else {
@@ -12007,10 +10690,16 @@ By applying to this program, I provide the following consents:
         }
 
         function logout() {
+            if (token) {
+                fetch('/api/applicant/logout', { method: 'POST', headers: { 'Authorization': 'Bearer ' + token } }).catch(() => {});
+            }
+            clearTimeout(refreshTimer);
             token = null;
+            refreshToken = null;
             applicant = null;
             application = null;
             localStorage.removeItem('applicantToken');
+            localStorage.removeItem('applicantRefreshToken');
             document.getElementById('authSection').classList.remove('hidden');
             document.getElementById('dashboardSection').classList.add('hidden');
             document.getElementById('userNav').innerHTML = '';
@@ -12123,6 +10812,64 @@ By applying to this program, I provide the following consents:
                 '<div class="form-group"><label>Faculty</label><input type="text" id="profFaculty" value="' + (applicant.faculty || '') + '"></div></div>' +
                 '<div class="form-row"><div class="form-group"><label>Year of Study</label><input type="text" id="profYear" value="' + (applicant.study_year || '') + '"></div>' +
                 '<div class="form-group"><label>Expected Graduation</label><input type="text" id="profGrad" value="' + (applicant.expected_graduation || '') + '"></div></div>';
+            loadSessions();
+            loadConsents();
+        }
+
+        async function loadConsents() {
+            const container = document.getElementById('consentsContent');
+            try {
+                const res = await fetch('/api/applicant/consents', { headers: { 'Authorization': 'Bearer ' + token } });
+                const { purposes, consents } = await res.json();
+                const purposeOf = key => purposes.find(p => p.key === key) || { label: key, description: '' };
+                container.innerHTML = consents.length ? consents.map(c =>
+                    '<div style="display: flex; justify-content: space-between; align-items: center; gap: 16px; padding: 10px 0; border-bottom: 1px solid var(--border);">' +
+                    '<div><div style="font-weight: 600;">' + purposeOf(c.purpose).label + (c.context_label ? ' · ' + c.context_label : '') +
+                    (c.active ? ' <span class="badge badge-success">Given</span>' : ' <span class="badge">Withdrawn</span>') + '</div>' +
+                    '<div style="font-size: 13px;">' + purposeOf(c.purpose).description + '</div>' +
+                    '<div style="font-size: 12px; color: var(--muted);">Given ' + new Date(c.granted_at + 'Z').toLocaleDateString() +
+                    ' (policy ' + c.policy_version + ')' + (c.withdrawn_at ? ' · withdrawn ' + new Date(c.withdrawn_at + 'Z').toLocaleDateString() : '') + '</div></div>' +
+                    (c.active ? '<button class="btn btn-secondary" data-id="' + c.id + '" onclick="withdrawConsent(this.dataset.id)">Withdraw</button>' : '') +
+                    '</div>'
+                ).join('') : '<p style="color: var(--muted);">You have not given any consents yet.</p>';
+            } catch (e) {
+                container.innerHTML = '<p style="color: var(--muted);">Could not load your consents.</p>';
+            }
+        }
+
+        async function withdrawConsent(id) {
+            if (!confirm('Withdraw this consent? We will stop processing your data for this purpose. Without consent to process your application data, your application cannot be evaluated.')) return;
+            const res = await fetch('/api/applicant/consents/' + id + '/withdraw', { method: 'POST', headers: { 'Authorization': 'Bearer ' + token } });
+            if (!res.ok) alert((await res.json()).error || 'Could not withdraw the consent');
+            loadConsents();
+        }
+
+        async function loadSessions() {
+            const container = document.getElementById('sessionsContent');
+            try {
+                const res = await fetch('/api/applicant/sessions', { headers: { 'Authorization': 'Bearer ' + token } });
+                const list = await res.json();
+                container.innerHTML = list.map(s =>
+                    '<div style="display: flex; justify-content: space-between; align-items: center; padding: 10px 0; border-bottom: 1px solid var(--border);">' +
+                    '<div><div style="font-weight: 600;">' + s.device + (s.current ? ' <span class="badge badge-success">This device</span>' : '') + '</div>' +
+                    '<div style="font-size: 12px; color: var(--muted);">' + (s.ip || '') + ' · last active ' + new Date((s.last_used_at || s.created_at) + 'Z').toLocaleString() + '</div></div>' +
+                    (s.current ? '' : '<button class="btn btn-secondary" data-id="' + s.id + '" onclick="revokeSession(this.dataset.id)">Sign Out</button>') +
+                    '</div>'
+                ).join('');
+            } catch (e) {
+                container.innerHTML = '<p style="color: var(--muted);">Could not load your devices.</p>';
+            }
+        }
+
+        async function revokeSession(id) {
+            await fetch('/api/applicant/sessions/' + id, { method: 'DELETE', headers: { 'Authorization': 'Bearer ' + token } });
+            loadSessions();
+        }
+
+        async function revokeOtherSessions() {
+            if (!confirm('Sign out of every other device?')) return;
+            await fetch('/api/applicant/sessions', { method: 'DELETE', headers: { 'Authorization': 'Bearer ' + token } });
+            loadSessions();
         }
 
         async function saveProfile() {
@@ -12382,7 +11129,7 @@ By applying to this program, I provide the following consents:
         res.json(balances);
     });
 
-    app.post('/api/finance/bank-balance', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/bank-balance', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { balance, date, notes } = req.body;
         const id = uuidv4();
         db.run('INSERT INTO finance_bank_balance (id, balance, date, notes, created_by) VALUES (?, ?, ?, ?, ?)',
@@ -12403,7 +11150,7 @@ By applying to this program, I provide the following consents:
         res.json(years);
     });
 
-    app.post('/api/finance/years', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/years', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { year } = req.body;
         const id = uuidv4();
         db.run('INSERT INTO finance_fiscal_years (id, year, status) VALUES (?, ?, ?)', [id, year, 'open']);
@@ -12411,7 +11158,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id });
     });
 
-    app.put('/api/finance/years/:year', auth, adminOnly, (req, res) => {
+    app.put('/api/finance/years/:year', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { status, notes } = req.body;
         const year = parseInt(req.params.year);
 
@@ -12453,7 +11200,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/work-units', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/work-units', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { code, name, description, grant_source, fiscal_year, budget_total } = req.body;
         const id = uuidv4();
         db.run(`INSERT INTO finance_work_units (id, code, name, description, grant_source, fiscal_year, budget_total)
@@ -12472,7 +11219,7 @@ By applying to this program, I provide the following consents:
         res.json({ ...wu, transactions });
     });
 
-    app.put('/api/finance/work-units/:id', auth, adminOnly, (req, res) => {
+    app.put('/api/finance/work-units/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { code, name, description, grant_source, budget_total, status } = req.body;
         db.run(`UPDATE finance_work_units SET code = ?, name = ?, description = ?, grant_source = ?, budget_total = ?, status = ? WHERE id = ?`,
             [code, name, description, grant_source, budget_total, status, req.params.id]);
@@ -12542,7 +11289,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/transactions', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/transactions', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { transaction_type, amount, date, description, project, work_unit_id, category, payment_method, reference, fiscal_year } = req.body;
         const id = uuidv4();
         const year = fiscal_year || new Date(date).getFullYear();
@@ -12570,7 +11317,7 @@ By applying to this program, I provide the following consents:
         res.json(t);
     });
 
-    app.put('/api/finance/transactions/:id', auth, adminOnly, (req, res) => {
+    app.put('/api/finance/transactions/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const existing = query.get('SELECT * FROM finance_transactions WHERE id = ?', [req.params.id]);
         if (!existing) return res.status(404).json({ error: 'Not found' });
 
@@ -12636,7 +11383,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/invoices', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/invoices', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { invoice_type, direction, party_name, party_address, party_oib, party_email,
             issue_date, due_date, fiscalized, notes, project, work_unit_id, fiscal_year, items } = req.body;
 
@@ -12696,7 +11443,7 @@ By applying to this program, I provide the following consents:
         res.json({ ...invoice, items });
     });
 
-    app.put('/api/finance/invoices/:id', auth, adminOnly, (req, res) => {
+    app.put('/api/finance/invoices/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { party_name, party_address, party_oib, party_email, issue_date, due_date,
             fiscalized, notes, project, work_unit_id, items } = req.body;
 
@@ -12759,27 +11506,29 @@ By applying to this program, I provide the following consents:
         const invoice = query.get('SELECT * FROM finance_invoices WHERE id = ?', [req.params.id]);
         if (!invoice) return res.status(404).json({ error: 'Not found' });
 
-        // Create a transaction for this payment
-        const transactionType = invoice.direction === 'outgoing' ? 'income' : 'expense';
-        const transactionNumber = getNextSequenceNumber(transactionType, invoice.fiscal_year);
-        const transactionId = uuidv4();
-
-        db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
-            project, work_unit_id, category, fiscal_year, created_by)
-            VALUES (?, ?, ?, ?, date(?), ?, ?, ?, ?, ?, ?)`,
-            [transactionId, transactionNumber, transactionType, invoice.total, 'now',
-             `Payment for invoice ${invoice.invoice_number}`, invoice.project, invoice.work_unit_id,
-             'invoice_payment', invoice.fiscal_year, req.user.id]);
-
-        // Update work unit if expense
-        if (transactionType === 'expense' && invoice.work_unit_id) {
-            db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [invoice.total, invoice.work_unit_id]);
-        }
-
-        db.run('UPDATE finance_invoices SET status = ?, paid_date = date(?), transaction_id = ? WHERE id = ?',
-            ['paid', 'now', transactionId, req.params.id]);
+        // Transaction, budget and invoice status are written as one unit
+        const transactionId = query.transaction(() => {
+            // Create a transaction for this payment
+            const transactionType = invoice.direction === 'outgoing' ? 'income' : 'expense';
+            const transactionNumber = getNextSequenceNumber(transactionType, invoice.fiscal_year);
+            const transactionId = uuidv4();
+
+            db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
+                project, work_unit_id, category, fiscal_year, created_by)
+                VALUES (?, ?, ?, ?, date(?), ?, ?, ?, ?, ?, ?)`,
+                [transactionId, transactionNumber, transactionType, invoice.total, 'now',
+                 `Payment for invoice ${invoice.invoice_number}`, invoice.project, invoice.work_unit_id,
+                 'invoice_payment', invoice.fiscal_year, req.user.id]);
+
+            // Update work unit if expense
+            if (transactionType === 'expense' && invoice.work_unit_id) {
+                db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [invoice.total, invoice.work_unit_id]);
+            }
 
-        saveDb();
+            db.run('UPDATE finance_invoices SET status = ?, paid_date = date(?), transaction_id = ? WHERE id = ?',
+                ['paid', 'now', transactionId, req.params.id]);
+            return transactionId;
+        });
         res.json({ success: true, transaction_id: transactionId });
     });
 
@@ -12921,7 +11670,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/payment-orders', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/payment-orders', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { recipient_name, recipient_iban, payment_type, amount, reference, date, description, project, work_unit_id, fiscal_year } = req.body;
         const id = uuidv4();
         const year = fiscal_year || new Date().getFullYear();
@@ -12944,7 +11693,7 @@ By applying to this program, I provide the following consents:
         res.json(po);
     });
 
-    app.put('/api/finance/payment-orders/:id', auth, adminOnly, (req, res) => {
+    app.put('/api/finance/payment-orders/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { recipient_name, recipient_iban, payment_type, amount, reference, date, execution_date, status, description, project, work_unit_id } = req.body;
         db.run(`UPDATE finance_payment_orders SET recipient_name = ?, recipient_iban = ?, payment_type = ?, amount = ?,
             reference = ?, date = ?, execution_date = ?, status = ?, description = ?, project = ?, work_unit_id = ? WHERE id = ?`,
@@ -12998,7 +11747,7 @@ By applying to this program, I provide the following consents:
         res.json(orders);
     });
 
-    app.post('/api/finance/travel-orders', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/travel-orders', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { traveler_id, traveler_name, destination, purpose, planned_departure, planned_return, travel_method,
             notes, project, work_unit_id, fiscal_year, advance_amount, issue_date, car_model, registration_plate, kilometers } = req.body;
 
@@ -13028,7 +11777,7 @@ By applying to this program, I provide the following consents:
         res.json({ ...order, evidence });
     });
 
-    app.put('/api/finance/travel-orders/:id', auth, adminOnly, (req, res) => {
+    app.put('/api/finance/travel-orders/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { destination, purpose, planned_departure, planned_return, actual_departure, actual_return,
             travel_method, kilometers, cost_transport, cost_accommodation, cost_daily_allowance, cost_other,
             traveler_notes, notes, project, work_unit_id } = req.body;
@@ -13047,7 +11796,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Travel order workflow
-    app.post('/api/finance/travel-orders/:id/submit', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/travel-orders/:id/submit', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { actual_departure, actual_return, travel_method, kilometers,
             cost_transport, cost_accommodation, cost_daily_allowance, cost_other, traveler_notes } = req.body;
 
@@ -13074,7 +11823,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, reimbursement_amount: reimbursement });
     });
 
-    app.post('/api/finance/travel-orders/:id/reject', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/travel-orders/:id/reject', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { rejection_reason } = req.body;
         db.run(`UPDATE finance_travel_orders SET status = 'rejected', rejection_reason = ? WHERE id = ?`,
             [rejection_reason, req.params.id]);
@@ -13083,7 +11832,7 @@ By applying to this program, I provide the following consents:
     });
 
     // C3: Calculate endpoint — approved → calculated
-    app.post('/api/finance/travel-orders/:id/calculate', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/travel-orders/:id/calculate', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { reimbursement_amount } = req.body;
         const order = query.get('SELECT * FROM finance_travel_orders WHERE id = ?', [req.params.id]);
         if (!order) return res.status(404).json({ error: 'Not found' });
@@ -13099,25 +11848,28 @@ By applying to this program, I provide the following consents:
         const order = query.get('SELECT * FROM finance_travel_orders WHERE id = ?', [req.params.id]);
         if (!order) return res.status(404).json({ error: 'Not found' });
 
-        // Create expense transaction
-        const transactionNumber = getNextSequenceNumber('expense', order.fiscal_year);
-        const transactionId = uuidv4();
-
-        db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
-            project, work_unit_id, category, fiscal_year, created_by)
-            VALUES (?, ?, 'expense', ?, date(?), ?, ?, ?, 'travel', ?, ?)`,
-            [transactionId, transactionNumber, order.cost_total, 'now',
-             `Travel order ${order.order_number} - ${order.traveler_name}`, order.project, order.work_unit_id,
-             order.fiscal_year, req.user.id]);
-
-        // Update work unit budget
-        if (order.work_unit_id) {
-            db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [order.cost_total, order.work_unit_id]);
-        }
+        // Transaction, budget and order status are written as one unit
+        const transactionId = query.transaction(() => {
+            // Create expense transaction
+            const transactionNumber = getNextSequenceNumber('expense', order.fiscal_year);
+            const transactionId = uuidv4();
+
+            db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
+                project, work_unit_id, category, fiscal_year, created_by)
+                VALUES (?, ?, 'expense', ?, date(?), ?, ?, ?, 'travel', ?, ?)`,
+                [transactionId, transactionNumber, order.cost_total, 'now',
+                 `Travel order ${order.order_number} - ${order.traveler_name}`, order.project, order.work_unit_id,
+                 order.fiscal_year, req.user.id]);
+
+            // Update work unit budget
+            if (order.work_unit_id) {
+                db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [order.cost_total, order.work_unit_id]);
+            }
 
-        db.run(`UPDATE finance_travel_orders SET status = 'paid', paid_at = datetime(?) WHERE id = ?`,
-            ['now', req.params.id]);
-        saveDb();
+            db.run(`UPDATE finance_travel_orders SET status = 'paid', paid_at = datetime(?) WHERE id = ?`,
+                ['now', req.params.id]);
+            return transactionId;
+        });
         res.json({ success: true, transaction_id: transactionId });
     });
 
@@ -13299,7 +12051,7 @@ By applying to this program, I provide the following consents:
         res.json(settings);
     });
 
-    app.put('/api/finance/settings', auth, adminOnly, (req, res) => {
+    app.put('/api/finance/settings', auth, adminOnly, apiSpec.validate, (req, res) => {
         Object.entries(req.body).forEach(([key, value]) => {
             const existing = query.get('SELECT id FROM finance_settings WHERE setting_key = ?', [key]);
             if (existing) {
@@ -13314,7 +12066,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.post('/api/finance/settings', auth, adminOnly, (req, res) => {
+    app.post('/api/finance/settings', auth, adminOnly, apiSpec.validate, (req, res) => {
         Object.entries(req.body).forEach(([key, value]) => {
             const existing = query.get('SELECT id FROM finance_settings WHERE setting_key = ?', [key]);
             if (existing) {
@@ -13397,8 +12149,8 @@ By applying to this program, I provide the following consents:
                     LEFT JOIN payment_transactions pt ON pt.registration_id = r.id
                     LEFT JOIN invoices i ON i.registration_id = r.id
                     JOIN conferences c ON r.conference_id = c.id
-                    WHERE c.slug = 'plexus-2026' AND r.status != 'cancelled'`;
-                const params = [];
+                    WHERE c.id = ? AND r.status != 'cancelled'`;
+                const params = [plexusEditions.resolve(req)?.id];
                 if (status && status !== 'all') { sql += ' AND r.payment_status = ?'; params.push(status); }
                 if (search) {
                     sql += ' AND (u.first_name LIKE ? OR u.last_name LIKE ? OR u.email LIKE ? OR r.invoice_number LIKE ?)';
@@ -13526,107 +12278,113 @@ By applying to this program, I provide the following consents:
     // Supports all payment types: plexus (conference), gala, accelerator, forum
     app.post('/api/finance/conference-payments/:id/confirm', auth, adminOnly, (req, res) => {
         try {
-            const paymentType = req.body.payment_type || req.query.payment_type || 'plexus';
-            const year = new Date().getFullYear();
-            const now = new Date().toISOString();
-            const today = now.split('T')[0];
+            // Status updates and the finance income record commit together
+            const invoiceNumber = query.transaction(() => {
+                const paymentType = req.body.payment_type || req.query.payment_type || 'plexus';
+                const year = new Date().getFullYear();
+                const now = new Date().toISOString();
+                const today = now.split('T')[0];
+
+                let attendeeName, description, amount, invoiceNumber, paymentMethod, project, category;
+
+                if (paymentType === 'plexus') {
+                    // ----- PLEXUS (conference) -----
+                    const reg = query.get(`SELECT r.*, t.name as ticket_name, u.first_name, u.last_name
+                        FROM registrations r
+                        JOIN ticket_types t ON r.ticket_type_id = t.id
+                        JOIN users u ON r.user_id = u.id
+                        WHERE r.id = ?`, [req.params.id]);
+                    const regConf = query.get('SELECT * FROM conferences WHERE id = ?', [reg?.conference_id]);
+                    if (!reg) return res.status(404).json({ error: 'Registration not found' });
+                    if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
+
+                    db.run('UPDATE registrations SET payment_status = ? WHERE id = ?', ['paid', reg.id]);
+                    db.run('UPDATE payment_transactions SET status = ? WHERE registration_id = ?', ['completed', reg.id]);
+                    db.run("UPDATE invoices SET status = 'paid', paid_at = ? WHERE registration_id = ?", [now, reg.id]);
+
+                    const tx = query.get('SELECT payment_method FROM payment_transactions WHERE registration_id = ?', [reg.id]);
+                    paymentMethod = tx?.payment_method || 'bank_transfer';
+                    attendeeName = (reg.first_name && reg.last_name) ? `${reg.first_name} ${reg.last_name}` : 'Attendee';
+                    description = `${plexusEditions.label(regConf)} — ${attendeeName} — ${reg.ticket_name || 'Conference Ticket'}`;
+                    amount = reg.amount_paid;
+                    invoiceNumber = reg.invoice_number;
+                    project = regConf?.slug || 'plexus';
+                    category = 'conference-registration';
+
+                } else if (paymentType === 'gala') {
+                    // ----- GALA -----
+                    const reg = query.get(`SELECT * FROM gala_registrations WHERE id = ?`, [req.params.id]);
+                    if (!reg) return res.status(404).json({ error: 'Gala registration not found' });
+                    if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
+
+                    db.run("UPDATE gala_registrations SET payment_status = 'paid', amount_paid = COALESCE(amount_paid, ?) WHERE id = ?",
+                        [reg.pricing === 'bundle' ? 174 : 95, reg.id]);
+
+                    paymentMethod = reg.stripe_session_id ? 'card' : 'bank_transfer';
+                    attendeeName = `${reg.first_name} ${reg.last_name}`;
+                    const ticketLabel = reg.pricing === 'bundle' ? 'Plexus + Gala Bundle' : 'Gala Evening Only';
+                    description = `Gala Evening — ${attendeeName} — ${ticketLabel}`;
+                    amount = reg.amount_paid || (reg.pricing === 'bundle' ? 174 : 95);
+                    invoiceNumber = reg.invoice_number;
+                    // Gala registrations aren't tied to an edition row; book them on the current one
+                    project = plexusEditions.current()?.slug || 'plexus';
+                    category = 'gala-registration';
+
+                } else if (paymentType === 'accelerator') {
+                    // ----- ACCELERATOR -----
+                    const reg = query.get(`SELECT a.*, u.first_name, u.last_name, u.email
+                        FROM accelerator_applications a
+                        LEFT JOIN users u ON a.user_id = u.id
+                        WHERE a.id = ?`, [req.params.id]);
+                    if (!reg) return res.status(404).json({ error: 'Accelerator application not found' });
+                    if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
+
+                    db.run("UPDATE accelerator_applications SET payment_status = 'paid', payment_amount = COALESCE(payment_amount, 75), payment_date = ? WHERE id = ?",
+                        [today, reg.id]);
+
+                    paymentMethod = reg.stripe_session_id ? 'card' : 'bank_transfer';
+                    attendeeName = (reg.first_name && reg.last_name) ? `${reg.first_name} ${reg.last_name}` : 'Applicant';
+                    description = `Accelerator — ${attendeeName} — Processing Fee`;
+                    amount = reg.payment_amount || 75;
+                    invoiceNumber = reg.application_number;
+                    project = 'accelerator-2026';
+                    category = 'accelerator-fee';
+
+                } else if (paymentType === 'forum') {
+                    // ----- FORUM -----
+                    const reg = query.get(`SELECT r.*, e.title as event_title, e.price
+                        FROM forum_event_registrations r
+                        JOIN forum_events e ON r.event_id = e.id
+                        WHERE r.id = ?`, [req.params.id]);
+                    if (!reg) return res.status(404).json({ error: 'Forum registration not found' });
+                    if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
+
+                    db.run("UPDATE forum_event_registrations SET payment_status = 'paid', payment_amount = COALESCE(payment_amount, ?), payment_date = ? WHERE id = ?",
+                        [reg.price || 0, today, reg.id]);
+
+                    paymentMethod = reg.stripe_session_id ? 'card' : 'bank_transfer';
+                    attendeeName = reg.name || `${reg.first_name || ''} ${reg.last_name || ''}`.trim() || 'Forum Member';
+                    description = `Forum Event — ${attendeeName} — ${reg.event_title || 'Forum Event'}`;
+                    amount = reg.payment_amount || reg.price || 0;
+                    invoiceNumber = reg.invoice_number;
+                    project = 'forum-2026';
+                    category = 'forum-event';
 
-            let attendeeName, description, amount, invoiceNumber, paymentMethod, project, category;
-
-            if (paymentType === 'plexus') {
-                // ----- PLEXUS (conference) -----
-                const reg = query.get(`SELECT r.*, t.name as ticket_name, u.first_name, u.last_name
-                    FROM registrations r
-                    JOIN ticket_types t ON r.ticket_type_id = t.id
-                    JOIN users u ON r.user_id = u.id
-                    WHERE r.id = ?`, [req.params.id]);
-                if (!reg) return res.status(404).json({ error: 'Registration not found' });
-                if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
-
-                db.run('UPDATE registrations SET payment_status = ? WHERE id = ?', ['paid', reg.id]);
-                db.run('UPDATE payment_transactions SET status = ? WHERE registration_id = ?', ['completed', reg.id]);
-                db.run("UPDATE invoices SET status = 'paid', paid_at = ? WHERE registration_id = ?", [now, reg.id]);
-
-                const tx = query.get('SELECT payment_method FROM payment_transactions WHERE registration_id = ?', [reg.id]);
-                paymentMethod = tx?.payment_method || 'bank_transfer';
-                attendeeName = (reg.first_name && reg.last_name) ? `${reg.first_name} ${reg.last_name}` : 'Attendee';
-                description = `Plexus 2026 — ${attendeeName} — ${reg.ticket_name || 'Conference Ticket'}`;
-                amount = reg.amount_paid;
-                invoiceNumber = reg.invoice_number;
-                project = 'plexus-2026';
-                category = 'conference-registration';
-
-            } else if (paymentType === 'gala') {
-                // ----- GALA -----
-                const reg = query.get(`SELECT * FROM gala_registrations WHERE id = ?`, [req.params.id]);
-                if (!reg) return res.status(404).json({ error: 'Gala registration not found' });
-                if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
-
-                db.run("UPDATE gala_registrations SET payment_status = 'paid', amount_paid = COALESCE(amount_paid, ?) WHERE id = ?",
-                    [reg.pricing === 'bundle' ? 174 : 95, reg.id]);
-
-                paymentMethod = reg.stripe_session_id ? 'card' : 'bank_transfer';
-                attendeeName = `${reg.first_name} ${reg.last_name}`;
-                const ticketLabel = reg.pricing === 'bundle' ? 'Plexus + Gala Bundle' : 'Gala Evening Only';
-                description = `Gala Evening — ${attendeeName} — ${ticketLabel}`;
-                amount = reg.amount_paid || (reg.pricing === 'bundle' ? 174 : 95);
-                invoiceNumber = reg.invoice_number;
-                project = 'plexus-2026';
-                category = 'gala-registration';
-
-            } else if (paymentType === 'accelerator') {
-                // ----- ACCELERATOR -----
-                const reg = query.get(`SELECT a.*, u.first_name, u.last_name, u.email
-                    FROM accelerator_applications a
-                    LEFT JOIN users u ON a.user_id = u.id
-                    WHERE a.id = ?`, [req.params.id]);
-                if (!reg) return res.status(404).json({ error: 'Accelerator application not found' });
-                if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
-
-                db.run("UPDATE accelerator_applications SET payment_status = 'paid', payment_amount = COALESCE(payment_amount, 75), payment_date = ? WHERE id = ?",
-                    [today, reg.id]);
-
-                paymentMethod = reg.stripe_session_id ? 'card' : 'bank_transfer';
-                attendeeName = (reg.first_name && reg.last_name) ? `${reg.first_name} ${reg.last_name}` : 'Applicant';
-                description = `Accelerator — ${attendeeName} — Processing Fee`;
-                amount = reg.payment_amount || 75;
-                invoiceNumber = reg.application_number;
-                project = 'accelerator-2026';
-                category = 'accelerator-fee';
-
-            } else if (paymentType === 'forum') {
-                // ----- FORUM -----
-                const reg = query.get(`SELECT r.*, e.title as event_title, e.price
-                    FROM forum_event_registrations r
-                    JOIN forum_events e ON r.event_id = e.id
-                    WHERE r.id = ?`, [req.params.id]);
-                if (!reg) return res.status(404).json({ error: 'Forum registration not found' });
-                if (reg.payment_status === 'paid') return res.json({ success: true, message: 'Already paid' });
-
-                db.run("UPDATE forum_event_registrations SET payment_status = 'paid', payment_amount = COALESCE(payment_amount, ?), payment_date = ? WHERE id = ?",
-                    [reg.price || 0, today, reg.id]);
-
-                paymentMethod = reg.stripe_session_id ? 'card' : 'bank_transfer';
-                attendeeName = reg.name || `${reg.first_name || ''} ${reg.last_name || ''}`.trim() || 'Forum Member';
-                description = `Forum Event — ${attendeeName} — ${reg.event_title || 'Forum Event'}`;
-                amount = reg.payment_amount || reg.price || 0;
-                invoiceNumber = reg.invoice_number;
-                project = 'forum-2026';
-                category = 'forum-event';
-
-            } else {
-                return res.status(400).json({ error: `Unrecognized payment type: '${paymentType}'. Valid types: plexus, gala, accelerator, forum` });
-            }
-
-            // Create Finance income record so it shows in Finance dashboard
-            const transactionNumber = getNextSequenceNumber('income', year);
-            db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description, project, category, payment_method, reference, fiscal_year, status, created_by)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [uuidv4(), transactionNumber, 'income', amount, today,
-                 description, project, category,
-                 paymentMethod, invoiceNumber, year, 'completed', req.user.id]);
+                } else {
+                    return res.status(400).json({ error: `Unrecognized payment type: '${paymentType}'. Valid types: plexus, gala, accelerator, forum` });
+                }
 
-            saveDb();
+                // Create Finance income record so it shows in Finance dashboard
+                const transactionNumber = getNextSequenceNumber('income', year);
+                db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description, project, category, payment_method, reference, fiscal_year, status, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [uuidv4(), transactionNumber, 'income', amount, today,
+                     description, project, category,
+                     paymentMethod, invoiceNumber, year, 'completed', req.user.id]);
+                return invoiceNumber;
+            });
+            // Validation branches above already responded
+            if (res.headersSent) return;
 
             res.json({ success: true, message: 'Payment confirmed', invoice_number: invoiceNumber });
         } catch (err) {
@@ -13881,13 +12639,53 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
+    // Sends to the active subscribers who haven't opted out of the newsletter's project
+    // (all of them without one).
+    // Answers once the recipients are known; the messages go out in the background, each
+    // with tracked links, an open pixel and unsubscribe links in the subscriber's language.
     app.post('/api/pr/newsletters/:id/send', auth, (req, res) => {
-        // Mark as sent (actual email sending would require integration)
-        const subscribers = query.get('SELECT COUNT(*) as count FROM pr_subscribers WHERE status = ?', ['active']);
-        db.run(`UPDATE pr_newsletters SET status = 'sent', sent_at = datetime('now'), recipient_count = ? WHERE id = ?`,
-            [subscribers?.count || 0, req.params.id]);
+        const newsletter = query.get('SELECT * FROM pr_newsletters WHERE id = ?', [req.params.id]);
+        if (!newsletter) return res.status(404).json({ error: 'Not found' });
+        if (!newsletter.content_html) return res.status(400).json({ error: 'The newsletter has no content' });
+
+        db.run(`UPDATE pr_newsletters SET status = 'sending', updated_at = datetime('now') WHERE id = ? AND status NOT IN ('sending', 'sent')`, [newsletter.id]);
+        if (db.getRowsModified() !== 1) return res.status(409).json({ error: 'This newsletter has already been sent' });
+
+        const subscribers = query.all('SELECT * FROM pr_subscribers WHERE status = ?', ['active'])
+            .filter(s => !subscriptions.isUnsubscribed(s.email, newsletter.project));
+        // Opens from an earlier, failed attempt stay: its recipients keep their tracking rows
+        db.run('UPDATE pr_newsletters SET recipient_count = ? WHERE id = ?', [subscribers.length, newsletter.id]);
+        emailTracking.refresh('newsletter', newsletter.id);
         saveDb();
-        res.json({ success: true, recipientCount: subscribers?.count || 0 });
+        res.json({ success: true, recipientCount: subscribers.length });
+
+        // A recipient that fails doesn't stop the rest, and the newsletter never stays in
+        // 'sending': it ends 'sent' once any message was accepted (the outbox retries those
+        // still pending) and 'failed' otherwise, so it can be sent again.
+        (async () => {
+            let accepted = 0;
+            try {
+                for (const s of subscribers) {
+                    try {
+                        const lang = s.language === 'hr' ? 'hr' : 'en';
+                        const page = buildEmailTemplate(escapeHtml(newsletter.subject), newsletter.content_html, lang);
+                        const trackingId = emailTracking.prepare('newsletter', newsletter.id, s.email);
+                        const { html, headers } = subscriptions.decorate(s.email, emailTracking.instrument(trackingId, page), lang);
+                        const result = await sendEmail(s.email, newsletter.subject, html,
+                            { recipientName: [s.first_name, s.last_name].filter(Boolean).join(' ') || null, headers });
+                        emailTracking.attach(trackingId, result.id);
+                        if (result.success || result.queued) accepted++;
+                    } catch (err) {
+                        console.error(`Newsletter ${newsletter.id} to ${s.email} failed:`, err.message);
+                    }
+                }
+            } finally {
+                const status = accepted || !subscribers.length ? 'sent' : 'failed';
+                db.run(`UPDATE pr_newsletters SET status = ?, sent_at = CASE WHEN ? = 'sent' THEN datetime('now') ELSE sent_at END,
+                        updated_at = datetime('now') WHERE id = ?`, [status, status, newsletter.id]);
+                saveDb();
+            }
+        })().catch(err => console.error('Newsletter send error:', err));
     });
 
     app.delete('/api/pr/newsletters/:id', auth, (req, res) => {
@@ -13933,19 +12731,39 @@ By applying to this program, I provide the following consents:
         }
     });
 
+    // Projects, language and status changes are recorded in pr_subscriber_changes
     app.put('/api/pr/subscribers/:id', auth, (req, res) => {
-        const { email, first_name, last_name, subscribed_projects, language, status } = req.body;
-        db.run(`UPDATE pr_subscribers SET email = ?, first_name = ?, last_name = ?, subscribed_projects = ?, language = ?, status = ?
-            WHERE id = ?`,
-            [email, first_name || null, last_name || null, subscribed_projects || 'all', language || 'hr', status, req.params.id]);
-        saveDb();
-        res.json({ success: true });
+        try {
+            const { email, first_name, last_name, subscribed_projects, language, status } = req.body;
+            db.run(`UPDATE pr_subscribers SET email = ?, first_name = ?, last_name = ?, updated_at = datetime('now') WHERE id = ?`,
+                [email, first_name || null, last_name || null, req.params.id]);
+            subscriptions.change({ id: req.params.id }, { projects: subscribed_projects || 'all', language: language || 'hr', status },
+                { channel: 'admin', ip: req.ip, userAgent: req.get('user-agent'), changedBy: req.user.id });
+            saveDb();
+            res.json({ success: true });
+        } catch (err) {
+            if (err instanceof SubscriptionError) return res.status(err.status).json({ error: err.message });
+            console.error('Update subscriber error:', err);
+            res.status(500).json({ error: 'Failed to update subscriber' });
+        }
     });
 
     app.post('/api/pr/subscribers/:id/unsubscribe', auth, (req, res) => {
-        db.run(`UPDATE pr_subscribers SET status = 'unsubscribed', unsubscribed_at = datetime('now') WHERE id = ?`, [req.params.id]);
-        saveDb();
-        res.json({ success: true });
+        try {
+            subscriptions.unsubscribe({ id: req.params.id },
+                { channel: 'admin', ip: req.ip, userAgent: req.get('user-agent'), changedBy: req.user.id });
+            saveDb();
+            res.json({ success: true });
+        } catch (err) {
+            if (err instanceof SubscriptionError) return res.status(err.status).json({ error: err.message });
+            console.error('Unsubscribe subscriber error:', err);
+            res.status(500).json({ error: 'Failed to unsubscribe' });
+        }
+    });
+
+    // Unsubscribes and preference changes with channel, IP and user agent (GDPR evidence)
+    app.get('/api/pr/subscribers/:id/history', auth, (req, res) => {
+        res.json(subscriptions.history(req.params.id));
     });
 
     app.delete('/api/pr/subscribers/:id', auth, (req, res) => {
@@ -14135,6 +12953,38 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
+    // Email analytics — opens and clicks of tracked emails (shared/email-tracking.js).
+    // ?source=newsletter (default) or forum-invitation; one row per newsletter/invitation.
+    app.get('/api/pr/analytics/email', auth, (req, res) => {
+        try {
+            const source = req.query.source || 'newsletter';
+            const rows = emailTracking.summary(source);
+            if (source === 'newsletter') {
+                const names = new Map(query.all('SELECT id, name, subject, project FROM pr_newsletters').map(n => [n.id, n]));
+                rows.forEach(r => {
+                    const n = names.get(r.source_id);
+                    Object.assign(r, { name: n?.name || null, subject: n?.subject || null, project: n?.project || null });
+                });
+            }
+            res.json({ source, items: rows });
+        } catch (err) {
+            if (err instanceof TrackingError) return res.status(err.status).json({ error: err.message });
+            console.error('Email analytics error:', err);
+            res.status(500).json({ error: 'Failed to load email analytics' });
+        }
+    });
+
+    // Per-recipient delivery, opens and clicks of one newsletter or invitation
+    app.get('/api/pr/analytics/email/:source/:sourceId', auth, (req, res) => {
+        try {
+            res.json({ recipients: emailTracking.history(req.params.source, req.params.sourceId) });
+        } catch (err) {
+            if (err instanceof TrackingError) return res.status(err.status).json({ error: err.message });
+            console.error('Email analytics history error:', err);
+            res.status(500).json({ error: 'Failed to load email history' });
+        }
+    });
+
     // Analytics
     app.get('/api/pr/analytics', auth, (req, res) => {
         const { project, platform, from, to } = req.query;
@@ -14695,7 +13545,7 @@ By applying to this program, I provide the following consents:
 
     // Upload summary — document status for all speakers
     app.get('/api/admin/plexus/speakers/documents/summary', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const speakers = query.all(
             'SELECT id, name FROM speakers WHERE conference_id = ? AND is_confirmed = 1 ORDER BY name',
             [conf?.id || '']
@@ -14741,30 +13591,10 @@ By applying to this program, I provide the following consents:
     app.get('/api/admin/gala/settings', auth, adminOnly, (req, res) => {
         let settings = query.get("SELECT * FROM gala_settings WHERE id = 'default'");
         if (!settings) {
-            // Create default settings if table/row missing
-            try {
-                db.run(`CREATE TABLE IF NOT EXISTS gala_settings (
-                    id TEXT PRIMARY KEY DEFAULT 'default',
-                    title TEXT DEFAULT 'Gala Evening 2026',
-                    tagline TEXT DEFAULT 'The Pinnacle of Biomedical Excellence',
-                    date TEXT DEFAULT '2026-12-05',
-                    time TEXT DEFAULT '18:00',
-                    venue TEXT DEFAULT 'Grand Ballroom, Zagreb',
-                    dress_code TEXT DEFAULT 'Black Tie / Formal Evening Attire',
-                    description TEXT,
-                    capacity INTEGER DEFAULT 150,
-                    price_gala_only REAL DEFAULT 95,
-                    price_bundle REAL DEFAULT 174,
-                    price_bundle_original REAL DEFAULT 194,
-                    is_registration_open INTEGER DEFAULT 1,
-                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-                )`);
-                db.run("INSERT OR IGNORE INTO gala_settings (id) VALUES ('default')");
-                saveDb();
-                settings = query.get("SELECT * FROM gala_settings WHERE id = 'default'");
-            } catch(e) {
-                console.error('Gala settings table creation failed:', e.message);
-            }
+            // Default row missing (e.g. deleted) — recreate it
+            db.run("INSERT OR IGNORE INTO gala_settings (id) VALUES ('default')");
+            saveDb();
+            settings = query.get("SELECT * FROM gala_settings WHERE id = 'default'");
         }
         if (settings) {
             try { settings.speakers = JSON.parse(settings.speakers_json || '[]'); } catch(e) { settings.speakers = []; }
@@ -14781,15 +13611,7 @@ By applying to this program, I provide the following consents:
 
     // Update gala settings (admin)
     app.put('/api/admin/gala/settings', auth, adminOnly, (req, res) => {
-        // Ensure table and default row exist
-        db.run(`CREATE TABLE IF NOT EXISTS gala_settings (
-            id TEXT PRIMARY KEY DEFAULT 'default',
-            title TEXT, tagline TEXT, date TEXT, time TEXT, venue TEXT,
-            dress_code TEXT, description TEXT, capacity INTEGER DEFAULT 150,
-            price_gala_only REAL DEFAULT 95, price_bundle REAL DEFAULT 174,
-            price_bundle_original REAL DEFAULT 194, is_registration_open INTEGER DEFAULT 1,
-            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )`);
+        // Ensure the default row exists
         db.run("INSERT OR IGNORE INTO gala_settings (id) VALUES ('default')");
 
         const { title, tagline, date, time, venue, dress_code, description, capacity,
@@ -14989,6 +13811,7 @@ By applying to this program, I provide the following consents:
 
             db.run(`UPDATE ${table} SET checked_in = 0, checked_in_at = NULL WHERE id = ?`, [id]);
             saveDb();
+            if (table === 'registrations') publishCheckin(id, 'checkin.undone');
             res.json({ success: true, message: 'Check-in reversed' });
         } catch (err) {
             console.error('Undo error:', err);
@@ -15017,6 +13840,7 @@ By applying to this program, I provide the following consents:
             if (record.checked_in) { res.json({ success: true, already_checked_in: true, attendee: record, event: eventName, qr_info: qrInfo }); return true; }
             db.run(`UPDATE ${table} SET checked_in = 1, checked_in_at = datetime('now') WHERE id = ?`, [record.id]);
             saveDb();
+            if (table === 'registrations') publishCheckin(record.id);
             res.json({ success: true, attendee: { ...record, checked_in: 1 }, event: eventName, qr_info: qrInfo });
             return true;
         };
@@ -15044,6 +13868,45 @@ By applying to this program, I provide the following consents:
         res.status(404).json({ error: 'No matching registration found for this code' });
     });
 
+    // ========== OFFLINE CHECK-IN (shared/offline-checkin.js) ==========
+
+    function offlineCheckinError(res, err, label) {
+        if (err instanceof OfflineCheckinError) return res.status(err.status).json({ error: err.message });
+        console.error(`${label} error:`, err);
+        res.status(500).json({ error: `${label} failed` });
+    }
+
+    // Key that signs rosters, as a JWK for crypto.subtle.verify — devices keep it for offline use
+    app.get('/api/checkin/offline/public-key', auth, adminOnly, (req, res) => {
+        res.json({ key: offlineCheckin.publicJwk(), key_id: offlineCheckin.keyId });
+    });
+
+    // Events a roster can be downloaded for
+    app.get('/api/checkin/offline/events', auth, adminOnly, (req, res) => {
+        try {
+            res.json(offlineCheckin.events(project => req.user.can('project.read', project)));
+        } catch (err) {
+            offlineCheckinError(res, err, 'Offline check-in events');
+        }
+    });
+
+    app.get('/api/checkin/offline/:kind/:eventId/roster', auth, adminOnly, apiSpec.validate, (req, res) => {
+        try {
+            res.json(offlineCheckin.roster(req.params.kind, req.params.eventId, req.user.email));
+        } catch (err) {
+            offlineCheckinError(res, err, 'Offline roster');
+        }
+    });
+
+    // Replay scans queued on a device: { device_id, checkins: [{ id, attendee_id, scanned_at }] }
+    app.post('/api/checkin/offline/:kind/:eventId/sync', auth, adminOnly, apiSpec.validate, (req, res) => {
+        try {
+            res.json(offlineCheckin.sync(req.params.kind, req.params.eventId, req.body, req.user.id));
+        } catch (err) {
+            offlineCheckinError(res, err, 'Offline check-in sync');
+        }
+    });
+
     // === PER-EVENT CHECK-IN TOGGLE & SESSION CHECK-IN ===
 
     // Toggle check-in enabled for a session
@@ -15119,7 +13982,7 @@ By applying to this program, I provide the following consents:
 
     // Get sessions with check-in enabled (for check-in tab)
     app.get('/api/admin/plexus/checkin-enabled-sessions', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const sessions = query.all(`SELECT s.*,
             (SELECT COUNT(*) FROM session_checkins sc WHERE sc.session_id = s.id) as checkin_count
             FROM sessions s
@@ -15138,7 +14001,7 @@ By applying to this program, I provide the following consents:
     // Regenerate QR codes for all existing registrations with rich v2 format
     app.post('/api/admin/plexus/regenerate-qr-codes', auth, adminOnly, async (req, res) => {
         try {
-            const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+            const conf = req.conference;
             const regs = query.all(`SELECT r.id, r.ticket_type_id,
                 COALESCE(r.first_name, u.first_name) as first_name,
                 COALESCE(r.last_name, u.last_name) as last_name,
@@ -15151,7 +14014,7 @@ By applying to this program, I provide the following consents:
             let updated = 0;
             for (const reg of regs) {
                 const name = `${reg.first_name || ''} ${reg.last_name || ''}`.trim();
-                const qrPayload = JSON.stringify({ id: reg.id, e: 'plexus-2026', t: reg.ticket_name || 'Standard', n: name, v: 2 });
+                const qrPayload = JSON.stringify({ id: reg.id, e: conf.slug, t: reg.ticket_name || 'Standard', n: name, v: 2 });
                 const qrCode = await QRCode.toDataURL(qrPayload);
                 db.run('UPDATE registrations SET ticket_qr_code = ? WHERE id = ?', [qrCode, reg.id]);
                 updated++;
@@ -15353,17 +14216,10 @@ By applying to this program, I provide the following consents:
 
     // Get plexus settings (admin)
     app.get('/api/admin/plexus/settings', auth, adminOnly, (req, res) => {
-        let settings = query.get("SELECT * FROM plexus_settings WHERE id = 'default'");
+        // Per-edition row, falling back to the 'default' template for editions never edited
+        let settings = query.get('SELECT * FROM plexus_settings WHERE id = ?', [req.conference?.slug])
+            || query.get("SELECT * FROM plexus_settings WHERE id = 'default'");
         if (!settings) {
-            db.run(`CREATE TABLE IF NOT EXISTS plexus_settings (
-                id TEXT PRIMARY KEY DEFAULT 'default',
-                price_student_early REAL DEFAULT 39, price_student_late REAL DEFAULT 59,
-                price_professional_early REAL DEFAULT 99, price_professional_late REAL DEFAULT 149,
-                key_dates_json TEXT, testimonials_json TEXT,
-                conference_start_date TEXT DEFAULT '2026-12-04', conference_end_date TEXT DEFAULT '2026-12-05',
-                early_bird_deadline TEXT DEFAULT '2026-09-30', abstract_deadline TEXT DEFAULT '2026-10-15',
-                is_registration_open INTEGER DEFAULT 1, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-            )`);
             db.run("INSERT OR IGNORE INTO plexus_settings (id) VALUES ('default')");
             saveDb();
             settings = query.get("SELECT * FROM plexus_settings WHERE id = 'default'");
@@ -15377,16 +14233,12 @@ By applying to this program, I provide the following consents:
 
     // Update plexus settings (admin)
     app.put('/api/admin/plexus/settings', auth, adminOnly, (req, res) => {
-        db.run(`CREATE TABLE IF NOT EXISTS plexus_settings (
-            id TEXT PRIMARY KEY DEFAULT 'default',
-            price_student_early REAL DEFAULT 39, price_student_late REAL DEFAULT 59,
-            price_professional_early REAL DEFAULT 99, price_professional_late REAL DEFAULT 149,
-            key_dates_json TEXT, testimonials_json TEXT,
-            conference_start_date TEXT DEFAULT '2026-12-04', conference_end_date TEXT DEFAULT '2026-12-05',
-            early_bird_deadline TEXT DEFAULT '2026-09-30', abstract_deadline TEXT DEFAULT '2026-10-15',
-            is_registration_open INTEGER DEFAULT 1, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )`);
         db.run("INSERT OR IGNORE INTO plexus_settings (id) VALUES ('default')");
+        // First edit of an edition copies the 'default' template into its own row
+        const settingsId = req.conference?.slug || 'default';
+        const settingsCols = query.all('PRAGMA table_info(plexus_settings)').map(c => c.name).filter(c => c !== 'id');
+        db.run(`INSERT OR IGNORE INTO plexus_settings (id, ${settingsCols.join(', ')})
+            SELECT ?, ${settingsCols.join(', ')} FROM plexus_settings WHERE id = 'default'`, [settingsId]);
 
         const { price_student_early, price_student_late, price_professional_early, price_professional_late,
                 key_dates_json, testimonials_json, conference_start_date, conference_end_date,
@@ -15406,9 +14258,9 @@ By applying to this program, I provide the following consents:
         if (is_registration_open !== undefined) { fields.push('is_registration_open = ?'); values.push(is_registration_open ? 1 : 0); }
         if (fields.length === 0) return res.status(400).json({ error: 'No fields to update' });
         fields.push("updated_at = ?"); values.push(new Date().toISOString());
-        db.run(`UPDATE plexus_settings SET ${fields.join(', ')} WHERE id = 'default'`, values);
+        db.run(`UPDATE plexus_settings SET ${fields.join(', ')} WHERE id = ?`, [...values, settingsId]);
         saveDb();
-        const updated = query.get("SELECT * FROM plexus_settings WHERE id = 'default'");
+        const updated = query.get('SELECT * FROM plexus_settings WHERE id = ?', [settingsId]);
         if (updated) {
             try { updated.key_dates = JSON.parse(updated.key_dates_json || '[]'); } catch(e) { updated.key_dates = []; }
             try { updated.testimonials = JSON.parse(updated.testimonials_json || '[]'); } catch(e) { updated.testimonials = []; }
@@ -15418,13 +14270,13 @@ By applying to this program, I provide the following consents:
 
     // D1: Venue Rooms CRUD
     app.get('/api/admin/plexus/rooms', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.json([]);
         res.json(query.all('SELECT * FROM venue_rooms WHERE conference_id = ? ORDER BY name', [conf.id]));
     });
 
     app.post('/api/admin/plexus/rooms', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.status(404).json({ error: 'Conference not found' });
         const { name, floor, capacity, equipment, description, photo_url } = req.body;
         const id = uuidv4();
@@ -15454,6 +14306,7 @@ By applying to this program, I provide the following consents:
     const TECH_PASSWORD = process.env.TECH_PASSWORD || 'tech123';
 
     function techAuth(req, res, next) {
+        if (!req.user?.can('tech.admin')) return res.status(403).json({ error: 'Tech admin role required' });
         const pwd = req.headers['x-tech-password'];
         if (pwd !== TECH_PASSWORD) return res.status(403).json({ error: 'Tech password required' });
         next();
@@ -15469,6 +14322,7 @@ By applying to this program, I provide the following consents:
     app.get('/api/admin/tech/system-info', auth, techAuth, (req, res) => {
         try {
             const dbStats = fs.existsSync(DB_PATH) ? fs.statSync(DB_PATH) : null;
+            const walStats = fs.existsSync(DB_PATH + '-wal') ? fs.statSync(DB_PATH + '-wal') : null;
             const tables = query.all("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'");
             let totalRows = 0;
             tables.forEach(t => {
@@ -15477,7 +14331,7 @@ By applying to this program, I provide the following consents:
             });
 
             const envVars = {};
-            ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'SMTP_HOST', 'SMTP_USER', 'SMTP_PASS', 'FIRA_API_KEY',
+            ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'SMTP_HOST', 'SMTP_USER', 'SMTP_PASS', 'EMAIL_TRANSPORT', 'FIRA_API_KEY',
              'JWT_SECRET', 'DATABASE_PATH', 'PORT', 'RENDER_EXTERNAL_URL'].forEach(key => {
                 const val = process.env[key];
                 if (val) {
@@ -15501,6 +14355,8 @@ By applying to this program, I provide the following consents:
                     path: DB_PATH,
                     size: dbStats ? dbStats.size : 0,
                     lastModified: dbStats ? dbStats.mtime.toISOString() : null,
+                    journalMode: db.raw.pragma('journal_mode', { simple: true }),
+                    walSize: walStats ? walStats.size : 0,
                     tableCount: tables.length,
                     totalRows
                 },
@@ -15582,17 +14438,154 @@ By applying to this program, I provide the following consents:
     // Download database file
     app.get('/api/admin/tech/db-download', auth, techAuth, (req, res) => {
         try {
-            if (!fs.existsSync(DB_PATH)) return res.status(404).json({ error: 'Database file not found' });
+            // Serialize rather than stream the file: recent commits may still live in the -wal file
             res.setHeader('Content-Disposition', 'attachment; filename=medx_portal.db');
             res.setHeader('Content-Type', 'application/octet-stream');
-            const stream = fs.createReadStream(DB_PATH);
-            stream.pipe(res);
+            res.send(db.export());
         } catch (err) {
             console.error('Tech db-download error:', err);
             res.status(500).json({ error: 'Failed to download database' });
         }
     });
 
+    // Schema migrations: applied vs pending
+    app.get('/api/admin/tech/migrations', auth, techAuth, (req, res) => {
+        try {
+            res.json(migrations.status(db));
+        } catch (err) {
+            console.error('Tech migrations error:', err);
+            res.status(500).json({ error: 'Failed to load migration status' });
+        }
+    });
+
+    // Backups: list snapshots
+    app.get('/api/admin/tech/backups', auth, techAuth, (req, res) => {
+        try {
+            res.json({ success: true, backups: backups.list(), tiers: BACKUP_TIERS, dir: BACKUP_DIR, busy: backups.busy });
+        } catch (err) {
+            console.error('Tech backups list error:', err);
+            res.status(500).json({ error: 'Failed to list backups' });
+        }
+    });
+
+    // Backups: take a manual snapshot now
+    app.post('/api/admin/tech/backups', auth, techAuth, async (req, res) => {
+        try {
+            const backup = await backups.create('manual', { createdBy: req.user.email, note: req.body.note || null });
+            res.json({ success: true, backup });
+        } catch (err) {
+            if (err instanceof BackupError) return res.status(err.status).json({ error: err.message });
+            console.error('Tech backup create error:', err);
+            res.status(500).json({ error: 'Failed to create backup' });
+        }
+    });
+
+    // Backups: check a snapshot can be restored (no changes made)
+    app.post('/api/admin/tech/backups/:id/validate', auth, techAuth, (req, res) => {
+        try {
+            res.json({ success: true, validation: backups.validate(req.params.id) });
+        } catch (err) {
+            if (err instanceof BackupError) return res.status(err.status).json({ error: err.message });
+            console.error('Tech backup validate error:', err);
+            res.status(500).json({ error: 'Failed to validate backup' });
+        }
+    });
+
+    // Backups: restore a snapshot over the live database. The body must repeat the
+    // snapshot id as { confirm } so a stray request can't wipe current data.
+    app.post('/api/admin/tech/backups/:id/restore', auth, techAuth, async (req, res) => {
+        try {
+            if (req.body.confirm !== req.params.id) {
+                return res.status(400).json({ error: 'Confirm the restore by sending the snapshot id as "confirm"' });
+            }
+            const result = await backups.restore(req.params.id, { createdBy: req.user.email });
+            res.json({ success: true, ...result });
+        } catch (err) {
+            if (err instanceof BackupError) return res.status(err.status).json({ error: err.message, validation: err.details });
+            console.error('Tech backup restore error:', err);
+            res.status(500).json({ error: 'Failed to restore backup' });
+        }
+    });
+
+    // Audit trail: filterable list (?actor=&table=&entity_id=&method=&status=ok|error&q=&from=&to=&limit=&offset=)
+    app.get('/api/admin/tech/audit', auth, techAuth, (req, res) => {
+        try {
+            res.json({ success: true, ...audit.list(req.query), ...audit.facets() });
+        } catch (err) {
+            console.error('Tech audit list error:', err);
+            res.status(500).json({ error: 'Failed to load audit log' });
+        }
+    });
+
+    // Audit trail: same filters as above, as XLSX
+    app.get('/api/admin/tech/audit/export', auth, techAuth, (req, res) => {
+        try {
+            const { rows } = audit.list({ ...req.query, limit: 5000, offset: 0 });
+            const headers = ['Time', 'Portal', 'Actor', 'Method', 'Path', 'Route', 'Status', 'Table', 'Entity ID', 'Changes', 'Request Body', 'IP'];
+            const dataRows = rows.map(r => [r.created_at, r.portal, r.actor_email || '', r.method, r.path, r.route || '', r.status,
+                r.entity_table || '', r.entity_id || '',
+                r.changes ? Object.entries(r.changes).map(([k, [a, b]]) => `${k}: ${a} → ${b}`).join('; ') : '',
+                r.body_json || '', r.ip || '']);
+            const buf = generateXlsxBuffer(headers, dataRows, 'Audit Log');
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.xlsx"`);
+            res.send(buf);
+        } catch (err) {
+            console.error('Tech audit export error:', err);
+            res.status(500).json({ error: 'Failed to export audit log' });
+        }
+    });
+
+    // Rate limits: blocked sources first, then recent counters (?blocked=1 for blocked only)
+    app.get('/api/admin/tech/rate-limits', auth, techAuth, (req, res) => {
+        try {
+            res.json({ success: true, rows: rateLimits.list({ blockedOnly: req.query.blocked === '1', limit: req.query.limit }) });
+        } catch (err) {
+            console.error('Tech rate limits error:', err);
+            res.status(500).json({ error: 'Failed to load rate limits' });
+        }
+    });
+
+    // Lift a block (and forget the key's lockout history)
+    app.delete('/api/admin/tech/rate-limits/:id', auth, techAuth, (req, res) => {
+        if (!rateLimits.unblock(req.params.id)) return res.status(404).json({ error: 'Counter not found' });
+        res.json({ success: true });
+    });
+
+    // Background jobs: schedule, state and latest outcome of each
+    app.get('/api/admin/tech/jobs', auth, techAuth, (req, res) => {
+        try {
+            res.json({ success: true, jobs: jobs.list() });
+        } catch (err) {
+            console.error('Tech jobs list error:', err);
+            res.status(500).json({ error: 'Failed to load jobs' });
+        }
+    });
+
+    app.get('/api/admin/tech/jobs/:name/runs', auth, techAuth, (req, res) => {
+        try {
+            res.json({ success: true, runs: jobs.runs(req.params.name, req.query.limit) });
+        } catch (err) {
+            console.error('Tech job runs error:', err);
+            res.status(500).json({ error: 'Failed to load job runs' });
+        }
+    });
+
+    // Run now / pause / resume
+    app.post('/api/admin/tech/jobs/:name/:action(run|pause|resume)', auth, techAuth, (req, res) => {
+        try {
+            const { name, action } = req.params;
+            if (action === 'run') jobs.trigger(name, req.user.email);
+            else if (action === 'pause') jobs.pause(name);
+            else jobs.resume(name);
+            res.json({ success: true });
+        } catch (err) {
+            if (err instanceof JobError) return res.status(err.status).json({ error: err.message });
+            console.error('Tech job action error:', err);
+            res.status(500).json({ error: 'Failed to update job' });
+        }
+    });
+
     // Export all data as JSON
     app.get('/api/admin/tech/export-all', auth, techAuth, (req, res) => {
         try {
@@ -15664,6 +14657,40 @@ By applying to this program, I provide the following consents:
         }
     });
 
+    // Outbox: every email either portal sent, newest first
+    app.get('/api/admin/tech/emails', auth, techAuth, (req, res) => {
+        try {
+            const { status, search, limit } = req.query;
+            res.json({ success: true, emails: outbox.list({ status, search, limit }), counts: outbox.counts(), transport: outbox.transportName });
+        } catch (err) {
+            console.error('Tech emails list error:', err);
+            res.status(500).json({ error: 'Failed to load emails' });
+        }
+    });
+
+    app.get('/api/admin/tech/emails/:id', auth, techAuth, (req, res) => {
+        try {
+            const email = outbox.get(req.params.id);
+            if (!email) return res.status(404).json({ error: 'Email not found' });
+            res.json({ success: true, email });
+        } catch (err) {
+            console.error('Tech email get error:', err);
+            res.status(500).json({ error: 'Failed to load email' });
+        }
+    });
+
+    // Resend as a new outbox entry — the outcome of the new attempt is returned
+    app.post('/api/admin/tech/emails/:id/resend', auth, techAuth, async (req, res) => {
+        try {
+            const result = await outbox.resend(req.params.id);
+            res.json({ success: true, resend: result });
+        } catch (err) {
+            if (err instanceof OutboxError) return res.status(err.status).json({ error: err.message });
+            console.error('Tech email resend error:', err);
+            res.status(500).json({ error: 'Failed to resend email' });
+        }
+    });
+
     // Test email (SMTP)
     app.post('/api/admin/tech/test-email', auth, techAuth, async (req, res) => {
         try {
@@ -15672,12 +14699,41 @@ By applying to this program, I provide the following consents:
                 'Med&X Tech Dashboard — Test Email',
                 '<h2>Test Email</h2><p>This is a test email from the Med&X Tech Dashboard.</p><p>Sent at: ' + new Date().toISOString() + '</p>'
             );
-            res.json({ success: result.success, message: result.mock ? 'Email mock-sent (SMTP not configured)' : 'Test email sent to ' + (req.user.email || 'juginovic.alen@gmail.com'), mock: result.mock || false });
+            const message = result.mock ? 'Email captured in the dev inbox (SMTP not configured)'
+                : result.success ? 'Test email sent to ' + (req.user.email || 'juginovic.alen@gmail.com')
+                : 'Email error: ' + result.error + (result.queued ? ' (will retry)' : '');
+            res.json({ success: result.success, message, mock: result.mock || false });
         } catch (err) {
             res.json({ success: false, message: 'Email error: ' + err.message });
         }
     });
 
+    // Local inbox for captured mail — development mode or EMAIL_TRANSPORT=dev only
+    if (CAPTURE_EMAIL) {
+        app.get('/dev/inbox', outbox.devInbox);
+        app.get('/dev/inbox/:id', outbox.devInbox);
+    }
+
+    // Open pixel and click redirect in tracked emails — public, the signature is the check
+    app.get('/api/track/open/:id.gif', emailTracking.openHandler);
+    app.get('/api/track/click/:id', emailTracking.clickHandler);
+
+    // Preference center and one-click unsubscribe (RFC 8058 posts a form body) — public, the token is the check
+    const formBody = express.urlencoded({ extended: false });
+    app.get('/subscriptions/:token', subscriptions.preferencesHandler);
+    app.post('/subscriptions/:token', formBody, subscriptions.preferencesHandler);
+    app.get('/subscriptions/:token/unsubscribe', subscriptions.unsubscribeHandler);
+    app.post('/subscriptions/:token/unsubscribe', formBody, subscriptions.unsubscribeHandler);
+
+    // ========== API DOCS (shared/api-spec.js) ==========
+
+    // OpenAPI 3.1 document of every /api route on this portal, with the declared schemas
+    app.get('/api/docs', auth, adminOnly, (req, res) => {
+        res.json(apiSpec.document());
+    });
+    // Every route is registered by now; a declared one without apiSpec.validate stops the start
+    apiSpec.assertMounted();
+
     // API 404 handler — prevent unmatched API routes from returning HTML
     app.use('/api', (req, res) => {
         res.status(404).json({ error: 'API endpoint not found' });
@@ -15692,9 +14748,6 @@ By applying to this program, I provide the following consents:
     // Serve frontend
     app.get('*', (req, res) => res.sendFile(path.join(__dirname, '../frontend/index.html')));
 
-    // Start watching shared DB for cross-portal sync
-    watchSharedDb();
-
     app.listen(PORT, () => console.log(`Med&X Admin Portal running on http://localhost:${PORT}`));
 }
 
@@ -0,0 +1,488 @@
+/**
+ * API schemas — what the declared routes of both portals accept, checked by
+ * shared/api-spec.js before the handler runs and published in the OpenAPI document
+ * at /api/docs. A route registered on only one portal is simply never matched on the other.
+ *
+ * Finance comes first: its handlers write request fields straight into NOT NULL and
+ * money columns. Full-replace PUTs require every field the handler overwrites with
+ * what it is given, so a partial body can't blank a row. `response` is documentation only.
+ *
+ * The public and self-service forms (sign-up, Plexus, Gala, Accelerator, Forum and
+ * Building Bridges) follow: their handlers store what they are sent, so every field is
+ * a bounded string and nothing arrives as an object or array. Numbers and ticked boxes
+ * are accepted in the shapes HTML forms produce.
+ *
+ * Every route listed here must mount apiSpec.validate (see shared/api-spec.js).
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const text = (maxLength = 500) => ({ type: 'string', maxLength });
+const required = (maxLength = 200) => ({ type: 'string', minLength: 1, maxLength });
+
+const COMPONENTS = {
+    Id: { type: 'string', maxLength: 100 },
+    Date: { type: 'string', format: 'date', example: '2026-10-19' },
+    FiscalYear: { type: 'integer', minimum: 2000, maximum: 2100, example: 2026 },
+    Amount: { type: 'number', exclusiveMinimum: 0, description: 'EUR', example: 150 },
+    Money: { type: 'number', minimum: 0, description: 'EUR' },
+    Percent: { type: 'number', minimum: 0, maximum: 100 },
+    Project: { type: 'string', maxLength: 50, example: 'plexus' },
+    Iban: { type: 'string', maxLength: 42, pattern: '^[A-Za-z]{2}[0-9]{2}[A-Za-z0-9 ]+$', example: 'HR1210010051863000160' },
+    Success: { type: 'object', properties: { success: { type: 'boolean' } } },
+    Created: { type: 'object', properties: { success: { type: 'boolean' }, id: { type: 'string' } } },
+    Email: { type: 'string', format: 'email', maxLength: 254, example: 'ana.horvat@example.com' },
+    Password: { type: 'string', minLength: 8, maxLength: 200 },
+    Year: { type: ['integer', 'string'], minimum: 2000, maximum: 2100, pattern: '^\\d{4}$', example: 2026 },
+    Numeric: { type: ['number', 'string'], maxLength: 20, description: 'A number; forms may send it as text' },
+    Consent: { type: ['boolean', 'integer', 'string'], maxLength: 10, description: 'Ticked: true, 1 or "on"' },
+    InvoiceItem: {
+        type: 'object',
+        required: ['description', 'unit_price'],
+        properties: {
+            description: required(500),
+            quantity: { type: 'number', minimum: 0, description: '0 or missing counts as 1' },
+            unit_price: { type: 'number' },
+            discount_percent: ref('Percent'),
+            vat_rate: ref('Percent')
+        }
+    }
+};
+
+const transaction = {
+    description: text(2000),
+    project: ref('Project'),
+    work_unit_id: ref('Id'),
+    category: text(100),
+    payment_method: text(50),
+    reference: text(100)
+};
+
+const invoice = {
+    party_name: required(300),
+    party_address: text(500),
+    party_oib: text(20),
+    party_email: { type: 'string', format: 'email', maxLength: 254 },
+    issue_date: ref('Date'),
+    due_date: ref('Date'),
+    fiscalized: { type: 'boolean' },
+    notes: text(2000),
+    project: ref('Project'),
+    work_unit_id: ref('Id'),
+    items: { type: 'array', minItems: 1, maxItems: 200, items: ref('InvoiceItem') }
+};
+
+const paymentOrder = {
+    recipient_name: required(300),
+    recipient_iban: ref('Iban'),
+    payment_type: { type: 'string', enum: ['outgoing', 'incoming'] },
+    amount: ref('Amount'),
+    reference: text(100),
+    date: ref('Date'),
+    description: text(2000),
+    project: ref('Project'),
+    work_unit_id: ref('Id')
+};
+
+const travelCosts = {
+    travel_method: text(50),
+    kilometers: ref('Money'),
+    cost_transport: ref('Money'),
+    cost_accommodation: ref('Money'),
+    cost_daily_allowance: ref('Money'),
+    cost_other: ref('Money'),
+    traveler_notes: text(2000)
+};
+
+// Personal details shared by the Accelerator application forms
+const applicant = {
+    first_name: text(100),
+    last_name: text(100),
+    phone: text(50),
+    date_of_birth: text(30),
+    oib: text(20),
+    nationality: text(100),
+    address: text(500),
+    current_institution: text(300),
+    degree_program: text(300),
+    year_of_study: ref('Numeric'),
+    gpa: ref('Numeric'),
+    ects_total: ref('Numeric'),
+    program_type: text(100),
+    selected_institution: text(100),
+    previous_experience: text(5000),
+    gdpr_consent: ref('Consent')
+};
+
+const signIn = {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: { email: required(254), password: required(200), code: text(20) }
+};
+
+const resetPassword = {
+    type: 'object',
+    required: ['token', 'password'],
+    properties: { token: required(500), password: ref('Password') }
+};
+
+const bridgesRegistration = { name: required(200), email: ref('Email'), institution: text(300), title: text(200), motivation: text(5000) };
+
+// Setting values are stored as text; objects and arrays aren't settings
+const settings = {
+    type: 'object',
+    additionalProperties: { type: ['string', 'number', 'boolean'], maxLength: 5000 }
+};
+
+const ROUTES = {
+    // ---- Finance ----
+    'POST /api/finance/bank-balance': {
+        summary: 'Record the bank balance on a date',
+        body: { type: 'object', required: ['balance', 'date'], properties: { balance: { type: 'number' }, date: ref('Date'), notes: text(2000) } },
+        response: ref('Created')
+    },
+    'POST /api/finance/years': {
+        summary: 'Open a fiscal year',
+        body: { type: 'object', required: ['year'], properties: { year: ref('FiscalYear') } },
+        response: ref('Created')
+    },
+    'PUT /api/finance/years/:year': {
+        summary: 'Close, archive or annotate a fiscal year',
+        params: { year: ref('FiscalYear') },
+        body: { type: 'object', required: ['status'], properties: { status: { type: 'string', enum: ['open', 'closed', 'archived'] }, notes: text(2000) } },
+        response: ref('Success')
+    },
+    'POST /api/finance/work-units': {
+        summary: 'Create a work unit (budget line)',
+        body: {
+            type: 'object',
+            required: ['code', 'name'],
+            properties: { code: required(50), name: required(200), description: text(2000), grant_source: text(200), fiscal_year: ref('FiscalYear'), budget_total: ref('Money') }
+        },
+        response: ref('Created')
+    },
+    'PUT /api/finance/work-units/:id': {
+        summary: 'Replace a work unit',
+        body: {
+            type: 'object',
+            required: ['code', 'name', 'status'],
+            properties: { code: required(50), name: required(200), description: text(2000), grant_source: text(200), budget_total: ref('Money'), status: { type: 'string', enum: ['active', 'closed'] } }
+        },
+        response: ref('Success')
+    },
+    'POST /api/finance/transactions': {
+        summary: 'Book an income or expense; expenses count against their work unit',
+        body: {
+            type: 'object',
+            required: ['transaction_type', 'amount', 'date'],
+            properties: { transaction_type: { type: 'string', enum: ['income', 'expense'] }, amount: ref('Amount'), date: ref('Date'), ...transaction, fiscal_year: ref('FiscalYear') }
+        },
+        response: { type: 'object', properties: { success: { type: 'boolean' }, id: { type: 'string' }, transaction_number: { type: 'string', example: 'R-2026-0042' } } }
+    },
+    'PUT /api/finance/transactions/:id': {
+        summary: 'Replace a transaction; the work unit budget follows',
+        body: { type: 'object', required: ['amount', 'date'], properties: { amount: ref('Amount'), date: ref('Date'), ...transaction } },
+        response: ref('Success')
+    },
+    'POST /api/finance/invoices': {
+        summary: 'Create a draft invoice; totals are calculated from the items',
+        body: {
+            type: 'object',
+            required: ['direction', 'party_name', 'items'],
+            properties: { direction: { type: 'string', enum: ['incoming', 'outgoing'] }, invoice_type: text(50), ...invoice, fiscal_year: ref('FiscalYear') }
+        },
+        response: { type: 'object', properties: { success: { type: 'boolean' }, id: { type: 'string' }, invoice_number: { type: 'string' } } }
+    },
+    'PUT /api/finance/invoices/:id': {
+        summary: 'Replace an invoice and its items',
+        body: { type: 'object', required: ['party_name', 'items'], properties: invoice },
+        response: ref('Success')
+    },
+    'POST /api/finance/payment-orders': {
+        summary: 'Create a payment order',
+        body: { type: 'object', required: ['recipient_name', 'amount', 'date'], properties: { ...paymentOrder, fiscal_year: ref('FiscalYear') } },
+        response: { type: 'object', properties: { success: { type: 'boolean' }, id: { type: 'string' }, order_number: { type: 'string' } } }
+    },
+    'PUT /api/finance/payment-orders/:id': {
+        summary: 'Replace a payment order',
+        body: {
+            type: 'object',
+            required: ['recipient_name', 'amount', 'date'],
+            properties: { ...paymentOrder, execution_date: ref('Date'), status: { type: 'string', enum: ['pending', 'executed', 'cancelled'] } }
+        },
+        response: ref('Success')
+    },
+    'POST /api/finance/travel-orders': {
+        summary: 'Assign a travel order',
+        body: {
+            type: 'object',
+            required: ['traveler_id', 'destination'],
+            properties: {
+                traveler_id: ref('Id'),
+                traveler_name: text(200),
+                destination: required(300),
+                purpose: text(2000),
+                planned_departure: ref('Date'),
+                planned_return: ref('Date'),
+                travel_method: text(50),
+                notes: text(2000),
+                project: ref('Project'),
+                work_unit_id: ref('Id'),
+                fiscal_year: ref('FiscalYear'),
+                advance_amount: ref('Money'),
+                issue_date: ref('Date'),
+                car_model: text(100),
+                registration_plate: text(20),
+                kilometers: ref('Money')
+            }
+        },
+        response: { type: 'object', properties: { success: { type: 'boolean' }, id: { type: 'string' }, order_number: { type: 'string' } } }
+    },
+    'PUT /api/finance/travel-orders/:id': {
+        summary: 'Replace a travel order',
+        body: {
+            type: 'object',
+            required: ['destination'],
+            properties: {
+                destination: required(300),
+                purpose: text(2000),
+                planned_departure: ref('Date'),
+                planned_return: ref('Date'),
+                actual_departure: text(30),
+                actual_return: text(30),
+                ...travelCosts,
+                notes: text(2000),
+                project: ref('Project'),
+                work_unit_id: ref('Id')
+            }
+        },
+        response: ref('Success')
+    },
+    'POST /api/finance/travel-orders/:id/submit': {
+        summary: 'Submit the travel report and costs',
+        body: { type: 'object', properties: { actual_departure: text(30), actual_return: text(30), ...travelCosts } },
+        response: ref('Success')
+    },
+    'POST /api/finance/travel-orders/:id/reject': {
+        summary: 'Reject a submitted travel order',
+        body: { type: 'object', required: ['rejection_reason'], properties: { rejection_reason: required(2000) } },
+        response: ref('Success')
+    },
+    'POST /api/finance/travel-orders/:id/calculate': {
+        summary: 'Set the reimbursement of an approved travel order',
+        body: { type: 'object', required: ['reimbursement_amount'], properties: { reimbursement_amount: { type: 'number' } } },
+        response: { type: 'object', properties: { success: { type: 'boolean' }, reimbursement_amount: { type: 'number' } } }
+    },
+    'PUT /api/finance/settings': { summary: 'Save finance settings (key → value)', body: settings, response: ref('Success') },
+    'POST /api/finance/settings': { summary: 'Save finance settings (key → value)', body: settings, response: ref('Success') },
+
+    // ---- Search, offline check-in, push ----
+    'GET /api/search': {
+        summary: 'Ranked full-text search, grouped by type',
+        query: {
+            q: { type: 'string', maxLength: 200, description: 'What the user typed' },
+            types: { type: 'string', maxLength: 500, description: 'Comma-separated types to search' },
+            limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Hits per type' }
+        }
+    },
+    'GET /api/checkin/offline/:kind/:eventId/roster': {
+        summary: 'Signed attendee roster for checking in without a connection',
+        params: { kind: { type: 'string', enum: ['plexus', 'gala', 'forum', 'bridges'] }, eventId: ref('Id') }
+    },
+    'POST /api/checkin/offline/:kind/:eventId/sync': {
+        summary: 'Replay scans queued on a device; each scan gets its own result',
+        params: { kind: { type: 'string', enum: ['plexus', 'gala', 'forum', 'bridges'] }, eventId: ref('Id') },
+        // Scans themselves are checked one by one so a bad scan doesn't sink the batch
+        body: {
+            type: 'object',
+            required: ['device_id', 'checkins'],
+            properties: { device_id: required(64), checkins: { type: 'array', maxItems: 500, items: { type: 'object' } } }
+        }
+    },
+    'DELETE /api/push/subscriptions': {
+        summary: "Remove this browser's push subscription",
+        body: { type: 'object', required: ['endpoint'], properties: { endpoint: required(2000) } },
+        response: ref('Success')
+    },
+    'PUT /api/push/preferences': {
+        summary: 'Turn push categories on or off',
+        body: { type: 'object', additionalProperties: { type: 'boolean' } }
+    },
+    'PUT /api/notifications/:id/read': { summary: 'Mark a notification read', params: { id: ref('Id') }, response: ref('Success') },
+
+    // ---- Accounts ----
+    'POST /api/auth/register': {
+        summary: 'Create a portal account',
+        body: {
+            type: 'object',
+            required: ['email', 'password'],
+            properties: { email: ref('Email'), password: ref('Password'), first_name: text(100), last_name: text(100), institution: text(300), country: text(100) }
+        }
+    },
+    'POST /api/auth/login': { summary: 'Sign in; `code` is the 2FA code where it is turned on', body: signIn },
+    'POST /api/auth/forgot-password': {
+        summary: 'Email a password reset link',
+        body: { type: 'object', required: ['email'], properties: { email: ref('Email') } },
+        response: ref('Success')
+    },
+    'POST /api/auth/reset-password': { summary: 'Set a new password from a reset link', body: resetPassword, response: ref('Success') },
+    'POST /api/applicant/register': {
+        summary: 'Create an Accelerator applicant account',
+        body: {
+            type: 'object',
+            required: ['email', 'password', 'first_name', 'last_name'],
+            properties: { email: ref('Email'), password: ref('Password'), first_name: required(100), last_name: required(100) }
+        }
+    },
+    'POST /api/applicant/login': { summary: 'Sign in as an Accelerator applicant', body: signIn },
+    'POST /api/applicant/forgot-password': {
+        summary: 'Email an applicant password reset link',
+        body: { type: 'object', required: ['email'], properties: { email: ref('Email') } },
+        response: ref('Success')
+    },
+    'POST /api/applicant/reset-password': { summary: 'Set a new applicant password from a reset link', body: resetPassword, response: ref('Success') },
+    'PUT /api/applicant/profile': {
+        summary: "Replace the applicant's profile",
+        body: {
+            type: 'object',
+            properties: {
+                first_name: text(100), last_name: text(100), phone: text(50), date_of_birth: text(30), nationality: text(100),
+                address: text(500), city: text(100), country: text(100), current_institution: text(300), faculty: text(300),
+                study_year: ref('Numeric'), expected_graduation: text(30)
+            }
+        },
+        response: ref('Success')
+    },
+
+    // ---- Plexus and Gala ----
+    'POST /api/plexus/register': {
+        summary: 'Register for the current Plexus edition; without a session the account is found or created from `email`',
+        body: {
+            type: 'object',
+            properties: {
+                email: ref('Email'),
+                first_name: text(100),
+                last_name: text(100),
+                institution: text(300),
+                country: text(100),
+                pricing: text(50),
+                dietary: text(1000),
+                accessibility: text(1000),
+                payment_method: text(30),
+                billing: {
+                    type: 'object',
+                    properties: {
+                        name: text(300), company: text(300), address: text(500), city: text(100), zip: text(20),
+                        country: text(100), oib: text(20), vatNumber: text(30), email: ref('Email')
+                    }
+                },
+                package_items: { type: 'array', maxItems: 50 }
+            }
+        }
+    },
+    'POST /api/plexus/register/start': {
+        summary: 'Step 1 of registering: find or create the account and sign in',
+        body: {
+            type: 'object',
+            required: ['email'],
+            properties: {
+                email: ref('Email'), password: ref('Password'), first_name: text(100), last_name: text(100), phone: text(50),
+                institution: text(300), country: text(100), title: text(100), department: text(300)
+            }
+        }
+    },
+    'POST /api/plexus/register/complete': {
+        summary: 'Step 2 of registering: ticket, promo code and registration details',
+        body: {
+            type: 'object',
+            required: ['ticket_type_id'],
+            properties: {
+                ticket_type_id: ref('Id'),
+                registration_type: text(50),
+                promo_code: text(50),
+                billing_info: { type: 'object', properties: { name: text(300), address: text(500), country: text(100), vat: text(30) } },
+                registration_details: {
+                    type: 'object',
+                    properties: {
+                        affiliation_type: text(100), arrival_date: text(30), departure_date: text(30), accommodation_needed: ref('Consent'),
+                        hotel_preference: text(300), networking_interests: text(2000), how_heard_about: text(300), special_requests: text(2000),
+                        gdpr_consent: ref('Consent'), photo_consent: ref('Consent')
+                    }
+                }
+            }
+        }
+    },
+    'POST /api/gala/register': {
+        summary: 'Ask for a Gala Evening invitation',
+        body: {
+            type: 'object',
+            required: ['first_name', 'last_name', 'email'],
+            properties: {
+                first_name: required(100), last_name: required(100), email: ref('Email'), institution: text(300), title: text(200),
+                dietary: text(1000), requests: text(2000), pricing: text(50)
+            }
+        }
+    },
+
+    // ---- Accelerator ----
+    'POST /api/accelerator/applications': {
+        summary: "Start the signed-in user's Accelerator application",
+        body: {
+            type: 'object',
+            properties: {
+                year: ref('Year'), ...applicant, email: ref('Email'), country_of_residence: text(100), alternative_institution: text(100),
+                special_arrangements: text(2000), status: { type: 'string', enum: ['draft', 'submitted'] }
+            }
+        }
+    },
+    'POST /api/accelerator/apply': {
+        summary: 'Apply to the Accelerator program that is accepting applications',
+        body: {
+            type: 'object',
+            required: ['first_name', 'last_name', 'email', 'gdpr_consent'],
+            properties: {
+                ...applicant, first_name: required(100), last_name: required(100), email: ref('Email'),
+                alternative_institution: text(100), special_arrangements: text(2000)
+            }
+        }
+    },
+    'POST /api/applicant/applications': {
+        summary: "Start the applicant's application for a program year (returns the existing one)",
+        body: { type: 'object', properties: { year: ref('Year') } }
+    },
+    'PUT /api/applicant/applications/:id': {
+        summary: 'Replace a draft application',
+        params: { id: ref('Id') },
+        body: {
+            type: 'object',
+            properties: {
+                ...applicant, faculty: text(300), expected_graduation: text(30), first_choice_institution: text(100),
+                second_choice_institution: text(100), third_choice_institution: text(100), motivation_statement: text(10000), languages: text(500)
+            }
+        },
+        response: ref('Success')
+    },
+
+    // ---- Forum and Building Bridges ----
+    'POST /api/forum/apply': {
+        summary: 'Apply for Forum membership',
+        body: {
+            type: 'object',
+            properties: {
+                specialty: text(200), institution: text(300), position: text(200), bio: text(5000), research_interests: text(2000),
+                career_stage: text(100), application_text: text(10000), gdpr_consent: ref('Consent')
+            }
+        },
+        response: ref('Created')
+    },
+    'POST /api/bridges/apply': {
+        summary: 'Register for a Building Bridges event (older form)',
+        body: { type: 'object', required: ['event_id', 'name', 'email'], properties: { event_id: ref('Id'), ...bridgesRegistration } }
+    },
+    'POST /api/bridges/events/:id/register': {
+        summary: 'Register for a Building Bridges event',
+        params: { id: ref('Id') },
+        body: { type: 'object', required: ['name', 'email'], properties: bridgesRegistration }
+    }
+};
+
+module.exports = { COMPONENTS, ROUTES };
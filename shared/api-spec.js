@@ -0,0 +1,353 @@
+/**
+ * API spec — declarative request schemas, validation and an OpenAPI document for a
+ * portal's Express app. Shared by both portals; the schemas live in shared/api-schemas.js.
+ *
+ *   const apiSpec = createApiSpec(app, { title: 'Med&X Admin Portal API', routes: ROUTES, components: COMPONENTS });
+ *   app.post('/api/finance/transactions', auth, adminOnly, apiSpec.validate, (req, res) => ...);
+ *   app.get('/api/docs', ..., (req, res) => res.json(apiSpec.document()));
+ *   apiSpec.assertMounted();              // once every route is registered
+ *
+ * Routes are keyed 'METHOD /path/:param' exactly as they are registered. A route may
+ * declare `params` and `query` (property → schema, `required: true` on a query
+ * parameter) and a `body` schema. `validate` goes in the route's own middleware after
+ * authentication (and after multer on upload routes), so a signed-out request gets its
+ * 401 and a request without the permission its 403 before its body is looked at.
+ * Anything that doesn't match gets a 400 before the handler runs:
+ *
+ *   { error: 'amount must be a number', errors: [{ in: 'body', field: 'amount', message: 'must be a number' }] }
+ *
+ * Schemas are the JSON Schema subset below. Path and query values arrive as strings and
+ * are converted to the declared number/integer/boolean type first; the converted query
+ * replaces req.query. Optional fields may also be null or '' — handlers store those as
+ * NULL — and properties a schema doesn't list are let through.
+ *
+ * The document lists every /api route registered on the app, declared or not, with
+ * the schemas attached where there are any. assertMounted() refuses to start a portal
+ * that registers a declared route without `validate`.
+ */
+
+const KEYWORDS = ['type', 'enum', 'properties', 'required', 'additionalProperties', 'items', 'minItems', 'maxItems',
+    'minLength', 'maxLength', 'pattern', 'format', 'minimum', 'maximum', 'exclusiveMinimum', 'description', 'example', '$ref'];
+const FORMATS = {
+    date: {
+        test: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().slice(0, 10) === v,
+        message: 'must be a date (YYYY-MM-DD)'
+    },
+    'date-time': { test: (v) => /^\d{4}-\d{2}-\d{2}T/.test(v) && !Number.isNaN(Date.parse(v)), message: 'must be an ISO 8601 date-time' },
+    email: { test: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v), message: 'must be an email address' },
+    uuid: { test: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v), message: 'must be a UUID' }
+};
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// The standard 400 body, also referenced by every validated operation in the document
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: { type: 'string', description: 'First problem, ready to show to a user' },
+        errors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    in: { type: 'string', enum: ['params', 'query', 'body'] },
+                    field: { type: 'string', example: 'items[0].unit_price' },
+                    message: { type: 'string', example: 'must be a number' }
+                }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function article(type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+// '42' → 42 for a number/integer schema, 'true' → true for a boolean one; anything else as is
+function coerce(schema, value) {
+    if (typeof value !== 'string') return value;
+    const types = [].concat(schema.type || []);
+    if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+/**
+ * @param {Object} app - Express app whose routes are documented
+ * @param {Object} options
+ * @param {string} options.title - Document title
+ * @param {string} [options.version]
+ * @param {string} [options.description]
+ * @param {Object} options.routes - { 'METHOD /path': { summary, params, query, body, response } }
+ * @param {Object} [options.components] - Named schemas, referenced as { $ref: '#/components/schemas/Name' }
+ */
+function createApiSpec(app, { title, version = '1.0.0', description, routes, components = {} }) {
+    const schemas = { ...components, Error: ERROR_SCHEMA };
+
+    function resolve(schema) {
+        if (!schema || !schema.$ref) return schema;
+        const name = schema.$ref.replace('#/components/schemas/', '');
+        if (!schemas[name]) throw new Error(`Unknown schema ${schema.$ref}`);
+        return schemas[name];
+    }
+
+    /**
+     * Check a value against a schema.
+     * @returns {{ value: *, errors: Array<{field: string, message: string}> }} value with path/query strings converted
+     */
+    function check(schema, value, field = '', { convert = false } = {}) {
+        schema = resolve(schema);
+        if (convert) value = coerce(schema, value);
+        const errors = [];
+        const fail = (message) => errors.push({ field, message });
+        const types = [].concat(schema.type || []);
+        const actual = typeOf(value);
+
+        if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+            const names = types.map(article);
+            fail(`must be ${names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0]}`);
+            return { value, errors };
+        }
+        if (schema.enum && !schema.enum.includes(value)) fail(`must be one of: ${schema.enum.join(', ')}`);
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('has an invalid format');
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) fail(FORMATS[schema.format].message);
+        }
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) fail('must be a finite number');
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be greater than ${schema.exclusiveMinimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+        }
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+            if (schema.items) {
+                value = value.map((item, i) => {
+                    const result = check(schema.items, item, `${field}[${i}]`, { convert });
+                    errors.push(...result.errors);
+                    return result.value;
+                });
+            }
+        }
+        if (actual === 'object') {
+            const required = schema.required || [];
+            const properties = schema.properties || {};
+            const out = { ...value };
+            for (const key of required) {
+                if (value[key] === undefined || value[key] === null || value[key] === '') {
+                    errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+                }
+            }
+            for (const [key, item] of Object.entries(value)) {
+                const path = field ? `${field}.${key}` : key;
+                const propertySchema = properties[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+                if (!propertySchema) {
+                    if (schema.additionalProperties === false) errors.push({ field: path, message: 'is not allowed' });
+                    continue;
+                }
+                // Absent, null and '' are all "not given" (reported above when required)
+                if (item === undefined || item === null || item === '') continue;
+                const result = check(propertySchema, item, path, { convert });
+                errors.push(...result.errors);
+                out[key] = result.value;
+            }
+            value = out;
+        }
+        return { value, errors };
+    }
+
+    // Parameter maps ({ name: schema }) as an object schema; `required: true` on a parameter → required
+    function objectSchema(parameters, allRequired) {
+        const properties = {};
+        const required = [];
+        for (const [name, schema] of Object.entries(parameters)) {
+            const { required: isRequired, ...rest } = schema;
+            properties[name] = rest;
+            if (allRequired || isRequired) required.push(name);
+        }
+        return { type: 'object', properties, required };
+    }
+
+    function compile(key, spec) {
+        const [method, path] = key.split(' ');
+        return {
+            method: method.toUpperCase(),
+            path,
+            spec,
+            params: spec.params ? objectSchema(spec.params, true) : null,
+            query: spec.query ? objectSchema(spec.query, false) : null
+        };
+    }
+
+    // Catch typos in the route table at startup rather than on the first request
+    function checkSchema(schema, where) {
+        if (!schema || typeof schema !== 'object') return;
+        resolve(schema);
+        for (const key of Object.keys(schema)) {
+            if (!KEYWORDS.includes(key)) throw new Error(`${where}: unsupported schema keyword "${key}"`);
+        }
+        Object.entries(schema.properties || {}).forEach(([name, s]) => checkSchema(s, `${where}.${name}`));
+        if (schema.items) checkSchema(schema.items, `${where}[]`);
+        if (typeof schema.additionalProperties === 'object') checkSchema(schema.additionalProperties, `${where}.*`);
+    }
+
+    const compiled = Object.entries(routes).map(([key, spec]) => {
+        const route = compile(key, spec);
+        if (spec.body) checkSchema(spec.body, key);
+        if (route.params) Object.entries(route.params.properties).forEach(([name, s]) => checkSchema(s, `${key} :${name}`));
+        if (route.query) Object.entries(route.query.properties).forEach(([name, s]) => checkSchema(s, `${key} ?${name}`));
+        return route;
+    });
+    Object.entries(components).forEach(([name, schema]) => checkSchema(schema, name));
+    const byKey = new Map(compiled.map(route => [`${route.method} ${route.path}`, route]));
+
+    /**
+     * Route middleware: checks the request against the schemas declared for the route it
+     * is mounted on (looked up by req.route.path), then calls the handler or answers 400.
+     */
+    function validate(req, res, next) {
+        const route = req.route && byKey.get(`${req.method === 'HEAD' ? 'GET' : req.method} ${req.route.path}`);
+        if (!route) return next();
+        const errors = [];
+
+        if (route.params) {
+            errors.push(...check(route.params, req.params, '', { convert: true }).errors.map(e => ({ in: 'params', ...e })));
+        }
+        if (route.query) {
+            const result = check(route.query, req.query || {}, '', { convert: true });
+            errors.push(...result.errors.map(e => ({ in: 'query', ...e })));
+            if (!result.errors.length) req.query = result.value;
+        }
+        if (route.spec.body) {
+            const body = req.body === undefined ? {} : req.body;
+            if (typeOf(body) !== 'object') {
+                errors.push({ in: 'body', field: '', message: 'Request body must be a JSON object' });
+            } else {
+                errors.push(...check(route.spec.body, body, '').errors.map(e => ({ in: 'body', ...e })));
+            }
+        }
+        if (!errors.length) return next();
+
+        const [first] = errors;
+        const label = first.field ? `${first.in === 'body' ? '' : first.in + '.'}${first.field} ${first.message}` : first.message;
+        res.status(400).json({ error: label, errors });
+    }
+
+    // The first registration of each method and path, as Express dispatches them
+    function registrations() {
+        const seen = new Map();
+        for (const layer of app._router.stack) {
+            if (!layer.route) continue;
+            for (const path of [].concat(layer.route.path)) {
+                if (typeof path !== 'string') continue;
+                for (const method of METHODS) {
+                    const key = `${method.toUpperCase()} ${path}`;
+                    if (layer.route.methods[method] && !seen.has(key)) seen.set(key, { path, method, stack: layer.route.stack });
+                }
+            }
+        }
+        return [...seen.values()];
+    }
+
+    /**
+     * Throws when a declared route is registered without `validate` — its schemas would
+     * silently never run. Routes registered on the other portal only are fine.
+     */
+    function assertMounted() {
+        const missing = registrations()
+            .filter(r => byKey.has(`${r.method.toUpperCase()} ${r.path}`) && !r.stack.some(layer => layer.handle === validate))
+            .map(r => `${r.method.toUpperCase()} ${r.path}`);
+        if (missing.length) throw new Error(`Declared in the API schemas but registered without apiSpec.validate: ${missing.join(', ')}`);
+    }
+
+    // ---- OpenAPI ----
+
+    function tagOf(path) {
+        const parts = path.split('/').filter(Boolean);
+        return (parts[1] === 'admin' && parts[2] ? parts[2] : parts[1]) || 'api';
+    }
+
+    function parametersOf(path, spec) {
+        const parameters = [];
+        for (const [, name] of path.matchAll(/:(\w+)(\([^)]*\))?\??/g)) {
+            const schema = spec && spec.params && spec.params[name] ? spec.params[name] : { type: 'string' };
+            parameters.push({ name, in: 'path', required: true, schema });
+        }
+        for (const [name, schema] of Object.entries((spec && spec.query) || {})) {
+            const { required, description: text, ...rest } = schema;
+            parameters.push({ name, in: 'query', required: !!required, ...(text ? { description: text } : {}), schema: rest });
+        }
+        return parameters;
+    }
+
+    function operation(path, method, handlers, spec) {
+        const secured = handlers.includes('auth');
+        const teamOnly = handlers.includes('adminOnly');
+        const validated = spec && (spec.params || spec.query || spec.body);
+        const op = { tags: [tagOf(path)] };
+        if (spec && spec.summary) op.summary = spec.summary;
+        if (teamOnly) op.description = 'Team members only.';
+        const parameters = parametersOf(path, spec);
+        if (parameters.length) op.parameters = parameters;
+        if (spec && spec.body) op.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+        op.responses = {
+            200: spec && spec.response
+                ? { description: 'OK', content: { 'application/json': { schema: spec.response } } }
+                : { description: 'OK' }
+        };
+        const error = (text) => ({ description: text, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+        if (validated) op.responses[400] = error('Invalid request');
+        if (secured) op.responses[401] = error('Not signed in');
+        if (teamOnly) op.responses[403] = error('Not allowed');
+        op.security = secured ? [{ bearerAuth: [] }] : [];
+        return op;
+    }
+
+    let cached = null;
+
+    /**
+     * OpenAPI 3.1 document for every /api route on the app. Built on first use, once
+     * all routes are registered.
+     */
+    function document() {
+        if (cached) return cached;
+        const paths = {};
+        for (const { path, method, stack } of registrations()) {
+            if (!path.startsWith('/api/') || path.includes('*')) continue;
+            const openApiPath = path.replace(/:(\w+)(\([^)]*\))?\??/g, '{$1}');
+            paths[openApiPath] = paths[openApiPath] || {};
+            if (paths[openApiPath][method]) continue;
+            paths[openApiPath][method] = operation(path, method, stack.map(l => l.name), byKey.get(`${method.toUpperCase()} ${path}`)?.spec);
+        }
+        const sorted = {};
+        Object.keys(paths).sort().forEach(path => { sorted[path] = paths[path]; });
+
+        cached = {
+            openapi: '3.1.0',
+            info: { title, version, ...(description ? { description } : {}) },
+            paths: sorted,
+            components: {
+                schemas,
+                securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } }
+            }
+        };
+        return cached;
+    }
+
+    return { validate, assertMounted, document, check };
+}
+
+module.exports = { createApiSpec, ERROR_SCHEMA };
@@ -0,0 +1,196 @@
+/**
+ * Audit Trail — who changed what through a portal's API.
+ *
+ * An app-level middleware records every signed-in POST/PUT/PATCH/DELETE under /api
+ * into `audit_log`: actor, route, status and the (redacted) request body. Anonymous
+ * requests (sign-ins, public registrations) are left out — they are not changes
+ * anyone made, and their bodies are mostly credentials and personal data. Requests whose
+ * path falls under a registered entity also get the row before and after the
+ * handler ran plus a field-level diff, e.g. { path: '/api/finance/transactions',
+ * table: 'finance_transactions' } covers POST /api/finance/transactions (the
+ * created id is read from the JSON response) and PUT/DELETE/POST .../:id[/action].
+ */
+
+const crypto = require('crypto');
+
+const MUTATING = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const REDACTED_KEYS = /pass(word)?|secret|token|otp|totp|^code$|backup_?codes?|cvc|card_?number/i;
+const MAX_JSON_LENGTH = 20000;
+
+function redact(value) {
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = REDACTED_KEYS.test(k) ? '[redacted]' : redact(v);
+        return out;
+    }
+    return value;
+}
+
+function toJson(value) {
+    if (value === null || value === undefined) return null;
+    const json = JSON.stringify(value);
+    return json.length > MAX_JSON_LENGTH ? json.slice(0, MAX_JSON_LENGTH) + '…' : json;
+}
+
+/**
+ * Changed fields between two rows: { field: [before, after] }.
+ */
+function diffRows(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const a = before ? before[key] : undefined;
+        const b = after ? after[key] : undefined;
+        if (a !== b && !(a == null && b == null)) changes[key] = [a ?? null, b ?? null];
+    }
+    return changes;
+}
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.portal - 'admin' | 'user'
+ * @param {Array<{path: string, table: string, key?: string}>} [options.entities] - Longest path wins
+ * @param {RegExp[]} [options.skip] - Paths not worth recording (read receipts, ...)
+ * @param {RegExp[]} [options.omitBody] - Paths recorded without their request body, because
+ *   the body is the personal data (a GDPR erasure names the person being erased)
+ */
+function createAuditTrail(db, { portal, entities = [], skip = [], omitBody = [] }) {
+    const sorted = [...entities].sort((a, b) => b.path.length - a.path.length);
+
+    function matchEntity(urlPath) {
+        for (const entity of sorted) {
+            if (urlPath === entity.path) return { ...entity, key: entity.key || 'id', id: null };
+            if (urlPath.startsWith(entity.path + '/')) {
+                const id = decodeURIComponent(urlPath.slice(entity.path.length + 1).split('/')[0]);
+                return { ...entity, key: entity.key || 'id', id };
+            }
+        }
+        return null;
+    }
+
+    function snapshot(entity, id) {
+        if (id === null || id === undefined) return null;
+        try {
+            return db.get(`SELECT * FROM ${entity.table} WHERE ${entity.key} = ?`, [id]) || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Write one audit row. Also usable directly for changes made outside a request.
+     */
+    function record(entry) {
+        const id = crypto.randomUUID();
+        db.run(`INSERT INTO audit_log (id, portal, actor_id, actor_email, method, route, path, status,
+                entity_table, entity_id, before_json, after_json, changes_json, body_json, ip, user_agent)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [id, portal, entry.actorId || null, entry.actorEmail || null, entry.method, entry.route || null, entry.path,
+             entry.status || null, entry.table || null, entry.entityId != null ? String(entry.entityId) : null,
+             toJson(entry.before), toJson(entry.after), toJson(entry.changes), toJson(entry.body),
+             entry.ip || null, entry.userAgent || null]);
+        return id;
+    }
+
+    function middleware(req, res, next) {
+        if (!MUTATING.has(req.method) || !req.path.startsWith('/api/') || skip.some(re => re.test(req.path))) return next();
+
+        const entity = matchEntity(req.path);
+        const before = entity ? snapshot(entity, entity.id) : null;
+        let responseBody;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+
+        res.on('finish', () => {
+            if (!req.user) return;
+            try {
+                let entityId = entity?.id ?? null;
+                if (entity && entityId === null && res.statusCode < 400) {
+                    entityId = responseBody?.[entity.key] ?? req.body?.[entity.key] ?? null;
+                }
+                const after = entity ? snapshot(entity, entityId) : null;
+                const body = omitBody.some(re => re.test(req.path)) ? null
+                    : req.file ? { ...req.body, file: req.file.originalname } : req.body;
+                record({
+                    actorId: req.user?.id,
+                    actorEmail: req.user?.email,
+                    method: req.method,
+                    route: req.route?.path,
+                    path: req.originalUrl.split('?')[0],
+                    status: res.statusCode,
+                    table: entity?.table,
+                    entityId,
+                    before: before && redact(before),
+                    after: after && redact(after),
+                    changes: entity && (before || after) ? redact(diffRows(before, after)) : null,
+                    body: body && Object.keys(body).length ? redact(body) : null,
+                    ip: req.ip,
+                    userAgent: req.get('user-agent')
+                });
+            } catch (err) {
+                console.error('[Audit] Failed to record', req.method, req.path, err.message);
+            }
+        });
+        next();
+    }
+
+    /**
+     * Filtered, paged audit rows (newest first).
+     *
+     * @param {Object} filters - actor, table, entity_id, method, status ('ok' | 'error'), q (path), from, to, limit, offset
+     */
+    function list(filters = {}) {
+        const where = [];
+        const params = [];
+        if (filters.actor) { where.push('actor_email LIKE ?'); params.push(`%${filters.actor}%`); }
+        if (filters.table) { where.push('entity_table = ?'); params.push(filters.table); }
+        if (filters.entity_id) { where.push('entity_id = ?'); params.push(filters.entity_id); }
+        if (filters.method) { where.push('method = ?'); params.push(String(filters.method).toUpperCase()); }
+        if (filters.status === 'ok') where.push('status < 400');
+        if (filters.status === 'error') where.push('status >= 400');
+        if (filters.q) { where.push('path LIKE ?'); params.push(`%${filters.q}%`); }
+        if (filters.from) { where.push('created_at >= ?'); params.push(filters.from); }
+        if (filters.to) { where.push("created_at < date(?, '+1 day')"); params.push(filters.to); }
+        const clause = where.length ? 'WHERE ' + where.join(' AND ') : '';
+        const limit = Math.min(parseInt(filters.limit) || 100, 5000);
+        const offset = parseInt(filters.offset) || 0;
+
+        const total = db.get(`SELECT COUNT(*) as c FROM audit_log ${clause}`, params)?.c || 0;
+        const rows = db.all(`SELECT * FROM audit_log ${clause} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`, [...params, limit, offset])
+            .map(r => ({
+                ...r,
+                before: r.before_json ? safeParse(r.before_json) : null,
+                after: r.after_json ? safeParse(r.after_json) : null,
+                changes: r.changes_json ? safeParse(r.changes_json) : null,
+                body: r.body_json ? safeParse(r.body_json) : null
+            }));
+        return { total, rows };
+    }
+
+    /**
+     * Distinct values for the viewer's filter dropdowns.
+     */
+    function facets() {
+        return {
+            tables: db.all('SELECT DISTINCT entity_table as v FROM audit_log WHERE entity_table IS NOT NULL ORDER BY v').map(r => r.v),
+            actors: db.all('SELECT DISTINCT actor_email as v FROM audit_log WHERE actor_email IS NOT NULL ORDER BY v').map(r => r.v)
+        };
+    }
+
+    return { middleware, record, list, facets };
+}
+
+function safeParse(json) {
+    try {
+        return JSON.parse(json);
+    } catch (err) {
+        return json; // truncated
+    }
+}
+
+module.exports = { createAuditTrail, diffRows };
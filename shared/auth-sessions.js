@@ -0,0 +1,213 @@
+/**
+ * Auth Sessions — short-lived access tokens, rotating refresh tokens and password
+ * reset tokens, shared by both portals.
+ *
+ * Every sign-in opens an `auth_sessions` row. The access token is a JWT carrying the
+ * session id (`sid`); it is only accepted while that session is open, so revoking a
+ * session signs the device out on its next request. The refresh token
+ * (`<session id>.<secret>`) is stored hashed and replaced on every refresh; presenting
+ * an already-used one means it was copied, and the whole session is revoked.
+ *
+ * Subjects are `{ type: 'user' | 'applicant', id }` — `users` and
+ * `accelerator_applicants` are separate account tables.
+ */
+
+const crypto = require('crypto');
+
+class SessionError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = status;
+    }
+}
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function sameHash(a, b) {
+    return !!a && !!b && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function describeAgent(ua = '') {
+    const browser = /Edg\//.test(ua) ? 'Edge' : /Firefox\//.test(ua) ? 'Firefox' : /Chrome\//.test(ua) ? 'Chrome'
+        : /Safari\//.test(ua) ? 'Safari' : /curl|node|axios/i.test(ua) ? 'Script' : 'Browser';
+    const os = /iPhone|iPad/.test(ua) ? 'iOS' : /Android/.test(ua) ? 'Android' : /Mac OS X/.test(ua) ? 'macOS'
+        : /Windows/.test(ua) ? 'Windows' : /Linux/.test(ua) ? 'Linux' : '';
+    return os ? `${browser} on ${os}` : browser;
+}
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {Object} options.jwt - The portal's jsonwebtoken module
+ * @param {string} options.secret - JWT secret
+ * @param {string} options.portal - 'admin' | 'user', recorded on sessions opened here
+ * @param {string} [options.accessTtl] - Access token lifetime (jsonwebtoken format)
+ * @param {number} [options.refreshDays] - Days a session stays valid without a refresh
+ * @param {number} [options.resetMinutes] - Password reset link lifetime
+ */
+function createAuthSessions(db, { jwt, secret, portal, accessTtl = '15m', refreshDays = 30, resetMinutes = 60 }) {
+    function newRefreshToken(sessionId) {
+        return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+    }
+
+    function accessToken(session, claims) {
+        return jwt.sign({ ...claims, id: session.subject_id, sid: session.id }, secret, { expiresIn: accessTtl });
+    }
+
+    /**
+     * Open a session for a subject that has just proven who they are.
+     *
+     * @param {{type: string, id: string}} subject
+     * @param {Object} claims - Extra JWT claims (email, is_admin, type, ...)
+     * @param {Object} [options]
+     * @param {boolean} [options.twoFactor] - The sign-in included a second factor (shared/two-factor.js)
+     * @returns {{ token: string, refreshToken: string, sessionId: string }}
+     */
+    function issue(subject, claims, req, { twoFactor = false } = {}) {
+        const id = crypto.randomUUID();
+        const refreshToken = newRefreshToken(id);
+        db.run(`INSERT INTO auth_sessions (id, subject_type, subject_id, portal, refresh_hash, user_agent, ip, expires_at, two_factor)
+            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', ?), ?)`,
+            [id, subject.type, subject.id, portal, hash(refreshToken), req?.get?.('user-agent') || null, req?.ip || null, `+${refreshDays} days`, twoFactor ? 1 : 0]);
+        return { token: accessToken({ id, subject_id: subject.id }, claims), refreshToken, sessionId: id };
+    }
+
+    function openSession(id) {
+        return db.get(`SELECT * FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')`, [id]);
+    }
+
+    function isOpen(id) {
+        return !!openSession(id);
+    }
+
+    /**
+     * Decode an access token and make sure its session is still open. Returns the
+     * claims (plus `twoFactor`, whether the session was opened with a second factor),
+     * or null for anything invalid, expired or revoked.
+     */
+    function verify(token, type = 'user') {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, secret);
+        } catch (err) {
+            return null;
+        }
+        if (!decoded.sid) return null;
+        const session = openSession(decoded.sid);
+        if (!session || session.subject_type !== type || session.subject_id !== decoded.id) return null;
+        db.run(`UPDATE auth_sessions SET last_used_at = datetime('now')
+            WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-5 minutes'))`, [session.id]);
+        return { ...decoded, twoFactor: !!session.two_factor };
+    }
+
+    /**
+     * Record that a session has since passed a second factor (2FA set up while signed in).
+     */
+    function markTwoFactor(sessionId) {
+        db.run('UPDATE auth_sessions SET two_factor = 1 WHERE id = ?', [sessionId]);
+    }
+
+    /**
+     * Trade a refresh token for a new access + refresh token pair.
+     *
+     * @param {string} refreshToken
+     * @param {string} type - Subject type the caller accepts
+     * @param {Function} claimsFor - (subjectId) => claims for the new access token, or null if the account is gone
+     */
+    function refresh(refreshToken, type, claimsFor, req) {
+        const sessionId = String(refreshToken || '').split('.')[0];
+        const session = sessionId && db.get('SELECT * FROM auth_sessions WHERE id = ?', [sessionId]);
+        if (!session || session.subject_type !== type) throw new SessionError('Invalid refresh token');
+        const presented = hash(refreshToken);
+        if (sameHash(presented, session.previous_refresh_hash)) {
+            revoke(session.id, 'refresh token reused');
+            throw new SessionError('Refresh token already used — session revoked');
+        }
+        if (!sameHash(presented, session.refresh_hash)) throw new SessionError('Invalid refresh token');
+        if (session.revoked_at || !openSession(session.id)) throw new SessionError('Session expired or revoked');
+        const claims = claimsFor(session.subject_id);
+        if (!claims) {
+            revoke(session.id, 'account removed');
+            throw new SessionError('Account no longer exists');
+        }
+
+        const next = newRefreshToken(session.id);
+        db.run(`UPDATE auth_sessions SET refresh_hash = ?, previous_refresh_hash = ?, last_used_at = datetime('now'),
+                expires_at = datetime('now', ?), ip = COALESCE(?, ip), user_agent = COALESCE(?, user_agent)
+            WHERE id = ?`,
+            [hash(next), session.refresh_hash, `+${refreshDays} days`, req?.ip || null, req?.get?.('user-agent') || null, session.id]);
+        return { token: accessToken(session, claims), refreshToken: next, sessionId: session.id };
+    }
+
+    /**
+     * Open sessions of one subject, newest activity first; `current` marks the caller's.
+     */
+    function list(subject, currentSid = null) {
+        return db.all(`SELECT id, portal, user_agent, ip, two_factor, created_at, last_used_at, expires_at FROM auth_sessions
+            WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+            ORDER BY COALESCE(last_used_at, created_at) DESC`, [subject.type, subject.id])
+            .map(s => ({ ...s, device: describeAgent(s.user_agent || ''), current: s.id === currentSid }));
+    }
+
+    /**
+     * Revoke one session. Pass `subject` to only allow revoking that subject's own sessions.
+     */
+    function revoke(sessionId, reason = 'signed out', subject = null) {
+        const where = subject ? ' AND subject_type = ? AND subject_id = ?' : '';
+        const params = subject ? [reason, sessionId, subject.type, subject.id] : [reason, sessionId];
+        const before = db.get('SELECT COUNT(*) as c FROM auth_sessions WHERE id = ? AND revoked_at IS NULL' + where,
+            params.slice(1))?.c || 0;
+        db.run(`UPDATE auth_sessions SET revoked_at = datetime('now'), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL` + where, params);
+        return before > 0;
+    }
+
+    /**
+     * Revoke every open session of a subject, optionally keeping one (the caller's).
+     * Returns how many were revoked.
+     */
+    function revokeAll(subject, { except = null, reason = 'signed out everywhere' } = {}) {
+        const open = db.all(`SELECT id FROM auth_sessions WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL
+            AND id != ?`, [subject.type, subject.id, except || '']);
+        for (const { id } of open) revoke(id, reason);
+        return open.length;
+    }
+
+    /**
+     * New single-use password reset token for a subject (any earlier unused one stops working).
+     * Returns the raw token to put in the emailed link.
+     */
+    function createResetToken(subject, req) {
+        const token = crypto.randomBytes(32).toString('hex');
+        db.run(`UPDATE password_resets SET used_at = datetime('now') WHERE subject_type = ? AND subject_id = ? AND used_at IS NULL`,
+            [subject.type, subject.id]);
+        db.run(`INSERT INTO password_resets (id, subject_type, subject_id, token_hash, ip, expires_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+            [crypto.randomUUID(), subject.type, subject.id, hash(token), req?.ip || null, `+${resetMinutes} minutes`]);
+        return token;
+    }
+
+    /**
+     * Use up a reset token. Returns the subject id it was issued for, or null if it is
+     * unknown, expired or already used.
+     */
+    function consumeResetToken(type, token) {
+        const row = token && db.get(`SELECT * FROM password_resets WHERE token_hash = ? AND subject_type = ?
+            AND used_at IS NULL AND expires_at > datetime('now')`, [hash(String(token)), type]);
+        if (!row) return null;
+        db.run(`UPDATE password_resets SET used_at = datetime('now') WHERE id = ?`, [row.id]);
+        return row.subject_id;
+    }
+
+    /**
+     * Drop sessions and reset tokens that ended more than 30 days ago.
+     */
+    function purge() {
+        db.run(`DELETE FROM auth_sessions WHERE COALESCE(revoked_at, expires_at) < datetime('now', '-30 days')`);
+        db.run(`DELETE FROM password_resets WHERE expires_at < datetime('now', '-30 days')`);
+    }
+
+    return { issue, verify, isOpen, markTwoFactor, refresh, list, revoke, revokeAll, createResetToken, consumeResetToken, purge };
+}
+
+module.exports = { createAuthSessions, SessionError, describeAgent };
@@ -0,0 +1,406 @@
+/**
+ * Backups — rotating snapshots of the shared database plus the uploads trees.
+ *
+ * Each snapshot is a directory under the backup root:
+ *
+ *   <id>/manifest.json     tier, timestamps, schema version, sizes
+ *   <id>/medx_portal.db    consistent copy taken with the SQLite online backup API
+ *   <id>/uploads/<name>/   files from each configured uploads directory
+ *
+ * Upload files are hard-linked where the filesystem allows it. Uploads are
+ * written once under UUID names (renames replace the directory entry, never the
+ * file contents), so snapshots share unchanged files and hourly rotation is cheap.
+ *
+ * Restore never swaps the file on disk: the snapshot is copied aside, validated,
+ * migrated and reconciled with the live schema, then written into the live file
+ * through the backup API. The other portal's open connection sees the restored
+ * content at once; it is additionally signalled to reopen (shared/portal-signals.js).
+ *
+ * better-sqlite3 is installed per backend, so the constructor is passed in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./migrations');
+const portalSignals = require('./portal-signals');
+const { openDatabase } = require('./sqlite-adapter');
+
+const HOUR = 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const DB_FILE = 'medx_portal.db';
+const MANIFEST_FILE = 'manifest.json';
+const SNAPSHOT_ID = /^[a-z][a-z-]*-\d{8}T\d{6}Z(-\d+)?$/;
+
+const TIERS = {
+    hourly: { intervalMs: HOUR, keep: 24 },
+    daily: { intervalMs: 24 * HOUR, keep: 7 },
+    weekly: { intervalMs: 7 * 24 * HOUR, keep: 4 },
+    manual: { keep: 10 },
+    'pre-restore': { keep: 5 }
+};
+const SCHEDULED_TIERS = ['hourly', 'daily', 'weekly'];
+
+class BackupError extends Error {
+    constructor(message, status = 400, details = null) {
+        super(message);
+        this.name = 'BackupError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Mirror a directory tree into `dest`, hard-linking files (copying across devices).
+ */
+function linkTree(src, dest, stats = { files: 0, bytes: 0 }) {
+    fs.mkdirSync(dest, { recursive: true });
+    for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+        const from = path.join(src, entry.name);
+        const to = path.join(dest, entry.name);
+        if (entry.isDirectory()) {
+            linkTree(from, to, stats);
+        } else if (entry.isFile()) {
+            try {
+                fs.linkSync(from, to);
+            } catch (err) {
+                if (!['EXDEV', 'EPERM', 'ENOTSUP'].includes(err.code)) throw err;
+                fs.copyFileSync(from, to);
+            }
+            stats.files++;
+            stats.bytes += fs.statSync(to).size;
+        }
+    }
+    return stats;
+}
+
+function removeDbFiles(file) {
+    ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(file + suffix, { force: true }));
+}
+
+function timestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+class BackupManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.db - Live portal database (shared/sqlite-adapter.js)
+     * @param {Function} options.Database - better-sqlite3 constructor
+     * @param {string} options.dir - Backup root (created if missing)
+     * @param {Object<string, string>} [options.uploads] - Name → uploads directory to include
+     * @param {string} options.portal - Portal running the manager ('admin' | 'user')
+     * @param {Array<string>} [options.peers] - Portals to signal after a restore
+     */
+    constructor({ db, Database, dir, uploads = {}, portal, peers = [] }) {
+        this.db = db;
+        this.Database = Database;
+        this.dir = dir;
+        this.uploads = uploads;
+        this.portal = portal;
+        this.peers = peers;
+        this.busy = false;
+        this.timer = null;
+        fs.mkdirSync(dir, { recursive: true });
+        // Leftovers from a crash mid-snapshot or mid-restore
+        fs.readdirSync(dir).filter(name => name.startsWith('.')).forEach(name =>
+            fs.rmSync(path.join(dir, name), { recursive: true, force: true }));
+    }
+
+    snapshotPath(id) {
+        if (!SNAPSHOT_ID.test(id)) throw new BackupError('Invalid snapshot id');
+        return path.join(this.dir, id);
+    }
+
+    /**
+     * Snapshots, newest first.
+     */
+    list() {
+        return fs.readdirSync(this.dir)
+            .filter(name => SNAPSHOT_ID.test(name))
+            .map(name => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(this.dir, name, MANIFEST_FILE), 'utf8'));
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    get(id) {
+        const file = path.join(this.snapshotPath(id), MANIFEST_FILE);
+        if (!fs.existsSync(file)) throw new BackupError('Snapshot not found', 404);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    async exclusive(fn) {
+        if (this.busy) throw new BackupError('Another backup or restore is in progress', 409);
+        this.busy = true;
+        try {
+            return await fn();
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Take a snapshot now.
+     *
+     * @param {string} tier - Key of TIERS
+     * @param {Object} [meta] - { createdBy, note }
+     */
+    create(tier, meta = {}) {
+        if (!TIERS[tier]) throw new BackupError(`Unknown backup tier "${tier}"`);
+        return this.exclusive(() => this.snapshot(tier, meta));
+    }
+
+    newId(tier, date) {
+        const base = `${tier}-${timestamp(date)}`;
+        let id = base;
+        for (let n = 2; fs.existsSync(path.join(this.dir, id)); n++) id = `${base}-${n}`;
+        return id;
+    }
+
+    async snapshot(tier, { createdBy = null, note = null } = {}) {
+        const now = new Date();
+        const id = this.newId(tier, now);
+        // Build under a dot-dir and rename, so list() never sees a half-written snapshot
+        const tmp = path.join(this.dir, '.tmp-' + id);
+        fs.mkdirSync(tmp, { recursive: true });
+        try {
+            await this.db.raw.backup(path.join(tmp, DB_FILE));
+            const uploads = {};
+            for (const [name, src] of Object.entries(this.uploads)) {
+                if (src && fs.existsSync(src)) uploads[name] = linkTree(src, path.join(tmp, 'uploads', name));
+            }
+            const manifest = {
+                id,
+                tier,
+                created_at: now.toISOString(),
+                created_by: createdBy,
+                note,
+                portal: this.portal,
+                schema_version: migrations.currentVersion(this.db),
+                db_size: fs.statSync(path.join(tmp, DB_FILE)).size,
+                uploads
+            };
+            fs.writeFileSync(path.join(tmp, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+            fs.renameSync(tmp, path.join(this.dir, id));
+            this.prune(tier);
+            return manifest;
+        } catch (err) {
+            fs.rmSync(tmp, { recursive: true, force: true });
+            throw err;
+        }
+    }
+
+    /**
+     * File an existing snapshot under another tier as well (hard links, no second backup).
+     */
+    promote(manifest, tier) {
+        const id = this.newId(tier, new Date(manifest.created_at));
+        const tmp = path.join(this.dir, '.tmp-' + id);
+        linkTree(path.join(this.dir, manifest.id), tmp);
+        const promoted = { ...manifest, id, tier, promoted_from: manifest.id };
+        // Replace the link rather than edit it in place — it's shared with the source snapshot
+        fs.rmSync(path.join(tmp, MANIFEST_FILE));
+        fs.writeFileSync(path.join(tmp, MANIFEST_FILE), JSON.stringify(promoted, null, 2));
+        fs.renameSync(tmp, path.join(this.dir, id));
+        this.prune(tier);
+        return promoted;
+    }
+
+    prune(tier) {
+        const { keep } = TIERS[tier];
+        this.list().filter(m => m.tier === tier).slice(keep).forEach(m => {
+            fs.rmSync(path.join(this.dir, m.id), { recursive: true, force: true });
+            console.log(`[Backups] Pruned ${m.id}`);
+        });
+    }
+
+    /**
+     * Take whatever scheduled snapshots are due. One backup is taken and filed under
+     * every due tier. A tier counts as due one check interval early so the timer's
+     * drift doesn't push hourly snapshots to every other check.
+     */
+    runDue(now = Date.now()) {
+        const existing = this.list();
+        const due = SCHEDULED_TIERS.filter(tier => {
+            const latest = existing.find(m => m.tier === tier);
+            return !latest || now - Date.parse(latest.created_at) >= TIERS[tier].intervalMs - CHECK_INTERVAL_MS;
+        });
+        if (!due.length) return Promise.resolve([]);
+        return this.exclusive(async () => {
+            const first = await this.snapshot(due[0], { note: 'Scheduled' });
+            return [first, ...due.slice(1).map(tier => this.promote(first, tier))];
+        });
+    }
+
+    start() {
+        const tick = () => this.runDue()
+            .then(made => made.forEach(m => console.log(`[Backups] Snapshot ${m.id} (${(m.db_size / 1024 / 1024).toFixed(1)} MB)`)))
+            .catch(err => {
+                if (err.status !== 409) console.error('[Backups] Scheduled snapshot failed:', err);
+            });
+        // Let boot finish before the first snapshot
+        setTimeout(tick, 30 * 1000).unref();
+        this.timer = setInterval(tick, CHECK_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    /**
+     * Copy a snapshot aside and check it can be restored: integrity, schema version
+     * not newer than this code, then migrate it forward and add any tables, columns
+     * and indexes the live schema has but the snapshot lacks (inline bootstrap
+     * additions since the snapshot was taken).
+     *
+     * Returns the open staging database with the report; the caller closes it.
+     */
+    stage(id) {
+        const manifest = this.get(id);
+        const source = path.join(this.snapshotPath(id), DB_FILE);
+        if (!fs.existsSync(source)) throw new BackupError('Snapshot has no database file', 422);
+
+        const stagingPath = path.join(this.dir, `.staging-${id}.db`);
+        fs.copyFileSync(source, stagingPath);
+        const report = {
+            snapshot: id,
+            integrity: null,
+            snapshotVersion: null,
+            portalVersion: migrations.latestVersion(),
+            migrationsApplied: [],
+            addedTables: [],
+            addedColumns: [],
+            addedIndexes: [],
+            errors: []
+        };
+
+        let staging;
+        try {
+            staging = openDatabase(this.Database, stagingPath);
+            report.integrity = staging.raw.pragma('integrity_check', { simple: true });
+            if (report.integrity !== 'ok') report.errors.push(`Integrity check failed: ${report.integrity}`);
+            report.snapshotVersion = migrations.currentVersion(staging);
+            try {
+                migrations.assertNotBehind(staging, this.portal);
+            } catch (err) {
+                report.errors.push(err.message);
+            }
+            if (!report.errors.length) {
+                report.migrationsApplied = migrations.migrate(staging, { portal: 'restore' });
+                this.reconcile(staging, report);
+            }
+        } catch (err) {
+            if (staging) staging.close();
+            removeDbFiles(stagingPath);
+            throw new BackupError(`Snapshot ${id} can't be opened: ${err.message}`, 422);
+        }
+        report.ok = report.errors.length === 0;
+        return { manifest, staging, stagingPath, report };
+    }
+
+    reconcile(staging, report) {
+        const liveTables = this.db.all("SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+        const stagingTables = new Set(staging.all("SELECT name FROM sqlite_master WHERE type = 'table'").map(t => t.name));
+        for (const table of liveTables) {
+            if (!stagingTables.has(table.name)) {
+                staging.run(table.sql);
+                report.addedTables.push(table.name);
+                continue;
+            }
+            const have = new Set(staging.all(`PRAGMA table_info("${table.name}")`).map(c => c.name));
+            for (const col of this.db.all(`PRAGMA table_info("${table.name}")`)) {
+                if (have.has(col.name)) continue;
+                const base = `ALTER TABLE "${table.name}" ADD COLUMN "${col.name}" ${col.type}`;
+                try {
+                    staging.run(col.dflt_value != null ? `${base} DEFAULT ${col.dflt_value}` : base);
+                } catch (e) {
+                    // Non-constant defaults (CURRENT_TIMESTAMP) can't be added by ALTER TABLE
+                    staging.run(base);
+                }
+                report.addedColumns.push(`${table.name}.${col.name}`);
+            }
+        }
+        const stagingIndexes = new Set(staging.all("SELECT name FROM sqlite_master WHERE type = 'index'").map(i => i.name));
+        this.db.all("SELECT name, sql FROM sqlite_master WHERE type = 'index' AND sql IS NOT NULL").forEach(index => {
+            if (stagingIndexes.has(index.name)) return;
+            try {
+                staging.run(index.sql);
+                report.addedIndexes.push(index.name);
+            } catch (err) {
+                // e.g. a UNIQUE index the older data violates
+                report.errors.push(`Index ${index.name}: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * Dry run of restore(): the validation report without touching live data.
+     */
+    validate(id) {
+        const { staging, stagingPath, report } = this.stage(id);
+        staging.close();
+        removeDbFiles(stagingPath);
+        return report;
+    }
+
+    /**
+     * Replace live data with a snapshot. A pre-restore snapshot is taken first so the
+     * restore itself can be undone. Uploads from the snapshot are put back where
+     * missing or different; files uploaded since are left in place.
+     */
+    restore(id, { createdBy = null } = {}) {
+        return this.exclusive(async () => {
+            const { staging, stagingPath, report } = this.stage(id);
+            let safety;
+            try {
+                if (!report.ok) throw new BackupError('Snapshot failed validation', 422, report);
+                safety = await this.snapshot('pre-restore', { createdBy, note: `Before restoring ${id}` });
+                await staging.raw.backup(this.db.filename);
+            } finally {
+                staging.close();
+                removeDbFiles(stagingPath);
+            }
+            this.db.reopen();
+
+            const uploads = this.restoreUploads(id);
+            this.peers.forEach(peer => portalSignals.send(this.db, peer, 'reload', { reason: 'restore', snapshot: id }, this.portal));
+            console.log(`[Backups] Restored ${id} (safety snapshot ${safety.id})`);
+            return { snapshot: id, preRestoreSnapshot: safety.id, validation: report, uploads };
+        });
+    }
+
+    restoreUploads(id) {
+        const root = path.join(this.snapshotPath(id), 'uploads');
+        const restored = {};
+        for (const [name, dest] of Object.entries(this.uploads)) {
+            const src = path.join(root, name);
+            if (!dest || !fs.existsSync(src)) continue;
+            let files = 0;
+            const walk = (from, to) => {
+                fs.mkdirSync(to, { recursive: true });
+                for (const entry of fs.readdirSync(from, { withFileTypes: true })) {
+                    const a = path.join(from, entry.name);
+                    const b = path.join(to, entry.name);
+                    if (entry.isDirectory()) {
+                        walk(a, b);
+                    } else if (entry.isFile() && (!fs.existsSync(b) || fs.statSync(b).size !== fs.statSync(a).size)) {
+                        // Copy, not link: the snapshot must not change if the live file is later touched
+                        fs.copyFileSync(a, b);
+                        files++;
+                    }
+                }
+            };
+            walk(src, dest);
+            restored[name] = files;
+        }
+        return restored;
+    }
+}
+
+module.exports = { BackupManager, BackupError, TIERS };
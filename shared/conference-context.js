@@ -0,0 +1,90 @@
+/**
+ * Conference Context — which edition of a recurring conference a request is about.
+ *
+ * Editions are rows in `conferences` sharing a `series` ('plexus'); one of them is
+ * flagged `is_current` and is what attendees register for. Admins can point any
+ * request at another edition with `?conference=<slug>` or an `X-Conference: <slug>`
+ * header, so e.g. Plexus 2027 registration runs while 2026 stays browsable.
+ *
+ * Used by both portals with their own `query` helper.
+ */
+
+/**
+ * @param {Object} query - Portal query helper (get/all/run/transaction)
+ * @param {Object} options
+ * @param {string} options.series - e.g. 'plexus'
+ * @param {string} options.title - Display prefix, e.g. 'Plexus'
+ * @param {string} options.code - Invoice/certificate prefix, e.g. 'PLX'
+ */
+function createConferenceContext(query, { series, title, code }) {
+    function bySlug(slug) {
+        return query.get('SELECT * FROM conferences WHERE slug = ? AND series = ?', [slug, series]);
+    }
+
+    /**
+     * The edition attendees register for: the flagged one, else the newest.
+     */
+    function current() {
+        return query.get('SELECT * FROM conferences WHERE series = ? ORDER BY is_current DESC, year DESC LIMIT 1', [series]);
+    }
+
+    function editions() {
+        return query.all('SELECT * FROM conferences WHERE series = ? ORDER BY year DESC', [series]);
+    }
+
+    function requestedSlug(req) {
+        return req.query.conference || req.get('x-conference') || null;
+    }
+
+    /**
+     * Edition for a request: the one it asks for, else the current one.
+     */
+    function resolve(req) {
+        const slug = requestedSlug(req);
+        return slug ? bySlug(slug) : current();
+    }
+
+    /**
+     * Express middleware setting `req.conference` (null when the series has no editions yet).
+     * Public writes (`/api/<series>/*`) are refused for past editions that have closed registration.
+     */
+    function middleware(req, res, next) {
+        const slug = requestedSlug(req);
+        req.conference = resolve(req);
+        if (slug && !req.conference) return res.status(404).json({ error: `Conference ${slug} not found` });
+        if (req.conference && req.method !== 'GET' && req.baseUrl === `/api/${series}`
+            && !req.conference.is_current && !req.conference.registration_open) {
+            return res.status(409).json({ error: `${label(req.conference)} is closed` });
+        }
+        next();
+    }
+
+    /**
+     * Make `id` the edition attendees register for.
+     */
+    function setCurrent(id) {
+        query.transaction(() => {
+            query.run('UPDATE conferences SET is_current = 0 WHERE series = ?', [series]);
+            query.run('UPDATE conferences SET is_current = 1 WHERE id = ? AND series = ?', [id, series]);
+        });
+        return current();
+    }
+
+    /**
+     * 'Plexus 2026' — for emails, invoice lines and certificates.
+     */
+    function label(conf) {
+        return conf && conf.year ? `${title} ${conf.year}` : title;
+    }
+
+    /**
+     * 'PLX26' — prefix for invoice and certificate numbers.
+     */
+    function prefix(conf) {
+        return conf && conf.year ? `${code}${String(conf.year).slice(-2)}` : code;
+    }
+
+    return { series, bySlug, current, editions, resolve, middleware, setCurrent, label, prefix };
+}
+
+module.exports = { createConferenceContext };
@@ -0,0 +1,139 @@
+/**
+ * Conference Rollover — start a new edition by cloning the setup of an existing one.
+ *
+ * Copies the selected per-conference setup tables into a new `conferences` row,
+ * shifting every date by `offsetDays`. Attendee data (registrations, payments,
+ * check-ins, abstracts, sessions) is never copied. The clone is recorded in
+ * `conference_archives` (archive_type 'rollover') with the source edition.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Cloneable components: table keyed by conference_id, and per-row overrides.
+ * plexus_settings is keyed by edition slug instead and handled separately.
+ */
+const COMPONENTS = {
+    ticket_types: { label: 'Ticket types', table: 'ticket_types', reset: { sold_count: 0 } },
+    venue_rooms: { label: 'Venue rooms', table: 'venue_rooms' },
+    partner_hotels: { label: 'Partner hotels', table: 'partner_hotels' },
+    session_tracks: { label: 'Session tracks', table: 'session_tracks' },
+    review_criteria: { label: 'Review criteria', table: 'review_criteria' },
+    email_templates: { label: 'Email templates', table: 'email_templates', reset: { created_at: undefined } },
+    plexus_settings: { label: 'Plexus settings' }
+};
+
+const CONFERENCE_DATE_FIELDS = ['start_date', 'end_date', 'early_bird_deadline', 'regular_deadline', 'abstract_deadline'];
+const SETTINGS_DATE_FIELDS = ['conference_start_date', 'conference_end_date', 'early_bird_deadline', 'abstract_deadline'];
+
+class RolloverError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RolloverError';
+        this.status = status;
+    }
+}
+
+/**
+ * Shift a 'YYYY-MM-DD[...]' value by whole days; anything else is returned unchanged.
+ */
+function shiftDate(value, days) {
+    const m = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!m || !days) return value;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3] + days));
+    return d.toISOString().slice(0, 10) + value.slice(10);
+}
+
+function insertRow(query, table, row) {
+    const cols = Object.keys(row).filter(k => row[k] !== undefined);
+    query.run(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`, cols.map(k => row[k]));
+}
+
+/**
+ * Rows each component would copy from `conferenceId` (for the wizard preview).
+ */
+function countComponents(query, conference) {
+    const counts = {};
+    for (const [key, comp] of Object.entries(COMPONENTS)) {
+        counts[key] = comp.table
+            ? query.get(`SELECT COUNT(*) as c FROM ${comp.table} WHERE conference_id = ?`, [conference.id])?.c || 0
+            : (query.get('SELECT id FROM plexus_settings WHERE id IN (?, ?)', [conference.slug, 'default']) ? 1 : 0);
+    }
+    return counts;
+}
+
+/**
+ * Clone `source` into a new edition.
+ *
+ * @param {Object} query - Portal query helper (get/all/run/transaction)
+ * @param {Object} source - conferences row to clone
+ * @param {Object} options
+ * @param {string} options.name - e.g. 'Plexus Conference 2027'
+ * @param {number} options.year
+ * @param {string} options.slug - e.g. 'plexus-2027'
+ * @param {number} options.offsetDays - Added to every copied date
+ * @param {string[]} options.components - Keys of COMPONENTS to copy
+ * @param {string} [options.createdBy] - User id, recorded in the lineage row
+ * @returns {{ conference: Object, copied: Object }}
+ */
+function cloneEdition(query, source, { name, year, slug, offsetDays = 0, components = [], createdBy = null }) {
+    const unknown = components.filter(c => !COMPONENTS[c]);
+    if (unknown.length) throw new RolloverError(`Unknown components: ${unknown.join(', ')}`);
+    if (!name || !slug || !Number.isInteger(year)) throw new RolloverError('name, year and slug are required');
+    if (!/^[a-z0-9-]+$/.test(slug)) throw new RolloverError('slug may only contain lowercase letters, digits and dashes');
+    if (!Number.isInteger(offsetDays)) throw new RolloverError('offset_days must be a whole number of days');
+    if (query.get('SELECT id FROM conferences WHERE slug = ?', [slug])) throw new RolloverError(`Conference ${slug} already exists`, 409);
+
+    const confId = crypto.randomUUID();
+    const copied = {};
+
+    query.transaction(() => {
+        const conference = { ...source, id: confId, name, year, slug, is_current: 0, created_at: undefined };
+        for (const field of CONFERENCE_DATE_FIELDS) conference[field] = shiftDate(source[field], offsetDays);
+        insertRow(query, 'conferences', conference);
+
+        for (const key of components) {
+            const comp = COMPONENTS[key];
+            if (!comp.table) continue;
+            const rows = query.all(`SELECT * FROM ${comp.table} WHERE conference_id = ?`, [source.id]);
+            for (const row of rows) {
+                insertRow(query, comp.table, { ...row, ...comp.reset, id: crypto.randomUUID(), conference_id: confId });
+            }
+            copied[key] = rows.length;
+        }
+
+        if (components.includes('plexus_settings')) {
+            const settings = query.get('SELECT * FROM plexus_settings WHERE id = ?', [source.slug])
+                || query.get("SELECT * FROM plexus_settings WHERE id = 'default'");
+            if (settings) {
+                const row = { ...settings, id: slug, updated_at: undefined };
+                for (const field of SETTINGS_DATE_FIELDS) row[field] = shiftDate(settings[field], offsetDays);
+                insertRow(query, 'plexus_settings', row);
+            }
+            copied.plexus_settings = settings ? 1 : 0;
+        }
+
+        query.run(`INSERT INTO conference_archives (id, conference_id, archive_type, title, description, source_conference_id, details)
+            VALUES (?, ?, 'rollover', ?, ?, ?, ?)`,
+            [crypto.randomUUID(), confId, `Cloned from ${source.name}`,
+             Object.entries(copied).map(([k, n]) => `${COMPONENTS[k].label}: ${n}`).join(', ') || 'Conference only',
+             source.id, JSON.stringify({ offset_days: offsetDays, components, copied, created_by: createdBy })]);
+    });
+
+    return { conference: query.get('SELECT * FROM conferences WHERE id = ?', [confId]), copied };
+}
+
+/**
+ * Rollover lineage, newest first.
+ */
+function listRollovers(query) {
+    return query.all(`SELECT a.*, c.name as conference_name, c.slug as conference_slug,
+            s.name as source_name, s.slug as source_slug
+        FROM conference_archives a
+        LEFT JOIN conferences c ON a.conference_id = c.id
+        LEFT JOIN conferences s ON a.source_conference_id = s.id
+        WHERE a.archive_type = 'rollover' ORDER BY a.created_at DESC`)
+        .map(r => ({ ...r, details: r.details ? JSON.parse(r.details) : null }));
+}
+
+module.exports = { COMPONENTS, RolloverError, shiftDate, countComponents, cloneEdition, listRollovers };
@@ -0,0 +1,270 @@
+/**
+ * Consents — one ledger of what people agreed to, for both portals.
+ *
+ * Every flow that asks for consent (Plexus registration, Accelerator applications,
+ * Forum membership, the newsletter setting of an account) records it here with the
+ * purpose, the version of the policy text the person saw, the route it came
+ * through, IP and user agent:
+ *
+ *   consents.record('photography', { email: user.email, userId: user.id }, !!details.photo_consent,
+ *       { contextId: registrationId, ...fromRequest(req) });
+ *
+ * A consent is given for one context (a registration, an application, a Forum
+ * membership, an account — see PURPOSES[].context). Withdrawing it stamps the row
+ * with when, where and by whom instead of deleting it, so the ledger shows the full
+ * history. Giving it again under a newer policy version supersedes the old row.
+ *
+ * The old per-module flags (registration_details.gdpr_consent/photo_consent,
+ * accelerator_applications.gdpr_consent, forum_members.gdpr_consent,
+ * user_profiles.receive_newsletter) are kept in step because older handlers and
+ * exports still read them; the ledger is the source of truth. Query it with
+ * holders() — e.g. who at a conference may be photographed — rather than the flags.
+ */
+
+const crypto = require('crypto');
+
+// Bump `version` whenever the wording a person agrees to changes
+const PURPOSES = {
+    registration: {
+        version: '2026-10',
+        context: 'registration',
+        label: { en: 'Conference registration data', hr: 'Podaci prijave na konferenciju' },
+        description: {
+            en: 'Processing your registration details to organise the conference, issue your badge, invoice and certificate.',
+            hr: 'Obrada podataka iz prijave radi organizacije konferencije, izrade akreditacije, računa i potvrde.'
+        },
+        mirror: { table: 'registration_details', column: 'gdpr_consent', key: 'registration_id' }
+    },
+    photography: {
+        version: '2026-10',
+        context: 'registration',
+        selfService: true,
+        label: { en: 'Photos and video at events', hr: 'Fotografije i video na događanjima' },
+        description: {
+            en: 'Being photographed and filmed at the event, and Med&X publishing those photos and videos.',
+            hr: 'Fotografiranje i snimanje na događanju te objava tih fotografija i snimki od strane Med&X-a.'
+        },
+        mirror: { table: 'registration_details', column: 'photo_consent', key: 'registration_id' }
+    },
+    accelerator: {
+        version: '2026-10',
+        context: 'application',
+        label: { en: 'Accelerator application data', hr: 'Podaci prijave na Accelerator' },
+        description: {
+            en: 'Processing your application and documents for selection and running of the Med&X Accelerator program, including sharing them with partner institutions.',
+            hr: 'Obrada prijave i dokumenata za odabir i provedbu Med&X Accelerator programa, uključujući dijeljenje s partnerskim institucijama.'
+        },
+        mirror: { table: 'accelerator_applications', column: 'gdpr_consent', key: 'id' }
+    },
+    forum: {
+        version: '2026-10',
+        context: 'membership',
+        label: { en: 'Biomedical Forum membership', hr: 'Članstvo u Biomedicinskom forumu' },
+        description: {
+            en: 'Processing your Forum profile and showing it to other members according to your visibility settings.',
+            hr: 'Obrada profila u Forumu i prikaz drugim članovima prema postavkama vidljivosti.'
+        },
+        mirror: { table: 'forum_members', column: 'gdpr_consent', key: 'id' }
+    },
+    newsletter: {
+        version: '2026-10',
+        context: 'account',
+        selfService: true,
+        label: { en: 'Newsletter and announcements', hr: 'Newsletter i obavijesti' },
+        description: {
+            en: 'Receiving Med&X newsletters and announcements by email.',
+            hr: 'Primanje Med&X newslettera i obavijesti e-poštom.'
+        },
+        mirror: { table: 'user_profiles', column: 'receive_newsletter', key: 'user_id' }
+    }
+};
+
+const STATUSES = ['active', 'withdrawn', 'all'];
+
+// A newsletter consent stops counting once the address unsubscribed from PR email (joined as `s`)
+const SUPPRESSED = "(c.purpose = 'newsletter' AND IFNULL(s.status, '') = 'unsubscribed')";
+
+class ConsentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ConsentError';
+        this.status = status;
+    }
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Evidence for a consent given or withdrawn in an Express handler: the route pattern
+ * ('POST /api/forum/apply'), IP and user agent.
+ */
+function fromRequest(req) {
+    return {
+        source: `${req.method} ${req.baseUrl || ''}${req.route?.path || req.path}`,
+        ip: req.ip || null,
+        userAgent: req.get?.('user-agent') || null
+    };
+}
+
+// What the user portal and applicant portal show next to each consent
+function describePurposes(lang = 'en') {
+    const l = String(lang).startsWith('hr') ? 'hr' : 'en';
+    return Object.entries(PURPOSES).map(([key, p]) => ({
+        key, version: p.version, context: p.context, self_service: !!p.selfService,
+        label: p.label[l], description: p.description[l]
+    }));
+}
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ */
+function createConsents(db) {
+    function purposeOf(key) {
+        const purpose = PURPOSES[key];
+        if (!purpose) throw new ConsentError(`Unknown consent purpose: ${key}`);
+        return purpose;
+    }
+
+    // Keep the module's own flag in step with the ledger
+    function mirror(key, contextId, value) {
+        const { table, column, key: keyColumn } = PURPOSES[key].mirror;
+        if (contextId) db.run(`UPDATE ${table} SET ${column} = ? WHERE ${keyColumn} = ?`, [value, contextId]);
+    }
+
+    function active(key, email, contextId) {
+        return db.get(`SELECT * FROM consent_records WHERE purpose = ? AND email = ? AND IFNULL(context_id, '') = ?
+            AND withdrawn_at IS NULL ORDER BY granted_at DESC LIMIT 1`, [key, normalizeEmail(email), contextId || '']);
+    }
+
+    /**
+     * Record that `subject` ({ email, userId?, applicantId? }) consented to `key`.
+     * Returns the existing row when the same policy version is already in force.
+     */
+    function grant(key, subject, { contextId = null, source, ip = null, userAgent = null, by = null, grantedAt = null } = {}) {
+        const purpose = purposeOf(key);
+        const email = normalizeEmail(subject?.email);
+        if (!email) throw new ConsentError('A consent needs the email address of the person giving it');
+
+        const current = active(key, email, contextId);
+        if (current?.policy_version === purpose.version) return current;
+        if (current) {
+            db.run(`UPDATE consent_records SET withdrawn_at = datetime('now'), withdrawn_source = 'superseded' WHERE id = ?`, [current.id]);
+        }
+
+        const id = crypto.randomUUID();
+        db.run(`INSERT INTO consent_records (id, purpose, policy_version, email, user_id, applicant_id, context_type, context_id,
+                source, ip, user_agent, recorded_by, granted_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))`,
+            [id, key, purpose.version, email, subject.userId || null, subject.applicantId || null, purpose.context, contextId,
+             source || 'unknown', ip, userAgent, by, grantedAt]);
+        mirror(key, contextId, 1);
+        return db.get('SELECT * FROM consent_records WHERE id = ?', [id]);
+    }
+
+    /**
+     * Withdraw one consent — `target` is { id } or { purpose, email, contextId }. Returns
+     * the updated row, or null when there was nothing in force to withdraw.
+     */
+    function withdraw(target, { source, ip = null, userAgent = null, by = null } = {}) {
+        if (!target.id) purposeOf(target.purpose);
+        const row = target.id
+            ? db.get('SELECT * FROM consent_records WHERE id = ?', [target.id])
+            : active(target.purpose, target.email, target.contextId);
+        if (!row) {
+            if (target.id) throw new ConsentError('Consent not found', 404);
+            return null;
+        }
+        if (row.withdrawn_at) throw new ConsentError('This consent has already been withdrawn', 409);
+
+        db.run(`UPDATE consent_records SET withdrawn_at = datetime('now'), withdrawn_source = ?, withdrawn_ip = ?,
+            withdrawn_user_agent = ?, withdrawn_by = ? WHERE id = ?`, [source || 'unknown', ip, userAgent, by, row.id]);
+        if (PURPOSES[row.purpose]) mirror(row.purpose, row.context_id, 0);
+        return db.get('SELECT * FROM consent_records WHERE id = ?', [row.id]);
+    }
+
+    // For form checkboxes: ticked grants, unticked withdraws whatever was in force
+    function record(key, subject, granted, evidence = {}) {
+        if (granted) return grant(key, subject, evidence);
+        return withdraw({ purpose: key, email: subject?.email, contextId: evidence.contextId }, evidence);
+    }
+
+    /**
+     * Everything one person consented to, newest first, with a readable context
+     * (conference name, application number).
+     */
+    function forSubject({ email, userId = null, applicantId = null }) {
+        const clauses = ['c.email = ?'], params = [normalizeEmail(email)];
+        if (userId) { clauses.push('c.user_id = ?'); params.push(userId); }
+        if (applicantId) { clauses.push('c.applicant_id = ?'); params.push(applicantId); }
+        return db.all(`SELECT c.id, c.purpose, c.policy_version, c.context_type, c.context_id, c.source, c.granted_at,
+                c.withdrawn_at, c.withdrawn_source,
+                COALESCE(conf.name, a.application_number) as context_label
+            FROM consent_records c
+            LEFT JOIN registrations r ON c.context_type = 'registration' AND r.id = c.context_id
+            LEFT JOIN conferences conf ON conf.id = r.conference_id
+            LEFT JOIN accelerator_applications a ON c.context_type = 'application' AND a.id = c.context_id
+            WHERE ${clauses.join(' OR ')}
+            ORDER BY c.withdrawn_at IS NOT NULL, c.granted_at DESC`, params)
+            .map(row => ({ ...row, active: !row.withdrawn_at }));
+    }
+
+    // Does this consent belong to the person? Used before letting them withdraw it themselves.
+    function belongsTo(id, { email, userId = null, applicantId = null }) {
+        const row = db.get('SELECT * FROM consent_records WHERE id = ?', [id]);
+        if (!row) return false;
+        return row.email === normalizeEmail(email)
+            || (!!userId && row.user_id === userId)
+            || (!!applicantId && row.applicant_id === applicantId);
+    }
+
+    /**
+     * Who consented to `key` — the admin answer to "who may be photographed at Plexus
+     * 2026" or "who may be emailed". Newsletter consents of addresses that unsubscribed
+     * from PR email (shared/subscriptions.js) don't count as active.
+     */
+    function holders(key, { status = 'active', conferenceId = null, q = null, limit = 500 } = {}) {
+        purposeOf(key);
+        if (!STATUSES.includes(status)) throw new ConsentError(`Status must be one of: ${STATUSES.join(', ')}`);
+
+        const where = ['c.purpose = ?'], params = [key];
+        if (status === 'active') where.push(`c.withdrawn_at IS NULL AND NOT ${SUPPRESSED}`);
+        if (status === 'withdrawn') where.push(`(c.withdrawn_at IS NOT NULL AND IFNULL(c.withdrawn_source, '') != 'superseded' OR ${SUPPRESSED})`);
+        if (conferenceId) { where.push('r.conference_id = ?'); params.push(conferenceId); }
+        if (q) {
+            where.push("(c.email LIKE ? OR (IFNULL(u.first_name, '') || ' ' || IFNULL(u.last_name, '')) LIKE ?)");
+            params.push(`%${q}%`, `%${q}%`);
+        }
+        params.push(Math.min(Number(limit) || 500, 5000));
+
+        return db.all(`SELECT c.*, u.first_name, u.last_name, conf.name as conference_name, a.application_number,
+                s.status as subscription_status
+            FROM consent_records c
+            LEFT JOIN users u ON u.id = c.user_id
+            LEFT JOIN registrations r ON c.context_type = 'registration' AND r.id = c.context_id
+            LEFT JOIN conferences conf ON conf.id = r.conference_id
+            LEFT JOIN accelerator_applications a ON c.context_type = 'application' AND a.id = c.context_id
+            LEFT JOIN pr_subscribers s ON LOWER(s.email) = c.email
+            WHERE ${where.join(' AND ')}
+            ORDER BY c.granted_at DESC LIMIT ?`, params);
+    }
+
+    // Consents in force and withdrawn per purpose, counted the way holders() lists them
+    function summary() {
+        const rows = db.all(`SELECT c.purpose,
+                SUM(CASE WHEN c.withdrawn_at IS NULL AND NOT ${SUPPRESSED} THEN 1 ELSE 0 END) as active,
+                SUM(CASE WHEN c.withdrawn_at IS NOT NULL AND IFNULL(c.withdrawn_source, '') != 'superseded' OR ${SUPPRESSED} THEN 1 ELSE 0 END) as withdrawn
+            FROM consent_records c LEFT JOIN pr_subscribers s ON LOWER(s.email) = c.email
+            GROUP BY c.purpose`);
+        return Object.entries(PURPOSES).map(([key, p]) => {
+            const row = rows.find(r => r.purpose === key) || {};
+            // Given under an older text — ask again before relying on them
+            const { outdated } = db.get(`SELECT COUNT(*) as outdated FROM consent_records
+                WHERE purpose = ? AND withdrawn_at IS NULL AND policy_version != ?`, [key, p.version]);
+            return { purpose: key, label: p.label.en, version: p.version, active: row.active || 0, withdrawn: row.withdrawn || 0, outdated };
+        });
+    }
+
+    return { grant, withdraw, record, forSubject, belongsTo, holders, summary };
+}
+
+module.exports = { createConsents, ConsentError, PURPOSES, fromRequest, describePurposes };
@@ -0,0 +1,412 @@
+/**
+ * Data Subjects — GDPR access/portability (Art. 15, 20) and erasure (Art. 17) for one
+ * person across every module of both portals.
+ *
+ * A person is looked up by email address. RECORDS lists each table that can hold
+ * them, how a row is linked (the address, or the id of a row already found: their
+ * portal account, Plexus registrations, Accelerator applications, Forum membership),
+ * which columns point at uploaded files and what erasure does with the row:
+ *
+ *   delete     the row and its files go
+ *   anonymise  personal columns are overwritten and their files deleted; the row stays
+ *              because other records depend on it (payments, posts, selection scores)
+ *              or, for the audit trail, because who did what must stay on record
+ *   retain     kept as it is — bookkeeping the law requires us to keep (invoices,
+ *              payments, refunds; 11 years under the Croatian Accounting Act)
+ *
+ * exportZip() builds a zip with one JSON file per table, the uploaded files and a
+ * manifest saying what erasure would do; secrets (password hashes, tokens, 2FA
+ * secrets) are left out. erase() runs in one transaction, refuses anyone who still
+ * has a team role and removes files only after it committed. Both are logged in
+ * `data_subject_requests` under a hash of the address, not the address itself.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createZip } = require('./zip');
+
+const ERASED = 'Erased';
+// Replaced per row by erased-<hash>@erased.invalid, unique so UNIQUE(email) columns still hold
+const ERASED_EMAIL = Symbol('erased email');
+
+// WHERE clause over the subject: a column compared with the address, or [column, key of subject ids]
+function link(...parts) {
+    return (subject) => {
+        const clauses = [], params = [];
+        for (const part of parts) {
+            if (typeof part === 'string') {
+                clauses.push(`LOWER(TRIM(${part})) = ?`);
+                params.push(subject.email);
+                continue;
+            }
+            const [column, key] = part;
+            if (subject[key]?.length) {
+                clauses.push(`${column} IN (${subject[key].map(() => '?').join(', ')})`);
+                params.push(...subject[key]);
+            }
+        }
+        return clauses.length ? { sql: clauses.join(' OR '), params } : null;
+    };
+}
+
+const blank = (...columns) => Object.fromEntries(columns.map(c => [c, null]));
+
+const actedAs = (row, subject) => subject.users.includes(row.actor_id) || normalizeEmail(row.actor_email) === subject.email;
+// Anonymise value that only applies to audit rows the subject acted in; others keep theirs
+const ifActor = (value, column) => (row, subject) => actedAs(row, subject) ? value : row[column];
+
+// audit_log rows the subject acted in, that recorded a change to their registrations or
+// applications, or whose request body or row snapshots contain their address
+function auditLink(subject) {
+    const clause = link('actor_email', ['actor_id', 'users'])(subject);
+    const sql = [clause.sql], params = [...clause.params];
+    for (const [table, key] of [['registrations', 'registrations'], ['accelerator_applications', 'applications']]) {
+        if (!subject[key]?.length) continue;
+        sql.push(`(entity_table = '${table}' AND entity_id IN (${subject[key].map(() => '?').join(', ')}))`);
+        params.push(...subject[key]);
+    }
+    for (const column of ['body_json', 'before_json', 'after_json', 'changes_json']) {
+        sql.push(`instr(LOWER(${column}), ?) > 0`);
+        params.push(subject.email);
+    }
+    return { sql: sql.join(' OR '), params };
+}
+
+const RECORDS = [
+    {
+        table: 'users', label: 'Portal account', where: link('email'), files: ['photo_url'],
+        omit: ['password_hash', 'verification_token'],
+        erase: 'anonymise', reason: 'Registrations and payments refer to the account; it can no longer sign in',
+        anonymise: { email: ERASED_EMAIL, password_hash: '!erased', first_name: ERASED, last_name: ERASED, is_public_profile: 0,
+            email_verified: 0, ...blank('phone', 'institution', 'country', 'bio', 'photo_url', 'verification_token') }
+    },
+    { table: 'user_profiles', label: 'Profile', where: link(['user_id', 'users']), erase: 'delete' },
+    { table: 'user_two_factor', label: 'Two-factor setup', where: link(['user_id', 'users']), export: false, erase: 'delete' },
+    {
+        table: 'auth_sessions', label: 'Sign-in sessions', where: link(['subject_id', 'users'], ['subject_id', 'applicants']),
+        omit: ['refresh_hash', 'previous_refresh_hash'], erase: 'delete'
+    },
+    { table: 'user_notifications', label: 'Notifications', where: link(['user_id', 'users']), erase: 'delete' },
+    { table: 'push_subscriptions', label: 'Push notification devices', where: link(['user_id', 'users']), omit: ['p256dh', 'auth'], erase: 'delete' },
+    { table: 'push_preferences', label: 'Push notification settings', where: link(['user_id', 'users']), erase: 'delete' },
+    { table: 'push_messages', label: 'Push notifications sent', where: link(['user_id', 'users']), erase: 'delete' },
+    {
+        table: 'registrations', label: 'Plexus registrations', where: link('email', ['user_id', 'users']),
+        erase: 'anonymise', reason: 'Amounts, payment status and invoice number are bookkeeping records',
+        anonymise: { first_name: ERASED, last_name: ERASED, email: ERASED_EMAIL,
+            ...blank('institution', 'dietary_requirements', 'accessibility_needs', 'ticket_qr_code') }
+    },
+    {
+        table: 'registration_details', label: 'Registration details', where: link(['registration_id', 'registrations']),
+        files: ['student_id_file'], erase: 'anonymise', reason: 'Billing name and address are on the invoice',
+        anonymise: blank('student_id_file', 'arrival_date', 'departure_date', 'hotel_preference', 'flight_arrival', 'flight_departure',
+            'networking_interests', 'how_heard_about', 'special_requests')
+    },
+    {
+        table: 'invoices', label: 'Invoices', where: link('recipient_email', ['registration_id', 'registrations']), files: ['pdf_file'],
+        erase: 'retain', reason: 'Issued invoice — kept for the legal retention period'
+    },
+    {
+        table: 'payment_transactions', label: 'Payments', where: link(['registration_id', 'registrations']),
+        erase: 'retain', reason: 'Payment record — kept for the legal retention period'
+    },
+    {
+        table: 'refund_requests', label: 'Refunds', where: link(['registration_id', 'registrations']),
+        erase: 'retain', reason: 'Refund record — kept for the legal retention period'
+    },
+    {
+        table: 'finance_invoices', label: 'Finance invoices', where: link('party_email'),
+        erase: 'retain', reason: 'Issued invoice — kept for the legal retention period'
+    },
+    { table: 'certificates', label: 'Certificates', where: link(['registration_id', 'registrations']), files: ['pdf_file'], erase: 'delete' },
+    { table: 'visa_requests', label: 'Visa letter requests', where: link(['registration_id', 'registrations']), files: ['letter_file'], erase: 'delete' },
+    { table: 'session_checkins', label: 'Session check-ins', where: link('attendee_email', ['registration_id', 'registrations']), erase: 'delete' },
+    { table: 'waitlist', label: 'Waitlist', where: link('email', ['user_id', 'users']), erase: 'delete' },
+    { table: 'volunteers', label: 'Volunteering', where: link('email', ['user_id', 'users']), erase: 'delete' },
+    {
+        table: 'gala_registrations', label: 'Gala registrations', where: link('email', ['user_id', 'users']),
+        erase: 'anonymise', reason: 'Amounts, payment status and invoice number are bookkeeping records',
+        anonymise: { first_name: ERASED, last_name: ERASED, email: ERASED_EMAIL,
+            ...blank('institution', 'title', 'dietary', 'requests', 'admin_notes') }
+    },
+    {
+        table: 'speaker_applications', label: 'Speaker applications', where: link('email', ['user_id', 'users']),
+        files: ['photo_file', 'cv_file'], erase: 'delete'
+    },
+    {
+        table: 'scholarship_applications', label: 'Scholarship applications', where: link(['user_id', 'users']),
+        files: ['support_letter_file', 'cv_file'], erase: 'delete'
+    },
+    {
+        table: 'abstracts', label: 'Abstracts submitted', where: link('submitter_email', ['submitter_id', 'users']),
+        erase: 'anonymise', reason: 'Part of the conference programme',
+        anonymise: { submitter_name: ERASED, submitter_email: ERASED_EMAIL }
+    },
+    {
+        table: 'abstract_authors', label: 'Abstract authorships', where: link('email'),
+        erase: 'anonymise', reason: 'Part of the conference programme',
+        anonymise: { first_name: ERASED, last_name: ERASED, ...blank('email', 'institution') }
+    },
+    {
+        table: 'accelerator_applicants', label: 'Accelerator applicant account', where: link('email'),
+        omit: ['password_hash', 'verification_token', 'reset_token', 'reset_token_expires'], erase: 'delete'
+    },
+    {
+        table: 'accelerator_applications', label: 'Accelerator applications', where: link('email', ['user_id', 'users'], ['user_id', 'applicants']),
+        erase: 'anonymise', reason: 'Scores and rankings are kept for the cohort records',
+        anonymise: { first_name: ERASED, last_name: ERASED, email: ERASED_EMAIL,
+            ...blank('phone', 'date_of_birth', 'oib', 'address', 'nationality', 'country_of_residence', 'current_institution',
+                'current_position', 'research_interests', 'motivation_statement', 'previous_experience', 'special_arrangements',
+                'previous_research_experience', 'publications', 'awards_honors', 'languages', 'how_heard_about', 'additional_info',
+                'reviewer_notes', 'decision_notes') }
+    },
+    {
+        table: 'accelerator_documents', label: 'Accelerator documents', where: link(['application_id', 'applications']),
+        files: ['file_path'], erase: 'delete'
+    },
+    {
+        table: 'accelerator_recommendations', label: 'Recommendation letters', where: link(['application_id', 'applications']),
+        files: ['letter_file'], erase: 'delete'
+    },
+    {
+        table: 'forum_members', label: 'Forum membership', where: link('email', ['user_id', 'users']), files: ['photo_url'],
+        erase: 'anonymise', reason: 'Posts and group memberships refer to the member',
+        anonymise: { first_name: ERASED, last_name: ERASED, email: ERASED_EMAIL, profile_visibility: 'private',
+            ...blank('bio', 'research_interests', 'orcid_id', 'linkedin_url', 'twitter_handle', 'website_url', 'photo_url',
+                'location_city', 'application_text', 'achievements', 'mentor_topics') }
+    },
+    { table: 'forum_event_registrations', label: 'Forum event registrations', where: link('email', ['member_id', 'members']), erase: 'delete' },
+    { table: 'forum_notifications', label: 'Forum notifications', where: link(['member_id', 'members']), erase: 'delete' },
+    { table: 'forum_prospects', label: 'Forum prospect', where: link('email'), erase: 'delete' },
+    { table: 'forum_invitations', label: 'Forum invitations', where: link('email'), erase: 'delete' },
+    { table: 'pr_subscribers', label: 'Newsletter subscription', where: link('email'), erase: 'delete' },
+    { table: 'pr_subscriber_changes', label: 'Subscription changes', where: link('email', ['subscriber_id', 'subscribers']), erase: 'delete' },
+    { table: 'consent_records', label: 'Consents', where: link('email', ['user_id', 'users'], ['applicant_id', 'applicants']), erase: 'delete' },
+    { table: 'accelerator_consents', label: 'Accelerator consents (old)', where: link(['application_id', 'applications']), erase: 'delete' },
+    { table: 'contacts', label: 'Contact book', where: link('email'), erase: 'delete' },
+    { table: 'bridges_registrations', label: 'Building Bridges registrations', where: link('email'), erase: 'delete' },
+    { table: 'scheduled_email_recipients', label: 'Scheduled email recipients', where: link('email'), erase: 'delete' },
+    { table: 'email_log', label: 'Emails sent', where: link('recipient_email'), omit: ['html_body'], erase: 'delete' },
+    { table: 'email_tracking', label: 'Email opens and clicks', where: link('recipient_email'), erase: 'delete' },
+    { table: 'email_tracking_events', label: 'Email open and click events', where: link(['tracking_id', 'tracking']), erase: 'delete' },
+    {
+        table: 'audit_log', label: 'Audit trail', where: auditLink, export: false,
+        erase: 'anonymise', reason: 'Who changed what and when is kept; the personal data recorded with it goes',
+        anonymise: { ...blank('body_json', 'before_json', 'after_json', 'changes_json'),
+            actor_email: ifActor(ERASED_EMAIL, 'actor_email'), ip: ifActor(null, 'ip'), user_agent: ifActor(null, 'user_agent') }
+    }
+];
+
+// Ids other records are linked through, found first
+const SUBJECT_IDS = {
+    users: [link('email'), 'users'],
+    applicants: [link('email'), 'accelerator_applicants'],
+    registrations: [link('email', ['user_id', 'users']), 'registrations'],
+    applications: [link('email', ['user_id', 'users'], ['user_id', 'applicants']), 'accelerator_applications'],
+    members: [link('email', ['user_id', 'users']), 'forum_members'],
+    subscribers: [link('email'), 'pr_subscribers'],
+    tracking: [link('recipient_email'), 'email_tracking']
+};
+
+class DataSubjectError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DataSubjectError';
+        this.status = status;
+    }
+}
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * @param {Object} query - Portal query helper (get/all/run/transaction)
+ * @param {Object} options
+ * @param {Object<string, string>} options.uploads - Name → uploads directory; stored paths like
+ *   /uploads/accelerator/x.pdf are looked up in each
+ */
+function createDataSubjects(query, { uploads = {} }) {
+    const tables = () => new Set(query.all(`SELECT name FROM sqlite_master WHERE type = 'table'`).map(r => r.name));
+
+    function subjectFor(email) {
+        const address = normalizeEmail(email);
+        if (!/^[^\s@]+@[^\s@]+$/.test(address)) throw new DataSubjectError('A valid email address is required');
+        const existing = tables();
+        const subject = { email: address };
+        // In order: later entries link through the ids found before them
+        for (const [key, [where, table]] of Object.entries(SUBJECT_IDS)) {
+            const clause = existing.has(table) && where(subject);
+            subject[key] = clause ? query.all(`SELECT id FROM ${table} WHERE ${clause.sql}`, clause.params).map(r => r.id) : [];
+        }
+        return subject;
+    }
+
+    // Every RECORDS entry with the subject's rows in it
+    function collect(subject) {
+        const existing = tables();
+        return RECORDS.filter(r => existing.has(r.table)).map(record => {
+            const clause = record.where(subject);
+            const rows = clause ? query.all(`SELECT rowid as _rowid, * FROM ${record.table} WHERE ${clause.sql}`, clause.params) : [];
+            return { record, rows };
+        }).filter(({ rows }) => rows.length);
+    }
+
+    // Absolute path of an uploaded file, or null for URLs, blanks and anything outside the uploads directories
+    function resolveFile(value) {
+        const stored = String(value || '');
+        if (!stored || /^[a-z]+:\/\//i.test(stored)) return null;
+        const relative = stored.replace(/^\/?uploads\//, '');
+        for (const root of Object.values(uploads)) {
+            if (!root) continue;
+            const full = path.resolve(root, relative);
+            if (full.startsWith(path.resolve(root) + path.sep) && fs.existsSync(full) && fs.statSync(full).isFile()) return full;
+        }
+        return null;
+    }
+
+    function filesOf(record, rows) {
+        return (record.files || []).flatMap(column => rows.map(row => ({ column, row, path: resolveFile(row[column]) })))
+            .filter(f => f.path);
+    }
+
+    const publicRow = (record, row) => {
+        const copy = { ...row };
+        delete copy._rowid;
+        (record.omit || []).forEach(c => delete copy[c]);
+        return copy;
+    };
+
+    const userIdsWithRoles = (subject) => subject.users.length ? query.all(`SELECT DISTINCT tm.user_id FROM team_members tm
+        JOIN team_member_roles r ON r.team_member_id = tm.id WHERE tm.user_id IN (${subject.users.map(() => '?').join(', ')})`, subject.users) : [];
+
+    function log(kind, subject, requestedBy, summary) {
+        query.run(`INSERT INTO data_subject_requests (id, kind, subject_hash, requested_by, summary, created_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now'))`, [crypto.randomUUID(), kind, hash(subject.email), requestedBy, JSON.stringify(summary)]);
+    }
+
+    /**
+     * What is stored about an address, per table, and what erasure would do with it.
+     */
+    function find(email) {
+        const subject = subjectFor(email);
+        const found = collect(subject);
+        return {
+            email: subject.email,
+            blockers: userIdsWithRoles(subject).length ? ['This person has a team role — revoke it under Team & Roles before erasing'] : [],
+            records: found.map(({ record, rows }) => ({
+                table: record.table, label: record.label, count: rows.length, files: filesOf(record, rows).length,
+                erase: record.erase, reason: record.reason || null
+            }))
+        };
+    }
+
+    /**
+     * Machine-readable export: manifest.json, data/<table>.json and files/<table>/...
+     *
+     * @returns {{ filename: string, buffer: Buffer, summary: Object }}
+     */
+    function exportZip(email, { requestedBy = null } = {}) {
+        const subject = subjectFor(email);
+        const found = collect(subject).filter(({ record }) => record.export !== false);
+        const entries = [], fileList = [];
+        for (const { record, rows } of found) {
+            entries.push({ name: `data/${record.table}.json`, data: JSON.stringify(rows.map(row => publicRow(record, row)), null, 2) });
+            for (const file of filesOf(record, rows)) {
+                const name = `files/${record.table}/${file.row.id || file.row._rowid}-${file.column}-${path.basename(file.path)}`;
+                entries.push({ name, data: fs.readFileSync(file.path) });
+                fileList.push({ table: record.table, id: file.row.id || null, column: file.column, file: name });
+            }
+        }
+        const summary = Object.fromEntries(found.map(({ record, rows }) => [record.table, rows.length]));
+        const manifest = {
+            subject: subject.email,
+            generated_at: new Date().toISOString(),
+            format: 'One JSON array per table under data/; uploaded files under files/',
+            records: found.map(({ record, rows }) => ({
+                table: record.table, label: record.label, count: rows.length, file: `data/${record.table}.json`,
+                on_erasure: record.erase, reason: record.reason || null
+            })),
+            files: fileList
+        };
+        entries.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+        log('export', subject, requestedBy, { records: summary, files: fileList.length });
+        return {
+            filename: `medx-data-export-${subject.email.replace(/[^a-z0-9]+/g, '-')}-${new Date().toISOString().slice(0, 10)}.zip`,
+            buffer: createZip(entries),
+            summary
+        };
+    }
+
+    /**
+     * Delete or anonymise everything about an address, keeping the records the law
+     * requires. Uploaded files of deleted/anonymised rows are removed afterwards.
+     *
+     * @returns {{ deleted: Object, anonymised: Object, retained: Object, files: number }}
+     */
+    function erase(email, { requestedBy = null } = {}) {
+        const subject = subjectFor(email);
+        if (userIdsWithRoles(subject).length) {
+            throw new DataSubjectError('This person has a team role — revoke it under Team & Roles before erasing', 409);
+        }
+        const found = collect(subject);
+        if (!found.length) throw new DataSubjectError('Nothing is stored for this address', 404);
+
+        const result = { deleted: {}, anonymised: {}, retained: {}, files: 0 };
+        const doomedFiles = [];
+        query.transaction(() => {
+            for (const { record, rows } of found) {
+                if (record.erase === 'retain') {
+                    result.retained[record.table] = rows.length;
+                    continue;
+                }
+                const files = filesOf(record, rows);
+                if (record.erase === 'delete') {
+                    rows.forEach(row => query.run(`DELETE FROM ${record.table} WHERE rowid = ?`, [row._rowid]));
+                    doomedFiles.push(...files.map(f => f.path));
+                    result.deleted[record.table] = rows.length;
+                    continue;
+                }
+                const columns = Object.keys(record.anonymise).filter(c => c in rows[0]);
+                for (const row of rows) {
+                    const values = columns.map(c => {
+                        const value = typeof record.anonymise[c] === 'function' ? record.anonymise[c](row, subject) : record.anonymise[c];
+                        return value === ERASED_EMAIL ? `erased-${hash(`${record.table}:${row._rowid}:${subject.email}`).slice(0, 16)}@erased.invalid` : value;
+                    });
+                    query.run(`UPDATE ${record.table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE rowid = ?`, [...values, row._rowid]);
+                }
+                doomedFiles.push(...files.filter(f => columns.includes(f.column)).map(f => f.path));
+                result.anonymised[record.table] = rows.length;
+            }
+            log('erasure', subject, requestedBy, result);
+        });
+
+        for (const file of new Set(doomedFiles)) {
+            try {
+                fs.unlinkSync(file);
+                result.files++;
+            } catch (err) {
+                console.error(`[Data subjects] Could not delete ${file}:`, err.message);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Exports and erasures done so far (the address is only stored hashed); pass an
+     * address to see just its requests.
+     */
+    function requests({ email = null, limit = 100 } = {}) {
+        const rows = email
+            ? query.all(`SELECT r.*, u.email as requested_by_email FROM data_subject_requests r LEFT JOIN users u ON u.id = r.requested_by
+                WHERE r.subject_hash = ? ORDER BY r.created_at DESC LIMIT ?`, [hash(normalizeEmail(email)), limit])
+            : query.all(`SELECT r.*, u.email as requested_by_email FROM data_subject_requests r LEFT JOIN users u ON u.id = r.requested_by
+                ORDER BY r.created_at DESC LIMIT ?`, [limit]);
+        return rows.map(r => ({ ...r, summary: JSON.parse(r.summary || '{}') }));
+    }
+
+    return { find, exportZip, erase, requests };
+}
+
+module.exports = { createDataSubjects, DataSubjectError, RECORDS };
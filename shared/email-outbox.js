@@ -0,0 +1,242 @@
+/**
+ * Email Outbox — every email either portal sends goes through `email_log` first.
+ *
+ * send() stores the message as `pending` and tries to deliver it straight away, so
+ * callers still learn whether it went out. A failed attempt stays pending and is
+ * retried by processDue() (a scheduled job) on a growing backoff until it is `sent`,
+ * or `failed` after the last attempt. A recipient the provider refuses outright
+ * (unknown mailbox, invalid address) is `bounced` and not retried. Rows are claimed
+ * with an atomic UPDATE (`sending`), so a message never goes out twice.
+ *
+ * Transports are plain functions ({ from, to, subject, html, headers }) => { messageId };
+ * they throw, with `permanent` set when retrying cannot help. Mail is captured instead
+ * (marked sent with transport `dev`, readable in the local inbox at /dev/inbox) only
+ * when the portal asks for it with `capture`. Without a transport and without
+ * `capture`, sending fails like an unreachable provider: the message stays pending,
+ * is retried, and ends up `failed` with "No email transport configured".
+ *
+ * Message bodies are kept for retries and resends, and cleared after `keepBodiesDays`.
+ */
+
+const crypto = require('crypto');
+
+// Minutes to wait after the 1st, 2nd, ... failed attempt; one more failure after the last is final
+const RETRY_MINUTES = [5, 15, 60, 240, 720];
+const SENDING_TIMEOUT_MINUTES = 10;
+
+class OutboxError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OutboxError';
+        this.status = status;
+    }
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/**
+ * Transport over a nodemailer transporter. A recipient refused with a 5xx reply is permanent.
+ */
+function smtpTransport(transporter) {
+    const send = async ({ from, to, subject, html, headers }) => {
+        try {
+            const info = await transporter.sendMail({ from, to, subject, html, headers });
+            return { messageId: info.messageId || null };
+        } catch (err) {
+            if (err.responseCode >= 500 && (err.command === 'RCPT TO' || err.code === 'EENVELOPE')) err.permanent = true;
+            throw err;
+        }
+    };
+    send.transportName = 'smtp';
+    return send;
+}
+
+/**
+ * Transport over the Resend HTTP API. A 422 (invalid recipient or payload) is permanent.
+ */
+function resendTransport(apiKey) {
+    const send = async ({ from, to, subject, html, headers }) => {
+        const response = await fetch('https://api.resend.com/emails', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ from, to, subject, html, ...(headers ? { headers } : {}) })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const err = new Error(data.message || `Resend API error (${response.status})`);
+            err.permanent = response.status === 422;
+            throw err;
+        }
+        return { messageId: data.id || null };
+    };
+    send.transportName = 'resend';
+    return send;
+}
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.portal - 'admin' | 'user'; each portal retries only its own mail
+ * @param {string} options.from - Default From address
+ * @param {Function|null} options.transport - smtpTransport()/resendTransport(), or null
+ * @param {boolean} [options.capture] - Without a transport, capture mail for /dev/inbox (development only)
+ * @param {number} [options.keepBodiesDays]
+ */
+function createOutbox(db, { portal, from, transport, capture = false, keepBodiesDays = 30 }) {
+    const transportName = transport ? transport.transportName || 'custom' : capture ? 'dev' : 'none';
+
+    const get = (id) => db.get('SELECT * FROM email_log WHERE id = ?', [id]);
+
+    // Deliver a stored message once; the row ends up sent, pending (retry later), failed or bounced
+    async function attempt(id) {
+        db.run(`UPDATE email_log SET status = 'sending', last_attempt_at = datetime('now'), attempts = attempts + 1
+            WHERE id = ? AND status = 'pending'`, [id]);
+        if (db.getRowsModified() !== 1) return { success: false, id, status: get(id)?.status, error: 'Already being sent' };
+        const row = get(id);
+
+        if (!transport && capture) {
+            db.run(`UPDATE email_log SET status = 'sent', sent_at = datetime('now'), transport = 'dev', error_message = NULL,
+                next_attempt_at = NULL WHERE id = ?`, [id]);
+            console.log(`[Email Captured] To: ${row.recipient_email}, Subject: ${row.subject}`);
+            return { success: true, id, status: 'sent', mock: true };
+        }
+
+        try {
+            if (!transport) throw new Error('No email transport configured');
+            const info = await transport({ from: row.from_address, to: row.recipient_email, subject: row.subject, html: row.html_body,
+                headers: row.headers ? JSON.parse(row.headers) : undefined });
+            db.run(`UPDATE email_log SET status = 'sent', sent_at = datetime('now'), transport = ?, message_id = ?,
+                error_message = NULL, next_attempt_at = NULL WHERE id = ?`, [transportName, info?.messageId || null, id]);
+            console.log(`[Email Sent via ${transportName}] To: ${row.recipient_email}, Subject: ${row.subject}`);
+            return { success: true, id, status: 'sent' };
+        } catch (err) {
+            const error = String(err.message || err).slice(0, 1000);
+            const retryIn = RETRY_MINUTES[row.attempts - 1];
+            const status = err.permanent ? 'bounced' : retryIn === undefined ? 'failed' : 'pending';
+            db.run(`UPDATE email_log SET status = ?, transport = ?, error_message = ?,
+                next_attempt_at = ${status === 'pending' ? 'datetime(\'now\', ?)' : 'NULL'} WHERE id = ?`,
+                status === 'pending' ? [status, transportName, error, `+${retryIn} minutes`, id] : [status, transportName, error, id]);
+            console.error(`Email ${status} (attempt ${row.attempts}) to ${row.recipient_email}:`, error);
+            return { success: false, id, status, queued: status === 'pending', error };
+        }
+    }
+
+    /**
+     * Store an email in the outbox and try to deliver it now.
+     *
+     * @param {string} to
+     * @param {string} subject
+     * @param {string} html
+     * @param {Object} [options] - { recipientName, templateId, from, resentFrom, headers }; headers are
+     *   extra message headers such as List-Unsubscribe (shared/subscriptions.js)
+     * @returns {Promise<{success: boolean, id: string, status: string, queued?: boolean, mock?: boolean, error?: string}>}
+     */
+    async function send(to, subject, html, { recipientName = null, templateId = null, from: fromAddress = from, resentFrom = null, headers = null } = {}) {
+        const id = crypto.randomUUID();
+        db.run(`INSERT INTO email_log (id, template_id, recipient_email, recipient_name, subject, status, portal, from_address,
+                html_body, headers, attempts, resent_from, created_at)
+            VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, 0, ?, datetime('now'))`,
+            [id, templateId, String(to || '').trim(), recipientName, subject, portal, fromAddress, html,
+                headers && Object.keys(headers).length ? JSON.stringify(headers) : null, resentFrom]);
+        return attempt(id);
+    }
+
+    /**
+     * Retry this portal's pending mail that is due. Messages left in `sending` by a
+     * portal that died mid-attempt go back to pending first.
+     */
+    async function processDue(limit = 50) {
+        db.run(`UPDATE email_log SET status = 'pending', next_attempt_at = datetime('now')
+            WHERE portal = ? AND status = 'sending' AND last_attempt_at < datetime('now', ?)`,
+            [portal, `-${SENDING_TIMEOUT_MINUTES} minutes`]);
+        const due = db.all(`SELECT id FROM email_log WHERE portal = ? AND status = 'pending' AND next_attempt_at <= datetime('now')
+            ORDER BY next_attempt_at LIMIT ?`, [portal, limit]);
+        const counts = { sent: 0, pending: 0, failed: 0, bounced: 0 };
+        for (const { id } of due) {
+            const result = await attempt(id);
+            if (counts[result.status] !== undefined) counts[result.status]++;
+        }
+        return counts;
+    }
+
+    /**
+     * Send a stored message again as a new outbox entry (the original row is left as it was).
+     */
+    async function resend(id) {
+        const row = get(id);
+        if (!row) throw new OutboxError('Email not found', 404);
+        if (!row.html_body) throw new OutboxError('The message body is no longer stored — it cannot be resent', 409);
+        return send(row.recipient_email, row.subject, row.html_body, {
+            recipientName: row.recipient_name, templateId: row.template_id, from: row.from_address || from, resentFrom: row.id,
+            headers: row.headers ? JSON.parse(row.headers) : null
+        });
+    }
+
+    /**
+     * Newest first; `search` matches recipient or subject.
+     */
+    function list({ status = null, search = '', limit = 200 } = {}) {
+        const where = [], params = [];
+        if (status) { where.push('status = ?'); params.push(status); }
+        if (search) { where.push('(recipient_email LIKE ? OR subject LIKE ?)'); params.push(`%${search}%`, `%${search}%`); }
+        params.push(Math.min(Number(limit) || 200, 1000));
+        return db.all(`SELECT id, template_id, recipient_email, recipient_name, subject, status, error_message, sent_at, opened_at,
+                created_at, portal, transport, attempts, next_attempt_at, last_attempt_at, resent_from,
+                CASE WHEN html_body IS NOT NULL THEN 1 ELSE 0 END as has_body
+            FROM email_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+            ORDER BY created_at DESC LIMIT ?`, params)
+            .map(r => ({ ...r, has_body: !!r.has_body }));
+    }
+
+    function counts() {
+        return Object.fromEntries(db.all(`SELECT status, COUNT(*) as n FROM email_log GROUP BY status`).map(r => [r.status, r.n]));
+    }
+
+    /**
+     * Drop stored bodies of settled messages once they are old (the log row stays).
+     */
+    function purgeBodies() {
+        db.run(`UPDATE email_log SET html_body = NULL
+            WHERE html_body IS NOT NULL AND status IN ('sent', 'failed', 'bounced') AND created_at < datetime('now', ?)`,
+            [`-${keepBodiesDays} days`]);
+    }
+
+    /**
+     * Express handler for the local inbox: GET /dev/inbox lists captured mail,
+     * GET /dev/inbox/:id shows one message. Register it only when capturing.
+     */
+    function devInbox(req, res) {
+        const page = (title, body) => `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;margin:0;background:#f4f4f5;color:#0f172a}
+header{background:#0f172a;color:#fff;padding:14px 24px;font-weight:600}main{padding:24px}table{width:100%;border-collapse:collapse;background:#fff}
+th,td{text-align:left;padding:8px 12px;border-bottom:1px solid #e4e4e7;font-size:13px}th{color:#64748b}a{color:#2563eb;text-decoration:none}
+dl{display:grid;grid-template-columns:max-content 1fr;gap:4px 12px;font-size:13px;margin:0 0 16px}dt{color:#64748b}
+iframe{width:100%;height:75vh;border:1px solid #e4e4e7;background:#fff}</style></head>
+<body><header>Med&amp;X dev inbox</header><main>${body}</main></body></html>`;
+
+        if (req.params.id) {
+            const row = db.get(`SELECT * FROM email_log WHERE id = ? AND transport = 'dev'`, [req.params.id]);
+            if (!row) return res.status(404).send(page('Not found', '<p>No captured message with this id. <a href="/dev/inbox">Back to the inbox</a></p>'));
+            return res.send(page(row.subject, `<p><a href="/dev/inbox">&larr; Inbox</a></p>
+<dl><dt>Subject</dt><dd>${escapeHtml(row.subject)}</dd><dt>To</dt><dd>${escapeHtml(row.recipient_email)}</dd>
+<dt>From</dt><dd>${escapeHtml(row.from_address)}</dd><dt>Sent</dt><dd>${escapeHtml(row.sent_at)} UTC (${escapeHtml(row.portal)} portal)</dd>
+${Object.entries(row.headers ? JSON.parse(row.headers) : {}).map(([name, value]) => `<dt>${escapeHtml(name)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>
+${row.html_body ? `<iframe sandbox="allow-popups allow-popups-to-escape-sandbox" srcdoc="${escapeHtml(row.html_body)}"></iframe>` : '<p>The body is no longer stored.</p>'}`));
+        }
+
+        const to = String(req.query.to || '');
+        const rows = db.all(`SELECT id, recipient_email, subject, sent_at, portal FROM email_log
+            WHERE transport = 'dev' ${to ? 'AND recipient_email LIKE ?' : ''} ORDER BY created_at DESC LIMIT 200`, to ? [`%${to}%`] : []);
+        res.send(page('Dev inbox', `<form style="margin-bottom:16px"><input name="to" value="${escapeHtml(to)}" placeholder="Filter by recipient">
+<button>Filter</button> <span style="color:#64748b;font-size:13px">Mail captured instead of sent — development mode without an email provider, or EMAIL_TRANSPORT=dev.</span></form>
+<table><thead><tr><th>Received (UTC)</th><th>To</th><th>Subject</th><th>Portal</th></tr></thead><tbody>
+${rows.map(r => `<tr><td>${escapeHtml(r.sent_at)}</td><td>${escapeHtml(r.recipient_email)}</td>
+<td><a href="/dev/inbox/${encodeURIComponent(r.id)}">${escapeHtml(r.subject)}</a></td><td>${escapeHtml(r.portal)}</td></tr>`).join('')
+    || '<tr><td colspan="4" style="color:#64748b">Nothing captured yet</td></tr>'}
+</tbody></table>`));
+    }
+
+    return { transportName, send, processDue, resend, get, list, counts, purgeBodies, devInbox };
+}
+
+module.exports = { createOutbox, OutboxError, smtpTransport, resendTransport, RETRY_MINUTES };
@@ -0,0 +1,575 @@
+/**
+ * Email Templates — bilingual (English/Croatian) emails stored in `email_templates`
+ * and rendered by key, shared by both portals.
+ *
+ * A template declares which variable types it uses (`variables`, a JSON array such as
+ * ["recipient", "registration", "invoice"]) and refers to their fields as
+ * {{registration.ticket_type}}. Each field has a type that decides how it is
+ * formatted for the language: dates and money follow the locale, text is HTML-escaped,
+ * paragraphs also keep their line breaks, urls must be http(s).
+ * {{#if invoice.number}} ... {{else}} ... {{/if}} blocks nest.
+ *
+ *   await emailTemplates.send('account.password-reset', user.email,
+ *       { recipient: { first_name: user.first_name }, account: { action_url: resetUrl } },
+ *       { userId: user.id });
+ *
+ * The language is the recipient's `user_profiles.preferred_language` (for addresses
+ * without an account, the language chosen in the subscription preference center)
+ * unless the caller passes one; a template without a Croatian version falls back to
+ * English. Rendering
+ * refuses to produce an email with a blank variable (TemplateError lists them), and
+ * saving refuses placeholders that don't exist.
+ *
+ * The templates in DEFAULTS are inserted by key when missing; edits made from the
+ * admin portal are kept across restarts.
+ */
+
+const crypto = require('crypto');
+
+const LANGUAGES = ['en', 'hr'];
+const LOCALES = { en: 'en-GB', hr: 'hr-HR' };
+const TIME_ZONE = 'Europe/Zagreb';
+
+// Variable types: field → format, plus sample values for previews
+const VARIABLE_TYPES = {
+    recipient: {
+        fields: { first_name: 'text', last_name: 'text', email: 'text' },
+        sample: { first_name: 'Ana', last_name: 'Horvat', email: 'ana.horvat@example.com' }
+    },
+    account: {
+        fields: { action_url: 'url' },
+        sample: { action_url: 'https://portal.medx.hr/reset-password?token=sample' }
+    },
+    registration: {
+        fields: {
+            event_name: 'text', ticket_type: 'text', event_date: 'date', venue: 'text',
+            payment_status: 'text', paid: 'flag', pay_by_card: 'flag'
+        },
+        sample: {
+            event_name: 'Plexus Conference 2026', ticket_type: 'Student', event_date: '2026-12-04', venue: 'Hotel Esplanade, Zagreb',
+            payment_status: 'pending', paid: false, pay_by_card: false
+        }
+    },
+    application: {
+        fields: { program: 'text', application_number: 'text', candidate_id: 'text', submitted_at: 'date', status: 'text', portal_url: 'url' },
+        sample: {
+            program: 'Med&X Accelerator', application_number: 'ACC-2026-0042', candidate_id: 'C-0042', submitted_at: '2026-03-15',
+            status: 'submitted', portal_url: 'https://portal.medx.hr/accelerator'
+        }
+    },
+    invoice: {
+        fields: { number: 'text', issue_date: 'date', due_date: 'date', total: 'money', currency: 'text', payment_url: 'url' },
+        sample: { number: 'INV-2026-0042', issue_date: '2026-10-01', due_date: '2026-10-08', total: 100, currency: 'EUR', payment_url: 'https://portal.medx.hr/pay/sample' }
+    },
+    invitation: {
+        fields: { code: 'text', join_url: 'url' },
+        sample: { code: 'A1B2C3D4', join_url: 'https://portal.medx.hr/forum?invite=A1B2C3D4' }
+    },
+    // Free text written when scheduling an email (shared/scheduled-emails.js)
+    message: {
+        fields: { subject: 'text', body: 'paragraphs' },
+        sample: {
+            subject: 'Plexus 2026 programme is out',
+            body: 'The full programme for Plexus 2026 is now available on the portal.\n\nSee you in Zagreb!'
+        }
+    }
+};
+
+class TemplateError extends Error {
+    constructor(message, { status = 422, missing = [], errors = [] } = {}) {
+        super(message);
+        this.name = 'TemplateError';
+        this.status = status;
+        this.missing = missing;
+        this.errors = errors;
+    }
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Plain text as HTML paragraphs: blank lines split paragraphs, single newlines become <br>
+const paragraphsHtml = (text) => String(text).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+    .map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('\n');
+
+/**
+ * Branded Med&X layout around an email body.
+ */
+function buildEmailTemplate(title, bodyHtml, lang = 'en') {
+    return `
+<!DOCTYPE html>
+<html lang="${lang === 'hr' ? 'hr' : 'en'}">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+<body style="margin: 0; padding: 0; background: #f4f4f5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+<table width="100%" cellpadding="0" cellspacing="0" style="background: #f4f4f5; padding: 32px 16px;">
+<tr><td align="center">
+<table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; width: 100%;">
+    <!-- Header -->
+    <tr><td style="background: #0f172a; padding: 28px 32px; border-radius: 12px 12px 0 0; text-align: center;">
+        <div style="font-size: 28px; font-weight: 700; letter-spacing: 1px;">
+            <span style="color: #C9A962;">Med</span><span style="color: #ffffff;">&amp;</span><span style="color: #C9A962;">X</span>
+        </div>
+        <div style="color: #94a3b8; font-size: 12px; margin-top: 4px; letter-spacing: 2px; text-transform: uppercase;">Building Bridges in Biomedicine</div>
+    </td></tr>
+    <!-- Title bar -->
+    <tr><td style="background: #1e293b; padding: 16px 32px; text-align: center;">
+        <h1 style="margin: 0; color: #C9A962; font-size: 20px; font-weight: 600;">${title}</h1>
+    </td></tr>
+    <!-- Body -->
+    <tr><td style="background: #ffffff; padding: 32px; border-left: 1px solid #e2e8f0; border-right: 1px solid #e2e8f0;">
+        <div style="color: #334155; font-size: 15px; line-height: 1.7;">
+            ${bodyHtml}
+        </div>
+    </td></tr>
+    <!-- Footer -->
+    <tr><td style="background: #0f172a; padding: 24px 32px; border-radius: 0 0 12px 12px; text-align: center;">
+        <div style="color: #C9A962; font-size: 14px; font-weight: 600; margin-bottom: 8px;">Med&amp;X</div>
+        <div style="color: #94a3b8; font-size: 12px; margin-bottom: 12px;">Building Bridges in Biomedicine</div>
+        <div style="margin-bottom: 8px;">
+            <a href="https://medx.hr" style="color: #C9A962; text-decoration: none; font-size: 12px; margin: 0 8px;">${lang === 'hr' ? 'Web stranica' : 'Website'}</a>
+            <a href="https://www.linkedin.com/company/med-x-croatia/" style="color: #C9A962; text-decoration: none; font-size: 12px; margin: 0 8px;">LinkedIn</a>
+            <a href="https://www.instagram.com/medx.hr/" style="color: #C9A962; text-decoration: none; font-size: 12px; margin: 0 8px;">Instagram</a>
+        </div>
+        <div style="color: #64748b; font-size: 11px;">&copy; ${new Date().getFullYear()} Med&amp;X. ${lang === 'hr' ? 'Sva prava pridržana.' : 'All rights reserved.'}</div>
+    </td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+// ========== Parsing and rendering ==========
+
+const TAG = /\{\{\s*(#if\s+[\w.]+|else|\/if|[\w.]+)\s*\}\}/g;
+
+/**
+ * Parse template text into nodes: strings, { path } and { test, then, otherwise }.
+ */
+function parse(source) {
+    const root = [];
+    const stack = [{ nodes: root }];
+    const text = String(source ?? '');
+    let last = 0, match;
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(text))) {
+        const top = stack[stack.length - 1];
+        if (match.index > last) top.nodes.push(text.slice(last, match.index));
+        last = TAG.lastIndex;
+        const tag = match[1];
+        if (tag.startsWith('#if')) {
+            const block = { test: tag.slice(3).trim(), then: [], otherwise: [] };
+            top.nodes.push(block);
+            stack.push({ block, nodes: block.then });
+        } else if (tag === 'else') {
+            if (!top.block || top.nodes === top.block.otherwise) throw new TemplateError('{{else}} without {{#if}}');
+            top.nodes = top.block.otherwise;
+        } else if (tag === '/if') {
+            if (!top.block) throw new TemplateError('{{/if}} without {{#if}}');
+            stack.pop();
+        } else {
+            top.nodes.push({ path: tag });
+        }
+    }
+    if (stack.length > 1) throw new TemplateError(`{{#if ${stack[stack.length - 1].block.test}}} is not closed`);
+    if (last < text.length) stack[0].nodes.push(text.slice(last));
+    return root;
+}
+
+// Every variable path used by the nodes (both branches of a condition)
+function pathsIn(nodes, out = new Set()) {
+    for (const node of nodes) {
+        if (typeof node === 'string') continue;
+        if (node.path) out.add(node.path);
+        else {
+            out.add(node.test);
+            pathsIn(node.then, out);
+            pathsIn(node.otherwise, out);
+        }
+    }
+    return out;
+}
+
+function toDate(value) {
+    if (value instanceof Date) return value;
+    const s = String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return new Date(`${s}T12:00:00Z`); // calendar date
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(s)) return new Date(s.replace(' ', 'T') + 'Z'); // SQLite datetime(), UTC
+    return new Date(s);
+}
+
+function formatValue(value, format, lang, group) {
+    const locale = LOCALES[lang];
+    if (format === 'date') {
+        const date = toDate(value);
+        return isNaN(date) ? String(value) : new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: TIME_ZONE }).format(date);
+    }
+    if (format === 'money') {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: group.currency || 'EUR' }).format(Number(value));
+    }
+    if (format === 'number') return new Intl.NumberFormat(locale).format(Number(value));
+    return String(value);
+}
+
+// A url that isn't http(s) counts as blank, so a bad link never reaches an email
+const isBlank = (value, format) => value === undefined || value === null || value === ''
+    || (format === 'url' && !/^https?:\/\//i.test(String(value)));
+
+/**
+ * Render parsed nodes against data; blank variables are collected in `missing`.
+ */
+function renderNodes(nodes, data, { lang, html, missing }) {
+    let out = '';
+    for (const node of nodes) {
+        if (typeof node === 'string') { out += node; continue; }
+        const [group, field] = (node.path || node.test).split('.');
+        const value = data[group]?.[field];
+        if (node.test) {
+            out += renderNodes(value && value !== '0' ? node.then : node.otherwise, data, { lang, html, missing });
+            continue;
+        }
+        const format = VARIABLE_TYPES[group]?.fields[field] || 'text';
+        if (isBlank(value, format)) { missing.add(node.path); continue; }
+        const text = formatValue(value, format, lang, data[group]);
+        if (!html) out += text;
+        else out += format === 'paragraphs' ? paragraphsHtml(text) : escapeHtml(text);
+    }
+    return out;
+}
+
+function declaredTypes(template) {
+    const raw = template.variables;
+    if (!raw) return [];
+    if (Array.isArray(raw)) return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        return String(raw).split(',').map(s => s.trim()).filter(Boolean);
+    }
+}
+
+/**
+ * Problems with a template's placeholders and blocks, as messages (empty when fine).
+ */
+function validateTemplate(template) {
+    const types = declaredTypes(template);
+    const errors = [];
+    types.filter(t => !VARIABLE_TYPES[t]).forEach(t => errors.push(`Unknown variable type "${t}"`));
+    for (const column of ['subject', 'subject_hr', 'body_html', 'body_html_hr']) {
+        if (!template[column]) continue;
+        let nodes;
+        try {
+            nodes = parse(template[column]);
+        } catch (err) {
+            errors.push(`${column}: ${err.message}`);
+            continue;
+        }
+        for (const path of pathsIn(nodes)) {
+            const [group, field, extra] = path.split('.');
+            if (extra !== undefined || !field) errors.push(`${column}: "{{${path}}}" should look like {{type.field}}`);
+            else if (!types.includes(group)) errors.push(`${column}: "{{${path}}}" uses "${group}", which this template doesn't declare`);
+            else if (VARIABLE_TYPES[group] && !VARIABLE_TYPES[group].fields[field]) errors.push(`${column}: "${group}" has no field "${field}"`);
+        }
+    }
+    if (!template.subject) errors.push('subject: required');
+    if (!template.body_html) errors.push('body_html: required');
+    return errors;
+}
+
+/**
+ * Render a template row in a language. Returns the output plus the blank variables
+ * instead of throwing, for previews; render() below is the strict version.
+ */
+function renderTemplate(template, data, lang) {
+    const useHr = lang === 'hr' && template.subject_hr && template.body_html_hr;
+    const language = useHr ? 'hr' : 'en';
+    const missing = new Set();
+    const subject = renderNodes(parse(useHr ? template.subject_hr : template.subject), data, { lang: language, html: false, missing });
+    const body = renderNodes(parse(useHr ? template.body_html_hr : template.body_html), data, { lang: language, html: true, missing });
+    return { subject, html: buildEmailTemplate(escapeHtml(subject), body, language), lang: language, missing: [...missing] };
+}
+
+function sampleData(types) {
+    return Object.fromEntries(types.filter(t => VARIABLE_TYPES[t]).map(t => [t, { ...VARIABLE_TYPES[t].sample }]));
+}
+
+// ========== Built-in templates ==========
+
+const BUTTON = 'display: inline-block; background: #C9A962; color: #0f172a; text-decoration: none; padding: 14px 36px; border-radius: 8px; font-weight: 600; font-size: 16px;';
+const MUTED = 'color: #64748b; font-size: 13px;';
+const CELL_LABEL = 'padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b; width: 160px;';
+const CELL = 'padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;';
+const NOTE = 'background: #eff6ff; border: 1px solid #bfdbfe; padding: 12px 16px; border-radius: 8px; color: #1e40af;';
+const NOTE_OK = 'background: #ecfdf5; border: 1px solid #a7f3d0; padding: 12px 16px; border-radius: 8px; color: #065f46; font-weight: 600;';
+
+const DEFAULTS = [
+    {
+        key: 'account.verify-email',
+        name: 'Verify email address',
+        description: 'Sent after sign-up and when a verification link is requested again',
+        variables: ['recipient', 'account'],
+        subject: 'Verify your Med&X account',
+        subject_hr: 'Potvrdite svoj Med&X račun',
+        body_html: `<p>Hi {{#if recipient.first_name}}{{recipient.first_name}}{{else}}there{{/if}},</p>
+<p>Thank you for creating your Med&amp;X account! Please verify your email address by clicking the button below:</p>
+<div style="text-align: center; margin: 32px 0;"><a href="{{account.action_url}}" style="${BUTTON}">Verify Email Address</a></div>
+<p style="${MUTED}">If the button doesn't work, copy and paste this link into your browser:</p>
+<p style="word-break: break-all; ${MUTED}">{{account.action_url}}</p>
+<p style="${MUTED} margin-top: 24px;">If you didn't create this account, you can safely ignore this email.</p>`,
+        body_html_hr: `<p>Pozdrav{{#if recipient.first_name}} {{recipient.first_name}}{{/if}},</p>
+<p>Hvala što ste otvorili Med&amp;X račun! Molimo potvrdite svoju adresu e-pošte klikom na gumb ispod:</p>
+<div style="text-align: center; margin: 32px 0;"><a href="{{account.action_url}}" style="${BUTTON}">Potvrdi adresu e-pošte</a></div>
+<p style="${MUTED}">Ako gumb ne radi, kopirajte ovu poveznicu u preglednik:</p>
+<p style="word-break: break-all; ${MUTED}">{{account.action_url}}</p>
+<p style="${MUTED} margin-top: 24px;">Ako niste vi otvorili ovaj račun, slobodno zanemarite ovu poruku.</p>`
+    },
+    {
+        key: 'account.password-reset',
+        name: 'Password reset link',
+        description: 'Single-use link from "Forgot password", valid for an hour',
+        variables: ['recipient', 'account'],
+        subject: 'Reset your Med&X password',
+        subject_hr: 'Promjena lozinke za Med&X',
+        body_html: `<p>Hi {{#if recipient.first_name}}{{recipient.first_name}}{{else}}there{{/if}},</p>
+<p>We received a request to reset the password of your Med&amp;X account. The button below works once, within the next hour:</p>
+<div style="text-align: center; margin: 32px 0;"><a href="{{account.action_url}}" style="${BUTTON}">Reset Password</a></div>
+<p style="${MUTED}">If the button doesn't work, copy and paste this link into your browser:</p>
+<p style="word-break: break-all; ${MUTED}">{{account.action_url}}</p>
+<p style="${MUTED} margin-top: 24px;">If you didn't ask for this, you can ignore this email — your password stays the same.</p>`,
+        body_html_hr: `<p>Pozdrav{{#if recipient.first_name}} {{recipient.first_name}}{{/if}},</p>
+<p>Primili smo zahtjev za promjenu lozinke vašeg Med&amp;X računa. Gumb ispod vrijedi jednom, u sljedećih sat vremena:</p>
+<div style="text-align: center; margin: 32px 0;"><a href="{{account.action_url}}" style="${BUTTON}">Promijeni lozinku</a></div>
+<p style="${MUTED}">Ako gumb ne radi, kopirajte ovu poveznicu u preglednik:</p>
+<p style="word-break: break-all; ${MUTED}">{{account.action_url}}</p>
+<p style="${MUTED} margin-top: 24px;">Ako niste vi zatražili promjenu, zanemarite ovu poruku — lozinka ostaje ista.</p>`
+    },
+    {
+        key: 'application.received',
+        name: 'Accelerator application received',
+        description: 'Confirmation when an applicant submits their Accelerator application',
+        variables: ['recipient', 'application'],
+        subject: 'Med&X Accelerator — Application Received',
+        subject_hr: 'Med&X Accelerator — prijava zaprimljena',
+        body_html: `<p>Dear {{#if recipient.first_name}}{{recipient.first_name}}{{else}}Applicant{{/if}},</p>
+<p>Your application for the <strong>{{application.program}}</strong> program has been successfully submitted.</p>
+<table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+    <tr><td style="${CELL_LABEL}">Application Number</td><td style="${CELL}">{{#if application.application_number}}{{application.application_number}}{{else}}N/A{{/if}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Candidate ID</td><td style="${CELL}">{{#if application.candidate_id}}{{application.candidate_id}}{{else}}N/A{{/if}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Submitted</td><td style="${CELL}">{{application.submitted_at}}</td></tr>
+</table>
+<p>Our review committee will evaluate your application and notify you of the next steps. This process typically takes 2-4 weeks.</p>
+<p>If you have any questions in the meantime, contact us at <a href="mailto:accelerator@medx.hr" style="color: #C9A962;">accelerator@medx.hr</a>.</p>
+<p>Best regards,<br><strong>Med&amp;X Accelerator Team</strong></p>`,
+        body_html_hr: `<p>Poštovani/a {{#if recipient.first_name}}{{recipient.first_name}}{{else}}kandidate{{/if}},</p>
+<p>Vaša prijava za program <strong>{{application.program}}</strong> uspješno je predana.</p>
+<table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+    <tr><td style="${CELL_LABEL}">Broj prijave</td><td style="${CELL}">{{#if application.application_number}}{{application.application_number}}{{else}}—{{/if}}</td></tr>
+    <tr><td style="${CELL_LABEL}">ID kandidata</td><td style="${CELL}">{{#if application.candidate_id}}{{application.candidate_id}}{{else}}—{{/if}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Predano</td><td style="${CELL}">{{application.submitted_at}}</td></tr>
+</table>
+<p>Povjerenstvo će pregledati vašu prijavu i javiti vam sljedeće korake. Postupak obično traje 2-4 tjedna.</p>
+<p>Za sva pitanja javite nam se na <a href="mailto:accelerator@medx.hr" style="color: #C9A962;">accelerator@medx.hr</a>.</p>
+<p>Srdačan pozdrav,<br><strong>Med&amp;X Accelerator tim</strong></p>`
+    },
+    {
+        key: 'registration.confirmed',
+        name: 'Conference registration confirmation',
+        description: 'Welcome email after registering for a conference, with payment instructions',
+        variables: ['recipient', 'registration', 'invoice'],
+        subject: 'Welcome to {{registration.event_name}}!',
+        subject_hr: 'Dobrodošli na {{registration.event_name}}!',
+        body_html: `<p>Dear {{#if recipient.first_name}}{{recipient.first_name}}{{else}}participant{{/if}},</p>
+<p>Thank you for registering for <strong>{{registration.event_name}}</strong>! We are thrilled to have you join us.</p>
+<table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+    <tr><td style="${CELL_LABEL}">Ticket</td><td style="${CELL}">{{registration.ticket_type}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Invoice Number</td><td style="${CELL}">{{invoice.number}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Amount</td><td style="${CELL}">{{invoice.total}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Payment Status</td><td style="${CELL}">{{#if registration.paid}}Paid{{else}}Pending{{/if}}</td></tr>
+</table>
+{{#if registration.paid}}<p style="${NOTE_OK}">Your registration is confirmed — no payment required!</p>
+{{else}}{{#if registration.pay_by_card}}<p style="${NOTE}">Please complete your card payment to secure your spot.</p>
+{{else}}<p style="${NOTE}">Please transfer <strong>{{invoice.total}}</strong> to our bank account using reference <strong>{{invoice.number}}</strong> to secure your spot.</p>
+{{/if}}{{/if}}<p style="margin-top: 20px;">If you have any questions, feel free to reach out to us at <a href="mailto:info@medx.hr" style="color: #C9A962;">info@medx.hr</a>.</p>
+<p>We look forward to seeing you at {{registration.event_name}}!</p>
+<p>Warm regards,<br><strong>The Med&amp;X Team</strong></p>`,
+        body_html_hr: `<p>Poštovani/a{{#if recipient.first_name}} {{recipient.first_name}}{{/if}},</p>
+<p>Hvala na prijavi za <strong>{{registration.event_name}}</strong>! Veselimo se vašem dolasku.</p>
+<table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+    <tr><td style="${CELL_LABEL}">Kotizacija</td><td style="${CELL}">{{registration.ticket_type}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Broj računa</td><td style="${CELL}">{{invoice.number}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Iznos</td><td style="${CELL}">{{invoice.total}}</td></tr>
+    <tr><td style="${CELL_LABEL}">Status plaćanja</td><td style="${CELL}">{{#if registration.paid}}Plaćeno{{else}}Na čekanju{{/if}}</td></tr>
+</table>
+{{#if registration.paid}}<p style="${NOTE_OK}">Vaša prijava je potvrđena — plaćanje nije potrebno!</p>
+{{else}}{{#if registration.pay_by_card}}<p style="${NOTE}">Molimo dovršite plaćanje karticom kako biste osigurali svoje mjesto.</p>
+{{else}}<p style="${NOTE}">Molimo uplatite <strong>{{invoice.total}}</strong> na naš račun s pozivom na broj <strong>{{invoice.number}}</strong> kako biste osigurali svoje mjesto.</p>
+{{/if}}{{/if}}<p style="margin-top: 20px;">Za sva pitanja javite nam se na <a href="mailto:info@medx.hr" style="color: #C9A962;">info@medx.hr</a>.</p>
+<p>Vidimo se na {{registration.event_name}}!</p>
+<p>Srdačan pozdrav,<br><strong>Med&amp;X tim</strong></p>`
+    },
+    {
+        key: 'forum.invitation',
+        name: 'Forum invitation',
+        description: 'Personal invitation to apply for Med&X Forum membership, sent to prospects',
+        variables: ['recipient', 'invitation'],
+        subject: 'Invitation to join the Med&X Forum',
+        subject_hr: 'Poziv za članstvo u Med&X Forumu',
+        body_html: `<p>Dear {{#if recipient.first_name}}{{recipient.first_name}}{{else}}colleague{{/if}},</p>
+<p>We would like to invite you to join the <strong>Med&amp;X Forum</strong> — a community of biomedical professionals connecting across institutions, specialties and borders.</p>
+<div style="text-align: center; margin: 32px 0;"><a href="{{invitation.join_url}}" style="${BUTTON}">Apply for Membership</a></div>
+<p>Your personal invitation code is <strong>{{invitation.code}}</strong>.</p>
+<p style="${MUTED}">If the button doesn't work, copy and paste this link into your browser:</p>
+<p style="word-break: break-all; ${MUTED}">{{invitation.join_url}}</p>
+<p>Warm regards,<br><strong>The Med&amp;X Team</strong></p>`,
+        body_html_hr: `<p>Poštovani/a{{#if recipient.first_name}} {{recipient.first_name}}{{/if}},</p>
+<p>Pozivamo vas da se pridružite <strong>Med&amp;X Forumu</strong> — zajednici biomedicinskih stručnjaka koja povezuje ustanove, specijalnosti i zemlje.</p>
+<div style="text-align: center; margin: 32px 0;"><a href="{{invitation.join_url}}" style="${BUTTON}">Prijavi se za članstvo</a></div>
+<p>Vaš osobni kod pozivnice je <strong>{{invitation.code}}</strong>.</p>
+<p style="${MUTED}">Ako gumb ne radi, kopirajte ovu poveznicu u preglednik:</p>
+<p style="word-break: break-all; ${MUTED}">{{invitation.join_url}}</p>
+<p>Srdačan pozdrav,<br><strong>Med&amp;X tim</strong></p>`
+    },
+    {
+        key: 'announcement',
+        name: 'Announcement',
+        description: 'Scheduled emails to an audience; the subject and text are written when scheduling',
+        variables: ['recipient', 'message'],
+        subject: '{{message.subject}}',
+        subject_hr: '{{message.subject}}',
+        body_html: `<p>Dear {{#if recipient.first_name}}{{recipient.first_name}}{{else}}colleague{{/if}},</p>
+{{message.body}}
+<p>Warm regards,<br><strong>The Med&amp;X Team</strong></p>`,
+        body_html_hr: `<p>Poštovani/a{{#if recipient.first_name}} {{recipient.first_name}}{{/if}},</p>
+{{message.body}}
+<p>Srdačan pozdrav,<br><strong>Med&amp;X tim</strong></p>`
+    }
+];
+
+// ========== Store ==========
+
+const EDITABLE = ['name', 'description', 'subject', 'subject_hr', 'body_html', 'body_html_hr'];
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {Object} [options.outbox] - shared/email-outbox.js instance, needed for send()
+ */
+function createEmailTemplates(db, { outbox = null } = {}) {
+    const withTypes = (row) => row && { ...row, variables: declaredTypes(row), is_system: !!row.is_system };
+
+    /**
+     * Insert the built-in templates that aren't in the table yet.
+     */
+    function ensureDefaults() {
+        for (const t of DEFAULTS) {
+            const errors = validateTemplate(t);
+            if (errors.length) throw new TemplateError(`Built-in template ${t.key} is invalid: ${errors.join('; ')}`, { errors });
+            db.run(`INSERT INTO email_templates (id, key, name, description, subject, subject_hr, body_html, body_html_hr, variables, is_system, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, datetime('now'), datetime('now'))
+                ON CONFLICT(key) DO NOTHING`,
+                [crypto.randomUUID(), t.key, t.name, t.description, t.subject, t.subject_hr, t.body_html, t.body_html_hr, JSON.stringify(t.variables)]);
+        }
+    }
+
+    function get(key) {
+        return withTypes(db.get('SELECT * FROM email_templates WHERE key = ?', [key]));
+    }
+
+    function list() {
+        return db.all(`SELECT id, key, name, description, subject, subject_hr, variables, is_system, updated_at, updated_by,
+                CASE WHEN subject_hr IS NOT NULL AND subject_hr != '' AND body_html_hr IS NOT NULL AND body_html_hr != '' THEN 1 ELSE 0 END as has_hr
+            FROM email_templates WHERE key IS NOT NULL ORDER BY key`)
+            .map(r => ({ ...withTypes(r), has_hr: !!r.has_hr }));
+    }
+
+    /**
+     * 'hr' or 'en' from the recipient's profile; 'en' when there is none.
+     */
+    function languageFor({ userId = null, email = null } = {}) {
+        if (!userId && !email) return 'en';
+        const row = db.get(`SELECT p.preferred_language FROM user_profiles p JOIN users u ON u.id = p.user_id
+            WHERE u.id = ? OR (? IS NOT NULL AND LOWER(u.email) = LOWER(?)) LIMIT 1`, [userId, email, email])
+            // Not a portal user: the language chosen in the subscription preference center
+            || (email ? db.get('SELECT language as preferred_language FROM pr_subscribers WHERE LOWER(email) = LOWER(?)', [email]) : null);
+        return String(row?.preferred_language || '').toLowerCase().startsWith('hr') ? 'hr' : 'en';
+    }
+
+    /**
+     * Render a stored template for real. Throws a TemplateError naming any blank variable.
+     *
+     * @param {string} key
+     * @param {Object} data - { recipient: {...}, registration: {...}, ... }
+     * @param {Object} [options] - { lang } or { userId, email } to look the language up
+     * @returns {{ subject: string, html: string, lang: string, templateId: string }}
+     */
+    function render(key, data, { lang = null, userId = null, email = null } = {}) {
+        const template = get(key);
+        if (!template) throw new TemplateError(`Email template ${key} not found`, { status: 404 });
+        const language = LANGUAGES.includes(lang) ? lang : languageFor({ userId, email });
+        const result = renderTemplate(template, data || {}, language);
+        if (result.missing.length) {
+            throw new TemplateError(`Email template ${key} is missing ${result.missing.join(', ')}`, { missing: result.missing });
+        }
+        return { subject: result.subject, html: result.html, lang: result.lang, templateId: template.id };
+    }
+
+    /**
+     * Render and queue through the outbox; the recipient's language is looked up by
+     * userId or, failing that, by the address.
+     */
+    async function send(key, to, data, { lang = null, userId = null, recipientName = null, decorate = null } = {}) {
+        if (!outbox) throw new Error('Email templates were created without an outbox');
+        const email = render(key, data, { lang, userId, email: to });
+        // decorate(html, lang) → { html, headers }: bulk senders add unsubscribe links (shared/subscriptions.js)
+        const { html, headers = null } = decorate ? decorate(email.html, email.lang) : { html: email.html };
+        return outbox.send(to, email.subject, html, { templateId: email.templateId, recipientName, headers });
+    }
+
+    /**
+     * Render with sample data — optionally with unsaved edits and caller data on top.
+     * Never throws for blank variables or bad placeholders; they are reported instead.
+     */
+    function preview(key, { lang = 'en', data = {}, changes = {} } = {}) {
+        const stored = get(key);
+        if (!stored) throw new TemplateError(`Email template ${key} not found`, { status: 404 });
+        const template = { ...stored };
+        EDITABLE.forEach(f => { if (changes[f] !== undefined) template[f] = changes[f]; });
+        const errors = validateTemplate(template);
+        if (errors.length) return { errors, missing: [], subject: null, html: null, lang };
+        const sample = sampleData(template.variables);
+        Object.entries(data || {}).forEach(([group, values]) => { sample[group] = { ...(sample[group] || {}), ...values }; });
+        const result = renderTemplate(template, sample, LANGUAGES.includes(lang) ? lang : 'en');
+        return { ...result, errors: [], sample };
+    }
+
+    /**
+     * Save edits to the wording. The variable types stay as the code that sends the email expects.
+     */
+    function update(key, changes, updatedBy = null) {
+        const stored = get(key);
+        if (!stored) throw new TemplateError(`Email template ${key} not found`, { status: 404 });
+        const next = { ...stored };
+        EDITABLE.forEach(f => { if (changes[f] !== undefined) next[f] = changes[f] === '' ? null : changes[f]; });
+        const errors = validateTemplate(next);
+        if (errors.length) throw new TemplateError('The template has errors', { status: 400, errors });
+        db.run(`UPDATE email_templates SET name = ?, description = ?, subject = ?, subject_hr = ?, body_html = ?, body_html_hr = ?,
+                updated_at = datetime('now'), updated_by = ? WHERE key = ?`,
+            [next.name, next.description, next.subject, next.subject_hr, next.body_html, next.body_html_hr, updatedBy, key]);
+        return get(key);
+    }
+
+    /**
+     * Put a built-in template back to its shipped wording.
+     */
+    function restoreDefault(key, updatedBy = null) {
+        const t = DEFAULTS.find(d => d.key === key);
+        if (!t) throw new TemplateError(`${key} is not a built-in template`, { status: 400 });
+        return update(key, Object.fromEntries(EDITABLE.map(f => [f, t[f] ?? null])), updatedBy);
+    }
+
+    return { ensureDefaults, get, list, languageFor, render, send, preview, update, restoreDefault };
+}
+
+module.exports = {
+    createEmailTemplates, TemplateError, buildEmailTemplate, escapeHtml,
+    validateTemplate, renderTemplate, VARIABLE_TYPES, DEFAULTS
+};
@@ -0,0 +1,198 @@
+/**
+ * Email Tracking — open pixels and click redirects for bulk email (newsletters,
+ * Forum invitations), shared by both portals.
+ *
+ * Before a message is sent the portal creates one `email_tracking` row for the
+ * recipient (or reuses the one from an earlier attempt at the same record) and passes the HTML through instrument(): every http(s) link becomes
+ * /api/track/click/<id>?u=<url>&s=<signature> and a 1×1 pixel pointing at
+ * /api/track/open/<id>.gif is added. Signatures are HMACs of the row id (and of the
+ * target url for clicks), so nobody can turn the redirect into an open redirect or
+ * record events for someone else.
+ *
+ *   const trackingId = tracking.prepare('newsletter', newsletter.id, subscriber.email);
+ *   const result = await sendEmail(subscriber.email, subject, tracking.instrument(trackingId, html));
+ *   tracking.attach(trackingId, result.id);
+ *
+ * Every hit is kept in `email_tracking_events`. The first open and click are stamped
+ * on the tracking row, on email_log.opened_at and on the source record (SOURCES).
+ * A click counts as an open as well — many mail clients block images.
+ */
+
+const crypto = require('crypto');
+
+// 1×1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// How an event shows up on the record that sent the email
+const SOURCES = {
+    newsletter: {
+        label: 'Newsletter',
+        recorded(db, newsletterId) {
+            db.run(`UPDATE pr_newsletters SET
+                    open_count = (SELECT COUNT(*) FROM email_tracking WHERE source = 'newsletter' AND source_id = ? AND opened_at IS NOT NULL),
+                    click_count = (SELECT COUNT(*) FROM email_tracking WHERE source = 'newsletter' AND source_id = ? AND clicked_at IS NOT NULL)
+                WHERE id = ?`, [newsletterId, newsletterId, newsletterId]);
+            db.run(`UPDATE pr_newsletters SET
+                    open_rate = CASE WHEN recipient_count > 0 THEN ROUND(open_count * 100.0 / recipient_count, 1) ELSE 0 END,
+                    click_rate = CASE WHEN recipient_count > 0 THEN ROUND(click_count * 100.0 / recipient_count, 1) ELSE 0 END
+                WHERE id = ?`, [newsletterId]);
+        }
+    },
+    'forum-invitation': {
+        label: 'Forum invitation',
+        recorded(db, invitationId, kind) {
+            if (!kind) return;
+            db.run(`UPDATE forum_invitations SET opened_at = COALESCE(opened_at, datetime('now'))
+                ${kind === 'click' ? ", clicked_at = COALESCE(clicked_at, datetime('now'))" : ''} WHERE id = ?`, [invitationId]);
+        }
+    }
+};
+
+class TrackingError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TrackingError';
+        this.status = status;
+    }
+}
+
+const decodeAttr = (s) => s.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.secret - Key for the link signatures
+ * @param {string} options.baseUrl - Public address of this portal; tracked links point here
+ */
+function createEmailTracking(db, { secret, baseUrl }) {
+    const base = String(baseUrl || '').replace(/\/+$/, '');
+
+    function sign(...parts) {
+        return crypto.createHmac('sha256', secret).update(parts.join('|')).digest('base64url').slice(0, 22);
+    }
+
+    function verify(signature, ...parts) {
+        const expected = Buffer.from(sign(...parts));
+        const given = Buffer.from(String(signature || ''));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    /**
+     * Start tracking one recipient of one email; returns the tracking id. Sending the
+     * same record to the same address again reuses the row, so a re-send after failures
+     * doesn't count anyone twice.
+     */
+    function prepare(source, sourceId, email) {
+        if (!SOURCES[source]) throw new TrackingError(`Unknown tracking source "${source}"`);
+        const recipient = String(email).trim().toLowerCase();
+        db.run(`INSERT INTO email_tracking (id, source, source_id, recipient_email, created_at) VALUES (?, ?, ?, ?, datetime('now'))
+            ON CONFLICT(source, source_id, recipient_email) DO NOTHING`,
+            [crypto.randomUUID(), source, String(sourceId), recipient]);
+        return db.get('SELECT id FROM email_tracking WHERE source = ? AND source_id = ? AND recipient_email = ?',
+            [source, String(sourceId), recipient]).id;
+    }
+
+    /**
+     * Recompute the source record's figures from its tracking rows, e.g. after its
+     * recipient count changed.
+     */
+    function refresh(source, sourceId) {
+        SOURCES[source]?.recorded(db, String(sourceId), null);
+    }
+
+    function clickUrl(id, url) {
+        return `${base}/api/track/click/${id}?u=${encodeURIComponent(url)}&s=${sign(id, url)}`;
+    }
+
+    /**
+     * Rewrite the links of an HTML email and add the open pixel. mailto: and
+     * in-page links are left alone.
+     */
+    function instrument(id, html) {
+        const linked = String(html).replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/(?:(?!\2).)+)\2/gi,
+            (match, start, quote, href) => `${start}${quote}${clickUrl(id, decodeAttr(href)).replace(/&/g, '&amp;')}${quote}`);
+        const pixel = `<img src="${base}/api/track/open/${id}.gif?s=${sign(id)}" width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0;">`;
+        return /<\/body>/i.test(linked) ? linked.replace(/<\/body>/i, `${pixel}</body>`) : linked + pixel;
+    }
+
+    /**
+     * Link the tracking row to the outbox entry that carried it.
+     */
+    function attach(id, emailLogId) {
+        if (emailLogId) db.run('UPDATE email_tracking SET email_log_id = ? WHERE id = ?', [emailLogId, id]);
+    }
+
+    function record(kind, id, { url = null, userAgent = null } = {}) {
+        const row = db.get('SELECT * FROM email_tracking WHERE id = ?', [id]);
+        if (!row) return false;
+        db.run(`INSERT INTO email_tracking_events (id, tracking_id, kind, url, user_agent, created_at) VALUES (?, ?, ?, ?, ?, datetime('now'))`,
+            [crypto.randomUUID(), id, kind, url, userAgent ? String(userAgent).slice(0, 300) : null]);
+        db.run(`UPDATE email_tracking SET opened_at = COALESCE(opened_at, datetime('now')), open_count = open_count + ?,
+                clicked_at = ${kind === 'click' ? "COALESCE(clicked_at, datetime('now'))" : 'clicked_at'}, click_count = click_count + ?
+            WHERE id = ?`, [kind === 'open' ? 1 : 0, kind === 'click' ? 1 : 0, id]);
+        if (row.email_log_id) db.run(`UPDATE email_log SET opened_at = COALESCE(opened_at, datetime('now')) WHERE id = ?`, [row.email_log_id]);
+        SOURCES[row.source]?.recorded(db, row.source_id, kind);
+        return true;
+    }
+
+    /**
+     * GET /api/track/open/:id.gif — always answers with the pixel.
+     */
+    function openHandler(req, res) {
+        try {
+            if (verify(req.query.s, req.params.id)) record('open', req.params.id, { userAgent: req.get('user-agent') });
+        } catch (err) {
+            console.error('Email open tracking error:', err);
+        }
+        res.set({ 'Content-Type': 'image/gif', 'Cache-Control': 'no-store, max-age=0' }).send(PIXEL);
+    }
+
+    /**
+     * GET /api/track/click/:id?u=<url>&s=<signature> — records the click and redirects.
+     */
+    function clickHandler(req, res) {
+        const url = String(req.query.u || '');
+        if (!/^https?:\/\//i.test(url) || !verify(req.query.s, req.params.id, url)) {
+            return res.status(400).send('This link is not valid.');
+        }
+        try {
+            record('click', req.params.id, { url, userAgent: req.get('user-agent') });
+        } catch (err) {
+            console.error('Email click tracking error:', err);
+        }
+        res.redirect(302, url);
+    }
+
+    /**
+     * Per source record: recipients, unique opens/clicks and total hits.
+     */
+    function summary(source) {
+        if (!SOURCES[source]) throw new TrackingError(`Unknown tracking source "${source}"`);
+        return db.all(`SELECT source_id, COUNT(*) as recipients,
+                SUM(CASE WHEN opened_at IS NOT NULL THEN 1 ELSE 0 END) as opened,
+                SUM(CASE WHEN clicked_at IS NOT NULL THEN 1 ELSE 0 END) as clicked,
+                SUM(open_count) as opens, SUM(click_count) as clicks,
+                MIN(created_at) as first_sent_at, MAX(COALESCE(clicked_at, opened_at)) as last_activity_at
+            FROM email_tracking WHERE source = ? GROUP BY source_id ORDER BY first_sent_at DESC`, [source]);
+    }
+
+    /**
+     * Every recipient of one source record with delivery status and their events.
+     */
+    function history(source, sourceId) {
+        if (!SOURCES[source]) throw new TrackingError(`Unknown tracking source "${source}"`);
+        const recipients = db.all(`SELECT t.id, t.recipient_email, t.created_at as sent_at, t.opened_at, t.clicked_at, t.open_count, t.click_count,
+                l.status as delivery_status
+            FROM email_tracking t LEFT JOIN email_log l ON l.id = t.email_log_id
+            WHERE t.source = ? AND t.source_id = ? ORDER BY t.recipient_email`, [source, String(sourceId)]);
+        const events = db.all(`SELECT e.tracking_id, e.kind, e.url, e.created_at FROM email_tracking_events e
+            JOIN email_tracking t ON t.id = e.tracking_id WHERE t.source = ? AND t.source_id = ? ORDER BY e.created_at`, [source, String(sourceId)]);
+        const byRecipient = new Map(recipients.map(r => [r.id, { ...r, events: [] }]));
+        events.forEach(e => byRecipient.get(e.tracking_id)?.events.push({ kind: e.kind, url: e.url, at: e.created_at }));
+        return [...byRecipient.values()];
+    }
+
+    return { prepare, refresh, instrument, attach, record, openHandler, clickHandler, summary, history };
+}
+
+module.exports = { createEmailTracking, TrackingError, SOURCES };
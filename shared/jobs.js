@@ -0,0 +1,291 @@
+/**
+ * Jobs — persistent background jobs on cron-like schedules, shared by both portals.
+ *
+ * Each portal registers the jobs it can run; the schedule, pause flag and next run
+ * time live in `scheduled_jobs`, so they survive restarts and a run missed while
+ * both portals were down happens at the next boot. Before running, a portal takes
+ * a lease on the job row (an atomic UPDATE), so a job registered by both portals
+ * still runs once, and renews it while the handler runs — however long that takes.
+ * Only a lease nobody renews (the portal died or hung) can be taken over. A failed run is retried with exponential backoff
+ * (`backoffMinutes`, doubling, up to `retries` times) before waiting for the next
+ * scheduled time. Every run is recorded in `job_runs`.
+ *
+ *   jobs.register('monthly-reminders', {
+ *       schedule: '0 8 1 * *',               // minute hour day-of-month month day-of-week
+ *       description: 'Days-until-event notifications',
+ *       handler: async ({ trigger, attempt }) => ({ sent: 3 })   // result is stored with the run
+ *   });
+ *
+ * Schedules use server-local time and support `*`, lists, ranges and steps
+ * (`*\/15`, `1-5`, `0,30`) plus @hourly, @daily, @weekly and @monthly.
+ */
+
+const crypto = require('crypto');
+
+const TICK_MS = 30 * 1000;
+const LEASE_SECONDS = 90;
+const LEASE_RENEW_MS = 20 * 1000;
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+const ALIASES = { '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *' };
+
+class JobError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let lo, hi;
+        if (range === '*') [lo, hi] = [min, max];
+        else if (range.includes('-')) [lo, hi] = range.split('-').map(Number);
+        else [lo, hi] = [Number(range), stepText === undefined ? Number(range) : max];
+        if (![lo, hi, step].every(Number.isInteger) || lo < min || hi > max || lo > hi || step < 1) {
+            throw new JobError(`Invalid ${name} "${part}" in schedule`);
+        }
+        for (let v = lo; v <= hi; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression (or alias) into sets of allowed values.
+ */
+function parseSchedule(schedule) {
+    const expr = ALIASES[String(schedule).trim()] || String(schedule).trim();
+    const parts = expr.split(/\s+/);
+    if (parts.length !== 5) throw new JobError(`Schedule "${schedule}" needs 5 fields (minute hour day month weekday)`);
+    const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+    if (dow.has(7)) dow.add(0);
+    // Like cron: when both day fields are restricted, either one matching is enough
+    return { minute, hour, dom, month, dow, anyDom: parts[2] === '*', anyDow: parts[4] === '*' };
+}
+
+/**
+ * First time strictly after `from` that matches the schedule.
+ */
+function nextRun(schedule, from = new Date()) {
+    const s = typeof schedule === 'string' ? parseSchedule(schedule) : schedule;
+    const t = new Date(from);
+    t.setSeconds(0, 0);
+    t.setMinutes(t.getMinutes() + 1);
+    const dayMatches = (d) => {
+        const domOk = s.dom.has(d.getDate()), dowOk = s.dow.has(d.getDay());
+        if (s.anyDom && s.anyDow) return true;
+        if (s.anyDom) return dowOk;
+        if (s.anyDow) return domOk;
+        return domOk || dowOk;
+    };
+    const limit = new Date(t.getTime() + 5 * 366 * 24 * 60 * 60 * 1000);
+    while (t < limit) {
+        if (!s.month.has(t.getMonth() + 1)) { t.setMonth(t.getMonth() + 1, 1); t.setHours(0, 0, 0, 0); continue; }
+        if (!dayMatches(t)) { t.setDate(t.getDate() + 1); t.setHours(0, 0, 0, 0); continue; }
+        if (!s.hour.has(t.getHours())) { t.setHours(t.getHours() + 1, 0, 0, 0); continue; }
+        if (!s.minute.has(t.getMinutes())) { t.setMinutes(t.getMinutes() + 1, 0, 0); continue; }
+        return t;
+    }
+    throw new JobError(`Schedule "${schedule}" never runs`);
+}
+
+const toSqlTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.portal - 'admin' | 'user', recorded on runs executed here
+ * @param {number} [options.tickMs] - How often due jobs are checked
+ */
+function createScheduler(db, { portal, tickMs = TICK_MS }) {
+    const registered = new Map();
+    const running = new Set();
+    const owner = `${portal}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+    let timer = null;
+
+    /**
+     * Make a job runnable from this portal. The first registration stores it; later
+     * ones (restarts, the other portal) update the schedule and description.
+     *
+     * @param {string} name
+     * @param {Object} job
+     * @param {string} job.schedule - Cron expression or alias
+     * @param {Function} job.handler - ({ runId, trigger, attempt }) => result (may be async)
+     * @param {string} [job.description]
+     * @param {number} [job.retries] - Retries after a failure before waiting for the next scheduled time
+     * @param {number} [job.backoffMinutes] - Delay before the first retry, doubled for each further one
+     */
+    function register(name, { schedule, handler, description = '', retries = 3, backoffMinutes = 5 }) {
+        const parsed = parseSchedule(schedule);
+        registered.set(name, { schedule, parsed, handler, retries, backoffMinutes });
+
+        const row = db.get('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+        if (!row) {
+            db.run(`INSERT INTO scheduled_jobs (name, schedule, description, portals, next_run_at) VALUES (?, ?, ?, ?, ?)`,
+                [name, schedule, description, portal, toSqlTime(nextRun(parsed))]);
+            return;
+        }
+        const portals = [...new Set([...(row.portals || '').split(',').filter(Boolean), portal])].sort().join(',');
+        const rescheduled = row.schedule !== schedule;
+        db.run(`UPDATE scheduled_jobs SET schedule = ?, description = ?, portals = ?, next_run_at = ?, updated_at = datetime('now')
+            WHERE name = ?`,
+            [schedule, description, portals, rescheduled ? toSqlTime(nextRun(parsed)) : row.next_run_at, name]);
+    }
+
+    // Take the job if it is due (or requested) and nobody holds it; true when we got it
+    function acquire(name) {
+        db.run(`UPDATE scheduled_jobs SET lease_owner = ?, lease_expires_at = datetime('now', ?)
+            WHERE name = ? AND (lease_expires_at IS NULL OR lease_expires_at < datetime('now'))
+              AND ((paused = 0 AND next_run_at <= datetime('now')) OR run_requested_at IS NOT NULL)`,
+            [owner, `+${LEASE_SECONDS} seconds`, name]);
+        return db.getRowsModified() === 1;
+    }
+
+    // Hold on to the job while its handler runs
+    function renew(name) {
+        try {
+            db.run(`UPDATE scheduled_jobs SET lease_expires_at = datetime('now', ?) WHERE name = ? AND lease_owner = ?`,
+                [`+${LEASE_SECONDS} seconds`, name, owner]);
+            if (db.getRowsModified() === 0) console.error(`[Jobs] ${name} lost its lease while running`);
+        } catch (err) {
+            console.error(`[Jobs] Could not renew the lease on ${name}:`, err.message);
+        }
+    }
+
+    async function execute(name) {
+        const job = registered.get(name);
+        const row = db.get('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+        const trigger = row.run_requested_at ? 'manual' : row.attempts > 0 ? 'retry' : 'schedule';
+        const attempt = trigger === 'retry' ? row.attempts + 1 : 1;
+        const runId = crypto.randomUUID();
+
+        // We only got the lease because its last owner stopped renewing it, so that owner's
+        // run is not coming back
+        db.run(`UPDATE job_runs SET status = 'abandoned', finished_at = datetime('now')
+            WHERE job_name = ? AND status = 'running' AND (owner IS NULL OR owner != ?)`, [name, owner]);
+        db.run(`INSERT INTO job_runs (id, job_name, portal, owner, trigger, attempt, triggered_by, status, started_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'running', datetime('now'))`, [runId, name, portal, owner, trigger, attempt, row.run_requested_by || null]);
+        db.run('UPDATE scheduled_jobs SET run_requested_at = NULL, run_requested_by = NULL WHERE name = ?', [name]);
+
+        const started = Date.now();
+        const renewal = setInterval(() => renew(name), LEASE_RENEW_MS);
+        renewal.unref();
+        try {
+            const result = await job.handler({ runId, trigger, attempt });
+            db.run(`UPDATE job_runs SET status = 'success', finished_at = datetime('now'), duration_ms = ?, result = ? WHERE id = ?`,
+                [Date.now() - started, result === undefined ? null : JSON.stringify(result), runId]);
+            db.run(`UPDATE scheduled_jobs SET last_run_at = datetime('now'), last_status = 'success', last_error = NULL, attempts = 0,
+                    next_run_at = ?, lease_owner = NULL, lease_expires_at = NULL WHERE name = ? AND lease_owner = ?`,
+                [toSqlTime(nextRun(job.parsed)), name, owner]);
+        } catch (err) {
+            const failures = row.attempts + 1;
+            const retry = trigger !== 'manual' && failures <= job.retries;
+            const next = retry
+                ? new Date(Date.now() + job.backoffMinutes * 2 ** (failures - 1) * 60 * 1000)
+                : nextRun(job.parsed);
+            db.run(`UPDATE job_runs SET status = 'failed', finished_at = datetime('now'), duration_ms = ?, error = ? WHERE id = ?`,
+                [Date.now() - started, String(err.stack || err.message || err).slice(0, 4000), runId]);
+            db.run(`UPDATE scheduled_jobs SET last_run_at = datetime('now'), last_status = 'failed', last_error = ?, attempts = ?,
+                    next_run_at = ?, lease_owner = NULL, lease_expires_at = NULL WHERE name = ? AND lease_owner = ?`,
+                [String(err.message || err).slice(0, 500), retry ? failures : 0, toSqlTime(next), name, owner]);
+            console.error(`[Jobs] ${name} failed (attempt ${attempt}${retry ? ', will retry' : ''}):`, err.message || err);
+        } finally {
+            clearInterval(renewal);
+        }
+        return runId;
+    }
+
+    /**
+     * Run whatever is due among the jobs registered here.
+     */
+    async function tick() {
+        for (const [name, job] of registered) {
+            if (running.has(name)) continue;
+            try {
+                if (!acquire(name)) continue;
+            } catch (err) {
+                console.error(`[Jobs] Could not check ${name}:`, err.message);
+                continue;
+            }
+            running.add(name);
+            try {
+                await execute(name);
+            } catch (err) {
+                console.error(`[Jobs] ${name} bookkeeping failed:`, err);
+            } finally {
+                running.delete(name);
+            }
+        }
+    }
+
+    function start() {
+        // Let boot finish (and every job register) before the first check
+        setTimeout(() => tick(), 10 * 1000).unref();
+        timer = setInterval(() => tick(), tickMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+    }
+
+    function job(name) {
+        const row = db.get('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+        if (!row) throw new JobError(`Unknown job ${name}`, 404);
+        return row;
+    }
+
+    /**
+     * Ask for a run now, whether or not the job is paused. Whichever portal has it
+     * registered picks it up — this one straight away.
+     */
+    function trigger(name, requestedBy = null) {
+        job(name);
+        db.run(`UPDATE scheduled_jobs SET run_requested_at = datetime('now'), run_requested_by = ? WHERE name = ?`, [requestedBy, name]);
+        if (registered.has(name)) setImmediate(() => tick());
+    }
+
+    function pause(name) {
+        job(name);
+        db.run(`UPDATE scheduled_jobs SET paused = 1, updated_at = datetime('now') WHERE name = ?`, [name]);
+    }
+
+    // Resuming starts from the next scheduled time instead of catching up on the paused period
+    function resume(name) {
+        const row = job(name);
+        db.run(`UPDATE scheduled_jobs SET paused = 0, attempts = 0, next_run_at = ?, updated_at = datetime('now') WHERE name = ?`,
+            [toSqlTime(nextRun(row.schedule)), name]);
+    }
+
+    /**
+     * Every stored job with its latest run; `runs_here` says whether this portal can execute it.
+     */
+    function list() {
+        return db.all(`SELECT j.*, (SELECT COUNT(*) FROM job_runs r WHERE r.job_name = j.name) as run_count,
+                CASE WHEN j.lease_expires_at > datetime('now') THEN 1 ELSE 0 END as running
+            FROM scheduled_jobs j ORDER BY j.name`)
+            .map(j => ({ ...j, paused: !!j.paused, running: !!j.running, runs_here: registered.has(j.name) }));
+    }
+
+    function runs(name, limit = 50) {
+        return db.all('SELECT * FROM job_runs WHERE job_name = ? ORDER BY started_at DESC LIMIT ?', [name, Math.min(Number(limit) || 50, 500)])
+            .map(r => ({ ...r, result: r.result ? JSON.parse(r.result) : null }));
+    }
+
+    function purgeRuns(days = 90) {
+        db.run(`DELETE FROM job_runs WHERE started_at < datetime('now', ?)`, [`-${days} days`]);
+    }
+
+    return { register, start, stop, tick, trigger, pause, resume, list, runs, purgeRuns };
+}
+
+module.exports = { createScheduler, JobError, parseSchedule, nextRun };
@@ -0,0 +1,283 @@
+/**
+ * Live Events — server-sent event stream for chat, notifications and check-ins,
+ * shared by both portals.
+ *
+ * A write publishes an event into `live_events`; each portal tails that table
+ * (a quick poll every second, and straight away after its own publishes) and
+ * fans new rows out to its connected clients. So a message sent through the user
+ * portal reaches the admin portal's clients too, in the same order everywhere:
+ * SQLite has one writer at a time, so id order is commit order.
+ *
+ *   events.publish(`chat:${channelId}`, 'chat.message', msg);
+ *
+ * EventSource can't send an Authorization header, so a client first trades its
+ * access token for a short-lived ticket (POST /api/events/ticket) and then opens
+ * GET /api/events?ticket=...&channels=chat:<id>,notifications:<userId>. Every
+ * channel is checked against CHANNELS; the first event (`ready`) lists what was
+ * granted and denied. Grants are re-checked on every heartbeat, and the stream is
+ * closed once the session the ticket came from is signed out or revoked.
+ *
+ * Each event carries the live_events id. A client that reconnects with
+ * Last-Event-ID (or ?lastEventId=) gets what it missed on its channels; if that
+ * is no longer retained it gets a `reset` event and should reload instead.
+ */
+
+const crypto = require('crypto');
+const { PROJECTS } = require('./permissions');
+
+const POLL_INTERVAL_MS = 1000;
+const HEARTBEAT_MS = 25000;
+const RETENTION_HOURS = 24;
+const TICKET_TTL_SECONDS = 60;
+const MAX_CHANNELS = 100;
+const MAX_REPLAY = 1000;
+const BATCH = 500;
+
+// Staff areas, the same on both portals: any role for project null, the project's read
+// permission for a project; finance and PR channels follow their sidebar sections
+function staffArea(user, project) {
+    if (!user.roles?.length) return false;
+    if (project === 'finances') return user.can('finance.read');
+    if (project === 'pr-media') return user.can('pr.read');
+    return !PROJECTS.includes(project) || user.can('project.read', project);
+}
+
+// Who may subscribe to `<kind>:<id>` (see staffArea for `access.staff`)
+const CHANNELS = {
+    // Project channels follow the project's read permission; DMs are for their two members
+    chat(db, user, channelId, access) {
+        if (!access.staff(user, null)) return false;
+        const channel = db.get('SELECT id, name, project FROM chat_channels WHERE id = ?', [channelId]);
+        if (!channel) return false;
+        if (String(channel.name).startsWith('dm:')) {
+            const member = db.get('SELECT id FROM team_members WHERE user_id = ?', [user.id]);
+            return !!member && channel.name.split(':').slice(1).includes(member.id);
+        }
+        return !channel.project || access.staff(user, channel.project);
+    },
+    // A user's own notifications; `notifications:all` carries announcements for everyone
+    notifications(db, user, userId) {
+        return userId === 'all' || userId === String(user.id);
+    },
+    // Plexus check-ins of one conference
+    checkins(db, user, conferenceId, access) {
+        return access.staff(user, 'plexus') && !!db.get('SELECT 1 FROM conferences WHERE id = ?', [conferenceId]);
+    }
+};
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.secret - Key for the stream tickets
+ * @param {string} options.portal - 'admin' | 'user'; recorded as the event origin
+ * @param {Function} options.loadUser - (userId) => user with roles attached (as auth() would), or null
+ * @param {Function} options.sessionOpen - (sessionId) => whether that sign-in session is still open
+ */
+function createLiveEvents(db, { secret, portal, loadUser, sessionOpen }) {
+    const clients = new Set();
+    const access = { staff: staffArea };
+    let lastId = highWater();
+    let pollQueued = false;
+
+    // Last id handed out — survives pruning, and goes back when a backup is restored
+    function highWater() {
+        return db.get("SELECT seq FROM sqlite_sequence WHERE name = 'live_events'")?.seq || 0;
+    }
+
+    function sign(payload) {
+        return crypto.createHmac('sha256', secret).update(`live-events|${portal}|${payload}`).digest('base64url');
+    }
+
+    /**
+     * Ticket for one stream connection, valid for TICKET_TTL_SECONDS and tied to the sign-in session.
+     */
+    function issueTicket(userId, sessionId) {
+        const payload = Buffer.from(JSON.stringify({ u: userId, s: sessionId, e: Math.floor(Date.now() / 1000) + TICKET_TTL_SECONDS })).toString('base64url');
+        return `${payload}.${sign(payload)}`;
+    }
+
+    function verifyTicket(ticket) {
+        const [payload, signature] = String(ticket || '').split('.');
+        if (!payload || !signature) return null;
+        const expected = Buffer.from(sign(payload));
+        const given = Buffer.from(signature);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+        try {
+            const { u, s, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            return e >= Date.now() / 1000 ? { userId: u, sessionId: s } : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function allowed(user, channel) {
+        const split = channel.indexOf(':');
+        const check = split > 0 && CHANNELS[channel.slice(0, split)];
+        if (!check || split === channel.length - 1) return false;
+        try {
+            return !!check(db, user, channel.slice(split + 1), access);
+        } catch (err) {
+            console.error(`[Live] Authorizing ${channel} failed:`, err.message);
+            return false;
+        }
+    }
+
+    function format(row) {
+        return `id: ${row.id}\nevent: ${row.type}\ndata: ${JSON.stringify({ channel: row.channel, origin: row.origin, at: row.created_at, data: row.payload ? JSON.parse(row.payload) : null })}\n\n`;
+    }
+
+    /**
+     * Record an event for everyone subscribed to `channel`, on both portals.
+     * Never throws — a lost live update must not fail the write that caused it.
+     */
+    function publish(channel, type, payload = null) {
+        try {
+            db.run('INSERT INTO live_events (channel, type, payload, origin) VALUES (?, ?, ?, ?)',
+                [channel, type, payload === null ? null : JSON.stringify(payload), portal]);
+        } catch (err) {
+            console.error(`[Live] Publishing ${type} to ${channel} failed:`, err.message);
+            return;
+        }
+        // After the current handler (and any transaction it is in) has finished
+        if (!pollQueued) {
+            pollQueued = true;
+            setImmediate(poll);
+        }
+    }
+
+    function poll() {
+        pollQueued = false;
+        let rows;
+        try {
+            rows = db.all('SELECT * FROM live_events WHERE id > ? ORDER BY id LIMIT ?', [lastId, BATCH]);
+        } catch (err) {
+            console.error('[Live] Poll failed:', err.message);
+            return;
+        }
+        if (!rows.length && highWater() < lastId) lastId = highWater();
+        for (const row of rows) {
+            lastId = row.id;
+            if (!clients.size) continue;
+            const frame = format(row);
+            for (const client of clients) {
+                if (client.channels.has(row.channel)) client.res.write(frame);
+            }
+        }
+        if (rows.length === BATCH) setImmediate(poll);
+    }
+
+    // Sessions without an id are the development fallback, which has none to revoke
+    function signedIn(sessionId) {
+        return !sessionId || !!sessionOpen(sessionId);
+    }
+
+    // Drop channels the user has lost access to, and the whole stream once the account or session is gone
+    function heartbeat() {
+        for (const client of clients) {
+            const user = signedIn(client.sessionId) && loadUser(client.userId);
+            if (!user) {
+                client.res.end();
+                continue;
+            }
+            const revoked = [...client.channels].filter(channel => !allowed(user, channel));
+            if (revoked.length) {
+                revoked.forEach(channel => client.channels.delete(channel));
+                client.res.write(`event: revoked\ndata: ${JSON.stringify({ channels: revoked })}\n\n`);
+            }
+            client.res.write(': ping\n\n');
+        }
+    }
+
+    function prune() {
+        try {
+            db.run(`DELETE FROM live_events WHERE created_at < datetime('now', '-${RETENTION_HOURS} hours')`);
+        } catch (err) {
+            console.error('[Live] Prune failed:', err.message);
+        }
+    }
+
+    /**
+     * Events after `since` on the given channels, or null when some of them are no longer retained.
+     */
+    function missed(since, channels) {
+        if (since >= lastId) return since > lastId ? null : [];
+        const oldest = db.get('SELECT MIN(id) AS id FROM live_events')?.id;
+        if (!oldest || since < oldest - 1) return null;
+        if (!channels.length) return [];
+        const marks = channels.map(() => '?').join(', ');
+        const rows = db.all(`SELECT * FROM live_events WHERE id > ? AND id <= ? AND channel IN (${marks}) ORDER BY id LIMIT ?`,
+            [since, lastId, ...channels, MAX_REPLAY + 1]);
+        return rows.length > MAX_REPLAY ? null : rows;
+    }
+
+    /**
+     * POST /api/events/ticket — behind the portal's auth middleware.
+     */
+    function ticketHandler(req, res) {
+        res.json({ ticket: issueTicket(req.user.id, req.sessionId), expires_in: TICKET_TTL_SECONDS });
+    }
+
+    /**
+     * GET /api/events?ticket=...&channels=a,b[&lastEventId=n] — the stream itself.
+     */
+    function streamHandler(req, res) {
+        const ticket = verifyTicket(req.query.ticket);
+        const user = ticket && signedIn(ticket.sessionId) && loadUser(ticket.userId);
+        if (!user) return res.status(401).json({ error: 'Invalid or expired event ticket' });
+
+        const requested = [...new Set(String(req.query.channels || '').split(',').map(c => c.trim()).filter(Boolean))];
+        if (!requested.length) return res.status(400).json({ error: 'channels is required' });
+        if (requested.length > MAX_CHANNELS) return res.status(400).json({ error: `At most ${MAX_CHANNELS} channels per stream` });
+        const granted = requested.filter(channel => allowed(user, channel));
+        const denied = requested.filter(channel => !granted.includes(channel));
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        // Catch up first so the replay and the live tail meet exactly at lastId
+        poll();
+        const resumeFrom = req.get('last-event-id') ?? req.query.lastEventId;
+        let reset = false;
+        if (resumeFrom !== undefined && resumeFrom !== '') {
+            const since = Number(resumeFrom);
+            const rows = Number.isInteger(since) && since >= 0 ? missed(since, granted) : null;
+            if (rows) rows.forEach(row => res.write(format(row)));
+            else reset = true;
+        }
+        // `ready` (and `reset`) carry the current id, so the browser resumes from here next time
+        if (reset) res.write(`id: ${lastId}\nevent: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available — reload' })}\n\n`);
+        res.write(`id: ${lastId}\nevent: ready\ndata: ${JSON.stringify({ channels: granted, denied, portal })}\n\n`);
+
+        const client = { userId: user.id, sessionId: ticket.sessionId, channels: new Set(granted), res };
+        clients.add(client);
+        req.on('close', () => clients.delete(client));
+    }
+
+    prune();
+    const timers = [
+        setInterval(poll, POLL_INTERVAL_MS),
+        setInterval(heartbeat, HEARTBEAT_MS),
+        setInterval(prune, 60 * 60 * 1000)
+    ];
+    timers.forEach(timer => timer.unref());
+
+    return {
+        publish,
+        ticketHandler,
+        streamHandler,
+        allowed,
+        clientCount: () => clients.size,
+        stop() {
+            timers.forEach(timer => clearInterval(timer));
+            for (const client of clients) client.res.end();
+            clients.clear();
+        }
+    };
+}
+
+module.exports = { createLiveEvents, CHANNELS };
@@ -0,0 +1,2573 @@
+/**
+ * Baseline: the schema both server.js files used to create inline on every boot
+ * before versioned migrations existed.
+ *
+ * Every statement is CREATE ... IF NOT EXISTS or addColumn, so on a database the
+ * old bootstrap already built this only records the version. New tables and
+ * columns go into a new numbered migration in this directory, never in here.
+ */
+
+function up(db, { addColumn }) {
+    db.run(`CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY, email TEXT UNIQUE NOT NULL, password_hash TEXT,
+        first_name TEXT, last_name TEXT, phone TEXT, institution TEXT, country TEXT,
+        bio TEXT, photo_url TEXT, is_admin INTEGER DEFAULT 0, is_public_profile INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Email verification columns
+    addColumn('users', 'email_verified', 'INTEGER DEFAULT 0');
+    addColumn('users', 'verification_token', 'TEXT');
+
+    db.run(`CREATE TABLE IF NOT EXISTS conferences (
+        id TEXT PRIMARY KEY, name TEXT NOT NULL, year INTEGER, slug TEXT UNIQUE,
+        description TEXT, start_date TEXT, end_date TEXT,
+        venue_name TEXT, venue_city TEXT, venue_country TEXT,
+        max_capacity INTEGER DEFAULT 200, is_active INTEGER DEFAULT 1,
+        registration_open INTEGER DEFAULT 1, abstract_submission_open INTEGER DEFAULT 1,
+        early_bird_deadline TEXT, regular_deadline TEXT, abstract_deadline TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS ticket_types (
+        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT, name_hr TEXT,
+        price_early_bird REAL, price_regular REAL, price_late REAL,
+        currency TEXT DEFAULT 'EUR', includes_gala INTEGER DEFAULT 0,
+        sold_count INTEGER DEFAULT 0, sort_order INTEGER DEFAULT 0
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS promo_codes (
+        id TEXT PRIMARY KEY, conference_id TEXT, code TEXT,
+        discount_type TEXT DEFAULT 'percentage', discount_value REAL,
+        max_uses INTEGER, used_count INTEGER DEFAULT 0,
+        valid_until TEXT, is_active INTEGER DEFAULT 1
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS registrations (
+        id TEXT PRIMARY KEY, conference_id TEXT, user_id TEXT, ticket_type_id TEXT,
+        first_name TEXT, last_name TEXT, email TEXT, institution TEXT, country TEXT,
+        registration_type TEXT DEFAULT 'general', status TEXT DEFAULT 'pending',
+        payment_status TEXT DEFAULT 'unpaid', amount_paid REAL,
+        promo_code_id TEXT, discount_amount REAL DEFAULT 0,
+        invoice_number TEXT, ticket_qr_code TEXT,
+        dietary_requirements TEXT, accessibility_needs TEXT,
+        includes_gala INTEGER DEFAULT 0,
+        checked_in INTEGER DEFAULT 0, checked_in_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS abstracts (
+        id TEXT PRIMARY KEY, conference_id TEXT, submitter_id TEXT,
+        submitter_name TEXT, submitter_email TEXT,
+        title TEXT, abstract_text TEXT, keywords TEXT,
+        topic_category TEXT, category TEXT, abstract_type TEXT DEFAULT 'poster',
+        presentation_type TEXT DEFAULT 'poster',
+        status TEXT DEFAULT 'submitted', decision TEXT,
+        is_withdrawn INTEGER DEFAULT 0, created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS abstract_authors (
+        id TEXT PRIMARY KEY, abstract_id TEXT, email TEXT,
+        first_name TEXT, last_name TEXT, institution TEXT,
+        is_presenting INTEGER DEFAULT 0, author_order INTEGER DEFAULT 1
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS speakers (
+        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT,
+        title TEXT, institution TEXT, bio TEXT, photo_url TEXT,
+        talk_title TEXT, talk_abstract TEXT, speaker_type TEXT DEFAULT 'invited',
+        is_keynote INTEGER DEFAULT 0, is_confirmed INTEGER DEFAULT 1,
+        linkedin_url TEXT, twitter_url TEXT, sort_order INTEGER DEFAULT 0
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS speaker_documents (
+        id TEXT PRIMARY KEY,
+        speaker_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        file_size INTEGER,
+        mime_type TEXT,
+        uploaded_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (speaker_id) REFERENCES speakers(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT,
+        description TEXT, session_type TEXT DEFAULT 'talk',
+        day INTEGER DEFAULT 1, start_time TEXT, end_time TEXT,
+        room TEXT, track TEXT, speaker_ids TEXT
+    )`);
+
+    // Phase 3C: Add is_published and capacity columns to sessions
+    addColumn('sessions', 'is_published', 'INTEGER DEFAULT 0');
+    addColumn('sessions', 'capacity', 'INTEGER');
+
+    db.run(`CREATE TABLE IF NOT EXISTS session_checkins (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        registration_id TEXT,
+        attendee_name TEXT,
+        attendee_email TEXT,
+        checked_in_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(session_id, registration_id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS personal_schedules (
+        id TEXT PRIMARY KEY, user_id TEXT, session_id TEXT, UNIQUE(user_id, session_id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS session_questions (
+        id TEXT PRIMARY KEY, session_id TEXT, user_id TEXT, question_text TEXT,
+        upvotes INTEGER DEFAULT 0, is_answered INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS connections (
+        id TEXT PRIMARY KEY, requester_id TEXT, requestee_id TEXT,
+        status TEXT DEFAULT 'pending', message TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS messages (
+        id TEXT PRIMARY KEY, sender_id TEXT, recipient_id TEXT,
+        subject TEXT, body TEXT, is_read INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS announcements (
+        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT, content TEXT,
+        type TEXT DEFAULT 'general', is_urgent INTEGER DEFAULT 0,
+        published_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS volunteers (
+        id TEXT PRIMARY KEY, conference_id TEXT, user_id TEXT,
+        first_name TEXT, last_name TEXT, email TEXT,
+        availability TEXT, preferred_tasks TEXT, status TEXT DEFAULT 'pending',
+        notes TEXT
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS sponsors (
+        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT,
+        tier TEXT DEFAULT 'bronze', logo_url TEXT, website_url TEXT,
+        description TEXT, sort_order INTEGER DEFAULT 0
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS resources (
+        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT,
+        file_url TEXT, file_type TEXT, category TEXT DEFAULT 'general',
+        download_count INTEGER DEFAULT 0
+    )`);
+
+    // ========== ACCELERATOR TABLES ==========
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_programs (
+        id TEXT PRIMARY KEY, name TEXT NOT NULL, year INTEGER,
+        description TEXT, application_deadline TEXT,
+        program_start TEXT, program_end TEXT,
+        is_active INTEGER DEFAULT 1, is_accepting INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_institutions (
+        id TEXT PRIMARY KEY, name TEXT NOT NULL, short_name TEXT,
+        city TEXT, country TEXT, description TEXT,
+        website_url TEXT, logo_url TEXT, available_spots INTEGER DEFAULT 5,
+        is_active INTEGER DEFAULT 1, sort_order INTEGER DEFAULT 0
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_applications (
+        id TEXT PRIMARY KEY, program_id TEXT, user_id TEXT, year INTEGER,
+        application_number TEXT UNIQUE,
+        work_number TEXT,
+        first_name TEXT, last_name TEXT, email TEXT, phone TEXT,
+        date_of_birth TEXT, oib TEXT, address TEXT, nationality TEXT, country_of_residence TEXT,
+        current_institution TEXT, current_position TEXT, degree_program TEXT,
+        year_of_study TEXT, ects_total INTEGER,
+        expected_graduation TEXT, gpa REAL,
+        program_type TEXT,
+        selected_institution TEXT, alternative_institution TEXT,
+        first_choice_institution TEXT, second_choice_institution TEXT, third_choice_institution TEXT,
+        research_interests TEXT, motivation_statement TEXT,
+        previous_experience TEXT,
+        special_arrangements TEXT,
+        previous_research_experience TEXT, publications TEXT,
+        awards_honors TEXT, languages TEXT,
+        how_heard_about TEXT, additional_info TEXT,
+        gdpr_consent INTEGER DEFAULT 0,
+        gdpr_consent_date TEXT,
+        status TEXT DEFAULT 'draft',
+        validity_status TEXT,
+        validity_notified_at TEXT,
+        submitted_at TEXT, reviewed_at TEXT, reviewed_by TEXT,
+        reviewer_notes TEXT, decision TEXT, decision_notes TEXT,
+        assigned_institution TEXT,
+        documents_complete INTEGER DEFAULT 0,
+        objective_score REAL,
+        interview_score REAL,
+        total_score REAL,
+        rank_position INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    addColumn('accelerator_applications', 'year', 'INTEGER');
+    addColumn('accelerator_applications', 'oib', 'TEXT');
+    addColumn('accelerator_applications', 'ects_total', 'INTEGER');
+    addColumn('accelerator_applications', 'alternative_institution', 'TEXT');
+    addColumn('accelerator_applications', 'candidate_id', 'TEXT');
+
+    // Add overview config columns to accelerator_programs
+    addColumn('accelerator_programs', 'program_duration', "TEXT DEFAULT '8-12 Weeks'");
+    addColumn('accelerator_programs', 'labs_count', "TEXT DEFAULT '15+ Worldwide'");
+    addColumn('accelerator_programs', 'positions_range', "TEXT DEFAULT '5-10'");
+    addColumn('accelerator_programs', 'about_program', 'TEXT');
+
+    // Add speaker tracking columns
+    addColumn('speakers', 'confirmation_status', "TEXT DEFAULT 'pending'");
+    addColumn('speakers', 'flight_status', "TEXT DEFAULT 'not_booked'");
+    addColumn('speakers', 'hotel_status', "TEXT DEFAULT 'not_booked'");
+    addColumn('speakers', 'flight_assigned_to', 'TEXT');
+    addColumn('speakers', 'hotel_assigned_to', 'TEXT');
+    addColumn('speakers', 'flight_details', 'TEXT');
+    addColumn('speakers', 'hotel_details', 'TEXT');
+    addColumn('speakers', 'notes', 'TEXT');
+
+    // Speaker invite system columns
+    addColumn('speakers', 'email', 'TEXT');
+    addColumn('speakers', 'invite_code', 'TEXT');
+    addColumn('speakers', 'invite_sent_at', 'TEXT');
+
+    // Speaker management columns (Phase 3D/3G)
+    addColumn('speakers', 'is_published', 'INTEGER DEFAULT 0');
+    addColumn('speakers', 'year', 'INTEGER');
+    addColumn('speakers', 'invitation_status', "TEXT DEFAULT 'unsent'");
+    addColumn('speakers', 'invitation_sent_at', 'TEXT');
+    addColumn('speakers', 'invitation_responded_at', 'TEXT');
+
+    // Registration personal info columns from admin portal
+    addColumn('registrations', 'first_name', 'TEXT');
+    addColumn('registrations', 'last_name', 'TEXT');
+    addColumn('registrations', 'email', 'TEXT');
+    addColumn('registrations', 'institution', 'TEXT');
+    addColumn('registrations', 'country', 'TEXT');
+    addColumn('registrations', 'includes_gala', 'INTEGER DEFAULT 0');
+
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_documents (
+        id TEXT PRIMARY KEY, application_id TEXT NOT NULL,
+        document_type TEXT NOT NULL,
+        original_filename TEXT, stored_filename TEXT,
+        file_path TEXT, file_size INTEGER, mime_type TEXT,
+        upload_status TEXT DEFAULT 'pending',
+        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (application_id) REFERENCES accelerator_applications(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_recommendations (
+        id TEXT PRIMARY KEY, application_id TEXT NOT NULL,
+        recommender_name TEXT, recommender_email TEXT,
+        recommender_title TEXT, recommender_institution TEXT,
+        relationship TEXT, request_sent_at TEXT,
+        submitted INTEGER DEFAULT 0, submitted_at TEXT,
+        letter_file TEXT,
+        FOREIGN KEY (application_id) REFERENCES accelerator_applications(id)
+    )`);
+
+    // Key dates for each accelerator year
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_key_dates (
+        id TEXT PRIMARY KEY,
+        year INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        date_start TEXT NOT NULL,
+        date_end TEXT,
+        description TEXT,
+        color TEXT DEFAULT '#22d3ee',
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    addColumn('accelerator_key_dates', 'category', "TEXT DEFAULT 'event'");
+
+    // Enhanced institution details
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_institution_details (
+        id TEXT PRIMARY KEY,
+        institution_id TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        program_type TEXT DEFAULT 'scientific',
+        available_spots INTEGER DEFAULT 2,
+        internship_duration TEXT,
+        mentors TEXT,
+        visa_requirements TEXT,
+        accommodation_info TEXT,
+        stipend_info TEXT,
+        requirements TEXT,
+        contact_email TEXT,
+        contact_person TEXT,
+        is_active INTEGER DEFAULT 1,
+        UNIQUE(institution_id, year)
+    )`);
+
+    // B1: Add scientific fields, eligible applicants, eligible programs columns
+    addColumn('accelerator_institution_details', 'scientific_fields', 'TEXT');
+    addColumn('accelerator_institution_details', 'eligible_applicants', 'TEXT');
+    addColumn('accelerator_institution_details', 'eligible_programs', 'TEXT');
+
+    // Evaluation criteria (customizable per year)
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_evaluation_criteria (
+        id TEXT PRIMARY KEY,
+        year INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        name_hr TEXT,
+        max_points REAL DEFAULT 10,
+        weight REAL DEFAULT 1,
+        category TEXT DEFAULT 'objective',
+        sort_order INTEGER DEFAULT 0,
+        is_active INTEGER DEFAULT 1
+    )`);
+
+    // Application evaluations/scores
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_evaluations (
+        id TEXT PRIMARY KEY,
+        application_id TEXT NOT NULL,
+        criterion_id TEXT NOT NULL,
+        score REAL,
+        notes TEXT,
+        evaluated_by TEXT,
+        evaluated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(application_id, criterion_id)
+    )`);
+
+    // External interviewers
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_interviewers (
+        id TEXT PRIMARY KEY,
+        year INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        institution TEXT,
+        specialty TEXT,
+        access_token TEXT,
+        is_active INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // PDF header settings for ranking lists
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_pdf_settings (
+        id TEXT PRIMARY KEY,
+        year INTEGER NOT NULL UNIQUE,
+        header_intro TEXT,
+        header_title TEXT,
+        article1_text TEXT,
+        article2_text TEXT,
+        article3_text TEXT,
+        signatory_name TEXT DEFAULT 'Alen Juginovic, M.D.',
+        signatory_title TEXT DEFAULT 'Committee for Organization of the Med&X Accelerator Program',
+        signatory_role TEXT DEFAULT 'President',
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Interview scores from external interviewers
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_interview_scores (
+        id TEXT PRIMARY KEY,
+        application_id TEXT NOT NULL,
+        interviewer_id TEXT NOT NULL,
+        score REAL,
+        notes TEXT,
+        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(application_id, interviewer_id)
+    )`);
+
+    // Per-criterion scores from external interviewers
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_application_scores (
+        id TEXT PRIMARY KEY,
+        application_id TEXT NOT NULL,
+        criterion_id TEXT NOT NULL,
+        evaluator_id TEXT NOT NULL,
+        score REAL,
+        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(application_id, criterion_id, evaluator_id)
+    )`);
+
+    // Applicant accounts (public registration for candidates)
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_applicants (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        first_name TEXT,
+        last_name TEXT,
+        phone TEXT,
+        date_of_birth TEXT,
+        nationality TEXT,
+        address TEXT,
+        city TEXT,
+        country TEXT,
+        current_institution TEXT,
+        faculty TEXT,
+        study_year TEXT,
+        expected_graduation TEXT,
+        email_verified INTEGER DEFAULT 0,
+        verification_token TEXT,
+        reset_token TEXT,
+        reset_token_expires TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_login TEXT
+    )`);
+
+    // Messages to candidates
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_messages (
+        id TEXT PRIMARY KEY,
+        application_id TEXT NOT NULL,
+        message_type TEXT DEFAULT 'info',
+        subject TEXT,
+        content TEXT NOT NULL,
+        sent_by TEXT,
+        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        read_at TEXT
+    )`);
+
+    // GDPR consent tracking
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_consents (
+        id TEXT PRIMARY KEY,
+        application_id TEXT NOT NULL,
+        consent_type TEXT NOT NULL,
+        consented INTEGER DEFAULT 0,
+        consent_text TEXT,
+        consented_at TEXT,
+        ip_address TEXT
+    )`);
+
+    // Form configuration for accelerator application form (Phase 4C)
+    db.run(`CREATE TABLE IF NOT EXISTS accelerator_form_config (
+        id TEXT PRIMARY KEY,
+        program_id TEXT,
+        section_name TEXT NOT NULL,
+        field_name TEXT NOT NULL,
+        field_type TEXT DEFAULT 'text',
+        label TEXT,
+        placeholder TEXT,
+        is_required INTEGER DEFAULT 0,
+        options TEXT,
+        sort_order INTEGER DEFAULT 0,
+        is_visible INTEGER DEFAULT 1,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // ========== BIOMEDICAL FORUM TABLES ==========
+    // Forum member profiles (extended user profiles for Forum)
+    db.run(`CREATE TABLE IF NOT EXISTS forum_members (
+        id TEXT PRIMARY KEY,
+        user_id TEXT UNIQUE,
+        first_name TEXT,
+        last_name TEXT,
+        email TEXT,
+        country TEXT,
+        membership_status TEXT DEFAULT 'pending',
+        membership_level TEXT DEFAULT 'member',
+        specialty TEXT,
+        sub_specialties TEXT,
+        institution TEXT,
+        position TEXT,
+        department TEXT,
+        location_city TEXT,
+        location_country TEXT,
+        bio TEXT,
+        research_interests TEXT,
+        career_stage TEXT,
+        years_experience INTEGER,
+        orcid_id TEXT,
+        linkedin_url TEXT,
+        twitter_handle TEXT,
+        website_url TEXT,
+        photo_url TEXT,
+        profile_visibility TEXT DEFAULT 'members',
+        contact_preference TEXT DEFAULT 'platform',
+        is_mentor INTEGER DEFAULT 0,
+        seeking_mentor INTEGER DEFAULT 0,
+        mentor_topics TEXT,
+        languages TEXT,
+        achievements TEXT,
+        publications_count INTEGER DEFAULT 0,
+        points INTEGER DEFAULT 0,
+        badges TEXT,
+        onboarding_completed INTEGER DEFAULT 0,
+        gdpr_consent INTEGER DEFAULT 0,
+        gdpr_consent_date TEXT,
+        application_text TEXT,
+        application_submitted_at TEXT,
+        approved_by TEXT,
+        approved_at TEXT,
+        rejection_reason TEXT,
+        last_active TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Forum member connections
+    db.run(`CREATE TABLE IF NOT EXISTS forum_connections (
+        id TEXT PRIMARY KEY,
+        requester_id TEXT,
+        receiver_id TEXT,
+        status TEXT DEFAULT 'pending',
+        message TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        accepted_at TEXT,
+        FOREIGN KEY (requester_id) REFERENCES forum_members(id),
+        FOREIGN KEY (receiver_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum interest groups/channels
+    db.run(`CREATE TABLE IF NOT EXISTS forum_groups (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        slug TEXT UNIQUE,
+        description TEXT,
+        category TEXT,
+        group_type TEXT DEFAULT 'public',
+        cover_image TEXT,
+        icon TEXT,
+        member_count INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        is_active INTEGER DEFAULT 1
+    )`);
+
+    // Forum group memberships
+    db.run(`CREATE TABLE IF NOT EXISTS forum_group_members (
+        id TEXT PRIMARY KEY,
+        group_id TEXT,
+        member_id TEXT,
+        role TEXT DEFAULT 'member',
+        joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (group_id) REFERENCES forum_groups(id),
+        FOREIGN KEY (member_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum posts/newsfeed
+    db.run(`CREATE TABLE IF NOT EXISTS forum_posts (
+        id TEXT PRIMARY KEY,
+        author_id TEXT,
+        group_id TEXT,
+        post_type TEXT DEFAULT 'discussion',
+        title TEXT,
+        content TEXT NOT NULL,
+        content_html TEXT,
+        tags TEXT,
+        attachments TEXT,
+        image_url TEXT,
+        video_url TEXT,
+        link_url TEXT,
+        link_preview TEXT,
+        is_pinned INTEGER DEFAULT 0,
+        is_announcement INTEGER DEFAULT 0,
+        is_featured INTEGER DEFAULT 0,
+        visibility TEXT DEFAULT 'members',
+        likes_count INTEGER DEFAULT 0,
+        comments_count INTEGER DEFAULT 0,
+        shares_count INTEGER DEFAULT 0,
+        views_count INTEGER DEFAULT 0,
+        moderation_status TEXT DEFAULT 'approved',
+        moderated_by TEXT,
+        moderated_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (author_id) REFERENCES forum_members(id),
+        FOREIGN KEY (group_id) REFERENCES forum_groups(id)
+    )`);
+
+    // Forum post reactions (likes, etc.)
+    db.run(`CREATE TABLE IF NOT EXISTS forum_post_reactions (
+        id TEXT PRIMARY KEY,
+        post_id TEXT,
+        member_id TEXT,
+        reaction_type TEXT DEFAULT 'like',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (post_id) REFERENCES forum_posts(id),
+        FOREIGN KEY (member_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum comments
+    db.run(`CREATE TABLE IF NOT EXISTS forum_comments (
+        id TEXT PRIMARY KEY,
+        post_id TEXT,
+        author_id TEXT,
+        parent_id TEXT,
+        content TEXT NOT NULL,
+        likes_count INTEGER DEFAULT 0,
+        is_edited INTEGER DEFAULT 0,
+        moderation_status TEXT DEFAULT 'approved',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (post_id) REFERENCES forum_posts(id),
+        FOREIGN KEY (author_id) REFERENCES forum_members(id),
+        FOREIGN KEY (parent_id) REFERENCES forum_comments(id)
+    )`);
+
+    // Forum direct messages
+    db.run(`CREATE TABLE IF NOT EXISTS forum_messages (
+        id TEXT PRIMARY KEY,
+        conversation_id TEXT,
+        sender_id TEXT,
+        recipient_id TEXT,
+        content TEXT NOT NULL,
+        attachments TEXT,
+        is_read INTEGER DEFAULT 0,
+        read_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (sender_id) REFERENCES forum_members(id),
+        FOREIGN KEY (recipient_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum conversations (for grouping messages)
+    db.run(`CREATE TABLE IF NOT EXISTS forum_conversations (
+        id TEXT PRIMARY KEY,
+        participant_ids TEXT,
+        last_message_id TEXT,
+        last_message_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Forum events
+    db.run(`CREATE TABLE IF NOT EXISTS forum_events (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        event_type TEXT DEFAULT 'networking',
+        start_date TEXT,
+        end_date TEXT,
+        timezone TEXT DEFAULT 'Europe/Zagreb',
+        location_type TEXT DEFAULT 'virtual',
+        location_name TEXT,
+        location_address TEXT,
+        virtual_link TEXT,
+        cover_image TEXT,
+        capacity INTEGER,
+        registration_deadline TEXT,
+        is_paid INTEGER DEFAULT 0,
+        price REAL DEFAULT 0,
+        early_bird_price REAL,
+        early_bird_deadline TEXT,
+        requires_approval INTEGER DEFAULT 0,
+        is_members_only INTEGER DEFAULT 1,
+        agenda TEXT,
+        speakers TEXT,
+        organizer_id TEXT,
+        status TEXT DEFAULT 'draft',
+        registrations_count INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organizer_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum event registrations
+    db.run(`CREATE TABLE IF NOT EXISTS forum_event_registrations (
+        id TEXT PRIMARY KEY,
+        event_id TEXT,
+        member_id TEXT,
+        status TEXT DEFAULT 'registered',
+        ticket_type TEXT DEFAULT 'general',
+        payment_status TEXT,
+        payment_amount REAL,
+        checked_in INTEGER DEFAULT 0,
+        checked_in_at TEXT,
+        qr_code TEXT,
+        notes TEXT,
+        registered_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES forum_events(id),
+        FOREIGN KEY (member_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum media gallery
+    db.run(`CREATE TABLE IF NOT EXISTS forum_media (
+        id TEXT PRIMARY KEY,
+        uploader_id TEXT,
+        event_id TEXT,
+        gallery_name TEXT,
+        media_type TEXT DEFAULT 'image',
+        title TEXT,
+        description TEXT,
+        file_url TEXT,
+        thumbnail_url TEXT,
+        file_size INTEGER,
+        width INTEGER,
+        height INTEGER,
+        duration INTEGER,
+        tags TEXT,
+        is_approved INTEGER DEFAULT 0,
+        approved_by TEXT,
+        views_count INTEGER DEFAULT 0,
+        likes_count INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (uploader_id) REFERENCES forum_members(id),
+        FOREIGN KEY (event_id) REFERENCES forum_events(id)
+    )`);
+
+    // Forum resources/documents library
+    db.run(`CREATE TABLE IF NOT EXISTS forum_resources (
+        id TEXT PRIMARY KEY,
+        uploader_id TEXT,
+        title TEXT NOT NULL,
+        description TEXT,
+        resource_type TEXT DEFAULT 'document',
+        category TEXT,
+        file_url TEXT,
+        file_name TEXT,
+        file_size INTEGER,
+        mime_type TEXT,
+        external_url TEXT,
+        doi TEXT,
+        tags TEXT,
+        is_featured INTEGER DEFAULT 0,
+        downloads_count INTEGER DEFAULT 0,
+        views_count INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (uploader_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum mentorship matches
+    db.run(`CREATE TABLE IF NOT EXISTS forum_mentorships (
+        id TEXT PRIMARY KEY,
+        mentor_id TEXT,
+        mentee_id TEXT,
+        status TEXT DEFAULT 'pending',
+        match_score REAL,
+        focus_areas TEXT,
+        goals TEXT,
+        meeting_frequency TEXT,
+        notes TEXT,
+        started_at TEXT,
+        ended_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (mentor_id) REFERENCES forum_members(id),
+        FOREIGN KEY (mentee_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum badges/achievements
+    db.run(`CREATE TABLE IF NOT EXISTS forum_badges (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        slug TEXT UNIQUE,
+        description TEXT,
+        icon TEXT,
+        color TEXT,
+        points INTEGER DEFAULT 0,
+        criteria TEXT,
+        is_active INTEGER DEFAULT 1
+    )`);
+
+    // Forum member badges
+    db.run(`CREATE TABLE IF NOT EXISTS forum_member_badges (
+        id TEXT PRIMARY KEY,
+        member_id TEXT,
+        badge_id TEXT,
+        earned_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (member_id) REFERENCES forum_members(id),
+        FOREIGN KEY (badge_id) REFERENCES forum_badges(id)
+    )`);
+
+    // Forum notifications
+    db.run(`CREATE TABLE IF NOT EXISTS forum_notifications (
+        id TEXT PRIMARY KEY,
+        member_id TEXT,
+        type TEXT,
+        title TEXT,
+        message TEXT,
+        link TEXT,
+        related_id TEXT,
+        is_read INTEGER DEFAULT 0,
+        read_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (member_id) REFERENCES forum_members(id)
+    )`);
+
+    // Forum activity log (for analytics)
+    db.run(`CREATE TABLE IF NOT EXISTS forum_activity (
+        id TEXT PRIMARY KEY,
+        member_id TEXT,
+        activity_type TEXT,
+        target_type TEXT,
+        target_id TEXT,
+        metadata TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (member_id) REFERENCES forum_members(id)
+    )`);
+
+    // ========== TEAM CHAT & TASKS ==========
+    db.run(`CREATE TABLE IF NOT EXISTS team_members (
+        id TEXT PRIMARY KEY,
+        user_id TEXT UNIQUE,
+        name TEXT NOT NULL,
+        role TEXT,
+        avatar_color TEXT DEFAULT '#C9A962',
+        photo_url TEXT,
+        is_online INTEGER DEFAULT 0,
+        last_seen TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Add photo_url column if it doesn't exist
+    addColumn('team_members', 'photo_url', 'TEXT');
+
+    db.run(`CREATE TABLE IF NOT EXISTS chat_messages (
+        id TEXT PRIMARY KEY,
+        sender_id TEXT NOT NULL,
+        channel_id TEXT,
+        message TEXT NOT NULL,
+        message_type TEXT DEFAULT 'text',
+        file_url TEXT,
+        file_name TEXT,
+        file_type TEXT,
+        reply_to TEXT,
+        is_read INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (sender_id) REFERENCES users(id),
+        FOREIGN KEY (channel_id) REFERENCES chat_channels(id),
+        FOREIGN KEY (reply_to) REFERENCES chat_messages(id)
+    )`);
+
+    addColumn('chat_messages', 'file_url', 'TEXT');
+    addColumn('chat_messages', 'file_name', 'TEXT');
+    addColumn('chat_messages', 'file_type', 'TEXT');
+
+    // Chat channels for organized communication
+    db.run(`CREATE TABLE IF NOT EXISTS chat_channels (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        project TEXT,
+        description TEXT,
+        is_default INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Sub-channel support migrations
+    addColumn('chat_channels', 'parent_channel_id', 'TEXT');
+    addColumn('chat_channels', 'sort_order', 'INTEGER DEFAULT 0');
+
+    // Channel members for assignment
+    db.run(`CREATE TABLE IF NOT EXISTS channel_members (
+        id TEXT PRIMARY KEY,
+        channel_id TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        role TEXT DEFAULT 'member',
+        joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(channel_id, member_id)
+    )`);
+
+    // User-specific pinned items
+    db.run(`CREATE TABLE IF NOT EXISTS pinned_items (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        item_type TEXT NOT NULL,
+        item_id TEXT,
+        item_title TEXT NOT NULL,
+        item_subtitle TEXT,
+        project TEXT,
+        display_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Channel read status per user
+    db.run(`CREATE TABLE IF NOT EXISTS channel_read_status (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        last_read_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, channel_id)
+    )`);
+
+    // Project settings (editable dates, etc.)
+    db.run(`CREATE TABLE IF NOT EXISTS project_settings (
+        project TEXT PRIMARY KEY,
+        event_date TEXT,
+        description TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_by TEXT
+    )`);
+
+    addColumn('project_settings', 'end_date', 'TEXT');
+    addColumn('project_settings', 'venue', 'TEXT');
+    addColumn('project_settings', 'location', 'TEXT');
+
+    // Admin notifications (for monthly project reminders)
+    db.run(`CREATE TABLE IF NOT EXISTS admin_notifications (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        message TEXT,
+        project TEXT,
+        is_read INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // User notifications (admin-to-user push notifications via shared DB)
+    db.run(`CREATE TABLE IF NOT EXISTS user_notifications (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        user_group TEXT DEFAULT 'all',
+        category TEXT NOT NULL DEFAULT 'system',
+        project TEXT,
+        title TEXT NOT NULL,
+        message TEXT,
+        link TEXT,
+        icon TEXT DEFAULT 'fa-bell',
+        icon_class TEXT DEFAULT 'system',
+        is_read INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Monthly reminder tracking
+    db.run(`CREATE TABLE IF NOT EXISTS monthly_reminders_sent (
+        id TEXT PRIMARY KEY,
+        month TEXT NOT NULL,
+        year INTEGER NOT NULL,
+        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(month, year)
+    )`);
+
+    // Project folders for file organization
+    db.run(`CREATE TABLE IF NOT EXISTS project_folders (
+        id TEXT PRIMARY KEY,
+        project TEXT NOT NULL,
+        name TEXT NOT NULL,
+        parent_id TEXT,
+        color TEXT DEFAULT '#64748b',
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_id) REFERENCES project_folders(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+    )`);
+
+    // Project file repository
+    db.run(`CREATE TABLE IF NOT EXISTS project_files (
+        id TEXT PRIMARY KEY,
+        project TEXT NOT NULL,
+        folder_id TEXT,
+        filename TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size INTEGER,
+        mime_type TEXT,
+        category TEXT DEFAULT 'general',
+        uploaded_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (folder_id) REFERENCES project_folders(id),
+        FOREIGN KEY (uploaded_by) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS chat_read_status (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        last_read_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS project_tasks (
+        id TEXT PRIMARY KEY,
+        project TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        assigned_to TEXT,
+        priority TEXT DEFAULT 'medium',
+        status TEXT DEFAULT 'todo',
+        due_date TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        completed_at TEXT,
+        sort_order INTEGER DEFAULT 0,
+        parent_id TEXT,
+        FOREIGN KEY (parent_id) REFERENCES project_tasks(id) ON DELETE CASCADE
+    )`);
+
+    // Sequence tasks table
+    db.run(`CREATE TABLE IF NOT EXISTS task_sequences (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        project TEXT,
+        description TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        current_step INTEGER DEFAULT 1,
+        status TEXT DEFAULT 'active'
+    )`);
+
+    // Sequence steps table
+    db.run(`CREATE TABLE IF NOT EXISTS sequence_steps (
+        id TEXT PRIMARY KEY,
+        sequence_id TEXT NOT NULL,
+        step_order INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        assigned_to TEXT,
+        status TEXT DEFAULT 'pending',
+        completed_at TEXT,
+        FOREIGN KEY (sequence_id) REFERENCES task_sequences(id) ON DELETE CASCADE
+    )`);
+
+    addColumn('sequence_steps', 'notification_sent', 'INTEGER DEFAULT 0');
+
+    // Task files table
+    db.run(`CREATE TABLE IF NOT EXISTS task_files (
+        id TEXT PRIMARY KEY,
+        task_id TEXT NOT NULL,
+        filename TEXT NOT NULL,
+        original_name TEXT,
+        file_path TEXT,
+        file_size INTEGER,
+        mime_type TEXT,
+        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE CASCADE
+    )`);
+
+    // Project timeline events table
+    db.run(`CREATE TABLE IF NOT EXISTS project_timeline_events (
+        id TEXT PRIMARY KEY,
+        project TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        event_date TEXT NOT NULL,
+        end_date TEXT,
+        event_type TEXT DEFAULT 'point',
+        color TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // ========== ENHANCED PLEXUS CONFERENCE TABLES ==========
+    // Extended user profiles for conference attendees
+    db.run(`CREATE TABLE IF NOT EXISTS user_profiles (
+        user_id TEXT PRIMARY KEY,
+        title TEXT,
+        department TEXT,
+        research_interests TEXT,
+        career_stage TEXT,
+        linkedin_url TEXT,
+        twitter_url TEXT,
+        orcid TEXT,
+        dietary_requirements TEXT,
+        accessibility_needs TEXT,
+        tshirt_size TEXT,
+        emergency_contact_name TEXT,
+        emergency_contact_phone TEXT,
+        is_profile_public INTEGER DEFAULT 0,
+        preferred_language TEXT DEFAULT 'en',
+        receive_newsletter INTEGER DEFAULT 1,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Enhanced registrations with multi-step info
+    db.run(`CREATE TABLE IF NOT EXISTS registration_details (
+        registration_id TEXT PRIMARY KEY,
+        affiliation_type TEXT,
+        student_id_uploaded INTEGER DEFAULT 0,
+        student_id_file TEXT,
+        institution_vat TEXT,
+        institution_address TEXT,
+        billing_name TEXT,
+        billing_address TEXT,
+        billing_country TEXT,
+        billing_vat TEXT,
+        wants_invoice INTEGER DEFAULT 0,
+        arrival_date TEXT,
+        departure_date TEXT,
+        accommodation_needed INTEGER DEFAULT 0,
+        hotel_preference TEXT,
+        airport_transfer_needed INTEGER DEFAULT 0,
+        flight_arrival TEXT,
+        flight_departure TEXT,
+        networking_interests TEXT,
+        how_heard_about TEXT,
+        special_requests TEXT,
+        gdpr_consent INTEGER DEFAULT 0,
+        photo_consent INTEGER DEFAULT 0,
+        terms_accepted INTEGER DEFAULT 0,
+        FOREIGN KEY (registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Group registrations
+    db.run(`CREATE TABLE IF NOT EXISTS group_registrations (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        institution_name TEXT NOT NULL,
+        contact_name TEXT,
+        contact_email TEXT,
+        contact_phone TEXT,
+        billing_address TEXT,
+        billing_vat TEXT,
+        total_attendees INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'pending',
+        total_amount REAL DEFAULT 0,
+        discount_percent REAL DEFAULT 0,
+        payment_status TEXT DEFAULT 'unpaid',
+        invoice_number TEXT,
+        notes TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Link individual registrations to group
+    db.run(`CREATE TABLE IF NOT EXISTS group_registration_members (
+        id TEXT PRIMARY KEY,
+        group_registration_id TEXT,
+        registration_id TEXT,
+        FOREIGN KEY (group_registration_id) REFERENCES group_registrations(id),
+        FOREIGN KEY (registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Waiting list
+    db.run(`CREATE TABLE IF NOT EXISTS waitlist (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        user_id TEXT,
+        ticket_type_id TEXT,
+        email TEXT,
+        first_name TEXT,
+        last_name TEXT,
+        position INTEGER,
+        status TEXT DEFAULT 'waiting',
+        notified_at TEXT,
+        expires_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Registration transfers
+    db.run(`CREATE TABLE IF NOT EXISTS registration_transfers (
+        id TEXT PRIMARY KEY,
+        registration_id TEXT,
+        original_user_id TEXT,
+        new_user_email TEXT,
+        new_user_name TEXT,
+        reason TEXT,
+        status TEXT DEFAULT 'pending',
+        approved_by TEXT,
+        approved_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Scholarship/Fee waiver applications
+    db.run(`CREATE TABLE IF NOT EXISTS scholarship_applications (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        user_id TEXT,
+        application_type TEXT DEFAULT 'scholarship',
+        institution TEXT,
+        country TEXT,
+        career_stage TEXT,
+        financial_need_statement TEXT,
+        research_statement TEXT,
+        support_letter_file TEXT,
+        cv_file TEXT,
+        amount_requested REAL,
+        amount_granted REAL,
+        status TEXT DEFAULT 'submitted',
+        reviewer_notes TEXT,
+        reviewed_by TEXT,
+        reviewed_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Refund requests
+    db.run(`CREATE TABLE IF NOT EXISTS refund_requests (
+        id TEXT PRIMARY KEY,
+        registration_id TEXT,
+        reason TEXT,
+        amount_requested REAL,
+        amount_approved REAL,
+        refund_type TEXT DEFAULT 'full',
+        status TEXT DEFAULT 'pending',
+        admin_notes TEXT,
+        processed_by TEXT,
+        processed_at TEXT,
+        refund_reference TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Payment transactions
+    db.run(`CREATE TABLE IF NOT EXISTS payment_transactions (
+        id TEXT PRIMARY KEY,
+        registration_id TEXT,
+        group_registration_id TEXT,
+        amount REAL,
+        currency TEXT DEFAULT 'EUR',
+        payment_method TEXT,
+        payment_provider TEXT,
+        provider_transaction_id TEXT,
+        status TEXT DEFAULT 'pending',
+        error_message TEXT,
+        metadata TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Invoices
+    db.run(`CREATE TABLE IF NOT EXISTS invoices (
+        id TEXT PRIMARY KEY,
+        invoice_number TEXT UNIQUE,
+        registration_id TEXT,
+        group_registration_id TEXT,
+        recipient_name TEXT,
+        recipient_address TEXT,
+        recipient_vat TEXT,
+        recipient_email TEXT,
+        items TEXT,
+        subtotal REAL,
+        vat_rate REAL DEFAULT 25,
+        vat_amount REAL,
+        total REAL,
+        currency TEXT DEFAULT 'EUR',
+        status TEXT DEFAULT 'draft',
+        issued_at TEXT,
+        due_date TEXT,
+        paid_at TEXT,
+        pdf_file TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Abstract submission files
+    db.run(`CREATE TABLE IF NOT EXISTS abstract_files (
+        id TEXT PRIMARY KEY,
+        abstract_id TEXT,
+        file_type TEXT,
+        original_name TEXT,
+        stored_name TEXT,
+        file_path TEXT,
+        file_size INTEGER,
+        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (abstract_id) REFERENCES abstracts(id)
+    )`);
+
+    // Abstract reviews
+    db.run(`CREATE TABLE IF NOT EXISTS abstract_reviews (
+        id TEXT PRIMARY KEY,
+        abstract_id TEXT,
+        reviewer_id TEXT,
+        score_relevance INTEGER,
+        score_originality INTEGER,
+        score_methodology INTEGER,
+        score_clarity INTEGER,
+        score_overall INTEGER,
+        comments TEXT,
+        recommendation TEXT,
+        is_complete INTEGER DEFAULT 0,
+        assigned_at TEXT,
+        completed_at TEXT,
+        FOREIGN KEY (abstract_id) REFERENCES abstracts(id),
+        FOREIGN KEY (reviewer_id) REFERENCES users(id)
+    )`);
+
+    // Abstract review criteria (customizable per conference)
+    db.run(`CREATE TABLE IF NOT EXISTS review_criteria (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        name TEXT,
+        description TEXT,
+        max_score INTEGER DEFAULT 5,
+        weight REAL DEFAULT 1,
+        sort_order INTEGER DEFAULT 0,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Speaker/Workshop applications
+    db.run(`CREATE TABLE IF NOT EXISTS speaker_applications (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        user_id TEXT,
+        application_type TEXT DEFAULT 'speaker',
+        name TEXT,
+        email TEXT,
+        institution TEXT,
+        title TEXT,
+        bio TEXT,
+        photo_file TEXT,
+        cv_file TEXT,
+        proposed_title TEXT,
+        proposed_abstract TEXT,
+        topic_area TEXT,
+        presentation_type TEXT,
+        duration_requested INTEGER,
+        target_audience TEXT,
+        av_requirements TEXT,
+        previous_experience TEXT,
+        co_presenter_info TEXT,
+        max_participants INTEGER,
+        required_materials TEXT,
+        status TEXT DEFAULT 'submitted',
+        admin_notes TEXT,
+        reviewed_by TEXT,
+        reviewed_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Session tracks
+    db.run(`CREATE TABLE IF NOT EXISTS session_tracks (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        name TEXT,
+        name_hr TEXT,
+        description TEXT,
+        color TEXT,
+        sort_order INTEGER DEFAULT 0,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Enhanced sessions with more fields
+    addColumn('sessions', 'track_id', 'TEXT');
+    addColumn('sessions', 'is_recorded', 'INTEGER DEFAULT 0');
+    addColumn('sessions', 'recording_url', 'TEXT');
+    addColumn('sessions', 'slides_file', 'TEXT');
+    addColumn('sessions', 'materials_file', 'TEXT');
+    addColumn('sessions', 'requires_registration', 'INTEGER DEFAULT 0');
+    addColumn('sessions', 'language', "TEXT DEFAULT 'en'");
+
+    // Session attendance tracking
+    db.run(`CREATE TABLE IF NOT EXISTS session_attendance (
+        id TEXT PRIMARY KEY,
+        session_id TEXT,
+        user_id TEXT,
+        checked_in_at TEXT,
+        checked_out_at TEXT,
+        attended_duration INTEGER,
+        UNIQUE(session_id, user_id),
+        FOREIGN KEY (session_id) REFERENCES sessions(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Session ratings
+    db.run(`CREATE TABLE IF NOT EXISTS session_ratings (
+        id TEXT PRIMARY KEY,
+        session_id TEXT,
+        user_id TEXT,
+        rating INTEGER,
+        comment TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(session_id, user_id),
+        FOREIGN KEY (session_id) REFERENCES sessions(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Question upvotes
+    db.run(`CREATE TABLE IF NOT EXISTS question_upvotes (
+        id TEXT PRIMARY KEY,
+        question_id TEXT,
+        user_id TEXT,
+        UNIQUE(question_id, user_id),
+        FOREIGN KEY (question_id) REFERENCES session_questions(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Live polls
+    db.run(`CREATE TABLE IF NOT EXISTS session_polls (
+        id TEXT PRIMARY KEY,
+        session_id TEXT,
+        question TEXT,
+        poll_type TEXT DEFAULT 'single',
+        options TEXT,
+        is_active INTEGER DEFAULT 0,
+        show_results INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        closed_at TEXT,
+        FOREIGN KEY (session_id) REFERENCES sessions(id)
+    )`);
+
+    // Poll responses
+    db.run(`CREATE TABLE IF NOT EXISTS poll_responses (
+        id TEXT PRIMARY KEY,
+        poll_id TEXT,
+        user_id TEXT,
+        selected_options TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(poll_id, user_id),
+        FOREIGN KEY (poll_id) REFERENCES session_polls(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    // Meeting requests (1:1 networking)
+    db.run(`CREATE TABLE IF NOT EXISTS meeting_requests (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        requester_id TEXT,
+        requestee_id TEXT,
+        message TEXT,
+        proposed_times TEXT,
+        selected_time TEXT,
+        location TEXT,
+        status TEXT DEFAULT 'pending',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id),
+        FOREIGN KEY (requester_id) REFERENCES users(id),
+        FOREIGN KEY (requestee_id) REFERENCES users(id)
+    )`);
+
+    // Visa invitation letter requests
+    db.run(`CREATE TABLE IF NOT EXISTS visa_requests (
+        id TEXT PRIMARY KEY,
+        registration_id TEXT,
+        passport_name TEXT,
+        passport_number TEXT,
+        passport_country TEXT,
+        passport_expiry TEXT,
+        date_of_birth TEXT,
+        nationality TEXT,
+        embassy_city TEXT,
+        embassy_country TEXT,
+        additional_info TEXT,
+        letter_file TEXT,
+        status TEXT DEFAULT 'pending',
+        processed_by TEXT,
+        processed_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Enhanced volunteers with shifts
+    db.run(`CREATE TABLE IF NOT EXISTS volunteer_shifts (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        name TEXT,
+        description TEXT,
+        date TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        location TEXT,
+        max_volunteers INTEGER DEFAULT 5,
+        required_skills TEXT,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Volunteer shift assignments
+    db.run(`CREATE TABLE IF NOT EXISTS volunteer_assignments (
+        id TEXT PRIMARY KEY,
+        volunteer_id TEXT,
+        shift_id TEXT,
+        status TEXT DEFAULT 'assigned',
+        checked_in_at TEXT,
+        checked_out_at TEXT,
+        notes TEXT,
+        UNIQUE(volunteer_id, shift_id),
+        FOREIGN KEY (volunteer_id) REFERENCES volunteers(id),
+        FOREIGN KEY (shift_id) REFERENCES volunteer_shifts(id)
+    )`);
+
+    // Enhanced sponsors
+    addColumn('sponsors', 'contact_name', 'TEXT');
+    addColumn('sponsors', 'contact_email', 'TEXT');
+    addColumn('sponsors', 'contact_phone', 'TEXT');
+    addColumn('sponsors', 'booth_location', 'TEXT');
+    addColumn('sponsors', 'included_passes', 'INTEGER DEFAULT 0');
+    addColumn('sponsors', 'contract_file', 'TEXT');
+    addColumn('sponsors', 'is_exhibitor', 'INTEGER DEFAULT 0');
+
+    // Phase 3E: Sponsor pipeline columns
+    addColumn('sponsors', 'status', "TEXT DEFAULT 'prospect'");
+    addColumn('sponsors', 'amount_pledged', 'REAL DEFAULT 0');
+    addColumn('sponsors', 'amount_received', 'REAL DEFAULT 0');
+    addColumn('sponsors', 'notes', 'TEXT');
+    addColumn('sponsors', 'is_published', 'INTEGER DEFAULT 0');
+
+    // Sponsor tasks table
+    db.run(`CREATE TABLE IF NOT EXISTS sponsor_tasks (
+        id TEXT PRIMARY KEY,
+        sponsor_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        is_completed INTEGER DEFAULT 0,
+        due_date TEXT,
+        assigned_to TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id)
+    )`);
+
+    // Sponsor leads (badge scans at booth)
+    db.run(`CREATE TABLE IF NOT EXISTS sponsor_leads (
+        id TEXT PRIMARY KEY,
+        sponsor_id TEXT,
+        attendee_registration_id TEXT,
+        scanned_by TEXT,
+        notes TEXT,
+        rating INTEGER,
+        follow_up_status TEXT DEFAULT 'new',
+        scanned_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id),
+        FOREIGN KEY (attendee_registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Sponsor materials/downloads
+    db.run(`CREATE TABLE IF NOT EXISTS sponsor_materials (
+        id TEXT PRIMARY KEY,
+        sponsor_id TEXT,
+        title TEXT,
+        description TEXT,
+        file_path TEXT,
+        download_count INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id)
+    )`);
+
+    // Photo gallery
+    db.run(`CREATE TABLE IF NOT EXISTS conference_photos (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        title TEXT,
+        description TEXT,
+        file_path TEXT,
+        thumbnail_path TEXT,
+        photographer TEXT,
+        uploaded_by TEXT,
+        is_public INTEGER DEFAULT 1,
+        sort_order INTEGER DEFAULT 0,
+        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Certificates of attendance
+    db.run(`CREATE TABLE IF NOT EXISTS certificates (
+        id TEXT PRIMARY KEY,
+        registration_id TEXT,
+        certificate_type TEXT DEFAULT 'attendance',
+        certificate_number TEXT UNIQUE,
+        recipient_name TEXT,
+        conference_name TEXT,
+        issue_date TEXT,
+        credits_value REAL,
+        credits_type TEXT,
+        pdf_file TEXT,
+        downloaded_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (registration_id) REFERENCES registrations(id)
+    )`);
+
+    // Feedback surveys
+    db.run(`CREATE TABLE IF NOT EXISTS surveys (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        title TEXT,
+        description TEXT,
+        questions TEXT,
+        is_active INTEGER DEFAULT 1,
+        anonymous INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Survey responses
+    db.run(`CREATE TABLE IF NOT EXISTS survey_responses (
+        id TEXT PRIMARY KEY,
+        survey_id TEXT,
+        user_id TEXT,
+        responses TEXT,
+        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (survey_id) REFERENCES surveys(id)
+    )`);
+
+    // Email templates
+    db.run(`CREATE TABLE IF NOT EXISTS email_templates (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        name TEXT,
+        subject TEXT,
+        subject_hr TEXT,
+        body_html TEXT,
+        body_html_hr TEXT,
+        body_text TEXT,
+        body_text_hr TEXT,
+        variables TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Email log
+    db.run(`CREATE TABLE IF NOT EXISTS email_log (
+        id TEXT PRIMARY KEY,
+        template_id TEXT,
+        recipient_email TEXT,
+        recipient_name TEXT,
+        subject TEXT,
+        status TEXT DEFAULT 'pending',
+        error_message TEXT,
+        sent_at TEXT,
+        opened_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Scheduled emails
+    db.run(`CREATE TABLE IF NOT EXISTS scheduled_emails (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        template_id TEXT,
+        target_audience TEXT,
+        filters TEXT,
+        scheduled_for TEXT,
+        status TEXT DEFAULT 'scheduled',
+        sent_count INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Conference archive info
+    db.run(`CREATE TABLE IF NOT EXISTS conference_archives (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        archive_type TEXT,
+        title TEXT,
+        description TEXT,
+        file_path TEXT,
+        external_url TEXT,
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Venue/room info
+    db.run(`CREATE TABLE IF NOT EXISTS venue_rooms (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        name TEXT,
+        description TEXT,
+        floor TEXT,
+        capacity INTEGER,
+        equipment TEXT,
+        map_coordinates TEXT,
+        photo_url TEXT,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Partner hotels
+    db.run(`CREATE TABLE IF NOT EXISTS partner_hotels (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        name TEXT,
+        description TEXT,
+        address TEXT,
+        distance_to_venue TEXT,
+        price_range TEXT,
+        booking_url TEXT,
+        promo_code TEXT,
+        discount_info TEXT,
+        photo_url TEXT,
+        contact_email TEXT,
+        sort_order INTEGER DEFAULT 0,
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // Conference statistics (cached for dashboard)
+    db.run(`CREATE TABLE IF NOT EXISTS conference_stats (
+        id TEXT PRIMARY KEY,
+        conference_id TEXT,
+        stat_date TEXT,
+        total_registrations INTEGER DEFAULT 0,
+        paid_registrations INTEGER DEFAULT 0,
+        total_abstracts INTEGER DEFAULT 0,
+        accepted_abstracts INTEGER DEFAULT 0,
+        total_revenue REAL DEFAULT 0,
+        attendee_countries TEXT,
+        registration_by_type TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(conference_id, stat_date),
+        FOREIGN KEY (conference_id) REFERENCES conferences(id)
+    )`);
+
+    // ========== FINANCE MODULE TABLES ==========
+    // Bank balance entries (manual tracking)
+    db.run(`CREATE TABLE IF NOT EXISTS finance_bank_balance (
+        id TEXT PRIMARY KEY,
+        balance REAL NOT NULL,
+        date TEXT NOT NULL,
+        notes TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Fiscal years management
+    db.run(`CREATE TABLE IF NOT EXISTS finance_fiscal_years (
+        id TEXT PRIMARY KEY,
+        year INTEGER NOT NULL UNIQUE,
+        status TEXT DEFAULT 'open',
+        opened_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        closed_at TEXT,
+        closed_by TEXT,
+        archived_at TEXT,
+        notes TEXT
+    )`);
+
+    // Work units for grant tracking
+    db.run(`CREATE TABLE IF NOT EXISTS finance_work_units (
+        id TEXT PRIMARY KEY,
+        code TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        grant_source TEXT,
+        fiscal_year INTEGER NOT NULL,
+        budget_total REAL DEFAULT 0,
+        budget_used REAL DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        closed_at TEXT
+    )`);
+
+    // Transactions (income/expenses)
+    db.run(`CREATE TABLE IF NOT EXISTS finance_transactions (
+        id TEXT PRIMARY KEY,
+        transaction_number TEXT UNIQUE,
+        transaction_type TEXT NOT NULL,
+        amount REAL NOT NULL,
+        date TEXT NOT NULL,
+        description TEXT,
+        project TEXT,
+        work_unit_id TEXT,
+        category TEXT,
+        payment_method TEXT,
+        reference TEXT,
+        status TEXT DEFAULT 'completed',
+        fiscal_year INTEGER,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
+    )`);
+
+    // Sequence numbers for auto-numbering documents
+    db.run(`CREATE TABLE IF NOT EXISTS finance_sequences (
+        id TEXT PRIMARY KEY,
+        sequence_type TEXT NOT NULL,
+        fiscal_year INTEGER NOT NULL,
+        current_value INTEGER DEFAULT 0,
+        prefix TEXT,
+        UNIQUE(sequence_type, fiscal_year)
+    )`);
+
+    // Invoices (incoming and outgoing)
+    db.run(`CREATE TABLE IF NOT EXISTS finance_invoices (
+        id TEXT PRIMARY KEY,
+        invoice_number TEXT UNIQUE,
+        invoice_type TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        status TEXT DEFAULT 'draft',
+        issue_date TEXT,
+        due_date TEXT,
+        paid_date TEXT,
+        fiscalized INTEGER DEFAULT 0,
+        party_name TEXT NOT NULL,
+        party_address TEXT,
+        party_oib TEXT,
+        party_email TEXT,
+        subtotal REAL DEFAULT 0,
+        discount_total REAL DEFAULT 0,
+        vat_total REAL DEFAULT 0,
+        total REAL DEFAULT 0,
+        currency TEXT DEFAULT 'EUR',
+        payment_reference TEXT,
+        payment_iban TEXT,
+        notes TEXT,
+        project TEXT,
+        work_unit_id TEXT,
+        fiscal_year INTEGER,
+        transaction_id TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id),
+        FOREIGN KEY (transaction_id) REFERENCES finance_transactions(id)
+    )`);
+
+    // Invoice line items
+    db.run(`CREATE TABLE IF NOT EXISTS finance_invoice_items (
+        id TEXT PRIMARY KEY,
+        invoice_id TEXT NOT NULL,
+        description TEXT NOT NULL,
+        quantity REAL DEFAULT 1,
+        unit_price REAL NOT NULL,
+        discount_percent REAL DEFAULT 0,
+        discount_amount REAL DEFAULT 0,
+        vat_rate REAL DEFAULT 0,
+        vat_amount REAL DEFAULT 0,
+        line_total REAL NOT NULL,
+        sort_order INTEGER DEFAULT 0,
+        FOREIGN KEY (invoice_id) REFERENCES finance_invoices(id) ON DELETE CASCADE
+    )`);
+
+    // Payment orders
+    db.run(`CREATE TABLE IF NOT EXISTS finance_payment_orders (
+        id TEXT PRIMARY KEY,
+        order_number TEXT UNIQUE,
+        recipient_name TEXT NOT NULL,
+        recipient_iban TEXT,
+        payment_type TEXT DEFAULT 'outgoing',
+        amount REAL NOT NULL,
+        reference TEXT,
+        date TEXT NOT NULL,
+        execution_date TEXT,
+        status TEXT DEFAULT 'pending',
+        description TEXT,
+        project TEXT,
+        work_unit_id TEXT,
+        fiscal_year INTEGER,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
+    )`);
+
+    // Travel orders
+    db.run(`CREATE TABLE IF NOT EXISTS finance_travel_orders (
+        id TEXT PRIMARY KEY,
+        order_number TEXT UNIQUE,
+        traveler_id TEXT NOT NULL,
+        traveler_name TEXT NOT NULL,
+        destination TEXT NOT NULL,
+        purpose TEXT,
+        status TEXT DEFAULT 'assigned',
+        planned_departure TEXT,
+        planned_return TEXT,
+        actual_departure TEXT,
+        actual_return TEXT,
+        travel_method TEXT,
+        kilometers REAL DEFAULT 0,
+        cost_transport REAL DEFAULT 0,
+        cost_accommodation REAL DEFAULT 0,
+        cost_daily_allowance REAL DEFAULT 0,
+        cost_other REAL DEFAULT 0,
+        cost_total REAL DEFAULT 0,
+        advance_amount REAL DEFAULT 0,
+        reimbursement_amount REAL DEFAULT 0,
+        notes TEXT,
+        traveler_notes TEXT,
+        rejection_reason TEXT,
+        project TEXT,
+        work_unit_id TEXT,
+        fiscal_year INTEGER,
+        assigned_by TEXT,
+        assigned_at TEXT,
+        submitted_at TEXT,
+        approved_by TEXT,
+        approved_at TEXT,
+        paid_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
+    )`);
+
+    // C2: Add issue_date, car_model, registration_plate columns to travel orders
+    addColumn('finance_travel_orders', 'issue_date', 'TEXT');
+    addColumn('finance_travel_orders', 'car_model', 'TEXT');
+    addColumn('finance_travel_orders', 'registration_plate', 'TEXT');
+
+    // Travel order evidence (uploaded files)
+    db.run(`CREATE TABLE IF NOT EXISTS finance_travel_evidence (
+        id TEXT PRIMARY KEY,
+        travel_order_id TEXT NOT NULL,
+        file_type TEXT,
+        file_name TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size INTEGER,
+        uploaded_by TEXT,
+        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (travel_order_id) REFERENCES finance_travel_orders(id) ON DELETE CASCADE
+    )`);
+
+    // Finance settings (company info, templates)
+    db.run(`CREATE TABLE IF NOT EXISTS finance_settings (
+        id TEXT PRIMARY KEY,
+        setting_key TEXT UNIQUE NOT NULL,
+        setting_value TEXT,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // ===== PR & MEDIA TABLES =====
+    // Content Calendar - planned/scheduled content across platforms
+    db.run(`CREATE TABLE IF NOT EXISTS pr_content_calendar (
+        id TEXT PRIMARY KEY,
+        project TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        scheduled_date TEXT NOT NULL,
+        scheduled_time TEXT,
+        status TEXT DEFAULT 'draft',
+        title TEXT,
+        content_text TEXT,
+        image_url TEXT,
+        link_url TEXT,
+        hashtags TEXT,
+        campaign_id TEXT,
+        created_by TEXT,
+        approved_by TEXT,
+        approved_at TEXT,
+        published_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
+    )`);
+
+    // Social Media Posts - published posts with engagement tracking
+    db.run(`CREATE TABLE IF NOT EXISTS pr_posts (
+        id TEXT PRIMARY KEY,
+        project TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        post_type TEXT DEFAULT 'post',
+        content_text TEXT,
+        image_url TEXT,
+        link_url TEXT,
+        external_post_id TEXT,
+        published_at TEXT,
+        status TEXT DEFAULT 'published',
+        likes INTEGER DEFAULT 0,
+        comments INTEGER DEFAULT 0,
+        shares INTEGER DEFAULT 0,
+        reach INTEGER DEFAULT 0,
+        impressions INTEGER DEFAULT 0,
+        engagement_rate REAL DEFAULT 0,
+        calendar_id TEXT,
+        campaign_id TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (calendar_id) REFERENCES pr_content_calendar(id),
+        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
+    )`);
+
+    // Newsletters - email campaigns
+    db.run(`CREATE TABLE IF NOT EXISTS pr_newsletters (
+        id TEXT PRIMARY KEY,
+        project TEXT,
+        name TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        preview_text TEXT,
+        content_html TEXT,
+        content_json TEXT,
+        template TEXT DEFAULT 'default',
+        status TEXT DEFAULT 'draft',
+        scheduled_for TEXT,
+        sent_at TEXT,
+        recipient_count INTEGER DEFAULT 0,
+        open_count INTEGER DEFAULT 0,
+        click_count INTEGER DEFAULT 0,
+        open_rate REAL DEFAULT 0,
+        click_rate REAL DEFAULT 0,
+        campaign_id TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
+    )`);
+
+    // Newsletter Subscribers
+    db.run(`CREATE TABLE IF NOT EXISTS pr_subscribers (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        first_name TEXT,
+        last_name TEXT,
+        subscribed_projects TEXT DEFAULT 'all',
+        language TEXT DEFAULT 'hr',
+        status TEXT DEFAULT 'active',
+        source TEXT,
+        subscribed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        unsubscribed_at TEXT,
+        last_email_at TEXT,
+        email_count INTEGER DEFAULT 0,
+        open_count INTEGER DEFAULT 0,
+        click_count INTEGER DEFAULT 0
+    )`);
+
+    // Media Assets - image/file library
+    db.run(`CREATE TABLE IF NOT EXISTS pr_media_assets (
+        id TEXT PRIMARY KEY,
+        project TEXT,
+        name TEXT,
+        asset_type TEXT,
+        file_name TEXT NOT NULL,
+        original_name TEXT,
+        file_path TEXT,
+        file_type TEXT,
+        mime_type TEXT,
+        file_size INTEGER,
+        description TEXT,
+        width INTEGER,
+        height INTEGER,
+        category TEXT DEFAULT 'photo',
+        tags TEXT,
+        alt_text TEXT,
+        caption TEXT,
+        ai_generated INTEGER DEFAULT 0,
+        ai_prompt TEXT,
+        uploaded_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Marketing Campaigns
+    db.run(`CREATE TABLE IF NOT EXISTS pr_campaigns (
+        id TEXT PRIMARY KEY,
+        project TEXT,
+        name TEXT NOT NULL,
+        description TEXT,
+        goal TEXT,
+        start_date TEXT,
+        end_date TEXT,
+        status TEXT DEFAULT 'planning',
+        budget REAL DEFAULT 0,
+        spent REAL DEFAULT 0,
+        target_audience TEXT,
+        platforms TEXT,
+        kpis TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Platform Analytics Snapshots
+    db.run(`CREATE TABLE IF NOT EXISTS pr_analytics (
+        id TEXT PRIMARY KEY,
+        project TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        date TEXT NOT NULL,
+        followers INTEGER DEFAULT 0,
+        following INTEGER DEFAULT 0,
+        posts_count INTEGER DEFAULT 0,
+        engagement_rate REAL DEFAULT 0,
+        reach INTEGER DEFAULT 0,
+        impressions INTEGER DEFAULT 0,
+        profile_views INTEGER DEFAULT 0,
+        website_clicks INTEGER DEFAULT 0,
+        new_followers INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(project, platform, date)
+    )`);
+
+    // Post Templates
+    db.run(`CREATE TABLE IF NOT EXISTS pr_templates (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        category TEXT,
+        type TEXT DEFAULT 'social',
+        platform TEXT,
+        project TEXT,
+        content_template TEXT,
+        content_html TEXT,
+        image_template TEXT,
+        variables TEXT,
+        is_active INTEGER DEFAULT 1,
+        use_count INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // AI Generation History
+    db.run(`CREATE TABLE IF NOT EXISTS pr_ai_generations (
+        id TEXT PRIMARY KEY,
+        generation_type TEXT,
+        prompt TEXT NOT NULL,
+        output TEXT,
+        result_image_path TEXT,
+        project TEXT,
+        platform TEXT,
+        model TEXT,
+        used INTEGER DEFAULT 0,
+        rating INTEGER,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // ========== BUILDING BRIDGES MINI-EVENTS ==========
+    // Simple events table for consulate symposiums
+    db.run(`CREATE TABLE IF NOT EXISTS bridges_events (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        city TEXT NOT NULL,
+        venue_name TEXT,
+        venue_address TEXT,
+        event_date TEXT NOT NULL,
+        event_time TEXT,
+        end_time TEXT,
+        description TEXT,
+        capacity INTEGER DEFAULT 50,
+        registration_open INTEGER DEFAULT 1,
+        registration_deadline TEXT,
+        status TEXT DEFAULT 'upcoming',
+        contact_email TEXT,
+        contact_phone TEXT,
+        notes TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Simple registrations for mini-events
+    db.run(`CREATE TABLE IF NOT EXISTS bridges_registrations (
+        id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        phone TEXT,
+        institution TEXT,
+        position TEXT,
+        dietary_requirements TEXT,
+        special_requests TEXT,
+        status TEXT DEFAULT 'registered',
+        confirmation_sent INTEGER DEFAULT 0,
+        reminder_sent INTEGER DEFAULT 0,
+        checked_in INTEGER DEFAULT 0,
+        checked_in_at TEXT,
+        notes TEXT,
+        registered_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES bridges_events(id) ON DELETE CASCADE
+    )`);
+
+    // Building Bridges speakers
+    db.run(`CREATE TABLE IF NOT EXISTS bridges_speakers (
+        id TEXT PRIMARY KEY,
+        event_id TEXT,
+        name TEXT NOT NULL,
+        title TEXT,
+        institution TEXT,
+        bio TEXT,
+        photo_url TEXT,
+        talk_title TEXT,
+        is_published INTEGER DEFAULT 0,
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Building Bridges program items
+    db.run(`CREATE TABLE IF NOT EXISTS bridges_program (
+        id TEXT PRIMARY KEY,
+        event_id TEXT,
+        title TEXT NOT NULL,
+        description TEXT,
+        speaker_id TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        sort_order INTEGER DEFAULT 0,
+        is_published INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // ========== CONTACT DIRECTORY ==========
+    db.run(`CREATE TABLE IF NOT EXISTS contacts (
+        id TEXT PRIMARY KEY,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT,
+        phone_secondary TEXT,
+        organization TEXT,
+        position TEXT,
+        contact_type TEXT DEFAULT 'general',
+        projects TEXT,
+        tags TEXT,
+        address TEXT,
+        city TEXT,
+        country TEXT,
+        website TEXT,
+        linkedin TEXT,
+        notes TEXT,
+        last_contacted TEXT,
+        is_favorite INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Contact interaction history
+    db.run(`CREATE TABLE IF NOT EXISTS contact_interactions (
+        id TEXT PRIMARY KEY,
+        contact_id TEXT NOT NULL,
+        interaction_type TEXT NOT NULL,
+        subject TEXT,
+        notes TEXT,
+        date TEXT DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT,
+        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
+    )`);
+
+    // ========== EMAIL TEMPLATES LIBRARY ==========
+    // Note: This is separate from conference-specific email_templates table
+    db.run(`CREATE TABLE IF NOT EXISTS template_library (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        body_html TEXT NOT NULL,
+        body_text TEXT,
+        category TEXT DEFAULT 'general',
+        project TEXT,
+        variables TEXT,
+        is_active INTEGER DEFAULT 1,
+        usage_count INTEGER DEFAULT 0,
+        last_used TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // ========== TABLES FROM USER PORTAL (shared schema) ==========
+    db.run(`CREATE TABLE IF NOT EXISTS forum_prospects (
+        id TEXT PRIMARY KEY,
+        first_name TEXT,
+        last_name TEXT,
+        email TEXT UNIQUE,
+        institution TEXT,
+        specialty TEXT,
+        position TEXT,
+        country TEXT,
+        source TEXT DEFAULT 'manual',
+        import_batch_id TEXT,
+        status TEXT DEFAULT 'not_contacted',
+        notes TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_invitations (
+        id TEXT PRIMARY KEY,
+        prospect_id TEXT,
+        email TEXT,
+        first_name TEXT,
+        last_name TEXT,
+        invitation_code TEXT UNIQUE,
+        sent_at TEXT,
+        delivery_status TEXT DEFAULT 'pending',
+        opened_at TEXT,
+        clicked_at TEXT,
+        applied_at TEXT,
+        application_id TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (prospect_id) REFERENCES forum_prospects(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_email_templates (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        subject TEXT,
+        body_html TEXT,
+        variables TEXT,
+        is_default INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_import_batches (
+        id TEXT PRIMARY KEY,
+        filename TEXT,
+        total_rows INTEGER,
+        imported_count INTEGER,
+        skipped_count INTEGER,
+        errors TEXT,
+        status TEXT DEFAULT 'processing',
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_event_speakers (
+        id TEXT PRIMARY KEY,
+        event_id TEXT,
+        name TEXT NOT NULL,
+        title TEXT,
+        institution TEXT,
+        bio TEXT,
+        photo_url TEXT,
+        talk_title TEXT,
+        talk_abstract TEXT,
+        speaker_type TEXT DEFAULT 'presenter',
+        is_confirmed INTEGER DEFAULT 0,
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES forum_events(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_event_schedule (
+        id TEXT PRIMARY KEY,
+        event_id TEXT,
+        title TEXT NOT NULL,
+        description TEXT,
+        session_type TEXT DEFAULT 'session',
+        date TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        room TEXT,
+        speaker_ids TEXT,
+        sort_order INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (event_id) REFERENCES forum_events(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_group_messages (
+        id TEXT PRIMARY KEY,
+        group_id TEXT,
+        sender_id TEXT,
+        message TEXT,
+        attachments TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (group_id) REFERENCES forum_groups(id),
+        FOREIGN KEY (sender_id) REFERENCES forum_members(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_gallery_folders (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        parent_id TEXT,
+        event_year INTEGER,
+        event_name TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS forum_media_folders (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        parent_id TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT (datetime('now'))
+    )`);
+
+    // ===== NETWORKING PORTAL TABLES =====
+    db.run(`CREATE TABLE IF NOT EXISTS networking_profiles (
+        id TEXT PRIMARY KEY,
+        user_id TEXT UNIQUE,
+        career_stage TEXT,
+        looking_for TEXT,
+        research_interests TEXT,
+        working_on TEXT,
+        timezone TEXT DEFAULT 'America/New_York',
+        meeting_format TEXT DEFAULT 'video',
+        open_to_coffee_chats INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS networking_connections (
+        id TEXT PRIMARY KEY,
+        requester_id TEXT NOT NULL,
+        receiver_id TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        message TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        accepted_at TEXT,
+        FOREIGN KEY (requester_id) REFERENCES users(id),
+        FOREIGN KEY (receiver_id) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS networking_meetings (
+        id TEXT PRIMARY KEY,
+        organizer_id TEXT NOT NULL,
+        attendee_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        time TEXT NOT NULL,
+        duration INTEGER DEFAULT 30,
+        type TEXT DEFAULT 'video',
+        topic TEXT,
+        note TEXT,
+        status TEXT DEFAULT 'pending',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organizer_id) REFERENCES users(id),
+        FOREIGN KEY (attendee_id) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS gala_registrations (
+        id TEXT PRIMARY KEY,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        email TEXT NOT NULL,
+        institution TEXT,
+        title TEXT,
+        dietary TEXT,
+        requests TEXT,
+        pricing TEXT,
+        status TEXT DEFAULT 'pending',
+        admin_notes TEXT,
+        reviewed_by TEXT,
+        reviewed_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS admin_section_preferences (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        section_id TEXT NOT NULL,
+        is_enabled INTEGER DEFAULT 1,
+        UNIQUE(user_id, section_id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS portal_content (
+        id TEXT PRIMARY KEY,
+        section TEXT NOT NULL,
+        project TEXT,
+        title TEXT,
+        content TEXT,
+        image_url TEXT,
+        link TEXT,
+        is_published INTEGER DEFAULT 0,
+        sort_order INTEGER DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS dashboard_preferences (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        section TEXT NOT NULL,
+        card_id TEXT NOT NULL,
+        is_visible INTEGER DEFAULT 1,
+        sort_order INTEGER DEFAULT 0,
+        config TEXT,
+        UNIQUE(user_id, section, card_id)
+    )`);
+
+    // Ensure forum_members has role/banned/muted columns (may be missing if user portal created table first)
+    addColumn('forum_members', 'role', "TEXT DEFAULT 'member'");
+    addColumn('forum_members', 'banned', 'INTEGER DEFAULT 0');
+    addColumn('forum_members', 'muted', 'INTEGER DEFAULT 0');
+
+    // Forum columns from user portal
+    addColumn('forum_members', 'industry', 'TEXT');
+    addColumn('forum_events', 'event_scale', "TEXT DEFAULT 'small'");
+    addColumn('forum_events', 'slug', 'TEXT');
+    addColumn('forum_events', 'rsvp_deadline', 'TEXT');
+    addColumn('forum_events', 'venue', 'TEXT');
+    addColumn('forum_invitations', 'event_id', 'TEXT');
+    addColumn('forum_invitations', 'event_type', 'TEXT');
+    addColumn('forum_invitations', 'rsvp_status', 'TEXT');
+    addColumn('forum_event_registrations', 'rsvp_status', "TEXT DEFAULT 'pending'");
+    addColumn('forum_event_registrations', 'dietary_requirements', 'TEXT');
+    addColumn('forum_event_registrations', 'accommodation_needed', 'INTEGER DEFAULT 0');
+
+    // Forum payment tracking columns
+    addColumn('forum_event_registrations', 'stripe_session_id', 'TEXT');
+    addColumn('forum_event_registrations', 'payment_date', 'TEXT');
+    addColumn('forum_event_registrations', 'invoice_number', 'TEXT');
+    addColumn('forum_event_registrations', 'name', 'TEXT');
+    addColumn('forum_event_registrations', 'email', 'TEXT');
+    addColumn('forum_event_registrations', 'title', 'TEXT');
+    addColumn('forum_event_registrations', 'institution', 'TEXT');
+    addColumn('forum_event_registrations', 'dietary_notes', 'TEXT');
+    addColumn('forum_event_registrations', 'accommodation', 'TEXT');
+    addColumn('forum_event_registrations', 'special_requests', 'TEXT');
+    addColumn('forum_event_registrations', 'first_name', 'TEXT');
+    addColumn('forum_event_registrations', 'last_name', 'TEXT');
+    addColumn('forum_media', 'folder_id', 'TEXT');
+    addColumn('forum_media', 'caption', 'TEXT');
+    addColumn('project_timeline_events', 'completed', 'INTEGER DEFAULT 0');
+
+    // pr_ai_generations: column aliases so either portal's inserts work
+    addColumn('pr_ai_generations', 'generation_type', 'TEXT');
+    addColumn('pr_ai_generations', 'output', 'TEXT');
+    addColumn('pr_ai_generations', 'type', 'TEXT');
+    addColumn('pr_ai_generations', 'result_text', 'TEXT');
+
+    // Gala + Forum check-in columns
+    addColumn('gala_registrations', 'checked_in', 'INTEGER DEFAULT 0');
+    addColumn('gala_registrations', 'checked_in_at', 'TEXT');
+
+    // Abstract detail columns from admin portal
+    addColumn('abstracts', 'submitter_name', 'TEXT');
+    addColumn('abstracts', 'submitter_email', 'TEXT');
+    addColumn('abstracts', 'category', 'TEXT');
+    addColumn('abstracts', 'abstract_type', "TEXT DEFAULT 'poster'");
+
+    // Volunteer detail columns from admin portal
+    addColumn('volunteers', 'first_name', 'TEXT');
+    addColumn('volunteers', 'last_name', 'TEXT');
+    addColumn('volunteers', 'email', 'TEXT');
+    addColumn('volunteers', 'notes', 'TEXT');
+
+    // Phase 8: Gala payment & tracking columns
+    addColumn('gala_registrations', 'payment_status', "TEXT DEFAULT 'unpaid'");
+    addColumn('gala_registrations', 'amount_paid', 'REAL');
+    addColumn('gala_registrations', 'user_id', 'TEXT');
+    addColumn('gala_registrations', 'stripe_session_id', 'TEXT');
+    addColumn('gala_registrations', 'invoice_number', 'TEXT');
+
+    // Phase 8: Gala settings table
+    db.run(`CREATE TABLE IF NOT EXISTS gala_settings (
+        id TEXT PRIMARY KEY DEFAULT 'default',
+        title TEXT DEFAULT 'Gala Evening 2026',
+        tagline TEXT DEFAULT 'The Pinnacle of Biomedical Excellence',
+        date TEXT DEFAULT '2026-12-05',
+        time TEXT DEFAULT '18:00',
+        venue TEXT DEFAULT 'Grand Ballroom, Zagreb',
+        dress_code TEXT DEFAULT 'Black Tie / Formal Evening Attire',
+        description TEXT DEFAULT 'The Gala Evening is the crown jewel of Plexus 2026.',
+        capacity INTEGER DEFAULT 150,
+        price_gala_only REAL DEFAULT 95,
+        price_bundle REAL DEFAULT 174,
+        price_bundle_original REAL DEFAULT 194,
+        is_registration_open INTEGER DEFAULT 1,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Add speakers_json and schedule_json columns to gala_settings
+    addColumn('gala_settings', 'speakers_json', 'TEXT');
+    addColumn('gala_settings', 'schedule_json', 'TEXT');
+
+    // Plexus settings (admin-editable)
+    db.run(`CREATE TABLE IF NOT EXISTS plexus_settings (
+        id TEXT PRIMARY KEY DEFAULT 'default',
+        price_student_early REAL DEFAULT 39,
+        price_student_late REAL DEFAULT 59,
+        price_professional_early REAL DEFAULT 99,
+        price_professional_late REAL DEFAULT 149,
+        key_dates_json TEXT,
+        testimonials_json TEXT,
+        conference_start_date TEXT DEFAULT '2026-12-04',
+        conference_end_date TEXT DEFAULT '2026-12-05',
+        early_bird_deadline TEXT DEFAULT '2026-09-30',
+        abstract_deadline TEXT DEFAULT '2026-10-15',
+        is_registration_open INTEGER DEFAULT 1,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    addColumn('forum_members', 'checked_in', 'INTEGER DEFAULT 0');
+    addColumn('forum_members', 'checked_in_at', 'TEXT');
+
+    // Per-event check-in toggle
+    addColumn('sessions', 'checkin_enabled', 'INTEGER DEFAULT 0');
+    addColumn('forum_events', 'checkin_enabled', 'INTEGER DEFAULT 0');
+    addColumn('bridges_events', 'checkin_enabled', 'INTEGER DEFAULT 0');
+
+    // Phase 5B: Forum event management columns
+    addColumn('forum_events', 'is_published', 'INTEGER DEFAULT 0');
+    addColumn('forum_events', 'updated_at', 'TEXT');
+
+    // Phase 6A: Building Bridges publish + sync columns
+    addColumn('bridges_events', 'is_published', 'INTEGER DEFAULT 0');
+    addColumn('bridges_events', 'updated_at', 'TEXT');
+
+    // Phase 6B: QR code for bridges registrations
+    addColumn('bridges_registrations', 'qr_code', 'TEXT');
+
+    // Phase 6: Admin-to-User Messaging
+    db.run(`CREATE TABLE IF NOT EXISTS direct_messages (
+        id TEXT PRIMARY KEY,
+        sender_id TEXT NOT NULL,
+        receiver_id TEXT NOT NULL,
+        sender_type TEXT DEFAULT 'admin',
+        receiver_type TEXT DEFAULT 'user',
+        title TEXT,
+        content TEXT NOT NULL,
+        attachment_url TEXT,
+        is_read INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT (datetime('now')),
+        updated_at DATETIME DEFAULT (datetime('now'))
+    )`);
+
+    // Migrations for direct_messages if it already exists from user portal
+    addColumn('direct_messages', 'sender_type', "TEXT DEFAULT 'user'");
+    addColumn('direct_messages', 'receiver_type', "TEXT DEFAULT 'user'");
+    addColumn('direct_messages', 'title', 'TEXT');
+    addColumn('direct_messages', 'attachment_url', 'TEXT');
+    addColumn('direct_messages', 'is_read', 'INTEGER DEFAULT 0');
+    addColumn('direct_messages', 'updated_at', 'TEXT');
+    addColumn('direct_messages', 'read_at', 'TEXT');
+
+    addColumn('user_notifications', 'notification_type', "TEXT DEFAULT 'info'");
+    addColumn('user_notifications', 'target_tier', "TEXT DEFAULT 'all'");
+    addColumn('user_notifications', 'expires_at', 'TEXT');
+    addColumn('user_notifications', 'placement', "TEXT DEFAULT 'panel'");
+
+    // Member Newsletters table (for email campaigns to user portal members)
+    db.run(`CREATE TABLE IF NOT EXISTS member_newsletters (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        body TEXT,
+        target_audience TEXT DEFAULT 'all',
+        status TEXT DEFAULT 'draft',
+        sent_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+module.exports = { up };
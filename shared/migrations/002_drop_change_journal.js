@@ -0,0 +1,15 @@
+/**
+ * Remove the change-journal sync artifacts. Both portals now share one on-disk
+ * WAL database, so capture triggers and the outbox/conflict tables are unused —
+ * and the triggers would otherwise keep filling sync_outbox on every write.
+ */
+
+function up(db, { all }) {
+    all("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE 'sync\\_%' ESCAPE '\\'")
+        .forEach(t => db.run(`DROP TRIGGER IF EXISTS "${t.name}"`));
+    db.run('DROP TABLE IF EXISTS sync_outbox');
+    db.run('DROP TABLE IF EXISTS sync_state');
+    db.run('DROP TABLE IF EXISTS sync_conflicts');
+}
+
+module.exports = { up };
@@ -0,0 +1,24 @@
+/**
+ * portal_signals: small cross-portal mailbox. Both portals share the WAL database
+ * but not a process, so one portal asks the other to act (e.g. reload after a
+ * backup restore) by inserting a row the target polls for.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS portal_signals (
+        id TEXT PRIMARY KEY,
+        target TEXT NOT NULL,
+        signal TEXT NOT NULL,
+        payload TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        handled_at TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_portal_signals_pending ON portal_signals(target, handled_at)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS portal_signals');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+/**
+ * Conference editions: group yearly conferences into a series and flag the edition
+ * attendees currently register for (shared/conference-context.js). Existing
+ * 'plexus-YYYY' rows join the 'plexus' series, the newest one becomes current,
+ * and its settings move from the singleton 'default' row to a per-edition row.
+ *
+ * On a fresh database the conference is seeded after migrations run; the seed
+ * sets series/is_current itself.
+ */
+
+function up(db, { addColumn, hasTable, all }) {
+    addColumn('conferences', 'series', 'TEXT');
+    addColumn('conferences', 'is_current', 'INTEGER DEFAULT 0');
+    db.run("UPDATE conferences SET series = 'plexus' WHERE series IS NULL AND slug LIKE 'plexus-%'");
+
+    const newest = all("SELECT id, slug FROM conferences WHERE series = 'plexus' ORDER BY year DESC LIMIT 1")[0];
+    if (!newest) return;
+    db.run('UPDATE conferences SET is_current = 1 WHERE id = ?', [newest.id]);
+
+    // plexus_settings is created by the inline bootstrap, so it may not exist on very old files
+    if (hasTable('plexus_settings')) {
+        db.run(`INSERT OR IGNORE INTO plexus_settings
+            (id, price_student_early, price_student_late, price_professional_early, price_professional_late,
+             key_dates_json, testimonials_json, conference_start_date, conference_end_date,
+             early_bird_deadline, abstract_deadline, is_registration_open, updated_at)
+            SELECT ?, price_student_early, price_student_late, price_professional_early, price_professional_late,
+             key_dates_json, testimonials_json, conference_start_date, conference_end_date,
+             early_bird_deadline, abstract_deadline, is_registration_open, updated_at
+            FROM plexus_settings WHERE id = 'default'`, [newest.slug]);
+    }
+}
+
+function down(db, { dropColumn, hasTable }) {
+    if (hasTable('plexus_settings')) db.run("DELETE FROM plexus_settings WHERE id != 'default'");
+    dropColumn('conferences', 'is_current');
+    dropColumn('conferences', 'series');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+/**
+ * Rollover lineage: a cloned edition gets a conference_archives row
+ * (archive_type 'rollover') pointing at the edition it was cloned from, with the
+ * copied components and date offset in `details` (shared/conference-rollover.js).
+ */
+
+function up(db, { addColumn, hasTable }) {
+    if (!hasTable('conference_archives')) return;
+    addColumn('conference_archives', 'source_conference_id', 'TEXT');
+    addColumn('conference_archives', 'details', 'TEXT');
+}
+
+function down(db, { dropColumn, hasTable }) {
+    if (!hasTable('conference_archives')) return;
+    dropColumn('conference_archives', 'details');
+    dropColumn('conference_archives', 'source_conference_id');
+}
+
+module.exports = { up, down };
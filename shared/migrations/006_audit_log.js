@@ -0,0 +1,35 @@
+/**
+ * audit_log: one row per mutating API request (shared/audit-trail.js), with the
+ * touched entity's row before/after and the changed fields where known.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        portal TEXT,
+        actor_id TEXT,
+        actor_email TEXT,
+        method TEXT,
+        route TEXT,
+        path TEXT,
+        status INTEGER,
+        entity_table TEXT,
+        entity_id TEXT,
+        before_json TEXT,
+        after_json TEXT,
+        changes_json TEXT,
+        body_json TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_table, entity_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_email)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * team_member_roles: roles assigned to team members, optionally scoped to one
+ * project (shared/permissions.js). Replaces users.is_admin as the source of truth;
+ * existing admins are granted 'admin' at boot by grantLegacyAdmins().
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS team_member_roles (
+        id TEXT PRIMARY KEY,
+        team_member_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        project TEXT,
+        granted_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (team_member_id) REFERENCES team_members(id)
+    )`);
+    db.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_team_member_roles_unique ON team_member_roles(team_member_id, role, IFNULL(project, ''))");
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS team_member_roles');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+/**
+ * auth_sessions: one row per sign-in (shared/auth-sessions.js), holding the hashed
+ * current and previous refresh token so a revoked session's access tokens stop working.
+ * password_resets: hashed single-use reset tokens for users and accelerator applicants.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        subject_type TEXT NOT NULL,
+        subject_id TEXT NOT NULL,
+        portal TEXT,
+        refresh_hash TEXT NOT NULL,
+        previous_refresh_hash TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TEXT,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_reason TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_auth_sessions_subject ON auth_sessions(subject_type, subject_id)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS password_resets (
+        id TEXT PRIMARY KEY,
+        subject_type TEXT NOT NULL,
+        subject_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        ip TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_password_resets_token ON password_resets(token_hash)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS password_resets');
+    db.run('DROP TABLE IF EXISTS auth_sessions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+/**
+ * user_two_factor: TOTP enrollment per user (shared/two-factor.js) — the encrypted
+ * secret, the last accepted time step and hashed backup codes. A row without
+ * enabled_at is a setup that was started but never confirmed.
+ * auth_sessions.two_factor marks sessions opened with a second factor, so access
+ * tokens of accounts that need 2FA are refused without one.
+ */
+
+function up(db, { addColumn }) {
+    db.run(`CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id TEXT PRIMARY KEY,
+        secret_enc TEXT NOT NULL,
+        backup_codes TEXT,
+        last_step INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        enabled_at TEXT,
+        last_used_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    addColumn('auth_sessions', 'two_factor', 'INTEGER DEFAULT 0');
+}
+
+function down(db, { dropColumn }) {
+    dropColumn('auth_sessions', 'two_factor');
+    db.run('DROP TABLE IF EXISTS user_two_factor');
+}
+
+module.exports = { up, down };
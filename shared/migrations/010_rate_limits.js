@@ -0,0 +1,29 @@
+/**
+ * rate_limits: failed-attempt counters per rule and key (client IP, account) with
+ * progressive lockouts (shared/rate-limits.js). One table for both portals, so a
+ * block set by one holds in the other.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS rate_limits (
+        id TEXT PRIMARY KEY,
+        rule TEXT NOT NULL,
+        key TEXT NOT NULL,
+        portal TEXT,
+        path TEXT,
+        hits INTEGER DEFAULT 0,
+        window_started_at TEXT,
+        lockouts INTEGER DEFAULT 0,
+        blocked_at TEXT,
+        blocked_until TEXT,
+        refused INTEGER DEFAULT 0,
+        last_hit_at TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_rate_limits_blocked ON rate_limits(blocked_until)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS rate_limits');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+/**
+ * scheduled_jobs: background jobs with their cron schedule, pause flag, next run and
+ * the lease that keeps two portals from running one at the same time (shared/jobs.js).
+ * job_runs: history of every run — trigger, attempt, outcome, result or error.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        name TEXT PRIMARY KEY,
+        schedule TEXT NOT NULL,
+        description TEXT,
+        portals TEXT,
+        paused INTEGER DEFAULT 0,
+        next_run_at TEXT,
+        last_run_at TEXT,
+        last_status TEXT,
+        last_error TEXT,
+        attempts INTEGER DEFAULT 0,
+        lease_owner TEXT,
+        lease_expires_at TEXT,
+        run_requested_at TEXT,
+        run_requested_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS job_runs (
+        id TEXT PRIMARY KEY,
+        job_name TEXT NOT NULL,
+        portal TEXT,
+        trigger TEXT,
+        attempt INTEGER DEFAULT 1,
+        triggered_by TEXT,
+        status TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        result TEXT,
+        error TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS job_runs');
+    db.run('DROP TABLE IF EXISTS scheduled_jobs');
+}
+
+module.exports = { up, down };
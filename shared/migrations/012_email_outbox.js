@@ -0,0 +1,31 @@
+/**
+ * email_log becomes the outbox (shared/email-outbox.js): the stored message body for
+ * retries and resends, the sending portal and transport, attempt bookkeeping and the
+ * provider's message id. resent_from links a resend to the original entry.
+ */
+
+const COLUMNS = [
+    ['portal', 'TEXT'],
+    ['from_address', 'TEXT'],
+    ['html_body', 'TEXT'],
+    ['transport', 'TEXT'],
+    ['message_id', 'TEXT'],
+    ['attempts', 'INTEGER DEFAULT 0'],
+    ['next_attempt_at', 'TEXT'],
+    ['last_attempt_at', 'TEXT'],
+    ['resent_from', 'TEXT']
+];
+
+function up(db, { addColumn }) {
+    COLUMNS.forEach(([column, definition]) => addColumn('email_log', column, definition));
+    db.run('CREATE INDEX IF NOT EXISTS idx_email_log_due ON email_log(status, next_attempt_at)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_email_log_created ON email_log(created_at)');
+}
+
+function down(db, { dropColumn }) {
+    db.run('DROP INDEX IF EXISTS idx_email_log_due');
+    db.run('DROP INDEX IF EXISTS idx_email_log_created');
+    [...COLUMNS].reverse().forEach(([column]) => dropColumn('email_log', column));
+}
+
+module.exports = { up, down };
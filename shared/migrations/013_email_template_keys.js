@@ -0,0 +1,25 @@
+/**
+ * email_templates gets a stable `key` that code renders by (shared/email-templates.js),
+ * a description for the admin list, `is_system` for the built-in templates and who
+ * last edited the wording. `variables` now holds the JSON list of variable types.
+ */
+
+const COLUMNS = [
+    ['key', 'TEXT'],
+    ['description', 'TEXT'],
+    ['is_system', 'INTEGER DEFAULT 0'],
+    ['updated_at', 'TEXT'],
+    ['updated_by', 'TEXT']
+];
+
+function up(db, { addColumn }) {
+    COLUMNS.forEach(([column, definition]) => addColumn('email_templates', column, definition));
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_key ON email_templates(key)');
+}
+
+function down(db, { dropColumn }) {
+    db.run('DROP INDEX IF EXISTS idx_email_templates_key');
+    [...COLUMNS].reverse().forEach(([column]) => dropColumn('email_templates', column));
+}
+
+module.exports = { up, down };
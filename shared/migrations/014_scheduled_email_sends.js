@@ -0,0 +1,50 @@
+/**
+ * scheduled_emails gets the announcement text (subject/body_text, _hr for Croatian),
+ * send bookkeeping and who cancelled it (shared/scheduled-emails.js).
+ * scheduled_email_recipients: the audience as resolved when sending started, one row
+ * per address, so a half-finished send resumes where it stopped.
+ */
+
+const COLUMNS = [
+    ['subject', 'TEXT'],
+    ['subject_hr', 'TEXT'],
+    ['body_text', 'TEXT'],
+    ['body_text_hr', 'TEXT'],
+    ['recipient_count', 'INTEGER'],
+    ['failed_count', 'INTEGER DEFAULT 0'],
+    ['started_at', 'TEXT'],
+    ['finished_at', 'TEXT'],
+    ['cancelled_at', 'TEXT'],
+    ['cancelled_by', 'TEXT'],
+    ['last_error', 'TEXT'],
+    ['updated_at', 'TEXT']
+];
+
+function up(db, { addColumn }) {
+    COLUMNS.forEach(([column, definition]) => addColumn('scheduled_emails', column, definition));
+    db.run('CREATE INDEX IF NOT EXISTS idx_scheduled_emails_due ON scheduled_emails(status, scheduled_for)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS scheduled_email_recipients (
+        id TEXT PRIMARY KEY,
+        scheduled_email_id TEXT NOT NULL,
+        email TEXT NOT NULL,
+        user_id TEXT,
+        name TEXT,
+        data TEXT,
+        lang TEXT,
+        status TEXT DEFAULT 'pending',
+        email_log_id TEXT,
+        error TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        sent_at TEXT,
+        UNIQUE(scheduled_email_id, email)
+    )`);
+}
+
+function down(db, { dropColumn }) {
+    db.run('DROP TABLE IF EXISTS scheduled_email_recipients');
+    db.run('DROP INDEX IF EXISTS idx_scheduled_emails_due');
+    [...COLUMNS].reverse().forEach(([column]) => dropColumn('scheduled_emails', column));
+}
+
+module.exports = { up, down };
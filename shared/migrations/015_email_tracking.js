@@ -0,0 +1,38 @@
+/**
+ * email_tracking: one row per recipient of a tracked email (newsletter, Forum
+ * invitation) with its first open/click and counts (shared/email-tracking.js).
+ * email_tracking_events: every open and click, for the per-recipient history.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS email_tracking (
+        id TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        recipient_email TEXT NOT NULL,
+        email_log_id TEXT,
+        opened_at TEXT,
+        clicked_at TEXT,
+        open_count INTEGER DEFAULT 0,
+        click_count INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_email_tracking_source ON email_tracking(source, source_id)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS email_tracking_events (
+        id TEXT PRIMARY KEY,
+        tracking_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        url TEXT,
+        user_agent TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_email_tracking_events_tracking ON email_tracking_events(tracking_id)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS email_tracking_events');
+    db.run('DROP TABLE IF EXISTS email_tracking');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+/**
+ * pr_subscriber_changes: every unsubscribe and preference change of a PR subscriber —
+ * before/after, the channel (one-click header, unsubscribe page, preference center,
+ * admin) and the request it came from — as GDPR evidence (shared/subscriptions.js).
+ * email_log.headers keeps extra message headers (List-Unsubscribe) for retries.
+ */
+
+function up(db, { addColumn }) {
+    addColumn('email_log', 'headers', 'TEXT');
+    addColumn('pr_subscribers', 'updated_at', 'TEXT');
+
+    db.run(`CREATE TABLE IF NOT EXISTS pr_subscriber_changes (
+        id TEXT PRIMARY KEY,
+        subscriber_id TEXT NOT NULL,
+        email TEXT NOT NULL,
+        action TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        status_before TEXT,
+        status_after TEXT,
+        projects_before TEXT,
+        projects_after TEXT,
+        language_before TEXT,
+        language_after TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        changed_by TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_pr_subscriber_changes_subscriber ON pr_subscriber_changes(subscriber_id, created_at)');
+}
+
+function down(db, { dropColumn }) {
+    db.run('DROP TABLE IF EXISTS pr_subscriber_changes');
+    dropColumn('pr_subscribers', 'updated_at');
+    dropColumn('email_log', 'headers');
+}
+
+module.exports = { up, down };
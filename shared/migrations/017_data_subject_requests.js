@@ -0,0 +1,23 @@
+/**
+ * data_subject_requests: GDPR exports and erasures done from the admin portal
+ * (shared/data-subjects.js). The person is identified by a SHA-256 of their address
+ * so the log itself holds no personal data; summary has the per-table counts.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS data_subject_requests (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        subject_hash TEXT NOT NULL,
+        requested_by TEXT,
+        summary TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_data_subject_requests_subject ON data_subject_requests(subject_hash)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS data_subject_requests');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,85 @@
+/**
+ * consent_records: the consent ledger (shared/consents.js) — purpose, policy version,
+ * where and when a consent was given and, once withdrawn, where and when that was.
+ *
+ * Backfilled from the per-module flags with policy_version 'legacy': Accelerator
+ * (accelerator_consents and accelerator_applications.gdpr_consent), Plexus
+ * registration and photo consent, Forum membership. user_profiles.receive_newsletter
+ * is not carried over — it defaulted to 1 without anyone being asked.
+ */
+
+const LEGACY = "'legacy'";
+const NEW_ID = 'lower(hex(randomblob(16)))';
+
+function up(db, { hasTable }) {
+    db.run(`CREATE TABLE IF NOT EXISTS consent_records (
+        id TEXT PRIMARY KEY,
+        purpose TEXT NOT NULL,
+        policy_version TEXT NOT NULL,
+        email TEXT NOT NULL,
+        user_id TEXT,
+        applicant_id TEXT,
+        context_type TEXT,
+        context_id TEXT,
+        source TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        recorded_by TEXT,
+        granted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        withdrawn_at TEXT,
+        withdrawn_source TEXT,
+        withdrawn_ip TEXT,
+        withdrawn_user_agent TEXT,
+        withdrawn_by TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_consent_records_email ON consent_records(email, purpose)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_consent_records_context ON consent_records(purpose, context_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_consent_records_user ON consent_records(user_id)');
+
+    // Applications point at a portal account or an applicant-portal account through the same column
+    if (hasTable('accelerator_applications')) {
+        const account = 'CASE WHEN a.user_id IN (SELECT id FROM users) THEN a.user_id END';
+        const applicant = hasTable('accelerator_applicants')
+            ? 'CASE WHEN a.user_id IN (SELECT id FROM accelerator_applicants) THEN a.user_id END' : 'NULL';
+        if (hasTable('accelerator_consents')) {
+            db.run(`INSERT INTO consent_records (id, purpose, policy_version, email, user_id, applicant_id, context_type, context_id, source, ip, granted_at)
+                SELECT ${NEW_ID}, 'accelerator', ${LEGACY}, LOWER(TRIM(a.email)), ${account}, ${applicant},
+                    'application', a.id, 'migration: accelerator_consents', c.ip_address, COALESCE(c.consented_at, a.created_at)
+                FROM accelerator_consents c JOIN accelerator_applications a ON a.id = c.application_id
+                WHERE c.consented = 1 AND a.email IS NOT NULL
+                GROUP BY a.id`);
+        }
+        db.run(`INSERT INTO consent_records (id, purpose, policy_version, email, user_id, applicant_id, context_type, context_id, source, granted_at)
+            SELECT ${NEW_ID}, 'accelerator', ${LEGACY}, LOWER(TRIM(a.email)), ${account}, ${applicant},
+                'application', a.id, 'migration: accelerator_applications', COALESCE(a.gdpr_consent_date, a.submitted_at, a.created_at)
+            FROM accelerator_applications a
+            WHERE a.gdpr_consent = 1 AND a.email IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM consent_records r WHERE r.purpose = 'accelerator' AND r.context_id = a.id)`);
+    }
+
+    if (hasTable('registration_details')) {
+        for (const [purpose, column] of [['registration', 'gdpr_consent'], ['photography', 'photo_consent']]) {
+            db.run(`INSERT INTO consent_records (id, purpose, policy_version, email, user_id, context_type, context_id, source, granted_at)
+                SELECT ${NEW_ID}, '${purpose}', ${LEGACY}, LOWER(TRIM(u.email)), u.id, 'registration', r.id,
+                    'migration: registration_details.${column}', r.created_at
+                FROM registration_details d
+                JOIN registrations r ON r.id = d.registration_id
+                JOIN users u ON u.id = r.user_id
+                WHERE d.${column} = 1`);
+        }
+    }
+
+    if (hasTable('forum_members')) {
+        db.run(`INSERT INTO consent_records (id, purpose, policy_version, email, user_id, context_type, context_id, source, granted_at)
+            SELECT ${NEW_ID}, 'forum', ${LEGACY}, LOWER(TRIM(u.email)), u.id, 'membership', m.id,
+                'migration: forum_members', COALESCE(m.gdpr_consent_date, m.application_submitted_at, m.created_at)
+            FROM forum_members m JOIN users u ON u.id = m.user_id
+            WHERE m.gdpr_consent = 1`);
+    }
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS consent_records');
+}
+
+module.exports = { up, down };
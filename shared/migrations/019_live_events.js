@@ -0,0 +1,23 @@
+/**
+ * live_events: append-only log behind the real-time event stream (shared/live-events.js).
+ * The autoincrement id is the SSE event id — both portals tail it in order and clients
+ * resume from the last id they saw. Rows are pruned after a day.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS live_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        type TEXT NOT NULL,
+        payload TEXT,
+        origin TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_live_events_channel ON live_events(channel, id)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS live_events');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,78 @@
+/**
+ * Web Push (shared/web-push.js): browser subscriptions per user, per-category
+ * opt-outs, the push outbox and the VAPID key pair when it isn't set in the
+ * environment.
+ *
+ * user_notifications and announcements get `pushed_at`; rows that exist already are
+ * stamped so the first run doesn't push the whole history.
+ */
+
+function up(db, { hasTable, hasColumn, addColumn }) {
+    db.run(`CREATE TABLE IF NOT EXISTS push_subscriptions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        endpoint TEXT UNIQUE NOT NULL,
+        p256dh TEXT NOT NULL,
+        auth TEXT NOT NULL,
+        user_agent TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_success_at TEXT,
+        failure_count INTEGER DEFAULT 0
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS push_preferences (
+        user_id TEXT NOT NULL,
+        category TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, category)
+    )`);
+
+    // One row per user and source record — the unique key keeps a reminder from going out twice
+    db.run(`CREATE TABLE IF NOT EXISTS push_messages (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        category TEXT NOT NULL,
+        source TEXT NOT NULL,
+        source_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT,
+        url TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        devices INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        sent_at TEXT,
+        UNIQUE (source, source_id, user_id)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_push_messages_due ON push_messages(status, next_attempt_at)');
+
+    db.run(`CREATE TABLE IF NOT EXISTS web_push_keys (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        public_key TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    for (const table of ['user_notifications', 'announcements']) {
+        if (hasTable(table) && !hasColumn(table, 'pushed_at')) {
+            addColumn(table, 'pushed_at', 'TEXT');
+            db.run(`UPDATE ${table} SET pushed_at = datetime('now')`);
+        }
+    }
+}
+
+function down(db, { hasTable, hasColumn, dropColumn }) {
+    for (const table of ['user_notifications', 'announcements']) {
+        if (hasTable(table) && hasColumn(table, 'pushed_at')) dropColumn(table, 'pushed_at');
+    }
+    db.run('DROP TABLE IF EXISTS web_push_keys');
+    db.run('DROP TABLE IF EXISTS push_messages');
+    db.run('DROP TABLE IF EXISTS push_preferences');
+    db.run('DROP TABLE IF EXISTS push_subscriptions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+/**
+ * Offline check-in (shared/offline-checkin.js): the key pair that signs attendee
+ * rosters when it isn't set in the environment, and one row per scan a device synced
+ * — its id is the device's own, so a retried sync is recognised.
+ */
+
+function up(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS offline_checkin_keys (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        public_key TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS offline_checkins (
+        id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        attendee_id TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        user_id TEXT,
+        scanned_at TEXT NOT NULL,
+        result TEXT NOT NULL,
+        conflict_with TEXT,
+        synced_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_offline_checkins_attendee ON offline_checkins(kind, event_id, attendee_id)');
+}
+
+function down(db) {
+    db.run('DROP TABLE IF EXISTS offline_checkins');
+    db.run('DROP TABLE IF EXISTS offline_checkin_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,116 @@
+/**
+ * Full-text search (shared/search.js): one FTS5 index over registrations, speakers,
+ * sessions, abstracts, Accelerator applications, Forum members and posts, contacts,
+ * invoices and chat messages.
+ *
+ * search_documents maps an FTS rowid to its source row (type + ref_id) and the scope
+ * search filters on — the conference, programme year, project or chat channel.
+ * Triggers on every source table keep both in step with inserts, updates and deletes,
+ * whichever portal makes them. The trigger definitions are frozen here; a change to
+ * what a type indexes needs a new migration that drops and recreates its triggers.
+ */
+
+// {r} is the source row: NEW inside a trigger, the table itself when backfilling
+const SOURCES = [
+    {
+        type: 'registration', table: 'registrations', scope: '{r}.conference_id',
+        title: "TRIM(COALESCE({r}.first_name, (SELECT first_name FROM users WHERE id = {r}.user_id), '') || ' ' || COALESCE({r}.last_name, (SELECT last_name FROM users WHERE id = {r}.user_id), ''))",
+        body: "CONCAT_WS(' ', COALESCE({r}.email, (SELECT email FROM users WHERE id = {r}.user_id)), {r}.institution, {r}.country, {r}.invoice_number, {r}.registration_type)"
+    },
+    {
+        type: 'speaker', table: 'speakers', scope: '{r}.conference_id',
+        title: '{r}.name',
+        body: "CONCAT_WS(' ', {r}.title, {r}.institution, {r}.talk_title, {r}.email, {r}.speaker_type)"
+    },
+    {
+        type: 'session', table: 'sessions', scope: '{r}.conference_id',
+        title: '{r}.title',
+        body: "CONCAT_WS(' ', {r}.description, {r}.session_type, {r}.room, {r}.track)"
+    },
+    {
+        type: 'abstract', table: 'abstracts', scope: '{r}.conference_id',
+        title: '{r}.title',
+        body: "CONCAT_WS(' ', {r}.submitter_name, {r}.submitter_email, {r}.keywords, {r}.topic_category, {r}.abstract_text)"
+    },
+    {
+        type: 'accelerator_application', table: 'accelerator_applications', scope: '{r}.year',
+        title: "TRIM(COALESCE({r}.first_name, '') || ' ' || COALESCE({r}.last_name, ''))",
+        body: "CONCAT_WS(' ', {r}.application_number, {r}.email, {r}.current_institution, {r}.current_position, {r}.degree_program, {r}.research_interests)"
+    },
+    {
+        type: 'forum_member', table: 'forum_members', scope: 'NULL',
+        title: "TRIM(COALESCE({r}.first_name, '') || ' ' || COALESCE({r}.last_name, ''))",
+        body: "CONCAT_WS(' ', {r}.email, {r}.institution, {r}.position, {r}.specialty, {r}.location_city, {r}.research_interests)"
+    },
+    {
+        type: 'forum_post', table: 'forum_posts', scope: 'NULL',
+        title: "COALESCE(NULLIF({r}.title, ''), SUBSTR({r}.content, 1, 80))",
+        body: "CONCAT_WS(' ', {r}.content, {r}.tags)"
+    },
+    {
+        type: 'contact', table: 'contacts', scope: 'NULL',
+        title: "TRIM(COALESCE({r}.first_name, '') || ' ' || COALESCE({r}.last_name, ''))",
+        body: "CONCAT_WS(' ', {r}.email, {r}.organization, {r}.position, {r}.contact_type, {r}.tags, {r}.city, {r}.country, {r}.notes)"
+    },
+    {
+        type: 'invoice', table: 'finance_invoices', scope: '{r}.project',
+        title: "CONCAT_WS(' — ', {r}.invoice_number, {r}.party_name)",
+        body: "CONCAT_WS(' ', {r}.party_email, {r}.payment_reference, {r}.notes, {r}.invoice_type)"
+    },
+    {
+        type: 'conference_invoice', table: 'invoices', scope: 'NULL',
+        title: "CONCAT_WS(' — ', {r}.invoice_number, {r}.recipient_name)",
+        body: "CONCAT_WS(' ', {r}.recipient_email, {r}.recipient_address)"
+    },
+    {
+        type: 'chat_message', table: 'chat_messages', scope: '{r}.channel_id',
+        title: "COALESCE((SELECT name FROM team_members WHERE id = {r}.sender_id), '')",
+        body: '{r}.message'
+    }
+];
+
+function triggers(db, { type, table, scope, title, body }) {
+    const at = (expr, row) => expr.replace(/\{r\}/g, row);
+    const doc = (row) => `(SELECT id FROM search_documents WHERE type = '${type}' AND ref_id = ${row}.id)`;
+    const insert = `
+        INSERT INTO search_documents (type, ref_id, scope) VALUES ('${type}', NEW.id, ${at(scope, 'NEW')});
+        INSERT INTO search_index (rowid, title, body) VALUES (${doc('NEW')}, ${at(title, 'NEW')}, ${at(body, 'NEW')});`;
+    const remove = `
+        DELETE FROM search_index WHERE rowid = ${doc('OLD')};
+        DELETE FROM search_documents WHERE type = '${type}' AND ref_id = OLD.id;`;
+    db.run(`CREATE TRIGGER IF NOT EXISTS search_${table}_ai AFTER INSERT ON ${table} BEGIN ${insert} END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS search_${table}_au AFTER UPDATE ON ${table} BEGIN ${remove} ${insert} END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS search_${table}_ad AFTER DELETE ON ${table} BEGIN ${remove} END`);
+
+    // Rows that exist already
+    db.run(`INSERT OR IGNORE INTO search_documents (type, ref_id, scope) SELECT '${type}', id, ${at(scope, table)} FROM ${table}`);
+    db.run(`INSERT INTO search_index (rowid, title, body)
+        SELECT d.id, ${at(title, table)}, ${at(body, table)} FROM ${table} JOIN search_documents d ON d.type = '${type}' AND d.ref_id = ${table}.id`);
+}
+
+function up(db, { hasTable }) {
+    db.run(`CREATE TABLE IF NOT EXISTS search_documents (
+        id INTEGER PRIMARY KEY,
+        type TEXT NOT NULL,
+        ref_id TEXT NOT NULL,
+        scope TEXT,
+        UNIQUE (type, ref_id)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_search_documents_scope ON search_documents(type, scope)');
+    // Diacritics folded so "Čović" is found as "covic"
+    db.run("CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(title, body, tokenize = 'unicode61 remove_diacritics 2')");
+
+    for (const source of SOURCES) {
+        if (hasTable(source.table)) triggers(db, source);
+    }
+}
+
+function down(db) {
+    for (const { table } of SOURCES) {
+        for (const suffix of ['ai', 'au', 'ad']) db.run(`DROP TRIGGER IF EXISTS search_${table}_${suffix}`);
+    }
+    db.run('DROP TABLE IF EXISTS search_index');
+    db.run('DROP TABLE IF EXISTS search_documents');
+}
+
+module.exports = { up, down };
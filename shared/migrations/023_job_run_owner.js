@@ -0,0 +1,14 @@
+/**
+ * job_runs.owner: the scheduler instance that ran it (shared/jobs.js). Runs left
+ * `running` are only marked abandoned once their owner has stopped renewing its lease.
+ */
+
+function up(db, { addColumn }) {
+    addColumn('job_runs', 'owner', 'TEXT');
+}
+
+function down(db, { dropColumn }) {
+    dropColumn('job_runs', 'owner');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+/**
+ * One email_tracking row per recipient of a source record (shared/email-tracking.js):
+ * a re-sent newsletter reuses the rows of the earlier attempt. Duplicates left by
+ * earlier re-sends are merged into the oldest row, events included.
+ */
+
+function up(db, { all }) {
+    const groups = all(`SELECT source, source_id, recipient_email FROM email_tracking
+        GROUP BY source, source_id, recipient_email HAVING COUNT(*) > 1`);
+    for (const g of groups) {
+        const rows = all(`SELECT * FROM email_tracking WHERE source = ? AND source_id = ? AND recipient_email = ?
+            ORDER BY created_at, id`, [g.source, g.source_id, g.recipient_email]);
+        const [keep, ...extra] = rows;
+        const earliest = (field) => rows.map(r => r[field]).filter(Boolean).sort()[0] || null;
+        const latestLog = [...rows].reverse().find(r => r.email_log_id)?.email_log_id || null;
+        for (const row of extra) {
+            db.run('UPDATE email_tracking_events SET tracking_id = ? WHERE tracking_id = ?', [keep.id, row.id]);
+            db.run('DELETE FROM email_tracking WHERE id = ?', [row.id]);
+        }
+        db.run(`UPDATE email_tracking SET email_log_id = ?, opened_at = ?, clicked_at = ?, open_count = ?, click_count = ? WHERE id = ?`,
+            [latestLog, earliest('opened_at'), earliest('clicked_at'),
+             rows.reduce((n, r) => n + (r.open_count || 0), 0), rows.reduce((n, r) => n + (r.click_count || 0), 0), keep.id]);
+    }
+    db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_email_tracking_recipient ON email_tracking(source, source_id, recipient_email)');
+}
+
+function down(db) {
+    db.run('DROP INDEX IF EXISTS idx_email_tracking_recipient');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI — run from either backend directory (`npm run migrate -- <command>`).
+ *
+ *   status            List migrations and whether they are applied
+ *   up [version]      Apply pending migrations (up to version, default latest)
+ *   down <version>    Revert applied migrations above version
+ *
+ * Migrations write straight to the shared WAL database, so running portals see
+ * the new schema at once — restart them afterwards so their boot-time version
+ * check covers the new code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./index');
+const { openDatabase } = require('../sqlite-adapter');
+
+// better-sqlite3 is installed per backend, so resolve it from the directory we're run in
+const Database = require(require.resolve('better-sqlite3', { paths: [process.cwd()] }));
+
+const SHARED_DB_PATH = path.join(__dirname, '../medx_portal.db');
+const DB_PATH = process.env.DATABASE_PATH || SHARED_DB_PATH;
+
+function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    if (!fs.existsSync(DB_PATH)) throw new Error(`Database not found at ${DB_PATH}`);
+    const db = openDatabase(Database, DB_PATH);
+
+    if (command === 'status') {
+        const s = migrations.status(db);
+        console.log(`Database version: ${s.databaseVersion} (latest: ${s.latestVersion})`);
+        s.migrations.forEach(m => console.log(
+            `  ${String(m.version).padStart(3, '0')} ${m.name.padEnd(40)} ${m.applied_at ? `applied ${m.applied_at} by ${m.applied_by || '?'}` : 'pending'}${m.reversible ? '' : ' (irreversible)'}`
+        ));
+        return;
+    }
+
+    let changed;
+    if (command === 'up') {
+        changed = migrations.migrate(db, { portal: 'cli', target: arg != null ? parseInt(arg, 10) : undefined });
+    } else if (command === 'down') {
+        if (arg == null) throw new Error('Usage: down <target-version>');
+        changed = migrations.rollback(db, { target: parseInt(arg, 10) });
+    } else {
+        throw new Error(`Unknown command "${command}" (expected status, up or down)`);
+    }
+    db.close();
+    console.log(changed.length ? `Done: ${changed.join(', ')}` : 'Nothing to do');
+}
+
+try {
+    main();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
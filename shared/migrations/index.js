@@ -0,0 +1,195 @@
+/**
+ * Versioned schema migrations shared by the admin and user portals.
+ *
+ * Migration files live next to this module and are named `NNN_description.js`.
+ * Each exports `up(db, helpers)` and optionally `down(db, helpers)`; `db` is the
+ * portal database (shared/sqlite-adapter.js) and `helpers` offers
+ * hasTable/hasColumn/addColumn so migrations don't need the old
+ * `try { ALTER TABLE } catch(e) {}` pattern.
+ *
+ * Applied versions are recorded in `schema_version`. A portal whose newest known
+ * migration is older than the database's version refuses to boot — it would
+ * otherwise run against a schema it doesn't understand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d{3,})_([\w-]+)\.js$/;
+
+class SchemaVersionError extends Error {
+    constructor(message, { databaseVersion, portalVersion }) {
+        super(message);
+        this.name = 'SchemaVersionError';
+        this.databaseVersion = databaseVersion;
+        this.portalVersion = portalVersion;
+    }
+}
+
+function all(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    if (params.length) stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    stmt.free();
+    return rows;
+}
+
+function createHelpers(db) {
+    const hasTable = table =>
+        all(db, "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?", [table]).length > 0;
+    const hasColumn = (table, column) =>
+        hasTable(table) && all(db, `PRAGMA table_info("${table}")`).some(c => c.name === column);
+    const addColumn = (table, column, definition) => {
+        if (!hasColumn(table, column)) db.run(`ALTER TABLE "${table}" ADD COLUMN "${column}" ${definition}`);
+    };
+    const dropColumn = (table, column) => {
+        if (hasColumn(table, column)) db.run(`ALTER TABLE "${table}" DROP COLUMN "${column}"`);
+    };
+    return { hasTable, hasColumn, addColumn, dropColumn, all: (sql, params) => all(db, sql, params) };
+}
+
+/**
+ * Load migration files in version order.
+ */
+function loadMigrations(dir = __dirname) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(m => m.match)
+        .map(({ file, match }) => {
+            const mod = require(path.join(dir, file));
+            if (typeof mod.up !== 'function') throw new Error(`Migration ${file} has no up()`);
+            return { version: parseInt(match[1], 10), name: match[2], file, up: mod.up, down: mod.down || null };
+        })
+        .sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+        }
+    }
+    return migrations;
+}
+
+function ensureVersionTable(db) {
+    db.run(`CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_by TEXT,
+        applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )`);
+}
+
+function currentVersion(db) {
+    ensureVersionTable(db);
+    return all(db, 'SELECT MAX(version) as v FROM schema_version')[0].v || 0;
+}
+
+function latestVersion(migrations = loadMigrations()) {
+    return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Throw SchemaVersionError when the database was migrated past what this code knows.
+ */
+function assertNotBehind(db, portal, migrations = loadMigrations()) {
+    const databaseVersion = currentVersion(db);
+    const portalVersion = latestVersion(migrations);
+    if (databaseVersion > portalVersion) {
+        throw new SchemaVersionError(
+            `Database schema is at version ${databaseVersion} but the ${portal} portal only knows up to ${portalVersion}. Deploy the latest code for this portal before starting it.`,
+            { databaseVersion, portalVersion }
+        );
+    }
+    return { databaseVersion, portalVersion };
+}
+
+function inTransaction(db, fn) {
+    db.run('BEGIN IMMEDIATE');
+    try {
+        fn();
+        db.run('COMMIT');
+    } catch (err) {
+        db.run('ROLLBACK');
+        throw err;
+    }
+}
+
+/**
+ * Apply pending migrations up to `target` (default: latest). Each migration runs in
+ * its own transaction together with its schema_version row.
+ *
+ * @returns {Array<number>} Versions applied
+ */
+function migrate(db, { portal, target, migrations = loadMigrations() } = {}) {
+    assertNotBehind(db, portal, migrations);
+    const applied = new Set(all(db, 'SELECT version FROM schema_version').map(r => r.version));
+    const upTo = target == null ? latestVersion(migrations) : target;
+    const helpers = createHelpers(db);
+    const done = [];
+    for (const m of migrations) {
+        if (m.version > upTo || applied.has(m.version)) continue;
+        inTransaction(db, () => {
+            m.up(db, helpers);
+            db.run('INSERT INTO schema_version (version, name, applied_by) VALUES (?, ?, ?)', [m.version, m.name, portal || null]);
+        });
+        console.log(`[Migrations] Applied ${m.file}`);
+        done.push(m.version);
+    }
+    return done;
+}
+
+/**
+ * Revert applied migrations above `target`, newest first.
+ *
+ * @returns {Array<number>} Versions reverted
+ */
+function rollback(db, { target, migrations = loadMigrations() } = {}) {
+    if (target == null || target < 0) throw new Error('rollback needs a target version');
+    ensureVersionTable(db);
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+    const applied = all(db, 'SELECT version FROM schema_version WHERE version > ? ORDER BY version DESC', [target]);
+    const helpers = createHelpers(db);
+    const done = [];
+    for (const { version } of applied) {
+        const m = byVersion.get(version);
+        if (!m) throw new Error(`Cannot roll back version ${version}: migration file not found`);
+        if (!m.down) throw new Error(`Migration ${m.file} is irreversible`);
+        inTransaction(db, () => {
+            m.down(db, helpers);
+            db.run('DELETE FROM schema_version WHERE version = ?', [version]);
+        });
+        console.log(`[Migrations] Reverted ${m.file}`);
+        done.push(version);
+    }
+    return done;
+}
+
+/**
+ * Applied/pending overview for the tech dashboard and CLI.
+ */
+function status(db, migrations = loadMigrations()) {
+    ensureVersionTable(db);
+    const applied = new Map(all(db, 'SELECT * FROM schema_version').map(r => [r.version, r]));
+    return {
+        databaseVersion: currentVersion(db),
+        latestVersion: latestVersion(migrations),
+        migrations: migrations.map(m => ({
+            version: m.version,
+            name: m.name,
+            reversible: !!m.down,
+            applied_at: applied.get(m.version)?.applied_at || null,
+            applied_by: applied.get(m.version)?.applied_by || null
+        }))
+    };
+}
+
+module.exports = {
+    SchemaVersionError,
+    loadMigrations,
+    currentVersion,
+    latestVersion,
+    assertNotBehind,
+    migrate,
+    rollback,
+    status
+};
@@ -0,0 +1,286 @@
+/**
+ * Offline Check-in — signed attendee rosters for door staff on bad Wi-Fi, and the
+ * sync that replays what was scanned while offline. Shared by both portals.
+ *
+ * A device downloads the roster of one event (GET .../:kind/:eventId/roster) while
+ * it still has a connection. The roster is signed with an ECDSA P-256 key the
+ * device fetched earlier (GET /api/checkin/offline/public-key), so the copy kept in
+ * IndexedDB can't be edited into a guest list. Lookup goes through SHA-256 hashes
+ * of the codes that identify each attendee (salted with the roster id) — the device
+ * hashes whatever it scans the same way — so ticket codes and gala emails aren't
+ * stored in the clear. Attendee ids are; sync refers to them.
+ *
+ * Scans made offline are queued on the device and sent with POST .../sync. Every
+ * queued scan has a client-generated id, so a sync that is retried after a lost
+ * response changes nothing. When two devices (or one device and the online
+ * scanner) checked in the same attendee, the earliest scan wins: checked_in_at is
+ * moved back to it, and the later one comes back as `duplicate` with who was first.
+ *
+ * The key pair comes from OFFLINE_CHECKIN_PUBLIC_KEY/OFFLINE_CHECKIN_PRIVATE_KEY
+ * (base64url, raw P-256 point and scalar), or is generated once into
+ * `offline_checkin_keys` so both portals sign with the same key.
+ */
+
+const crypto = require('crypto');
+
+const ROSTER_TTL_HOURS = 48;
+const MAX_SYNC_BATCH = 500;
+
+class OfflineCheckinError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'OfflineCheckinError';
+        this.status = status;
+    }
+}
+
+const b64 = (buf) => Buffer.from(buf).toString('base64url');
+
+// What can be checked in offline. `project` is the staff area it belongs to; `codes`
+// are the values the online check-in endpoints accept for that attendee.
+const KINDS = {
+    plexus: {
+        project: 'plexus',
+        label: 'Plexus',
+        table: 'registrations',
+        events: (query) => query.all("SELECT id, name, start_date as date FROM conferences WHERE series = 'plexus' ORDER BY is_current DESC, year DESC"),
+        event: (query, id) => query.get('SELECT id, name, start_date as date FROM conferences WHERE id = ?', [id]),
+        attendees: (query, eventId) => query.all(`
+            SELECT r.id, COALESCE(r.first_name, u.first_name) as first_name, COALESCE(r.last_name, u.last_name) as last_name,
+                   t.name as ticket, r.status, r.checked_in, r.checked_in_at
+            FROM registrations r LEFT JOIN users u ON r.user_id = u.id LEFT JOIN ticket_types t ON r.ticket_type_id = t.id
+            WHERE r.conference_id = ?`, [eventId]),
+        find: (query, eventId, id) => query.get('SELECT id, checked_in, checked_in_at FROM registrations WHERE id = ? AND conference_id = ?', [id, eventId]),
+        codes: (a) => [a.id]
+    },
+    gala: {
+        project: 'plexus',
+        label: 'Gala',
+        table: 'gala_registrations',
+        // One gala, configured in gala_settings
+        events: (query) => {
+            const gala = query.get("SELECT title, date FROM gala_settings WHERE id = 'default'");
+            return [{ id: 'default', name: gala?.title || 'Gala', date: gala?.date || null }];
+        },
+        event: (query, id) => id === 'default' ? KINDS.gala.events(query)[0] : null,
+        attendees: (query) => query.all('SELECT id, first_name, last_name, email, pricing as ticket, status, checked_in, checked_in_at FROM gala_registrations'),
+        find: (query, eventId, id) => query.get('SELECT id, checked_in, checked_in_at FROM gala_registrations WHERE id = ?', [id]),
+        codes: (a) => [a.id, a.email]
+    },
+    forum: {
+        project: 'forum',
+        label: 'Forum',
+        table: 'forum_event_registrations',
+        events: (query) => query.all("SELECT id, title as name, start_date as date FROM forum_events WHERE status != 'cancelled' ORDER BY start_date DESC"),
+        event: (query, id) => query.get('SELECT id, title as name, start_date as date FROM forum_events WHERE id = ?', [id]),
+        attendees: (query, eventId) => query.all(`
+            SELECT fer.id, COALESCE(fer.first_name, fm.first_name) as first_name, COALESCE(fer.last_name, fm.last_name) as last_name,
+                   fer.name, fer.ticket_type as ticket, fer.status, fer.qr_code, fer.checked_in, fer.checked_in_at
+            FROM forum_event_registrations fer LEFT JOIN forum_members fm ON fer.member_id = fm.id
+            WHERE fer.event_id = ?`, [eventId]),
+        find: (query, eventId, id) => query.get('SELECT id, checked_in, checked_in_at FROM forum_event_registrations WHERE id = ? AND event_id = ?', [id, eventId]),
+        codes: (a) => [a.id, a.qr_code]
+    },
+    bridges: {
+        project: 'bridges',
+        label: 'Bridges',
+        table: 'bridges_registrations',
+        events: (query) => query.all("SELECT id, name || COALESCE(' — ' || city, '') as name, event_date as date FROM bridges_events WHERE status != 'cancelled' ORDER BY event_date DESC"),
+        event: (query, id) => query.get("SELECT id, name || COALESCE(' — ' || city, '') as name, event_date as date FROM bridges_events WHERE id = ?", [id]),
+        attendees: (query, eventId) => query.all(`
+            SELECT id, first_name, last_name, position as ticket, status, qr_code, checked_in, checked_in_at
+            FROM bridges_registrations WHERE event_id = ?`, [eventId]),
+        find: (query, eventId, id) => query.get('SELECT id, checked_in, checked_in_at FROM bridges_registrations WHERE id = ? AND event_id = ?', [id, eventId]),
+        codes: (a) => [a.id, a.qr_code]
+    }
+};
+
+function codeHash(salt, code) {
+    return b64(crypto.createHash('sha256').update(`${salt}:${String(code).trim()}`).digest());
+}
+
+// SQLite's datetime('now') format, which the check-in columns use
+function sqliteTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * @param {Object} query - Portal query helper (get/all/run/transaction)
+ * @param {Object} [options]
+ * @param {string} [options.publicKey] - base64url uncompressed P-256 point
+ * @param {string} [options.privateKey] - base64url P-256 private scalar
+ * @param {Function} [options.onCheckin] - (kind, attendeeId) after a synced scan changed a check-in
+ */
+function createOfflineCheckin(query, { publicKey, privateKey, onCheckin } = {}) {
+    if (!publicKey || !privateKey) {
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        query.run('INSERT OR IGNORE INTO offline_checkin_keys (id, public_key, private_key) VALUES (1, ?, ?)',
+            [b64(ecdh.getPublicKey()), b64(ecdh.getPrivateKey())]);
+        ({ public_key: publicKey, private_key: privateKey } = query.get('SELECT public_key, private_key FROM offline_checkin_keys WHERE id = 1'));
+    }
+    const point = Buffer.from(publicKey, 'base64url');
+    const jwk = { kty: 'EC', crv: 'P-256', x: b64(point.subarray(1, 33)), y: b64(point.subarray(33, 65)) };
+    const signingKey = crypto.createPrivateKey({ key: { ...jwk, d: privateKey }, format: 'jwk' });
+    // Short id so a device can tell when the server's key has changed
+    const keyId = b64(crypto.createHash('sha256').update(point).digest()).slice(0, 16);
+
+    function kindOf(kind) {
+        const spec = KINDS[kind];
+        if (!spec) throw new OfflineCheckinError(`Unknown check-in kind: ${kind}`);
+        return spec;
+    }
+
+    function eventOf(spec, eventId) {
+        const event = spec.event(query, eventId);
+        if (!event) throw new OfflineCheckinError(`${spec.label} event not found`, 404);
+        return event;
+    }
+
+    /**
+     * Public key as a JWK for WebCrypto (ECDSA, P-256, SHA-256).
+     */
+    function publicJwk() {
+        return { ...jwk, kid: keyId, alg: 'ES256', use: 'sig' };
+    }
+
+    /**
+     * Events a roster can be downloaded for, grouped by kind. `canSee(project)`
+     * filters out staff areas the caller has no access to.
+     */
+    function events(canSee = () => true) {
+        return Object.entries(KINDS)
+            .filter(([, spec]) => canSee(spec.project))
+            .flatMap(([kind, spec]) => spec.events(query).map(e => ({ kind, label: spec.label, event_id: e.id, name: e.name, date: e.date })));
+    }
+
+    /**
+     * Signed roster of one event: { roster, signature, key_id }. `roster` is the
+     * JSON text that was signed — devices verify it as-is and only then parse it.
+     */
+    function roster(kind, eventId, issuedTo) {
+        const spec = kindOf(kind);
+        const event = eventOf(spec, eventId);
+        const id = crypto.randomUUID();
+        const now = new Date();
+        const body = JSON.stringify({
+            id,
+            kind,
+            event: { id: event.id, name: event.name, date: event.date || null },
+            issued_to: issuedTo || null,
+            issued_at: now.toISOString(),
+            expires_at: new Date(now.getTime() + ROSTER_TTL_HOURS * 3600 * 1000).toISOString(),
+            attendees: spec.attendees(query, eventId).map(a => ({
+                id: a.id,
+                name: a.name || `${a.first_name || ''} ${a.last_name || ''}`.trim(),
+                ticket: a.ticket || null,
+                status: a.status || null,
+                checked_in_at: a.checked_in ? (a.checked_in_at || sqliteTime(now)) : null,
+                keys: [...new Set(spec.codes(a).filter(Boolean).map(code => codeHash(id, code)))]
+            }))
+        });
+        const signature = crypto.sign('sha256', Buffer.from(body), { key: signingKey, dsaEncoding: 'ieee-p1363' });
+        return { roster: body, signature: b64(signature), key_id: keyId };
+    }
+
+    // Who made the scan that currently counts for an attendee: a synced device, else the online scanner
+    function firstScan(kind, eventId, attendeeId, checkedInAt) {
+        const scan = query.get(`
+            SELECT oc.device_id, oc.scanned_at, u.email as by_email
+            FROM offline_checkins oc LEFT JOIN users u ON oc.user_id = u.id
+            WHERE oc.kind = ? AND oc.event_id = ? AND oc.attendee_id = ? AND oc.result = 'checked_in'
+            ORDER BY oc.scanned_at LIMIT 1`, [kind, eventId, attendeeId]);
+        if (scan && scan.scanned_at === checkedInAt) return { at: scan.scanned_at, device_id: scan.device_id, by: scan.by_email };
+        return { at: checkedInAt, device_id: null, by: null };
+    }
+
+    function replay(spec, kind, eventId, scan, deviceId, userId) {
+        const recorded = query.get('SELECT * FROM offline_checkins WHERE id = ?', [scan.id]);
+        if (recorded) {
+            if (recorded.kind !== kind || recorded.attendee_id !== scan.attendee_id) {
+                return { id: scan.id, status: 'rejected', error: 'Scan id already used for another attendee' };
+            }
+            return { id: scan.id, status: recorded.result, replayed: true, checked_in_at: spec.find(query, eventId, recorded.attendee_id)?.checked_in_at || null };
+        }
+
+        const record = (result, conflictWith = null) => query.run(`
+            INSERT INTO offline_checkins (id, kind, event_id, attendee_id, device_id, user_id, scanned_at, result, conflict_with)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [scan.id, kind, eventId, scan.attendee_id, deviceId, userId, scan.scanned_at, result, conflictWith]);
+
+        const attendee = spec.find(query, eventId, scan.attendee_id);
+        if (!attendee) {
+            record('not_found');
+            return { id: scan.id, status: 'not_found', error: 'Attendee is not registered for this event' };
+        }
+        if (!attendee.checked_in) {
+            query.run(`UPDATE ${spec.table} SET checked_in = 1, checked_in_at = ? WHERE id = ?`, [scan.scanned_at, attendee.id]);
+            record('checked_in');
+            return { id: scan.id, status: 'checked_in', checked_in_at: scan.scanned_at, changed: true };
+        }
+
+        // Checked in twice: the earliest scan counts
+        const first = firstScan(kind, eventId, attendee.id, attendee.checked_in_at);
+        if (!attendee.checked_in_at || scan.scanned_at < attendee.checked_in_at) {
+            query.run(`UPDATE ${spec.table} SET checked_in_at = ? WHERE id = ?`, [scan.scanned_at, attendee.id]);
+            query.run("UPDATE offline_checkins SET result = 'duplicate', conflict_with = ? WHERE kind = ? AND event_id = ? AND attendee_id = ? AND result = 'checked_in'",
+                [deviceId, kind, eventId, attendee.id]);
+            record('checked_in', first.device_id || 'online');
+            return { id: scan.id, status: 'checked_in', checked_in_at: scan.scanned_at, changed: true, conflict: { later_scan: first } };
+        }
+        record('duplicate', first.device_id || 'online');
+        return { id: scan.id, status: 'duplicate', checked_in_at: attendee.checked_in_at, conflict: { first_scan: first } };
+    }
+
+    /**
+     * Replay scans queued on a device, oldest first. Each scan is
+     * { id, attendee_id, scanned_at (ISO) }; returns one result per scan:
+     * checked_in | duplicate | not_found | rejected.
+     */
+    function sync(kind, eventId, { device_id: deviceId, checkins } = {}, userId = null) {
+        const spec = kindOf(kind);
+        eventOf(spec, eventId);
+        if (!deviceId || typeof deviceId !== 'string' || deviceId.length > 64) throw new OfflineCheckinError('device_id is required');
+        if (!Array.isArray(checkins)) throw new OfflineCheckinError('checkins must be an array');
+        if (checkins.length > MAX_SYNC_BATCH) throw new OfflineCheckinError(`At most ${MAX_SYNC_BATCH} check-ins per sync`);
+
+        const now = Date.now();
+        const scans = checkins.map(c => {
+            const at = Date.parse(c?.scanned_at);
+            return {
+                id: typeof c?.id === 'string' && c.id.length <= 64 ? c.id : null,
+                attendee_id: c?.attendee_id ? String(c.attendee_id) : null,
+                // A device clock running ahead can't put a check-in in the future
+                scanned_at: Number.isNaN(at) ? null : sqliteTime(new Date(Math.min(at, now)))
+            };
+        });
+        const order = scans.map((scan, i) => i).sort((a, b) => String(scans[a].scanned_at).localeCompare(String(scans[b].scanned_at)));
+
+        const results = new Array(scans.length);
+        const changed = new Set();
+        query.transaction(() => {
+            for (const i of order) {
+                const scan = scans[i];
+                if (!scan.id || !scan.attendee_id || !scan.scanned_at) {
+                    results[i] = { id: checkins[i]?.id ?? null, status: 'rejected', error: 'id, attendee_id and scanned_at are required' };
+                    continue;
+                }
+                const result = replay(spec, kind, eventId, scan, deviceId, userId);
+                if (result.changed) changed.add(scan.attendee_id);
+                delete result.changed;
+                results[i] = result;
+            }
+        });
+        if (onCheckin) changed.forEach(id => onCheckin(kind, id));
+
+        const count = (status) => results.filter(r => r.status === status).length;
+        return {
+            results,
+            summary: { checked_in: count('checked_in'), duplicate: count('duplicate'), not_found: count('not_found'), rejected: count('rejected') }
+        };
+    }
+
+    return { KINDS, keyId, publicJwk, events, roster, sync };
+}
+
+module.exports = { createOfflineCheckin, OfflineCheckinError, KINDS, codeHash };
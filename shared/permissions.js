@@ -0,0 +1,240 @@
+/**
+ * Permissions — team roles, optionally scoped to a project, instead of the single
+ * `users.is_admin` flag.
+ *
+ * Roles are assigned to `team_members` in `team_member_roles` (project NULL = all
+ * projects). `project.*` permissions only apply to the assignment's project; the
+ * rest (finance, pr, tech, team) are organisation-wide. `users.is_admin` is kept in
+ * sync as "has any role" because the user portal and older handlers still read it.
+ *
+ * Route groups are mapped to permissions with rules like
+ *   { path: '/api/finance', read: 'finance.read', write: 'finance.write' }
+ *   { path: '/api/admin/plexus', project: 'plexus', read: 'project.read', write: 'project.write' }
+ * where the longest matching path (or `match` regex) wins and `null` means any
+ * signed-in user (self-service routes inside a staff group). Paths are matched
+ * lowercased, as Express routes them. Under the `staff` prefixes a route with no
+ * rule is refused; `'team'` opens a group to anyone holding a role.
+ */
+
+const crypto = require('crypto');
+
+const PROJECTS = ['plexus', 'accelerator', 'forum', 'bridges'];
+
+const ROLES = {
+    admin: { label: 'Administrator', permissions: ['*'] },
+    coordinator: { label: 'Coordinator', scoped: true, permissions: ['project.read', 'project.write', 'project.review', 'project.pii'] },
+    reviewer: { label: 'Reviewer', scoped: true, permissions: ['project.read', 'project.review'] },
+    finance_officer: { label: 'Finance officer', permissions: ['finance.read', 'finance.write', 'project.pii'] },
+    pr_editor: { label: 'PR editor', permissions: ['pr.read', 'pr.write'] },
+    tech_admin: { label: 'Tech admin', permissions: ['tech.admin'] },
+    member: { label: 'Team member', permissions: [] }
+};
+
+// Sidebar sections of the admin UI and what it takes to see them (null = any team member)
+const SECTIONS = {
+    plexus: ['project.read', 'plexus'],
+    accelerator: ['project.read', 'accelerator'],
+    forum: ['project.read', 'forum'],
+    bridges: ['project.read', 'bridges'],
+    gala: ['project.read', 'plexus'],
+    finances: ['finance.read'],
+    'pr-media': ['pr.read'],
+    newsletter: ['pr.read'],
+    tech: ['tech.admin'],
+    'team-roles': ['team.manage'],
+    'data-subjects': ['privacy.manage'],
+    consents: ['project.pii'],
+    'user-notifications': null,
+    'portal-content': null,
+    messages: null,
+    contacts: null
+};
+
+// Accounts holding any of these must sign in with the second factor (finance, DB downloads and exports)
+const TWO_FACTOR_PERMISSIONS = ['finance.read', 'tech.admin'];
+
+const PII_MASK = '••••••';
+
+class PermissionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PermissionError';
+        this.status = status;
+    }
+}
+
+function rolesFor(db, userId) {
+    return db.all(`SELECT r.id, r.role, r.project FROM team_member_roles r
+        JOIN team_members tm ON r.team_member_id = tm.id
+        WHERE tm.user_id = ?`, [userId]);
+}
+
+/**
+ * Does a set of role assignments grant `permission` (for `project`, if project-scoped)?
+ */
+function can(roles, permission, project = null) {
+    return roles.some(({ role, project: scope }) => {
+        const def = ROLES[role];
+        if (!def) return false;
+        if (permission === 'team' || def.permissions.includes('*')) return true;
+        if (!def.permissions.includes(permission)) return false;
+        if (!permission.startsWith('project.')) return true;
+        return !scope || !project || scope === project;
+    });
+}
+
+/**
+ * Flat list for the frontend: 'finance.read', 'project.read:plexus', ...
+ */
+function describe(roles) {
+    const perms = new Set();
+    for (const { role, project } of roles) {
+        for (const p of ROLES[role]?.permissions || []) {
+            if (p === '*' || !p.startsWith('project.')) perms.add(p);
+            else (project ? [project] : PROJECTS).forEach(proj => perms.add(`${p}:${proj}`));
+        }
+    }
+    return [...perms];
+}
+
+function allowedSections(roles) {
+    if (!roles.length) return [];
+    return Object.entries(SECTIONS)
+        .filter(([, req]) => !req || can(roles, req[0], req[1]))
+        .map(([id]) => id);
+}
+
+/**
+ * Replace `fields` on each row with a mask unless the user may see personal data
+ * for `project`. Returns the same shape it was given (row or array).
+ */
+function maskPii(user, project, data, fields) {
+    if (!data || user?.can?.('project.pii', project)) return data;
+    const mask = row => {
+        if (!row) return row;
+        const out = { ...row };
+        for (const f of fields) if (out[f]) out[f] = PII_MASK;
+        return out;
+    };
+    return Array.isArray(data) ? data.map(mask) : mask(data);
+}
+
+/**
+ * Role assignments, bound to a portal database.
+ *
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {Array} options.rules - Route-group rules (see top of file)
+ * @param {Array} options.staff - Path prefixes where routes without a rule are refused
+ */
+function createPermissions(db, { rules = [], staff = [] } = {}) {
+    const sorted = [...rules].sort((a, b) => (b.match ? 1000 : b.path.length) - (a.match ? 1000 : a.path.length));
+    const under = (p, prefix) => p === prefix || p.startsWith(prefix + '/');
+
+    function ruleFor(req) {
+        const p = req.path.toLowerCase();
+        return sorted.find(r => r.match
+            ? r.match.test(p) && (!r.method || r.method === req.method)
+            : under(p, r.path) && (!r.method || r.method === req.method));
+    }
+
+    /**
+     * Attach roles and `can()` to an authenticated user row.
+     */
+    function attach(user) {
+        const roles = user.id ? rolesFor(db, user.id) : [];
+        user.roles = roles;
+        user.is_admin = roles.length ? 1 : 0;
+        user.can = (permission, project) => can(roles, permission, project);
+        return user;
+    }
+
+    /**
+     * What the request needs: { permission, project }, or null if any signed-in user may make it.
+     * Unlisted staff routes need '*' (administrators only).
+     */
+    function required(req) {
+        const rule = ruleFor(req);
+        if (!rule) {
+            const p = req.path.toLowerCase();
+            return staff.some(prefix => under(p, prefix)) ? { permission: '*' } : null;
+        }
+        const permission = req.method === 'GET' || req.method === 'HEAD' ? rule.read : rule.write;
+        return permission ? { permission, project: rule.project } : null;
+    }
+
+    /**
+     * Check the request against the route-group rules. Returns an error message, or null if allowed.
+     */
+    function check(req) {
+        const need = required(req);
+        if (!need || req.user.can(need.permission, need.project)) return null;
+        if (need.permission === '*') return 'No permission rule for this route';
+        return `Missing permission ${need.permission}${need.project ? ' for ' + need.project : ''}`;
+    }
+
+    function listAssignments() {
+        return db.all(`SELECT tm.id as team_member_id, tm.name, tm.role as title, tm.user_id, u.email,
+                r.id as role_id, r.role, r.project, r.granted_by, r.created_at
+            FROM team_members tm
+            LEFT JOIN users u ON tm.user_id = u.id
+            LEFT JOIN team_member_roles r ON r.team_member_id = tm.id
+            ORDER BY tm.name, r.role`);
+    }
+
+    function syncAdminFlag(teamMemberId) {
+        const member = db.get('SELECT user_id FROM team_members WHERE id = ?', [teamMemberId]);
+        if (!member?.user_id) return;
+        const hasRoles = db.get('SELECT COUNT(*) as c FROM team_member_roles WHERE team_member_id = ?', [teamMemberId])?.c > 0;
+        db.run('UPDATE users SET is_admin = ? WHERE id = ?', [hasRoles ? 1 : 0, member.user_id]);
+    }
+
+    function grant(teamMemberId, role, project, grantedBy) {
+        if (!ROLES[role]) throw new PermissionError(`Unknown role ${role}`);
+        if (project && !PROJECTS.includes(project)) throw new PermissionError(`Unknown project ${project}`);
+        const scope = ROLES[role].scoped ? (project || null) : null;
+        const existing = db.get('SELECT id FROM team_member_roles WHERE team_member_id = ? AND role = ? AND IFNULL(project, \'\') = ?',
+            [teamMemberId, role, scope || '']);
+        if (existing) return existing.id;
+        const id = crypto.randomUUID();
+        db.run('INSERT INTO team_member_roles (id, team_member_id, role, project, granted_by) VALUES (?, ?, ?, ?, ?)',
+            [id, teamMemberId, role, scope, grantedBy || null]);
+        syncAdminFlag(teamMemberId);
+        return id;
+    }
+
+    function revoke(roleId) {
+        const row = db.get('SELECT * FROM team_member_roles WHERE id = ?', [roleId]);
+        if (!row) return null;
+        if (row.role === 'admin' && db.get("SELECT COUNT(*) as c FROM team_member_roles WHERE role = 'admin'")?.c <= 1) {
+            throw new PermissionError('Cannot remove the last administrator', 409);
+        }
+        db.run('DELETE FROM team_member_roles WHERE id = ?', [roleId]);
+        syncAdminFlag(row.team_member_id);
+        return row;
+    }
+
+    /**
+     * Users flagged is_admin before roles existed (or seeded since) get a team
+     * member record and the admin role, so nobody is locked out on upgrade.
+     */
+    function grantLegacyAdmins() {
+        const legacy = db.all(`SELECT u.id, u.email, u.first_name, u.last_name FROM users u
+            WHERE u.is_admin = 1 AND NOT EXISTS (
+                SELECT 1 FROM team_member_roles r JOIN team_members tm ON r.team_member_id = tm.id WHERE tm.user_id = u.id)`);
+        for (const user of legacy) {
+            let member = db.get('SELECT id FROM team_members WHERE user_id = ?', [user.id]);
+            if (!member) {
+                member = { id: crypto.randomUUID() };
+                db.run('INSERT INTO team_members (id, user_id, name, role) VALUES (?, ?, ?, ?)',
+                    [member.id, user.id, [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email, 'Admin']);
+            }
+            grant(member.id, 'admin', null, 'legacy is_admin');
+        }
+        return legacy.length;
+    }
+
+    return { attach, check, required, ruleFor, listAssignments, grant, revoke, grantLegacyAdmins };
+}
+
+module.exports = { PROJECTS, ROLES, SECTIONS, TWO_FACTOR_PERMISSIONS, PermissionError, can, describe, allowedSections, maskPii, createPermissions };
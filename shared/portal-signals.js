@@ -0,0 +1,69 @@
+/**
+ * Portal Signals — cross-portal notifications through the shared database.
+ *
+ * The admin and user portals are separate processes on one WAL database, so a
+ * portal that needs the other to act (reload its connection after a restore,
+ * ...) inserts a row into `portal_signals`; the target polls for unhandled rows
+ * addressed to it and marks them handled.
+ */
+
+const crypto = require('crypto');
+
+const POLL_INTERVAL_MS = 5000;
+const RETENTION_DAYS = 7;
+
+/**
+ * Queue a signal for another portal.
+ *
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {string} target - 'admin' | 'user'
+ * @param {string} signal - Handler name on the receiving side
+ * @param {Object} [payload]
+ * @param {string} [createdBy] - Sending portal
+ */
+function send(db, target, signal, payload = null, createdBy = null) {
+    const id = crypto.randomUUID();
+    db.run('INSERT INTO portal_signals (id, target, signal, payload, created_by) VALUES (?, ?, ?, ?, ?)',
+        [id, target, signal, payload ? JSON.stringify(payload) : null, createdBy]);
+    return id;
+}
+
+/**
+ * Poll for signals addressed to `portal` and dispatch them to `handlers[signal]`.
+ * Handled rows older than RETENTION_DAYS are pruned on start.
+ *
+ * @returns {Function} stop
+ */
+function listen(db, portal, handlers, intervalMs = POLL_INTERVAL_MS) {
+    db.run(`DELETE FROM portal_signals WHERE handled_at IS NOT NULL AND handled_at < datetime('now', '-${RETENTION_DAYS} days')`);
+
+    const poll = () => {
+        let pending;
+        try {
+            pending = db.all('SELECT * FROM portal_signals WHERE target = ? AND handled_at IS NULL ORDER BY created_at', [portal]);
+        } catch (err) {
+            console.error('[Signals] Poll failed:', err.message);
+            return;
+        }
+        for (const row of pending) {
+            // Mark first so a failing handler isn't retried every poll
+            db.run("UPDATE portal_signals SET handled_at = datetime('now') WHERE id = ?", [row.id]);
+            const handler = handlers[row.signal];
+            if (!handler) {
+                console.warn(`[Signals] No handler for "${row.signal}" from ${row.created_by || 'unknown'}`);
+                continue;
+            }
+            try {
+                handler(row.payload ? JSON.parse(row.payload) : null, row);
+            } catch (err) {
+                console.error(`[Signals] ${row.signal} handler error:`, err);
+            }
+        }
+    };
+
+    const timer = setInterval(poll, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = { send, listen };
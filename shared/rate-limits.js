@@ -0,0 +1,191 @@
+/**
+ * Rate Limits — brute-force protection for public endpoints, shared by both portals.
+ *
+ * A rule counts failed attempts per key (the client IP, or an account such as a
+ * login email) within a window. Reaching the rule's limit blocks that key for
+ * `lockMinutes`, doubling with every further lockout (up to a day); a key that
+ * stays quiet for a day after its last lockout starts over. Counters live in
+ * `rate_limits`, so a block set by one portal holds in the other and across restarts.
+ *
+ * Routes opt in with guard():
+ *   app.post('/api/auth/login', rateLimits.guard(
+ *       { rule: 'login', key: req => req.ip },
+ *       { rule: 'login-account', key: req => req.body?.email }), handler)
+ * The handler stays unaware: a blocked key gets 429 before it runs, and once the
+ * response is sent a 4xx (or whatever `failed(res, body)` says) counts as a failure.
+ */
+
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const RULES = {
+    login: { limit: 20, windowMinutes: 15, lockMinutes: 15 },
+    'login-account': { limit: 5, windowMinutes: 15, lockMinutes: 15, resetOnSuccess: true },
+    'two-factor': { limit: 5, windowMinutes: 15, lockMinutes: 15, resetOnSuccess: true },
+    'password-reset': { limit: 5, windowMinutes: 60, lockMinutes: 60, countAll: true },
+    promo: { limit: 10, windowMinutes: 10, lockMinutes: 30 },
+    'access-token': { limit: 10, windowMinutes: 10, lockMinutes: 30 }
+};
+
+class RateLimitError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const toSqlTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+const fromSqlTime = (value) => new Date(value.replace(' ', 'T') + 'Z');
+
+function waitMessage(seconds) {
+    const minutes = Math.ceil(seconds / 60);
+    return `Too many attempts — try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.portal - 'admin' | 'user', recorded on counters touched here
+ * @param {Object} [options.rules] - Rule name → { limit, windowMinutes, lockMinutes, resetOnSuccess?, countAll? }
+ */
+function createRateLimiter(db, { portal, rules = RULES }) {
+    const idFor = (rule, key) => `${rule}:${key}`;
+    const normalize = (key) => (key === null || key === undefined || key === '') ? null : String(key).trim().toLowerCase();
+
+    function ruleFor(name) {
+        const rule = rules[name];
+        if (!rule) throw new Error(`Unknown rate limit rule ${name}`);
+        return rule;
+    }
+
+    /**
+     * Is the key blocked right now? `retryAfter` is in seconds.
+     */
+    function status(rule, key) {
+        const row = db.get('SELECT blocked_until FROM rate_limits WHERE id = ?', [idFor(rule, key)]);
+        const until = row?.blocked_until && fromSqlTime(row.blocked_until);
+        if (!until || until <= new Date()) return { blocked: false, retryAfter: 0 };
+        return { blocked: true, retryAfter: Math.ceil((until - new Date()) / 1000) };
+    }
+
+    /**
+     * Throw a RateLimitError if the key is blocked, counting the refused request.
+     */
+    function assert(rule, key) {
+        const state = status(rule, key);
+        if (!state.blocked) return;
+        db.run('UPDATE rate_limits SET refused = refused + 1, last_hit_at = datetime(\'now\') WHERE id = ?', [idFor(rule, key)]);
+        throw new RateLimitError(waitMessage(state.retryAfter), state.retryAfter);
+    }
+
+    /**
+     * Count a failed attempt; blocks the key once the rule's limit is reached.
+     */
+    function hit(ruleName, key, { path = null } = {}) {
+        const rule = ruleFor(ruleName);
+        const id = idFor(ruleName, key);
+        const windowStart = `-${rule.windowMinutes} minutes`;
+        db.run(`INSERT INTO rate_limits (id, rule, key, portal, path, hits, window_started_at, last_hit_at)
+            VALUES (?, ?, ?, ?, ?, 1, datetime('now'), datetime('now'))
+            ON CONFLICT(id) DO UPDATE SET
+                hits = CASE WHEN window_started_at < datetime('now', ?) THEN 1 ELSE hits + 1 END,
+                window_started_at = CASE WHEN window_started_at < datetime('now', ?) THEN datetime('now') ELSE window_started_at END,
+                portal = excluded.portal, path = COALESCE(excluded.path, path), last_hit_at = datetime('now')`,
+            [id, ruleName, key, portal, path, windowStart, windowStart]);
+
+        const row = db.get('SELECT * FROM rate_limits WHERE id = ?', [id]);
+        if (row.hits < rule.limit) return { blocked: false, retryAfter: 0 };
+
+        // Progressive lockout: double per lockout in a row, forgiven a day after the last one ended
+        const forgiven = row.blocked_until && fromSqlTime(row.blocked_until) < new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const lockouts = forgiven ? 1 : row.lockouts + 1;
+        const minutes = Math.min(rule.lockMinutes * 2 ** (lockouts - 1), MAX_LOCK_MINUTES);
+        const until = new Date(Date.now() + minutes * 60 * 1000);
+        db.run('UPDATE rate_limits SET hits = 0, lockouts = ?, blocked_until = ?, blocked_at = datetime(\'now\') WHERE id = ?',
+            [lockouts, toSqlTime(until), id]);
+        console.warn(`[RateLimit] ${ruleName} blocked ${key} for ${minutes} min (lockout ${lockouts})`);
+        return { blocked: true, retryAfter: minutes * 60 };
+    }
+
+    /**
+     * Forget a key's failures (successful sign-in). Does not lift an active block.
+     */
+    function reset(rule, key) {
+        db.run(`DELETE FROM rate_limits WHERE id = ? AND (blocked_until IS NULL OR blocked_until <= datetime('now'))`, [idFor(rule, key)]);
+    }
+
+    /**
+     * Express middleware enforcing one or more rules on a route.
+     *
+     * @param {...{rule: string, key: Function, failed?: Function}} specs - key(req) picks the
+     *   counter (null skips the rule); failed(res, body) decides what counts as a failure
+     */
+    function guard(...specs) {
+        specs.forEach(spec => ruleFor(spec.rule));
+        return (req, res, next) => {
+            const active = specs.map(spec => ({ ...spec, keyValue: normalize(spec.key(req)) })).filter(s => s.keyValue);
+            try {
+                active.forEach(s => assert(s.rule, s.keyValue));
+            } catch (err) {
+                if (!(err instanceof RateLimitError)) return next(err);
+                res.set('Retry-After', String(err.retryAfter));
+                return res.status(429).json({ error: err.message, retryAfter: err.retryAfter });
+            }
+
+            let responseBody;
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                responseBody = body;
+                return json(body);
+            };
+            res.on('finish', () => {
+                try {
+                    for (const s of active) {
+                        const rule = rules[s.rule];
+                        const failed = s.failed
+                            ? s.failed(res, responseBody)
+                            : res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429;
+                        if (failed || rule.countAll) hit(s.rule, s.keyValue, { path: req.originalUrl.split('?')[0] });
+                        else if (rule.resetOnSuccess && res.statusCode < 400) reset(s.rule, s.keyValue);
+                    }
+                } catch (err) {
+                    console.error('[RateLimit] Failed to record', req.method, req.path, err.message);
+                }
+            });
+            next();
+        };
+    }
+
+    /**
+     * Counters for the tech dashboard: blocked keys first, then the most recent.
+     */
+    function list({ blockedOnly = false, limit = 200 } = {}) {
+        const where = blockedOnly ? `WHERE blocked_until > datetime('now')` : '';
+        return db.all(`SELECT *, CASE WHEN blocked_until > datetime('now') THEN 1 ELSE 0 END as blocked
+            FROM rate_limits ${where}
+            ORDER BY blocked DESC, last_hit_at DESC LIMIT ?`, [Math.min(Number(limit) || 200, 1000)])
+            .map(r => ({ ...r, blocked: !!r.blocked, limit: rules[r.rule]?.limit ?? null }));
+    }
+
+    /**
+     * Lift a block and clear its history. Returns false if there was no such counter.
+     */
+    function unblock(id) {
+        const existed = !!db.get('SELECT 1 FROM rate_limits WHERE id = ?', [id]);
+        db.run('DELETE FROM rate_limits WHERE id = ?', [id]);
+        return existed;
+    }
+
+    /**
+     * Drop counters nobody has touched for a week (their lockout history is forgiven by then anyway).
+     */
+    function purge() {
+        db.run(`DELETE FROM rate_limits WHERE last_hit_at < datetime('now', '-7 days')
+            AND (blocked_until IS NULL OR blocked_until < datetime('now'))`);
+    }
+
+    return { status, assert, hit, reset, guard, list, unblock, purge };
+}
+
+module.exports = { createRateLimiter, RateLimitError, RULES };
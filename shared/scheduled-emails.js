@@ -0,0 +1,393 @@
+/**
+ * Scheduled Emails — sends the rows of `scheduled_emails` to an audience at
+ * `scheduled_for`, rendered through shared/email-templates.js and queued in the outbox.
+ *
+ * An audience is a named query (AUDIENCES below) plus filters, e.g.
+ * { target_audience: 'forum-members', filters: { specialty: 'Cardiology' } }. It is
+ * resolved when sending starts, not when the email is scheduled, so people who
+ * register in between are included. Each audience says which template variable types
+ * it can fill; a template needing anything else is refused when scheduling.
+ *
+ * The recipient list is written to `scheduled_email_recipients` before the first
+ * message goes out and each recipient is claimed with an atomic UPDATE, so a run
+ * that stops half way (restart, cancel) resumes without mailing anyone twice.
+ * `sent_count` and `failed_count` grow as messages are queued. A message the outbox
+ * will retry counts as sent; its delivery is tracked in the email log.
+ *
+ * Free-text emails use the built-in 'announcement' template, filled from the row's
+ * subject/body_text (and the _hr columns for recipients who prefer Croatian).
+ *
+ * Every message carries unsubscribe links (shared/subscriptions.js). Addresses that
+ * unsubscribed, from everything or from the audience's project, are left out of the
+ * audience, or marked `unsubscribed` when that happened after the list was resolved.
+ */
+
+const crypto = require('crypto');
+
+const STATUSES = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+
+class ScheduledEmailError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ScheduledEmailError';
+        this.status = status;
+    }
+}
+
+const toSqlTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+function parseWhen(value) {
+    const date = value instanceof Date ? value : new Date(String(value || ''));
+    if (!value || isNaN(date)) throw new ScheduledEmailError('scheduled_for must be a date and time');
+    return toSqlTime(date);
+}
+
+function parseJson(text, fallback) {
+    try {
+        return text ? JSON.parse(text) : fallback;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+// ========== Audiences ==========
+// normalize() checks the filters and fills defaults; resolve() returns
+// [{ email, userId, name, data }] where data holds the variable types in `provides`.
+// `project` is the subscriptions.js project whose opt-outs the audience respects.
+
+const recipientOf = (row) => ({ first_name: row.first_name || '', last_name: row.last_name || '', email: row.email });
+
+const AUDIENCES = {
+    'plexus-paid': {
+        project: 'plexus',
+        label: 'Paid Plexus registrants',
+        description: 'Everyone with a paid, not cancelled registration for a Plexus edition',
+        provides: ['recipient', 'registration'],
+        normalize(filters, { conferences }) {
+            const conf = filters.conference_id ? conferences.editions().find(c => c.id === filters.conference_id) : conferences.current();
+            if (!conf) throw new ScheduledEmailError(filters.conference_id ? 'Plexus edition not found' : 'There is no Plexus edition yet', filters.conference_id ? 404 : 400);
+            return { conference_id: conf.id };
+        },
+        resolve(db, filters, { conferences }) {
+            const conf = conferences.editions().find(c => c.id === filters.conference_id);
+            if (!conf) throw new ScheduledEmailError('Plexus edition not found', 404);
+            const venue = [conf.venue_name, conf.venue_city].filter(Boolean).join(', ');
+            return db.all(`SELECT r.user_id, r.first_name, r.last_name, r.email, r.payment_status, t.name as ticket_type
+                FROM registrations r LEFT JOIN ticket_types t ON t.id = r.ticket_type_id
+                WHERE r.conference_id = ? AND r.payment_status = 'paid' AND COALESCE(r.status, '') != 'cancelled'
+                ORDER BY r.created_at`, [conf.id])
+                .map(r => ({
+                    email: r.email, userId: r.user_id, name: [r.first_name, r.last_name].filter(Boolean).join(' '),
+                    data: {
+                        recipient: recipientOf(r),
+                        registration: {
+                            event_name: conferences.label(conf), ticket_type: r.ticket_type, event_date: conf.start_date, venue,
+                            payment_status: r.payment_status, paid: true, pay_by_card: false
+                        }
+                    }
+                }));
+        },
+        options(db, { conferences }) {
+            return { conference_id: conferences.editions().map(c => ({ value: c.id, label: conferences.label(c), current: !!c.is_current })) };
+        }
+    },
+
+    'accelerator-incomplete-documents': {
+        project: 'accelerator',
+        label: 'Accelerator applicants with incomplete documents',
+        description: 'Applications for an Accelerator year that are missing required documents',
+        provides: ['recipient', 'application'],
+        normalize(filters, { db }) {
+            const year = filters.year ? parseInt(filters.year, 10)
+                : db.get('SELECT year FROM accelerator_programs ORDER BY is_active DESC, year DESC LIMIT 1')?.year || new Date().getFullYear();
+            if (!Number.isInteger(year)) throw new ScheduledEmailError('year must be a number');
+            return { year };
+        },
+        resolve(db, filters, { portalUrl }) {
+            return db.all(`SELECT a.user_id, COALESCE(NULLIF(a.first_name, ''), u.first_name) as first_name,
+                    COALESCE(NULLIF(a.last_name, ''), u.last_name) as last_name, COALESCE(NULLIF(a.email, ''), u.email) as email,
+                    a.application_number, a.candidate_id, a.submitted_at, a.status, p.name as program
+                FROM accelerator_applications a
+                LEFT JOIN users u ON u.id = a.user_id
+                LEFT JOIN accelerator_programs p ON p.id = a.program_id
+                WHERE COALESCE(a.year, p.year) = ? AND COALESCE(a.documents_complete, 0) = 0
+                    AND COALESCE(a.status, 'draft') NOT IN ('rejected', 'withdrawn')
+                ORDER BY a.created_at`, [filters.year])
+                .map(a => ({
+                    email: a.email, userId: a.user_id, name: [a.first_name, a.last_name].filter(Boolean).join(' '),
+                    data: {
+                        recipient: recipientOf(a),
+                        application: {
+                            program: a.program || 'Med&X Accelerator', application_number: a.application_number,
+                            candidate_id: a.candidate_id, submitted_at: a.submitted_at, status: a.status || 'draft', portal_url: portalUrl
+                        }
+                    }
+                }));
+        },
+        options(db) {
+            return { year: db.all('SELECT DISTINCT year FROM accelerator_programs WHERE year IS NOT NULL ORDER BY year DESC').map(r => ({ value: r.year, label: String(r.year) })) };
+        }
+    },
+
+    'forum-members': {
+        project: 'forum',
+        label: 'Forum members',
+        description: 'Approved, not banned Forum members — all of them or one specialty',
+        provides: ['recipient'],
+        normalize(filters) {
+            const specialty = String(filters.specialty || '').trim();
+            return specialty ? { specialty } : {};
+        },
+        resolve(db, filters) {
+            const params = [];
+            let sql = `SELECT fm.user_id, COALESCE(NULLIF(fm.first_name, ''), u.first_name) as first_name,
+                    COALESCE(NULLIF(fm.last_name, ''), u.last_name) as last_name, COALESCE(NULLIF(fm.email, ''), u.email) as email
+                FROM forum_members fm LEFT JOIN users u ON u.id = fm.user_id
+                WHERE fm.membership_status = 'approved' AND COALESCE(fm.banned, 0) = 0`;
+            if (filters.specialty) {
+                sql += ' AND LOWER(TRIM(fm.specialty)) = LOWER(?)';
+                params.push(filters.specialty);
+            }
+            return db.all(sql + ' ORDER BY fm.created_at', params)
+                .map(m => ({ email: m.email, userId: m.user_id, name: [m.first_name, m.last_name].filter(Boolean).join(' '), data: { recipient: recipientOf(m) } }));
+        },
+        options(db) {
+            return {
+                specialty: db.all(`SELECT TRIM(specialty) as specialty, COUNT(*) as count FROM forum_members
+                    WHERE membership_status = 'approved' AND specialty IS NOT NULL AND TRIM(specialty) != ''
+                    GROUP BY LOWER(TRIM(specialty)) ORDER BY specialty`).map(r => ({ value: r.specialty, label: `${r.specialty} (${r.count})` }))
+            };
+        }
+    }
+};
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {Object} options.emailTemplates - shared/email-templates.js instance (with an outbox)
+ * @param {Object} options.conferences - Plexus conference context (shared/conference-context.js)
+ * @param {string} [options.portalUrl] - User portal address for application.portal_url
+ * @param {Object} [options.subscriptions] - shared/subscriptions.js instance for unsubscribe links and opt-outs
+ * @param {number} [options.checkEvery] - Re-read the status (for a cancel) after this many messages
+ */
+function createScheduledEmails(db, { emailTemplates, conferences, subscriptions = null, portalUrl = '', checkEvery = 25 }) {
+    const ctx = { db, conferences, portalUrl };
+
+    function audienceOf(name) {
+        const audience = AUDIENCES[name];
+        if (!audience) throw new ScheduledEmailError(`Unknown audience "${name}"`);
+        return audience;
+    }
+
+    // Unique addresses only; the first entry for an address wins. Addresses unsubscribed
+    // from everything or from the audience's project are dropped.
+    function resolve(name, filters) {
+        const audience = audienceOf(name);
+        const seen = new Set();
+        return audience.resolve(db, filters, ctx).filter(r => {
+            const key = String(r.email || '').trim().toLowerCase();
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return !subscriptions?.isUnsubscribed(key, audience.project);
+        });
+    }
+
+    /**
+     * Audiences with their filter choices, for the scheduling form.
+     */
+    function audiences() {
+        return Object.entries(AUDIENCES).map(([name, a]) => ({
+            name, label: a.label, description: a.description, provides: a.provides, options: a.options(db, ctx)
+        }));
+    }
+
+    /**
+     * Who an audience would reach right now: a count and the first few addresses.
+     */
+    function previewAudience(name, filters = {}) {
+        const normalized = audienceOf(name).normalize(filters || {}, ctx);
+        const recipients = resolve(name, normalized);
+        return { filters: normalized, count: recipients.length, sample: recipients.slice(0, 5).map(r => ({ email: r.email, name: r.name })) };
+    }
+
+    function get(id) {
+        const row = db.get(`SELECT s.*, t.key as template_key, t.name as template_name FROM scheduled_emails s
+            LEFT JOIN email_templates t ON t.id = s.template_id WHERE s.id = ?`, [id]);
+        return row && { ...row, filters: parseJson(row.filters, {}), audience_label: AUDIENCES[row.target_audience]?.label || row.target_audience };
+    }
+
+    function list({ status = null, limit = 200 } = {}) {
+        const params = [];
+        let sql = `SELECT s.*, t.key as template_key, t.name as template_name FROM scheduled_emails s
+            LEFT JOIN email_templates t ON t.id = s.template_id`;
+        if (STATUSES.includes(status)) { sql += ' WHERE s.status = ?'; params.push(status); }
+        sql += ' ORDER BY s.scheduled_for DESC LIMIT ?';
+        params.push(Math.min(parseInt(limit, 10) || 200, 1000));
+        return db.all(sql, params).map(r => ({ ...r, filters: parseJson(r.filters, {}), audience_label: AUDIENCES[r.target_audience]?.label || r.target_audience }));
+    }
+
+    function recipients(id, { status = null } = {}) {
+        const params = [id];
+        let sql = `SELECT id, email, user_id, name, lang, status, email_log_id, error, sent_at FROM scheduled_email_recipients
+            WHERE scheduled_email_id = ?`;
+        if (status) { sql += ' AND status = ?'; params.push(status); }
+        return db.all(sql + ' ORDER BY created_at, email', params);
+    }
+
+    /**
+     * Schedule an email. `template` is a template key; the announcement template
+     * also needs `subject` and `body_text` (and optionally `subject_hr`/`body_text_hr`).
+     */
+    function create({ target_audience, filters = {}, template = 'announcement', scheduled_for, subject, subject_hr, body_text, body_text_hr }, createdBy = null) {
+        const audience = audienceOf(target_audience);
+        const normalized = audience.normalize(filters || {}, ctx);
+        const tpl = emailTemplates.get(template);
+        if (!tpl) throw new ScheduledEmailError(`Email template ${template} not found`, 404);
+        const unfilled = tpl.variables.filter(t => t !== 'message' && !audience.provides.includes(t));
+        if (unfilled.length) {
+            throw new ScheduledEmailError(`${tpl.name} needs ${unfilled.join(', ')} details, which ${audience.label.toLowerCase()} don't have`);
+        }
+        if (tpl.variables.includes('message') && !(String(subject || '').trim() && String(body_text || '').trim())) {
+            throw new ScheduledEmailError('subject and body_text are required');
+        }
+        const id = crypto.randomUUID();
+        db.run(`INSERT INTO scheduled_emails (id, conference_id, template_id, target_audience, filters, scheduled_for, status,
+                sent_count, failed_count, subject, subject_hr, body_text, body_text_hr, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, 'scheduled', 0, 0, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`,
+            [id, normalized.conference_id || null, tpl.id, target_audience, JSON.stringify(normalized), parseWhen(scheduled_for),
+                subject || null, subject_hr || null, body_text || null, body_text_hr || null, createdBy]);
+        return get(id);
+    }
+
+    /**
+     * Move an email that hasn't started sending to another time. A cancelled email
+     * that never started is scheduled again.
+     */
+    function reschedule(id, when) {
+        const row = get(id);
+        if (!row) throw new ScheduledEmailError('Scheduled email not found', 404);
+        const at = parseWhen(when);
+        db.run(`UPDATE scheduled_emails SET scheduled_for = ?, status = 'scheduled', cancelled_at = NULL, cancelled_by = NULL,
+                updated_at = datetime('now') WHERE id = ? AND (status = 'scheduled' OR (status = 'cancelled' AND started_at IS NULL))`,
+            [at, id]);
+        if (db.getRowsModified() !== 1) throw new ScheduledEmailError(`A ${row.status} email can't be rescheduled`, 409);
+        return get(id);
+    }
+
+    /**
+     * Stop an email before or while it is sending; recipients not reached yet are skipped.
+     */
+    function cancel(id, cancelledBy = null) {
+        const row = get(id);
+        if (!row) throw new ScheduledEmailError('Scheduled email not found', 404);
+        db.run(`UPDATE scheduled_emails SET status = 'cancelled', cancelled_at = datetime('now'), cancelled_by = ?,
+                updated_at = datetime('now') WHERE id = ? AND status IN ('scheduled', 'sending')`, [cancelledBy, id]);
+        if (db.getRowsModified() !== 1) throw new ScheduledEmailError(`A ${row.status} email can't be cancelled`, 409);
+        db.run(`UPDATE scheduled_email_recipients SET status = 'cancelled' WHERE scheduled_email_id = ? AND status = 'pending'`, [id]);
+        return get(id);
+    }
+
+    // Announcement text for the recipient's language; English when there is no Croatian version
+    function messageFor(row, lang) {
+        if (lang === 'hr' && row.subject_hr && row.body_text_hr) return { lang, message: { subject: row.subject_hr, body: row.body_text_hr } };
+        return { lang: 'en', message: { subject: row.subject || '', body: row.body_text || '' } };
+    }
+
+    function finish(id, status, error = null) {
+        db.run(`UPDATE scheduled_emails SET status = ?, finished_at = datetime('now'), last_error = COALESCE(?, last_error),
+                updated_at = datetime('now') WHERE id = ? AND status = 'sending'`, [status, error, id]);
+    }
+
+    /**
+     * Send one scheduled email: resolve the audience on the first run, then work
+     * through the recipients still pending.
+     */
+    async function deliver(id) {
+        db.run(`UPDATE scheduled_emails SET status = 'sending', started_at = COALESCE(started_at, datetime('now')), updated_at = datetime('now')
+            WHERE id = ? AND (status = 'sending' OR (status = 'scheduled' AND scheduled_for <= datetime('now')))`, [id]);
+        if (db.getRowsModified() !== 1) return null;
+        const row = get(id);
+
+        if (!row.template_key) {
+            finish(id, 'failed', 'The email template no longer exists');
+            return { id, status: 'failed' };
+        }
+
+        if (row.recipient_count === null || row.recipient_count === undefined) {
+            let list;
+            try {
+                list = resolve(row.target_audience, row.filters);
+            } catch (err) {
+                finish(id, 'failed', err.message);
+                return { id, status: 'failed', error: err.message };
+            }
+            for (const r of list) {
+                db.run(`INSERT INTO scheduled_email_recipients (id, scheduled_email_id, email, user_id, name, data, status, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, 'pending', datetime('now')) ON CONFLICT(scheduled_email_id, email) DO NOTHING`,
+                    [crypto.randomUUID(), id, r.email.trim(), r.userId || null, r.name || null, JSON.stringify(r.data)]);
+            }
+            db.run('UPDATE scheduled_emails SET recipient_count = ? WHERE id = ?', [list.length, id]);
+        }
+
+        // A recipient left 'sending' means the portal stopped mid-message; whether it went out is in the email log
+        db.run(`UPDATE scheduled_email_recipients SET status = 'failed', error = 'Interrupted while sending — check the email log'
+            WHERE scheduled_email_id = ? AND status = 'sending'`, [id]);
+        if (db.getRowsModified()) {
+            db.run(`UPDATE scheduled_emails SET failed_count = (SELECT COUNT(*) FROM scheduled_email_recipients
+                WHERE scheduled_email_id = ? AND status = 'failed') WHERE id = ?`, [id, id]);
+        }
+
+        const pending = db.all(`SELECT * FROM scheduled_email_recipients WHERE scheduled_email_id = ? AND status = 'pending'
+            ORDER BY created_at, email`, [id]);
+        let sent = 0, failed = 0;
+        for (let i = 0; i < pending.length; i++) {
+            if (i > 0 && i % checkEvery === 0 && db.get('SELECT status FROM scheduled_emails WHERE id = ?', [id])?.status !== 'sending') break;
+            const r = pending[i];
+            db.run(`UPDATE scheduled_email_recipients SET status = 'sending' WHERE id = ? AND status = 'pending'`, [r.id]);
+            if (db.getRowsModified() !== 1) continue;
+            if (subscriptions?.isUnsubscribed(r.email, AUDIENCES[row.target_audience]?.project)) {
+                db.run(`UPDATE scheduled_email_recipients SET status = 'unsubscribed' WHERE id = ?`, [r.id]);
+                continue;
+            }
+
+            const { lang, message } = messageFor(row, emailTemplates.languageFor({ userId: r.user_id, email: r.email }));
+            let result;
+            try {
+                result = await emailTemplates.send(row.template_key, r.email, { ...parseJson(r.data, {}), message },
+                    { lang, userId: r.user_id, recipientName: r.name, decorate: subscriptions && ((html, l) => subscriptions.decorate(r.email, html, l)) });
+            } catch (err) {
+                result = { success: false, error: err.message };
+            }
+            const ok = result.success || result.queued;
+            db.run(`UPDATE scheduled_email_recipients SET status = ?, lang = ?, email_log_id = ?, error = ?, sent_at = datetime('now') WHERE id = ?`,
+                [ok ? 'sent' : 'failed', lang, result.id || null, ok ? null : result.error || 'Not sent', r.id]);
+            db.run(`UPDATE scheduled_emails SET ${ok ? 'sent_count = sent_count + 1' : 'failed_count = failed_count + 1'},
+                    last_error = COALESCE(?, last_error), updated_at = datetime('now') WHERE id = ?`, [ok ? null : result.error || 'Not sent', id]);
+            if (ok) sent++;
+            else failed++;
+        }
+
+        const totals = db.get('SELECT status, sent_count, failed_count, recipient_count FROM scheduled_emails WHERE id = ?', [id]);
+        if (totals.status === 'sending') finish(id, totals.sent_count > 0 || !totals.failed_count ? 'sent' : 'failed');
+        return { id, status: get(id).status, sent, failed };
+    }
+
+    /**
+     * Job handler: send every email whose time has come, and finish any a stopped
+     * portal left half sent.
+     */
+    async function processDue() {
+        const due = db.all(`SELECT id FROM scheduled_emails WHERE status = 'sending'
+            OR (status = 'scheduled' AND scheduled_for <= datetime('now')) ORDER BY scheduled_for`);
+        const results = [];
+        for (const { id } of due) {
+            const result = await deliver(id);
+            if (result) results.push(result);
+        }
+        return { emails: results.length, sent: results.reduce((n, r) => n + (r.sent || 0), 0), failed: results.reduce((n, r) => n + (r.failed || 0), 0) };
+    }
+
+    return { audiences, previewAudience, get, list, recipients, create, reschedule, cancel, deliver, processDue };
+}
+
+module.exports = { createScheduledEmails, ScheduledEmailError, AUDIENCES, STATUSES };
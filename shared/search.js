@@ -0,0 +1,145 @@
+/**
+ * Search — ranked full-text search over the FTS5 index that migration 022 keeps in
+ * sync with its source tables through triggers. Shared by both portals.
+ *
+ *   search.search('covic zagreb', { can: (permission, project) => ..., chatChannels })
+ *
+ * Every word is matched as a prefix, all words must match, and diacritics don't
+ * matter. Results come back grouped by type, best group first, each hit with the
+ * matched words wrapped in <mark> (the rest HTML-escaped) so clients can render
+ * `title_html` / `snippet_html` as is.
+ *
+ * A type is searched only when `can(permission, project)` allows it. Chat messages
+ * are limited to the channel ids passed in `chatChannels` — the portal decides which
+ * channels a user may read, as it does for the live chat stream.
+ */
+
+// What each indexed type is, who may search it and where a hit belongs. `project`
+// and `permission` are checked with the portal's can(); null permission means any staff.
+const TYPES = {
+    registration: { label: 'Registrations', project: 'plexus', permission: 'project.read' },
+    speaker: { label: 'Speakers', project: 'plexus', permission: 'project.read' },
+    session: { label: 'Sessions', project: 'plexus', permission: 'project.read' },
+    abstract: { label: 'Abstracts', project: 'plexus', permission: 'project.read' },
+    accelerator_application: { label: 'Accelerator applications', project: 'accelerator', permission: 'project.read' },
+    forum_member: { label: 'Forum members', project: 'forum', permission: 'project.read' },
+    forum_post: { label: 'Forum posts', project: 'forum', permission: 'project.read' },
+    contact: { label: 'Contacts', project: null, permission: null },
+    invoice: { label: 'Invoices', project: null, permission: 'finance.read' },
+    conference_invoice: { label: 'Conference invoices', project: null, permission: 'finance.read' },
+    chat_message: { label: 'Chat', project: null, permission: null }
+};
+
+const MAX_TERMS = 8;
+const PER_TYPE = 5;
+const MAX_PER_TYPE = 50;
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// FTS5 output with MARK_OPEN/MARK_CLOSE around matches → safe HTML with <mark>
+function markHtml(text) {
+    return escapeHtml(text).replace(new RegExp(MARK_OPEN, 'g'), '<mark>').replace(new RegExp(MARK_CLOSE, 'g'), '</mark>');
+}
+
+/**
+ * User input → FTS5 query: each word quoted (so AND/OR/NEAR and punctuation are just
+ * text) and matched as a prefix. Null when nothing searchable is left.
+ */
+function toMatchQuery(text) {
+    const terms = String(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    if (!terms.length) return null;
+    return terms.slice(0, MAX_TERMS).map(term => `"${term}"*`).join(' ');
+}
+
+/**
+ * @param {Object} query - Portal query helper (get/all/run/transaction)
+ */
+function createSearch(query) {
+    /**
+     * @param {string} text - What the user typed
+     * @param {Object} options
+     * @param {Function} options.can - (permission, project) => boolean
+     * @param {string[]} [options.chatChannels] - Channel ids whose messages the user may read
+     * @param {string[]} [options.types] - Only these types
+     * @param {number} [options.limit] - Hits per type (default 5, max 50)
+     * @returns {{ query: string, total: number, groups: Array }}
+     */
+    function search(text, { can, chatChannels = [], types, limit } = {}) {
+        const match = toMatchQuery(text);
+        const perType = Math.min(Math.max(parseInt(limit, 10) || PER_TYPE, 1), MAX_PER_TYPE);
+        const wanted = Object.keys(TYPES).filter(type => {
+            const spec = TYPES[type];
+            if (types && !types.includes(type)) return false;
+            if (type === 'chat_message' && !chatChannels.length) return false;
+            return !spec.permission || can(spec.permission, spec.project);
+        });
+        if (!match || !wanted.length) return { query: String(text || ''), total: 0, groups: [] };
+
+        // Chat only from readable channels; everything else by type alone
+        const filters = [];
+        const params = [MARK_OPEN, MARK_CLOSE, MARK_OPEN, MARK_CLOSE, match];
+        const plain = wanted.filter(type => type !== 'chat_message');
+        if (plain.length) {
+            filters.push(`d.type IN (${plain.map(() => '?').join(', ')})`);
+            params.push(...plain);
+        }
+        if (wanted.includes('chat_message')) {
+            filters.push(`(d.type = 'chat_message' AND d.scope IN (${chatChannels.map(() => '?').join(', ')}))`);
+            params.push(...chatChannels);
+        }
+        params.push(perType);
+
+        // Title hits weigh ten times body hits. FTS5 functions can't sit inside a window
+        // function, hence the extra level.
+        const rows = query.all(`
+            SELECT * FROM (
+                SELECT *, ROW_NUMBER() OVER (PARTITION BY type ORDER BY rank) AS position,
+                       COUNT(*) OVER (PARTITION BY type) AS type_total
+                FROM (
+                    SELECT d.type, d.ref_id, d.scope,
+                           highlight(search_index, 0, ?, ?) AS title,
+                           snippet(search_index, 1, ?, ?, '…', 16) AS snippet,
+                           bm25(search_index, 10.0, 1.0) AS rank
+                    FROM search_index JOIN search_documents d ON d.id = search_index.rowid
+                    WHERE search_index MATCH ? AND (${filters.join(' OR ')})
+                )
+            ) WHERE position <= ? ORDER BY rank`, params);
+
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.type)) {
+                groups.set(row.type, { type: row.type, label: TYPES[row.type].label, project: TYPES[row.type].project, total: row.type_total, results: [] });
+            }
+            groups.get(row.type).results.push({
+                id: row.ref_id,
+                scope: row.scope,
+                title_html: markHtml(row.title),
+                snippet_html: markHtml(row.snippet),
+                rank: row.rank
+            });
+        }
+        if (groups.has('chat_message')) describeChat(groups.get('chat_message').results);
+
+        const list = [...groups.values()];
+        return { query: String(text), total: list.reduce((sum, g) => sum + g.total, 0), groups: list };
+    }
+
+    // Channel name and project for chat hits, so a client can open the conversation
+    function describeChat(results) {
+        const ids = [...new Set(results.map(r => r.scope))];
+        const channels = query.all(`SELECT id, name, project FROM chat_channels WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+        const byId = new Map(channels.map(c => [c.id, c]));
+        for (const result of results) {
+            const channel = byId.get(result.scope);
+            result.channel = channel ? { id: channel.id, name: String(channel.name).startsWith('dm:') ? 'Direct message' : channel.name, project: channel.project || null } : null;
+        }
+    }
+
+    return { TYPES, search };
+}
+
+module.exports = { createSearch, TYPES, toMatchQuery };
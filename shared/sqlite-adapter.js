@@ -0,0 +1,218 @@
+/**
+ * SQLite Adapter — on-disk WAL database shared by the admin and user portals.
+ *
+ * Wraps a better-sqlite3 connection in the small sql.js surface the server code
+ * was written against (`db.run`, `db.prepare` + bind/step/getAsObject/free,
+ * `db.exec`, `db.getRowsModified`, `db.export`), plus fast cached `get`/`all`
+ * helpers that back `query.get` / `query.all`.
+ *
+ * Both portal processes open the same file. WAL mode lets readers run alongside
+ * the single writer, and every committed write is immediately visible to the
+ * other process — no export/reload cycle, no file watching.
+ *
+ * better-sqlite3 is installed per backend, so the constructor is passed in.
+ */
+
+const STATEMENT_CACHE_SIZE = 500;
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * sql.js bound booleans as 0/1 and accepted ':name' keys for named params;
+ * better-sqlite3 does neither.
+ */
+function normalizeParams(params) {
+    if (params == null) return [];
+    if (Array.isArray(params)) return params.map(v => (typeof v === 'boolean' ? (v ? 1 : 0) : v));
+    if (typeof params === 'object') {
+        const named = {};
+        for (const [key, value] of Object.entries(params)) {
+            named[key.replace(/^[:@$]/, '')] = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+        }
+        return [named];
+    }
+    return [params];
+}
+
+function hasParams(params) {
+    if (params == null) return false;
+    if (Array.isArray(params)) return params.length > 0;
+    return typeof params !== 'object' || Object.keys(params).length > 0;
+}
+
+/**
+ * sql.js-style prepared statement. Rows are materialised on the first step() so
+ * other statements can run on the connection while the caller iterates.
+ */
+class CompatStatement {
+    constructor(stmt) {
+        this.stmt = stmt;
+        this.params = [];
+        this.rows = null;
+        this.index = -1;
+    }
+
+    bind(params) {
+        this.params = normalizeParams(params);
+        this.rows = null;
+        this.index = -1;
+        return true;
+    }
+
+    step() {
+        if (this.rows === null) {
+            if (!this.stmt.reader) {
+                this.stmt.run(...this.params);
+                this.rows = [];
+            } else {
+                this.rows = this.stmt.all(...this.params);
+            }
+        }
+        this.index++;
+        return this.index < this.rows.length;
+    }
+
+    getAsObject() {
+        return this.rows && this.rows[this.index] ? { ...this.rows[this.index] } : {};
+    }
+
+    get(params) {
+        if (params !== undefined) this.bind(params);
+        if (!this.step()) return [];
+        return Object.values(this.getAsObject());
+    }
+
+    run(params) {
+        if (params !== undefined) this.bind(params);
+        if (this.stmt.reader) this.stmt.all(...this.params);
+        else this.stmt.run(...this.params);
+        this.reset();
+    }
+
+    reset() {
+        this.rows = null;
+        this.index = -1;
+        return true;
+    }
+
+    free() {
+        this.rows = null;
+        return true;
+    }
+}
+
+class SqliteDatabase {
+    /**
+     * @param {Function} Database - better-sqlite3 constructor
+     * @param {string} filename - Database file (created if missing)
+     */
+    constructor(Database, filename) {
+        this.Database = Database;
+        this.filename = filename;
+        this.cache = new Map();
+        this.connect();
+    }
+
+    connect() {
+        this.raw = new this.Database(this.filename);
+        this.raw.pragma('journal_mode = WAL');
+        this.raw.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+        // NORMAL is durable across application crashes in WAL mode; only an OS crash can lose the last commit
+        this.raw.pragma('synchronous = NORMAL');
+        // better-sqlite3 enforces foreign keys by default; sql.js didn't, and existing
+        // data and handlers (e.g. chat messages from unknown senders) rely on that
+        this.raw.pragma('foreign_keys = OFF');
+    }
+
+    /**
+     * Drop cached statements and open a fresh connection, e.g. after a backup was
+     * restored into the file underneath us.
+     */
+    reopen() {
+        this.cache.clear();
+        this.raw.close();
+        this.connect();
+    }
+
+    statement(sql) {
+        let stmt = this.cache.get(sql);
+        if (stmt) {
+            // Refresh recency for the LRU eviction below
+            this.cache.delete(sql);
+        } else {
+            stmt = this.raw.prepare(sql);
+        }
+        this.cache.set(sql, stmt);
+        if (this.cache.size > STATEMENT_CACHE_SIZE) this.cache.delete(this.cache.keys().next().value);
+        return stmt;
+    }
+
+    /**
+     * Execute a write. Without params the SQL may contain several statements (schema setup).
+     */
+    run(sql, params) {
+        if (!hasParams(params)) {
+            this.raw.exec(sql);
+            return this;
+        }
+        const stmt = this.statement(sql);
+        if (stmt.reader) stmt.all(...normalizeParams(params));
+        else stmt.run(...normalizeParams(params));
+        return this;
+    }
+
+    get(sql, params) {
+        const row = this.statement(sql).get(...normalizeParams(params));
+        return row === undefined ? null : row;
+    }
+
+    all(sql, params) {
+        return this.statement(sql).all(...normalizeParams(params));
+    }
+
+    prepare(sql) {
+        return new CompatStatement(this.raw.prepare(sql));
+    }
+
+    /**
+     * sql.js result shape: [{ columns, values }] for a single reading statement.
+     */
+    exec(sql) {
+        let stmt;
+        try {
+            stmt = this.raw.prepare(sql);
+        } catch (err) {
+            // Multiple statements can't be prepared at once; they never return rows here
+            if (!/more than one statement/i.test(err.message)) throw err;
+            this.raw.exec(sql);
+            return [];
+        }
+        if (!stmt.reader) { stmt.run(); return []; }
+        const values = stmt.raw(true).all();
+        return values.length ? [{ columns: stmt.columns().map(c => c.name), values }] : [];
+    }
+
+    getRowsModified() {
+        return this.raw.prepare('SELECT changes() AS c').get().c;
+    }
+
+    /**
+     * Consistent copy of the whole database (including pages still in the WAL).
+     */
+    export() {
+        return this.raw.serialize();
+    }
+
+    close() {
+        this.cache.clear();
+        this.raw.close();
+    }
+}
+
+/**
+ * Open the shared database file in WAL mode.
+ */
+function openDatabase(Database, filename) {
+    return new SqliteDatabase(Database, filename);
+}
+
+module.exports = { openDatabase, SqliteDatabase, normalizeParams };
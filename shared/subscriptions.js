@@ -0,0 +1,323 @@
+/**
+ * Subscriptions — one-click unsubscribe and the public preference center for PR
+ * email (newsletters, scheduled announcements, Forum invitations), shared by both
+ * portals.
+ *
+ * Every bulk message goes through decorate(): it adds a footer with "Email
+ * preferences" and "Unsubscribe" links and returns the RFC 8058 headers
+ * (List-Unsubscribe + List-Unsubscribe-Post) for the outbox. The links carry a token
+ * made of the address and an HMAC of it, so they work without signing in and cannot
+ * be made up for somebody else's address.
+ *
+ *   const { html, headers } = subscriptions.decorate(subscriber.email, page, subscriber.language);
+ *   await sendEmail(subscriber.email, subject, html, { headers });
+ *
+ * Preferences live on `pr_subscribers` (subscribed_projects, language, status). An
+ * address that was never on the list gets a row the first time it unsubscribes or
+ * saves preferences, so bulk senders can check isUnsubscribed(email, project) for
+ * anyone. Pass the project the message is about so project opt-outs count too. Each
+ * change — from the mail client's one-click POST, the unsubscribe page, the
+ * preference center or an admin — is recorded with before/after values, IP and
+ * user agent in `pr_subscriber_changes`.
+ */
+
+const crypto = require('crypto');
+
+const PROJECTS = {
+    plexus: { en: 'Plexus conference', hr: 'Plexus konferencija' },
+    accelerator: { en: 'Accelerator program', hr: 'Accelerator program' },
+    forum: { en: 'Biomedical Forum', hr: 'Biomedicinski forum' },
+    bridges: { en: 'Building Bridges events', hr: 'Building Bridges događanja' }
+};
+
+const LANGUAGES = ['en', 'hr'];
+
+const CHANNELS = ['one-click', 'unsubscribe-page', 'preference-center', 'admin'];
+
+const TEXT = {
+    en: {
+        preferences: 'Email preferences',
+        intro: 'Choose which Med&X emails {email} receives.',
+        projects: 'Projects',
+        language: 'Language',
+        save: 'Save preferences',
+        saved: 'Your preferences are saved.',
+        noneSelected: 'With no project selected you are unsubscribed from all Med&X emails.',
+        unsubscribe: 'Unsubscribe',
+        unsubscribeAll: 'Unsubscribe from everything',
+        confirm: 'Stop all Med&X newsletters and announcements to {email}?',
+        unsubscribed: '{email} is unsubscribed. You will not receive Med&X newsletters or announcements any more.',
+        changeMind: 'Changed your mind? Pick the projects you want in your email preferences.',
+        invalid: 'This link is not valid. Please use the link from your most recent Med&X email.',
+        footer: 'You receive this email because of your contact with Med&X.'
+    },
+    hr: {
+        preferences: 'Postavke e-pošte',
+        intro: 'Odaberite koje Med&X e-poruke prima {email}.',
+        projects: 'Projekti',
+        language: 'Jezik',
+        save: 'Spremi postavke',
+        saved: 'Vaše postavke su spremljene.',
+        noneSelected: 'Ako ne odaberete nijedan projekt, odjavljeni ste sa svih Med&X e-poruka.',
+        unsubscribe: 'Odjava',
+        unsubscribeAll: 'Odjavi me sa svega',
+        confirm: 'Prestati slati Med&X newslettere i obavijesti na {email}?',
+        unsubscribed: 'Adresa {email} je odjavljena. Više nećete primati Med&X newslettere ni obavijesti.',
+        changeMind: 'Predomislili ste se? Odaberite projekte u postavkama e-pošte.',
+        invalid: 'Ova poveznica nije valjana. Upotrijebite poveznicu iz najnovije Med&X e-poruke.',
+        footer: 'Ovu e-poruku primate zbog kontakta s Med&X-om.'
+    }
+};
+
+class SubscriptionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SubscriptionError';
+        this.status = status;
+    }
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const languageOf = (lang) => String(lang || '').toLowerCase().startsWith('hr') ? 'hr' : 'en';
+
+// 'all', 'plexus,forum' or ['plexus', 'forum'] → the project keys
+function parseProjects(value) {
+    if (value === undefined || value === null || value === 'all') return Object.keys(PROJECTS);
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(p => String(p).trim().toLowerCase()).filter(p => PROJECTS[p]))];
+}
+
+// Stored as 'all' when every project is chosen, as the newsletter filters expect
+function formatProjects(value) {
+    if (value === 'all') return 'all';
+    const projects = parseProjects(value);
+    return projects.length === Object.keys(PROJECTS).length ? 'all' : projects.join(',');
+}
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.secret - Key for the link tokens
+ * @param {string} options.baseUrl - Public address of this portal; the links point here
+ */
+function createSubscriptions(db, { secret, baseUrl }) {
+    const base = String(baseUrl || '').replace(/\/+$/, '');
+
+    function sign(email) {
+        return crypto.createHmac('sha256', secret).update(`subscription|${email}`).digest('base64url').slice(0, 22);
+    }
+
+    function tokenFor(email) {
+        const address = normalizeEmail(email);
+        return `${Buffer.from(address).toString('base64url')}.${sign(address)}`;
+    }
+
+    // The address a token was made for, or null when it was tampered with
+    function emailFromToken(token) {
+        const [encoded, signature] = String(token || '').split('.');
+        if (!encoded || !signature) return null;
+        const email = Buffer.from(encoded, 'base64url').toString('utf8');
+        const expected = Buffer.from(sign(email));
+        const given = Buffer.from(signature);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? email : null;
+    }
+
+    function links(email) {
+        const token = tokenFor(email);
+        return { preferences: `${base}/subscriptions/${token}`, unsubscribe: `${base}/subscriptions/${token}/unsubscribe` };
+    }
+
+    const find = (email) => db.get('SELECT * FROM pr_subscribers WHERE LOWER(email) = ?', [normalizeEmail(email)]);
+
+    /**
+     * Whether an address opted out of all PR email or, given a project key, out of that
+     * project's — by unticking it in the preference center or being subscribed to other
+     * projects only. Addresses that were never on the list haven't opted out of anything.
+     */
+    function isUnsubscribed(email, project = null) {
+        const subscriber = find(email);
+        if (!subscriber) return false;
+        if (subscriber.status === 'unsubscribed') return true;
+        return !!PROJECTS[project] && !parseProjects(subscriber.subscribed_projects).includes(project);
+    }
+
+    /**
+     * Footer links and List-Unsubscribe headers for one recipient of a bulk email.
+     * Call it after email-tracking's instrument() so these links are not rewritten.
+     */
+    function decorate(email, html, lang = 'en') {
+        const t = TEXT[languageOf(lang)];
+        const { preferences, unsubscribe } = links(email);
+        const footer = `<div style="text-align: center; padding: 0 16px 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 11px; color: #64748b;">
+    ${t.footer} <a href="${escapeHtml(preferences)}" style="color: #64748b;">${t.preferences}</a> &middot; <a href="${escapeHtml(unsubscribe)}" style="color: #64748b;">${t.unsubscribe}</a>
+</div>`;
+        return {
+            html: /<\/body>/i.test(html) ? String(html).replace(/<\/body>/i, () => `${footer}</body>`) : String(html) + footer,
+            headers: { 'List-Unsubscribe': `<${unsubscribe}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        };
+    }
+
+    /**
+     * Change a subscriber's projects, language or status and record it. `target` is
+     * { id } for an existing subscriber or { email }, which creates the row if needed.
+     * Choosing no projects unsubscribes; choosing some after unsubscribing resubscribes.
+     *
+     * @param {Object} target - { id } or { email }
+     * @param {Object} updates - { projects, language, status }
+     * @param {Object} evidence - { channel, ip, userAgent, changedBy }
+     * @returns {Object} The subscriber row after the change
+     */
+    function change(target, { projects, language, status } = {}, { channel, ip = null, userAgent = null, changedBy = null } = {}) {
+        if (!CHANNELS.includes(channel)) throw new SubscriptionError(`Unknown channel "${channel}"`);
+        const before = target.id ? db.get('SELECT * FROM pr_subscribers WHERE id = ?', [target.id]) : find(target.email);
+        if (!before && !target.email) throw new SubscriptionError('Subscriber not found', 404);
+
+        const after = {
+            subscribed_projects: projects !== undefined ? formatProjects(projects) : before ? before.subscribed_projects : '',
+            language: language ? languageOf(language) : before?.language || 'en',
+            status: status || (projects !== undefined ? (parseProjects(projects).length ? 'active' : 'unsubscribed') : before?.status || 'active')
+        };
+        if (before && ['subscribed_projects', 'language', 'status'].every(f => (before[f] ?? '') === after[f])) return before;
+
+        const id = before?.id || crypto.randomUUID();
+        if (before) {
+            db.run(`UPDATE pr_subscribers SET subscribed_projects = ?, language = ?, status = ?,
+                    unsubscribed_at = CASE WHEN ? = 'unsubscribed' THEN COALESCE(unsubscribed_at, datetime('now')) ELSE NULL END,
+                    updated_at = datetime('now') WHERE id = ?`,
+                [after.subscribed_projects, after.language, after.status, after.status, id]);
+        } else {
+            db.run(`INSERT INTO pr_subscribers (id, email, subscribed_projects, language, status, source, subscribed_at, unsubscribed_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ${after.status === 'unsubscribed' ? "datetime('now')" : 'NULL'}, datetime('now'))`,
+                [id, normalizeEmail(target.email), after.subscribed_projects, after.language, after.status, channel]);
+        }
+
+        const wasActive = before && before.status !== 'unsubscribed';
+        const action = after.status === 'unsubscribed' ? (wasActive || !before ? 'unsubscribe' : 'update')
+            : !wasActive && after.status === 'active' ? 'subscribe' : 'update';
+        db.run(`INSERT INTO pr_subscriber_changes (id, subscriber_id, email, action, channel, status_before, status_after,
+                projects_before, projects_after, language_before, language_after, ip, user_agent, changed_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+            [crypto.randomUUID(), id, before?.email || normalizeEmail(target.email), action, channel,
+                before?.status || null, after.status, before?.subscribed_projects ?? null, after.subscribed_projects,
+                before?.language || null, after.language, ip, userAgent ? String(userAgent).slice(0, 300) : null, changedBy]);
+        return db.get('SELECT * FROM pr_subscribers WHERE id = ?', [id]);
+    }
+
+    function unsubscribe(target, evidence) {
+        return change(target, { status: 'unsubscribed' }, evidence);
+    }
+
+    /**
+     * Recorded changes of one subscriber, newest first.
+     */
+    function history(subscriberId) {
+        return db.all(`SELECT c.*, u.email as changed_by_email FROM pr_subscriber_changes c
+            LEFT JOIN users u ON u.id = c.changed_by WHERE c.subscriber_id = ? ORDER BY c.created_at DESC, c.rowid DESC`, [subscriberId]);
+    }
+
+    const evidenceOf = (req, channel) => ({ channel, ip: req.ip || null, userAgent: req.get('user-agent') || null });
+
+    function page(lang, title, body) {
+        return `<!DOCTYPE html><html lang="${lang}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex"><title>${escapeHtml(title)} — Med&amp;X</title>
+<style>body{font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;margin:0;background:#f4f4f5;color:#0f172a}
+header{background:#0f172a;padding:20px;text-align:center;font-size:22px;font-weight:700}header span{color:#C9A962}
+main{max-width:520px;margin:24px auto;background:#fff;border-radius:12px;padding:28px;box-shadow:0 1px 3px rgba(0,0,0,.08)}
+h1{font-size:20px;margin:0 0 12px}p{line-height:1.6;font-size:15px}fieldset{border:0;padding:0;margin:0 0 20px}
+legend{font-weight:600;margin-bottom:8px}label{display:block;padding:6px 0;font-size:15px}
+button{background:#0f172a;color:#fff;border:0;border-radius:8px;padding:10px 18px;font-size:14px;cursor:pointer}
+button.link{background:none;color:#64748b;text-decoration:underline;padding:10px 0;margin-left:12px}
+.note{color:#64748b;font-size:13px}.ok{background:#dcfce7;color:#166534;padding:10px 14px;border-radius:8px}
+nav{text-align:right;font-size:13px}nav a{color:#64748b;margin-left:8px}</style></head>
+<body><header><span>Med</span>&amp;<span>X</span></header><main>${body}</main></body></html>`;
+    }
+
+    function languageLinks(lang) {
+        return `<nav>${LANGUAGES.map(l => l === lang ? `<strong>${l.toUpperCase()}</strong>` : `<a href="?lang=${l}">${l.toUpperCase()}</a>`).join(' ')}</nav>`;
+    }
+
+    function invalid(req, res) {
+        const lang = languageOf(req.query.lang);
+        res.status(400).send(page(lang, TEXT[lang].preferences, `<p>${TEXT[lang].invalid}</p>`));
+    }
+
+    /**
+     * GET/POST /subscriptions/:token — the preference center (form posts back here).
+     */
+    function preferencesHandler(req, res) {
+        const email = emailFromToken(req.params.token);
+        if (!email) return invalid(req, res);
+        try {
+            let subscriber = find(email);
+            let saved = false;
+            if (req.method === 'POST') {
+                const body = req.body || {};
+                subscriber = body.action === 'unsubscribe'
+                    ? unsubscribe({ email }, evidenceOf(req, 'preference-center'))
+                    : change({ email }, { projects: [].concat(body.projects || []), language: body.language }, evidenceOf(req, 'preference-center'));
+                saved = true;
+            }
+
+            const lang = req.query.lang ? languageOf(req.query.lang) : languageOf(subscriber?.language);
+            const t = TEXT[lang];
+            const active = subscriber && subscriber.status !== 'unsubscribed';
+            const chosen = active ? parseProjects(subscriber.subscribed_projects) : [];
+            res.send(page(lang, t.preferences, `${languageLinks(lang)}
+<h1>${t.preferences}</h1>
+${saved ? `<p class="ok">${active ? t.saved : t.unsubscribed.replace('{email}', escapeHtml(email))}</p>` : ''}
+<p>${t.intro.replace('{email}', `<strong>${escapeHtml(email)}</strong>`)}</p>
+<form method="POST">
+<fieldset><legend>${t.projects}</legend>
+${Object.entries(PROJECTS).map(([key, label]) => `<label><input type="checkbox" name="projects" value="${key}"${chosen.includes(key) ? ' checked' : ''}> ${label[lang]}</label>`).join('\n')}
+<p class="note">${t.noneSelected}</p></fieldset>
+<fieldset><legend>${t.language}</legend>
+${LANGUAGES.map(l => `<label><input type="radio" name="language" value="${l}"${languageOf(subscriber?.language || lang) === l ? ' checked' : ''}> ${l === 'hr' ? 'Hrvatski' : 'English'}</label>`).join('\n')}
+</fieldset>
+<button type="submit">${t.save}</button>${active ? `<button type="submit" name="action" value="unsubscribe" class="link">${t.unsubscribeAll}</button>` : ''}
+</form>`));
+        } catch (err) {
+            console.error('Subscription preferences error:', err);
+            res.status(500).send(page('en', 'Error', '<p>Something went wrong. Please try again later.</p>'));
+        }
+    }
+
+    /**
+     * GET /subscriptions/:token/unsubscribe asks for confirmation (link scanners open
+     * GET links); POST unsubscribes — both the confirmation button and the RFC 8058
+     * one-click request a mail client sends with `List-Unsubscribe=One-Click`.
+     */
+    function unsubscribeHandler(req, res) {
+        const email = emailFromToken(req.params.token);
+        if (!email) return invalid(req, res);
+        try {
+            const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+            let subscriber = find(email);
+            if (req.method === 'POST') {
+                subscriber = unsubscribe({ email }, evidenceOf(req, oneClick ? 'one-click' : 'unsubscribe-page'));
+            }
+
+            const lang = req.query.lang ? languageOf(req.query.lang) : languageOf(subscriber?.language);
+            const t = TEXT[lang];
+            const preferences = `/subscriptions/${encodeURIComponent(req.params.token)}`;
+            if (subscriber?.status === 'unsubscribed') {
+                return res.send(page(lang, t.unsubscribe, `${languageLinks(lang)}<h1>${t.unsubscribe}</h1>
+<p class="ok">${t.unsubscribed.replace('{email}', escapeHtml(email))}</p>
+<p><a href="${preferences}?lang=${lang}">${t.changeMind}</a></p>`));
+            }
+            res.send(page(lang, t.unsubscribe, `${languageLinks(lang)}<h1>${t.unsubscribe}</h1>
+<p>${t.confirm.replace('{email}', `<strong>${escapeHtml(email)}</strong>`)}</p>
+<form method="POST"><button type="submit">${t.unsubscribe}</button></form>
+<p class="note"><a href="${preferences}?lang=${lang}">${t.preferences}</a></p>`));
+        } catch (err) {
+            console.error('Unsubscribe error:', err);
+            res.status(500).send(page('en', 'Error', '<p>Something went wrong. Please try again later.</p>'));
+        }
+    }
+
+    return { links, find, isUnsubscribed, decorate, change, unsubscribe, history, preferencesHandler, unsubscribeHandler };
+}
+
+module.exports = { createSubscriptions, SubscriptionError, PROJECTS, CHANNELS, parseProjects, formatProjects };
@@ -0,0 +1,233 @@
+/**
+ * Two-Factor — TOTP (RFC 6238) second factor with single-use backup codes for
+ * team accounts.
+ *
+ * Enrollment is two-step: begin() stores a fresh secret as pending, enable() only
+ * switches it on once the user has typed a code from their authenticator app, and
+ * hands back the backup codes (shown once, stored hashed). The TOTP secret itself
+ * has to be readable to check codes, so it is kept AES-256-GCM encrypted with a key
+ * derived from `secret` — a copy of the database (tech DB download, backups) is not
+ * enough to generate codes. Changing that key invalidates every enrollment.
+ *
+ * Codes are 6 digits over 30-second steps, accepted one step either side for clock
+ * drift; a step that was already used is refused so a code can't be replayed.
+ */
+
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+
+class TwoFactorError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.status = status;
+    }
+}
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function base32Encode(buf) {
+    let bits = 0, value = 0, out = '';
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function base32Decode(str) {
+    const clean = String(str).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0, value = 0;
+    const out = [];
+    for (const ch of clean) {
+        const idx = BASE32.indexOf(ch);
+        if (idx === -1) throw new TwoFactorError('Invalid base32 secret');
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+}
+
+/**
+ * HOTP code (RFC 4226) for a raw key and counter.
+ */
+function hotp(key, counter) {
+    const msg = Buffer.alloc(8);
+    msg.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', key).update(msg).digest();
+    const offset = digest[digest.length - 1] & 0xf;
+    const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, '0');
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Which time step a code matches (within drift), or null.
+ */
+function matchStep(base32Secret, code, now = Date.now()) {
+    if (!/^\d+$/.test(code) || code.length !== DIGITS) return null;
+    const key = base32Decode(base32Secret);
+    const step = currentStep(now);
+    for (let d = -DRIFT_STEPS; d <= DRIFT_STEPS; d++) {
+        const candidate = hotp(key, step + d);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) return step + d;
+    }
+    return null;
+}
+
+function otpauthUrl({ issuer, account, secret }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+// xxxx-xxxx, without look-alike characters
+function newBackupCode() {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    const bytes = crypto.randomBytes(8);
+    const chars = [...bytes].map(b => alphabet[b % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} options.secret - Key material for encrypting TOTP secrets at rest
+ * @param {string} [options.issuer] - Name shown in authenticator apps
+ */
+function createTwoFactor(db, { secret, issuer = 'Med&X' }) {
+    const key = crypto.createHash('sha256').update(`two-factor:${secret}`).digest();
+
+    function encrypt(plain) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+    }
+
+    function decrypt(stored) {
+        const [iv, tag, data] = String(stored).split('.').map(s => Buffer.from(s, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    }
+
+    const row = (userId) => db.get('SELECT * FROM user_two_factor WHERE user_id = ?', [userId]);
+
+    function isEnabled(userId) {
+        return !!db.get('SELECT 1 FROM user_two_factor WHERE user_id = ? AND enabled_at IS NOT NULL', [userId]);
+    }
+
+    function status(userId) {
+        const r = row(userId);
+        const enabled = !!r?.enabled_at;
+        return {
+            enabled,
+            enabled_at: r?.enabled_at || null,
+            last_used_at: r?.last_used_at || null,
+            backup_codes_left: enabled ? JSON.parse(r.backup_codes || '[]').length : 0
+        };
+    }
+
+    /**
+     * Start (or restart) enrollment with a new secret. Does not touch an enabled
+     * enrollment — disable it first.
+     *
+     * @returns {{ secret: string, otpauthUrl: string }}
+     */
+    function begin(user) {
+        if (isEnabled(user.id)) throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+        const totpSecret = base32Encode(crypto.randomBytes(20));
+        db.run(`INSERT INTO user_two_factor (user_id, secret_enc, created_at) VALUES (?, ?, datetime('now'))
+            ON CONFLICT(user_id) DO UPDATE SET secret_enc = excluded.secret_enc, created_at = excluded.created_at,
+                enabled_at = NULL, backup_codes = NULL, last_step = NULL, last_used_at = NULL`,
+            [user.id, encrypt(totpSecret)]);
+        return { secret: totpSecret, otpauthUrl: otpauthUrl({ issuer, account: user.email, secret: totpSecret }) };
+    }
+
+    // Accept a TOTP code against the stored secret, refusing already-used steps
+    function checkTotp(r, code) {
+        if (!/^\d{6}$/.test(code)) return false;
+        let totpSecret;
+        try {
+            totpSecret = decrypt(r.secret_enc);
+        } catch (err) {
+            return false; // encrypted under a different key — only backup codes still work
+        }
+        const step = matchStep(totpSecret, code);
+        if (step === null || (r.last_step !== null && step <= r.last_step)) return false;
+        db.run(`UPDATE user_two_factor SET last_step = ?, last_used_at = datetime('now') WHERE user_id = ?`, [step, r.user_id]);
+        return true;
+    }
+
+    function issueBackupCodes(userId) {
+        const codes = Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+        db.run('UPDATE user_two_factor SET backup_codes = ? WHERE user_id = ?',
+            [JSON.stringify(codes.map(c => hash(normalizeBackupCode(c)))), userId]);
+        return codes;
+    }
+
+    /**
+     * Confirm a pending enrollment with a code from the app. Returns the backup codes.
+     */
+    function enable(userId, code) {
+        const r = row(userId);
+        if (!r) throw new TwoFactorError('Start two-factor setup first');
+        if (r.enabled_at) throw new TwoFactorError('Two-factor authentication is already enabled', 409);
+        if (!checkTotp(r, String(code || '').replace(/\s/g, ''))) throw new TwoFactorError('Invalid code — check the time on your device and try again');
+        db.run(`UPDATE user_two_factor SET enabled_at = datetime('now') WHERE user_id = ?`, [userId]);
+        return issueBackupCodes(userId);
+    }
+
+    /**
+     * Check a second factor at sign-in: a 6-digit code or an unused backup code
+     * (which is then used up). Returns 'totp', 'backup' or null.
+     */
+    function verify(userId, code) {
+        const r = row(userId);
+        if (!r?.enabled_at) return null;
+        const input = String(code || '').trim();
+        if (checkTotp(r, input.replace(/\s/g, ''))) return 'totp';
+
+        const hashes = JSON.parse(r.backup_codes || '[]');
+        const presented = hash(normalizeBackupCode(input));
+        const idx = hashes.indexOf(presented);
+        if (idx === -1 || !normalizeBackupCode(input)) return null;
+        hashes.splice(idx, 1);
+        db.run(`UPDATE user_two_factor SET backup_codes = ?, last_used_at = datetime('now') WHERE user_id = ?`,
+            [JSON.stringify(hashes), userId]);
+        return 'backup';
+    }
+
+    /**
+     * Replace the backup codes (the old ones stop working). Returns the new ones.
+     */
+    function regenerateBackupCodes(userId) {
+        if (!isEnabled(userId)) throw new TwoFactorError('Two-factor authentication is not enabled');
+        return issueBackupCodes(userId);
+    }
+
+    function disable(userId) {
+        db.run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    }
+
+    return { isEnabled, status, begin, enable, verify, regenerateBackupCodes, disable };
+}
+
+module.exports = { createTwoFactor, TwoFactorError, base32Encode, base32Decode, hotp, matchStep };
@@ -0,0 +1,354 @@
+/**
+ * Web Push — browser notifications for user-portal accounts, shared by both portals.
+ *
+ * The user SPA subscribes through its service worker (sw.js) with the VAPID public
+ * key and stores the subscription with POST /api/push/subscriptions. Anything that
+ * should reach a user's devices goes through notify(), which queues one
+ * `push_messages` row per user — skipping users with no subscription or who turned
+ * the category off — and tries to deliver it straight away. processDue() (a
+ * scheduled job) retries failed deliveries and picks up what nobody pushed
+ * explicitly:
+ *   - new `user_notifications` rows, from whichever route inserted them
+ *   - new Plexus `announcements`, to that conference's registrants
+ *   - reminders for sessions in a personal schedule (/api/plexus/my-schedule)
+ *
+ *   webPush.notify(app.user_id, 'accelerator', { title, body, url: '/#accelerator' },
+ *       { source: 'accelerator-status', sourceId: `${app.id}:${status}` });
+ *
+ * Messages are encrypted per RFC 8291 (aes128gcm) and signed with VAPID (RFC 8292)
+ * using node:crypto only. The key pair comes from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY,
+ * or is generated once into `web_push_keys` so both portals sign with the same key.
+ * A subscription the push service reports gone (404/410) is deleted.
+ */
+
+const crypto = require('crypto');
+
+// What a user can turn off, one switch each
+const CATEGORIES = {
+    notifications: { label: 'Portal notifications', description: 'Messages from the Med&X team in your notification panel' },
+    announcements: { label: 'Conference announcements', description: 'Announcements for conferences you are registered for' },
+    session_reminders: { label: 'Session reminders', description: 'A reminder shortly before sessions in your personal schedule' },
+    accelerator: { label: 'Accelerator application', description: 'Changes to the status of your Accelerator application' }
+};
+
+// Minutes to wait after the 1st, 2nd, ... failed attempt; one more failure after the last is final
+const RETRY_MINUTES = [2, 10, 30];
+const SENDING_TIMEOUT_MINUTES = 10;
+const REMINDER_MINUTES = 15;
+const RECORD_SIZE = 4096;
+const TTL_SECONDS = 24 * 60 * 60;
+const CONFERENCE_TIME_ZONE = 'Europe/Zagreb';
+
+class PushError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PushError';
+        this.status = status;
+    }
+}
+
+const b64 = (buf) => Buffer.from(buf).toString('base64url');
+const unb64 = (s) => Buffer.from(String(s), 'base64url');
+
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return { publicKey: b64(ecdh.getPublicKey()), privateKey: b64(ecdh.getPrivateKey()) };
+}
+
+function hkdf(salt, ikm, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Encrypt a payload for one subscription (RFC 8291, single aes128gcm record).
+ */
+function encrypt(payload, { p256dh, auth }) {
+    const clientKey = unb64(p256dh);
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverKey = ecdh.generateKeys();
+    const ikm = hkdf(unb64(auth), ecdh.computeSecret(clientKey),
+        Buffer.concat([Buffer.from('WebPush: info\0'), clientKey, serverKey]), 32);
+    const salt = crypto.randomBytes(16);
+    const cek = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    const plain = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+    if (plain.length + 16 > RECORD_SIZE) throw new PushError('Push payload too large');
+    const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+    const body = Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverKey.length, 20);
+    return Buffer.concat([header, serverKey, body]);
+}
+
+// Wall-clock date and time in `timeZone` → Date
+function zonedTime(date, time, timeZone) {
+    const guess = new Date(`${date}T${time.length === 5 ? time + ':00' : time}Z`);
+    if (isNaN(guess)) return null;
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(guess).map(p => [p.type, p.value]));
+    const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return new Date(guess.getTime() - (shown - guess.getTime()));
+}
+
+/**
+ * @param {Object} db - Portal database (shared/sqlite-adapter.js)
+ * @param {Object} options
+ * @param {string} [options.subject] - VAPID contact (mailto: or https: URL)
+ * @param {string} [options.publicKey] - VAPID key pair, base64url; generated and stored when absent
+ * @param {string} [options.privateKey]
+ */
+function createWebPush(db, { subject = 'mailto:info@medx.hr', publicKey = null, privateKey = null } = {}) {
+    if (!publicKey || !privateKey) {
+        const generated = generateVapidKeys();
+        db.run('INSERT OR IGNORE INTO web_push_keys (id, public_key, private_key) VALUES (1, ?, ?)', [generated.publicKey, generated.privateKey]);
+        ({ public_key: publicKey, private_key: privateKey } = db.get('SELECT public_key, private_key FROM web_push_keys WHERE id = 1'));
+    }
+    const point = unb64(publicKey);
+    const signingKey = crypto.createPrivateKey({
+        key: { kty: 'EC', crv: 'P-256', d: privateKey, x: b64(point.subarray(1, 33)), y: b64(point.subarray(33, 65)) },
+        format: 'jwk'
+    });
+    const vapidTokens = new Map();
+
+    // VAPID JWT per push service origin, valid 12 hours and renewed after 6
+    function vapidToken(audience) {
+        const cached = vapidTokens.get(audience);
+        if (cached && cached.renewAt > Date.now()) return cached.token;
+        const now = Math.floor(Date.now() / 1000);
+        const unsigned = `${b64(JSON.stringify({ typ: 'JWT', alg: 'ES256' }))}.${b64(JSON.stringify({ aud: audience, exp: now + 12 * 3600, sub: subject }))}`;
+        const signature = crypto.sign('sha256', Buffer.from(unsigned), { key: signingKey, dsaEncoding: 'ieee-p1363' });
+        const token = `${unsigned}.${b64(signature)}`;
+        vapidTokens.set(audience, { token, renewAt: Date.now() + 6 * 3600 * 1000 });
+        return token;
+    }
+
+    /**
+     * POST one encrypted message to one subscription → { result: 'sent' | 'gone' | 'retry' | 'failed', error? }
+     */
+    async function pushTo(subscription, payload) {
+        const url = new URL(subscription.endpoint);
+        let response;
+        try {
+            response = await fetch(subscription.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `vapid t=${vapidToken(url.origin)}, k=${publicKey}`,
+                    'Content-Encoding': 'aes128gcm',
+                    'Content-Type': 'application/octet-stream',
+                    'TTL': String(TTL_SECONDS),
+                    'Urgency': 'normal'
+                },
+                body: encrypt(payload, subscription)
+            });
+        } catch (err) {
+            return { result: 'retry', error: err.message };
+        }
+        if (response.ok) {
+            db.run("UPDATE push_subscriptions SET last_success_at = datetime('now'), failure_count = 0 WHERE id = ?", [subscription.id]);
+            return { result: 'sent' };
+        }
+        if (response.status === 404 || response.status === 410) {
+            db.run('DELETE FROM push_subscriptions WHERE id = ?', [subscription.id]);
+            return { result: 'gone' };
+        }
+        db.run('UPDATE push_subscriptions SET failure_count = failure_count + 1 WHERE id = ?', [subscription.id]);
+        const error = `Push service answered ${response.status}`;
+        return { result: response.status === 429 || response.status >= 500 ? 'retry' : 'failed', error };
+    }
+
+    // ---- Subscriptions and preferences ----
+
+    function subscribe(userId, subscription, userAgent = null) {
+        const endpoint = subscription?.endpoint;
+        const { p256dh, auth } = subscription?.keys || {};
+        if (!endpoint || !/^https:\/\//.test(endpoint) || !p256dh || !auth) throw new PushError('A push subscription with endpoint and keys is required');
+        if (unb64(p256dh).length !== 65 || unb64(auth).length !== 16) throw new PushError('Invalid subscription keys');
+        // The same browser signing in as someone else takes the subscription with it
+        db.run(`INSERT INTO push_subscriptions (id, user_id, endpoint, p256dh, auth, user_agent) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(endpoint) DO UPDATE SET user_id = excluded.user_id, p256dh = excluded.p256dh, auth = excluded.auth,
+                user_agent = excluded.user_agent, failure_count = 0`,
+            [crypto.randomUUID(), userId, endpoint, p256dh, auth, userAgent ? String(userAgent).slice(0, 300) : null]);
+        return db.get('SELECT id, endpoint, user_agent, created_at FROM push_subscriptions WHERE endpoint = ?', [endpoint]);
+    }
+
+    /**
+     * The browser replaced a subscription (pushsubscriptionchange). The old endpoint
+     * is only known to that browser, so it stands in for the sign-in.
+     */
+    function renew(oldEndpoint, subscription, userAgent = null) {
+        const old = oldEndpoint && db.get('SELECT user_id FROM push_subscriptions WHERE endpoint = ?', [oldEndpoint]);
+        if (!old) throw new PushError('Unknown subscription', 404);
+        const renewed = subscribe(old.user_id, subscription, userAgent);
+        if (oldEndpoint !== subscription.endpoint) db.run('DELETE FROM push_subscriptions WHERE endpoint = ?', [oldEndpoint]);
+        return renewed;
+    }
+
+    function unsubscribe(userId, endpoint) {
+        db.run('DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?', [userId, endpoint]);
+        return db.getRowsModified() > 0;
+    }
+
+    function subscriptions(userId) {
+        return db.all('SELECT id, endpoint, user_agent, created_at, last_success_at FROM push_subscriptions WHERE user_id = ? ORDER BY created_at', [userId]);
+    }
+
+    function preferences(userId) {
+        const off = new Set(db.all('SELECT category FROM push_preferences WHERE user_id = ? AND enabled = 0', [userId]).map(r => r.category));
+        return Object.entries(CATEGORIES).map(([key, c]) => ({ key, ...c, enabled: !off.has(key) }));
+    }
+
+    function setPreferences(userId, changes) {
+        const unknown = Object.keys(changes || {}).filter(key => !CATEGORIES[key]);
+        if (unknown.length) throw new PushError(`Unknown push category: ${unknown.join(', ')}`);
+        for (const [key, enabled] of Object.entries(changes || {})) {
+            db.run(`INSERT INTO push_preferences (user_id, category, enabled, updated_at) VALUES (?, ?, ?, datetime('now'))
+                ON CONFLICT(user_id, category) DO UPDATE SET enabled = excluded.enabled, updated_at = excluded.updated_at`,
+                [userId, key, enabled ? 1 : 0]);
+        }
+        return preferences(userId);
+    }
+
+    // ---- Sending ----
+
+    /**
+     * Queue a message for each user (id or array, or 'subscribers' for everyone with a
+     * device) and deliver it. `source` + `sourceId` identify what it is about: the same
+     * pair is never queued twice for a user. Returns how many users it was queued for.
+     */
+    function notify(userIds, category, { title, body = '', url = '/' }, { source, sourceId }) {
+        if (!CATEGORIES[category]) throw new PushError(`Unknown push category "${category}"`);
+        const audience = userIds === 'subscribers' ? null : [].concat(userIds).filter(Boolean).map(String);
+        if (audience && !audience.length) return 0;
+        const rows = db.all(`SELECT DISTINCT s.user_id FROM push_subscriptions s
+            WHERE NOT EXISTS (SELECT 1 FROM push_preferences p WHERE p.user_id = s.user_id AND p.category = ? AND p.enabled = 0)
+            ${audience ? `AND s.user_id IN (${audience.map(() => '?').join(', ')})` : ''}`, [category, ...(audience || [])]);
+        let queued = 0;
+        for (const { user_id: userId } of rows) {
+            db.run(`INSERT OR IGNORE INTO push_messages (id, user_id, category, source, source_id, title, body, url) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [crypto.randomUUID(), userId, category, source, String(sourceId), String(title).slice(0, 200), String(body || '').slice(0, 1000), url || '/']);
+            queued += db.getRowsModified();
+        }
+        if (queued) setImmediate(() => deliverDue().catch(err => console.error('[Push] Delivery failed:', err)));
+        return queued;
+    }
+
+    async function deliver(message) {
+        const devices = db.all('SELECT * FROM push_subscriptions WHERE user_id = ?', [message.user_id]);
+        const payload = JSON.stringify({ title: message.title, body: message.body, url: message.url, category: message.category, tag: `${message.source}:${message.source_id}` });
+        const results = await Promise.all(devices.map(device => pushTo(device, payload)));
+        const sent = results.filter(r => r.result === 'sent').length;
+        const error = results.find(r => r.error)?.error || null;
+
+        if (sent || !devices.length || results.every(r => r.result === 'gone')) {
+            db.run(`UPDATE push_messages SET status = ?, devices = ?, last_error = ?, sent_at = datetime('now') WHERE id = ?`,
+                [sent ? 'sent' : 'skipped', sent, error, message.id]);
+        } else if (results.some(r => r.result === 'retry') && message.attempts <= RETRY_MINUTES.length) {
+            db.run(`UPDATE push_messages SET status = 'pending', last_error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?`,
+                [error, `+${RETRY_MINUTES[message.attempts - 1]} minutes`, message.id]);
+        } else {
+            db.run("UPDATE push_messages SET status = 'failed', last_error = ? WHERE id = ?", [error, message.id]);
+        }
+    }
+
+    async function deliverDue(limit = 100) {
+        // A portal that died mid-send leaves rows claimed
+        db.run(`UPDATE push_messages SET status = 'pending' WHERE status = 'sending' AND next_attempt_at < datetime('now', '-${SENDING_TIMEOUT_MINUTES} minutes')`);
+        const due = db.all(`SELECT id FROM push_messages WHERE status = 'pending' AND next_attempt_at <= datetime('now') ORDER BY created_at LIMIT ?`, [limit]);
+        let delivered = 0;
+        for (const { id } of due) {
+            // Claim it, so the other portal (or an overlapping run) can't send it too
+            db.run(`UPDATE push_messages SET status = 'sending', attempts = attempts + 1, next_attempt_at = datetime('now') WHERE id = ? AND status = 'pending'`, [id]);
+            if (db.getRowsModified() !== 1) continue;
+            const message = db.get('SELECT * FROM push_messages WHERE id = ?', [id]);
+            try {
+                await deliver(message);
+                delivered++;
+            } catch (err) {
+                db.run("UPDATE push_messages SET status = 'failed', last_error = ? WHERE id = ?", [err.message, id]);
+            }
+        }
+        return delivered;
+    }
+
+    // ---- Sources nobody pushes explicitly ----
+
+    function queueUserNotifications() {
+        const rows = db.all(`SELECT * FROM user_notifications WHERE pushed_at IS NULL
+            AND (expires_at IS NULL OR expires_at = '' OR expires_at > datetime('now')) ORDER BY created_at`);
+        let queued = 0;
+        for (const n of rows) {
+            db.run("UPDATE user_notifications SET pushed_at = datetime('now') WHERE id = ? AND pushed_at IS NULL", [n.id]);
+            if (db.getRowsModified() !== 1) continue;
+            // Same audience as the notification panel: the user, or everyone when there is none
+            queued += notify(n.user_id || 'subscribers', 'notifications', { title: n.title, body: n.message, url: n.link || '/' },
+                { source: 'user-notification', sourceId: n.id });
+        }
+        return queued;
+    }
+
+    function queueAnnouncements() {
+        const rows = db.all('SELECT * FROM announcements WHERE pushed_at IS NULL ORDER BY published_at');
+        let queued = 0;
+        for (const a of rows) {
+            db.run("UPDATE announcements SET pushed_at = datetime('now') WHERE id = ? AND pushed_at IS NULL", [a.id]);
+            if (db.getRowsModified() !== 1) continue;
+            const registrants = db.all(`SELECT DISTINCT user_id FROM registrations WHERE conference_id = ? AND user_id IS NOT NULL AND status != 'cancelled'`, [a.conference_id]);
+            queued += notify(registrants.map(r => r.user_id), 'announcements',
+                { title: `${a.is_urgent ? 'Urgent: ' : ''}${a.title}`, body: a.content, url: '/#plexus' },
+                { source: 'announcement', sourceId: a.id });
+        }
+        return queued;
+    }
+
+    function queueSessionReminders(now = new Date()) {
+        const sessions = db.all(`SELECT s.id, s.title, s.room, s.day, s.start_time, c.start_date
+            FROM sessions s JOIN conferences c ON c.id = s.conference_id
+            WHERE s.start_time IS NOT NULL AND c.start_date IS NOT NULL
+              AND date(c.start_date, '+' || (COALESCE(s.day, 1) - 1) || ' days') BETWEEN date(?, '-1 day') AND date(?, '+1 day')
+              AND EXISTS (SELECT 1 FROM personal_schedules ps WHERE ps.session_id = s.id)`, [now.toISOString(), now.toISOString()]);
+        let queued = 0;
+        for (const s of sessions) {
+            const day = new Date(`${s.start_date.slice(0, 10)}T00:00:00Z`);
+            day.setUTCDate(day.getUTCDate() + (s.day || 1) - 1);
+            const startsAt = zonedTime(day.toISOString().slice(0, 10), s.start_time, CONFERENCE_TIME_ZONE);
+            const minutes = startsAt && (startsAt - now) / 60000;
+            if (!startsAt || minutes < 0 || minutes > REMINDER_MINUTES) continue;
+            const attendees = db.all('SELECT user_id FROM personal_schedules WHERE session_id = ?', [s.id]);
+            queued += notify(attendees.map(a => a.user_id), 'session_reminders',
+                { title: `Starting at ${s.start_time}: ${s.title}`, body: s.room ? `In ${s.room}` : 'From your schedule', url: '/#plexus' },
+                { source: 'session-reminder', sourceId: s.id });
+        }
+        return queued;
+    }
+
+    /**
+     * Scheduled job: pick up new notifications, announcements and upcoming sessions, then
+     * deliver everything due.
+     */
+    async function processDue() {
+        const queued = queueUserNotifications() + queueAnnouncements() + queueSessionReminders();
+        const delivered = await deliverDue();
+        db.run("DELETE FROM push_messages WHERE status != 'pending' AND created_at < datetime('now', '-30 days')");
+        return { queued, delivered };
+    }
+
+    return {
+        publicKey,
+        subscribe,
+        renew,
+        unsubscribe,
+        subscriptions,
+        preferences,
+        setPreferences,
+        notify,
+        processDue
+    };
+}
+
+module.exports = { createWebPush, PushError, CATEGORIES, generateVapidKeys };
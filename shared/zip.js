@@ -0,0 +1,96 @@
+/**
+ * Zip — writes a .zip archive in memory from a list of files, with Node's zlib only.
+ *
+ *   const buffer = createZip([
+ *       { name: 'data/users.json', data: JSON.stringify(rows, null, 2) },
+ *       { name: 'files/cv.pdf', data: fs.readFileSync(cvPath) }
+ *   ]);
+ *
+ * Entries are deflated (stored when that doesn't make them smaller) and names are
+ * marked UTF-8. Meant for exports of a few megabytes, not for streaming large trees —
+ * snapshots of the uploads go through shared/backups.js.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time, local time, 2-second resolution
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * @param {Array<{name: string, data: Buffer|string, date?: Date}>} entries
+ * @returns {Buffer}
+ */
+function createZip(entries) {
+    const local = [], central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(String(entry.name).replace(/^\/+/, ''), 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data ?? ''), 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const stored = deflated.length >= data.length;
+        const body = stored ? data : deflated;
+        const { time, date } = dosDateTime(entry.date || new Date());
+        const crc = crc32(data);
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);                 // version needed
+        header.writeUInt16LE(0x0800, 6);             // UTF-8 names
+        header.writeUInt16LE(stored ? 0 : 8, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(body.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(0, 28);
+        local.push(header, name, body);
+
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);                 // version made by
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x0800, 8);
+        record.writeUInt16LE(stored ? 0 : 8, 10);
+        record.writeUInt16LE(time, 12);
+        record.writeUInt16LE(date, 14);
+        record.writeUInt32LE(crc, 16);
+        record.writeUInt32LE(body.length, 20);
+        record.writeUInt32LE(data.length, 24);
+        record.writeUInt16LE(name.length, 28);
+        record.writeUInt32LE(offset, 42);            // extra/comment/disk/attributes stay 0
+        central.push(record, name);
+
+        offset += header.length + name.length + body.length;
+    }
+
+    const centralSize = central.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...local, ...central, end]);
+}
+
+module.exports = { createZip, crc32 };
@@ -13,6 +13,7 @@ const FIRA_API_URL = process.env.FIRA_API_URL || 'https://app.fira.finance';
 const FIRA_API_KEY = process.env.FIRA_API_KEY || '';
 
 const VAT_RATE = 0.25; // Croatian VAT 25%
+const DEFAULT_EVENT_NAME = 'Plexus 2026'; // Line item label when the caller passes no eventName
 
 /**
  * Check if FIRA integration is configured
@@ -38,14 +39,14 @@ function calculateVAT(bruttoAmount) {
  * Build line items for the FIRA order from registration data.
  * FIRA API fields: name, price (netto unit price), quantity, taxRate, unit
  */
-function buildLineItems(ticketName, ticketPrice, addons) {
+function buildLineItems(eventName, ticketName, ticketPrice, addons) {
     const items = [];
 
     // Main ticket
     if (ticketPrice > 0) {
         const vat = calculateVAT(ticketPrice);
         items.push({
-            name: `Plexus 2026 Conference — ${ticketName}`,
+            name: `${eventName} Conference — ${ticketName}`,
             quantity: 1,
             price: vat.netto,
             taxRate: VAT_RATE * 100, // FIRA expects percentage (25), not decimal (0.25)
@@ -63,7 +64,7 @@ function buildLineItems(ticketName, ticketPrice, addons) {
             if (addon.price > 0) {
                 const vat = calculateVAT(addon.price);
                 items.push({
-                    name: `Plexus 2026 — ${addon.name}`,
+                    name: `${eventName} — ${addon.name}`,
                     quantity: 1,
                     price: vat.netto,
                     taxRate: VAT_RATE * 100,
@@ -84,6 +85,7 @@ function buildLineItems(ticketName, ticketPrice, addons) {
  *
  * @param {Object} orderData
  * @param {string} orderData.invoiceNumber - Our PLX26-XXXXXX invoice number
+ * @param {string} orderData.eventName - Edition label, e.g. "Plexus 2026" (default kept for older callers)
  * @param {string} orderData.ticketName - e.g. "Professional Early Bird"
  * @param {number} orderData.ticketPrice - Gross ticket price in EUR
  * @param {Array}  orderData.addons - [{name, price}] optional add-ons
@@ -92,7 +94,8 @@ function buildLineItems(ticketName, ticketPrice, addons) {
  * @param {string} orderData.paymentType - 'TRANSAKCIJSKI' (bank transfer) or 'KARTICA' (card). Default: 'TRANSAKCIJSKI'
  */
 function buildFiraOrder(orderData) {
-    const lineItems = buildLineItems(orderData.ticketName, orderData.ticketPrice, orderData.addons);
+    const eventName = orderData.eventName || DEFAULT_EVENT_NAME;
+    const lineItems = buildLineItems(eventName, orderData.ticketName, orderData.ticketPrice, orderData.addons);
 
     // Sum up totals from all line items
     const totals = lineItems.reduce((acc, item) => ({
@@ -134,7 +137,7 @@ function buildFiraOrder(orderData) {
             vatNumber: orderData.billing.vatNumber || '',
             email: orderData.billing.email || ''
         },
-        internalNote: `Plexus 2026 Conference Registration — ${orderData.invoiceNumber}`
+        internalNote: `${eventName} Conference Registration — ${orderData.invoiceNumber}`
     };
 }
 
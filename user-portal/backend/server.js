@@ -8,8 +8,29 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const QRCode = require('qrcode');
 const fs = require('fs');
-const initSqlJs = require('sql.js');
+const Database = require('better-sqlite3');
 const nodemailer = require('nodemailer');
+const { openDatabase } = require('../../shared/sqlite-adapter');
+const migrations = require('../../shared/migrations');
+const portalSignals = require('../../shared/portal-signals');
+const { createConferenceContext } = require('../../shared/conference-context');
+const { createAuthSessions, SessionError } = require('../../shared/auth-sessions');
+const { createRateLimiter } = require('../../shared/rate-limits');
+const { createScheduler } = require('../../shared/jobs');
+const { createOutbox, smtpTransport, resendTransport } = require('../../shared/email-outbox');
+const { createEmailTemplates, buildEmailTemplate, escapeHtml } = require('../../shared/email-templates');
+const { createEmailTracking } = require('../../shared/email-tracking');
+const { createSubscriptions, SubscriptionError } = require('../../shared/subscriptions');
+const { createConsents, ConsentError, PURPOSES: CONSENT_PURPOSES, fromRequest, describePurposes } = require('../../shared/consents');
+const { createLiveEvents } = require('../../shared/live-events');
+const { createWebPush, PushError } = require('../../shared/web-push');
+const { createOfflineCheckin, OfflineCheckinError } = require('../../shared/offline-checkin');
+const { createSearch } = require('../../shared/search');
+const { createPermissions, TWO_FACTOR_PERMISSIONS } = require('../../shared/permissions');
+const { createTwoFactor } = require('../../shared/two-factor');
+const { createAuditTrail } = require('../../shared/audit-trail');
+const { createApiSpec } = require('../../shared/api-spec');
+const { ROUTES: API_ROUTES, COMPONENTS: API_COMPONENTS } = require('../../shared/api-schemas');
 const firaService = require('./fira-service');
 
 // Stripe — conditionally loaded based on env config (loaded after .env parsing below)
@@ -46,107 +67,71 @@ if (firaService.isConfigured()) {
 
 const app = express();
 
-// Email configuration — supports Resend API (recommended for cloud hosting) or SMTP fallback
-async function sendEmail(to, subject, htmlContent) {
-    const fromAddress = process.env.EMAIL_FROM || 'Med&X <onboarding@resend.dev>';
-
+// Behind Render's proxy req.ip has to come from X-Forwarded-For — rate limits, sessions
+// and the audit log key on it. TRUST_PROXY is the number of proxy hops in front of us.
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? (process.env.NODE_ENV === 'production' ? 1 : 0)));
+
+// Email configuration — supports Resend API (recommended for cloud hosting) or SMTP fallback.
+// Every email goes through the outbox in email_log (shared/email-outbox.js): delivered
+// right away, retried with backoff if that fails. With EMAIL_TRANSPORT=dev, or in
+// development mode with neither configured, mail is captured for the local inbox at
+// /dev/inbox instead. Anywhere else a missing provider fails the send rather than faking it.
+const CAPTURE_EMAIL = process.env.EMAIL_TRANSPORT === 'dev' || process.env.NODE_ENV === 'development';
+function emailTransport() {
+    if (process.env.EMAIL_TRANSPORT === 'dev') return null;
     // Option 1: Resend API (HTTP-based, works on all hosting platforms)
-    if (process.env.RESEND_API_KEY) {
-        try {
-            const response = await fetch('https://api.resend.com/emails', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ from: fromAddress, to, subject, html: htmlContent })
-            });
-            const data = await response.json();
-            if (!response.ok) {
-                console.error('Resend error:', data);
-                return { success: false, error: data.message || 'Resend API error' };
-            }
-            console.log(`[Email Sent via Resend] To: ${to}, Subject: ${subject}`);
-            return { success: true };
-        } catch (err) {
-            console.error('Resend error:', err);
-            return { success: false, error: err.message };
-        }
-    }
-
+    if (process.env.RESEND_API_KEY) return resendTransport(process.env.RESEND_API_KEY);
     // Option 2: SMTP (nodemailer)
     if (process.env.SMTP_USER) {
-        try {
-            const transporter = nodemailer.createTransport({
-                host: process.env.SMTP_HOST || 'smtp.gmail.com',
-                port: parseInt(process.env.SMTP_PORT || '465'),
-                secure: process.env.SMTP_PORT ? process.env.SMTP_PORT === '465' : true,
-                connectionTimeout: 10000,
-                greetingTimeout: 10000,
-                socketTimeout: 10000,
-                auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
-            });
-            await transporter.sendMail({ from: fromAddress, to, subject, html: htmlContent });
-            console.log(`[Email Sent via SMTP] To: ${to}, Subject: ${subject}`);
-            return { success: true };
-        } catch (err) {
-            console.error('SMTP error:', err);
-            return { success: false, error: err.message };
-        }
+        return smtpTransport(nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'smtp.gmail.com',
+            port: parseInt(process.env.SMTP_PORT || '465'),
+            secure: process.env.SMTP_PORT ? process.env.SMTP_PORT === '465' : true,
+            connectionTimeout: 10000,
+            greetingTimeout: 10000,
+            socketTimeout: 10000,
+            auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        }));
     }
-
-    // No email provider configured
-    console.log(`[Email Mock] To: ${to}, Subject: ${subject}`);
-    return { success: true, mock: true };
+    return null;
 }
+let outbox;
 
-// Branded email template builder — wraps content in Med&X styled HTML
-function buildEmailTemplate(title, bodyHtml) {
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
-<body style="margin: 0; padding: 0; background: #f4f4f5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
-<table width="100%" cellpadding="0" cellspacing="0" style="background: #f4f4f5; padding: 32px 16px;">
-<tr><td align="center">
-<table width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; width: 100%;">
-    <!-- Header -->
-    <tr><td style="background: #0f172a; padding: 28px 32px; border-radius: 12px 12px 0 0; text-align: center;">
-        <div style="font-size: 28px; font-weight: 700; letter-spacing: 1px;">
-            <span style="color: #C9A962;">Med</span><span style="color: #ffffff;">&amp;</span><span style="color: #C9A962;">X</span>
-        </div>
-        <div style="color: #94a3b8; font-size: 12px; margin-top: 4px; letter-spacing: 2px; text-transform: uppercase;">Building Bridges in Biomedicine</div>
-    </td></tr>
-    <!-- Title bar -->
-    <tr><td style="background: #1e293b; padding: 16px 32px; text-align: center;">
-        <h1 style="margin: 0; color: #C9A962; font-size: 20px; font-weight: 600;">${title}</h1>
-    </td></tr>
-    <!-- Body -->
-    <tr><td style="background: #ffffff; padding: 32px; border-left: 1px solid #e2e8f0; border-right: 1px solid #e2e8f0;">
-        <div style="color: #334155; font-size: 15px; line-height: 1.7;">
-            ${bodyHtml}
-        </div>
-    </td></tr>
-    <!-- Footer -->
-    <tr><td style="background: #0f172a; padding: 24px 32px; border-radius: 0 0 12px 12px; text-align: center;">
-        <div style="color: #C9A962; font-size: 14px; font-weight: 600; margin-bottom: 8px;">Med&amp;X</div>
-        <div style="color: #94a3b8; font-size: 12px; margin-bottom: 12px;">Building Bridges in Biomedicine</div>
-        <div style="margin-bottom: 8px;">
-            <a href="https://medx.hr" style="color: #C9A962; text-decoration: none; font-size: 12px; margin: 0 8px;">Website</a>
-            <a href="https://www.linkedin.com/company/med-x-croatia/" style="color: #C9A962; text-decoration: none; font-size: 12px; margin: 0 8px;">LinkedIn</a>
-            <a href="https://www.instagram.com/medx.hr/" style="color: #C9A962; text-decoration: none; font-size: 12px; margin: 0 8px;">Instagram</a>
-        </div>
-        <div style="color: #64748b; font-size: 11px;">&copy; ${new Date().getFullYear()} Med&amp;X. All rights reserved.</div>
-    </td></tr>
-</table>
-</td></tr>
-</table>
-</body>
-</html>`;
+// Bilingual emails stored in email_templates, rendered by key (shared/email-templates.js)
+let emailTemplates;
+
+// Open pixels and signed click redirects for Forum invitations (shared/email-tracking.js)
+let emailTracking;
+
+// Unsubscribe links, List-Unsubscribe headers and the preference center (shared/subscriptions.js)
+let subscriptions;
+
+// Consent ledger written by registration, Accelerator and Forum flows (shared/consents.js)
+let consents;
+
+// Real-time stream of chat, notification and check-in events, fed by both portals (shared/live-events.js)
+let liveEvents;
+
+// Browser push to user-portal accounts, with per-category opt-outs (shared/web-push.js)
+let webPush;
+
+// Signed attendee rosters and sync of check-ins scanned without a connection (shared/offline-checkin.js)
+let offlineCheckin;
+
+// Ranked full-text search over the trigger-maintained FTS5 index (shared/search.js)
+let fullTextSearch;
+
+// Resolves to { success, id, status, mock?, queued?, error? }
+async function sendEmail(to, subject, htmlContent, options) {
+    return outbox.send(to, subject, htmlContent, options);
 }
 
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || (process.env.NODE_ENV === 'development' ? 'medx-dev-secret' : (() => { console.error('FATAL: JWT_SECRET environment variable is required in production'); process.exit(1); })());
+// Public address of this portal for links in emails and payment redirects. Never built
+// from the request's Host or Origin header: a client sets those, and a reset link
+// pointing at its own domain would hand it the token.
+const PUBLIC_URL = (process.env.RENDER_EXTERNAL_URL || process.env.PORTAL_URL || 'http://localhost:' + PORT).replace(/\/+$/, '');
 
 app.use(cors({
     origin: [process.env.RENDER_EXTERNAL_URL, 'http://localhost:3000', 'http://localhost:3001'].filter(Boolean)
@@ -161,6 +146,10 @@ app.use((req, res, next) => {
         express.json()(req, res, next);
     }
 });
+// Declared request schemas (shared/api-schemas.js): a route mounts apiSpec.validate after its
+// auth, so malformed input gets a 400 before the handler runs. The same schemas feed the
+// OpenAPI document at /api/docs.
+const apiSpec = createApiSpec(app, { title: 'Med&X User Portal API', routes: API_ROUTES, components: API_COMPONENTS });
 app.use(express.static(path.join(__dirname, '../frontend')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
@@ -188,92 +177,197 @@ const storage = multer.diskStorage({
 const upload = multer({ storage, limits: { fileSize: 10 * 1024 * 1024 } });
 
 let db;
-let SQL; // Store SQL.js module reference for reloading
 // Flexible DB path: use shared DB locally, or local copy when deployed
 const SHARED_DB_PATH = path.join(__dirname, '../../shared/medx_portal.db');
 const LOCAL_DB_PATH = path.join(__dirname, 'medx_portal.db');
 const DB_PATH = process.env.DATABASE_PATH || (fs.existsSync(SHARED_DB_PATH) ? SHARED_DB_PATH : LOCAL_DB_PATH);
 
-// Database helper
+// Sign-in sessions: short-lived access JWTs plus rotating refresh tokens (shared/auth-sessions.js)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+let sessions;
+
+// Failed-attempt counters for public endpoints, shared with the other portal (shared/rate-limits.js)
+let rateLimits;
+
+// Audit trail (shared/audit-trail.js), as on the admin portal: signed-in mutations are
+// logged, and the staff resources served here also get a before/after diff
+const AUDITED_ENTITIES = [
+    { path: '/api/finance/transactions', table: 'finance_transactions' },
+    { path: '/api/finance/invoices', table: 'finance_invoices' },
+    { path: '/api/finance/payment-orders', table: 'finance_payment_orders' },
+    { path: '/api/finance/travel-orders', table: 'finance_travel_orders' },
+    { path: '/api/finance/work-units', table: 'finance_work_units' },
+    { path: '/api/finance/bank-balance', table: 'finance_bank_balance' },
+    { path: '/api/finance/years', table: 'finance_fiscal_years', key: 'year' },
+    { path: '/api/accelerator/applications', table: 'accelerator_applications' },
+    { path: '/api/admin/accelerator/applications', table: 'accelerator_applications' },
+    { path: '/api/accelerator/years', table: 'accelerator_programs', key: 'year' },
+    { path: '/api/accelerator/dates', table: 'accelerator_key_dates' },
+    { path: '/api/accelerator/institutions', table: 'accelerator_institutions' },
+    { path: '/api/accelerator/criteria', table: 'accelerator_evaluation_criteria' },
+    { path: '/api/accelerator/interviewers', table: 'accelerator_interviewers' },
+    { path: '/api/admin/registrations', table: 'registrations' }
+];
+let audit;
+
+// Which permission each staff route group needs (shared/permissions.js), checked in
+// auth() as on the admin portal. This portal also serves attendees and applicants, so
+// only staff groups are listed; /api/admin/sessions here is conference sessions.
+// Unlisted routes under STAFF_PATHS are refused to everyone but administrators.
+const PERMISSION_RULES = [
+    { path: '/api/finance', read: 'finance.read', write: 'finance.write' },
+    { path: '/api/pr', read: 'pr.read', write: 'pr.write' },
+    { path: '/api/admin/plexus', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/admin\/(plexus\/)?abstracts\/[^/]+\/(decision|assign-reviewer)$/, project: 'plexus', write: 'project.review' },
+    { path: '/api/admin/abstracts', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/registrations', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/checkin', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/analytics', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/sessions', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/announcements', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/admin/export/registrations', project: 'plexus', read: 'project.pii' },
+    { path: '/api/plexus/checkin', project: 'plexus', write: 'project.write' },
+    { path: '/api/gala/registrations', project: 'plexus', read: 'project.read', write: 'project.write' },
+    { path: '/api/gala/settings', project: 'plexus', read: null, write: 'project.write' },
+    { path: '/api/admin/accelerator', project: 'accelerator', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/admin\/accelerator\/applications\/[^/]+\/review$/, project: 'accelerator', write: 'project.review' },
+    { path: '/api/accelerator', project: 'accelerator', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/accelerator\/applications\/[^/]+\/evaluate(-batch)?$/, project: 'accelerator', write: 'project.review' },
+    // Applicant self-service inside the accelerator group — handlers check ownership
+    { path: '/api/accelerator/applications/my', read: null },
+    { match: /^\/api\/accelerator\/applications$/, method: 'POST', write: null },
+    { match: /^\/api\/accelerator\/applications\/[^/]+\/(documents|submit|package)(\/|$)/, read: null, write: null },
+    { path: '/api/accelerator/documents', read: null, write: null },
+    { path: '/api/accelerator/checkout-session', write: null },
+    // Programme dates and the application form, as applicants see them
+    { match: /^\/api\/accelerator\/(years(\/\d+(\/dates)?)?|form-config)$/, method: 'GET', read: null },
+    { path: '/api/admin/forum', project: 'forum', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/checkin\/offline\/(plexus|gala)\//, project: 'plexus', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/checkin\/offline\/forum\//, project: 'forum', read: 'project.read', write: 'project.write' },
+    { match: /^\/api\/checkin\/offline\/bridges\//, project: 'bridges', read: 'project.read', write: 'project.write' }
+];
+const STAFF_PATHS = ['/api/admin', '/api/finance', '/api/pr'];
+let permissions;
+
+// TOTP second factor (shared/two-factor.js). Enrollment and the challenge live on the
+// admin portal; here it only gates staff routes, as admin auth() does for every request
+let twoFactor;
+
+function twoFactorMissing(req, decoded) {
+    if (decoded.twoFactor || !permissions.required(req)) return false;
+    return TWO_FACTOR_PERMISSIONS.some(p => req.user.can(p)) || twoFactor.isEnabled(req.user.id);
+}
+
+// Background jobs with persistent schedules, run by whichever portal takes the lease (shared/jobs.js)
+let jobs;
+
+// Database helper — db is the on-disk WAL database (see shared/sqlite-adapter.js)
 const query = {
     run: (sql, params = []) => { db.run(sql, params); saveDb(); },
-    get: (sql, params = []) => {
-        const stmt = db.prepare(sql);
-        if (params.length) stmt.bind(params);
-        if (stmt.step()) { const r = stmt.getAsObject(); stmt.free(); return r; }
-        stmt.free(); return null;
-    },
-    all: (sql, params = []) => {
-        const stmt = db.prepare(sql);
-        if (params.length) stmt.bind(params);
-        const rows = [];
-        while (stmt.step()) rows.push(stmt.getAsObject());
-        stmt.free(); return rows;
-    }
+    get: (sql, params = []) => db.get(sql, params),
+    all: (sql, params = []) => db.all(sql, params),
+    transaction: (fn) => transaction(fn)
 };
 
-let _lastSaveTime = 0;
-function saveDb() {
-    _lastSaveTime = Date.now();
-    fs.writeFileSync(DB_PATH, Buffer.from(db.export()));
+// Plexus editions: routes read req.conference (the selected edition, default the current one)
+const plexusEditions = createConferenceContext(query, { series: 'plexus', title: 'Plexus', code: 'PLX' });
+
+// Unit of work: every write inside fn is committed together, or rolled back if
+// fn throws. fn must be synchronous — an await would let other requests' writes
+// land inside the open transaction. Nested calls use savepoints.
+// BEGIN IMMEDIATE takes the write lock up front so the other portal can't slip
+// in between our reads and writes (it waits on busy_timeout instead).
+let _txDepth = 0;
+function transaction(fn) {
+    const savepoint = _txDepth > 0 ? `tx_${_txDepth}` : null;
+    db.run(savepoint ? `SAVEPOINT ${savepoint}` : 'BEGIN IMMEDIATE');
+    _txDepth++;
+    let result;
+    try {
+        result = fn();
+        if (result && typeof result.then === 'function') throw new Error('transaction() callback must be synchronous');
+    } catch (err) {
+        _txDepth--;
+        if (savepoint) { db.run(`ROLLBACK TO ${savepoint}`); db.run(`RELEASE ${savepoint}`); }
+        else db.run('ROLLBACK');
+        throw err;
+    }
+    _txDepth--;
+    db.run(savepoint ? `RELEASE ${savepoint}` : 'COMMIT');
+    return result;
 }
 
-// Watch shared DB for changes from the other portal
-function watchSharedDb() {
-    // Only watch when using shared DB (local dev), not when deployed
-    if (DB_PATH !== SHARED_DB_PATH) { console.log('[Sync] Running with local DB — cross-portal sync disabled'); return; }
-    let debounceTimer = null;
-    fs.watch(DB_PATH, (eventType) => {
-        if (eventType !== 'change') return;
-        // Ignore our own writes (within 2s)
-        if (Date.now() - _lastSaveTime < 2000) return;
-        if (debounceTimer) clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(() => {
-            try {
-                const data = fs.readFileSync(DB_PATH);
-                if (db) { try { db.close(); } catch(e) {} }
-                db = new SQL.Database(data);
-                console.log('[Sync] Reloaded shared DB (changed by other portal)');
-            } catch (err) {
-                console.error('[Sync] Error reloading DB:', err.message);
-            }
-        }, 500);
-    });
-    console.log('[Sync] Watching shared DB for cross-portal changes');
+// Writes are durable as soon as they commit, and the other portal sees them
+// immediately through the shared WAL file. Kept so existing handlers that call
+// saveDb() after db.run() don't need touching.
+function saveDb() {}
+
+// Claims carried by a user's access token; null once the account is gone
+function userClaims(userId) {
+    const user = query.get('SELECT id, email, is_admin FROM users WHERE id = ?', [userId]);
+    return user && { email: user.email, is_admin: user.is_admin };
+}
+
+function applicantClaims(applicantId) {
+    const applicant = query.get('SELECT id, email FROM accelerator_applicants WHERE id = ?', [applicantId]);
+    return applicant && { email: applicant.email, type: 'applicant' };
+}
+
+// Open a session for a user who just proved who they are: { token, refreshToken, sessionId }
+function signIn(user, req) {
+    return sessions.issue({ type: 'user', id: user.id }, userClaims(user.id), req);
 }
 
-// Auth middleware
+// Signed-in user with roles attached (see shared/permissions.js)
+function withRoles(user) {
+    if (user) return permissions.attach(user);
+    // Dev fallback without a seeded user: full access
+    const devUser = { id: 'default', email: 'juginovic.alen@gmail.com', roles: [{ role: 'admin', project: null }], is_admin: 1 };
+    devUser.can = () => true;
+    return devUser;
+}
+
+// Auth middleware - verifies JWT token and the route group's permission
 function auth(req, res, next) {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (token && token !== 'auto-login') {
-        try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            const user = query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
-            if (user) { req.user = user; return next(); }
-        } catch(e) { /* token invalid/expired */ }
+        const decoded = sessions.verify(token);
+        const user = decoded && query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
+        if (user) {
+            req.user = withRoles(user);
+            req.sessionId = decoded.sid;
+            if (twoFactorMissing(req, decoded)) {
+                return res.status(403).json({ error: 'Two-factor authentication required — please sign in to the admin portal', twoFactorRequired: true });
+            }
+            return authorize(req, res, next);
+        }
     }
     // Dev fallback — only in explicit development mode
     if (process.env.NODE_ENV === 'development') {
         const user = query.get("SELECT id, email, is_admin FROM users WHERE email = 'juginovic.alen@gmail.com'");
-        req.user = user || { id: 'default', email: 'juginovic.alen@gmail.com', is_admin: true };
-        return next();
+        req.user = withRoles(user);
+        return authorize(req, res, next);
     }
     return res.status(401).json({ error: 'Authentication required' });
 }
 
+function authorize(req, res, next) {
+    const denied = permissions.check(req);
+    if (denied) return res.status(403).json({ error: denied });
+    next();
+}
+
 function optionalAuth(req, res, next) {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (token && token !== 'auto-login') {
-        try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            const user = query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
-            if (user) { req.user = user; return next(); }
-        } catch(e) { /* token invalid/expired */ }
+        const decoded = sessions.verify(token);
+        const user = decoded && query.get("SELECT id, email, is_admin FROM users WHERE id = ?", [decoded.id]);
+        if (user) { req.user = withRoles(user); req.sessionId = decoded.sid; return next(); }
     }
     // Dev fallback — only in explicit development mode
     if (process.env.NODE_ENV === 'development') {
         const user = query.get("SELECT id, email, is_admin FROM users WHERE email = 'juginovic.alen@gmail.com'");
-        req.user = user || { id: 'default', email: 'juginovic.alen@gmail.com', is_admin: true };
+        req.user = withRoles(user);
         return next();
     }
     // Optional auth — no user is OK
@@ -281,1026 +375,30 @@ function optionalAuth(req, res, next) {
     next();
 }
 
+// Any team member with a role; what they may do per route group is checked in auth()
 function adminOnly(req, res, next) {
-    if (!req.user?.is_admin) return res.status(403).json({ error: 'Admin only' });
+    if (!req.user?.roles?.length) return res.status(403).json({ error: 'Team members only' });
     next();
 }
 
 async function initializeApp() {
-    SQL = await initSqlJs();
 
     // Ensure shared directory exists
     const sharedDir = path.dirname(DB_PATH);
     if (!fs.existsSync(sharedDir)) fs.mkdirSync(sharedDir, { recursive: true });
 
-    if (fs.existsSync(DB_PATH)) {
-        db = new SQL.Database(fs.readFileSync(DB_PATH));
-    } else {
-        db = new SQL.Database();
+    db = openDatabase(Database, DB_PATH);
+
+    // Refuse to run against a schema migrated past what this code knows (see shared/migrations)
+    try {
+        migrations.assertNotBehind(db, 'user');
+    } catch (err) {
+        console.error('FATAL: ' + err.message);
+        process.exit(1);
     }
 
-    // Create schema
-    db.run(`CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY, email TEXT UNIQUE NOT NULL, password_hash TEXT,
-        first_name TEXT, last_name TEXT, phone TEXT, institution TEXT, country TEXT,
-        bio TEXT, photo_url TEXT, is_admin INTEGER DEFAULT 0, is_public_profile INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Email verification columns (migration — safe to re-run)
-    try { db.run('ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 0'); } catch (e) { /* column may already exist */ }
-    try { db.run('ALTER TABLE users ADD COLUMN verification_token TEXT'); } catch (e) { /* column may already exist */ }
-
-    db.run(`CREATE TABLE IF NOT EXISTS conferences (
-        id TEXT PRIMARY KEY, name TEXT NOT NULL, year INTEGER, slug TEXT UNIQUE,
-        description TEXT, start_date TEXT, end_date TEXT,
-        venue_name TEXT, venue_city TEXT, venue_country TEXT,
-        max_capacity INTEGER DEFAULT 200, is_active INTEGER DEFAULT 1,
-        registration_open INTEGER DEFAULT 1, abstract_submission_open INTEGER DEFAULT 1,
-        early_bird_deadline TEXT, regular_deadline TEXT, abstract_deadline TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS ticket_types (
-        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT, name_hr TEXT,
-        price_early_bird REAL, price_regular REAL, price_late REAL,
-        currency TEXT DEFAULT 'EUR', includes_gala INTEGER DEFAULT 0,
-        sold_count INTEGER DEFAULT 0, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS promo_codes (
-        id TEXT PRIMARY KEY, conference_id TEXT, code TEXT,
-        discount_type TEXT DEFAULT 'percentage', discount_value REAL,
-        max_uses INTEGER, used_count INTEGER DEFAULT 0,
-        valid_until TEXT, is_active INTEGER DEFAULT 1
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS registrations (
-        id TEXT PRIMARY KEY, conference_id TEXT, user_id TEXT, ticket_type_id TEXT,
-        registration_type TEXT DEFAULT 'general', status TEXT DEFAULT 'pending',
-        payment_status TEXT DEFAULT 'unpaid', amount_paid REAL,
-        promo_code_id TEXT, discount_amount REAL DEFAULT 0,
-        invoice_number TEXT, ticket_qr_code TEXT,
-        dietary_requirements TEXT, accessibility_needs TEXT,
-        checked_in INTEGER DEFAULT 0, checked_in_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS abstracts (
-        id TEXT PRIMARY KEY, conference_id TEXT, submitter_id TEXT,
-        title TEXT, abstract_text TEXT, keywords TEXT,
-        topic_category TEXT, presentation_type TEXT DEFAULT 'poster',
-        status TEXT DEFAULT 'submitted', decision TEXT,
-        is_withdrawn INTEGER DEFAULT 0, created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS abstract_authors (
-        id TEXT PRIMARY KEY, abstract_id TEXT, email TEXT,
-        first_name TEXT, last_name TEXT, institution TEXT,
-        is_presenting INTEGER DEFAULT 0, author_order INTEGER DEFAULT 1
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS speakers (
-        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT,
-        title TEXT, institution TEXT, bio TEXT, photo_url TEXT,
-        talk_title TEXT, talk_abstract TEXT, speaker_type TEXT DEFAULT 'invited',
-        is_keynote INTEGER DEFAULT 0, is_confirmed INTEGER DEFAULT 1,
-        linkedin_url TEXT, twitter_url TEXT, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS speaker_documents (
-        id TEXT PRIMARY KEY,
-        speaker_id TEXT NOT NULL,
-        type TEXT NOT NULL,
-        filename TEXT NOT NULL,
-        original_name TEXT NOT NULL,
-        file_size INTEGER,
-        mime_type TEXT,
-        uploaded_at TEXT DEFAULT (datetime('now')),
-        FOREIGN KEY (speaker_id) REFERENCES speakers(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS sessions (
-        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT,
-        description TEXT, session_type TEXT DEFAULT 'talk',
-        day INTEGER DEFAULT 1, start_time TEXT, end_time TEXT,
-        room TEXT, track TEXT, speaker_ids TEXT
-    )`);
-
-    // Phase 3C: Add is_published and capacity columns to sessions
-    try { db.run(`ALTER TABLE sessions ADD COLUMN is_published INTEGER DEFAULT 0`); } catch (e) { /* column may already exist */ }
-    try { db.run(`ALTER TABLE sessions ADD COLUMN capacity INTEGER`); } catch (e) { /* column may already exist */ }
-
-    db.run(`CREATE TABLE IF NOT EXISTS personal_schedules (
-        id TEXT PRIMARY KEY, user_id TEXT, session_id TEXT, UNIQUE(user_id, session_id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS session_questions (
-        id TEXT PRIMARY KEY, session_id TEXT, user_id TEXT, question_text TEXT,
-        upvotes INTEGER DEFAULT 0, is_answered INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS connections (
-        id TEXT PRIMARY KEY, requester_id TEXT, requestee_id TEXT,
-        status TEXT DEFAULT 'pending', message TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS messages (
-        id TEXT PRIMARY KEY, sender_id TEXT, recipient_id TEXT,
-        subject TEXT, body TEXT, is_read INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS announcements (
-        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT, content TEXT,
-        type TEXT DEFAULT 'general', is_urgent INTEGER DEFAULT 0,
-        published_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS volunteers (
-        id TEXT PRIMARY KEY, conference_id TEXT, user_id TEXT,
-        availability TEXT, preferred_tasks TEXT, status TEXT DEFAULT 'pending'
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS sponsors (
-        id TEXT PRIMARY KEY, conference_id TEXT, name TEXT,
-        tier TEXT DEFAULT 'bronze', logo_url TEXT, website_url TEXT,
-        description TEXT, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS resources (
-        id TEXT PRIMARY KEY, conference_id TEXT, title TEXT,
-        file_url TEXT, file_type TEXT, category TEXT DEFAULT 'general',
-        download_count INTEGER DEFAULT 0
-    )`);
-
-    // ========== ACCELERATOR TABLES ==========
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_programs (
-        id TEXT PRIMARY KEY, name TEXT NOT NULL, year INTEGER,
-        description TEXT, application_deadline TEXT,
-        program_start TEXT, program_end TEXT,
-        is_active INTEGER DEFAULT 1, is_accepting INTEGER DEFAULT 1,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_institutions (
-        id TEXT PRIMARY KEY, name TEXT NOT NULL, short_name TEXT,
-        city TEXT, country TEXT, description TEXT,
-        website_url TEXT, logo_url TEXT, available_spots INTEGER DEFAULT 5,
-        is_active INTEGER DEFAULT 1, sort_order INTEGER DEFAULT 0
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_applications (
-        id TEXT PRIMARY KEY, program_id TEXT, user_id TEXT, year INTEGER,
-        application_number TEXT UNIQUE,
-        work_number TEXT,
-        first_name TEXT, last_name TEXT, email TEXT, phone TEXT,
-        date_of_birth TEXT, oib TEXT, address TEXT, nationality TEXT, country_of_residence TEXT,
-        current_institution TEXT, current_position TEXT, degree_program TEXT,
-        year_of_study TEXT, ects_total INTEGER,
-        expected_graduation TEXT, gpa REAL,
-        program_type TEXT,
-        selected_institution TEXT, alternative_institution TEXT,
-        first_choice_institution TEXT, second_choice_institution TEXT, third_choice_institution TEXT,
-        research_interests TEXT, motivation_statement TEXT,
-        previous_experience TEXT,
-        special_arrangements TEXT,
-        previous_research_experience TEXT, publications TEXT,
-        awards_honors TEXT, languages TEXT,
-        how_heard_about TEXT, additional_info TEXT,
-        gdpr_consent INTEGER DEFAULT 0,
-        gdpr_consent_date TEXT,
-        status TEXT DEFAULT 'draft',
-        validity_status TEXT,
-        validity_notified_at TEXT,
-        submitted_at TEXT, reviewed_at TEXT, reviewed_by TEXT,
-        reviewer_notes TEXT, decision TEXT, decision_notes TEXT,
-        assigned_institution TEXT,
-        documents_complete INTEGER DEFAULT 0,
-        objective_score REAL,
-        interview_score REAL,
-        total_score REAL,
-        rank_position INTEGER,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP, updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Add new columns to existing accelerator_applications table (ignore errors if columns exist)
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN year INTEGER'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN oib TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN ects_total INTEGER'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN alternative_institution TEXT'); } catch (e) {}
-    try { db.run('ALTER TABLE accelerator_applications ADD COLUMN candidate_id TEXT'); } catch (e) {}
-
-    // Add overview config columns to accelerator_programs (ignore if exists)
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN program_duration TEXT DEFAULT '8-12 Weeks'"); } catch (e) {}
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN labs_count TEXT DEFAULT '15+ Worldwide'"); } catch (e) {}
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN positions_range TEXT DEFAULT '5-10'"); } catch (e) {}
-    try { db.run("ALTER TABLE accelerator_programs ADD COLUMN about_program TEXT"); } catch (e) {}
-
-    // Add category column to accelerator_key_dates (ignore if exists)
-    try { db.run("ALTER TABLE accelerator_key_dates ADD COLUMN category TEXT DEFAULT 'event'"); } catch (e) {}
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_documents (
-        id TEXT PRIMARY KEY, application_id TEXT NOT NULL,
-        document_type TEXT NOT NULL,
-        original_filename TEXT, stored_filename TEXT,
-        file_path TEXT, file_size INTEGER, mime_type TEXT,
-        upload_status TEXT DEFAULT 'pending',
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (application_id) REFERENCES accelerator_applications(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_recommendations (
-        id TEXT PRIMARY KEY, application_id TEXT NOT NULL,
-        recommender_name TEXT, recommender_email TEXT,
-        recommender_title TEXT, recommender_institution TEXT,
-        relationship TEXT, request_sent_at TEXT,
-        submitted INTEGER DEFAULT 0, submitted_at TEXT,
-        letter_file TEXT,
-        FOREIGN KEY (application_id) REFERENCES accelerator_applications(id)
-    )`);
-
-    // Key dates for each accelerator year
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_key_dates (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        date_start TEXT NOT NULL,
-        date_end TEXT,
-        description TEXT,
-        color TEXT DEFAULT '#22d3ee',
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Enhanced institution details
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_institution_details (
-        id TEXT PRIMARY KEY,
-        institution_id TEXT NOT NULL,
-        year INTEGER NOT NULL,
-        program_type TEXT DEFAULT 'scientific',
-        available_spots INTEGER DEFAULT 2,
-        internship_duration TEXT,
-        mentors TEXT,
-        visa_requirements TEXT,
-        accommodation_info TEXT,
-        stipend_info TEXT,
-        requirements TEXT,
-        contact_email TEXT,
-        contact_person TEXT,
-        is_active INTEGER DEFAULT 1,
-        UNIQUE(institution_id, year)
-    )`);
-
-    // Evaluation criteria (customizable per year)
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_evaluation_criteria (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        name_hr TEXT,
-        max_points REAL DEFAULT 10,
-        weight REAL DEFAULT 1,
-        category TEXT DEFAULT 'objective',
-        sort_order INTEGER DEFAULT 0,
-        is_active INTEGER DEFAULT 1
-    )`);
-
-    // Application evaluations/scores
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_evaluations (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        criterion_id TEXT NOT NULL,
-        score REAL,
-        notes TEXT,
-        evaluated_by TEXT,
-        evaluated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(application_id, criterion_id)
-    )`);
-
-    // External interviewers
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_interviewers (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        institution TEXT,
-        specialty TEXT,
-        access_token TEXT,
-        is_active INTEGER DEFAULT 1,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // PDF header settings for ranking lists
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_pdf_settings (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL UNIQUE,
-        header_intro TEXT,
-        header_title TEXT,
-        article1_text TEXT,
-        article2_text TEXT,
-        article3_text TEXT,
-        signatory_name TEXT DEFAULT 'Alen Juginovic, M.D.',
-        signatory_title TEXT DEFAULT 'Committee for Organization of the Med&X Accelerator Program',
-        signatory_role TEXT DEFAULT 'President',
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Interview scores from external interviewers
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_interview_scores (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        interviewer_id TEXT NOT NULL,
-        score REAL,
-        notes TEXT,
-        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(application_id, interviewer_id)
-    )`);
-
-    // Applicant accounts (public registration for candidates)
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_applicants (
-        id TEXT PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        first_name TEXT,
-        last_name TEXT,
-        phone TEXT,
-        date_of_birth TEXT,
-        nationality TEXT,
-        address TEXT,
-        city TEXT,
-        country TEXT,
-        current_institution TEXT,
-        faculty TEXT,
-        study_year TEXT,
-        expected_graduation TEXT,
-        email_verified INTEGER DEFAULT 0,
-        verification_token TEXT,
-        reset_token TEXT,
-        reset_token_expires TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        last_login TEXT
-    )`);
-
-    // Messages to candidates
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_messages (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        message_type TEXT DEFAULT 'info',
-        subject TEXT,
-        content TEXT NOT NULL,
-        sent_by TEXT,
-        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        read_at TEXT
-    )`);
-
-    // GDPR consent tracking
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_consents (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        consent_type TEXT NOT NULL,
-        consented INTEGER DEFAULT 0,
-        consent_text TEXT,
-        consented_at TEXT,
-        ip_address TEXT
-    )`);
-
-    // Form configuration for accelerator application form (Phase 4C)
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_form_config (
-        id TEXT PRIMARY KEY,
-        program_id TEXT,
-        section_name TEXT NOT NULL,
-        field_name TEXT NOT NULL,
-        field_type TEXT DEFAULT 'text',
-        label TEXT,
-        placeholder TEXT,
-        is_required INTEGER DEFAULT 0,
-        options TEXT,
-        sort_order INTEGER DEFAULT 0,
-        is_visible INTEGER DEFAULT 1,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== BIOMEDICAL FORUM TABLES ==========
-
-    // Forum member profiles (extended user profiles for Forum)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_members (
-        id TEXT PRIMARY KEY,
-        user_id TEXT UNIQUE,
-        membership_status TEXT DEFAULT 'pending',
-        membership_level TEXT DEFAULT 'member',
-        specialty TEXT,
-        sub_specialties TEXT,
-        institution TEXT,
-        position TEXT,
-        department TEXT,
-        location_city TEXT,
-        location_country TEXT,
-        bio TEXT,
-        research_interests TEXT,
-        career_stage TEXT,
-        years_experience INTEGER,
-        orcid_id TEXT,
-        linkedin_url TEXT,
-        twitter_handle TEXT,
-        website_url TEXT,
-        photo_url TEXT,
-        profile_visibility TEXT DEFAULT 'members',
-        contact_preference TEXT DEFAULT 'platform',
-        is_mentor INTEGER DEFAULT 0,
-        seeking_mentor INTEGER DEFAULT 0,
-        mentor_topics TEXT,
-        languages TEXT,
-        achievements TEXT,
-        publications_count INTEGER DEFAULT 0,
-        points INTEGER DEFAULT 0,
-        badges TEXT,
-        onboarding_completed INTEGER DEFAULT 0,
-        gdpr_consent INTEGER DEFAULT 0,
-        gdpr_consent_date TEXT,
-        application_text TEXT,
-        application_submitted_at TEXT,
-        approved_by TEXT,
-        approved_at TEXT,
-        rejection_reason TEXT,
-        last_active TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Forum member connections
-    db.run(`CREATE TABLE IF NOT EXISTS forum_connections (
-        id TEXT PRIMARY KEY,
-        requester_id TEXT,
-        receiver_id TEXT,
-        status TEXT DEFAULT 'pending',
-        message TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        accepted_at TEXT,
-        FOREIGN KEY (requester_id) REFERENCES forum_members(id),
-        FOREIGN KEY (receiver_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum interest groups/channels
-    db.run(`CREATE TABLE IF NOT EXISTS forum_groups (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        slug TEXT UNIQUE,
-        description TEXT,
-        category TEXT,
-        group_type TEXT DEFAULT 'public',
-        cover_image TEXT,
-        icon TEXT,
-        member_count INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        is_active INTEGER DEFAULT 1
-    )`);
-
-    // Forum group memberships
-    db.run(`CREATE TABLE IF NOT EXISTS forum_group_members (
-        id TEXT PRIMARY KEY,
-        group_id TEXT,
-        member_id TEXT,
-        role TEXT DEFAULT 'member',
-        joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (group_id) REFERENCES forum_groups(id),
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum posts/newsfeed
-    db.run(`CREATE TABLE IF NOT EXISTS forum_posts (
-        id TEXT PRIMARY KEY,
-        author_id TEXT,
-        group_id TEXT,
-        post_type TEXT DEFAULT 'discussion',
-        title TEXT,
-        content TEXT NOT NULL,
-        content_html TEXT,
-        tags TEXT,
-        attachments TEXT,
-        image_url TEXT,
-        video_url TEXT,
-        link_url TEXT,
-        link_preview TEXT,
-        is_pinned INTEGER DEFAULT 0,
-        is_announcement INTEGER DEFAULT 0,
-        is_featured INTEGER DEFAULT 0,
-        visibility TEXT DEFAULT 'members',
-        likes_count INTEGER DEFAULT 0,
-        comments_count INTEGER DEFAULT 0,
-        shares_count INTEGER DEFAULT 0,
-        views_count INTEGER DEFAULT 0,
-        moderation_status TEXT DEFAULT 'approved',
-        moderated_by TEXT,
-        moderated_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (author_id) REFERENCES forum_members(id),
-        FOREIGN KEY (group_id) REFERENCES forum_groups(id)
-    )`);
-
-    // Forum post reactions (likes, etc.)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_post_reactions (
-        id TEXT PRIMARY KEY,
-        post_id TEXT,
-        member_id TEXT,
-        reaction_type TEXT DEFAULT 'like',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (post_id) REFERENCES forum_posts(id),
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum comments
-    db.run(`CREATE TABLE IF NOT EXISTS forum_comments (
-        id TEXT PRIMARY KEY,
-        post_id TEXT,
-        author_id TEXT,
-        parent_id TEXT,
-        content TEXT NOT NULL,
-        likes_count INTEGER DEFAULT 0,
-        is_edited INTEGER DEFAULT 0,
-        moderation_status TEXT DEFAULT 'approved',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (post_id) REFERENCES forum_posts(id),
-        FOREIGN KEY (author_id) REFERENCES forum_members(id),
-        FOREIGN KEY (parent_id) REFERENCES forum_comments(id)
-    )`);
-
-    // Forum direct messages
-    db.run(`CREATE TABLE IF NOT EXISTS forum_messages (
-        id TEXT PRIMARY KEY,
-        conversation_id TEXT,
-        sender_id TEXT,
-        recipient_id TEXT,
-        content TEXT NOT NULL,
-        attachments TEXT,
-        is_read INTEGER DEFAULT 0,
-        read_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sender_id) REFERENCES forum_members(id),
-        FOREIGN KEY (recipient_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum conversations (for grouping messages)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_conversations (
-        id TEXT PRIMARY KEY,
-        participant_ids TEXT,
-        last_message_id TEXT,
-        last_message_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Forum events
-    db.run(`CREATE TABLE IF NOT EXISTS forum_events (
-        id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        description TEXT,
-        event_type TEXT DEFAULT 'networking',
-        start_date TEXT,
-        end_date TEXT,
-        timezone TEXT DEFAULT 'Europe/Zagreb',
-        location_type TEXT DEFAULT 'virtual',
-        location_name TEXT,
-        location_address TEXT,
-        virtual_link TEXT,
-        cover_image TEXT,
-        capacity INTEGER,
-        registration_deadline TEXT,
-        is_paid INTEGER DEFAULT 0,
-        price REAL DEFAULT 0,
-        early_bird_price REAL,
-        early_bird_deadline TEXT,
-        requires_approval INTEGER DEFAULT 0,
-        is_members_only INTEGER DEFAULT 1,
-        agenda TEXT,
-        speakers TEXT,
-        organizer_id TEXT,
-        status TEXT DEFAULT 'draft',
-        registrations_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (organizer_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum event registrations
-    db.run(`CREATE TABLE IF NOT EXISTS forum_event_registrations (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        member_id TEXT,
-        status TEXT DEFAULT 'registered',
-        ticket_type TEXT DEFAULT 'general',
-        payment_status TEXT,
-        payment_amount REAL,
-        checked_in INTEGER DEFAULT 0,
-        checked_in_at TEXT,
-        qr_code TEXT,
-        notes TEXT,
-        registered_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES forum_events(id),
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum media gallery
-    db.run(`CREATE TABLE IF NOT EXISTS forum_media (
-        id TEXT PRIMARY KEY,
-        uploader_id TEXT,
-        event_id TEXT,
-        gallery_name TEXT,
-        media_type TEXT DEFAULT 'image',
-        title TEXT,
-        description TEXT,
-        file_url TEXT,
-        thumbnail_url TEXT,
-        file_size INTEGER,
-        width INTEGER,
-        height INTEGER,
-        duration INTEGER,
-        tags TEXT,
-        is_approved INTEGER DEFAULT 0,
-        approved_by TEXT,
-        views_count INTEGER DEFAULT 0,
-        likes_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (uploader_id) REFERENCES forum_members(id),
-        FOREIGN KEY (event_id) REFERENCES forum_events(id)
-    )`);
-
-    // Forum resources/documents library
-    db.run(`CREATE TABLE IF NOT EXISTS forum_resources (
-        id TEXT PRIMARY KEY,
-        uploader_id TEXT,
-        title TEXT NOT NULL,
-        description TEXT,
-        resource_type TEXT DEFAULT 'document',
-        category TEXT,
-        file_url TEXT,
-        file_name TEXT,
-        file_size INTEGER,
-        mime_type TEXT,
-        external_url TEXT,
-        doi TEXT,
-        tags TEXT,
-        is_featured INTEGER DEFAULT 0,
-        downloads_count INTEGER DEFAULT 0,
-        views_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (uploader_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum mentorship matches
-    db.run(`CREATE TABLE IF NOT EXISTS forum_mentorships (
-        id TEXT PRIMARY KEY,
-        mentor_id TEXT,
-        mentee_id TEXT,
-        status TEXT DEFAULT 'pending',
-        match_score REAL,
-        focus_areas TEXT,
-        goals TEXT,
-        meeting_frequency TEXT,
-        notes TEXT,
-        started_at TEXT,
-        ended_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (mentor_id) REFERENCES forum_members(id),
-        FOREIGN KEY (mentee_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum badges/achievements
-    db.run(`CREATE TABLE IF NOT EXISTS forum_badges (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        slug TEXT UNIQUE,
-        description TEXT,
-        icon TEXT,
-        color TEXT,
-        points INTEGER DEFAULT 0,
-        criteria TEXT,
-        is_active INTEGER DEFAULT 1
-    )`);
-
-    // Forum member badges
-    db.run(`CREATE TABLE IF NOT EXISTS forum_member_badges (
-        id TEXT PRIMARY KEY,
-        member_id TEXT,
-        badge_id TEXT,
-        earned_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (member_id) REFERENCES forum_members(id),
-        FOREIGN KEY (badge_id) REFERENCES forum_badges(id)
-    )`);
-
-    // Forum notifications
-    db.run(`CREATE TABLE IF NOT EXISTS forum_notifications (
-        id TEXT PRIMARY KEY,
-        member_id TEXT,
-        type TEXT,
-        title TEXT,
-        message TEXT,
-        link TEXT,
-        related_id TEXT,
-        is_read INTEGER DEFAULT 0,
-        read_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum activity log (for analytics)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_activity (
-        id TEXT PRIMARY KEY,
-        member_id TEXT,
-        activity_type TEXT,
-        target_type TEXT,
-        target_id TEXT,
-        metadata TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (member_id) REFERENCES forum_members(id)
-    )`);
-
-    // ========== MEMBERSHIP MANAGEMENT TABLES ==========
-
-    // Forum prospects (potential members to invite)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_prospects (
-        id TEXT PRIMARY KEY,
-        first_name TEXT,
-        last_name TEXT,
-        email TEXT UNIQUE,
-        institution TEXT,
-        specialty TEXT,
-        position TEXT,
-        country TEXT,
-        source TEXT DEFAULT 'manual',
-        import_batch_id TEXT,
-        status TEXT DEFAULT 'not_contacted',
-        notes TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Forum invitations (track sent invitations)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_invitations (
-        id TEXT PRIMARY KEY,
-        prospect_id TEXT,
-        email TEXT,
-        first_name TEXT,
-        last_name TEXT,
-        invitation_code TEXT UNIQUE,
-        sent_at TEXT,
-        delivery_status TEXT DEFAULT 'pending',
-        opened_at TEXT,
-        clicked_at TEXT,
-        applied_at TEXT,
-        application_id TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (prospect_id) REFERENCES forum_prospects(id)
-    )`);
-
-    // Forum email templates
-    db.run(`CREATE TABLE IF NOT EXISTS forum_email_templates (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        subject TEXT,
-        body_html TEXT,
-        variables TEXT,
-        is_default INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Forum import batches (track Excel imports)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_import_batches (
-        id TEXT PRIMARY KEY,
-        filename TEXT,
-        total_rows INTEGER,
-        imported_count INTEGER,
-        skipped_count INTEGER,
-        errors TEXT,
-        status TEXT DEFAULT 'processing',
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Forum event speakers
-    db.run(`CREATE TABLE IF NOT EXISTS forum_event_speakers (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        name TEXT NOT NULL,
-        title TEXT,
-        institution TEXT,
-        bio TEXT,
-        photo_url TEXT,
-        talk_title TEXT,
-        talk_abstract TEXT,
-        speaker_type TEXT DEFAULT 'presenter',
-        is_confirmed INTEGER DEFAULT 0,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES forum_events(id)
-    )`);
-
-    // Forum event schedule
-    db.run(`CREATE TABLE IF NOT EXISTS forum_event_schedule (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        title TEXT NOT NULL,
-        description TEXT,
-        session_type TEXT DEFAULT 'session',
-        date TEXT,
-        start_time TEXT,
-        end_time TEXT,
-        room TEXT,
-        speaker_ids TEXT,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES forum_events(id)
-    )`);
-
-    // Forum group messages (for group chat)
-    db.run(`CREATE TABLE IF NOT EXISTS forum_group_messages (
-        id TEXT PRIMARY KEY,
-        group_id TEXT,
-        sender_id TEXT,
-        message TEXT,
-        attachments TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (group_id) REFERENCES forum_groups(id),
-        FOREIGN KEY (sender_id) REFERENCES forum_members(id)
-    )`);
-
-    // Forum gallery folders
-    db.run(`CREATE TABLE IF NOT EXISTS forum_gallery_folders (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        parent_id TEXT,
-        event_year INTEGER,
-        event_name TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS forum_media_folders (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        parent_id TEXT,
-        created_by TEXT,
-        created_at DATETIME DEFAULT (datetime('now'))
-    )`);
-
-    // Ensure forum_members has role/banned/muted columns (may be missing if admin portal created table first)
-    try { db.run("ALTER TABLE forum_members ADD COLUMN role TEXT DEFAULT 'member'"); } catch(e) {}
-    try { db.run("ALTER TABLE forum_members ADD COLUMN banned INTEGER DEFAULT 0"); } catch(e) {}
-    try { db.run("ALTER TABLE forum_members ADD COLUMN muted INTEGER DEFAULT 0"); } catch(e) {}
-    // Add industry column to forum_members if not exists
-    try { db.run(`ALTER TABLE forum_members ADD COLUMN industry TEXT`); } catch(e) {}
-
-    // Add new columns to forum_events if not exists
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN event_scale TEXT DEFAULT 'small'`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN slug TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN rsvp_deadline TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN venue TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_invitations ADD COLUMN event_id TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_invitations ADD COLUMN event_type TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_invitations ADD COLUMN rsvp_status TEXT`); } catch(e) {}
-
-    // Add new columns to forum_event_registrations if not exists
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN rsvp_status TEXT DEFAULT 'pending'`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN dietary_requirements TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN accommodation_needed INTEGER DEFAULT 0`); } catch(e) {}
-    // AF26 extended registration fields
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN first_name TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN last_name TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN email TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN title TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN institution TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN dietary_notes TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN accommodation TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN special_requests TEXT`); } catch(e) {}
-    // Forum payment tracking columns
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN stripe_session_id TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN payment_date TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN invoice_number TEXT`); } catch(e) {}
-
-    // Add folder_id and caption to forum_media if not exists
-    try { db.run(`ALTER TABLE forum_media ADD COLUMN folder_id TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_media ADD COLUMN caption TEXT`); } catch(e) {}
-
-    // Phase 5B: Forum event management columns
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN is_published INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN checkin_enabled INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_events ADD COLUMN updated_at TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN name TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN email TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE forum_event_registrations ADD COLUMN institution TEXT`); } catch(e) {}
-
-    // Phase 6A: Building Bridges publish + sync columns
-    try { db.run(`ALTER TABLE bridges_events ADD COLUMN is_published INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE bridges_events ADD COLUMN checkin_enabled INTEGER DEFAULT 0`); } catch(e) {}
-    try { db.run(`ALTER TABLE bridges_events ADD COLUMN updated_at TEXT`); } catch(e) {}
-
-    // Phase 6B: QR code for bridges registrations
-    try { db.run(`ALTER TABLE bridges_registrations ADD COLUMN qr_code TEXT`); } catch(e) {}
-
-    // ========== TEAM CHAT & TASKS ==========
-    db.run(`CREATE TABLE IF NOT EXISTS team_members (
-        id TEXT PRIMARY KEY,
-        user_id TEXT UNIQUE,
-        name TEXT NOT NULL,
-        role TEXT,
-        avatar_color TEXT DEFAULT '#C9A962',
-        photo_url TEXT,
-        is_online INTEGER DEFAULT 0,
-        last_seen TEXT,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Add photo_url column if it doesn't exist (migration)
-    try { db.run('ALTER TABLE team_members ADD COLUMN photo_url TEXT'); } catch(e) {}
-
-    db.run(`CREATE TABLE IF NOT EXISTS chat_messages (
-        id TEXT PRIMARY KEY,
-        sender_id TEXT NOT NULL,
-        channel_id TEXT,
-        message TEXT NOT NULL,
-        message_type TEXT DEFAULT 'text',
-        file_url TEXT,
-        file_name TEXT,
-        file_type TEXT,
-        reply_to TEXT,
-        is_read INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sender_id) REFERENCES users(id),
-        FOREIGN KEY (channel_id) REFERENCES chat_channels(id),
-        FOREIGN KEY (reply_to) REFERENCES chat_messages(id)
-    )`);
-
-    // Add file columns if they don't exist (migration)
-    try { db.run('ALTER TABLE chat_messages ADD COLUMN file_url TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE chat_messages ADD COLUMN file_name TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE chat_messages ADD COLUMN file_type TEXT'); } catch(e) {}
-
-    // Add completed column to timeline events (migration)
-    try { db.run('ALTER TABLE project_timeline_events ADD COLUMN completed INTEGER DEFAULT 0'); } catch(e) {}
-
-    // Chat channels for organized communication
-    db.run(`CREATE TABLE IF NOT EXISTS chat_channels (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        project TEXT,
-        description TEXT,
-        is_default INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Sub-channel support migrations
-    try { db.run('ALTER TABLE chat_channels ADD COLUMN parent_channel_id TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE chat_channels ADD COLUMN sort_order INTEGER DEFAULT 0'); } catch(e) {}
-
-    // Channel members for assignment
-    db.run(`CREATE TABLE IF NOT EXISTS channel_members (
-        id TEXT PRIMARY KEY,
-        channel_id TEXT NOT NULL,
-        member_id TEXT NOT NULL,
-        role TEXT DEFAULT 'member',
-        joined_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(channel_id, member_id)
-    )`);
-
-    // User-specific pinned items
-    db.run(`CREATE TABLE IF NOT EXISTS pinned_items (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        item_type TEXT NOT NULL,
-        item_id TEXT,
-        item_title TEXT NOT NULL,
-        item_subtitle TEXT,
-        project TEXT,
-        display_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Channel read status per user
-    db.run(`CREATE TABLE IF NOT EXISTS channel_read_status (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        channel_id TEXT NOT NULL,
-        last_read_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id, channel_id)
-    )`)
-
-    // Project settings (editable dates, etc.)
-    db.run(`CREATE TABLE IF NOT EXISTS project_settings (
-        project TEXT PRIMARY KEY,
-        event_date TEXT,
-        description TEXT,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_by TEXT
-    )`);
-
-    // Add new columns if they don't exist (safe migration)
-    try { db.run('ALTER TABLE project_settings ADD COLUMN end_date TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE project_settings ADD COLUMN venue TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE project_settings ADD COLUMN location TEXT'); } catch(e) {}
-    saveDb();
+    // Schema — every table and column comes from the versioned migrations in shared/migrations
+    migrations.migrate(db, { portal: 'user' });
 
     // Seed default project settings
     const projectDefaults = [
@@ -1317,987 +415,6 @@ async function initializeApp() {
         }
     });
 
-    // Admin notifications (for monthly project reminders)
-    db.run(`CREATE TABLE IF NOT EXISTS admin_notifications (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        type TEXT NOT NULL,
-        title TEXT NOT NULL,
-        message TEXT,
-        project TEXT,
-        is_read INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // User notifications (admin-to-user push notifications via shared DB)
-    db.run(`CREATE TABLE IF NOT EXISTS user_notifications (
-        id TEXT PRIMARY KEY,
-        user_id TEXT,
-        user_group TEXT DEFAULT 'all',
-        category TEXT NOT NULL DEFAULT 'system',
-        project TEXT,
-        title TEXT NOT NULL,
-        message TEXT,
-        link TEXT,
-        icon TEXT DEFAULT 'fa-bell',
-        icon_class TEXT DEFAULT 'system',
-        is_read INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Monthly reminder tracking
-    db.run(`CREATE TABLE IF NOT EXISTS monthly_reminders_sent (
-        id TEXT PRIMARY KEY,
-        month TEXT NOT NULL,
-        year INTEGER NOT NULL,
-        sent_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(month, year)
-    )`);
-
-    // Project folders for file organization
-    db.run(`CREATE TABLE IF NOT EXISTS project_folders (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        name TEXT NOT NULL,
-        parent_id TEXT,
-        color TEXT DEFAULT '#64748b',
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (parent_id) REFERENCES project_folders(id),
-        FOREIGN KEY (created_by) REFERENCES users(id)
-    )`)
-
-    // Project file repository
-    db.run(`CREATE TABLE IF NOT EXISTS project_files (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        folder_id TEXT,
-        filename TEXT NOT NULL,
-        original_name TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        file_size INTEGER,
-        mime_type TEXT,
-        category TEXT DEFAULT 'general',
-        uploaded_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (folder_id) REFERENCES project_folders(id),
-        FOREIGN KEY (uploaded_by) REFERENCES users(id)
-    )`)
-
-    db.run(`CREATE TABLE IF NOT EXISTS chat_read_status (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        last_read_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS project_tasks (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        title TEXT NOT NULL,
-        description TEXT,
-        assigned_to TEXT,
-        priority TEXT DEFAULT 'medium',
-        status TEXT DEFAULT 'todo',
-        due_date TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        completed_at TEXT,
-        sort_order INTEGER DEFAULT 0,
-        parent_id TEXT,
-        FOREIGN KEY (parent_id) REFERENCES project_tasks(id) ON DELETE CASCADE
-    )`);
-
-    // Sequence tasks table
-    db.run(`CREATE TABLE IF NOT EXISTS task_sequences (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        project TEXT,
-        description TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        current_step INTEGER DEFAULT 1,
-        status TEXT DEFAULT 'active'
-    )`);
-
-    // Sequence steps table
-    db.run(`CREATE TABLE IF NOT EXISTS sequence_steps (
-        id TEXT PRIMARY KEY,
-        sequence_id TEXT NOT NULL,
-        step_order INTEGER NOT NULL,
-        title TEXT NOT NULL,
-        description TEXT,
-        assigned_to TEXT,
-        status TEXT DEFAULT 'pending',
-        completed_at TEXT,
-        FOREIGN KEY (sequence_id) REFERENCES task_sequences(id) ON DELETE CASCADE
-    )`);
-
-    // Task files table
-    db.run(`CREATE TABLE IF NOT EXISTS task_files (
-        id TEXT PRIMARY KEY,
-        task_id TEXT NOT NULL,
-        filename TEXT NOT NULL,
-        original_name TEXT,
-        file_path TEXT,
-        file_size INTEGER,
-        mime_type TEXT,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE CASCADE
-    )`);
-
-    // Project timeline events table
-    db.run(`CREATE TABLE IF NOT EXISTS project_timeline_events (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        name TEXT NOT NULL,
-        description TEXT,
-        event_date TEXT NOT NULL,
-        end_date TEXT,
-        event_type TEXT DEFAULT 'point',
-        color TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== ENHANCED PLEXUS CONFERENCE TABLES ==========
-
-    // Extended user profiles for conference attendees
-    db.run(`CREATE TABLE IF NOT EXISTS user_profiles (
-        user_id TEXT PRIMARY KEY,
-        title TEXT,
-        department TEXT,
-        research_interests TEXT,
-        career_stage TEXT,
-        linkedin_url TEXT,
-        twitter_url TEXT,
-        orcid TEXT,
-        dietary_requirements TEXT,
-        accessibility_needs TEXT,
-        tshirt_size TEXT,
-        emergency_contact_name TEXT,
-        emergency_contact_phone TEXT,
-        is_profile_public INTEGER DEFAULT 0,
-        preferred_language TEXT DEFAULT 'en',
-        receive_newsletter INTEGER DEFAULT 1,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Enhanced registrations with multi-step info
-    db.run(`CREATE TABLE IF NOT EXISTS registration_details (
-        registration_id TEXT PRIMARY KEY,
-        affiliation_type TEXT,
-        student_id_uploaded INTEGER DEFAULT 0,
-        student_id_file TEXT,
-        institution_vat TEXT,
-        institution_address TEXT,
-        billing_name TEXT,
-        billing_address TEXT,
-        billing_country TEXT,
-        billing_vat TEXT,
-        wants_invoice INTEGER DEFAULT 0,
-        arrival_date TEXT,
-        departure_date TEXT,
-        accommodation_needed INTEGER DEFAULT 0,
-        hotel_preference TEXT,
-        airport_transfer_needed INTEGER DEFAULT 0,
-        flight_arrival TEXT,
-        flight_departure TEXT,
-        networking_interests TEXT,
-        how_heard_about TEXT,
-        special_requests TEXT,
-        gdpr_consent INTEGER DEFAULT 0,
-        photo_consent INTEGER DEFAULT 0,
-        terms_accepted INTEGER DEFAULT 0,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Group registrations
-    db.run(`CREATE TABLE IF NOT EXISTS group_registrations (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        institution_name TEXT NOT NULL,
-        contact_name TEXT,
-        contact_email TEXT,
-        contact_phone TEXT,
-        billing_address TEXT,
-        billing_vat TEXT,
-        total_attendees INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'pending',
-        total_amount REAL DEFAULT 0,
-        discount_percent REAL DEFAULT 0,
-        payment_status TEXT DEFAULT 'unpaid',
-        invoice_number TEXT,
-        notes TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Link individual registrations to group
-    db.run(`CREATE TABLE IF NOT EXISTS group_registration_members (
-        id TEXT PRIMARY KEY,
-        group_registration_id TEXT,
-        registration_id TEXT,
-        FOREIGN KEY (group_registration_id) REFERENCES group_registrations(id),
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Waiting list
-    db.run(`CREATE TABLE IF NOT EXISTS waitlist (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        user_id TEXT,
-        ticket_type_id TEXT,
-        email TEXT,
-        first_name TEXT,
-        last_name TEXT,
-        position INTEGER,
-        status TEXT DEFAULT 'waiting',
-        notified_at TEXT,
-        expires_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Registration transfers
-    db.run(`CREATE TABLE IF NOT EXISTS registration_transfers (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        original_user_id TEXT,
-        new_user_email TEXT,
-        new_user_name TEXT,
-        reason TEXT,
-        status TEXT DEFAULT 'pending',
-        approved_by TEXT,
-        approved_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Scholarship/Fee waiver applications
-    db.run(`CREATE TABLE IF NOT EXISTS scholarship_applications (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        user_id TEXT,
-        application_type TEXT DEFAULT 'scholarship',
-        institution TEXT,
-        country TEXT,
-        career_stage TEXT,
-        financial_need_statement TEXT,
-        research_statement TEXT,
-        support_letter_file TEXT,
-        cv_file TEXT,
-        amount_requested REAL,
-        amount_granted REAL,
-        status TEXT DEFAULT 'submitted',
-        reviewer_notes TEXT,
-        reviewed_by TEXT,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Refund requests
-    db.run(`CREATE TABLE IF NOT EXISTS refund_requests (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        reason TEXT,
-        amount_requested REAL,
-        amount_approved REAL,
-        refund_type TEXT DEFAULT 'full',
-        status TEXT DEFAULT 'pending',
-        admin_notes TEXT,
-        processed_by TEXT,
-        processed_at TEXT,
-        refund_reference TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Payment transactions
-    db.run(`CREATE TABLE IF NOT EXISTS payment_transactions (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        group_registration_id TEXT,
-        amount REAL,
-        currency TEXT DEFAULT 'EUR',
-        payment_method TEXT,
-        payment_provider TEXT,
-        provider_transaction_id TEXT,
-        status TEXT DEFAULT 'pending',
-        error_message TEXT,
-        metadata TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Invoices
-    db.run(`CREATE TABLE IF NOT EXISTS invoices (
-        id TEXT PRIMARY KEY,
-        invoice_number TEXT UNIQUE,
-        registration_id TEXT,
-        group_registration_id TEXT,
-        recipient_name TEXT,
-        recipient_address TEXT,
-        recipient_vat TEXT,
-        recipient_email TEXT,
-        items TEXT,
-        subtotal REAL,
-        vat_rate REAL DEFAULT 25,
-        vat_amount REAL,
-        total REAL,
-        currency TEXT DEFAULT 'EUR',
-        status TEXT DEFAULT 'draft',
-        issued_at TEXT,
-        due_date TEXT,
-        paid_at TEXT,
-        pdf_file TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Abstract submission files
-    db.run(`CREATE TABLE IF NOT EXISTS abstract_files (
-        id TEXT PRIMARY KEY,
-        abstract_id TEXT,
-        file_type TEXT,
-        original_name TEXT,
-        stored_name TEXT,
-        file_path TEXT,
-        file_size INTEGER,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (abstract_id) REFERENCES abstracts(id)
-    )`);
-
-    // Abstract reviews
-    db.run(`CREATE TABLE IF NOT EXISTS abstract_reviews (
-        id TEXT PRIMARY KEY,
-        abstract_id TEXT,
-        reviewer_id TEXT,
-        score_relevance INTEGER,
-        score_originality INTEGER,
-        score_methodology INTEGER,
-        score_clarity INTEGER,
-        score_overall INTEGER,
-        comments TEXT,
-        recommendation TEXT,
-        is_complete INTEGER DEFAULT 0,
-        assigned_at TEXT,
-        completed_at TEXT,
-        FOREIGN KEY (abstract_id) REFERENCES abstracts(id),
-        FOREIGN KEY (reviewer_id) REFERENCES users(id)
-    )`);
-
-    // Abstract review criteria (customizable per conference)
-    db.run(`CREATE TABLE IF NOT EXISTS review_criteria (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        max_score INTEGER DEFAULT 5,
-        weight REAL DEFAULT 1,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Speaker/Workshop applications
-    db.run(`CREATE TABLE IF NOT EXISTS speaker_applications (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        user_id TEXT,
-        application_type TEXT DEFAULT 'speaker',
-        name TEXT,
-        email TEXT,
-        institution TEXT,
-        title TEXT,
-        bio TEXT,
-        photo_file TEXT,
-        cv_file TEXT,
-        proposed_title TEXT,
-        proposed_abstract TEXT,
-        topic_area TEXT,
-        presentation_type TEXT,
-        duration_requested INTEGER,
-        target_audience TEXT,
-        av_requirements TEXT,
-        previous_experience TEXT,
-        co_presenter_info TEXT,
-        max_participants INTEGER,
-        required_materials TEXT,
-        status TEXT DEFAULT 'submitted',
-        admin_notes TEXT,
-        reviewed_by TEXT,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Session tracks
-    db.run(`CREATE TABLE IF NOT EXISTS session_tracks (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        name_hr TEXT,
-        description TEXT,
-        color TEXT,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Enhanced sessions with more fields (safely add columns if not exists)
-    const sessionColumns = query.all("PRAGMA table_info(sessions)").map(c => c.name);
-    if (!sessionColumns.includes('track_id')) db.run(`ALTER TABLE sessions ADD COLUMN track_id TEXT`);
-    if (!sessionColumns.includes('is_recorded')) db.run(`ALTER TABLE sessions ADD COLUMN is_recorded INTEGER DEFAULT 0`);
-    if (!sessionColumns.includes('recording_url')) db.run(`ALTER TABLE sessions ADD COLUMN recording_url TEXT`);
-    if (!sessionColumns.includes('slides_file')) db.run(`ALTER TABLE sessions ADD COLUMN slides_file TEXT`);
-    if (!sessionColumns.includes('materials_file')) db.run(`ALTER TABLE sessions ADD COLUMN materials_file TEXT`);
-    if (!sessionColumns.includes('capacity')) db.run(`ALTER TABLE sessions ADD COLUMN capacity INTEGER`);
-    if (!sessionColumns.includes('requires_registration')) db.run(`ALTER TABLE sessions ADD COLUMN requires_registration INTEGER DEFAULT 0`);
-    if (!sessionColumns.includes('language')) db.run(`ALTER TABLE sessions ADD COLUMN language TEXT DEFAULT 'en'`);
-
-    // Session attendance tracking
-    db.run(`CREATE TABLE IF NOT EXISTS session_attendance (
-        id TEXT PRIMARY KEY,
-        session_id TEXT,
-        user_id TEXT,
-        checked_in_at TEXT,
-        checked_out_at TEXT,
-        attended_duration INTEGER,
-        UNIQUE(session_id, user_id),
-        FOREIGN KEY (session_id) REFERENCES sessions(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Session ratings
-    db.run(`CREATE TABLE IF NOT EXISTS session_ratings (
-        id TEXT PRIMARY KEY,
-        session_id TEXT,
-        user_id TEXT,
-        rating INTEGER,
-        comment TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(session_id, user_id),
-        FOREIGN KEY (session_id) REFERENCES sessions(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Question upvotes
-    db.run(`CREATE TABLE IF NOT EXISTS question_upvotes (
-        id TEXT PRIMARY KEY,
-        question_id TEXT,
-        user_id TEXT,
-        UNIQUE(question_id, user_id),
-        FOREIGN KEY (question_id) REFERENCES session_questions(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Live polls
-    db.run(`CREATE TABLE IF NOT EXISTS session_polls (
-        id TEXT PRIMARY KEY,
-        session_id TEXT,
-        question TEXT,
-        poll_type TEXT DEFAULT 'single',
-        options TEXT,
-        is_active INTEGER DEFAULT 0,
-        show_results INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        closed_at TEXT,
-        FOREIGN KEY (session_id) REFERENCES sessions(id)
-    )`);
-
-    // Poll responses
-    db.run(`CREATE TABLE IF NOT EXISTS poll_responses (
-        id TEXT PRIMARY KEY,
-        poll_id TEXT,
-        user_id TEXT,
-        selected_options TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(poll_id, user_id),
-        FOREIGN KEY (poll_id) REFERENCES session_polls(id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    // Meeting requests (1:1 networking)
-    db.run(`CREATE TABLE IF NOT EXISTS meeting_requests (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        requester_id TEXT,
-        requestee_id TEXT,
-        message TEXT,
-        proposed_times TEXT,
-        selected_time TEXT,
-        location TEXT,
-        status TEXT DEFAULT 'pending',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id),
-        FOREIGN KEY (requester_id) REFERENCES users(id),
-        FOREIGN KEY (requestee_id) REFERENCES users(id)
-    )`);
-
-    // Visa invitation letter requests
-    db.run(`CREATE TABLE IF NOT EXISTS visa_requests (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        passport_name TEXT,
-        passport_number TEXT,
-        passport_country TEXT,
-        passport_expiry TEXT,
-        date_of_birth TEXT,
-        nationality TEXT,
-        embassy_city TEXT,
-        embassy_country TEXT,
-        additional_info TEXT,
-        letter_file TEXT,
-        status TEXT DEFAULT 'pending',
-        processed_by TEXT,
-        processed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Enhanced volunteers with shifts
-    db.run(`CREATE TABLE IF NOT EXISTS volunteer_shifts (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        date TEXT,
-        start_time TEXT,
-        end_time TEXT,
-        location TEXT,
-        max_volunteers INTEGER DEFAULT 5,
-        required_skills TEXT,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Volunteer shift assignments
-    db.run(`CREATE TABLE IF NOT EXISTS volunteer_assignments (
-        id TEXT PRIMARY KEY,
-        volunteer_id TEXT,
-        shift_id TEXT,
-        status TEXT DEFAULT 'assigned',
-        checked_in_at TEXT,
-        checked_out_at TEXT,
-        notes TEXT,
-        UNIQUE(volunteer_id, shift_id),
-        FOREIGN KEY (volunteer_id) REFERENCES volunteers(id),
-        FOREIGN KEY (shift_id) REFERENCES volunteer_shifts(id)
-    )`);
-
-    // Enhanced sponsors (safely add columns)
-    const sponsorColumns = query.all("PRAGMA table_info(sponsors)").map(c => c.name);
-    if (!sponsorColumns.includes('contact_name')) db.run(`ALTER TABLE sponsors ADD COLUMN contact_name TEXT`);
-    if (!sponsorColumns.includes('contact_email')) db.run(`ALTER TABLE sponsors ADD COLUMN contact_email TEXT`);
-    if (!sponsorColumns.includes('contact_phone')) db.run(`ALTER TABLE sponsors ADD COLUMN contact_phone TEXT`);
-    if (!sponsorColumns.includes('booth_location')) db.run(`ALTER TABLE sponsors ADD COLUMN booth_location TEXT`);
-    if (!sponsorColumns.includes('included_passes')) db.run(`ALTER TABLE sponsors ADD COLUMN included_passes INTEGER DEFAULT 0`);
-    if (!sponsorColumns.includes('contract_file')) db.run(`ALTER TABLE sponsors ADD COLUMN contract_file TEXT`);
-    if (!sponsorColumns.includes('is_exhibitor')) db.run(`ALTER TABLE sponsors ADD COLUMN is_exhibitor INTEGER DEFAULT 0`);
-    // Phase 3E: Sponsor pipeline columns
-    if (!sponsorColumns.includes('status')) db.run(`ALTER TABLE sponsors ADD COLUMN status TEXT DEFAULT 'prospect'`);
-    if (!sponsorColumns.includes('amount_pledged')) db.run(`ALTER TABLE sponsors ADD COLUMN amount_pledged REAL DEFAULT 0`);
-    if (!sponsorColumns.includes('amount_received')) db.run(`ALTER TABLE sponsors ADD COLUMN amount_received REAL DEFAULT 0`);
-    if (!sponsorColumns.includes('notes')) db.run(`ALTER TABLE sponsors ADD COLUMN notes TEXT`);
-    if (!sponsorColumns.includes('is_published')) db.run(`ALTER TABLE sponsors ADD COLUMN is_published INTEGER DEFAULT 0`);
-
-    // Sponsor tasks table
-    db.run(`CREATE TABLE IF NOT EXISTS sponsor_tasks (
-        id TEXT PRIMARY KEY,
-        sponsor_id TEXT NOT NULL,
-        title TEXT NOT NULL,
-        is_completed INTEGER DEFAULT 0,
-        due_date TEXT,
-        assigned_to TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id)
-    )`);
-
-    // Sponsor leads (badge scans at booth)
-    db.run(`CREATE TABLE IF NOT EXISTS sponsor_leads (
-        id TEXT PRIMARY KEY,
-        sponsor_id TEXT,
-        attendee_registration_id TEXT,
-        scanned_by TEXT,
-        notes TEXT,
-        rating INTEGER,
-        follow_up_status TEXT DEFAULT 'new',
-        scanned_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id),
-        FOREIGN KEY (attendee_registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Sponsor materials/downloads
-    db.run(`CREATE TABLE IF NOT EXISTS sponsor_materials (
-        id TEXT PRIMARY KEY,
-        sponsor_id TEXT,
-        title TEXT,
-        description TEXT,
-        file_path TEXT,
-        download_count INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (sponsor_id) REFERENCES sponsors(id)
-    )`);
-
-    // Photo gallery
-    db.run(`CREATE TABLE IF NOT EXISTS conference_photos (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        title TEXT,
-        description TEXT,
-        file_path TEXT,
-        thumbnail_path TEXT,
-        photographer TEXT,
-        uploaded_by TEXT,
-        is_public INTEGER DEFAULT 1,
-        sort_order INTEGER DEFAULT 0,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Certificates of attendance
-    db.run(`CREATE TABLE IF NOT EXISTS certificates (
-        id TEXT PRIMARY KEY,
-        registration_id TEXT,
-        certificate_type TEXT DEFAULT 'attendance',
-        certificate_number TEXT UNIQUE,
-        recipient_name TEXT,
-        conference_name TEXT,
-        issue_date TEXT,
-        credits_value REAL,
-        credits_type TEXT,
-        pdf_file TEXT,
-        downloaded_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (registration_id) REFERENCES registrations(id)
-    )`);
-
-    // Feedback surveys
-    db.run(`CREATE TABLE IF NOT EXISTS surveys (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        title TEXT,
-        description TEXT,
-        questions TEXT,
-        is_active INTEGER DEFAULT 1,
-        anonymous INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Survey responses
-    db.run(`CREATE TABLE IF NOT EXISTS survey_responses (
-        id TEXT PRIMARY KEY,
-        survey_id TEXT,
-        user_id TEXT,
-        responses TEXT,
-        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (survey_id) REFERENCES surveys(id)
-    )`);
-
-    // Email templates
-    db.run(`CREATE TABLE IF NOT EXISTS email_templates (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        subject TEXT,
-        subject_hr TEXT,
-        body_html TEXT,
-        body_html_hr TEXT,
-        body_text TEXT,
-        body_text_hr TEXT,
-        variables TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Email log
-    db.run(`CREATE TABLE IF NOT EXISTS email_log (
-        id TEXT PRIMARY KEY,
-        template_id TEXT,
-        recipient_email TEXT,
-        recipient_name TEXT,
-        subject TEXT,
-        status TEXT DEFAULT 'pending',
-        error_message TEXT,
-        sent_at TEXT,
-        opened_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Scheduled emails
-    db.run(`CREATE TABLE IF NOT EXISTS scheduled_emails (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        template_id TEXT,
-        target_audience TEXT,
-        filters TEXT,
-        scheduled_for TEXT,
-        status TEXT DEFAULT 'scheduled',
-        sent_count INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Conference archive info
-    db.run(`CREATE TABLE IF NOT EXISTS conference_archives (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        archive_type TEXT,
-        title TEXT,
-        description TEXT,
-        file_path TEXT,
-        external_url TEXT,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Venue/room info
-    db.run(`CREATE TABLE IF NOT EXISTS venue_rooms (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        floor TEXT,
-        capacity INTEGER,
-        equipment TEXT,
-        map_coordinates TEXT,
-        photo_url TEXT,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Partner hotels
-    db.run(`CREATE TABLE IF NOT EXISTS partner_hotels (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        name TEXT,
-        description TEXT,
-        address TEXT,
-        distance_to_venue TEXT,
-        price_range TEXT,
-        booking_url TEXT,
-        promo_code TEXT,
-        discount_info TEXT,
-        photo_url TEXT,
-        contact_email TEXT,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // Conference statistics (cached for dashboard)
-    db.run(`CREATE TABLE IF NOT EXISTS conference_stats (
-        id TEXT PRIMARY KEY,
-        conference_id TEXT,
-        stat_date TEXT,
-        total_registrations INTEGER DEFAULT 0,
-        paid_registrations INTEGER DEFAULT 0,
-        total_abstracts INTEGER DEFAULT 0,
-        accepted_abstracts INTEGER DEFAULT 0,
-        total_revenue REAL DEFAULT 0,
-        attendee_countries TEXT,
-        registration_by_type TEXT,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(conference_id, stat_date),
-        FOREIGN KEY (conference_id) REFERENCES conferences(id)
-    )`);
-
-    // ========== FINANCE MODULE TABLES ==========
-
-    // Bank balance entries (manual tracking)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_bank_balance (
-        id TEXT PRIMARY KEY,
-        balance REAL NOT NULL,
-        date TEXT NOT NULL,
-        notes TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Fiscal years management
-    db.run(`CREATE TABLE IF NOT EXISTS finance_fiscal_years (
-        id TEXT PRIMARY KEY,
-        year INTEGER NOT NULL UNIQUE,
-        status TEXT DEFAULT 'open',
-        opened_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        closed_at TEXT,
-        closed_by TEXT,
-        archived_at TEXT,
-        notes TEXT
-    )`);
-
-    // Work units for grant tracking
-    db.run(`CREATE TABLE IF NOT EXISTS finance_work_units (
-        id TEXT PRIMARY KEY,
-        code TEXT NOT NULL,
-        name TEXT NOT NULL,
-        description TEXT,
-        grant_source TEXT,
-        fiscal_year INTEGER NOT NULL,
-        budget_total REAL DEFAULT 0,
-        budget_used REAL DEFAULT 0,
-        status TEXT DEFAULT 'active',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        closed_at TEXT
-    )`);
-
-    // Transactions (income/expenses)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_transactions (
-        id TEXT PRIMARY KEY,
-        transaction_number TEXT UNIQUE,
-        transaction_type TEXT NOT NULL,
-        amount REAL NOT NULL,
-        date TEXT NOT NULL,
-        description TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        category TEXT,
-        payment_method TEXT,
-        reference TEXT,
-        fiscal_year INTEGER,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
-    )`);
-
-    // Sequence numbers for auto-numbering documents
-    db.run(`CREATE TABLE IF NOT EXISTS finance_sequences (
-        id TEXT PRIMARY KEY,
-        sequence_type TEXT NOT NULL,
-        fiscal_year INTEGER NOT NULL,
-        current_value INTEGER DEFAULT 0,
-        prefix TEXT,
-        UNIQUE(sequence_type, fiscal_year)
-    )`);
-
-    // Invoices (incoming and outgoing)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_invoices (
-        id TEXT PRIMARY KEY,
-        invoice_number TEXT UNIQUE,
-        invoice_type TEXT NOT NULL,
-        direction TEXT NOT NULL,
-        status TEXT DEFAULT 'draft',
-        issue_date TEXT,
-        due_date TEXT,
-        paid_date TEXT,
-        fiscalized INTEGER DEFAULT 0,
-        party_name TEXT NOT NULL,
-        party_address TEXT,
-        party_oib TEXT,
-        party_email TEXT,
-        subtotal REAL DEFAULT 0,
-        discount_total REAL DEFAULT 0,
-        vat_total REAL DEFAULT 0,
-        total REAL DEFAULT 0,
-        currency TEXT DEFAULT 'EUR',
-        payment_reference TEXT,
-        payment_iban TEXT,
-        notes TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        fiscal_year INTEGER,
-        transaction_id TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id),
-        FOREIGN KEY (transaction_id) REFERENCES finance_transactions(id)
-    )`);
-
-    // Invoice line items
-    db.run(`CREATE TABLE IF NOT EXISTS finance_invoice_items (
-        id TEXT PRIMARY KEY,
-        invoice_id TEXT NOT NULL,
-        description TEXT NOT NULL,
-        quantity REAL DEFAULT 1,
-        unit_price REAL NOT NULL,
-        discount_percent REAL DEFAULT 0,
-        discount_amount REAL DEFAULT 0,
-        vat_rate REAL DEFAULT 0,
-        vat_amount REAL DEFAULT 0,
-        line_total REAL NOT NULL,
-        sort_order INTEGER DEFAULT 0,
-        FOREIGN KEY (invoice_id) REFERENCES finance_invoices(id) ON DELETE CASCADE
-    )`);
-
-    // Payment orders
-    db.run(`CREATE TABLE IF NOT EXISTS finance_payment_orders (
-        id TEXT PRIMARY KEY,
-        order_number TEXT UNIQUE,
-        recipient_name TEXT NOT NULL,
-        recipient_iban TEXT,
-        payment_type TEXT DEFAULT 'outgoing',
-        amount REAL NOT NULL,
-        reference TEXT,
-        date TEXT NOT NULL,
-        execution_date TEXT,
-        status TEXT DEFAULT 'pending',
-        description TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        fiscal_year INTEGER,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
-    )`);
-
-    // Travel orders
-    db.run(`CREATE TABLE IF NOT EXISTS finance_travel_orders (
-        id TEXT PRIMARY KEY,
-        order_number TEXT UNIQUE,
-        traveler_id TEXT NOT NULL,
-        traveler_name TEXT NOT NULL,
-        destination TEXT NOT NULL,
-        purpose TEXT,
-        status TEXT DEFAULT 'assigned',
-        planned_departure TEXT,
-        planned_return TEXT,
-        actual_departure TEXT,
-        actual_return TEXT,
-        travel_method TEXT,
-        kilometers REAL DEFAULT 0,
-        cost_transport REAL DEFAULT 0,
-        cost_accommodation REAL DEFAULT 0,
-        cost_daily_allowance REAL DEFAULT 0,
-        cost_other REAL DEFAULT 0,
-        cost_total REAL DEFAULT 0,
-        advance_amount REAL DEFAULT 0,
-        reimbursement_amount REAL DEFAULT 0,
-        notes TEXT,
-        traveler_notes TEXT,
-        rejection_reason TEXT,
-        project TEXT,
-        work_unit_id TEXT,
-        fiscal_year INTEGER,
-        assigned_by TEXT,
-        assigned_at TEXT,
-        submitted_at TEXT,
-        approved_by TEXT,
-        approved_at TEXT,
-        paid_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (work_unit_id) REFERENCES finance_work_units(id)
-    )`);
-
-    // Travel order evidence (uploaded files)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_travel_evidence (
-        id TEXT PRIMARY KEY,
-        travel_order_id TEXT NOT NULL,
-        file_type TEXT,
-        file_name TEXT NOT NULL,
-        file_path TEXT NOT NULL,
-        file_size INTEGER,
-        uploaded_by TEXT,
-        uploaded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (travel_order_id) REFERENCES finance_travel_orders(id) ON DELETE CASCADE
-    )`);
-
-    // Finance settings (company info, templates)
-    db.run(`CREATE TABLE IF NOT EXISTS finance_settings (
-        id TEXT PRIMARY KEY,
-        setting_key TEXT UNIQUE NOT NULL,
-        setting_value TEXT,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
     // Initialize default finance settings
     const defaultSettings = [
         ['company_name', 'Med&X'],
@@ -2322,303 +439,12 @@ async function initializeApp() {
             [uuidv4(), currentYear]);
     }
 
-    // ===== PR & MEDIA TABLES =====
-
-    // Content Calendar - planned/scheduled content across platforms
-    db.run(`CREATE TABLE IF NOT EXISTS pr_content_calendar (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        scheduled_date TEXT NOT NULL,
-        scheduled_time TEXT,
-        status TEXT DEFAULT 'draft',
-        title TEXT,
-        content_text TEXT,
-        image_url TEXT,
-        link_url TEXT,
-        hashtags TEXT,
-        campaign_id TEXT,
-        created_by TEXT,
-        approved_by TEXT,
-        approved_at TEXT,
-        published_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
-    )`);
-
-    // Social Media Posts - published posts with engagement tracking
-    db.run(`CREATE TABLE IF NOT EXISTS pr_posts (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        post_type TEXT DEFAULT 'post',
-        content_text TEXT,
-        image_url TEXT,
-        link_url TEXT,
-        external_post_id TEXT,
-        published_at TEXT,
-        likes INTEGER DEFAULT 0,
-        comments INTEGER DEFAULT 0,
-        shares INTEGER DEFAULT 0,
-        reach INTEGER DEFAULT 0,
-        impressions INTEGER DEFAULT 0,
-        engagement_rate REAL DEFAULT 0,
-        calendar_id TEXT,
-        campaign_id TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (calendar_id) REFERENCES pr_content_calendar(id),
-        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
-    )`);
-
-    // Newsletters - email campaigns
-    db.run(`CREATE TABLE IF NOT EXISTS pr_newsletters (
-        id TEXT PRIMARY KEY,
-        project TEXT,
-        name TEXT NOT NULL,
-        subject TEXT NOT NULL,
-        preview_text TEXT,
-        content_html TEXT,
-        content_json TEXT,
-        template TEXT DEFAULT 'default',
-        status TEXT DEFAULT 'draft',
-        scheduled_for TEXT,
-        sent_at TEXT,
-        recipient_count INTEGER DEFAULT 0,
-        open_count INTEGER DEFAULT 0,
-        click_count INTEGER DEFAULT 0,
-        open_rate REAL DEFAULT 0,
-        click_rate REAL DEFAULT 0,
-        campaign_id TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (campaign_id) REFERENCES pr_campaigns(id)
-    )`);
-
-    // Newsletter Subscribers
-    db.run(`CREATE TABLE IF NOT EXISTS pr_subscribers (
-        id TEXT PRIMARY KEY,
-        email TEXT UNIQUE NOT NULL,
-        first_name TEXT,
-        last_name TEXT,
-        subscribed_projects TEXT DEFAULT 'all',
-        language TEXT DEFAULT 'hr',
-        status TEXT DEFAULT 'active',
-        source TEXT,
-        subscribed_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        unsubscribed_at TEXT,
-        last_email_at TEXT,
-        email_count INTEGER DEFAULT 0,
-        open_count INTEGER DEFAULT 0,
-        click_count INTEGER DEFAULT 0
-    )`);
-
-    // Media Assets - image/file library
-    db.run(`CREATE TABLE IF NOT EXISTS pr_media_assets (
-        id TEXT PRIMARY KEY,
-        project TEXT,
-        file_name TEXT NOT NULL,
-        original_name TEXT,
-        file_path TEXT NOT NULL,
-        file_type TEXT,
-        file_size INTEGER,
-        width INTEGER,
-        height INTEGER,
-        category TEXT DEFAULT 'photo',
-        tags TEXT,
-        alt_text TEXT,
-        caption TEXT,
-        ai_generated INTEGER DEFAULT 0,
-        ai_prompt TEXT,
-        uploaded_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Marketing Campaigns
-    db.run(`CREATE TABLE IF NOT EXISTS pr_campaigns (
-        id TEXT PRIMARY KEY,
-        project TEXT,
-        name TEXT NOT NULL,
-        description TEXT,
-        goal TEXT,
-        start_date TEXT,
-        end_date TEXT,
-        status TEXT DEFAULT 'planning',
-        budget REAL DEFAULT 0,
-        spent REAL DEFAULT 0,
-        target_audience TEXT,
-        platforms TEXT,
-        kpis TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Platform Analytics Snapshots
-    db.run(`CREATE TABLE IF NOT EXISTS pr_analytics (
-        id TEXT PRIMARY KEY,
-        project TEXT NOT NULL,
-        platform TEXT NOT NULL,
-        date TEXT NOT NULL,
-        followers INTEGER DEFAULT 0,
-        following INTEGER DEFAULT 0,
-        posts_count INTEGER DEFAULT 0,
-        engagement_rate REAL DEFAULT 0,
-        reach INTEGER DEFAULT 0,
-        impressions INTEGER DEFAULT 0,
-        profile_views INTEGER DEFAULT 0,
-        website_clicks INTEGER DEFAULT 0,
-        new_followers INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(project, platform, date)
-    )`);
-
-    // Post Templates
-    db.run(`CREATE TABLE IF NOT EXISTS pr_templates (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        type TEXT DEFAULT 'social',
-        platform TEXT,
-        project TEXT,
-        content_template TEXT,
-        image_template TEXT,
-        variables TEXT,
-        is_active INTEGER DEFAULT 1,
-        use_count INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // AI Generation History
-    db.run(`CREATE TABLE IF NOT EXISTS pr_ai_generations (
-        id TEXT PRIMARY KEY,
-        type TEXT NOT NULL,
-        prompt TEXT NOT NULL,
-        result_text TEXT,
-        result_image_path TEXT,
-        project TEXT,
-        platform TEXT,
-        model TEXT,
-        used INTEGER DEFAULT 0,
-        rating INTEGER,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ===== NETWORKING PORTAL TABLES =====
-    db.run(`CREATE TABLE IF NOT EXISTS networking_profiles (
-        id TEXT PRIMARY KEY,
-        user_id TEXT UNIQUE,
-        career_stage TEXT,
-        looking_for TEXT,
-        research_interests TEXT,
-        working_on TEXT,
-        timezone TEXT DEFAULT 'America/New_York',
-        meeting_format TEXT DEFAULT 'video',
-        open_to_coffee_chats INTEGER DEFAULT 1,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS networking_connections (
-        id TEXT PRIMARY KEY,
-        requester_id TEXT NOT NULL,
-        receiver_id TEXT NOT NULL,
-        status TEXT DEFAULT 'pending',
-        message TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        accepted_at TEXT,
-        FOREIGN KEY (requester_id) REFERENCES users(id),
-        FOREIGN KEY (receiver_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS networking_meetings (
-        id TEXT PRIMARY KEY,
-        organizer_id TEXT NOT NULL,
-        attendee_id TEXT NOT NULL,
-        date TEXT NOT NULL,
-        time TEXT NOT NULL,
-        duration INTEGER DEFAULT 30,
-        type TEXT DEFAULT 'video',
-        topic TEXT,
-        note TEXT,
-        status TEXT DEFAULT 'pending',
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (organizer_id) REFERENCES users(id),
-        FOREIGN KEY (attendee_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS direct_messages (
-        id TEXT PRIMARY KEY,
-        sender_id TEXT NOT NULL,
-        receiver_id TEXT NOT NULL,
-        content TEXT NOT NULL,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        read_at TEXT,
-        FOREIGN KEY (sender_id) REFERENCES users(id),
-        FOREIGN KEY (receiver_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS gala_registrations (
-        id TEXT PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        institution TEXT,
-        title TEXT,
-        dietary TEXT,
-        requests TEXT,
-        pricing TEXT,
-        status TEXT DEFAULT 'pending',
-        admin_notes TEXT,
-        reviewed_by TEXT,
-        reviewed_at TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Gala settings (admin-editable)
-    db.run(`CREATE TABLE IF NOT EXISTS gala_settings (
-        id TEXT PRIMARY KEY DEFAULT 'default',
-        title TEXT DEFAULT 'Gala Evening 2026',
-        tagline TEXT DEFAULT 'The Pinnacle of Biomedical Excellence',
-        date TEXT DEFAULT '2026-12-05',
-        time TEXT DEFAULT '18:00',
-        venue TEXT DEFAULT 'Grand Ballroom, Zagreb',
-        dress_code TEXT DEFAULT 'Black Tie / Formal Evening Attire',
-        description TEXT DEFAULT 'The Gala Evening is the crown jewel of Plexus 2026 – an exclusive evening that brings together 150+ of the most influential figures in biomedicine for an unforgettable celebration of excellence and innovation.',
-        capacity INTEGER DEFAULT 150,
-        price_gala_only REAL DEFAULT 95,
-        price_bundle REAL DEFAULT 174,
-        price_bundle_original REAL DEFAULT 194,
-        is_registration_open INTEGER DEFAULT 1,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
     // Seed default gala settings if none exist
     const existingGalaSettings = query.get("SELECT id FROM gala_settings WHERE id = 'default'");
     if (!existingGalaSettings) {
         db.run("INSERT INTO gala_settings (id) VALUES ('default')");
     }
 
-    // Plexus settings (admin-editable)
-    db.run(`CREATE TABLE IF NOT EXISTS plexus_settings (
-        id TEXT PRIMARY KEY DEFAULT 'default',
-        price_student_early REAL DEFAULT 39,
-        price_student_late REAL DEFAULT 59,
-        price_professional_early REAL DEFAULT 99,
-        price_professional_late REAL DEFAULT 149,
-        key_dates_json TEXT,
-        testimonials_json TEXT,
-        conference_start_date TEXT DEFAULT '2026-12-04',
-        conference_end_date TEXT DEFAULT '2026-12-05',
-        early_bird_deadline TEXT DEFAULT '2026-09-30',
-        abstract_deadline TEXT DEFAULT '2026-10-15',
-        is_registration_open INTEGER DEFAULT 1,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
     // Seed default plexus settings if none exist
     const existingPlexusSettings = query.get("SELECT id FROM plexus_settings WHERE id = 'default'");
     if (!existingPlexusSettings) {
@@ -2638,10 +464,6 @@ async function initializeApp() {
             [defaultKeyDates, defaultTestimonials]);
     }
 
-    // Add speakers_json and schedule_json columns to gala_settings
-    try { db.run(`ALTER TABLE gala_settings ADD COLUMN speakers_json TEXT`); } catch (e) {}
-    try { db.run(`ALTER TABLE gala_settings ADD COLUMN schedule_json TEXT`); } catch (e) {}
-
     // Seed default gala speakers and schedule if columns are empty
     const galaCheck = query.get("SELECT speakers_json FROM gala_settings WHERE id = 'default'");
     if (galaCheck && !galaCheck.speakers_json) {
@@ -2661,251 +483,112 @@ async function initializeApp() {
             [defaultGalaSpeakers, defaultGalaSchedule]);
     }
 
-    // ========== TABLES FROM ADMIN PORTAL (shared schema) ==========
-
-    db.run(`CREATE TABLE IF NOT EXISTS admin_section_preferences (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        section_id TEXT NOT NULL,
-        is_enabled INTEGER DEFAULT 1,
-        UNIQUE(user_id, section_id),
-        FOREIGN KEY (user_id) REFERENCES users(id)
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_events (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        city TEXT NOT NULL,
-        venue_name TEXT,
-        venue_address TEXT,
-        event_date TEXT NOT NULL,
-        event_time TEXT,
-        end_time TEXT,
-        description TEXT,
-        capacity INTEGER DEFAULT 50,
-        registration_open INTEGER DEFAULT 1,
-        registration_deadline TEXT,
-        status TEXT DEFAULT 'upcoming',
-        contact_email TEXT,
-        contact_phone TEXT,
-        notes TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_registrations (
-        id TEXT PRIMARY KEY,
-        event_id TEXT NOT NULL,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        phone TEXT,
-        institution TEXT,
-        position TEXT,
-        dietary_requirements TEXT,
-        special_requests TEXT,
-        status TEXT DEFAULT 'registered',
-        confirmation_sent INTEGER DEFAULT 0,
-        reminder_sent INTEGER DEFAULT 0,
-        checked_in INTEGER DEFAULT 0,
-        checked_in_at TEXT,
-        notes TEXT,
-        registered_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (event_id) REFERENCES bridges_events(id) ON DELETE CASCADE
-    )`);
-
-    // Building Bridges speakers
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_speakers (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        name TEXT NOT NULL,
-        title TEXT,
-        institution TEXT,
-        bio TEXT,
-        photo_url TEXT,
-        talk_title TEXT,
-        is_published INTEGER DEFAULT 0,
-        sort_order INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Building Bridges program items
-    db.run(`CREATE TABLE IF NOT EXISTS bridges_program (
-        id TEXT PRIMARY KEY,
-        event_id TEXT,
-        title TEXT NOT NULL,
-        description TEXT,
-        speaker_id TEXT,
-        start_time TEXT,
-        end_time TEXT,
-        sort_order INTEGER DEFAULT 0,
-        is_published INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS contacts (
-        id TEXT PRIMARY KEY,
-        first_name TEXT NOT NULL,
-        last_name TEXT NOT NULL,
-        email TEXT,
-        phone TEXT,
-        phone_secondary TEXT,
-        organization TEXT,
-        position TEXT,
-        contact_type TEXT DEFAULT 'general',
-        projects TEXT,
-        tags TEXT,
-        address TEXT,
-        city TEXT,
-        country TEXT,
-        website TEXT,
-        linkedin TEXT,
-        notes TEXT,
-        last_contacted TEXT,
-        is_favorite INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS contact_interactions (
-        id TEXT PRIMARY KEY,
-        contact_id TEXT NOT NULL,
-        interaction_type TEXT NOT NULL,
-        subject TEXT,
-        notes TEXT,
-        date TEXT DEFAULT CURRENT_TIMESTAMP,
-        created_by TEXT,
-        FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS template_library (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        subject TEXT NOT NULL,
-        body_html TEXT NOT NULL,
-        body_text TEXT,
-        category TEXT DEFAULT 'general',
-        project TEXT,
-        variables TEXT,
-        is_active INTEGER DEFAULT 1,
-        usage_count INTEGER DEFAULT 0,
-        last_used TEXT,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // ========== CROSS-PORTAL ALTER TABLE MIGRATIONS ==========
-    // Speaker logistics columns from admin portal
-    try { db.run('ALTER TABLE speakers ADD COLUMN confirmation_status TEXT DEFAULT "pending"'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN flight_status TEXT DEFAULT "not_booked"'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN hotel_status TEXT DEFAULT "not_booked"'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN flight_assigned_to TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN hotel_assigned_to TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN flight_details TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN hotel_details TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN notes TEXT'); } catch(e) {}
-
-    // Speaker invite system columns
-    try { db.run('ALTER TABLE speakers ADD COLUMN email TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invite_code TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invite_sent_at TEXT'); } catch(e) {}
-
-    // Speaker management columns (Phase 3D/3G)
-    try { db.run('ALTER TABLE speakers ADD COLUMN is_published INTEGER DEFAULT 0'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN year INTEGER'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invitation_status TEXT DEFAULT \'unsent\''); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invitation_sent_at TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE speakers ADD COLUMN invitation_responded_at TEXT'); } catch(e) {}
-
-    // Registration personal info columns from admin portal
-    try { db.run('ALTER TABLE registrations ADD COLUMN first_name TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE registrations ADD COLUMN last_name TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE registrations ADD COLUMN email TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE registrations ADD COLUMN institution TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE registrations ADD COLUMN country TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE registrations ADD COLUMN includes_gala INTEGER DEFAULT 0'); } catch(e) {}
-    // Gala registration payment & user tracking columns
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN payment_status TEXT DEFAULT \'unpaid\''); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN amount_paid REAL'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN user_id TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN stripe_session_id TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN invoice_number TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN checked_in INTEGER DEFAULT 0'); } catch(e) {}
-    try { db.run('ALTER TABLE gala_registrations ADD COLUMN checked_in_at TEXT'); } catch(e) {}
-    // Abstract detail columns from admin portal
-    try { db.run('ALTER TABLE abstracts ADD COLUMN submitter_name TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE abstracts ADD COLUMN submitter_email TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE abstracts ADD COLUMN category TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE abstracts ADD COLUMN abstract_type TEXT DEFAULT "poster"'); } catch(e) {}
-    // Volunteer detail columns from admin portal
-    try { db.run('ALTER TABLE volunteers ADD COLUMN first_name TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE volunteers ADD COLUMN last_name TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE volunteers ADD COLUMN email TEXT'); } catch(e) {}
-    try { db.run('ALTER TABLE volunteers ADD COLUMN notes TEXT'); } catch(e) {}
-    // accelerator_application_scores table (exists in admin, missing from user)
-    db.run(`CREATE TABLE IF NOT EXISTS accelerator_application_scores (
-        id TEXT PRIMARY KEY,
-        application_id TEXT NOT NULL,
-        criterion_id TEXT NOT NULL,
-        evaluator_id TEXT NOT NULL,
-        score REAL,
-        submitted_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(application_id, criterion_id, evaluator_id)
-    )`);
-    // pr_ai_generations: add admin-portal column aliases so either portal works
-    try { db.run(`ALTER TABLE pr_ai_generations ADD COLUMN generation_type TEXT`); } catch(e) {}
-    try { db.run(`ALTER TABLE pr_ai_generations ADD COLUMN output TEXT`); } catch(e) {}
-
-    // Phase 6: Admin messaging columns on direct_messages
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN sender_type TEXT DEFAULT 'user'"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN receiver_type TEXT DEFAULT 'user'"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN title TEXT"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN attachment_url TEXT"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN is_read INTEGER DEFAULT 0"); } catch(e) {}
-    try { db.run("ALTER TABLE direct_messages ADD COLUMN updated_at TEXT"); } catch(e) {}
-
-    // Migration: add notification_type, target_tier, expires_at, placement to user_notifications
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN notification_type TEXT DEFAULT 'info'"); } catch(e) {}
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN target_tier TEXT DEFAULT 'all'"); } catch(e) {}
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN expires_at TEXT"); } catch(e) {}
-    try { db.run("ALTER TABLE user_notifications ADD COLUMN placement TEXT DEFAULT 'panel'"); } catch(e) {}
-
-    db.run(`CREATE TABLE IF NOT EXISTS portal_content (
-        id TEXT PRIMARY KEY,
-        section TEXT NOT NULL,
-        project TEXT,
-        title TEXT,
-        content TEXT,
-        image_url TEXT,
-        link TEXT,
-        is_published INTEGER DEFAULT 0,
-        sort_order INTEGER DEFAULT 0,
-        created_by TEXT,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    db.run(`CREATE TABLE IF NOT EXISTS dashboard_preferences (
-        id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        section TEXT NOT NULL,
-        card_id TEXT NOT NULL,
-        is_visible INTEGER DEFAULT 1,
-        sort_order INTEGER DEFAULT 0,
-        config TEXT,
-        UNIQUE(user_id, section, card_id)
-    )`);
-
     saveDb();
 
+    // Requests from the admin portal, e.g. reload after a backup restore (see shared/portal-signals.js)
+    portalSignals.listen(db, 'user', {
+        reload: (payload) => {
+            db.reopen();
+            console.log('Database connection reopened (' + (payload?.reason || 'signal') + ')');
+        }
+    });
+
+    audit = createAuditTrail(db, {
+        portal: 'user',
+        entities: AUDITED_ENTITIES,
+        skip: [/^\/api\/chat\/read$/, /^\/api\/(user-)?notifications\/[^/]+\/read$/, /^\/api\/user-notifications\/mark-all-read$/,
+            /^\/api\/user\/admin-messages\/[^/]+\/read$/, /^\/api\/events\/ticket$/]
+    });
+    app.use(audit.middleware);
+
+    permissions = createPermissions(db, { rules: PERMISSION_RULES, staff: STAFF_PATHS });
+
+    sessions = createAuthSessions(db, { jwt, secret: JWT_SECRET, portal: 'user', accessTtl: ACCESS_TOKEN_TTL });
+    twoFactor = createTwoFactor(db, { secret: process.env.TWO_FACTOR_KEY || JWT_SECRET });
+    rateLimits = createRateLimiter(db, { portal: 'user' });
+
+    jobs = createScheduler(db, { portal: 'user' });
+    jobs.register('housekeeping', {
+        schedule: '30 3 * * *',
+        description: 'Drop ended sign-in sessions, stale rate-limit counters and job runs older than 90 days',
+        handler: () => {
+            sessions.purge();
+            rateLimits.purge();
+            jobs.purgeRuns();
+            outbox.purgeBodies();
+        }
+    });
+
+    outbox = createOutbox(db, {
+        portal: 'user',
+        from: process.env.EMAIL_FROM || 'Med&X <onboarding@resend.dev>',
+        transport: emailTransport(),
+        capture: CAPTURE_EMAIL
+    });
+    emailTemplates = createEmailTemplates(db, { outbox });
+    emailTemplates.ensureDefaults();
+    emailTracking = createEmailTracking(db, {
+        secret: process.env.EMAIL_TRACKING_KEY || JWT_SECRET,
+        baseUrl: PUBLIC_URL
+    });
+    subscriptions = createSubscriptions(db, {
+        secret: process.env.EMAIL_TRACKING_KEY || JWT_SECRET,
+        baseUrl: PUBLIC_URL
+    });
+    consents = createConsents(db);
+    liveEvents = createLiveEvents(db, {
+        secret: process.env.LIVE_EVENTS_KEY || JWT_SECRET,
+        portal: 'user',
+        loadUser: (id) => {
+            const user = query.get('SELECT id, email, is_admin FROM users WHERE id = ?', [id]);
+            if (user) return withRoles(user);
+            return process.env.NODE_ENV === 'development' && id === 'default' ? withRoles(null) : null;
+        },
+        sessionOpen: (id) => sessions.isOpen(id)
+    });
+    webPush = createWebPush(db, {
+        subject: process.env.VAPID_SUBJECT || 'mailto:info@medx.hr',
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY
+    });
+    jobs.register('web-push', {
+        schedule: '* * * * *',
+        description: 'Push new notifications, announcements and session reminders to subscribed browsers; retry failed pushes',
+        retries: 0,
+        handler: () => webPush.processDue()
+    });
+    offlineCheckin = createOfflineCheckin(query, {
+        publicKey: process.env.OFFLINE_CHECKIN_PUBLIC_KEY,
+        privateKey: process.env.OFFLINE_CHECKIN_PRIVATE_KEY,
+        onCheckin: (kind, attendeeId) => { if (kind === 'plexus') publishCheckin(attendeeId); }
+    });
+    fullTextSearch = createSearch(query);
+    jobs.register('email-outbox-user', {
+        schedule: '*/5 * * * *',
+        description: 'Retry email from the user portal that could not be delivered',
+        retries: 0,
+        handler: () => outbox.processDue()
+    });
+    jobs.start();
+
+    // Guards for the public endpoints that can be brute-forced. A failure is a wrong
+    // password, an unknown promo code or an invalid interviewer link.
+    const limitLogin = rateLimits.guard(
+        { rule: 'login', key: req => req.ip, failed: res => res.statusCode === 401 },
+        { rule: 'login-account', key: req => req.body?.email, failed: res => res.statusCode === 401 });
+    const limitApplicantLogin = rateLimits.guard(
+        { rule: 'login', key: req => req.ip, failed: res => res.statusCode === 401 },
+        { rule: 'login-account', key: req => req.body?.email && `applicant:${req.body.email}`, failed: res => res.statusCode === 401 });
+    const limitPasswordReset = rateLimits.guard({ rule: 'password-reset', key: req => req.ip });
+    const limitPromo = rateLimits.guard({ rule: 'promo', key: req => req.ip, failed: (res, body) => res.statusCode === 400 || body?.valid === false });
+    const limitAccessToken = rateLimits.guard({ rule: 'access-token', key: req => req.ip, failed: res => res.statusCode === 403 });
+
     // Seed data
-    let conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+    let conf = plexusEditions.current();
     if (!conf) {
         const confId = uuidv4();
-        db.run(`INSERT INTO conferences (id, name, year, slug, description, start_date, end_date, venue_name, venue_city, venue_country, early_bird_deadline, regular_deadline, abstract_deadline)
-            VALUES (?, 'Plexus Conference 2026', 2026, 'plexus-2026', 'Where young biomedical minds connect', '2026-12-04', '2026-12-05', 'Hotel Esplanade', 'Zagreb', 'Croatia', '2026-09-01', '2026-11-15', '2026-10-01')`,
+        db.run(`INSERT INTO conferences (id, name, year, slug, series, is_current, description, start_date, end_date, venue_name, venue_city, venue_country, early_bird_deadline, regular_deadline, abstract_deadline)
+            VALUES (?, 'Plexus Conference 2026', 2026, 'plexus-2026', 'plexus', 1, 'Where young biomedical minds connect', '2026-12-04', '2026-12-05', 'Hotel Esplanade', 'Zagreb', 'Croatia', '2026-09-01', '2026-11-15', '2026-10-01')`,
             [confId]);
 
         const tickets = [
@@ -3092,7 +775,7 @@ async function initializeApp() {
         'Petra Horvat': 'https://randomuser.me/api/portraits/women/63.jpg'
     };
     Object.entries(teamPhotoMap).forEach(([name, photoUrl]) => {
-        db.run('UPDATE team_members SET photo_url = ? WHERE name = ? AND (photo_url IS NULL OR photo_url = "")', [photoUrl, name]);
+        db.run("UPDATE team_members SET photo_url = ? WHERE name = ? AND (photo_url IS NULL OR photo_url = '')", [photoUrl, name]);
     });
     saveDb();
 
@@ -3294,7 +977,7 @@ async function initializeApp() {
     }
 
     // ========== AUTH ROUTES ==========
-    app.post('/api/auth/register', async (req, res) => {
+    app.post('/api/auth/register', apiSpec.validate, async (req, res) => {
         try {
             const { email, password, first_name, last_name, institution, country } = req.body;
 
@@ -3311,38 +994,29 @@ async function initializeApp() {
             const id = uuidv4();
             const hash = await bcrypt.hash(password, 10);
             const verificationToken = crypto.randomBytes(32).toString('hex');
-            const emailEnabled = !!(process.env.RESEND_API_KEY || process.env.SMTP_USER);
+            const emailEnabled = !!(process.env.RESEND_API_KEY || process.env.SMTP_USER || process.env.EMAIL_TRANSPORT === 'dev');
             db.run(`INSERT INTO users (id, email, password_hash, first_name, last_name, institution, country, email_verified, verification_token)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [id, email, hash, first_name, last_name, institution, country, emailEnabled ? 0 : 1, verificationToken]);
             saveDb();
 
             if (emailEnabled) {
                 // Send verification email
-                const baseUrl = `${req.protocol}://${req.get('host')}`;
+                const baseUrl = PUBLIC_URL;
                 const verifyUrl = `${baseUrl}/api/verify-email?token=${verificationToken}`;
-                const emailHtml = buildEmailTemplate('Verify Your Email', `
-                    <p>Hi ${first_name || 'there'},</p>
-                    <p>Thank you for creating your Med&amp;X account! Please verify your email address by clicking the button below:</p>
-                    <div style="text-align: center; margin: 32px 0;">
-                        <a href="${verifyUrl}" style="display: inline-block; background: #C9A962; color: #0f172a; text-decoration: none; padding: 14px 36px; border-radius: 8px; font-weight: 600; font-size: 16px;">Verify Email Address</a>
-                    </div>
-                    <p style="color: #64748b; font-size: 13px;">If the button doesn't work, copy and paste this link into your browser:</p>
-                    <p style="word-break: break-all; color: #64748b; font-size: 13px;">${verifyUrl}</p>
-                    <p style="color: #64748b; font-size: 13px; margin-top: 24px;">If you didn't create this account, you can safely ignore this email.</p>
-                `);
-                sendEmail(email, 'Verify your Med&X account', emailHtml)
+                emailTemplates.send('account.verify-email', email,
+                    { recipient: { first_name }, account: { action_url: verifyUrl } }, { userId: id })
                     .then(result => { if (!result.success) console.error('Verification email failed for', email, result.error); })
                     .catch(err => console.error('Verification email error for', email, err));
                 res.json({ success: true, needsVerification: true, message: 'Account created. Please check your email to verify your account.' });
             } else {
                 // No email provider configured — skip verification, auto-verify account
-                const token = jwt.sign({ id, email, is_admin: 0 }, JWT_SECRET, { expiresIn: '7d' });
-                res.json({ success: true, token, user: { id, email, first_name, last_name, institution, is_admin: 0 }});
+                const { token, refreshToken } = signIn({ id }, req);
+                res.json({ success: true, token, refreshToken, user: { id, email, first_name, last_name, institution, is_admin: 0 }});
             }
         } catch (e) { console.error(e); res.status(500).json({ error: 'Registration failed' }); }
     });
 
-    app.post('/api/auth/login', async (req, res) => {
+    app.post('/api/auth/login', limitLogin, apiSpec.validate, async (req, res) => {
         try {
             const { email, password } = req.body;
             const user = query.get('SELECT * FROM users WHERE email = ?', [email]);
@@ -3352,8 +1026,8 @@ async function initializeApp() {
             if (!user.email_verified) {
                 return res.status(403).json({ error: 'Email not verified', needsVerification: true, email: user.email });
             }
-            const token = jwt.sign({ id: user.id, email: user.email, is_admin: user.is_admin }, JWT_SECRET, { expiresIn: '7d' });
-            res.json({ success: true, token, user: { id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name, institution: user.institution, is_admin: user.is_admin }});
+            const { token, refreshToken } = signIn(user, req);
+            res.json({ success: true, token, refreshToken, user: { id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name, institution: user.institution, is_admin: user.is_admin }});
         } catch (e) { console.error(e); res.status(500).json({ error: 'Login failed' }); }
     });
 
@@ -3400,18 +1074,10 @@ async function initializeApp() {
             db.run('UPDATE users SET verification_token = ? WHERE id = ?', [verificationToken, user.id]);
             saveDb();
 
-            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const baseUrl = PUBLIC_URL;
             const verifyUrl = `${baseUrl}/api/verify-email?token=${verificationToken}`;
-            const emailHtml = buildEmailTemplate('Verify Your Email', `
-                <p>Hi ${user.first_name || 'there'},</p>
-                <p>Here is your new verification link. Please click the button below to verify your email address:</p>
-                <div style="text-align: center; margin: 32px 0;">
-                    <a href="${verifyUrl}" style="display: inline-block; background: #C9A962; color: #0f172a; text-decoration: none; padding: 14px 36px; border-radius: 8px; font-weight: 600; font-size: 16px;">Verify Email Address</a>
-                </div>
-                <p style="color: #64748b; font-size: 13px;">If the button doesn't work, copy and paste this link into your browser:</p>
-                <p style="word-break: break-all; color: #64748b; font-size: 13px;">${verifyUrl}</p>
-            `);
-            await sendEmail(email, 'Verify your Med&X account', emailHtml);
+            await emailTemplates.send('account.verify-email', email,
+                { recipient: { first_name: user.first_name }, account: { action_url: verifyUrl } }, { userId: user.id });
             console.log(`[Auth] Verification email resent to ${email}`);
             res.json({ success: true, message: 'Verification email sent. Please check your inbox.' });
         } catch (e) {
@@ -3433,6 +1099,80 @@ async function initializeApp() {
         res.json({ success: true });
     });
 
+    // ========== SESSIONS & PASSWORD RESET ==========
+
+    // Swap a refresh token for a new access token; the refresh token is rotated every time
+    app.post('/api/auth/refresh', (req, res) => {
+        try {
+            res.json({ success: true, ...sessions.refresh(req.body.refreshToken, 'user', userClaims, req) });
+        } catch (err) {
+            if (err instanceof SessionError) return res.status(err.status).json({ error: err.message });
+            console.error('Refresh session error:', err);
+            res.status(500).json({ error: 'Failed to refresh session' });
+        }
+    });
+
+    app.post('/api/auth/logout', auth, (req, res) => {
+        if (req.sessionId) sessions.revoke(req.sessionId);
+        res.json({ success: true });
+    });
+
+    // Devices the user is signed in on
+    app.get('/api/auth/sessions', auth, (req, res) => {
+        res.json(sessions.list({ type: 'user', id: req.user.id }, req.sessionId));
+    });
+
+    // Sign out every other device
+    app.delete('/api/auth/sessions', auth, (req, res) => {
+        const revoked = sessions.revokeAll({ type: 'user', id: req.user.id }, { except: req.sessionId });
+        res.json({ success: true, revoked });
+    });
+
+    app.delete('/api/auth/sessions/:id', auth, (req, res) => {
+        if (!sessions.revoke(req.params.id, 'revoked by user', { type: 'user', id: req.user.id })) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ success: true });
+    });
+
+    // Email a single-use reset link; the answer doesn't reveal whether the account exists
+    app.post('/api/auth/forgot-password', limitPasswordReset, apiSpec.validate, async (req, res) => {
+        try {
+            const email = String(req.body.email || '').trim();
+            if (!email) return res.status(400).json({ error: 'Email is required' });
+            const user = query.get('SELECT id, email, first_name FROM users WHERE email = ?', [email]);
+            if (user) {
+                const resetToken = sessions.createResetToken({ type: 'user', id: user.id }, req);
+                const resetUrl = `${PUBLIC_URL}/reset-password?token=${resetToken}`;
+                await emailTemplates.send('account.password-reset', user.email,
+                    { recipient: { first_name: user.first_name }, account: { action_url: resetUrl } }, { userId: user.id });
+                console.log(`[Auth] Password reset link sent to ${user.email}`);
+            }
+            res.json({ success: true, message: 'If an account with that email exists, a reset link has been sent.' });
+        } catch (e) {
+            console.error('Forgot password error:', e);
+            res.status(500).json({ error: 'Failed to send reset link' });
+        }
+    });
+
+    // Set a new password from a reset link; signs the account out everywhere
+    app.post('/api/auth/reset-password', apiSpec.validate, async (req, res) => {
+        try {
+            const { token, password } = req.body;
+            if (!password || password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+            const userId = sessions.consumeResetToken('user', token);
+            if (!userId) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+            const hash = await bcrypt.hash(password, 10);
+            db.run('UPDATE users SET password_hash = ?, email_verified = 1, verification_token = NULL WHERE id = ?', [hash, userId]);
+            sessions.revokeAll({ type: 'user', id: userId }, { reason: 'password reset' });
+            saveDb();
+            res.json({ success: true, message: 'Password updated. You can now sign in.' });
+        } catch (e) {
+            console.error('Reset password error:', e);
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    });
+
     // ========== CONFERENCE ROUTES ==========
     app.get('/api/conferences/active', (req, res) => {
         res.json(query.get('SELECT * FROM conferences WHERE is_active = 1 ORDER BY year DESC LIMIT 1'));
@@ -3453,7 +1193,7 @@ async function initializeApp() {
         res.json(query.all('SELECT * FROM ticket_types WHERE conference_id = ? ORDER BY sort_order', [req.params.confId]));
     });
 
-    app.post('/api/promo-codes/validate', (req, res) => {
+    app.post('/api/promo-codes/validate', limitPromo, (req, res) => {
         const { code, conference_id } = req.body;
         const promo = query.get(`SELECT * FROM promo_codes WHERE code = ? AND conference_id = ? AND is_active = 1
             AND (valid_until IS NULL OR valid_until >= date('now'))
@@ -3491,7 +1231,7 @@ async function initializeApp() {
             const invoiceNumber = `INV-${Date.now()}-${uuidv4().split('-')[0]}`;
 
             const qrPath = path.join(uploadsDir, 'tickets', `${regId}.png`);
-            await QRCode.toFile(qrPath, JSON.stringify({ id: regId, conf: 'plexus-2026' }));
+            await QRCode.toFile(qrPath, JSON.stringify({ id: regId, conf: conf.slug }));
 
             db.run(`INSERT INTO registrations (id, conference_id, user_id, ticket_type_id, status, payment_status, amount_paid, promo_code_id, discount_amount, invoice_number, ticket_qr_code, dietary_requirements, accessibility_needs)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -3742,7 +1482,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Create or update application
-    app.post('/api/accelerator/applications', auth, (req, res) => {
+    app.post('/api/accelerator/applications', auth, apiSpec.validate, (req, res) => {
         try {
             const {
                 year, first_name, last_name, email, phone, date_of_birth, oib, address,
@@ -3775,6 +1515,9 @@ By applying to this program, I provide the following consents:
                 program_type ?? null, selected_institution ?? null, alternative_institution ?? null,
                 previous_experience ?? null, special_arrangements ?? null, gdpr_consent ? 1 : 0, status || 'draft'
             ]);
+            if (gdpr_consent) {
+                consents.grant('accelerator', { email: email || req.user.email, userId: req.user.id }, { contextId: id, ...fromRequest(req) });
+            }
             saveDb();
             res.json({ id, application_number: appNumber, work_number: workNum });
         } catch (e) {
@@ -3933,28 +1676,17 @@ By applying to this program, I provide the following consents:
 
         db.run(`UPDATE accelerator_applications SET status = 'submitted', submitted_at = datetime('now') WHERE id = ?`, [req.params.id]);
         saveDb();
+        pushAcceleratorStatus(req.params.id);
 
         // Send accelerator application confirmation email
-        try {
-            if (app.email) {
-                sendEmail(app.email, 'Med&X Accelerator — Application Received', buildEmailTemplate('Application Received', `
-                    <p>Dear ${app.first_name || 'Applicant'},</p>
-                    <p>Your application for the <strong>Med&amp;X Accelerator</strong> program has been successfully submitted.</p>
-                    <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
-                        <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b; width: 160px;">Application Number</td>
-                            <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${app.application_number || 'N/A'}</td></tr>
-                        <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b;">Candidate ID</td>
-                            <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${app.candidate_id || 'N/A'}</td></tr>
-                        <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b;">Submitted</td>
-                            <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}</td></tr>
-                    </table>
-                    <p>Our review committee will evaluate your application and notify you of the next steps. This process typically takes 2-4 weeks.</p>
-                    <p>If you have any questions in the meantime, contact us at <a href="mailto:accelerator@medx.hr" style="color: #C9A962;">accelerator@medx.hr</a>.</p>
-                    <p>Best regards,<br><strong>Med&amp;X Accelerator Team</strong></p>
-                `));
-            }
-        } catch (emailErr) {
-            console.warn('Accelerator submit email failed:', emailErr.message);
+        if (app.email) {
+            emailTemplates.send('application.received', app.email, {
+                recipient: { first_name: app.first_name },
+                application: {
+                    program: 'Med&X Accelerator', application_number: app.application_number,
+                    candidate_id: app.candidate_id, submitted_at: new Date()
+                }
+            }, { userId: req.user.id }).catch(err => console.warn('Accelerator submit email failed:', err.message));
         }
 
         res.json({ success: true });
@@ -4213,7 +1945,7 @@ By applying to this program, I provide the following consents:
             if (application.status === 'paid') return res.status(400).json({ error: 'Processing fee already paid' });
 
             const user = query.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
-            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const baseUrl = PUBLIC_URL;
 
             const session = await stripe.checkout.sessions.create({
                 mode: 'payment',
@@ -4343,7 +2075,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Submit public application (no auth required for applicants)
-    app.post('/api/accelerator/apply', (req, res) => {
+    app.post('/api/accelerator/apply', apiSpec.validate, (req, res) => {
         try {
             const program = query.get('SELECT * FROM accelerator_programs WHERE is_active = 1 AND is_accepting = 1 ORDER BY year DESC LIMIT 1');
             if (!program) return res.status(400).json({ error: 'Applications are currently closed' });
@@ -4380,6 +2112,7 @@ By applying to this program, I provide the following consents:
                 [id, program.id, program.year, appNumber, workNumber, candidateId, first_name, last_name, email, phone,
                  date_of_birth, oib, address, current_institution, degree_program, year_of_study, gpa, ects_total,
                  previous_experience, special_arrangements, program_type, selected_institution, alternative_institution, 1]);
+            if (email) consents.grant('accelerator', { email }, { contextId: id, ...fromRequest(req) });
             saveDb();
 
             res.json({ success: true, id, application_number: appNumber, work_number: workNumber, candidate_id: candidateId });
@@ -4654,7 +2387,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Magic link access - validates token and returns interviewer session
-    app.get('/api/accelerator/interview-access/:token', (req, res) => {
+    app.get('/api/accelerator/interview-access/:token', limitAccessToken, (req, res) => {
         const interviewer = query.get(`
             SELECT i.*, p.year as program_year
             FROM accelerator_interviewers i
@@ -4696,7 +2429,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Get full application details for interviewer (via magic link)
-    app.get('/api/accelerator/interview-access/:token/application/:appId', (req, res) => {
+    app.get('/api/accelerator/interview-access/:token/application/:appId', limitAccessToken, (req, res) => {
         const interviewer = query.get(
             'SELECT * FROM accelerator_interviewers WHERE access_token = ? AND is_active = 1',
             [req.params.token]);
@@ -4749,7 +2482,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Submit criteria score via magic link
-    app.post('/api/accelerator/interview-access/:token/score', (req, res) => {
+    app.post('/api/accelerator/interview-access/:token/score', limitAccessToken, (req, res) => {
         const { application_id, criterion_id, score } = req.body;
 
         const interviewer = query.get(
@@ -4798,7 +2531,7 @@ By applying to this program, I provide the following consents:
                 return res.status(404).json({ error: 'Interviewer not found' });
             }
 
-            const baseUrl = req.headers.origin || `http://localhost:${PORT}`;
+            const baseUrl = PUBLIC_URL;
             const magicLink = `${baseUrl}/evaluate?token=${interviewer.access_token}`;
 
             const emailHtml = `
@@ -5335,8 +3068,13 @@ By applying to this program, I provide the following consents:
 
     // Download individual document
     app.get('/api/accelerator/documents/:docId/download', auth, (req, res) => {
-        const doc = query.get('SELECT * FROM accelerator_documents WHERE id = ?', [req.params.docId]);
+        const doc = query.get(`SELECT d.*, a.user_id FROM accelerator_documents d
+            JOIN accelerator_applications a ON d.application_id = a.id
+            WHERE d.id = ?`, [req.params.docId]);
         if (!doc) return res.status(404).json({ error: 'Document not found' });
+        if (doc.user_id !== req.user.id && !req.user.can('project.read', 'accelerator')) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
 
         const filePath = path.join(uploadsDir, 'accelerator', doc.file_name);
         if (!fs.existsSync(filePath)) {
@@ -5348,6 +3086,11 @@ By applying to this program, I provide the following consents:
 
     // Get all documents for an application
     app.get('/api/accelerator/applications/:id/documents', auth, (req, res) => {
+        const app = query.get('SELECT user_id FROM accelerator_applications WHERE id = ?', [req.params.id]);
+        if (!app) return res.status(404).json({ error: 'Application not found' });
+        if (app.user_id !== req.user.id && !req.user.can('project.read', 'accelerator')) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
         const docs = query.all(`
             SELECT id, document_type, original_filename, file_name, file_size, mime_type, uploaded_at, verified
             FROM accelerator_documents
@@ -5385,7 +3128,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Register for a bridges event
-    app.post('/api/bridges/events/:id/register', auth, (req, res) => {
+    app.post('/api/bridges/events/:id/register', auth, apiSpec.validate, (req, res) => {
         try {
             const event = query.get('SELECT * FROM bridges_events WHERE id = ? AND is_published = 1', [req.params.id]);
             if (!event) return res.status(404).json({ error: 'Event not found' });
@@ -5445,7 +3188,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Submit a Building Bridges application (legacy route)
-    app.post('/api/bridges/apply', auth, (req, res) => {
+    app.post('/api/bridges/apply', auth, apiSpec.validate, (req, res) => {
         try {
             const { event_id, name, email, institution, title, motivation } = req.body;
 
@@ -5578,9 +3321,9 @@ By applying to this program, I provide the following consents:
     });
 
     // Apply for Forum membership
-    app.post('/api/forum/apply', auth, (req, res) => {
+    app.post('/api/forum/apply', auth, apiSpec.validate, (req, res) => {
         try {
-            const { specialty, institution, position, bio, research_interests, career_stage, application_text } = req.body;
+            const { specialty, institution, position, bio, research_interests, career_stage, application_text, gdpr_consent } = req.body;
             const existing = query.get(`SELECT id FROM forum_members WHERE user_id = ?`, [req.user.id]);
 
             if (existing) {
@@ -5591,6 +3334,10 @@ By applying to this program, I provide the following consents:
             db.run(`INSERT INTO forum_members (id, user_id, specialty, institution, position, bio, research_interests, career_stage, application_text, membership_status, application_submitted_at)
                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', datetime('now'))`,
                 [id, req.user.id, specialty, institution, position, bio, research_interests, career_stage, application_text]);
+            if (gdpr_consent) {
+                db.run(`UPDATE forum_members SET gdpr_consent_date = datetime('now') WHERE id = ?`, [id]);
+                consents.grant('forum', { email: req.user.email, userId: req.user.id }, { contextId: id, ...fromRequest(req) });
+            }
             saveDb();
             res.json({ success: true, id });
         } catch (err) { console.error(err); res.status(500).json({ error: 'Internal server error' }); }
@@ -6076,7 +3823,7 @@ By applying to this program, I provide the following consents:
             }
 
             const user = query.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
-            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const baseUrl = PUBLIC_URL;
 
             // Generate invoice number: FM26-XXXX
             const seqRow = query.get("SELECT COUNT(*) as cnt FROM forum_event_registrations WHERE invoice_number IS NOT NULL");
@@ -6596,55 +4343,95 @@ By applying to this program, I provide the following consents:
         res.json(invitations);
     });
 
-    // Send single invitation
-    app.post('/api/admin/forum/invitations/send', auth, adminOnly, (req, res) => {
-        const { prospect_id } = req.body;
-        const prospect = query.get(`SELECT * FROM forum_prospects WHERE id = ?`, [prospect_id]);
-        if (!prospect) return res.status(404).json({ error: 'Prospect not found' });
+    // Email an invitation in the prospect's language, with tracked links (opened_at and
+    // clicked_at fill in from shared/email-tracking.js). delivery_status follows the
+    // outbox: sent, pending while it retries, failed or bounced — or unsubscribed, without
+    // sending, when the address opted out of Forum email.
+    async function sendForumInvitation(invitation) {
+        if (subscriptions.isUnsubscribed(invitation.email, 'forum')) {
+            db.run(`UPDATE forum_invitations SET delivery_status = 'unsubscribed' WHERE id = ?`, [invitation.id]);
+            saveDb();
+            return { success: false, status: 'unsubscribed' };
+        }
+        const portalUrl = process.env.PORTAL_URL || 'https://medx-user-portal.onrender.com';
+        const email = emailTemplates.render('forum.invitation', {
+            recipient: { first_name: invitation.first_name },
+            invitation: { code: invitation.invitation_code, join_url: `${portalUrl}/forum?invite=${encodeURIComponent(invitation.invitation_code)}` }
+        }, { email: invitation.email });
+        const trackingId = emailTracking.prepare('forum-invitation', invitation.id, invitation.email);
+        const { html, headers } = subscriptions.decorate(invitation.email, emailTracking.instrument(trackingId, email.html), email.lang);
+        const result = await sendEmail(invitation.email, email.subject, html, {
+            templateId: email.templateId,
+            recipientName: [invitation.first_name, invitation.last_name].filter(Boolean).join(' ') || null,
+            headers
+        });
+        emailTracking.attach(trackingId, result.id);
+        db.run(`UPDATE forum_invitations SET sent_at = datetime('now'), delivery_status = ? WHERE id = ?`, [result.status || 'failed', invitation.id]);
+        saveDb();
+        return result;
+    }
 
+    async function inviteProspect(prospect) {
         const id = uuidv4();
         const invitation_code = uuidv4().split('-')[0].toUpperCase();
 
-        db.run(`INSERT INTO forum_invitations (id, prospect_id, email, first_name, last_name, invitation_code, sent_at, delivery_status)
-            VALUES (?, ?, ?, ?, ?, ?, datetime('now'), 'sent')`,
-            [id, prospect_id, prospect.email, prospect.first_name, prospect.last_name, invitation_code]);
-
-        db.run(`UPDATE forum_prospects SET status = 'invited' WHERE id = ?`, [prospect_id]);
+        db.run(`INSERT INTO forum_invitations (id, prospect_id, email, first_name, last_name, invitation_code, delivery_status)
+            VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
+            [id, prospect.id, prospect.email, prospect.first_name, prospect.last_name, invitation_code]);
+        db.run(`UPDATE forum_prospects SET status = 'invited' WHERE id = ?`, [prospect.id]);
         saveDb();
 
-        // Send email (using existing sendEmail function if available)
-        res.json({ success: true, id, invitation_code });
-    });
-
-    // Send bulk invitations
-    app.post('/api/admin/forum/invitations/send-bulk', auth, adminOnly, (req, res) => {
-        const { prospect_ids } = req.body;
-        const results = [];
+        const result = await sendForumInvitation(query.get('SELECT * FROM forum_invitations WHERE id = ?', [id]));
+        return { id, invitation_code, delivery_status: result.status || 'failed' };
+    }
 
-        for (const prospect_id of prospect_ids) {
+    // Send single invitation
+    app.post('/api/admin/forum/invitations/send', auth, adminOnly, async (req, res) => {
+        try {
+            const { prospect_id } = req.body;
             const prospect = query.get(`SELECT * FROM forum_prospects WHERE id = ?`, [prospect_id]);
-            if (!prospect) continue;
+            if (!prospect) return res.status(404).json({ error: 'Prospect not found' });
+            if (!prospect.email) return res.status(400).json({ error: 'Prospect has no email address' });
+            if (subscriptions.isUnsubscribed(prospect.email, 'forum')) return res.status(409).json({ error: 'This address has unsubscribed from Med&X Forum emails' });
 
-            const id = uuidv4();
-            const invitation_code = uuidv4().split('-')[0].toUpperCase();
+            res.json({ success: true, ...(await inviteProspect(prospect)) });
+        } catch (err) {
+            console.error('Forum invitation error:', err);
+            res.status(500).json({ error: 'Failed to send invitation' });
+        }
+    });
 
-            db.run(`INSERT INTO forum_invitations (id, prospect_id, email, first_name, last_name, invitation_code, sent_at, delivery_status)
-                VALUES (?, ?, ?, ?, ?, ?, datetime('now'), 'sent')`,
-                [id, prospect_id, prospect.email, prospect.first_name, prospect.last_name, invitation_code]);
+    // Send bulk invitations
+    app.post('/api/admin/forum/invitations/send-bulk', auth, adminOnly, async (req, res) => {
+        try {
+            const { prospect_ids } = req.body;
+            const results = [];
 
-            db.run(`UPDATE forum_prospects SET status = 'invited' WHERE id = ?`, [prospect_id]);
-            results.push({ id, prospect_id });
-        }
+            for (const prospect_id of prospect_ids || []) {
+                const prospect = query.get(`SELECT * FROM forum_prospects WHERE id = ?`, [prospect_id]);
+                if (!prospect || !prospect.email || subscriptions.isUnsubscribed(prospect.email, 'forum')) continue;
+                results.push({ prospect_id, ...(await inviteProspect(prospect)) });
+            }
 
-        saveDb();
-        res.json({ success: true, sent: results.length });
+            res.json({ success: true, sent: results.length, results });
+        } catch (err) {
+            console.error('Forum bulk invitation error:', err);
+            res.status(500).json({ error: 'Failed to send invitations' });
+        }
     });
 
     // Resend invitation
-    app.post('/api/admin/forum/invitations/:id/resend', auth, adminOnly, (req, res) => {
-        db.run(`UPDATE forum_invitations SET sent_at = datetime('now'), delivery_status = 'sent' WHERE id = ?`, [req.params.id]);
-        saveDb();
-        res.json({ success: true });
+    app.post('/api/admin/forum/invitations/:id/resend', auth, adminOnly, async (req, res) => {
+        try {
+            const invitation = query.get('SELECT * FROM forum_invitations WHERE id = ?', [req.params.id]);
+            if (!invitation) return res.status(404).json({ error: 'Invitation not found' });
+            if (subscriptions.isUnsubscribed(invitation.email, 'forum')) return res.status(409).json({ error: 'This address has unsubscribed from Med&X Forum emails' });
+            const result = await sendForumInvitation(invitation);
+            res.json({ success: true, delivery_status: result.status || 'failed' });
+        } catch (err) {
+            console.error('Forum invitation resend error:', err);
+            res.status(500).json({ error: 'Failed to resend invitation' });
+        }
     });
 
     // Preview Excel/CSV import
@@ -7192,6 +4979,14 @@ By applying to this program, I provide the following consents:
         res.json(member);
     });
 
+    // ========== LIVE EVENTS (shared/live-events.js) ==========
+
+    // Short-lived ticket for opening the stream — EventSource can't send the Bearer token
+    app.post('/api/events/ticket', auth, liveEvents.ticketHandler);
+
+    // Server-sent events: ?ticket=...&channels=chat:<id>,notifications:<userId>,checkins:<conferenceId>
+    app.get('/api/events', liveEvents.streamHandler);
+
     // ========== CHANNEL ROUTES ==========
 
     // Get all channels (optionally filtered by project, optionally by membership)
@@ -7336,6 +5131,7 @@ By applying to this program, I provide the following consents:
             LEFT JOIN team_members rt ON r.sender_id = rt.id
             WHERE m.id = ?
         `, [id]);
+        if (targetChannel) liveEvents.publish(`chat:${targetChannel}`, 'chat.message', msg);
         res.json(msg);
     });
 
@@ -7424,12 +5220,14 @@ By applying to this program, I provide the following consents:
             [member.id, channel_id]);
 
         if (existing) {
-            db.run('UPDATE channel_read_status SET last_read_at = datetime("now") WHERE id = ?', [existing.id]);
+            db.run("UPDATE channel_read_status SET last_read_at = datetime('now') WHERE id = ?", [existing.id]);
         } else {
             db.run('INSERT INTO channel_read_status (id, user_id, channel_id) VALUES (?, ?, ?)',
                 [uuidv4(), member.id, channel_id]);
         }
         saveDb();
+        const receipt = query.get('SELECT last_read_at FROM channel_read_status WHERE user_id = ? AND channel_id = ?', [member.id, channel_id]);
+        liveEvents.publish(`chat:${channel_id}`, 'chat.read', { channel_id, member_id: member.id, last_read_at: receipt?.last_read_at });
         res.json({ success: true });
     });
 
@@ -7543,7 +5341,7 @@ By applying to this program, I provide the following consents:
     // ========== DASHBOARD SUMMARY ==========
 
     app.get('/api/dashboard/summary', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = plexusEditions.resolve(req);
         const program = query.get('SELECT id FROM accelerator_programs WHERE is_active = 1');
 
         const summary = {
@@ -7579,7 +5377,7 @@ By applying to this program, I provide the following consents:
     // Get tasks for a project
     app.get('/api/tasks/:project', auth, adminOnly, (req, res) => {
         // Get parent tasks (no parent_id)
-        const tasks = query.all('SELECT * FROM project_tasks WHERE project = ? AND (parent_id IS NULL OR parent_id = "") ORDER BY sort_order, created_at DESC',
+        const tasks = query.all("SELECT * FROM project_tasks WHERE project = ? AND (parent_id IS NULL OR parent_id = '') ORDER BY sort_order, created_at DESC",
             [req.params.project]);
         // Attach files and subtasks to each task
         tasks.forEach(task => {
@@ -7962,10 +5760,12 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    // Search across projects, tasks, files
-    app.get('/api/search', auth, adminOnly, (req, res) => {
+    // Search: project tasks, files and folders by name, plus everything in the full-text
+    // index (registrations, speakers, applications, invoices, chat, ...) ranked and grouped
+    // by type. ?types=a,b narrows the index search, ?limit= sets hits per type.
+    app.get('/api/search', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { q } = req.query;
-        if (!q || q.length < 2) return res.json({ tasks: [], files: [], folders: [] });
+        if (!q || q.length < 2) return res.json({ tasks: [], files: [], folders: [], total: 0, groups: [] });
 
         const searchTerm = `%${q}%`;
         const tasks = query.all(`SELECT * FROM project_tasks WHERE title LIKE ? OR description LIKE ? LIMIT 10`,
@@ -7975,7 +5775,18 @@ By applying to this program, I provide the following consents:
         const folders = query.all(`SELECT * FROM project_folders WHERE name LIKE ? LIMIT 10`,
             [searchTerm]);
 
-        res.json({ tasks, files, folders });
+        try {
+            const found = fullTextSearch.search(q, {
+                can: (permission, project) => req.user.can(permission, project),
+                chatChannels: query.all('SELECT id FROM chat_channels').map(c => c.id).filter(id => liveEvents.allowed(req.user, `chat:${id}`)),
+                types: req.query.types ? String(req.query.types).split(',') : undefined,
+                limit: req.query.limit
+            });
+            res.json({ tasks, files, folders, total: found.total, groups: found.groups });
+        } catch (err) {
+            console.error('Search error:', err);
+            res.status(500).json({ error: 'Search failed' });
+        }
     });
 
     // ========== ACCELERATOR ADMIN ROUTES ==========
@@ -8016,6 +5827,22 @@ By applying to this program, I provide the following consents:
         res.json(app);
     });
 
+    // Tell the applicant's devices when their Accelerator application changes status
+    const ACCELERATOR_STATUS_PUSH = {
+        submitted: 'Your application has been submitted.',
+        paid: 'Your application fee has been received.',
+        under_review: 'Your application is being reviewed.',
+        accepted: 'Congratulations — your application has been accepted!',
+        rejected: 'A decision has been made on your application.'
+    };
+    function pushAcceleratorStatus(applicationId) {
+        const application = query.get('SELECT id, user_id, status FROM accelerator_applications WHERE id = ?', [applicationId]);
+        if (!application?.user_id || !ACCELERATOR_STATUS_PUSH[application.status]) return;
+        webPush.notify(application.user_id, 'accelerator',
+            { title: 'Med&X Accelerator', body: ACCELERATOR_STATUS_PUSH[application.status], url: '/#accelerator' },
+            { source: 'accelerator-status', sourceId: `${application.id}:${application.status}` });
+    }
+
     // Review application (admin)
     app.put('/api/admin/accelerator/applications/:id/review', auth, adminOnly, (req, res) => {
         const { decision, decision_notes, assigned_institution, reviewer_notes } = req.body;
@@ -8028,6 +5855,7 @@ By applying to this program, I provide the following consents:
             decision, decision_notes, assigned_institution, reviewer_notes, req.user.id, req.params.id
         ]);
         saveDb();
+        pushAcceleratorStatus(req.params.id);
         res.json({ success: true });
     });
 
@@ -8097,9 +5925,19 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
+    // Push a Plexus check-in (or its undo) to that conference's check-in dashboards
+    function publishCheckin(registrationId, type = 'checkin') {
+        const checkin = query.get(`
+            SELECT r.id, r.conference_id, COALESCE(r.first_name, u.first_name) || ' ' || COALESCE(r.last_name, u.last_name) as name,
+                   COALESCE(r.email, u.email) as email, r.checked_in, r.checked_in_at
+            FROM registrations r LEFT JOIN users u ON r.user_id = u.id WHERE r.id = ?`, [registrationId]);
+        if (checkin?.conference_id) liveEvents.publish(`checkins:${checkin.conference_id}`, type, checkin);
+    }
+
     app.post('/api/admin/registrations/:id/checkin', auth, adminOnly, (req, res) => {
-        db.run('UPDATE registrations SET checked_in = 1, checked_in_at = datetime("now") WHERE id = ?', [req.params.id]);
+        db.run("UPDATE registrations SET checked_in = 1, checked_in_at = datetime('now') WHERE id = ?", [req.params.id]);
         saveDb();
+        publishCheckin(req.params.id);
         res.json({ success: true });
     });
 
@@ -8110,13 +5948,53 @@ By applying to this program, I provide the following consents:
                 FROM registrations r JOIN users u ON r.user_id = u.id JOIN ticket_types t ON r.ticket_type_id = t.id WHERE r.id = ?`, [data.id]);
             if (!reg) return res.status(404).json({ error: 'Not found' });
             if (reg.checked_in) return res.json({ success: true, already_checked_in: true, registration: reg });
-            db.run('UPDATE registrations SET checked_in = 1, checked_in_at = datetime("now") WHERE id = ?', [data.id]);
+            db.run("UPDATE registrations SET checked_in = 1, checked_in_at = datetime('now') WHERE id = ?", [data.id]);
             saveDb();
+            publishCheckin(data.id);
             reg.checked_in = 1;
             res.json({ success: true, registration: reg });
         } catch { res.status(400).json({ error: 'Invalid QR' }); }
     });
 
+    // ========== OFFLINE CHECK-IN (shared/offline-checkin.js) ==========
+
+    function offlineCheckinError(res, err, label) {
+        if (err instanceof OfflineCheckinError) return res.status(err.status).json({ error: err.message });
+        console.error(`${label} error:`, err);
+        res.status(500).json({ error: `${label} failed` });
+    }
+
+    // Key that signs rosters, as a JWK for crypto.subtle.verify — devices keep it for offline use
+    app.get('/api/checkin/offline/public-key', auth, adminOnly, (req, res) => {
+        res.json({ key: offlineCheckin.publicJwk(), key_id: offlineCheckin.keyId });
+    });
+
+    // Events a roster can be downloaded for
+    app.get('/api/checkin/offline/events', auth, adminOnly, (req, res) => {
+        try {
+            res.json(offlineCheckin.events());
+        } catch (err) {
+            offlineCheckinError(res, err, 'Offline check-in events');
+        }
+    });
+
+    app.get('/api/checkin/offline/:kind/:eventId/roster', auth, adminOnly, apiSpec.validate, (req, res) => {
+        try {
+            res.json(offlineCheckin.roster(req.params.kind, req.params.eventId, req.user.email));
+        } catch (err) {
+            offlineCheckinError(res, err, 'Offline roster');
+        }
+    });
+
+    // Replay scans queued on a device: { device_id, checkins: [{ id, attendee_id, scanned_at }] }
+    app.post('/api/checkin/offline/:kind/:eventId/sync', auth, adminOnly, apiSpec.validate, (req, res) => {
+        try {
+            res.json(offlineCheckin.sync(req.params.kind, req.params.eventId, req.body, req.user.id));
+        } catch (err) {
+            offlineCheckinError(res, err, 'Offline check-in sync');
+        }
+    });
+
     app.get('/api/admin/abstracts', auth, adminOnly, (req, res) => {
         res.json(query.all(`SELECT a.*, u.first_name, u.last_name, u.email, u.institution
             FROM abstracts a JOIN users u ON a.submitter_id = u.id ORDER BY a.created_at DESC`));
@@ -8199,11 +6077,14 @@ By applying to this program, I provide the following consents:
 
     // ========== PLEXUS CONFERENCE COMPREHENSIVE APIS ==========
 
+    // Every Plexus route works on req.conference: ?conference=<slug> / X-Conference header, else the current edition
+    app.use(['/api/plexus', '/api/admin/plexus'], plexusEditions.middleware);
+
     // --- REGISTRATION FLOW ---
 
     // Get conference info for registration
     app.get('/api/plexus/conference', (req, res) => {
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.status(404).json({ error: 'Conference not found' });
 
         const tickets = query.all('SELECT * FROM ticket_types WHERE conference_id = ? ORDER BY sort_order', [conf.id]);
@@ -8231,9 +6112,9 @@ By applying to this program, I provide the following consents:
     });
 
     // Validate promo code
-    app.post('/api/plexus/promo/validate', (req, res) => {
+    app.post('/api/plexus/promo/validate', limitPromo, (req, res) => {
         const { code } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const promo = query.get('SELECT * FROM promo_codes WHERE conference_id = ? AND code = ? AND is_active = 1', [conf.id, code?.toUpperCase()]);
 
         if (!promo) return res.json({ valid: false, message: 'Invalid promo code' });
@@ -8248,11 +6129,19 @@ By applying to this program, I provide the following consents:
         });
     });
 
+    // Registration and photo consent ticked (or not) on a Plexus registration form
+    function recordRegistrationConsents(req, registrationId, { gdpr_consent, photo_consent } = {}) {
+        const subject = { email: req.user.email, userId: req.user.id };
+        const evidence = { contextId: registrationId, ...fromRequest(req) };
+        if (gdpr_consent !== undefined) consents.record('registration', subject, !!gdpr_consent, evidence);
+        if (photo_consent !== undefined) consents.record('photography', subject, !!photo_consent, evidence);
+    }
+
     // Single-step registration (used by frontend PlexusPortal.submitRegistration)
-    app.post('/api/plexus/register', optionalAuth, async (req, res) => {
+    app.post('/api/plexus/register', optionalAuth, apiSpec.validate, async (req, res) => {
         try {
             const { first_name, last_name, email, institution, country, pricing, dietary, accessibility, billing, package_items, payment_method } = req.body;
-            const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+            const conf = req.conference;
             if (!conf) return res.status(400).json({ error: 'Conference not found' });
 
             // Resolve user: use authenticated user, or find/create from submitted email
@@ -8306,7 +6195,7 @@ By applying to this program, I provide the following consents:
                                      billing.company || billing.name || `${first_name} ${last_name}`,
                                      [billing.address, billing.city, billing.zip, billing.country].filter(Boolean).join(', '),
                                      billing.oib || billing.vatNumber || null, billing.email || email,
-                                     JSON.stringify([{ description: `Plexus 2026`, quantity: 1, price: newTotal }]),
+                                     JSON.stringify([{ description: plexusEditions.label(conf), quantity: 1, price: newTotal }]),
                                      vatBreakdown.netto, 25, vatBreakdown.taxValue, newTotal, 'EUR',
                                      'issued', new Date().toISOString(), dueDate]);
                             } else {
@@ -8376,6 +6265,7 @@ By applying to this program, I provide the following consents:
             }
 
             db.run('UPDATE ticket_types SET sold_count = sold_count + 1 WHERE id = ?', [ticket.id]);
+            recordRegistrationConsents(req, regId, req.body);
 
             // --- Invoice + Payment Transaction ---
             let firaInvoice = null;
@@ -8386,7 +6276,7 @@ By applying to this program, I provide the following consents:
                 // Store invoice record regardless of FIRA availability
                 const invoiceId = uuidv4();
                 const items = JSON.stringify([{
-                    description: `Plexus 2026 — ${ticket.name}`,
+                    description: `${plexusEditions.label(conf)} — ${ticket.name}`,
                     quantity: 1,
                     price: price
                 }]);
@@ -8417,6 +6307,7 @@ By applying to this program, I provide the following consents:
                     try {
                         firaInvoice = await firaService.createFiscalInvoice({
                             invoiceNumber,
+                            eventName: plexusEditions.label(conf),
                             ticketName: ticket.name,
                             ticketPrice: price,
                             addons: [],
@@ -8462,36 +6353,14 @@ By applying to this program, I provide the following consents:
             saveDb();
 
             // Send Plexus registration confirmation email
-            try {
-                const userName = first_name || req.user.first_name || '';
-                const userEmail = email || req.user.email;
-                const paymentInfo = paymentStatus === 'paid'
-                    ? '<p style="background: #ecfdf5; border: 1px solid #a7f3d0; padding: 12px 16px; border-radius: 8px; color: #065f46; font-weight: 600;">Your registration is confirmed — no payment required!</p>'
-                    : chosenPaymentMethod === 'card'
-                        ? '<p style="background: #eff6ff; border: 1px solid #bfdbfe; padding: 12px 16px; border-radius: 8px; color: #1e40af;">Please complete your card payment to secure your spot.</p>'
-                        : `<p style="background: #eff6ff; border: 1px solid #bfdbfe; padding: 12px 16px; border-radius: 8px; color: #1e40af;">Please transfer <strong>&euro;${price.toFixed(2)}</strong> to our bank account using reference <strong>${invoiceNumber}</strong> to secure your spot.</p>`;
-
-                sendEmail(userEmail, 'Welcome to Plexus 2026!', buildEmailTemplate('Welcome to Plexus 2026!', `
-                    <p>Dear ${userName},</p>
-                    <p>Thank you for registering for <strong>Plexus 2026</strong>! We are thrilled to have you join us.</p>
-                    <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
-                        <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b; width: 140px;">Ticket</td>
-                            <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${ticket.name}</td></tr>
-                        <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b;">Invoice Number</td>
-                            <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${invoiceNumber}</td></tr>
-                        <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b;">Amount</td>
-                            <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">&euro;${price.toFixed(2)}</td></tr>
-                        <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b;">Payment Status</td>
-                            <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${paymentStatus === 'paid' ? 'Paid' : 'Pending'}</td></tr>
-                    </table>
-                    ${paymentInfo}
-                    <p style="margin-top: 20px;">If you have any questions, feel free to reach out to us at <a href="mailto:info@medx.hr" style="color: #C9A962;">info@medx.hr</a>.</p>
-                    <p>We look forward to seeing you at Plexus 2026!</p>
-                    <p>Warm regards,<br><strong>The Med&amp;X Team</strong></p>
-                `));
-            } catch (emailErr) {
-                console.warn('Plexus registration email failed:', emailErr.message);
-            }
+            emailTemplates.send('registration.confirmed', email || req.user.email, {
+                recipient: { first_name: first_name || req.user.first_name },
+                registration: {
+                    event_name: plexusEditions.label(conf), ticket_type: ticket.name, payment_status: paymentStatus,
+                    paid: paymentStatus === 'paid', pay_by_card: chosenPaymentMethod === 'card'
+                },
+                invoice: { number: invoiceNumber, total: price, currency: 'EUR' }
+            }, { userId: req.user.id }).catch(err => console.warn('Plexus registration email failed:', err.message));
 
             // Build bank transfer details from environment
             const bankDetails = price > 0 ? {
@@ -8681,7 +6550,7 @@ By applying to this program, I provide the following consents:
                 } catch (e) { /* ignore */ }
             }
 
-            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const baseUrl = PUBLIC_URL;
 
             const session = await stripe.checkout.sessions.create({
                 mode: 'payment',
@@ -8690,7 +6559,7 @@ By applying to this program, I provide the following consents:
                     price_data: {
                         currency: 'eur',
                         product_data: {
-                            name: `Plexus 2026 — ${reg.ticket_name}`,
+                            name: `${plexusEditions.label(query.get('SELECT * FROM conferences WHERE id = ?', [reg.conference_id]))} — ${reg.ticket_name}`,
                             description: `Conference registration (Invoice: ${reg.invoice_number})`
                         },
                         unit_amount: Math.round(reg.amount_paid * 100) // Stripe needs cents
@@ -8763,6 +6632,7 @@ By applying to this program, I provide the following consents:
                     // 1. Update application status to 'paid'
                     db.run(`UPDATE accelerator_applications SET status = 'paid', payment_status = 'paid', payment_amount = 75, payment_date = datetime('now'), stripe_session_id = ? WHERE id = ?`,
                         [session.id, applicationId]);
+                    pushAcceleratorStatus(applicationId);
 
                     // 2. Create FIRA fiscal invoice for processing fee
                     if (firaService.isConfigured()) {
@@ -8872,6 +6742,7 @@ By applying to this program, I provide the following consents:
                     try {
                         const firaResult = await firaService.createFiscalInvoice({
                             invoiceNumber: galaInvoice,
+                            eventName: plexusEditions.label(plexusEditions.current()),
                             ticketName: ticketLabel,
                             ticketPrice: amount,
                             addons: [],
@@ -8906,7 +6777,7 @@ By applying to this program, I provide the following consents:
 
                     // Send gala payment confirmation email
                     try {
-                        sendEmail(galaReg.email, 'Payment Confirmed — Plexus 2026 Gala Evening', buildEmailTemplate('Payment Confirmed', `
+                        sendEmail(galaReg.email, `Payment Confirmed — ${plexusEditions.label(plexusEditions.current())} Gala Evening`, buildEmailTemplate('Payment Confirmed', `
                             <p>Dear ${galaReg.first_name},</p>
                             <p style="background: #ecfdf5; border: 1px solid #a7f3d0; padding: 14px 18px; border-radius: 8px; color: #065f46; font-weight: 600; font-size: 16px; text-align: center;">
                                 Your Gala Evening payment has been received — your spot is secured!
@@ -9046,6 +6917,7 @@ By applying to this program, I provide the following consents:
                     JOIN ticket_types t ON r.ticket_type_id = t.id
                     JOIN users u ON r.user_id = u.id
                     WHERE r.id = ?`, [registrationId]);
+                const eventLabel = plexusEditions.label(query.get('SELECT * FROM conferences WHERE id = ?', [reg?.conference_id]));
 
                 if (!reg) {
                     console.error(`[Stripe] Registration ${registrationId} not found`);
@@ -9100,6 +6972,7 @@ By applying to this program, I provide the following consents:
                     try {
                         const firaResult = await firaService.createFiscalInvoice({
                             invoiceNumber: reg.invoice_number,
+                            eventName: eventLabel,
                             ticketName: reg.ticket_name,
                             ticketPrice: reg.amount_paid,
                             addons: [],
@@ -9144,7 +7017,7 @@ By applying to this program, I provide the following consents:
                 try {
                     const firaRef = tx?.metadata ? (() => { try { const m = JSON.parse(tx.metadata); return m.fira_invoice_number || null; } catch(e) { return null; } })() : null;
 
-                    sendEmail(reg.email, 'Payment Confirmed — Plexus 2026', buildEmailTemplate('Payment Confirmed', `
+                    sendEmail(reg.email, `Payment Confirmed — ${eventLabel}`, buildEmailTemplate('Payment Confirmed', `
                         <p>Dear ${reg.first_name},</p>
                         <p style="background: #ecfdf5; border: 1px solid #a7f3d0; padding: 14px 18px; border-radius: 8px; color: #065f46; font-weight: 600; font-size: 16px; text-align: center;">
                             Your payment has been received — your spot is secured!
@@ -9160,7 +7033,7 @@ By applying to this program, I provide the following consents:
                                 <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${firaRef}</td></tr>` : ''}
                         </table>
                         <p>You will receive your ticket and QR code closer to the event date. If you have any questions, contact us at <a href="mailto:info@medx.hr" style="color: #C9A962;">info@medx.hr</a>.</p>
-                        <p>See you at Plexus 2026!</p>
+                        <p>See you at ${eventLabel}!</p>
                         <p>Warm regards,<br><strong>The Med&amp;X Team</strong></p>
                     `));
                 } catch (emailErr) {
@@ -9201,9 +7074,10 @@ By applying to this program, I provide the following consents:
                 ? `${registration.first_name} ${registration.last_name}`
                 : 'Attendee';
             const ticketName = registration.ticket_name || 'Conference Ticket';
-            const project = opts.project || 'plexus-2026';
+            const regConf = registration.conference_id ? query.get('SELECT * FROM conferences WHERE id = ?', [registration.conference_id]) : null;
+            const project = opts.project || regConf?.slug || 'plexus';
             const category = opts.category || 'conference-registration';
-            const descPrefix = opts.descPrefix || 'Plexus 2026';
+            const descPrefix = opts.descPrefix || plexusEditions.label(regConf);
             const description = `${descPrefix} — ${attendeeName} — ${ticketName}`;
 
             const txId = uuidv4();
@@ -9237,8 +7111,8 @@ By applying to this program, I provide the following consents:
                 JOIN ticket_types t ON r.ticket_type_id = t.id
                 LEFT JOIN payment_transactions pt ON pt.registration_id = r.id
                 JOIN conferences c ON r.conference_id = c.id
-                WHERE c.slug = 'plexus-2026' AND r.status != 'cancelled'`;
-            const params = [];
+                WHERE c.id = ? AND r.status != 'cancelled'`;
+            const params = [req.conference?.id];
 
             if (status && status !== 'all') {
                 sql += ' AND r.payment_status = ?';
@@ -9297,7 +7171,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Start registration (Step 1: Personal info + account creation)
-    app.post('/api/plexus/register/start', async (req, res) => {
+    app.post('/api/plexus/register/start', apiSpec.validate, async (req, res) => {
         try {
             const { email, password, first_name, last_name, phone, institution, country, title, department } = req.body;
 
@@ -9323,14 +7197,14 @@ By applying to this program, I provide the following consents:
             }
 
             // Check if already registered for this conference
-            const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+            const conf = req.conference;
             const existingReg = query.get('SELECT * FROM registrations WHERE conference_id = ? AND user_id = ? AND status != ?', [conf.id, user.id, 'cancelled']);
             if (existingReg) return res.status(400).json({ error: 'Already registered for this conference', registration_id: existingReg.id });
 
             // Create token for continuing registration
-            const token = jwt.sign({ id: user.id, email: user.email, is_admin: user.is_admin }, JWT_SECRET, { expiresIn: '24h' });
+            const { token, refreshToken } = signIn(user, req);
 
-            res.json({ success: true, user_id: user.id, token, user: { id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name } });
+            res.json({ success: true, user_id: user.id, token, refreshToken, user: { id: user.id, email: user.email, first_name: user.first_name, last_name: user.last_name } });
         } catch (err) {
             console.error('Plexus register/start error:', err.message);
             res.status(500).json({ error: 'Registration failed' });
@@ -9338,11 +7212,11 @@ By applying to this program, I provide the following consents:
     });
 
     // Complete registration (Step 2: Ticket selection + payment)
-    app.post('/api/plexus/register/complete', auth, async (req, res) => {
+    app.post('/api/plexus/register/complete', auth, apiSpec.validate, async (req, res) => {
         try {
             const { ticket_type_id, registration_type, promo_code, billing_info, registration_details: details } = req.body;
 
-            const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+            const conf = req.conference;
             const ticket = query.get('SELECT * FROM ticket_types WHERE id = ?', [ticket_type_id]);
 
             if (!ticket) return res.status(400).json({ error: 'Invalid ticket type' });
@@ -9372,7 +7246,7 @@ By applying to this program, I provide the following consents:
             const invoiceNumber = `INV-${Date.now()}-${uuidv4().split('-')[0]}`;
 
             // Generate QR code for ticket
-            const qrData = JSON.stringify({ reg_id: regId, conf: 'plexus-2026' });
+            const qrData = JSON.stringify({ reg_id: regId, conf: conf.slug });
             const qrCode = await QRCode.toDataURL(qrData);
 
             // Create registration
@@ -9387,6 +7261,7 @@ By applying to this program, I provide the following consents:
                     [regId, details.affiliation_type, billing_info?.name, billing_info?.address, billing_info?.country, billing_info?.vat, billing_info ? 1 : 0,
                      details.arrival_date, details.departure_date, details.accommodation_needed ? 1 : 0, details.hotel_preference,
                      details.networking_interests, details.how_heard_about, details.special_requests, details.gdpr_consent ? 1 : 0, details.photo_consent ? 1 : 0, 1]);
+                recordRegistrationConsents(req, regId, details);
             }
 
             // Update ticket sold count
@@ -9410,7 +7285,7 @@ By applying to this program, I provide the following consents:
 
     // Get my registration
     app.get('/api/plexus/my-registration', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const reg = query.get(`SELECT r.*, t.name as ticket_name, t.includes_gala, u.first_name, u.last_name, u.email
             FROM registrations r
             JOIN ticket_types t ON r.ticket_type_id = t.id
@@ -9426,7 +7301,7 @@ By applying to this program, I provide the following consents:
     // Join waiting list
     app.post('/api/plexus/waitlist', auth, (req, res) => {
         const { ticket_type_id } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         // Get next position
         const lastPos = query.get('SELECT MAX(position) as p FROM waitlist WHERE conference_id = ?', [conf.id])?.p || 0;
@@ -9474,7 +7349,7 @@ By applying to this program, I provide the following consents:
     // Apply for scholarship
     app.post('/api/plexus/scholarship', auth, (req, res) => {
         const { institution, country, career_stage, financial_need_statement, research_statement, amount_requested } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const id = uuidv4();
         db.run(`INSERT INTO scholarship_applications (id, conference_id, user_id, institution, country, career_stage, financial_need_statement, research_statement, amount_requested)
@@ -9490,7 +7365,7 @@ By applying to this program, I provide the following consents:
     app.post('/api/plexus/abstracts', auth, (req, res) => {
         const { title, abstract_text, topic_category, presentation_type, authors } = req.body;
         const keywords = req.body.keywords ?? null;
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         // Check deadline
         if (new Date() > new Date(conf.abstract_deadline)) {
@@ -9520,7 +7395,7 @@ By applying to this program, I provide the following consents:
 
     // Get my abstracts
     app.get('/api/plexus/my-abstracts', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const abstracts = query.all('SELECT * FROM abstracts WHERE conference_id = ? AND submitter_id = ? ORDER BY created_at DESC', [conf.id, req.user.id]);
 
         abstracts.forEach(a => {
@@ -9583,7 +7458,7 @@ By applying to this program, I provide the following consents:
 
     // Get full schedule (public — only published sessions)
     app.get('/api/plexus/schedule', (req, res) => {
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.json({ conference: null, sessions: [], tracks: [], rooms: [] });
         const sessions = query.all(`SELECT s.*, GROUP_CONCAT(sp.name) as speaker_names
             FROM sessions s
@@ -9598,7 +7473,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get all sessions (including unpublished) — for admin panel in user portal
     app.get('/api/admin/plexus/sessions', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.json([]);
         const sessions = query.all(`SELECT s.*, GROUP_CONCAT(sp.name) as speaker_names
             FROM sessions s
@@ -9609,7 +7484,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Create session
     app.post('/api/admin/plexus/sessions', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { title, description, session_type, day, start_time, end_time, room, track, speaker_ids, capacity, is_published } = req.body;
 
         const id = uuidv4();
@@ -9666,7 +7541,7 @@ By applying to this program, I provide the following consents:
     // Admin: Bulk publish sessions
     app.post('/api/admin/plexus/sessions/bulk-publish', auth, adminOnly, (req, res) => {
         const { session_ids } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         let ids = session_ids;
         if (!ids || ids.length === 0) {
             const unpublished = query.all('SELECT id, title FROM sessions WHERE conference_id = ? AND (is_published = 0 OR is_published IS NULL)', [conf.id]);
@@ -9796,7 +7671,7 @@ By applying to this program, I provide the following consents:
     // Get attendee directory
     app.get('/api/plexus/attendees', auth, (req, res) => {
         const { search, country, institution, interests } = req.query;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         let sql = `SELECT DISTINCT u.id, u.first_name, u.last_name, u.institution, u.country, up.title, up.research_interests, up.is_profile_public
             FROM users u
@@ -9873,7 +7748,7 @@ By applying to this program, I provide the following consents:
     // Request meeting
     app.post('/api/plexus/meetings', auth, (req, res) => {
         const { requestee_id, message, proposed_times } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const id = uuidv4();
         db.run('INSERT INTO meeting_requests (id, conference_id, requester_id, requestee_id, message, proposed_times) VALUES (?, ?, ?, ?, ?, ?)',
@@ -9897,7 +7772,7 @@ By applying to this program, I provide the following consents:
     app.post('/api/plexus/visa-request', auth, (req, res) => {
         const reg = query.get(`SELECT r.id FROM registrations r
             JOIN conferences c ON r.conference_id = c.id
-            WHERE c.slug = 'plexus-2026' AND r.user_id = ?`, [req.user.id]);
+            WHERE c.id = ? AND r.user_id = ?`, [req.conference?.id, req.user.id]);
 
         if (!reg) return res.status(400).json({ error: 'Must be registered to request visa letter' });
 
@@ -9913,7 +7788,7 @@ By applying to this program, I provide the following consents:
 
     // Get partner hotels
     app.get('/api/plexus/hotels', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const hotels = query.all('SELECT * FROM partner_hotels WHERE conference_id = ? ORDER BY sort_order', [conf.id]);
         res.json(hotels);
     });
@@ -9923,7 +7798,7 @@ By applying to this program, I provide the following consents:
     // Apply as volunteer
     app.post('/api/plexus/volunteers', auth, (req, res) => {
         const { availability, preferred_tasks } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const existing = query.get('SELECT * FROM volunteers WHERE conference_id = ? AND user_id = ?', [conf.id, req.user.id]);
         if (existing) return res.status(400).json({ error: 'Already applied' });
@@ -9937,7 +7812,7 @@ By applying to this program, I provide the following consents:
 
     // Get my volunteer status
     app.get('/api/plexus/my-volunteer', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const volunteer = query.get('SELECT * FROM volunteers WHERE conference_id = ? AND user_id = ?', [conf.id, req.user.id]);
 
         if (!volunteer) return res.json(null);
@@ -9955,7 +7830,7 @@ By applying to this program, I provide the following consents:
 
     // Apply as speaker
     app.post('/api/plexus/speaker-application', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { application_type, name, email, institution, title, bio, proposed_title, proposed_abstract, topic_area, presentation_type, duration_requested, av_requirements, previous_experience, target_audience, co_presenter_info, max_participants, required_materials } = req.body;
 
         const id = uuidv4();
@@ -9970,28 +7845,28 @@ By applying to this program, I provide the following consents:
 
     // Get speakers (public - only published ones)
     app.get('/api/plexus/speakers', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const speakers = query.all('SELECT * FROM speakers WHERE conference_id = ? AND is_confirmed = 1 AND is_published = 1 ORDER BY is_keynote DESC, sort_order', [conf.id]);
         res.json(speakers);
     });
 
     // Get sponsors (public - only published ones)
     app.get('/api/plexus/sponsors', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const sponsors = query.all('SELECT * FROM sponsors WHERE conference_id = ? AND is_published = 1 ORDER BY tier DESC, sort_order', [conf.id]);
         res.json(sponsors);
     });
 
     // Get announcements
     app.get('/api/plexus/announcements', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const announcements = query.all('SELECT * FROM announcements WHERE conference_id = ? ORDER BY published_at DESC LIMIT 20', [conf.id]);
         res.json(announcements);
     });
 
     // Get digital poster gallery
     app.get('/api/plexus/posters', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const posters = query.all(`SELECT a.*, af.file_path as poster_file,
             GROUP_CONCAT(aa.first_name || ' ' || aa.last_name, ', ') as author_names
             FROM abstracts a
@@ -10004,14 +7879,14 @@ By applying to this program, I provide the following consents:
 
     // Get photo gallery
     app.get('/api/plexus/photos', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const photos = query.all('SELECT * FROM conference_photos WHERE conference_id = ? AND is_public = 1 ORDER BY sort_order', [conf.id]);
         res.json(photos);
     });
 
     // Get resources/downloads
     app.get('/api/plexus/resources', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const resources = query.all('SELECT * FROM resources WHERE conference_id = ? ORDER BY category, title', [conf.id]);
         res.json(resources);
     });
@@ -10021,7 +7896,7 @@ By applying to this program, I provide the following consents:
         const reg = query.get(`SELECT r.*, u.first_name, u.last_name FROM registrations r
             JOIN users u ON r.user_id = u.id
             JOIN conferences c ON r.conference_id = c.id
-            WHERE c.slug = 'plexus-2026' AND r.user_id = ? AND r.checked_in = 1`, [req.user.id]);
+            WHERE c.id = ? AND r.user_id = ? AND r.checked_in = 1`, [req.conference?.id, req.user.id]);
 
         if (!reg) return res.status(400).json({ error: 'Must attend conference to get certificate' });
 
@@ -10029,10 +7904,10 @@ By applying to this program, I provide the following consents:
 
         if (!cert) {
             const id = uuidv4();
-            const certNumber = `PLX26-CERT-${String(Date.now()).slice(-8)}`;
+            const certNumber = `${plexusEditions.prefix(req.conference)}-CERT-${String(Date.now()).slice(-8)}`;
             db.run(`INSERT INTO certificates (id, registration_id, certificate_type, certificate_number, recipient_name, conference_name, issue_date)
-                VALUES (?, ?, 'attendance', ?, ?, 'Plexus Conference 2026', datetime('now'))`,
-                [id, reg.id, certNumber, `${reg.first_name} ${reg.last_name}`]);
+                VALUES (?, ?, 'attendance', ?, ?, ?, datetime('now'))`,
+                [id, reg.id, certNumber, `${reg.first_name} ${reg.last_name}`, req.conference.name]);
             saveDb();
             cert = query.get('SELECT * FROM certificates WHERE id = ?', [id]);
         }
@@ -10042,7 +7917,7 @@ By applying to this program, I provide the following consents:
 
     // Get survey
     app.get('/api/plexus/survey', auth, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const survey = query.get('SELECT * FROM surveys WHERE conference_id = ? AND is_active = 1', [conf.id]);
         if (!survey) return res.json(null);
 
@@ -10087,6 +7962,7 @@ By applying to this program, I provide the following consents:
 
         db.run("UPDATE registrations SET checked_in = 1, checked_in_at = datetime('now') WHERE id = ?", [regId]);
         saveDb();
+        publishCheckin(regId);
 
         res.json({ success: true, attendee: { ...reg, checked_in: 1 } });
     });
@@ -10095,7 +7971,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get all registrations
     app.get('/api/admin/plexus/registrations', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const registrations = query.all(`SELECT r.*, u.first_name, u.last_name, u.email, u.phone, u.institution, u.country, t.name as ticket_name
             FROM registrations r
             JOIN users u ON r.user_id = u.id
@@ -10106,7 +7982,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get all abstracts
     app.get('/api/admin/plexus/abstracts', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const abstracts = query.all(`SELECT a.*, u.first_name, u.last_name, u.email
             FROM abstracts a JOIN users u ON a.submitter_id = u.id
             WHERE a.conference_id = ? ORDER BY a.created_at DESC`, [conf.id]);
@@ -10139,7 +8015,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get dashboard stats
     app.get('/api/admin/plexus/stats', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const stats = {
             total_registrations: query.get('SELECT COUNT(*) as c FROM registrations WHERE conference_id = ?', [conf.id])?.c || 0,
@@ -10162,7 +8038,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Manage promo codes
     app.post('/api/admin/plexus/promo-codes', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { code, discount_type, discount_value, max_uses, valid_until } = req.body;
 
         const id = uuidv4();
@@ -10173,7 +8049,7 @@ By applying to this program, I provide the following consents:
     });
 
     app.get('/api/admin/plexus/promo-codes', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const codes = query.all('SELECT * FROM promo_codes WHERE conference_id = ?', [conf.id]);
         res.json(codes);
     });
@@ -10182,7 +8058,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Manage speakers
     app.post('/api/admin/plexus/speakers', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const b = req.body;
 
         const id = uuidv4();
@@ -10199,7 +8075,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Manage volunteer shifts
     app.post('/api/admin/plexus/volunteer-shifts', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { name, description, date, start_time, end_time, location, max_volunteers, required_skills } = req.body;
 
         const id = uuidv4();
@@ -10211,7 +8087,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get volunteers
     app.get('/api/admin/plexus/volunteers', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const volunteers = query.all(`SELECT v.*, u.first_name, u.last_name, u.email, u.phone
             FROM volunteers v JOIN users u ON v.user_id = u.id WHERE v.conference_id = ?`, [conf.id]);
         res.json(volunteers);
@@ -10277,7 +8153,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get pending items
     app.get('/api/admin/plexus/pending', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
 
         const pending = {
             refunds: query.all(`SELECT rr.*, u.first_name, u.last_name, u.email
@@ -10300,7 +8176,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get speakers (supports ?year= filter)
     app.get('/api/admin/plexus/speakers', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const { year } = req.query;
         let sql = `SELECT * FROM speakers WHERE conference_id = ?`;
         const params = [conf?.id || ''];
@@ -10315,7 +8191,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get distinct speaker years
     app.get('/api/admin/plexus/speakers/years', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const years = query.all(`SELECT DISTINCT year FROM speakers WHERE conference_id = ? AND year IS NOT NULL ORDER BY year DESC`, [conf?.id || '']);
         res.json(years.map(y => y.year));
     });
@@ -10394,7 +8270,7 @@ By applying to this program, I provide the following consents:
     // Admin: Import speakers from CSV
     app.post('/api/admin/plexus/speakers/import', auth, adminOnly, upload.single('file'), (req, res) => {
         try {
-            const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+            const conf = req.conference;
             const fileContent = fs.readFileSync(req.file.path, 'utf-8');
             const lines = fileContent.split('\n').filter(l => l.trim());
             if (lines.length < 2) return res.status(400).json({ error: 'CSV file must have a header row and at least one data row' });
@@ -10443,8 +8319,8 @@ By applying to this program, I provide the following consents:
         const { speaker_ids, subject, body } = req.body;
         if (!speaker_ids || !speaker_ids.length) return res.status(400).json({ error: 'No speakers selected' });
 
-        const conf = query.get("SELECT name FROM conferences WHERE slug = 'plexus-2026'");
-        const confName = conf?.name || 'Plexus Conference 2026';
+        const conf = req.conference;
+        const confName = conf?.name || plexusEditions.label(conf);
         const results = [];
 
         for (const sid of speaker_ids) {
@@ -10492,7 +8368,7 @@ By applying to this program, I provide the following consents:
         const speaker = query.get('SELECT * FROM speakers WHERE id = ?', [req.params.id]);
         if (!speaker) return res.status(404).json({ error: 'Speaker not found' });
 
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const newYear = req.body.year || new Date().getFullYear();
         const id = uuidv4();
 
@@ -10507,7 +8383,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Get sponsors
     app.get('/api/admin/plexus/sponsors', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const sponsors = query.all(`SELECT * FROM sponsors WHERE conference_id = ? ORDER BY tier, name`, [conf?.id || '']);
         res.json(sponsors || []);
     });
@@ -10515,7 +8391,7 @@ By applying to this program, I provide the following consents:
     // Admin: Add sponsor
     app.post('/api/admin/plexus/sponsors', auth, adminOnly, (req, res) => {
         const { name, tier, website, logo_url, description, status, amount_pledged, amount_received, contact_name, contact_email, notes, is_published } = req.body;
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const id = uuidv4();
         db.run(`INSERT INTO sponsors (id, conference_id, name, tier, website, logo_url, description, status, amount_pledged, amount_received, contact_name, contact_email, notes, is_published, created_at)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
@@ -10588,7 +8464,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Export volunteers CSV
     app.get('/api/admin/plexus/volunteers/export', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const volunteers = query.all(`SELECT v.*,
             COALESCE(v.first_name, u.first_name) as first_name,
             COALESCE(v.last_name, u.last_name) as last_name,
@@ -10626,7 +8502,7 @@ By applying to this program, I provide the following consents:
 
     // Admin: Recent check-ins
     app.get('/api/admin/plexus/recent-checkins', auth, adminOnly, (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const checkins = query.all(`
             SELECT r.id, u.first_name || ' ' || u.last_name as name, u.email, r.checked_in_at
             FROM registrations r
@@ -10653,6 +8529,18 @@ By applying to this program, I provide the following consents:
 
     // ========== MONTHLY PROJECT REMINDERS ==========
 
+    // Helper: in-app notification for one staff member, pushed to their live stream as well
+    function createAdminNotification({ userId, type, title, message, project }) {
+        const id = uuidv4();
+        db.run(
+            `INSERT INTO admin_notifications (id, user_id, type, title, message, project, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, datetime('now'))`,
+            [id, userId, type, title, message, project || null]
+        );
+        liveEvents.publish(`notifications:${userId}`, 'notification', query.get('SELECT * FROM admin_notifications WHERE id = ?', [id]));
+        return id;
+    }
+
     // Get notifications for current user
     app.get('/api/notifications', auth, (req, res) => {
         const notifications = query.all(
@@ -10663,9 +8551,10 @@ By applying to this program, I provide the following consents:
     });
 
     // Mark notification as read
-    app.put('/api/notifications/:id/read', auth, (req, res) => {
+    app.put('/api/notifications/:id/read', auth, apiSpec.validate, (req, res) => {
         db.run('UPDATE admin_notifications SET is_read = 1 WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
         saveDb();
+        liveEvents.publish(`notifications:${req.user.id}`, 'notification.read', { id: req.params.id });
         res.json({ success: true });
     });
 
@@ -10674,17 +8563,14 @@ By applying to this program, I provide the following consents:
         const now = new Date();
         const month = now.toLocaleString('default', { month: 'long' });
         const year = now.getFullYear();
-        const day = now.getDate();
-
-        // Only send on the 1st of the month
-        if (day !== 1) return;
 
         // Check if already sent this month
         const alreadySent = query.get(
             'SELECT id FROM monthly_reminders_sent WHERE month = ? AND year = ?',
             [month, year]
         );
-        if (alreadySent) return;
+        if (alreadySent) return { skipped: `already sent for ${month} ${year}` };
+        let sent = 0;
 
         console.log(`Sending monthly project reminders for ${month} ${year}...`);
 
@@ -10699,15 +8585,11 @@ By applying to this program, I provide the following consents:
             if (diffDays > 0) {
                 // Send notification to all admins about this project
                 admins.forEach(admin => {
-                    const notifId = uuidv4();
                     const title = `${proj.project.charAt(0).toUpperCase() + proj.project.slice(1)} Reminder`;
                     const message = `${diffDays} days remaining until ${proj.project}! Event date: ${eventDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
 
-                    db.run(
-                        `INSERT INTO admin_notifications (id, user_id, type, title, message, project, created_at)
-                         VALUES (?, ?, 'monthly_reminder', ?, ?, ?, datetime('now'))`,
-                        [notifId, admin.id, title, message, proj.project]
-                    );
+                    createAdminNotification({ userId: admin.id, type: 'monthly_reminder', title, message, project: proj.project });
+                    sent++;
                 });
             }
         });
@@ -10717,11 +8599,15 @@ By applying to this program, I provide the following consents:
         saveDb();
 
         console.log('Monthly reminders sent successfully!');
+        return { sent };
     }
 
-    // Check for monthly reminders on startup and then daily
-    checkAndSendMonthlyReminders();
-    setInterval(checkAndSendMonthlyReminders, 24 * 60 * 60 * 1000); // Check daily
+    // Both portals register it; the 1st-of-month run happens once (monthly_reminders_sent guards reruns)
+    jobs.register('monthly-reminders', {
+        schedule: '0 8 1 * *',
+        description: 'Days-until-event notifications for every upcoming project, to all admins',
+        handler: checkAndSendMonthlyReminders
+    });
 
     // ========== USER NOTIFICATIONS (from Admin Portal via shared DB) ==========
 
@@ -10762,6 +8648,118 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
+    // ========== CONSENTS (shared/consents.js) ==========
+
+    function consentError(res, err, label) {
+        if (err instanceof ConsentError) return res.status(err.status).json({ error: err.message });
+        console.error(`${label} error:`, err);
+        res.status(500).json({ error: `${label} failed` });
+    }
+
+    // What the signed-in user agreed to, with the purposes explained (?lang=hr for Croatian)
+    app.get('/api/consents', auth, (req, res) => {
+        res.json({
+            purposes: describePurposes(req.query.lang),
+            consents: consents.forSubject({ email: req.user.email, userId: req.user.id })
+        });
+    });
+
+    // Optional consents can be given here: the newsletter, or photos at one of your registrations
+    app.post('/api/consents', auth, (req, res) => {
+        const { purpose, context_id } = req.body;
+        if (!CONSENT_PURPOSES[purpose]?.selfService) {
+            return res.status(400).json({ error: 'This consent is given on its own application or registration form' });
+        }
+        let contextId = req.user.id;
+        if (CONSENT_PURPOSES[purpose].context === 'registration') {
+            const reg = query.get('SELECT id FROM registrations WHERE id = ? AND user_id = ?', [context_id, req.user.id]);
+            if (!reg) return res.status(404).json({ error: 'Registration not found' });
+            contextId = reg.id;
+        }
+        try {
+            const consent = consents.grant(purpose, { email: req.user.email, userId: req.user.id },
+                { contextId, ...fromRequest(req), by: req.user.id });
+            saveDb();
+            res.json(consent);
+        } catch (err) {
+            consentError(res, err, 'Consent');
+        }
+    });
+
+    app.post('/api/consents/:id/withdraw', auth, (req, res) => {
+        if (!consents.belongsTo(req.params.id, { email: req.user.email, userId: req.user.id })) {
+            return res.status(404).json({ error: 'Consent not found' });
+        }
+        try {
+            const consent = consents.withdraw({ id: req.params.id }, { ...fromRequest(req), by: req.user.id });
+            saveDb();
+            res.json(consent);
+        } catch (err) {
+            consentError(res, err, 'Consent withdrawal');
+        }
+    });
+
+    // ========== WEB PUSH (shared/web-push.js) ==========
+
+    function pushError(res, err, label) {
+        if (err instanceof PushError) return res.status(err.status).json({ error: err.message });
+        console.error(`${label} error:`, err);
+        res.status(500).json({ error: `${label} failed` });
+    }
+
+    // VAPID key for pushManager.subscribe({ applicationServerKey })
+    app.get('/api/push/public-key', (req, res) => {
+        res.json({ publicKey: webPush.publicKey });
+    });
+
+    // This browser's subscription, as PushSubscription.toJSON() gives it
+    app.post('/api/push/subscriptions', auth, (req, res) => {
+        try {
+            const subscription = webPush.subscribe(req.user.id, req.body.subscription || req.body, req.get('user-agent'));
+            saveDb();
+            res.json(subscription);
+        } catch (err) {
+            pushError(res, err, 'Push subscription');
+        }
+    });
+
+    // Called by the service worker on pushsubscriptionchange, which has no access token
+    app.post('/api/push/subscriptions/renew', (req, res) => {
+        try {
+            const subscription = webPush.renew(req.body.old_endpoint, req.body.subscription, req.get('user-agent'));
+            saveDb();
+            res.json({ success: true, id: subscription.id });
+        } catch (err) {
+            pushError(res, err, 'Push subscription renewal');
+        }
+    });
+
+    app.get('/api/push/subscriptions', auth, (req, res) => {
+        res.json(webPush.subscriptions(req.user.id));
+    });
+
+    app.delete('/api/push/subscriptions', auth, apiSpec.validate, (req, res) => {
+        if (!webPush.unsubscribe(req.user.id, req.body.endpoint)) return res.status(404).json({ error: 'Subscription not found' });
+        saveDb();
+        res.json({ success: true });
+    });
+
+    // Per-category opt-outs: [{ key, label, description, enabled }]
+    app.get('/api/push/preferences', auth, (req, res) => {
+        res.json(webPush.preferences(req.user.id));
+    });
+
+    // Body: { notifications: false, session_reminders: true, ... }
+    app.put('/api/push/preferences', auth, apiSpec.validate, (req, res) => {
+        try {
+            const preferences = webPush.setPreferences(req.user.id, req.body);
+            saveDb();
+            res.json(preferences);
+        } catch (err) {
+            pushError(res, err, 'Push preferences');
+        }
+    });
+
     // ========== PUBLIC ACCELERATOR KEY DATES (for user portal timeline) ==========
 
     // Get key dates for current year (public - no auth required for user portal display)
@@ -10795,7 +8793,7 @@ By applying to this program, I provide the following consents:
     // ========== PUBLIC APPLICANT PORTAL API ==========
 
     // Applicant registration
-    app.post('/api/applicant/register', async (req, res) => {
+    app.post('/api/applicant/register', apiSpec.validate, async (req, res) => {
         try {
             const { email, password, first_name, last_name } = req.body;
 
@@ -10819,7 +8817,7 @@ By applying to this program, I provide the following consents:
             saveDb();
 
             // Send verification email
-            const baseUrl = req.headers.origin || `http://localhost:${PORT}`;
+            const baseUrl = PUBLIC_URL;
             const verifyLink = `${baseUrl}/apply?verify=${verificationToken}`;
             await sendEmail(email, 'Med&X Accelerator - Verify Your Email', `
                 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -10863,7 +8861,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Applicant login
-    app.post('/api/applicant/login', async (req, res) => {
+    app.post('/api/applicant/login', limitApplicantLogin, apiSpec.validate, async (req, res) => {
         try {
             const { email, password } = req.body;
 
@@ -10882,19 +8880,15 @@ By applying to this program, I provide the following consents:
             }
 
             // Update last login
-            db.run('UPDATE accelerator_applicants SET last_login = datetime("now") WHERE id = ?', [applicant.id]);
+            db.run("UPDATE accelerator_applicants SET last_login = datetime('now') WHERE id = ?", [applicant.id]);
             saveDb();
 
-            // Generate JWT token
-            const token = jwt.sign(
-                { id: applicant.id, email: applicant.email, type: 'applicant' },
-                JWT_SECRET,
-                { expiresIn: '7d' }
-            );
+            const { token, refreshToken } = sessions.issue({ type: 'applicant', id: applicant.id }, applicantClaims(applicant.id), req);
 
             res.json({
                 success: true,
                 token,
+                refreshToken,
                 applicant: {
                     id: applicant.id,
                     email: applicant.email,
@@ -10915,18 +8909,125 @@ By applying to this program, I provide the following consents:
             return res.status(401).json({ error: 'Unauthorized' });
         }
 
+        const decoded = sessions.verify(authHeader.substring(7), 'applicant');
+        if (!decoded) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        req.applicant = decoded;
+        next();
+    };
+
+    // Applicant sessions — refresh, sign out, list and revoke (see shared/auth-sessions.js)
+    app.post('/api/applicant/refresh', (req, res) => {
+        try {
+            res.json({ success: true, ...sessions.refresh(req.body.refreshToken, 'applicant', applicantClaims, req) });
+        } catch (err) {
+            if (err instanceof SessionError) return res.status(err.status).json({ error: err.message });
+            console.error('Applicant refresh error:', err);
+            res.status(500).json({ error: 'Failed to refresh session' });
+        }
+    });
+
+    app.post('/api/applicant/logout', applicantAuth, (req, res) => {
+        sessions.revoke(req.applicant.sid);
+        res.json({ success: true });
+    });
+
+    app.get('/api/applicant/sessions', applicantAuth, (req, res) => {
+        res.json(sessions.list({ type: 'applicant', id: req.applicant.id }, req.applicant.sid));
+    });
+
+    // Sign out every other device
+    app.delete('/api/applicant/sessions', applicantAuth, (req, res) => {
+        const revoked = sessions.revokeAll({ type: 'applicant', id: req.applicant.id }, { except: req.applicant.sid });
+        res.json({ success: true, revoked });
+    });
+
+    app.delete('/api/applicant/sessions/:id', applicantAuth, (req, res) => {
+        if (!sessions.revoke(req.params.id, 'revoked by user', { type: 'applicant', id: req.applicant.id })) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ success: true });
+    });
+
+    // Consents the applicant gave, and withdrawing them (shared/consents.js)
+    app.get('/api/applicant/consents', applicantAuth, (req, res) => {
+        res.json({
+            purposes: describePurposes(req.query.lang),
+            consents: consents.forSubject({ email: req.applicant.email, applicantId: req.applicant.id })
+        });
+    });
+
+    app.post('/api/applicant/consents/:id/withdraw', applicantAuth, (req, res) => {
+        if (!consents.belongsTo(req.params.id, { email: req.applicant.email, applicantId: req.applicant.id })) {
+            return res.status(404).json({ error: 'Consent not found' });
+        }
+        try {
+            const consent = consents.withdraw({ id: req.params.id }, { ...fromRequest(req), by: req.applicant.id });
+            saveDb();
+            res.json(consent);
+        } catch (err) {
+            consentError(res, err, 'Consent withdrawal');
+        }
+    });
+
+    // Email a single-use reset link; the answer doesn't reveal whether the account exists
+    app.post('/api/applicant/forgot-password', limitPasswordReset, apiSpec.validate, async (req, res) => {
+        try {
+            const email = String(req.body.email || '').trim().toLowerCase();
+            if (!email) return res.status(400).json({ error: 'Email is required' });
+            const applicant = query.get('SELECT id, email, first_name FROM accelerator_applicants WHERE email = ?', [email]);
+            if (applicant) {
+                const resetToken = sessions.createResetToken({ type: 'applicant', id: applicant.id }, req);
+                const baseUrl = PUBLIC_URL;
+                const resetLink = `${baseUrl}/apply?reset=${resetToken}`;
+                await sendEmail(applicant.email, 'Med&X Accelerator - Reset Your Password', `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <div style="background: #22d3ee; color: white; padding: 20px; text-align: center;">
+                            <h2 style="margin: 0;">Med&X Accelerator</h2>
+                        </div>
+                        <div style="padding: 20px; background: #ffffff; border: 1px solid #ddd;">
+                            <p>Hi ${applicant.first_name || 'there'},</p>
+                            <p>We received a request to reset your password. The link below works once, within the next hour:</p>
+                            <p style="text-align: center; margin: 20px 0;">
+                                <a href="${resetLink}" style="display: inline-block; background: #22d3ee; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                                    Reset Password
+                                </a>
+                            </p>
+                            <p style="color: #666; font-size: 13px;">
+                                If you didn't ask for this, you can ignore this email — your password stays the same.
+                            </p>
+                        </div>
+                    </div>
+                `);
+            }
+            res.json({ success: true, message: 'If an account with that email exists, a reset link has been sent.' });
+        } catch (e) {
+            console.error('Applicant forgot password error:', e);
+            res.status(500).json({ error: 'Failed to send reset link' });
+        }
+    });
+
+    // Set a new password from a reset link; signs the applicant out everywhere
+    app.post('/api/applicant/reset-password', apiSpec.validate, async (req, res) => {
         try {
-            const token = authHeader.substring(7);
-            const decoded = jwt.verify(token, JWT_SECRET);
-            if (decoded.type !== 'applicant') {
-                return res.status(401).json({ error: 'Invalid token type' });
+            const { token, password } = req.body;
+            if (!password || password.length < 8) {
+                return res.status(400).json({ error: 'Password must be at least 8 characters' });
             }
-            req.applicant = decoded;
-            next();
+            const applicantId = sessions.consumeResetToken('applicant', token);
+            if (!applicantId) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+            const passwordHash = await bcrypt.hash(password, 10);
+            db.run('UPDATE accelerator_applicants SET password_hash = ?, email_verified = 1, verification_token = NULL WHERE id = ?',
+                [passwordHash, applicantId]);
+            sessions.revokeAll({ type: 'applicant', id: applicantId }, { reason: 'password reset' });
+            saveDb();
+            res.json({ success: true, message: 'Password updated. You can now log in.' });
         } catch (e) {
-            return res.status(401).json({ error: 'Invalid token' });
+            console.error('Applicant reset password error:', e);
+            res.status(500).json({ error: 'Failed to reset password' });
         }
-    };
+    });
 
     // Get applicant profile
     app.get('/api/applicant/profile', applicantAuth, (req, res) => {
@@ -10944,7 +9045,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Update applicant profile
-    app.put('/api/applicant/profile', applicantAuth, (req, res) => {
+    app.put('/api/applicant/profile', applicantAuth, apiSpec.validate, (req, res) => {
         const { first_name, last_name, phone, date_of_birth, nationality, address, city, country,
                 current_institution, faculty, study_year, expected_graduation } = req.body;
 
@@ -10979,7 +9080,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Start a new application
-    app.post('/api/applicant/applications', applicantAuth, (req, res) => {
+    app.post('/api/applicant/applications', applicantAuth, apiSpec.validate, (req, res) => {
         const { year } = req.body;
         const program = query.get('SELECT * FROM accelerator_programs WHERE year = ?', [year || new Date().getFullYear()]);
         if (!program) {
@@ -11024,7 +9125,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Update application
-    app.put('/api/applicant/applications/:id', applicantAuth, (req, res) => {
+    app.put('/api/applicant/applications/:id', applicantAuth, apiSpec.validate, (req, res) => {
         const app = query.get('SELECT * FROM accelerator_applications WHERE id = ? AND user_id = ?',
             [req.params.id, req.applicant.id]);
         if (!app) {
@@ -11076,6 +9177,8 @@ By applying to this program, I provide the following consents:
 
         db.run(`UPDATE accelerator_applications SET status = 'submitted', submitted_at = datetime('now'), gdpr_consent_date = datetime('now') WHERE id = ?`,
             [req.params.id]);
+        consents.grant('accelerator', { email: app.email || req.applicant.email, applicantId: req.applicant.id },
+            { contextId: app.id, ...fromRequest(req) });
         saveDb();
 
         // Send confirmation email (branded template)
@@ -11453,6 +9556,79 @@ By applying to this program, I provide the following consents:
     });
 
     // ========== PUBLIC APPLICANT PORTAL ==========
+    // Password reset landing page for the link in the reset email (POSTs to /api/auth/reset-password)
+    app.get('/reset-password', (req, res) => {
+        res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Med&X - Reset Password</title>
+    <style>
+        :root { --bg: #0f172a; --card: #1e293b; --border: #334155; --accent: #C9A962; --success: #22c55e; --danger: #ef4444; --text: #f1f5f9; --muted: #94a3b8; }
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: var(--bg); color: var(--text); min-height: 100vh; display: flex; align-items: center; justify-content: center; padding: 24px; }
+        .card { background: var(--card); border-radius: 12px; border: 1px solid var(--border); padding: 28px; width: 100%; max-width: 400px; }
+        h2 { text-align: center; margin-bottom: 20px; color: var(--accent); }
+        label { display: block; margin-bottom: 6px; font-size: 13px; color: var(--muted); }
+        input { width: 100%; padding: 12px; border-radius: 6px; border: 1px solid var(--border); background: var(--bg); color: var(--text); font-size: 14px; margin-bottom: 16px; }
+        button { width: 100%; padding: 12px; border-radius: 6px; border: none; background: var(--accent); color: #0f172a; font-weight: 600; font-size: 14px; cursor: pointer; }
+        .alert { padding: 12px 16px; border-radius: 6px; margin-bottom: 16px; font-size: 14px; }
+        .alert-success { background: rgba(34,197,94,0.1); border: 1px solid var(--success); color: var(--success); }
+        .alert-error { background: rgba(239,68,68,0.1); border: 1px solid var(--danger); color: var(--danger); }
+        .hidden { display: none; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <h2>Choose a New Password</h2>
+        <div id="message" class="alert hidden"></div>
+        <div id="form">
+            <label>New password</label>
+            <input type="password" id="password" placeholder="At least 8 characters">
+            <label>Repeat new password</label>
+            <input type="password" id="confirm" placeholder="Repeat new password">
+            <button onclick="resetPassword()">Set Password</button>
+        </div>
+    </div>
+    <script>
+        const token = new URLSearchParams(window.location.search).get('token');
+
+        function show(kind, text) {
+            const el = document.getElementById('message');
+            el.className = 'alert alert-' + kind;
+            el.textContent = text;
+        }
+
+        if (!token) {
+            show('error', 'This reset link is incomplete. Request a new one from the sign-in page.');
+            document.getElementById('form').classList.add('hidden');
+        }
+
+        async function resetPassword() {
+            const password = document.getElementById('password').value;
+            if (password.length < 8) return show('error', 'Password must be at least 8 characters.');
+            if (password !== document.getElementById('confirm').value) return show('error', 'Passwords do not match.');
+            try {
+                const res = await fetch('/api/auth/reset-password', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token, password })
+                });
+                const result = await res.json();
+                if (!res.ok) return show('error', result.error || 'Could not reset your password.');
+                show('success', result.message);
+                document.getElementById('form').classList.add('hidden');
+                setTimeout(() => { window.location.href = '/'; }, 2500);
+            } catch (e) {
+                show('error', 'Could not reset your password. Please try again.');
+            }
+        }
+    </script>
+</body>
+</html>`);
+    });
+
     app.get('/apply', (req, res) => {
         res.send(`<!DOCTYPE html>
 <html lang="en">
@@ -11537,6 +9713,9 @@ By applying to this program, I provide the following consents:
                     <button class="btn btn-primary" style="width: 100%;" onclick="login()">
                         <i class="fas fa-sign-in-alt"></i> Login
                     </button>
+                    <p style="text-align: center; margin-top: 14px; font-size: 13px;">
+                        <a href="#" onclick="showAuthTab('forgot'); return false;" style="color: var(--accent);">Forgot password?</a>
+                    </p>
                 </div>
             </div>
 
@@ -11568,6 +9747,41 @@ By applying to this program, I provide the following consents:
                     </button>
                 </div>
             </div>
+
+            <div id="forgotForm" class="card hidden">
+                <div class="card-body">
+                    <h3 style="text-align: center; margin-bottom: 20px;">Reset Password</h3>
+                    <div id="forgotMessage" class="alert hidden"></div>
+                    <div class="form-group">
+                        <label>Email</label>
+                        <input type="email" id="forgotEmail" placeholder="your@email.com">
+                    </div>
+                    <button class="btn btn-primary" style="width: 100%;" onclick="forgotPassword()">
+                        <i class="fas fa-envelope"></i> Send Reset Link
+                    </button>
+                    <p style="text-align: center; margin-top: 14px; font-size: 13px;">
+                        <a href="#" onclick="showAuthTab('login'); return false;" style="color: var(--accent);">Back to login</a>
+                    </p>
+                </div>
+            </div>
+
+            <div id="resetForm" class="card hidden">
+                <div class="card-body">
+                    <h3 style="text-align: center; margin-bottom: 20px;">Choose a New Password</h3>
+                    <div id="resetMessage" class="alert hidden"></div>
+                    <div class="form-group">
+                        <label>New Password</label>
+                        <input type="password" id="resetPassword" placeholder="At least 8 characters">
+                    </div>
+                    <div class="form-group">
+                        <label>Repeat New Password</label>
+                        <input type="password" id="resetConfirm" placeholder="Repeat new password">
+                    </div>
+                    <button class="btn btn-primary" style="width: 100%;" onclick="resetPassword()">
+                        <i class="fas fa-key"></i> Set Password
+                    </button>
+                </div>
+            </div>
         </div>
 
         <!-- Dashboard -->
@@ -11625,12 +9839,28 @@ By applying to this program, I provide the following consents:
                     </div>
                     <div class="card-body" id="profileContent"></div>
                 </div>
+                <div class="card">
+                    <div class="card-header">
+                        <span style="font-weight: 600;">Signed-in Devices</span>
+                        <button class="btn btn-secondary" onclick="revokeOtherSessions()"><i class="fas fa-sign-out-alt"></i> Sign Out Other Devices</button>
+                    </div>
+                    <div class="card-body" id="sessionsContent"></div>
+                </div>
+                <div class="card">
+                    <div class="card-header">
+                        <span style="font-weight: 600;">Privacy &amp; Consents</span>
+                    </div>
+                    <div class="card-body" id="consentsContent"></div>
+                </div>
             </div>
         </div>
     </div>
 
     <script>
         let token = localStorage.getItem('applicantToken');
+        let refreshToken = localStorage.getItem('applicantRefreshToken');
+        let refreshTimer = null;
+        let pendingResetToken = null;
         let applicant = null;
         let application = null;
         let programs = { programs: [], institutions: [] };
@@ -11663,22 +9893,107 @@ By applying to this program, I provide the following consents:
                 window.history.replaceState({}, '', '/apply');
             }
 
+            // Password reset link from email
+            pendingResetToken = params.get('reset');
+            if (pendingResetToken) {
+                showAuthTab('reset');
+                window.history.replaceState({}, '', '/apply');
+            }
+
             // Load programs
             try {
                 const res = await fetch('/api/applicant/programs');
                 programs = await res.json();
             } catch (e) {}
 
-            if (token) {
+            if (token && !pendingResetToken) {
+                await refreshSession();
                 await loadDashboard();
             }
         }
 
+        function storeSession(result) {
+            token = result.token;
+            refreshToken = result.refreshToken;
+            localStorage.setItem('applicantToken', token);
+            localStorage.setItem('applicantRefreshToken', refreshToken);
+            scheduleRefresh();
+        }
+
+        // Access tokens are short-lived; renew a minute before this one expires
+        function scheduleRefresh() {
+            clearTimeout(refreshTimer);
+            try {
+                const exp = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))).exp;
+                refreshTimer = setTimeout(refreshSession, Math.max(exp * 1000 - Date.now() - 60000, 5000));
+            } catch (e) {}
+        }
+
+        async function refreshSession() {
+            if (!refreshToken) return false;
+            try {
+                const res = await fetch('/api/applicant/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                if (!res.ok) return false;
+                storeSession(await res.json());
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
         function showAuthTab(tab) {
             document.querySelectorAll('#authSection .tab').forEach(t => t.classList.remove('active'));
-            document.querySelector('#authSection .tab:' + (tab === 'login' ? 'first-child' : 'last-child')).classList.add('active');
-            document.getElementById('loginForm').classList.toggle('hidden', tab !== 'login');
-            document.getElementById('registerForm').classList.toggle('hidden', tab !== 'register');
+            document.querySelector('#authSection .tab:' + (tab === 'register' ? 'last-child' : 'first-child')).classList.add('active');
+            ['login', 'register', 'forgot', 'reset'].forEach(t => {
+                document.getElementById(t + 'Form').classList.toggle('hidden', t !== tab);
+            });
+        }
+
+        function showAuthMessage(id, kind, text) {
+            const el = document.getElementById(id);
+            el.className = 'alert alert-' + kind;
+            el.textContent = text;
+        }
+
+        async function forgotPassword() {
+            const email = document.getElementById('forgotEmail').value.trim();
+            if (!email) return showAuthMessage('forgotMessage', 'error', 'Please enter your email.');
+            try {
+                const res = await fetch('/api/applicant/forgot-password', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email })
+                });
+                const result = await res.json();
+                showAuthMessage('forgotMessage', res.ok ? 'success' : 'error', result.message || result.error);
+            } catch (e) {
+                showAuthMessage('forgotMessage', 'error', 'Could not send the reset link. Please try again.');
+            }
+        }
+
+        async function resetPassword() {
+            const password = document.getElementById('resetPassword').value;
+            if (password.length < 8) return showAuthMessage('resetMessage', 'error', 'Password must be at least 8 characters.');
+            if (password !== document.getElementById('resetConfirm').value) return showAuthMessage('resetMessage', 'error', 'Passwords do not match.');
+            try {
+                const res = await fetch('/api/applicant/reset-password', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ token: pendingResetToken, password })
+                });
+                const result = await res.json();
+                if (!res.ok) return showAuthMessage('resetMessage', 'error', result.error);
+                pendingResetToken = null;
+                logout();
+                showAuthTab('login');
+                alert(result.message);
+            } catch (e) {
+                showAuthMessage('resetMessage', 'error', 'Could not reset your password. Please try again.');
+            }
         }
 
         async function register() {
@@ -11724,8 +10039,7 @@ By applying to this program, I provide the following consents:
                 const result = await res.json();
 
                 if (result.success) {
-                    token = result.token;
-                    localStorage.setItem('applicantToken', token);
+                    storeSession(result);
                     applicant = result.applicant;
                     await loadDashboard();
                 } else {
@@ -11739,10 +10053,16 @@ By applying to this program, I provide the following consents:
         }
 
         function logout() {
+            if (token) {
+                fetch('/api/applicant/logout', { method: 'POST', headers: { 'Authorization': 'Bearer ' + token } }).catch(() => {});
+            }
+            clearTimeout(refreshTimer);
             token = null;
+            refreshToken = null;
             applicant = null;
             application = null;
             localStorage.removeItem('applicantToken');
+            localStorage.removeItem('applicantRefreshToken');
             document.getElementById('authSection').classList.remove('hidden');
             document.getElementById('dashboardSection').classList.add('hidden');
             document.getElementById('userNav').innerHTML = '';
@@ -11855,6 +10175,64 @@ By applying to this program, I provide the following consents:
                 '<div class="form-group"><label>Faculty</label><input type="text" id="profFaculty" value="' + (applicant.faculty || '') + '"></div></div>' +
                 '<div class="form-row"><div class="form-group"><label>Year of Study</label><input type="text" id="profYear" value="' + (applicant.study_year || '') + '"></div>' +
                 '<div class="form-group"><label>Expected Graduation</label><input type="text" id="profGrad" value="' + (applicant.expected_graduation || '') + '"></div></div>';
+            loadSessions();
+            loadConsents();
+        }
+
+        async function loadConsents() {
+            const container = document.getElementById('consentsContent');
+            try {
+                const res = await fetch('/api/applicant/consents', { headers: { 'Authorization': 'Bearer ' + token } });
+                const { purposes, consents } = await res.json();
+                const purposeOf = key => purposes.find(p => p.key === key) || { label: key, description: '' };
+                container.innerHTML = consents.length ? consents.map(c =>
+                    '<div style="display: flex; justify-content: space-between; align-items: center; gap: 16px; padding: 10px 0; border-bottom: 1px solid var(--border);">' +
+                    '<div><div style="font-weight: 600;">' + purposeOf(c.purpose).label + (c.context_label ? ' · ' + c.context_label : '') +
+                    (c.active ? ' <span class="badge badge-success">Given</span>' : ' <span class="badge">Withdrawn</span>') + '</div>' +
+                    '<div style="font-size: 13px;">' + purposeOf(c.purpose).description + '</div>' +
+                    '<div style="font-size: 12px; color: var(--muted);">Given ' + new Date(c.granted_at + 'Z').toLocaleDateString() +
+                    ' (policy ' + c.policy_version + ')' + (c.withdrawn_at ? ' · withdrawn ' + new Date(c.withdrawn_at + 'Z').toLocaleDateString() : '') + '</div></div>' +
+                    (c.active ? '<button class="btn btn-secondary" data-id="' + c.id + '" onclick="withdrawConsent(this.dataset.id)">Withdraw</button>' : '') +
+                    '</div>'
+                ).join('') : '<p style="color: var(--muted);">You have not given any consents yet.</p>';
+            } catch (e) {
+                container.innerHTML = '<p style="color: var(--muted);">Could not load your consents.</p>';
+            }
+        }
+
+        async function withdrawConsent(id) {
+            if (!confirm('Withdraw this consent? We will stop processing your data for this purpose. Without consent to process your application data, your application cannot be evaluated.')) return;
+            const res = await fetch('/api/applicant/consents/' + id + '/withdraw', { method: 'POST', headers: { 'Authorization': 'Bearer ' + token } });
+            if (!res.ok) alert((await res.json()).error || 'Could not withdraw the consent');
+            loadConsents();
+        }
+
+        async function loadSessions() {
+            const container = document.getElementById('sessionsContent');
+            try {
+                const res = await fetch('/api/applicant/sessions', { headers: { 'Authorization': 'Bearer ' + token } });
+                const list = await res.json();
+                container.innerHTML = list.map(s =>
+                    '<div style="display: flex; justify-content: space-between; align-items: center; padding: 10px 0; border-bottom: 1px solid var(--border);">' +
+                    '<div><div style="font-weight: 600;">' + s.device + (s.current ? ' <span class="badge badge-success">This device</span>' : '') + '</div>' +
+                    '<div style="font-size: 12px; color: var(--muted);">' + (s.ip || '') + ' · last active ' + new Date((s.last_used_at || s.created_at) + 'Z').toLocaleString() + '</div></div>' +
+                    (s.current ? '' : '<button class="btn btn-secondary" data-id="' + s.id + '" onclick="revokeSession(this.dataset.id)">Sign Out</button>') +
+                    '</div>'
+                ).join('');
+            } catch (e) {
+                container.innerHTML = '<p style="color: var(--muted);">Could not load your devices.</p>';
+            }
+        }
+
+        async function revokeSession(id) {
+            await fetch('/api/applicant/sessions/' + id, { method: 'DELETE', headers: { 'Authorization': 'Bearer ' + token } });
+            loadSessions();
+        }
+
+        async function revokeOtherSessions() {
+            if (!confirm('Sign out of every other device?')) return;
+            await fetch('/api/applicant/sessions', { method: 'DELETE', headers: { 'Authorization': 'Bearer ' + token } });
+            loadSessions();
         }
 
         async function saveProfile() {
@@ -12061,7 +10439,7 @@ By applying to this program, I provide the following consents:
     }
 
     // Finance Dashboard
-    app.get('/api/finance/dashboard', auth, (req, res) => {
+    app.get('/api/finance/dashboard', auth, adminOnly, (req, res) => {
         const year = parseInt(req.query.year) || new Date().getFullYear();
 
         // Get latest bank balance
@@ -12109,12 +10487,12 @@ By applying to this program, I provide the following consents:
     });
 
     // Bank Balance
-    app.get('/api/finance/bank-balance', auth, (req, res) => {
+    app.get('/api/finance/bank-balance', auth, adminOnly, (req, res) => {
         const balances = query.all('SELECT * FROM finance_bank_balance ORDER BY date DESC, created_at DESC');
         res.json(balances);
     });
 
-    app.post('/api/finance/bank-balance', auth, (req, res) => {
+    app.post('/api/finance/bank-balance', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { balance, date, notes } = req.body;
         const id = uuidv4();
         db.run('INSERT INTO finance_bank_balance (id, balance, date, notes, created_by) VALUES (?, ?, ?, ?, ?)',
@@ -12123,19 +10501,19 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id });
     });
 
-    app.delete('/api/finance/bank-balance/:id', auth, (req, res) => {
+    app.delete('/api/finance/bank-balance/:id', auth, adminOnly, (req, res) => {
         db.run('DELETE FROM finance_bank_balance WHERE id = ?', [req.params.id]);
         saveDb();
         res.json({ success: true });
     });
 
     // Fiscal Years
-    app.get('/api/finance/years', auth, (req, res) => {
+    app.get('/api/finance/years', auth, adminOnly, (req, res) => {
         const years = query.all('SELECT * FROM finance_fiscal_years ORDER BY year DESC');
         res.json(years);
     });
 
-    app.post('/api/finance/years', auth, (req, res) => {
+    app.post('/api/finance/years', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { year } = req.body;
         const id = uuidv4();
         db.run('INSERT INTO finance_fiscal_years (id, year, status) VALUES (?, ?, ?)', [id, year, 'open']);
@@ -12143,7 +10521,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id });
     });
 
-    app.put('/api/finance/years/:year', auth, (req, res) => {
+    app.put('/api/finance/years/:year', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { status, notes } = req.body;
         const year = parseInt(req.params.year);
 
@@ -12165,7 +10543,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Work Units
-    app.get('/api/finance/work-units', auth, (req, res) => {
+    app.get('/api/finance/work-units', auth, adminOnly, (req, res) => {
         const year = req.query.year ? parseInt(req.query.year) : null;
         const status = req.query.status;
 
@@ -12185,7 +10563,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/work-units', auth, (req, res) => {
+    app.post('/api/finance/work-units', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { code, name, description, grant_source, fiscal_year, budget_total } = req.body;
         const id = uuidv4();
         db.run(`INSERT INTO finance_work_units (id, code, name, description, grant_source, fiscal_year, budget_total)
@@ -12195,7 +10573,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id });
     });
 
-    app.get('/api/finance/work-units/:id', auth, (req, res) => {
+    app.get('/api/finance/work-units/:id', auth, adminOnly, (req, res) => {
         const wu = query.get('SELECT * FROM finance_work_units WHERE id = ?', [req.params.id]);
         if (!wu) return res.status(404).json({ error: 'Not found' });
 
@@ -12204,7 +10582,7 @@ By applying to this program, I provide the following consents:
         res.json({ ...wu, transactions });
     });
 
-    app.put('/api/finance/work-units/:id', auth, (req, res) => {
+    app.put('/api/finance/work-units/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { code, name, description, grant_source, budget_total, status } = req.body;
         db.run(`UPDATE finance_work_units SET code = ?, name = ?, description = ?, grant_source = ?, budget_total = ?, status = ? WHERE id = ?`,
             [code, name, description, grant_source, budget_total, status, req.params.id]);
@@ -12212,7 +10590,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.delete('/api/finance/work-units/:id', auth, (req, res) => {
+    app.delete('/api/finance/work-units/:id', auth, adminOnly, (req, res) => {
         // Check if any transactions reference this work unit
         const count = query.get('SELECT COUNT(*) as c FROM finance_transactions WHERE work_unit_id = ?', [req.params.id]);
         if (count?.c > 0) {
@@ -12224,7 +10602,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Transactions
-    app.get('/api/finance/transactions', auth, (req, res) => {
+    app.get('/api/finance/transactions', auth, adminOnly, (req, res) => {
         const { year, type, project, work_unit_id, limit: limitParam, offset } = req.query;
         let sql = `SELECT t.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_transactions t
@@ -12263,7 +10641,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/transactions', auth, (req, res) => {
+    app.post('/api/finance/transactions', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { transaction_type, amount, date, description, project, work_unit_id, category, payment_method, reference, fiscal_year } = req.body;
         const id = uuidv4();
         const year = fiscal_year || new Date(date).getFullYear();
@@ -12282,7 +10660,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id, transaction_number: transactionNumber });
     });
 
-    app.get('/api/finance/transactions/:id', auth, (req, res) => {
+    app.get('/api/finance/transactions/:id', auth, adminOnly, (req, res) => {
         const t = query.get(`SELECT t.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_transactions t
             LEFT JOIN finance_work_units wu ON t.work_unit_id = wu.id
@@ -12291,7 +10669,7 @@ By applying to this program, I provide the following consents:
         res.json(t);
     });
 
-    app.put('/api/finance/transactions/:id', auth, (req, res) => {
+    app.put('/api/finance/transactions/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const existing = query.get('SELECT * FROM finance_transactions WHERE id = ?', [req.params.id]);
         if (!existing) return res.status(404).json({ error: 'Not found' });
 
@@ -12318,7 +10696,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.delete('/api/finance/transactions/:id', auth, (req, res) => {
+    app.delete('/api/finance/transactions/:id', auth, adminOnly, (req, res) => {
         const existing = query.get('SELECT * FROM finance_transactions WHERE id = ?', [req.params.id]);
         if (!existing) return res.status(404).json({ error: 'Not found' });
 
@@ -12333,7 +10711,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Invoices
-    app.get('/api/finance/invoices', auth, (req, res) => {
+    app.get('/api/finance/invoices', auth, adminOnly, (req, res) => {
         const { year, direction, status } = req.query;
         let sql = `SELECT i.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_invoices i
@@ -12357,7 +10735,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/invoices', auth, (req, res) => {
+    app.post('/api/finance/invoices', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { invoice_type, direction, party_name, party_address, party_oib, party_email,
             issue_date, due_date, fiscalized, notes, project, work_unit_id, fiscal_year, items } = req.body;
 
@@ -12406,7 +10784,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id, invoice_number: invoiceNumber });
     });
 
-    app.get('/api/finance/invoices/:id', auth, (req, res) => {
+    app.get('/api/finance/invoices/:id', auth, adminOnly, (req, res) => {
         const invoice = query.get(`SELECT i.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_invoices i
             LEFT JOIN finance_work_units wu ON i.work_unit_id = wu.id
@@ -12417,7 +10795,7 @@ By applying to this program, I provide the following consents:
         res.json({ ...invoice, items });
     });
 
-    app.put('/api/finance/invoices/:id', auth, (req, res) => {
+    app.put('/api/finance/invoices/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { party_name, party_address, party_oib, party_email, issue_date, due_date,
             fiscalized, notes, project, work_unit_id, items } = req.body;
 
@@ -12460,7 +10838,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.delete('/api/finance/invoices/:id', auth, (req, res) => {
+    app.delete('/api/finance/invoices/:id', auth, adminOnly, (req, res) => {
         db.run('DELETE FROM finance_invoice_items WHERE invoice_id = ?', [req.params.id]);
         db.run('DELETE FROM finance_invoices WHERE id = ?', [req.params.id]);
         saveDb();
@@ -12468,7 +10846,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Issue invoice (change status from draft to issued)
-    app.post('/api/finance/invoices/:id/issue', auth, (req, res) => {
+    app.post('/api/finance/invoices/:id/issue', auth, adminOnly, (req, res) => {
         db.run('UPDATE finance_invoices SET status = ?, issue_date = COALESCE(issue_date, date(?)) WHERE id = ?',
             ['issued', 'now', req.params.id]);
         saveDb();
@@ -12476,36 +10854,38 @@ By applying to this program, I provide the following consents:
     });
 
     // Mark invoice as paid
-    app.post('/api/finance/invoices/:id/mark-paid', auth, (req, res) => {
+    app.post('/api/finance/invoices/:id/mark-paid', auth, adminOnly, (req, res) => {
         const invoice = query.get('SELECT * FROM finance_invoices WHERE id = ?', [req.params.id]);
         if (!invoice) return res.status(404).json({ error: 'Not found' });
 
-        // Create a transaction for this payment
-        const transactionType = invoice.direction === 'outgoing' ? 'income' : 'expense';
-        const transactionNumber = getNextSequenceNumber(transactionType, invoice.fiscal_year);
-        const transactionId = uuidv4();
-
-        db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
-            project, work_unit_id, category, fiscal_year, created_by)
-            VALUES (?, ?, ?, ?, date(?), ?, ?, ?, ?, ?, ?)`,
-            [transactionId, transactionNumber, transactionType, invoice.total, 'now',
-             `Payment for invoice ${invoice.invoice_number}`, invoice.project, invoice.work_unit_id,
-             'invoice_payment', invoice.fiscal_year, req.user.id]);
-
-        // Update work unit if expense
-        if (transactionType === 'expense' && invoice.work_unit_id) {
-            db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [invoice.total, invoice.work_unit_id]);
-        }
-
-        db.run('UPDATE finance_invoices SET status = ?, paid_date = date(?), transaction_id = ? WHERE id = ?',
-            ['paid', 'now', transactionId, req.params.id]);
+        // Transaction, budget and invoice status are written as one unit
+        const transactionId = query.transaction(() => {
+            // Create a transaction for this payment
+            const transactionType = invoice.direction === 'outgoing' ? 'income' : 'expense';
+            const transactionNumber = getNextSequenceNumber(transactionType, invoice.fiscal_year);
+            const transactionId = uuidv4();
+
+            db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
+                project, work_unit_id, category, fiscal_year, created_by)
+                VALUES (?, ?, ?, ?, date(?), ?, ?, ?, ?, ?, ?)`,
+                [transactionId, transactionNumber, transactionType, invoice.total, 'now',
+                 `Payment for invoice ${invoice.invoice_number}`, invoice.project, invoice.work_unit_id,
+                 'invoice_payment', invoice.fiscal_year, req.user.id]);
+
+            // Update work unit if expense
+            if (transactionType === 'expense' && invoice.work_unit_id) {
+                db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [invoice.total, invoice.work_unit_id]);
+            }
 
-        saveDb();
+            db.run('UPDATE finance_invoices SET status = ?, paid_date = date(?), transaction_id = ? WHERE id = ?',
+                ['paid', 'now', transactionId, req.params.id]);
+            return transactionId;
+        });
         res.json({ success: true, transaction_id: transactionId });
     });
 
     // Generate invoice PDF
-    app.get('/api/finance/invoices/:id/pdf', auth, async (req, res) => {
+    app.get('/api/finance/invoices/:id/pdf', auth, adminOnly, async (req, res) => {
         const invoice = query.get('SELECT * FROM finance_invoices WHERE id = ?', [req.params.id]);
         if (!invoice) return res.status(404).json({ error: 'Not found' });
 
@@ -12611,7 +10991,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Payment Orders
-    app.get('/api/finance/payment-orders', auth, (req, res) => {
+    app.get('/api/finance/payment-orders', auth, adminOnly, (req, res) => {
         const { year, status } = req.query;
         let sql = `SELECT po.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_payment_orders po
@@ -12631,7 +11011,7 @@ By applying to this program, I provide the following consents:
         res.json(query.all(sql, params));
     });
 
-    app.post('/api/finance/payment-orders', auth, (req, res) => {
+    app.post('/api/finance/payment-orders', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { recipient_name, recipient_iban, payment_type, amount, reference, date, description, project, work_unit_id, fiscal_year } = req.body;
         const id = uuidv4();
         const year = fiscal_year || new Date().getFullYear();
@@ -12645,7 +11025,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id, order_number: orderNumber });
     });
 
-    app.get('/api/finance/payment-orders/:id', auth, (req, res) => {
+    app.get('/api/finance/payment-orders/:id', auth, adminOnly, (req, res) => {
         const po = query.get(`SELECT po.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_payment_orders po
             LEFT JOIN finance_work_units wu ON po.work_unit_id = wu.id
@@ -12654,7 +11034,7 @@ By applying to this program, I provide the following consents:
         res.json(po);
     });
 
-    app.put('/api/finance/payment-orders/:id', auth, (req, res) => {
+    app.put('/api/finance/payment-orders/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { recipient_name, recipient_iban, payment_type, amount, reference, date, execution_date, status, description, project, work_unit_id } = req.body;
         db.run(`UPDATE finance_payment_orders SET recipient_name = ?, recipient_iban = ?, payment_type = ?, amount = ?,
             reference = ?, date = ?, execution_date = ?, status = ?, description = ?, project = ?, work_unit_id = ? WHERE id = ?`,
@@ -12663,14 +11043,14 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.delete('/api/finance/payment-orders/:id', auth, (req, res) => {
+    app.delete('/api/finance/payment-orders/:id', auth, adminOnly, (req, res) => {
         db.run('DELETE FROM finance_payment_orders WHERE id = ?', [req.params.id]);
         saveDb();
         res.json({ success: true });
     });
 
     // Travel Orders
-    app.get('/api/finance/travel-orders', auth, (req, res) => {
+    app.get('/api/finance/travel-orders', auth, adminOnly, (req, res) => {
         const { year, status, traveler_id } = req.query;
         let sql = `SELECT to1.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_travel_orders to1
@@ -12695,7 +11075,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Get user's own travel orders
-    app.get('/api/finance/my-travel-orders', auth, (req, res) => {
+    app.get('/api/finance/my-travel-orders', auth, adminOnly, (req, res) => {
         // Get team member ID for current user
         const teamMember = query.get('SELECT id FROM team_members WHERE user_id = ?', [req.user.id]);
         if (!teamMember) return res.json([]);
@@ -12708,7 +11088,7 @@ By applying to this program, I provide the following consents:
         res.json(orders);
     });
 
-    app.post('/api/finance/travel-orders', auth, (req, res) => {
+    app.post('/api/finance/travel-orders', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { traveler_id, traveler_name, destination, purpose, planned_departure, planned_return, travel_method,
             notes, project, work_unit_id, fiscal_year, advance_amount } = req.body;
 
@@ -12726,7 +11106,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id, order_number: orderNumber });
     });
 
-    app.get('/api/finance/travel-orders/:id', auth, (req, res) => {
+    app.get('/api/finance/travel-orders/:id', auth, adminOnly, (req, res) => {
         const order = query.get(`SELECT to1.*, wu.code as work_unit_code, wu.name as work_unit_name
             FROM finance_travel_orders to1
             LEFT JOIN finance_work_units wu ON to1.work_unit_id = wu.id
@@ -12737,7 +11117,7 @@ By applying to this program, I provide the following consents:
         res.json({ ...order, evidence });
     });
 
-    app.put('/api/finance/travel-orders/:id', auth, (req, res) => {
+    app.put('/api/finance/travel-orders/:id', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { destination, purpose, planned_departure, planned_return, actual_departure, actual_return,
             travel_method, kilometers, cost_transport, cost_accommodation, cost_daily_allowance, cost_other,
             traveler_notes, notes, project, work_unit_id } = req.body;
@@ -12756,7 +11136,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Travel order workflow
-    app.post('/api/finance/travel-orders/:id/submit', auth, (req, res) => {
+    app.post('/api/finance/travel-orders/:id/submit', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { actual_departure, actual_return, travel_method, kilometers,
             cost_transport, cost_accommodation, cost_daily_allowance, cost_other, traveler_notes } = req.body;
 
@@ -12772,7 +11152,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.post('/api/finance/travel-orders/:id/approve', auth, (req, res) => {
+    app.post('/api/finance/travel-orders/:id/approve', auth, adminOnly, (req, res) => {
         const order = query.get('SELECT * FROM finance_travel_orders WHERE id = ?', [req.params.id]);
         const reimbursement = order.cost_total - (order.advance_amount || 0);
 
@@ -12783,7 +11163,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, reimbursement_amount: reimbursement });
     });
 
-    app.post('/api/finance/travel-orders/:id/reject', auth, (req, res) => {
+    app.post('/api/finance/travel-orders/:id/reject', auth, adminOnly, apiSpec.validate, (req, res) => {
         const { rejection_reason } = req.body;
         db.run(`UPDATE finance_travel_orders SET status = 'rejected', rejection_reason = ? WHERE id = ?`,
             [rejection_reason, req.params.id]);
@@ -12791,29 +11171,32 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.post('/api/finance/travel-orders/:id/pay', auth, (req, res) => {
+    app.post('/api/finance/travel-orders/:id/pay', auth, adminOnly, (req, res) => {
         const order = query.get('SELECT * FROM finance_travel_orders WHERE id = ?', [req.params.id]);
         if (!order) return res.status(404).json({ error: 'Not found' });
 
-        // Create expense transaction
-        const transactionNumber = getNextSequenceNumber('expense', order.fiscal_year);
-        const transactionId = uuidv4();
-
-        db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
-            project, work_unit_id, category, fiscal_year, created_by)
-            VALUES (?, ?, 'expense', ?, date(?), ?, ?, ?, 'travel', ?, ?)`,
-            [transactionId, transactionNumber, order.cost_total, 'now',
-             `Travel order ${order.order_number} - ${order.traveler_name}`, order.project, order.work_unit_id,
-             order.fiscal_year, req.user.id]);
-
-        // Update work unit budget
-        if (order.work_unit_id) {
-            db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [order.cost_total, order.work_unit_id]);
-        }
+        // Transaction, budget and order status are written as one unit
+        const transactionId = query.transaction(() => {
+            // Create expense transaction
+            const transactionNumber = getNextSequenceNumber('expense', order.fiscal_year);
+            const transactionId = uuidv4();
+
+            db.run(`INSERT INTO finance_transactions (id, transaction_number, transaction_type, amount, date, description,
+                project, work_unit_id, category, fiscal_year, created_by)
+                VALUES (?, ?, 'expense', ?, date(?), ?, ?, ?, 'travel', ?, ?)`,
+                [transactionId, transactionNumber, order.cost_total, 'now',
+                 `Travel order ${order.order_number} - ${order.traveler_name}`, order.project, order.work_unit_id,
+                 order.fiscal_year, req.user.id]);
+
+            // Update work unit budget
+            if (order.work_unit_id) {
+                db.run('UPDATE finance_work_units SET budget_used = budget_used + ? WHERE id = ?', [order.cost_total, order.work_unit_id]);
+            }
 
-        db.run(`UPDATE finance_travel_orders SET status = 'paid', paid_at = datetime(?) WHERE id = ?`,
-            ['now', req.params.id]);
-        saveDb();
+            db.run(`UPDATE finance_travel_orders SET status = 'paid', paid_at = datetime(?) WHERE id = ?`,
+                ['now', req.params.id]);
+            return transactionId;
+        });
         res.json({ success: true, transaction_id: transactionId });
     });
 
@@ -12828,7 +11211,7 @@ By applying to this program, I provide the following consents:
     });
     const travelEvidenceUpload = multer({ storage: travelEvidenceStorage, limits: { fileSize: 10 * 1024 * 1024 } });
 
-    app.post('/api/finance/travel-orders/:id/evidence', auth, travelEvidenceUpload.single('file'), (req, res) => {
+    app.post('/api/finance/travel-orders/:id/evidence', auth, adminOnly, travelEvidenceUpload.single('file'), (req, res) => {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
         const id = uuidv4();
@@ -12841,7 +11224,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true, id, file_path: filePath });
     });
 
-    app.delete('/api/finance/travel-orders/:orderId/evidence/:evidenceId', auth, (req, res) => {
+    app.delete('/api/finance/travel-orders/:orderId/evidence/:evidenceId', auth, adminOnly, (req, res) => {
         const evidence = query.get('SELECT * FROM finance_travel_evidence WHERE id = ? AND travel_order_id = ?',
             [req.params.evidenceId, req.params.orderId]);
         if (evidence && evidence.file_path) {
@@ -12854,7 +11237,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Travel order PDF
-    app.get('/api/finance/travel-orders/:id/pdf', auth, (req, res) => {
+    app.get('/api/finance/travel-orders/:id/pdf', auth, adminOnly, (req, res) => {
         const order = query.get('SELECT * FROM finance_travel_orders WHERE id = ?', [req.params.id]);
         if (!order) return res.status(404).json({ error: 'Not found' });
 
@@ -12951,7 +11334,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Finance Settings
-    app.get('/api/finance/settings', auth, (req, res) => {
+    app.get('/api/finance/settings', auth, adminOnly, (req, res) => {
         const settings = {};
         query.all('SELECT setting_key, setting_value FROM finance_settings').forEach(s => {
             settings[s.setting_key] = s.setting_value;
@@ -12959,7 +11342,7 @@ By applying to this program, I provide the following consents:
         res.json(settings);
     });
 
-    app.put('/api/finance/settings', auth, (req, res) => {
+    app.put('/api/finance/settings', auth, adminOnly, apiSpec.validate, (req, res) => {
         Object.entries(req.body).forEach(([key, value]) => {
             const existing = query.get('SELECT id FROM finance_settings WHERE setting_key = ?', [key]);
             if (existing) {
@@ -12974,7 +11357,7 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
-    app.post('/api/finance/settings', auth, (req, res) => {
+    app.post('/api/finance/settings', auth, adminOnly, apiSpec.validate, (req, res) => {
         Object.entries(req.body).forEach(([key, value]) => {
             const existing = query.get('SELECT id FROM finance_settings WHERE setting_key = ?', [key]);
             if (existing) {
@@ -12990,7 +11373,7 @@ By applying to this program, I provide the following consents:
     });
 
     // Finance Reports
-    app.get('/api/finance/reports/by-project', auth, (req, res) => {
+    app.get('/api/finance/reports/by-project', auth, adminOnly, (req, res) => {
         const year = parseInt(req.query.year) || new Date().getFullYear();
         const report = query.all(`
             SELECT project,
@@ -13005,7 +11388,7 @@ By applying to this program, I provide the following consents:
         res.json(report);
     });
 
-    app.get('/api/finance/reports/by-work-unit', auth, (req, res) => {
+    app.get('/api/finance/reports/by-work-unit', auth, adminOnly, (req, res) => {
         const year = parseInt(req.query.year) || new Date().getFullYear();
         const report = query.all(`
             SELECT wu.id, wu.code, wu.name, wu.budget_total, wu.budget_used,
@@ -13020,7 +11403,7 @@ By applying to this program, I provide the following consents:
         res.json(report);
     });
 
-    app.get('/api/finance/reports/monthly', auth, (req, res) => {
+    app.get('/api/finance/reports/monthly', auth, adminOnly, (req, res) => {
         const year = parseInt(req.query.year) || new Date().getFullYear();
         const report = query.all(`
             SELECT strftime('%Y-%m', date) as month,
@@ -13280,13 +11663,53 @@ By applying to this program, I provide the following consents:
         res.json({ success: true });
     });
 
+    // Sends to the active subscribers who haven't opted out of the newsletter's project
+    // (all of them without one).
+    // Answers once the recipients are known; the messages go out in the background, each
+    // with tracked links, an open pixel and unsubscribe links in the subscriber's language.
     app.post('/api/pr/newsletters/:id/send', auth, (req, res) => {
-        // Mark as sent (actual email sending would require integration)
-        const subscribers = query.get('SELECT COUNT(*) as count FROM pr_subscribers WHERE status = ?', ['active']);
-        db.run(`UPDATE pr_newsletters SET status = 'sent', sent_at = datetime('now'), recipient_count = ? WHERE id = ?`,
-            [subscribers?.count || 0, req.params.id]);
+        const newsletter = query.get('SELECT * FROM pr_newsletters WHERE id = ?', [req.params.id]);
+        if (!newsletter) return res.status(404).json({ error: 'Not found' });
+        if (!newsletter.content_html) return res.status(400).json({ error: 'The newsletter has no content' });
+
+        db.run(`UPDATE pr_newsletters SET status = 'sending', updated_at = datetime('now') WHERE id = ? AND status NOT IN ('sending', 'sent')`, [newsletter.id]);
+        if (db.getRowsModified() !== 1) return res.status(409).json({ error: 'This newsletter has already been sent' });
+
+        const subscribers = query.all('SELECT * FROM pr_subscribers WHERE status = ?', ['active'])
+            .filter(s => !subscriptions.isUnsubscribed(s.email, newsletter.project));
+        // Opens from an earlier, failed attempt stay: its recipients keep their tracking rows
+        db.run('UPDATE pr_newsletters SET recipient_count = ? WHERE id = ?', [subscribers.length, newsletter.id]);
+        emailTracking.refresh('newsletter', newsletter.id);
         saveDb();
-        res.json({ success: true, recipientCount: subscribers?.count || 0 });
+        res.json({ success: true, recipientCount: subscribers.length });
+
+        // A recipient that fails doesn't stop the rest, and the newsletter never stays in
+        // 'sending': it ends 'sent' once any message was accepted (the outbox retries those
+        // still pending) and 'failed' otherwise, so it can be sent again.
+        (async () => {
+            let accepted = 0;
+            try {
+                for (const s of subscribers) {
+                    try {
+                        const lang = s.language === 'hr' ? 'hr' : 'en';
+                        const page = buildEmailTemplate(escapeHtml(newsletter.subject), newsletter.content_html, lang);
+                        const trackingId = emailTracking.prepare('newsletter', newsletter.id, s.email);
+                        const { html, headers } = subscriptions.decorate(s.email, emailTracking.instrument(trackingId, page), lang);
+                        const result = await sendEmail(s.email, newsletter.subject, html,
+                            { recipientName: [s.first_name, s.last_name].filter(Boolean).join(' ') || null, headers });
+                        emailTracking.attach(trackingId, result.id);
+                        if (result.success || result.queued) accepted++;
+                    } catch (err) {
+                        console.error(`Newsletter ${newsletter.id} to ${s.email} failed:`, err.message);
+                    }
+                }
+            } finally {
+                const status = accepted || !subscribers.length ? 'sent' : 'failed';
+                db.run(`UPDATE pr_newsletters SET status = ?, sent_at = CASE WHEN ? = 'sent' THEN datetime('now') ELSE sent_at END,
+                        updated_at = datetime('now') WHERE id = ?`, [status, status, newsletter.id]);
+                saveDb();
+            }
+        })().catch(err => console.error('Newsletter send error:', err));
     });
 
     app.delete('/api/pr/newsletters/:id', auth, (req, res) => {
@@ -13332,19 +11755,34 @@ By applying to this program, I provide the following consents:
         }
     });
 
+    // Projects, language and status changes are recorded in pr_subscriber_changes
     app.put('/api/pr/subscribers/:id', auth, (req, res) => {
-        const { email, first_name, last_name, subscribed_projects, language, status } = req.body;
-        db.run(`UPDATE pr_subscribers SET email = ?, first_name = ?, last_name = ?, subscribed_projects = ?, language = ?, status = ?
-            WHERE id = ?`,
-            [email, first_name || null, last_name || null, subscribed_projects || 'all', language || 'hr', status, req.params.id]);
-        saveDb();
-        res.json({ success: true });
+        try {
+            const { email, first_name, last_name, subscribed_projects, language, status } = req.body;
+            db.run(`UPDATE pr_subscribers SET email = ?, first_name = ?, last_name = ?, updated_at = datetime('now') WHERE id = ?`,
+                [email, first_name || null, last_name || null, req.params.id]);
+            subscriptions.change({ id: req.params.id }, { projects: subscribed_projects || 'all', language: language || 'hr', status },
+                { channel: 'admin', ip: req.ip, userAgent: req.get('user-agent'), changedBy: req.user.id });
+            saveDb();
+            res.json({ success: true });
+        } catch (err) {
+            if (err instanceof SubscriptionError) return res.status(err.status).json({ error: err.message });
+            console.error('Update subscriber error:', err);
+            res.status(500).json({ error: 'Failed to update subscriber' });
+        }
     });
 
     app.post('/api/pr/subscribers/:id/unsubscribe', auth, (req, res) => {
-        db.run(`UPDATE pr_subscribers SET status = 'unsubscribed', unsubscribed_at = datetime('now') WHERE id = ?`, [req.params.id]);
-        saveDb();
-        res.json({ success: true });
+        try {
+            subscriptions.unsubscribe({ id: req.params.id },
+                { channel: 'admin', ip: req.ip, userAgent: req.get('user-agent'), changedBy: req.user.id });
+            saveDb();
+            res.json({ success: true });
+        } catch (err) {
+            if (err instanceof SubscriptionError) return res.status(err.status).json({ error: err.message });
+            console.error('Unsubscribe subscriber error:', err);
+            res.status(500).json({ error: 'Failed to unsubscribe' });
+        }
     });
 
     app.delete('/api/pr/subscribers/:id', auth, (req, res) => {
@@ -13887,7 +12325,7 @@ By applying to this program, I provide the following consents:
     // ========== GALA REGISTRATION (with approval) ==========
 
     // Submit gala registration (public — pending approval)
-    app.post('/api/gala/register', (req, res) => {
+    app.post('/api/gala/register', apiSpec.validate, (req, res) => {
         const { first_name, last_name, email, institution, title, dietary, requests, pricing } = req.body;
         if (!first_name || !last_name || !email) {
             return res.status(400).json({ error: 'Name and email are required' });
@@ -13902,7 +12340,7 @@ By applying to this program, I provide the following consents:
         try {
             sendEmail(email, 'Gala Evening — Invitation Request Received', buildEmailTemplate('Invitation Request Received', `
                 <p>Dear ${first_name},</p>
-                <p>Thank you for your interest in the <strong>Plexus 2026 Gala Evening</strong>. We have received your invitation request.</p>
+                <p>Thank you for your interest in the <strong>${plexusEditions.label(plexusEditions.current())} Gala Evening</strong>. We have received your invitation request.</p>
                 <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
                     <tr><td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; color: #64748b; width: 140px;">Name</td>
                         <td style="padding: 8px 12px; border-bottom: 1px solid #e2e8f0; font-weight: 600;">${first_name} ${last_name}</td></tr>
@@ -13946,7 +12384,7 @@ By applying to this program, I provide the following consents:
                 sendEmail(updated.email, 'Your Gala Evening Invitation Has Been Approved!', buildEmailTemplate('Invitation Approved', `
                     <p>Dear ${updated.first_name},</p>
                     <p style="background: #ecfdf5; border: 1px solid #a7f3d0; padding: 14px 18px; border-radius: 8px; color: #065f46; font-weight: 600; font-size: 16px; text-align: center;">
-                        Your invitation to the Plexus 2026 Gala Evening has been approved!
+                        Your invitation to the ${plexusEditions.label(plexusEditions.current())} Gala Evening has been approved!
                     </p>
                     <p>We are delighted to welcome you to an exclusive evening of networking, fine dining, and celebration with leading minds in biomedicine.</p>
                     ${updated.pricing ? `<p><strong>Ticket Category:</strong> ${updated.pricing}</p>` : ''}
@@ -14051,7 +12489,7 @@ By applying to this program, I provide the following consents:
                 [invoiceNumber, price, req.user.id, reg.id]);
             saveDb();
 
-            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const baseUrl = PUBLIC_URL;
             const ticketLabel = reg.pricing === 'bundle' ? 'Plexus + Gala Bundle' : 'Gala Evening Only';
 
             const session = await stripe.checkout.sessions.create({
@@ -14061,7 +12499,7 @@ By applying to this program, I provide the following consents:
                     price_data: {
                         currency: 'eur',
                         product_data: {
-                            name: `Plexus 2026 — ${ticketLabel}`,
+                            name: `${plexusEditions.label(plexusEditions.current())} — ${ticketLabel}`,
                             description: `Gala Evening Ticket (Invoice: ${invoiceNumber})`
                         },
                         unit_amount: Math.round(price * 100)
@@ -14253,7 +12691,9 @@ By applying to this program, I provide the following consents:
 
     // Get plexus settings (public)
     app.get('/api/plexus/settings', (req, res) => {
-        let settings = query.get("SELECT * FROM plexus_settings WHERE id = 'default'");
+        // Per-edition row, falling back to the 'default' template for editions never edited
+        let settings = query.get('SELECT * FROM plexus_settings WHERE id = ?', [req.conference?.slug])
+            || query.get("SELECT * FROM plexus_settings WHERE id = 'default'");
         if (settings) {
             // Parse JSON fields
             try { settings.key_dates = JSON.parse(settings.key_dates_json || '[]'); } catch(e) { settings.key_dates = []; }
@@ -14264,7 +12704,7 @@ By applying to this program, I provide the following consents:
 
     // Get plexus registration stats (live count)
     app.get('/api/plexus/stats', (req, res) => {
-        const conf = query.get("SELECT id FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         const total = query.get("SELECT COUNT(*) as count FROM registrations WHERE conference_id = ?", [conf?.id || '']);
         const paid = query.get("SELECT COUNT(*) as count FROM registrations WHERE conference_id = ? AND payment_status = 'paid'", [conf?.id || '']);
         res.json({
@@ -14275,7 +12715,7 @@ By applying to this program, I provide the following consents:
 
     // Get plexus sessions (public — only published, with speaker names)
     app.get('/api/plexus/sessions', (req, res) => {
-        const conf = query.get("SELECT * FROM conferences WHERE slug = 'plexus-2026'");
+        const conf = req.conference;
         if (!conf) return res.json([]);
         const sessions = query.all(`SELECT s.*, GROUP_CONCAT(sp.name) as speaker_names
             FROM sessions s
@@ -14284,6 +12724,32 @@ By applying to this program, I provide the following consents:
         res.json(sessions || []);
     });
 
+    // Local inbox for captured mail — development mode or EMAIL_TRANSPORT=dev only
+    if (CAPTURE_EMAIL) {
+        app.get('/dev/inbox', outbox.devInbox);
+        app.get('/dev/inbox/:id', outbox.devInbox);
+    }
+
+    // Open pixel and click redirect in tracked emails — public, the signature is the check
+    app.get('/api/track/open/:id.gif', emailTracking.openHandler);
+    app.get('/api/track/click/:id', emailTracking.clickHandler);
+
+    // Preference center and one-click unsubscribe (RFC 8058 posts a form body) — public, the token is the check
+    const formBody = express.urlencoded({ extended: false });
+    app.get('/subscriptions/:token', subscriptions.preferencesHandler);
+    app.post('/subscriptions/:token', formBody, subscriptions.preferencesHandler);
+    app.get('/subscriptions/:token/unsubscribe', subscriptions.unsubscribeHandler);
+    app.post('/subscriptions/:token/unsubscribe', formBody, subscriptions.unsubscribeHandler);
+
+    // ========== API DOCS (shared/api-spec.js) ==========
+
+    // OpenAPI 3.1 document of every /api route on this portal, with the declared schemas
+    app.get('/api/docs', auth, adminOnly, (req, res) => {
+        res.json(apiSpec.document());
+    });
+    // Every route is registered by now; a declared one without apiSpec.validate stops the start
+    apiSpec.assertMounted();
+
     // API 404 handler — return JSON instead of HTML
     app.all('/api/*', (req, res) => {
         res.status(404).json({ error: 'API endpoint not found' });
@@ -14298,9 +12764,6 @@ By applying to this program, I provide the following consents:
         res.status(500).json({ error: 'Internal server error' });
     });
 
-    // Start watching shared DB for cross-portal sync
-    watchSharedDb();
-
     app.listen(PORT, () => console.log(`Med&X User Portal running on http://localhost:${PORT}`));
 }
 
@@ -77,28 +77,66 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
-// Push notification event
+// Push notification event - payload from shared/web-push.js: { title, body, url, category, tag }
 self.addEventListener('push', (event) => {
+    let message = {};
+    try {
+        message = event.data ? event.data.json() : {};
+    } catch (e) {
+        message = { body: event.data.text() };
+    }
+
     const options = {
-        body: event.data ? event.data.text() : 'New notification from Med&X',
+        body: message.body || 'New notification from Med&X',
         icon: '/icon-192.png',
         badge: '/icon-192.png',
         vibrate: [200, 100, 200],
+        // Same tag replaces an earlier notification about the same thing
+        tag: message.tag,
         data: {
-            url: '/'
+            url: message.url || '/',
+            category: message.category
         }
     };
 
     event.waitUntil(
-        self.registration.showNotification('Med&X', options)
+        self.registration.showNotification(message.title || 'Med&X', options)
     );
 });
 
-// Notification click event
+// Notification click event - focus an open portal tab, or open one
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+            const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+            if (open) {
+                return open.navigate(url)
+                    .then((w) => (w || open).focus())
+                    .catch(() => clients.openWindow(url));
+            }
+            return clients.openWindow(url);
+        })
+    );
+});
 
+// The push service replaced our subscription - re-subscribe and tell the server, which
+// knows the old endpoint (there is no access token in here)
+self.addEventListener('pushsubscriptionchange', (event) => {
+    const oldEndpoint = event.oldSubscription?.endpoint;
     event.waitUntil(
-        clients.openWindow(event.notification.data.url || '/')
+        fetch('/api/push/public-key')
+            .then((r) => r.json())
+            .then(({ publicKey }) => self.registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: publicKey
+            }))
+            .then((subscription) => oldEndpoint && fetch('/api/push/subscriptions/renew', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ old_endpoint: oldEndpoint, subscription: subscription.toJSON() })
+            }))
     );
 });